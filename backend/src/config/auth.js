@@ -0,0 +1,171 @@
+const crypto = require('crypto');
+const AdminAccount = require('../models/AdminAccount');
+
+const SESSION_COOKIE_NAME = process.env.SESSION_COOKIE_NAME || 'mtt_session';
+const SESSION_TTL_HOURS = Number.parseInt(process.env.SESSION_TTL_HOURS, 10) || 12;
+const SESSION_TTL_MS = SESSION_TTL_HOURS * 60 * 60 * 1000;
+
+let ephemeralSecret = null;
+
+const getSessionSecret = () => {
+  if (process.env.SESSION_SECRET) {
+    return process.env.SESSION_SECRET;
+  }
+  if (!ephemeralSecret) {
+    console.warn(
+      '⚠️  SESSION_SECRET is not set; using a random secret. Sessions will not survive a restart.'
+    );
+    ephemeralSecret = crypto.randomBytes(32).toString('hex');
+  }
+  return ephemeralSecret;
+};
+
+const signPayload = (encodedPayload) =>
+  crypto.createHmac('sha256', getSessionSecret()).update(encodedPayload).digest('base64url');
+
+/**
+ * Session tokens are `<base64url payload>.<hmac>`; the payload only carries the
+ * account id, role, session version and expiry, and the account is re-read on
+ * every request. A token whose `ver` no longer matches the account is rejected.
+ */
+const createSessionToken = (account) => {
+  const payload = {
+    sub: String(account._id),
+    role: account.role,
+    ver: account.sessionVersion || 0,
+    exp: Date.now() + SESSION_TTL_MS,
+  };
+  const encodedPayload = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return `${encodedPayload}.${signPayload(encodedPayload)}`;
+};
+
+// Returns the payload of an unexpired `<payload>.<hmac>` token, or null
+const decodeSignedToken = (token) => {
+  if (!token || typeof token !== 'string') return null;
+
+  const [encodedPayload, signature] = token.split('.');
+  if (!encodedPayload || !signature) return null;
+
+  const expected = Buffer.from(signPayload(encodedPayload));
+  const provided = Buffer.from(signature);
+  if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+    return null;
+  }
+
+  try {
+    const payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+    if (!Number.isFinite(payload?.exp) || payload.exp < Date.now()) {
+      return null;
+    }
+    return payload;
+  } catch (error) {
+    return null;
+  }
+};
+
+const verifySessionToken = (token) => {
+  const payload = decodeSignedToken(token);
+  if (!payload?.sub || payload.typ) return null;
+  return payload;
+};
+
+// Tokens issued before the account's last logout or credential change are stale
+const isCurrentSession = (payload, account) =>
+  (payload?.ver || 0) === (account?.sessionVersion || 0);
+
+/**
+ * Proof tokens give a parent access to a single storybook asset without a
+ * login. `lid` must match the link id stored on the asset, so issuing a new
+ * link or revoking the current one invalidates older tokens.
+ */
+const createProofToken = ({ bookId, assetId, linkId, expiresAt }) => {
+  const payload = {
+    typ: 'proof',
+    bid: String(bookId),
+    aid: String(assetId),
+    lid: linkId,
+    exp: new Date(expiresAt).getTime(),
+  };
+  const encodedPayload = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return `${encodedPayload}.${signPayload(encodedPayload)}`;
+};
+
+const verifyProofToken = (token) => {
+  const payload = decodeSignedToken(token);
+  if (payload?.typ !== 'proof' || !payload.bid || !payload.aid || !payload.lid) return null;
+  return payload;
+};
+
+// Unsubscribe links sit in old emails, so they outlive proof links by far
+const UNSUBSCRIBE_TOKEN_TTL_MS = 365 * 24 * 60 * 60 * 1000;
+
+/**
+ * Unsubscribe tokens let a parent opt out of notification emails from the link
+ * in any message, without a login.
+ */
+const createUnsubscribeToken = (userId) => {
+  const payload = {
+    typ: 'unsubscribe',
+    uid: String(userId),
+    exp: Date.now() + UNSUBSCRIBE_TOKEN_TTL_MS,
+  };
+  const encodedPayload = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return `${encodedPayload}.${signPayload(encodedPayload)}`;
+};
+
+const verifyUnsubscribeToken = (token) => {
+  const payload = decodeSignedToken(token);
+  if (payload?.typ !== 'unsubscribe' || !payload.uid) return null;
+  return payload;
+};
+
+const getSessionCookieOptions = () => ({
+  httpOnly: true,
+  sameSite: process.env.SESSION_COOKIE_SAMESITE || 'lax',
+  secure: process.env.NODE_ENV === 'production',
+  maxAge: SESSION_TTL_MS,
+  path: '/',
+});
+
+/**
+ * Creates the first admin from ADMIN_EMAIL / ADMIN_PASSWORD when no staff
+ * accounts exist yet, so a fresh install is not locked out.
+ */
+const ensureBootstrapAdmin = async () => {
+  const existing = await AdminAccount.estimatedDocumentCount();
+  if (existing > 0) return null;
+
+  // Same trim-and-lowercase rule as the login and account validators
+  const email = (process.env.ADMIN_EMAIL || '').trim().toLowerCase();
+  const password = process.env.ADMIN_PASSWORD;
+  if (!email || !password) {
+    console.warn(
+      '⚠️  No admin accounts exist. Set ADMIN_EMAIL and ADMIN_PASSWORD to create the first one.'
+    );
+    return null;
+  }
+
+  const account = new AdminAccount({
+    name: process.env.ADMIN_NAME || 'Administrator',
+    email,
+    role: 'admin',
+  });
+  account.setPassword(password);
+  await account.save();
+  console.log(`👤 Created bootstrap admin account for ${account.email}`);
+  return account;
+};
+
+module.exports = {
+  SESSION_COOKIE_NAME,
+  SESSION_TTL_MS,
+  createSessionToken,
+  verifySessionToken,
+  isCurrentSession,
+  createProofToken,
+  verifyProofToken,
+  createUnsubscribeToken,
+  verifyUnsubscribeToken,
+  getSessionCookieOptions,
+  ensureBootstrapAdmin,
+};
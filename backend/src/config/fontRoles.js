@@ -0,0 +1,16 @@
+// Text roles a book can give an uploaded font. Each role names the renderer
+// that draws it; a role without a font keeps the bundled fonts in fonts/.
+
+const FONT_ROLES = [
+  { key: 'cover', label: 'Cover', description: 'Cover title, blurb and footer' },
+  { key: 'dedication', label: 'Dedication', description: 'Dedication page titles' },
+  { key: 'storyText', label: 'Story text', description: 'Page text of story pages' },
+  { key: 'storyQuote', label: 'Story quote', description: 'Hebrew quote above the character' },
+];
+
+const FONT_ROLE_KEYS = FONT_ROLES.map((role) => role.key);
+
+module.exports = {
+  FONT_ROLES,
+  FONT_ROLE_KEYS,
+};
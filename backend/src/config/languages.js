@@ -0,0 +1,36 @@
+// Languages a book's page text can be written or translated in. `script`
+// picks the PDF font chain; `direction` drives bidi layout, text alignment and
+// page order.
+
+const STORY_LANGUAGES = [
+  { code: 'en', name: 'English', direction: 'ltr', script: 'latin' },
+  { code: 'he', name: 'Hebrew', direction: 'rtl', script: 'hebrew' },
+  { code: 'yi', name: 'Yiddish', direction: 'rtl', script: 'hebrew' },
+  { code: 'fr', name: 'French', direction: 'ltr', script: 'latin' },
+  { code: 'es', name: 'Spanish', direction: 'ltr', script: 'latin' },
+  { code: 'de', name: 'German', direction: 'ltr', script: 'latin' },
+];
+
+const STORY_LANGUAGE_CODES = STORY_LANGUAGES.map((language) => language.code);
+
+const configuredDefault = process.env.STORYBOOK_DEFAULT_LANGUAGE;
+const DEFAULT_STORY_LANGUAGE = STORY_LANGUAGE_CODES.includes(configuredDefault)
+  ? configuredDefault
+  : 'en';
+
+const normalizeLanguageCode = (value) =>
+  typeof value === 'string' ? value.trim().toLowerCase() : '';
+
+const getStoryLanguage = (code) =>
+  STORY_LANGUAGES.find((language) => language.code === normalizeLanguageCode(code)) || null;
+
+const isRtlLanguage = (code) => getStoryLanguage(code)?.direction === 'rtl';
+
+module.exports = {
+  STORY_LANGUAGES,
+  STORY_LANGUAGE_CODES,
+  DEFAULT_STORY_LANGUAGE,
+  normalizeLanguageCode,
+  getStoryLanguage,
+  isRtlLanguage,
+};
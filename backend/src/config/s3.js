@@ -3,13 +3,51 @@ const { Upload } = require('@aws-sdk/lib-storage');
 const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
 const { randomUUID } = require('crypto');
 const path = require('path');
+const fs = require('fs-extra');
 
 const requiredEnv = ['AWS_ACCESS_KEY_ID', 'AWS_SECRET_ACCESS_KEY'];
-requiredEnv.forEach((key) => {
-  if (!process.env[key]) {
-    console.warn(`⚠️  Missing ${key} environment variable for S3 operations`);
+
+// STORAGE_DRIVER=local keeps files on disk and serves them under /storage so
+// offline development with IMAGE_PROVIDER=mock needs no AWS account. Local
+// files are not access-controlled, so the driver is refused for any other
+// provider (Replicate could not fetch localhost URLs anyway).
+const STORAGE_DRIVER = (process.env.STORAGE_DRIVER || 's3').trim().toLowerCase();
+const USE_LOCAL_STORAGE = STORAGE_DRIVER === 'local';
+const LOCAL_STORAGE_DIR = path.resolve(process.env.LOCAL_STORAGE_DIR || 'storage');
+const LOCAL_STORAGE_ROUTE = '/storage';
+
+if (!USE_LOCAL_STORAGE) {
+  requiredEnv.forEach((key) => {
+    if (!process.env[key]) {
+      console.warn(`⚠️  Missing ${key} environment variable for S3 operations`);
+    }
+  });
+}
+
+const validateStorageConfig = ({ imageProvider } = {}) => {
+  if (!['s3', 'local'].includes(STORAGE_DRIVER)) {
+    throw new Error(`Unknown STORAGE_DRIVER "${STORAGE_DRIVER}". Expected one of: s3, local`);
   }
-});
+  if (!USE_LOCAL_STORAGE) return;
+  if (imageProvider !== 'mock') {
+    throw new Error('STORAGE_DRIVER=local is only supported with IMAGE_PROVIDER=mock');
+  }
+  console.log(`🗂️  Files are stored in ${LOCAL_STORAGE_DIR} instead of S3`);
+};
+
+const getLocalStorageBaseUrl = () =>
+  (process.env.LOCAL_STORAGE_BASE_URL || `http://localhost:${process.env.PORT || 5000}`).replace(
+    /\/$/,
+    ''
+  );
+
+const resolveLocalPath = (key) => {
+  const filePath = path.resolve(LOCAL_STORAGE_DIR, key);
+  if (!filePath.startsWith(`${LOCAL_STORAGE_DIR}${path.sep}`)) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+  return filePath;
+};
 
 const s3Client = new S3Client({
   region: process.env.AWS_REGION || 'us-east-1',
@@ -37,10 +75,18 @@ const buildUniqueSuffix = () => {
 
 const getPublicUrl = (key) => {
   if (!key) return null;
+  if (USE_LOCAL_STORAGE) {
+    return `${getLocalStorageBaseUrl()}${LOCAL_STORAGE_ROUTE}/${key}`;
+  }
   return `https://${BUCKET}.s3.amazonaws.com/${key}`;
 };
 
 async function uploadBufferToS3(buffer, key, contentType, options = {}) {
+  if (USE_LOCAL_STORAGE) {
+    await fs.outputFile(resolveLocalPath(key), buffer);
+    return { key, url: getPublicUrl(key) };
+  }
+
   const uploader = new Upload({
     client: s3Client,
     params: {
@@ -62,6 +108,10 @@ async function uploadBufferToS3(buffer, key, contentType, options = {}) {
 
 async function deleteFromS3(key) {
   if (!key) return;
+  if (USE_LOCAL_STORAGE) {
+    await fs.remove(resolveLocalPath(key));
+    return;
+  }
   await s3Client.send(
     new DeleteObjectCommand({
       Bucket: BUCKET,
@@ -72,6 +122,7 @@ async function deleteFromS3(key) {
 
 async function getSignedUrlForKey(key, expiresIn = 60 * 5) {
   if (!key) return null;
+  if (USE_LOCAL_STORAGE) return getPublicUrl(key);
   try {
     const command = new GetObjectCommand({
       Bucket: BUCKET,
@@ -86,6 +137,9 @@ async function getSignedUrlForKey(key, expiresIn = 60 * 5) {
 
 async function downloadFromS3(key) {
   if (!key) return null;
+  if (USE_LOCAL_STORAGE) {
+    return fs.readFile(resolveLocalPath(key));
+  }
 
   const response = await s3Client.send(
     new GetObjectCommand({
@@ -125,6 +179,18 @@ const generateTrainingImageKey = (modelName, originalName, index) => {
 
 const generateTrainingZipKey = (modelName) => buildKey('trainings', modelName, `${modelName}.zip`);
 
+const generateTrainingDatasetImageKey = (userId, datasetId, originalName) => {
+  const unique = buildUniqueSuffix();
+  const baseName = path.parse(sanitizeFileName(originalName, `image-${unique}`)).name;
+  return buildKey(
+    'users',
+    String(userId),
+    'datasets',
+    String(datasetId),
+    `${unique}-${baseName}.jpg`
+  );
+};
+
 const sanitizeFileName = (value, fallback) => {
   const safeFallback = fallback || `asset-${Date.now()}`;
   if (!value) return safeFallback;
@@ -171,6 +237,12 @@ const generateEvaluationImageKey = (originalName) => {
   return buildKey('evaluations', `${unique}-${safeName}`);
 };
 
+const generateFontKey = (originalName, format) => {
+  const unique = buildUniqueSuffix();
+  const safeName = sanitizeFileName(originalName, `font-${unique}.${format}`);
+  return buildKey('fonts', `${unique}-${safeName}`);
+};
+
 const ensurePdfExtension = (value) => {
   if (!value) return 'storybook.pdf';
   return value.toLowerCase().endsWith('.pdf') ? value : `${value}.pdf`;
@@ -190,6 +262,7 @@ module.exports = {
   generateImageKey,
   generateTrainingImageKey,
   generateTrainingZipKey,
+  generateTrainingDatasetImageKey,
   generateBookCoverKey,
   generateBookPageImageKey,
   generateBookCharacterOverlayKey,
@@ -197,7 +270,12 @@ module.exports = {
   generateBookPdfKey,
   generatePromptImageKey,
   generateEvaluationImageKey,
+  generateFontKey,
   getPublicUrl,
   downloadFromS3,
   BUCKET,
+  USE_LOCAL_STORAGE,
+  LOCAL_STORAGE_DIR,
+  LOCAL_STORAGE_ROUTE,
+  validateStorageConfig,
 };
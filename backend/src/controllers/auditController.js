@@ -0,0 +1,164 @@
+const AuditLog = require('../models/AuditLog');
+
+const escapeRegex = (value) =>
+  typeof value === 'string' ? value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') : value;
+
+const toPositiveInteger = (value, fallback) => {
+  const parsed = Number.parseInt(value, 10);
+  if (Number.isNaN(parsed) || parsed < 0) {
+    return fallback;
+  }
+  return parsed;
+};
+
+const VALID_ACTIONS = new Set(['create', 'update', 'delete']);
+
+/**
+ * List audit entries
+ * @route GET /api/audit
+ */
+exports.listAuditLogs = async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 25,
+      resourceType,
+      action,
+      targetId,
+      actor,
+      search = '',
+      from,
+      to,
+      sortOrder = 'desc',
+    } = req.query;
+
+    const filter = {};
+
+    if (resourceType && resourceType !== 'all') {
+      filter.resourceType = resourceType;
+    }
+
+    if (action && action !== 'all' && VALID_ACTIONS.has(action)) {
+      filter.action = action;
+    }
+
+    if (targetId) {
+      filter.targetId = String(targetId);
+    }
+
+    if (actor && typeof actor === 'string') {
+      const expression = new RegExp(escapeRegex(actor.trim()), 'i');
+      filter.$or = [{ 'actor.email': expression }, { 'actor.name': expression }];
+    }
+
+    if (search && typeof search === 'string') {
+      const expression = new RegExp(escapeRegex(search.trim()), 'i');
+      filter.$and = [
+        { $or: [{ summary: expression }, { route: expression }, { targetId: expression }] },
+      ];
+    }
+
+    if (from || to) {
+      const dateFilter = {};
+      if (from) {
+        const fromDate = new Date(from);
+        if (!Number.isNaN(fromDate.getTime())) {
+          dateFilter.$gte = fromDate;
+        }
+      }
+      if (to) {
+        const toDate = new Date(to);
+        if (!Number.isNaN(toDate.getTime())) {
+          dateFilter.$lte = toDate;
+        }
+      }
+      if (Object.keys(dateFilter).length > 0) {
+        filter.createdAt = dateFilter;
+      }
+    }
+
+    const numericLimit = Math.min(toPositiveInteger(limit, 25), 200);
+    const rawPage = toPositiveInteger(page, 1) || 1;
+    const sortDirection = sortOrder === 'asc' ? 1 : -1;
+
+    const [total, resourceTypes] = await Promise.all([
+      AuditLog.countDocuments(filter),
+      AuditLog.distinct('resourceType'),
+    ]);
+
+    const totalPages =
+      numericLimit > 0 && total > 0 ? Math.ceil(total / numericLimit) : total > 0 ? 1 : 0;
+    const effectivePage =
+      numericLimit > 0 ? Math.min(Math.max(rawPage, 1), Math.max(totalPages, 1)) : 1;
+    const skip = numericLimit > 0 ? (effectivePage - 1) * numericLimit : 0;
+
+    const query = AuditLog.find(filter).sort({ createdAt: sortDirection, _id: sortDirection });
+    if (numericLimit > 0) {
+      query.skip(skip).limit(numericLimit);
+    }
+    const entries = await query.lean();
+
+    res.status(200).json({
+      success: true,
+      count: entries.length,
+      data: entries,
+      pagination: {
+        page: totalPages === 0 ? 1 : effectivePage,
+        limit: numericLimit,
+        total,
+        totalPages,
+        hasNextPage: numericLimit > 0 && effectivePage < totalPages,
+        hasPrevPage: numericLimit > 0 && effectivePage > 1,
+      },
+      filters: {
+        resourceType: resourceType || 'all',
+        action: action || 'all',
+        targetId: targetId || '',
+        actor: actor || '',
+        search: typeof search === 'string' ? search : '',
+        from: from || '',
+        to: to || '',
+        sortOrder: sortDirection === 1 ? 'asc' : 'desc',
+      },
+      stats: {
+        resourceTypes: resourceTypes.sort(),
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching audit logs:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch audit logs',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get a single audit entry
+ * @route GET /api/audit/:id
+ */
+exports.getAuditLogById = async (req, res) => {
+  try {
+    const entry = await AuditLog.findById(req.params.id).lean();
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Audit entry not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: entry,
+    });
+  } catch (error) {
+    console.error('Error fetching audit entry:', error);
+    const status = error.name === 'CastError' ? 400 : 500;
+    res.status(status).json({
+      success: false,
+      message: status === 400 ? 'Invalid audit entry identifier' : 'Failed to fetch audit entry',
+      error: status === 400 ? undefined : error.message,
+    });
+  }
+};
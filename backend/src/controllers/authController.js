@@ -0,0 +1,317 @@
+const { validationResult } = require('express-validator');
+const AdminAccount = require('../models/AdminAccount');
+const {
+  SESSION_COOKIE_NAME,
+  createSessionToken,
+  verifySessionToken,
+  getSessionCookieOptions,
+} = require('../config/auth');
+const { extractSessionToken } = require('../middleware/auth');
+const { recordAudit } = require('../services/auditLog');
+
+const serializeAccount = (account) => {
+  if (!account) return null;
+  const object = typeof account.toJSON === 'function' ? account.toJSON() : { ...account };
+  delete object.passwordHash;
+  delete object.passwordSalt;
+  return object;
+};
+
+// Password hashes stay out of the audit log; a password change is recorded as a flag
+const toAuditSnapshot = (account) =>
+  account
+    ? {
+        name: account.name,
+        email: account.email,
+        role: account.role,
+        status: account.status,
+      }
+    : null;
+
+const respondValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+  res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors: errors.array(),
+  });
+  return true;
+};
+
+/**
+ * Sign in with email and password
+ * @route POST /api/auth/login
+ */
+exports.login = async (req, res) => {
+  try {
+    if (respondValidationErrors(req, res)) return;
+
+    const { email, password } = req.body;
+    const account = await AdminAccount.findOne({ email }).select('+passwordHash +passwordSalt');
+
+    if (!account || account.status !== 'active' || !account.verifyPassword(password)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid email or password',
+      });
+    }
+
+    account.lastLoginAt = new Date();
+    await account.save();
+
+    res.cookie(SESSION_COOKIE_NAME, createSessionToken(account), getSessionCookieOptions());
+
+    res.status(200).json({
+      success: true,
+      message: 'Signed in successfully',
+      data: {
+        account: serializeAccount(account),
+      },
+    });
+  } catch (error) {
+    console.error('Error signing in:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to sign in',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Clear the session cookie and revoke the account's session tokens, so a copy
+ * of the token stops working too
+ * @route POST /api/auth/logout
+ */
+exports.logout = async (req, res) => {
+  try {
+    const payload = verifySessionToken(extractSessionToken(req));
+    if (payload) {
+      await AdminAccount.updateOne(
+        { _id: payload.sub, sessionVersion: payload.ver || 0 },
+        { $inc: { sessionVersion: 1 } }
+      );
+    }
+
+    const { maxAge, ...cookieOptions } = getSessionCookieOptions();
+    res.clearCookie(SESSION_COOKIE_NAME, cookieOptions);
+    res.status(200).json({
+      success: true,
+      message: 'Signed out successfully',
+    });
+  } catch (error) {
+    console.error('Error signing out:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to sign out',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Current signed-in account
+ * @route GET /api/auth/me
+ */
+exports.getCurrentAccount = async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: serializeAccount(req.account),
+  });
+};
+
+/**
+ * List staff accounts
+ * @route GET /api/auth/accounts
+ */
+exports.listAccounts = async (req, res) => {
+  try {
+    const accounts = await AdminAccount.find().sort({ createdAt: 1 });
+    res.status(200).json({
+      success: true,
+      count: accounts.length,
+      data: accounts.map(serializeAccount),
+    });
+  } catch (error) {
+    console.error('Error fetching accounts:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch accounts',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Create a staff account
+ * @route POST /api/auth/accounts
+ */
+exports.createAccount = async (req, res) => {
+  try {
+    if (respondValidationErrors(req, res)) return;
+
+    const { name, email, password, role } = req.body;
+
+    const existing = await AdminAccount.findOne({ email });
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: 'An account with this email already exists',
+      });
+    }
+
+    const account = new AdminAccount({ name, email, role: role || 'reviewer' });
+    account.setPassword(password);
+    await account.save();
+
+    await recordAudit({
+      req,
+      action: 'create',
+      resourceType: 'account',
+      targetId: account._id,
+      after: toAuditSnapshot(account),
+      summary: `Created ${account.role} account ${account.email}`,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Account created successfully',
+      data: serializeAccount(account),
+    });
+  } catch (error) {
+    console.error('Error creating account:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create account',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Update a staff account's name, role, status or password
+ * @route PATCH /api/auth/accounts/:id
+ */
+exports.updateAccount = async (req, res) => {
+  try {
+    if (respondValidationErrors(req, res)) return;
+
+    const account = await AdminAccount.findById(req.params.id);
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        message: 'Account not found',
+      });
+    }
+
+    const { name, role, status, password } = req.body;
+    const isSelf = String(account._id) === String(req.account._id);
+
+    if (isSelf && ((role && role !== 'admin') || status === 'disabled')) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot demote or disable your own account',
+      });
+    }
+
+    const before = toAuditSnapshot(account);
+    const revokeSessions =
+      Boolean(password) ||
+      (role && role !== account.role) ||
+      (status && status !== account.status);
+
+    if (typeof name === 'string') account.name = name;
+    if (role) account.role = role;
+    if (status) account.status = status;
+    if (password) account.setPassword(password);
+    if (revokeSessions) account.sessionVersion = (account.sessionVersion || 0) + 1;
+
+    await account.save();
+
+    await recordAudit({
+      req,
+      action: 'update',
+      resourceType: 'account',
+      targetId: account._id,
+      before,
+      after: toAuditSnapshot(account),
+      summary: `Updated account ${account.email}`,
+      metadata: password ? { passwordChanged: true } : null,
+    });
+
+    // Keep the admin who changed their own password signed in on this device
+    if (revokeSessions && isSelf) {
+      res.cookie(SESSION_COOKIE_NAME, createSessionToken(account), getSessionCookieOptions());
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Account updated successfully',
+      data: serializeAccount(account),
+    });
+  } catch (error) {
+    console.error('Error updating account:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid account id',
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update account',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Delete a staff account
+ * @route DELETE /api/auth/accounts/:id
+ */
+exports.deleteAccount = async (req, res) => {
+  try {
+    if (String(req.params.id) === String(req.account._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot delete your own account',
+      });
+    }
+
+    const account = await AdminAccount.findByIdAndDelete(req.params.id);
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        message: 'Account not found',
+      });
+    }
+
+    await recordAudit({
+      req,
+      action: 'delete',
+      resourceType: 'account',
+      targetId: account._id,
+      before: toAuditSnapshot(account),
+      summary: `Deleted account ${account.email}`,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Account deleted successfully',
+    });
+  } catch (error) {
+    console.error('Error deleting account:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid account id',
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete account',
+      error: error.message,
+    });
+  }
+};
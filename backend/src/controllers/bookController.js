@@ -1,8 +1,10 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 const { validationResult } = require('express-validator');
 const Book = require('../models/Book');
 const User = require('../models/User');
-const { PDFDocument } = require('pdf-lib');
+const StorybookComment = require('../models/StorybookComment');
+const { PDFDocument, ReadingDirection } = require('pdf-lib');
 const {
   uploadBufferToS3,
   deleteFromS3,
@@ -15,12 +17,45 @@ const {
   downloadFromS3,
 } = require('../config/s3');
 const { generateStorybookPdf, removeBackground } = require('../utils/pdfGenerator');
+const { generateStorybookEpub } = require('../utils/epubGenerator');
+const { generatePrintStorybook } = require('../utils/printPdfGenerator');
 const {
   regenerateStorybookPage: regenerateStorybookPageService,
   applyStorybookCandidateSelection,
   buildCoverPageContent,
   buildDedicationPageContent,
 } = require('../services/storybookWorkflow');
+const { recordAudit } = require('../services/auditLog');
+const {
+  renderStoryTemplate,
+  resolveReaderStoryVariables,
+  validateBookTemplates,
+} = require('../services/storyTemplates');
+const {
+  getBookLanguage,
+  normalizePageTranslations,
+  resolvePageText,
+  resolveRunLanguage,
+} = require('../services/bookLanguages');
+const { emitWebhookEvent } = require('../services/outboundWebhooks');
+const { notifyProofReady, notifyBookConfirmed } = require('../services/notifications');
+const {
+  recordRevisionAfterSave,
+  ensureBaselineRevision,
+  collectRevisionAssetKeys,
+  deleteBookRevisions,
+} = require('../services/bookRevisions');
+const { renderBookPagePreview } = require('../services/pagePreviews');
+const { isBudgetExceededError } = require('../services/spendGuards');
+const { loadBookFonts } = require('../services/storybookFonts');
+const { assertFontCoverage } = require('../utils/fontCoverage');
+const { createProofToken, verifyProofToken } = require('../config/auth');
+const { isRtlLanguage } = require('../config/languages');
+
+const resolveActor = (req) => ({
+  accountId: req.account?._id || null,
+  name: req.account?.name || '',
+});
 
 const slugify = (value) =>
   (value || '')
@@ -41,6 +76,36 @@ const parsePagesPayload = (pages) => {
   }
 };
 
+const parseSectionPayload = (value) => {
+  if (!value || typeof value !== 'string') return value || null;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return null;
+  }
+};
+
+// Story placeholders are checked on the incoming payload, before any upload,
+// so a typo is caught when the book is saved rather than mid-run
+const collectTemplateIssues = (body, pagesRaw) =>
+  validateBookTemplates({
+    pages: pagesRaw.map((page) => ({
+      ...page,
+      translations: normalizePageTranslations(page?.translations),
+    })),
+    coverPage: parseSectionPayload(body.coverPage),
+    dedicationPage: parseSectionPayload(body.dedicationPage),
+  });
+
+const sendTemplateIssues = (res, issues) =>
+  res.status(400).json({
+    success: false,
+    message: `Fix the story placeholders before saving: ${issues[0].message}${
+      issues.length > 1 ? ` (and ${issues.length - 1} more)` : ''
+    }`,
+    errors: issues,
+  });
+
 const normalizeBoolean = (value) =>
   typeof value === 'string' ? value === 'true' || value === '1' : Boolean(value);
 
@@ -108,100 +173,6 @@ const resolvePromptByGender = (source = {}, gender = '') => {
   return promptNeutral || '';
 };
 
-const getGenderPronouns = (gender) => {
-  if (!gender) {
-    return {
-      subject: '',
-      object: '',
-      possessiveAdjective: '',
-      possessivePronoun: '',
-    };
-  }
-
-  const lowerGender = gender.toLowerCase();
-  if (lowerGender === 'male') {
-    return {
-      subject: 'he',
-      object: 'him',
-      possessiveAdjective: 'his',
-      possessivePronoun: 'his',
-    };
-  }
-
-  if (lowerGender === 'female') {
-    return {
-      subject: 'she',
-      object: 'her',
-      possessiveAdjective: 'her',
-      possessivePronoun: 'hers',
-    };
-  }
-
-  return {
-    subject: 'they',
-    object: 'them',
-    possessiveAdjective: 'their',
-    possessivePronoun: 'theirs',
-  };
-};
-
-const applyPlaceholderCasing = (placeholder, value) => {
-  if (!value) return value;
-  const stringValue = String(value);
-  const core = placeholder.replace(/[{}]/g, '');
-  if (!core) return value;
-
-  if (core === core.toUpperCase()) {
-    return stringValue.toUpperCase();
-  }
-
-  if (core === core.toLowerCase()) {
-    return stringValue.toLowerCase();
-  }
-
-  if (core[0] === core[0].toUpperCase()) {
-    const normalised = stringValue.toLowerCase();
-    return `${normalised.charAt(0).toUpperCase()}${normalised.slice(1)}`;
-  }
-
-  return stringValue;
-};
-
-const replaceReaderPlaceholders = (value, readerName, readerGender) => {
-  if (!value || typeof value !== 'string') {
-    return value || '';
-  }
-  let result = value;
-
-  if (readerName) {
-    const upperName = readerName.toUpperCase();
-    result = result.replace(/\{name\}/gi, (matched) => {
-      const inner = matched.slice(1, -1);
-      if (inner === inner.toUpperCase()) {
-        return upperName;
-      }
-      return readerName;
-    });
-  }
-
-  if (readerGender) {
-    const pronouns = getGenderPronouns(readerGender);
-    const replacePronoun = (pattern, pronounValue) => {
-      if (!pronounValue) return;
-      result = result.replace(pattern, (match) => applyPlaceholderCasing(match, pronounValue));
-    };
-
-    replacePronoun(/\{gender\}/gi, pronouns.subject);
-    replacePronoun(/\{genderx\}/gi, pronouns.possessivePronoun);
-    replacePronoun(/\{gendery\}/gi, pronouns.object);
-    replacePronoun(/\{genderz\}/gi, pronouns.possessiveAdjective);
-    replacePronoun(/\{genderpos\}/gi, pronouns.possessiveAdjective);
-    replacePronoun(/\{genderper\}/gi, pronouns.object);
-  }
-
-  return result;
-};
-
 const clonePlainObject = (value) => {
   if (!value || typeof value !== 'object') return null;
   return JSON.parse(JSON.stringify(value));
@@ -361,6 +332,46 @@ const cloneDocument = (value) =>
     ? JSON.parse(JSON.stringify(value))
     : null;
 
+// Page snapshots inside pdfAssets are large and rewritten wholesale, so audit
+// entries only track each asset's top-level fields.
+const summarizePdfAssetForAudit = (asset) => {
+  const cloned = cloneDocument(asset);
+  if (!cloned) return null;
+  delete cloned.pages;
+  return cloned;
+};
+
+const isDerivedFromAsset = (asset, source) => {
+  if (source._id && asset.derivedFromAssetId) {
+    return asset.derivedFromAssetId.toString() === source._id.toString();
+  }
+  return Boolean(asset.derivedFromAssetKey) && asset.derivedFromAssetKey === source.key;
+};
+
+// Split variants are stamped with confirmedAt; a standard asset counts as
+// confirmed once a split variant has been derived from it
+const isStorybookAssetConfirmed = (book, pdfAsset) =>
+  Boolean(pdfAsset.confirmedAt) ||
+  (book.pdfAssets || []).some(
+    (asset) => asset.variant === 'split' && isDerivedFromAsset(asset, pdfAsset)
+  );
+
+// The standard (spread) storybook a split variant was cut from
+const findSplitSourceAsset = (book, splitAsset) =>
+  (book.pdfAssets || []).find(
+    (asset) =>
+      asset.variant !== 'split' &&
+      asset.variant !== 'print' &&
+      isDerivedFromAsset(splitAsset, asset)
+  ) || null;
+
+const buildBookAuditSnapshot = (book) => {
+  const cloned = cloneDocument(book);
+  if (!cloned) return null;
+  cloned.pdfAssets = (cloned.pdfAssets || []).map(summarizePdfAssetForAudit);
+  return cloned;
+};
+
 const attachFreshSignedUrl = async (asset) => {
   if (!asset) return null;
   const cloned = cloneDocument(asset) || {};
@@ -376,6 +387,22 @@ const attachFreshSignedUrl = async (asset) => {
   return cloned;
 };
 
+// Print files are stored private; clients only get short-lived signed links
+const PRINT_URL_EXPIRES_IN = 60 * 60;
+
+const attachSignedPrintUrls = async (asset) => {
+  if (!asset || asset.variant !== 'print') return asset;
+  const [url, coverUrl] = await Promise.all([
+    getSignedUrlForKey(asset.key, PRINT_URL_EXPIRES_IN),
+    asset.printCover?.key ? getSignedUrlForKey(asset.printCover.key, PRINT_URL_EXPIRES_IN) : null,
+  ]);
+  return {
+    ...asset,
+    url,
+    printCover: asset.printCover ? { ...asset.printCover, url: coverUrl } : null,
+  };
+};
+
 const attachFreshSignedUrlsToPages = async (pages = [], options = {}) => {
   const { bookPages = [], preferSnapshotAssets = false } = options;
   const bookPagesArray = Array.isArray(bookPages) ? bookPages : [];
@@ -652,7 +679,7 @@ const hydrateBookDocument = async (book) => {
       clonedAsset.pages = await attachFreshSignedUrlsToPages(clonedAsset.pages || [], {
         bookPages: clonedBook.pages || [],
       });
-      return clonedAsset;
+      return attachSignedPrintUrls(clonedAsset);
     })
   );
 
@@ -733,7 +760,7 @@ const ensureBackgroundRemovedCharacter = async ({
   }
 
   try {
-    const processedBuffer = await removeBackground(candidate);
+    const processedBuffer = await removeBackground(candidate, { bookId: book._id });
     console.log('[ensureBackgroundRemoved] Brio returned buffer length:', processedBuffer ? processedBuffer.length : null);
     if (processedBuffer && processedBuffer.length) {
       const key = generateBookCharacterOverlayKey(
@@ -786,6 +813,8 @@ const ensureBackgroundRemovedCharacter = async ({
       return true;
     }
   } catch (error) {
+    // Spend caps fail the request (429) instead of printing the unprocessed image
+    if (isBudgetExceededError(error)) throw error;
     console.error(
       `[storybook] Background removal failed for page ${storyPage.order} during PDF generation:`,
       error.message
@@ -1070,6 +1099,7 @@ exports.createBook = async (req, res) => {
 
   try {
     const { name, description, gender, status } = req.body;
+    const language = getBookLanguage(req.body);
     const pagesRaw = parsePagesPayload(req.body.pages);
 
     if (!name) {
@@ -1079,12 +1109,18 @@ exports.createBook = async (req, res) => {
       });
     }
 
+    const templateIssues = collectTemplateIssues(req.body, pagesRaw);
+    if (templateIssues.length) {
+      return sendTemplateIssues(res, templateIssues);
+    }
+
   const pagesPayload = pagesRaw.map((page, index) => {
     const promptFields = extractPromptFields(page || {});
     const pageType = page?.pageType === 'cover' ? 'cover' : 'story';
     const base = {
       order: Number(page.order) || index + 1,
       text: typeof page.text === 'string' ? page.text : '',
+      translations: normalizePageTranslations(page.translations, language),
       characterPrompt: promptFields.prompt,
       characterPromptMale: promptFields.promptMale,
       characterPromptFemale: promptFields.promptFemale,
@@ -1135,6 +1171,7 @@ exports.createBook = async (req, res) => {
       const pageData = {
         order: pageDefinition.order,
         text: pageDefinition.text,
+        translations: pageDefinition.translations,
         characterPrompt: promptFields.prompt,
         characterPromptMale: promptFields.promptMale,
         characterPromptFemale: promptFields.promptFemale,
@@ -1299,6 +1336,7 @@ exports.createBook = async (req, res) => {
       name,
       description,
       gender,
+      language,
       status: status || 'active',
       slug,
       coverImage,
@@ -1307,6 +1345,17 @@ exports.createBook = async (req, res) => {
       dedicationPage: dedicationPageData,
     });
 
+    await recordRevisionAfterSave(book, { reason: 'create', actor: resolveActor(req) });
+
+    await recordAudit({
+      req,
+      action: 'create',
+      resourceType: 'book',
+      targetId: book._id,
+      after: buildBookAuditSnapshot(book),
+      summary: `Created book ${book.name}`,
+    });
+
     res.status(201).json({
       success: true,
       message: 'Book created successfully',
@@ -1352,6 +1401,18 @@ exports.updateBook = async (req, res) => {
       });
     }
 
+    const templateIssues = collectTemplateIssues(req.body, parsePagesPayload(req.body.pages));
+    if (templateIssues.length) {
+      return sendTemplateIssues(res, templateIssues);
+    }
+
+    const language = getBookLanguage(
+      typeof req.body.language !== 'undefined' ? req.body : book
+    );
+
+    await ensureBaselineRevision(book, { actor: resolveActor(req) });
+
+    const previousBook = buildBookAuditSnapshot(book);
     const slug = book.slug || `${slugify(book.name)}-${Date.now()}`;
     const coverFile = req.files?.coverImage?.[0];
     const pageImageFiles = req.files?.pageImages || [];
@@ -1406,6 +1467,13 @@ exports.updateBook = async (req, res) => {
       const order = Number(incoming.order) || index + 1;
       const text = typeof incoming.text === 'string' ? incoming.text : '';
       const existing = pageId ? existingPagesMap.get(pageId) : null;
+      // Translations left out of the payload are kept, as prompts are
+      const translations = normalizePageTranslations(
+        typeof incoming.translations !== 'undefined'
+          ? incoming.translations
+          : existing?.translations,
+        language
+      );
       const existingPromptFields = extractPromptFields(existing || {});
       const incomingPromptFields = extractPromptFields(incoming || {});
       const resolvedPromptFields = {
@@ -1424,6 +1492,7 @@ exports.updateBook = async (req, res) => {
       const pageData = {
         order,
         text,
+        translations,
         characterPrompt:
           resolvedPromptFields.prompt ||
           resolvedPromptFields.promptMale ||
@@ -1559,6 +1628,7 @@ exports.updateBook = async (req, res) => {
     if (typeof gender !== 'undefined') {
       book.gender = gender;
     }
+    book.language = language;
     if (typeof status !== 'undefined') {
       book.status = status;
     }
@@ -1705,7 +1775,22 @@ exports.updateBook = async (req, res) => {
 
     const updatedBook = await book.save();
 
-    await cleanupKeys(keysToDelete);
+    await recordRevisionAfterSave(updatedBook, { reason: 'update', actor: resolveActor(req) });
+
+    // Replaced images stay in S3 while a revision still references them so a
+    // restore brings them back; they are removed together with the book.
+    const retainedKeys = await collectRevisionAssetKeys(updatedBook._id);
+    await cleanupKeys(keysToDelete.filter((key) => !retainedKeys.has(key)));
+
+    await recordAudit({
+      req,
+      action: 'update',
+      resourceType: 'book',
+      targetId: updatedBook._id,
+      before: previousBook,
+      after: buildBookAuditSnapshot(updatedBook),
+      summary: `Updated book ${updatedBook.name}`,
+    });
 
     res.status(200).json({
       success: true,
@@ -1758,9 +1843,26 @@ exports.deleteBook = async (req, res) => {
         keysToDelete.push(asset.key);
       }
     });
+    const revisionKeys = await collectRevisionAssetKeys(book._id);
+    revisionKeys.forEach((key) => {
+      if (!keysToDelete.includes(key)) {
+        keysToDelete.push(key);
+      }
+    });
 
     await Book.findByIdAndDelete(id);
     await cleanupKeys(keysToDelete);
+    await deleteBookRevisions(book._id);
+    await StorybookComment.deleteMany({ bookId: book._id });
+
+    await recordAudit({
+      req,
+      action: 'delete',
+      resourceType: 'book',
+      targetId: book._id,
+      before: buildBookAuditSnapshot(book),
+      summary: `Deleted book ${book.name}`,
+    });
 
     res.status(200).json({
       success: true,
@@ -1804,7 +1906,7 @@ exports.getBookStorybooks = async (req, res) => {
             bookPages: book.pages || [],
             preferSnapshotAssets: true,
           });
-          return clonedAsset;
+          return attachSignedPrintUrls(clonedAsset);
         })
       ),
     });
@@ -1818,6 +1920,58 @@ exports.getBookStorybooks = async (req, res) => {
   }
 };
 
+// Page snapshots of an asset with fresh signed URLs; cover and dedication
+// pages also carry the book's current front-matter images
+const buildStorybookAssetPages = async (book, pdfAsset) => {
+  const pages = await attachFreshSignedUrlsToPages(pdfAsset.pages || [], {
+    bookPages: book.pages || [],
+    preferSnapshotAssets: true,
+  });
+
+  // For cover and dedication pages, ensure we include the latest character images
+  return Promise.all(
+    pages.map(async (page) => {
+      const clonedPage = { ...page };
+
+      // For cover pages, include the book's cover page data with fresh URLs
+      if (clonedPage.pageType === 'cover' && book.coverPage) {
+        clonedPage.coverPage = clonePlainObject(book.coverPage);
+        if (book.coverPage.characterImage) {
+          clonedPage.coverPage.characterImage = await attachFreshSignedUrl(book.coverPage.characterImage);
+        }
+        if (book.coverPage.characterImageOriginal) {
+          clonedPage.coverPage.characterImageOriginal = await attachFreshSignedUrl(book.coverPage.characterImageOriginal);
+        }
+        if (book.coverPage.backgroundImage) {
+          clonedPage.coverPage.backgroundImage = await attachFreshSignedUrl(book.coverPage.backgroundImage);
+        }
+        if (book.coverPage.qrCode) {
+          clonedPage.coverPage.qrCode = await attachFreshSignedUrl(book.coverPage.qrCode);
+        }
+      }
+
+      // For dedication pages, include the book's dedication page data with fresh URLs
+      if (clonedPage.pageType === 'dedication' && book.dedicationPage) {
+        clonedPage.dedicationPage = clonePlainObject(book.dedicationPage);
+        if (book.dedicationPage.kidImage) {
+          clonedPage.dedicationPage.kidImage = await attachFreshSignedUrl(book.dedicationPage.kidImage);
+        }
+        if (book.dedicationPage.generatedImage) {
+          clonedPage.dedicationPage.generatedImage = await attachFreshSignedUrl(book.dedicationPage.generatedImage);
+        }
+        if (book.dedicationPage.generatedImageOriginal) {
+          clonedPage.dedicationPage.generatedImageOriginal = await attachFreshSignedUrl(book.dedicationPage.generatedImageOriginal);
+        }
+        if (book.dedicationPage.backgroundImage) {
+          clonedPage.dedicationPage.backgroundImage = await attachFreshSignedUrl(book.dedicationPage.backgroundImage);
+        }
+      }
+
+      return clonedPage;
+    })
+  );
+};
+
 /**
  * @route GET /api/books/:id/storybooks/:assetId/pages
  */
@@ -1844,53 +1998,7 @@ exports.getStorybookAssetPages = async (req, res) => {
       });
     }
 
-    const pages = await attachFreshSignedUrlsToPages(pdfAsset.pages || [], {
-      bookPages: book.pages || [],
-      preferSnapshotAssets: true,
-    });
-
-    // For cover and dedication pages, ensure we include the latest character images
-    const enhancedPages = await Promise.all(
-      pages.map(async (page) => {
-        const clonedPage = { ...page };
-
-        // For cover pages, include the book's cover page data with fresh URLs
-        if (clonedPage.pageType === 'cover' && book.coverPage) {
-          clonedPage.coverPage = clonePlainObject(book.coverPage);
-          if (book.coverPage.characterImage) {
-            clonedPage.coverPage.characterImage = await attachFreshSignedUrl(book.coverPage.characterImage);
-          }
-          if (book.coverPage.characterImageOriginal) {
-            clonedPage.coverPage.characterImageOriginal = await attachFreshSignedUrl(book.coverPage.characterImageOriginal);
-          }
-          if (book.coverPage.backgroundImage) {
-            clonedPage.coverPage.backgroundImage = await attachFreshSignedUrl(book.coverPage.backgroundImage);
-          }
-          if (book.coverPage.qrCode) {
-            clonedPage.coverPage.qrCode = await attachFreshSignedUrl(book.coverPage.qrCode);
-          }
-        }
-
-        // For dedication pages, include the book's dedication page data with fresh URLs
-        if (clonedPage.pageType === 'dedication' && book.dedicationPage) {
-          clonedPage.dedicationPage = clonePlainObject(book.dedicationPage);
-          if (book.dedicationPage.kidImage) {
-            clonedPage.dedicationPage.kidImage = await attachFreshSignedUrl(book.dedicationPage.kidImage);
-          }
-          if (book.dedicationPage.generatedImage) {
-            clonedPage.dedicationPage.generatedImage = await attachFreshSignedUrl(book.dedicationPage.generatedImage);
-          }
-          if (book.dedicationPage.generatedImageOriginal) {
-            clonedPage.dedicationPage.generatedImageOriginal = await attachFreshSignedUrl(book.dedicationPage.generatedImageOriginal);
-          }
-          if (book.dedicationPage.backgroundImage) {
-            clonedPage.dedicationPage.backgroundImage = await attachFreshSignedUrl(book.dedicationPage.backgroundImage);
-          }
-        }
-
-        return clonedPage;
-      })
-    );
+    const enhancedPages = await buildStorybookAssetPages(book, pdfAsset);
 
     res.status(200).json({
       success: true,
@@ -1943,6 +2051,17 @@ exports.generateStorybook = async (req, res) => {
       });
     }
 
+    let language;
+    try {
+      language = resolveRunLanguage(book, req.body.language);
+    } catch (languageError) {
+      return res.status(languageError.statusCode || 400).json({
+        success: false,
+        message: languageError.message,
+      });
+    }
+    const bookLanguage = getBookLanguage(book);
+
     if ((!readerName || !readerGender) && readerId) {
       const reader = await User.findById(readerId).select('name gender').lean();
       if (reader?.name) {
@@ -1958,6 +2077,12 @@ exports.generateStorybook = async (req, res) => {
       }
     }
 
+    const storyVariables = await resolveReaderStoryVariables({
+      readerId,
+      readerName,
+      readerGender,
+    });
+
     const characterFiles = req.files?.characterImages || [];
     let characterCursor = 0;
     const bookSlug = book.slug || `${slugify(book.name)}-${book._id.toString().slice(-6)}`;
@@ -2027,10 +2152,10 @@ exports.generateStorybook = async (req, res) => {
       const baseText =
         typeof inputPage.text === 'string' && inputPage.text.trim().length > 0
           ? inputPage.text
-          : bookPage.text || '';
-      const pageText = replaceReaderPlaceholders(baseText, readerName, readerGender);
+          : resolvePageText(bookPage, language, bookLanguage);
+      const pageText = renderStoryTemplate(baseText, storyVariables);
       const baseQuote = inputPage.hebrewQuote || inputPage.quote || '';
-      const resolvedQuote = replaceReaderPlaceholders(baseQuote, readerName, readerGender);
+      const resolvedQuote = renderStoryTemplate(baseQuote, storyVariables);
 
       const requestedPosition = normalizeCharacterPosition(
         inputPage.characterPosition,
@@ -2088,6 +2213,7 @@ exports.generateStorybook = async (req, res) => {
       book,
       readerName,
       readerGender,
+      storyVariables,
       storyPages,
     });
     if (coverFrontMatter) {
@@ -2097,6 +2223,7 @@ exports.generateStorybook = async (req, res) => {
       book,
       readerName,
       readerGender,
+      storyVariables,
       storyPages,
     });
     if (dedicationFrontMatter) {
@@ -2106,9 +2233,18 @@ exports.generateStorybook = async (req, res) => {
 
     const finalTitle = title || `${book.name} Storybook`;
 
-    const { buffer: pdfBuffer, pageCount, renderedPages } = await generateStorybookPdf({
+    const {
+      buffer: pdfBuffer,
+      pageCount,
+      renderedPages,
+      textIssues,
+    } = await generateStorybookPdf({
       title: finalTitle,
       pages: assembledPages,
+      language,
+      pageLayout: book.pageLayout,
+      bookFonts: await loadBookFonts(book),
+      usageContext: { bookId: book._id },
     });
 
     const pdfKey = generateBookPdfKey(bookSlug, finalTitle);
@@ -2249,6 +2385,8 @@ exports.generateStorybook = async (req, res) => {
       book.markModified('dedicationPage');
     }
 
+    const bookRevision = await ensureBaselineRevision(book, { actor: resolveActor(req) });
+
     const pdfAsset = {
       key: pdfKey,
       url,
@@ -2263,12 +2401,15 @@ exports.generateStorybook = async (req, res) => {
       readerId: readerId || null,
       readerName: readerName || '',
       readerGender: readerGender || '',
+      language,
       userId: readerId || null,
       variant: 'standard',
       derivedFromAssetId: null,
       derivedFromAssetKey: null,
       confirmedAt: null,
-      metadata: null,
+      bookRevision,
+      // Nikud dropped because no storybook font has the marks
+      metadata: textIssues?.length ? { textIssues } : null,
       pages: pagesSnapshot,
     };
 
@@ -2287,6 +2428,17 @@ exports.generateStorybook = async (req, res) => {
     const keysToDelete = temporaryUploads.filter(key => !keysToKeep.has(key));
     await cleanupKeys(keysToDelete);
 
+    const savedPdfAsset = book.pdfAssets.find((asset) => asset.key === pdfKey) || pdfAsset;
+    await recordAudit({
+      req,
+      action: 'create',
+      resourceType: 'storybook',
+      targetId: savedPdfAsset._id || pdfKey,
+      after: summarizePdfAssetForAudit(savedPdfAsset),
+      summary: `Generated storybook "${finalTitle}" for ${book.name}`,
+      metadata: { bookId: book._id.toString() },
+    });
+
     const hydratedPages = await attachFreshSignedUrlsToPages(pdfAsset.pages || [], {
       bookPages: book.pages || [],
       preferSnapshotAssets: true,
@@ -2303,15 +2455,18 @@ exports.generateStorybook = async (req, res) => {
   } catch (error) {
     console.error('Error generating storybook:', error);
     await cleanupKeys(temporaryUploads);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: 'Failed to generate storybook',
+      message: error.statusCode ? error.message : 'Failed to generate storybook',
+      errors: error.errors,
       error: error.message,
     });
   }
 };
 
 /**
+ * Regenerate a single page. Passing `commentId` appends that page comment's
+ * text to the prompt and links the resulting generation back to the thread.
  * @route POST /api/books/:id/storybooks/:assetId/pages/:pageOrder/regenerate
  */
 exports.regenerateStorybookPage = async (req, res) => {
@@ -2323,6 +2478,8 @@ exports.regenerateStorybookPage = async (req, res) => {
       readerId: readerIdOverride,
       readerName: readerNameOverride,
       readerGender: readerGenderOverride,
+      commentId,
+      promptAddendum: promptAddendumOverride,
     } = req.body || {};
 
     const book = await Book.findById(bookId);
@@ -2360,8 +2517,35 @@ exports.regenerateStorybookPage = async (req, res) => {
       });
     }
 
+    let sourceComment = null;
+    if (commentId) {
+      sourceComment = mongoose.Types.ObjectId.isValid(commentId)
+        ? await StorybookComment.findOne({
+            _id: commentId,
+            bookId: book._id,
+            pdfAssetId: pdfAsset._id,
+          })
+        : null;
+      if (!sourceComment) {
+        return res.status(404).json({
+          success: false,
+          message: 'Comment not found for this storybook',
+        });
+      }
+      if (Number(sourceComment.pageOrder) !== Number(pageOrder)) {
+        return res.status(400).json({
+          success: false,
+          message: `Comment belongs to page ${sourceComment.pageOrder}, not page ${pageOrder}`,
+        });
+      }
+    }
+    const promptAddendum = normalizeString(promptAddendumOverride) || sourceComment?.text || '';
+
     const readerId = readerIdOverride || pdfAsset.readerId || userId;
     const readerName = readerNameOverride || pdfAsset.readerName || '';
+    const previousPageSnapshot = cloneDocument(
+      (pdfAsset.pages || []).find((page) => Number(page.order) === Number(pageOrder))
+    );
 
     let readerGender =
       normalizeString(req.body.readerGender) ||
@@ -2383,8 +2567,22 @@ exports.regenerateStorybookPage = async (req, res) => {
       readerId,
       readerName,
       readerGender,
+      promptAddendum,
     });
 
+    if (sourceComment) {
+      sourceComment.regenerations.push({
+        generationId: result.generation?._id || null,
+        promptAddendum,
+        requestedBy: {
+          accountId: req.account?._id || null,
+          name: req.account?.name || '',
+        },
+        requestedAt: new Date(),
+      });
+      await sourceComment.save();
+    }
+
     const hydratedPdfAssetPage = result.pdfAssetPage
       ? (
           await attachFreshSignedUrlsToPages([result.pdfAssetPage], {
@@ -2407,6 +2605,23 @@ exports.regenerateStorybookPage = async (req, res) => {
 
     const hydratedCharacterAsset = await attachFreshSignedUrl(result.characterAsset);
 
+    await recordAudit({
+      req,
+      action: 'update',
+      resourceType: 'storybook',
+      targetId: pdfAsset._id || pdfAsset.key,
+      before: { page: previousPageSnapshot },
+      after: { page: cloneDocument(result.pdfAssetPage) },
+      summary: `Regenerated page ${pageOrder} of "${pdfAsset.title || book.name}"`,
+      metadata: {
+        bookId,
+        pageOrder: Number(pageOrder),
+        trainingId: String(trainingId),
+        ...(sourceComment ? { commentId: String(sourceComment._id) } : {}),
+        ...(promptAddendum ? { promptAddendum } : {}),
+      },
+    });
+
     res.status(200).json({
       success: true,
       message: 'Storybook page regenerated successfully',
@@ -2420,6 +2635,7 @@ exports.regenerateStorybookPage = async (req, res) => {
         dedicationPage: result.dedicationPage,
         pageType: result.pageType,
         order: result.order,
+        comment: sourceComment,
       },
     });
   } catch (error) {
@@ -2472,6 +2688,8 @@ exports.regenerateStorybookPdf = async (req, res) => {
       });
     }
 
+    const previousPdfAsset = summarizePdfAssetForAudit(pdfAssetDoc);
+
     const bookSlug = book.slug || `${slugify(book.name)}-${book._id.toString().slice(-6)}`;
     const storyPages = [];
     let backgroundRemovalApplied = false;
@@ -2515,7 +2733,9 @@ exports.regenerateStorybookPdf = async (req, res) => {
         pageId: bookPage._id,
         order: Number.isFinite(bookPage.order) ? Number(bookPage.order) : null,
         bookPageOrder: Number.isFinite(bookPage.order) ? Number(bookPage.order) : null,
-        text: snapshot.text || bookPage.text || '',
+        text:
+          snapshot.text ||
+          resolvePageText(bookPage, pdfAssetDoc.language, getBookLanguage(book)),
         quote: snapshot.quote || '',
         background: backgroundSource,
         character: characterSource,
@@ -2566,17 +2786,13 @@ exports.regenerateStorybookPdf = async (req, res) => {
       normalizeString(pdfAssetDoc.readerGender) ||
       '';
 
-    if ((!readerName || !readerGender) && resolvedReaderId) {
-      const readerDoc = await User.findById(resolvedReaderId).select('name gender').lean();
-      if (readerDoc) {
-        if (!readerName && readerDoc.name) {
-          readerName = normalizeString(readerDoc.name);
-        }
-        if (!readerGender && readerDoc.gender) {
-          readerGender = normalizeString(readerDoc.gender);
-        }
-      }
-    }
+    const storyVariables = await resolveReaderStoryVariables({
+      readerId: resolvedReaderId,
+      readerName,
+      readerGender,
+    });
+    readerName = readerName || storyVariables.name;
+    readerGender = readerGender || storyVariables.gender;
 
     const frontMatterPages = [];
 
@@ -2595,6 +2811,7 @@ exports.regenerateStorybookPdf = async (req, res) => {
       book,
       readerName,
       readerGender,
+      storyVariables,
       storyPages,
       jobPage: coverJobPage,
     });
@@ -2618,6 +2835,7 @@ exports.regenerateStorybookPdf = async (req, res) => {
       book,
       readerName,
       readerGender,
+      storyVariables,
       storyPages,
       jobPage: dedicationJobPage,
     });
@@ -2627,9 +2845,18 @@ exports.regenerateStorybookPdf = async (req, res) => {
     const assembledPages = [...frontMatterPages, ...storyPages];
 
     const finalTitle = overrideTitle || pdfAssetDoc.title || `${book.name} Storybook`;
-    const { buffer: pdfBuffer, pageCount, renderedPages } = await generateStorybookPdf({
+    const {
+      buffer: pdfBuffer,
+      pageCount,
+      renderedPages,
+      textIssues,
+    } = await generateStorybookPdf({
       title: finalTitle,
       pages: assembledPages,
+      language: pdfAssetDoc.language,
+      pageLayout: book.pageLayout,
+      bookFonts: await loadBookFonts(book),
+      usageContext: { bookId: book._id },
     });
 
     await uploadBufferToS3(pdfBuffer, pdfAssetDoc.key, 'application/pdf', { acl: 'public-read' });
@@ -2736,9 +2963,11 @@ exports.regenerateStorybookPdf = async (req, res) => {
     pdfAssetDoc.pageCount = pageCount;
     pdfAssetDoc.updatedAt = now;
     pdfAssetDoc.pages = pagesSnapshot;
+    pdfAssetDoc.metadata = { ...(pdfAssetDoc.metadata || {}), textIssues: textIssues || [] };
     pdfAssetDoc.readerId = resolvedReaderId || null;
     pdfAssetDoc.readerName = readerName;
     pdfAssetDoc.readerGender = readerGender;
+    pdfAssetDoc.bookRevision = await ensureBaselineRevision(book, { actor: resolveActor(req) });
 
     if (backgroundRemovalApplied) {
       book.markModified('pages');
@@ -2746,6 +2975,17 @@ exports.regenerateStorybookPdf = async (req, res) => {
     book.markModified('pdfAssets');
     await book.save();
 
+    await recordAudit({
+      req,
+      action: 'update',
+      resourceType: 'storybook',
+      targetId: pdfAssetDoc._id || pdfAssetDoc.key,
+      before: previousPdfAsset,
+      after: summarizePdfAssetForAudit(pdfAssetDoc),
+      summary: `Rebuilt storybook PDF "${finalTitle}"`,
+      metadata: { bookId: book._id.toString() },
+    });
+
     const hydratedPages = await attachFreshSignedUrlsToPages(pagesSnapshot, {
       bookPages: book.pages || [],
       preferSnapshotAssets: true,
@@ -2761,14 +3001,164 @@ exports.regenerateStorybookPdf = async (req, res) => {
     });
   } catch (error) {
     console.error('Error regenerating storybook PDF:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: 'Failed to regenerate storybook PDF',
+      message: error.statusCode ? error.message : 'Failed to regenerate storybook PDF',
+      errors: error.errors,
       error: error.message,
     });
   }
 };
 
+/**
+ * Split the spreads of a storybook asset into single pages and store the result
+ * as its `split` variant, replacing any earlier split of the same asset.
+ * `via` tells `storybook.confirmed` webhook receivers who confirmed it.
+ */
+const confirmStorybookAsset = async (book, pdfAsset, { via = 'dashboard' } = {}) => {
+  const sourceBuffer = await downloadFromS3(pdfAsset.key);
+  if (!sourceBuffer || !sourceBuffer.length) {
+    throw new Error('Failed to download the original PDF for confirmation');
+  }
+
+  const sourcePdf = await PDFDocument.load(sourceBuffer);
+  const splitPdf = await PDFDocument.create();
+  const originalPageCount = sourcePdf.getPageCount();
+  // A right-to-left spread is read right half first
+  const isRtl = isRtlLanguage(pdfAsset.language);
+  if (isRtl) {
+    splitPdf.catalog.getOrCreateViewerPreferences().setReadingDirection(ReadingDirection.R2L);
+  }
+
+  for (let index = 0; index < originalPageCount; index += 1) {
+    const [sourcePageCopy] = await splitPdf.copyPages(sourcePdf, [index]);
+    const sourcePage = sourcePdf.getPage(index);
+    const pageWidth = sourcePage.getWidth();
+    const pageHeight = sourcePage.getHeight();
+    const halfWidth = pageWidth / 2;
+
+    if (index === 0) {
+      splitPdf.addPage(sourcePageCopy);
+      continue;
+    }
+
+    const [rightPage] = await splitPdf.copyPages(sourcePdf, [index]);
+    const leftPage = sourcePageCopy;
+
+    const applyBox = (page) => {
+      if (typeof page.setMediaBox === 'function') page.setMediaBox(0, 0, halfWidth, pageHeight);
+      if (typeof page.setCropBox === 'function') page.setCropBox(0, 0, halfWidth, pageHeight);
+      if (typeof page.setBleedBox === 'function') page.setBleedBox(0, 0, halfWidth, pageHeight);
+      if (typeof page.setTrimBox === 'function') page.setTrimBox(0, 0, halfWidth, pageHeight);
+      if (typeof page.setArtBox === 'function') page.setArtBox(0, 0, halfWidth, pageHeight);
+    };
+
+    applyBox(leftPage);
+    rightPage.translateContent(-halfWidth, 0);
+    applyBox(rightPage);
+    (isRtl ? [rightPage, leftPage] : [leftPage, rightPage]).forEach((page) =>
+      splitPdf.addPage(page)
+    );
+  }
+
+  const splitPdfBytes = await splitPdf.save();
+  const buffer = Buffer.from(splitPdfBytes);
+
+  const bookSlug = book.slug || `${slugify(book.name)}-${book._id.toString().slice(-6)}`;
+  const baseTitle = pdfAsset.title || `${book.name} Storybook`;
+  const splitTitle = `${baseTitle} (Split)`;
+  const splitKey = generateBookPdfKey(bookSlug, `${baseTitle}-split`);
+  const { url } = await uploadBufferToS3(buffer, splitKey, 'application/pdf', {
+    acl: 'public-read',
+  });
+
+  const now = new Date();
+  const splitVariant = {
+    key: splitKey,
+    url,
+    size: buffer.length,
+    contentType: 'application/pdf',
+    title: splitTitle,
+    pageCount: splitPdf.getPageCount(),
+    createdAt: now,
+    updatedAt: now,
+    trainingId: pdfAsset.trainingId || null,
+    storybookJobId: pdfAsset.storybookJobId || null,
+    readerId: pdfAsset.readerId || null,
+    readerName: pdfAsset.readerName || '',
+    language: pdfAsset.language,
+    userId: pdfAsset.userId || null,
+    variant: 'split',
+    derivedFromAssetId: pdfAsset._id || null,
+    derivedFromAssetKey: pdfAsset.key || null,
+    confirmedAt: now,
+    bookRevision: pdfAsset.bookRevision ?? null,
+    metadata: {
+      splitStrategy: 'vertical-half',
+      originalPageCount,
+      generatedPageCount: splitPdf.getPageCount(),
+      preservedCoverPage: true,
+    },
+    pages: (pdfAsset.pages || []).map((page) => cloneDocument(page)),
+  };
+
+  const previousSplitAssets = (book.pdfAssets || []).filter((asset) => {
+    if (asset.variant !== 'split') return false;
+    if (pdfAsset._id && asset.derivedFromAssetId) {
+      return asset.derivedFromAssetId.toString() === pdfAsset._id.toString();
+    }
+    return asset.derivedFromAssetKey && asset.derivedFromAssetKey === pdfAsset.key;
+  });
+
+  const nextAssets = (book.pdfAssets || []).filter((asset) => {
+    if (asset.variant !== 'split') return true;
+    if (pdfAsset._id && asset.derivedFromAssetId) {
+      return asset.derivedFromAssetId.toString() !== pdfAsset._id.toString();
+    }
+    if (asset.derivedFromAssetKey) {
+      return asset.derivedFromAssetKey !== pdfAsset.key;
+    }
+    return true;
+  });
+  nextAssets.push(splitVariant);
+  pdfAsset.confirmedAt = now;
+  book.pdfAssets = nextAssets;
+  book.markModified('pdfAssets');
+  await book.save();
+
+  const savedSplitAsset =
+    book.pdfAssets.find((asset) => asset.key === splitKey) || splitVariant;
+
+  if (previousSplitAssets.length) {
+    Promise.allSettled(
+      previousSplitAssets
+        .filter((asset) => asset.key && asset.key !== splitKey)
+        .map((asset) => deleteFromS3(asset.key).catch(() => null))
+    ).catch(() => null);
+  }
+
+  await emitWebhookEvent('storybook.confirmed', {
+    bookId: book._id.toString(),
+    bookName: book.name,
+    assetId: pdfAsset._id ? pdfAsset._id.toString() : null,
+    storybookJobId: pdfAsset.storybookJobId ? pdfAsset.storybookJobId.toString() : null,
+    userId: pdfAsset.userId ? pdfAsset.userId.toString() : null,
+    readerName: pdfAsset.readerName || '',
+    title: baseTitle,
+    confirmedAt: now,
+    confirmedVia: via,
+    pdf: { key: pdfAsset.key, url: pdfAsset.url, pageCount: pdfAsset.pageCount },
+    splitPdf: {
+      key: savedSplitAsset.key,
+      url: savedSplitAsset.url,
+      pageCount: savedSplitAsset.pageCount,
+    },
+  });
+  await notifyBookConfirmed({ book, pdfAsset, via });
+
+  return { savedSplitAsset, previousSplitAssets, splitKey, baseTitle };
+};
+
 exports.confirmStorybookPdf = async (req, res) => {
   try {
     const { id: bookId, assetId } = req.params;
@@ -2792,113 +3182,22 @@ exports.confirmStorybookPdf = async (req, res) => {
       });
     }
 
-    const sourceBuffer = await downloadFromS3(pdfAsset.key);
-    if (!sourceBuffer || !sourceBuffer.length) {
-      return res.status(500).json({
-        success: false,
-        message: 'Failed to download the original PDF for confirmation',
-      });
-    }
-
-    const sourcePdf = await PDFDocument.load(sourceBuffer);
-    const splitPdf = await PDFDocument.create();
-    const originalPageCount = sourcePdf.getPageCount();
-
-    for (let index = 0; index < originalPageCount; index += 1) {
-      const [sourcePageCopy] = await splitPdf.copyPages(sourcePdf, [index]);
-      const sourcePage = sourcePdf.getPage(index);
-      const pageWidth = sourcePage.getWidth();
-      const pageHeight = sourcePage.getHeight();
-      const halfWidth = pageWidth / 2;
-
-      if (index === 0) {
-        splitPdf.addPage(sourcePageCopy);
-        continue;
-      }
-
-      const [rightPage] = await splitPdf.copyPages(sourcePdf, [index]);
-      const leftPage = sourcePageCopy;
-
-      const applyBox = (page) => {
-        if (typeof page.setMediaBox === 'function') page.setMediaBox(0, 0, halfWidth, pageHeight);
-        if (typeof page.setCropBox === 'function') page.setCropBox(0, 0, halfWidth, pageHeight);
-        if (typeof page.setBleedBox === 'function') page.setBleedBox(0, 0, halfWidth, pageHeight);
-        if (typeof page.setTrimBox === 'function') page.setTrimBox(0, 0, halfWidth, pageHeight);
-        if (typeof page.setArtBox === 'function') page.setArtBox(0, 0, halfWidth, pageHeight);
-      };
-
-      applyBox(leftPage);
-      splitPdf.addPage(leftPage);
-
-      rightPage.translateContent(-halfWidth, 0);
-      applyBox(rightPage);
-      splitPdf.addPage(rightPage);
-    }
-
-    const splitPdfBytes = await splitPdf.save();
-    const buffer = Buffer.from(splitPdfBytes);
-
-    const bookSlug = book.slug || `${slugify(book.name)}-${book._id.toString().slice(-6)}`;
-    const baseTitle = pdfAsset.title || `${book.name} Storybook`;
-    const splitTitle = `${baseTitle} (Split)`;
-    const splitKey = generateBookPdfKey(bookSlug, `${baseTitle}-split`);
-    const { url } = await uploadBufferToS3(buffer, splitKey, 'application/pdf', {
-      acl: 'public-read',
-    });
-
-    const now = new Date();
-    const splitVariant = {
-      key: splitKey,
-      url,
-      size: buffer.length,
-      contentType: 'application/pdf',
-      title: splitTitle,
-      pageCount: splitPdf.getPageCount(),
-      createdAt: now,
-      updatedAt: now,
-      trainingId: pdfAsset.trainingId || null,
-      storybookJobId: pdfAsset.storybookJobId || null,
-      readerId: pdfAsset.readerId || null,
-      readerName: pdfAsset.readerName || '',
-      userId: pdfAsset.userId || null,
-      variant: 'split',
-      derivedFromAssetId: pdfAsset._id || null,
-      derivedFromAssetKey: pdfAsset.key || null,
-      confirmedAt: now,
+    const { savedSplitAsset, previousSplitAssets, splitKey, baseTitle } =
+      await confirmStorybookAsset(book, pdfAsset);
+
+    await recordAudit({
+      req,
+      action: 'update',
+      resourceType: 'storybook',
+      targetId: pdfAsset._id || pdfAsset.key,
+      before: { splitAssets: previousSplitAssets.map(summarizePdfAssetForAudit) },
+      after: { splitAssets: [summarizePdfAssetForAudit(savedSplitAsset)] },
+      summary: `Confirmed storybook "${baseTitle}"`,
       metadata: {
-        splitStrategy: 'vertical-half',
-        originalPageCount,
-        generatedPageCount: splitPdf.getPageCount(),
-        preservedCoverPage: true,
+        bookId: book._id.toString(),
+        splitAssetKey: splitKey,
       },
-      pages: (pdfAsset.pages || []).map((page) => cloneDocument(page)),
-    };
-
-    const previousSplitAssets = (book.pdfAssets || []).filter((asset) => {
-      if (asset.variant !== 'split') return false;
-      if (pdfAsset._id && asset.derivedFromAssetId) {
-        return asset.derivedFromAssetId.toString() === pdfAsset._id.toString();
-      }
-      return asset.derivedFromAssetKey && asset.derivedFromAssetKey === pdfAsset.key;
-    });
-
-    const nextAssets = (book.pdfAssets || []).filter((asset) => {
-      if (asset.variant !== 'split') return true;
-      if (pdfAsset._id && asset.derivedFromAssetId) {
-        return asset.derivedFromAssetId.toString() !== pdfAsset._id.toString();
-      }
-      if (asset.derivedFromAssetKey) {
-        return asset.derivedFromAssetKey !== pdfAsset.key;
-      }
-      return true;
     });
-    nextAssets.push(splitVariant);
-    book.pdfAssets = nextAssets;
-    book.markModified('pdfAssets');
-    await book.save();
-
-    const savedSplitAsset =
-      book.pdfAssets.find((asset) => asset.key === splitKey) || splitVariant;
 
     const hydratedPages = await attachFreshSignedUrlsToPages(savedSplitAsset.pages || [], {
       bookPages: book.pages || [],
@@ -2911,14 +3210,6 @@ exports.confirmStorybookPdf = async (req, res) => {
     };
     responseAsset.variant = 'split';
 
-    if (previousSplitAssets.length) {
-      Promise.allSettled(
-        previousSplitAssets
-          .filter((asset) => asset.key && asset.key !== splitKey)
-          .map((asset) => deleteFromS3(asset.key).catch(() => null))
-      ).catch(() => null);
-    }
-
     res.status(200).json({
       success: true,
       message: 'Storybook confirmed and split PDF generated successfully',
@@ -2937,17 +3228,784 @@ exports.confirmStorybookPdf = async (req, res) => {
   }
 };
 
-exports.selectStorybookPageCandidate = async (req, res) => {
+/**
+ * @route POST /api/books/:id/storybooks/:assetId/print
+ */
+exports.generatePrintStorybookPdf = async (req, res) => {
   try {
-    const { id: bookId, assetId, pageOrder } = req.params;
-    const { candidateIndex } = req.body || {};
-
-    const result = await applyStorybookCandidateSelection({
-      bookId,
-      assetId,
-      pageOrder,
-      candidateIndex,
-    });
+    const { id: bookId, assetId } = req.params;
+    const { trimWidthMm, trimHeightMm, bleedMm, safeMarginMm, spineWidthMm } = req.body || {};
+
+    const book = await Book.findById(bookId);
+    if (!book) {
+      return res.status(404).json({
+        success: false,
+        message: 'Book not found',
+      });
+    }
+
+    const pdfAsset =
+      book.pdfAssets.id(assetId) ||
+      book.pdfAssets.find((asset) => asset.key === assetId);
+
+    if (!pdfAsset) {
+      return res.status(404).json({
+        success: false,
+        message: 'Storybook asset not found',
+      });
+    }
+
+    if (pdfAsset.variant === 'print') {
+      return res.status(400).json({
+        success: false,
+        message: 'Print files are generated from the confirmed storybook, not from another print file',
+      });
+    }
+
+    if (!isStorybookAssetConfirmed(book, pdfAsset)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Confirm the storybook before generating print files',
+      });
+    }
+
+    // A split PDF holds single pages without bleed; print files are always laid
+    // out from the spreads of the storybook it was cut from
+    const spreadAsset =
+      pdfAsset.variant === 'split' ? findSplitSourceAsset(book, pdfAsset) : pdfAsset;
+    if (!spreadAsset) {
+      return res.status(409).json({
+        success: false,
+        message: 'The storybook this split PDF was made from no longer exists',
+      });
+    }
+
+    const sourcePages = (spreadAsset.pages || [])
+      .map((page) => (typeof page.toObject === 'function' ? page.toObject() : page))
+      .sort((a, b) => (Number(a.order) || 0) - (Number(b.order) || 0));
+
+    if (!sourcePages.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Storybook has no page snapshots to print',
+      });
+    }
+
+    const baseTitle = (spreadAsset.title || `${book.name} Storybook`).replace(
+      /\s*\(Split\)$/,
+      ''
+    );
+    const { interior, cover, spec, issues } = await generatePrintStorybook({
+      title: baseTitle,
+      pages: sourcePages,
+      spec: { trimWidthMm, trimHeightMm, bleedMm, safeMarginMm, spineWidthMm },
+      language: spreadAsset.language,
+      pageLayout: book.pageLayout,
+      bookFonts: await loadBookFonts(book),
+    });
+
+    const bookSlug = book.slug || `${slugify(book.name)}-${book._id.toString().slice(-6)}`;
+    const printKey = generateBookPdfKey(bookSlug, `${baseTitle}-print`);
+    const { url } = await uploadBufferToS3(interior.buffer, printKey, 'application/pdf', {
+      acl: 'private',
+    });
+
+    let printCover = null;
+    if (cover) {
+      const coverKey = generateBookPdfKey(bookSlug, `${baseTitle}-print-cover`);
+      const { url: coverUrl } = await uploadBufferToS3(cover.buffer, coverKey, 'application/pdf', {
+        acl: 'private',
+      });
+      printCover = {
+        key: coverKey,
+        url: coverUrl,
+        size: cover.buffer.length,
+        contentType: 'application/pdf',
+      };
+    }
+
+    const now = new Date();
+    const printVariant = {
+      key: printKey,
+      url,
+      size: interior.buffer.length,
+      contentType: 'application/pdf',
+      title: `${baseTitle} (Print)`,
+      pageCount: interior.pageCount,
+      createdAt: now,
+      updatedAt: now,
+      trainingId: pdfAsset.trainingId || null,
+      storybookJobId: pdfAsset.storybookJobId || null,
+      readerId: pdfAsset.readerId || null,
+      readerName: pdfAsset.readerName || '',
+      readerGender: pdfAsset.readerGender || '',
+      language: pdfAsset.language,
+      userId: pdfAsset.userId || null,
+      variant: 'print',
+      derivedFromAssetId: pdfAsset._id || null,
+      derivedFromAssetKey: pdfAsset.key || null,
+      confirmedAt: pdfAsset.confirmedAt || now,
+      bookRevision: pdfAsset.bookRevision ?? null,
+      printCover,
+      metadata: {
+        print: spec,
+        preflight: {
+          checkedAt: now,
+          issues,
+        },
+      },
+      pages: sourcePages.map((page) => cloneDocument(page)),
+    };
+
+    const previousPrintAssets = (book.pdfAssets || []).filter(
+      (asset) => asset.variant === 'print' && isDerivedFromAsset(asset, pdfAsset)
+    );
+    book.pdfAssets = (book.pdfAssets || []).filter(
+      (asset) => !(asset.variant === 'print' && isDerivedFromAsset(asset, pdfAsset))
+    );
+    book.pdfAssets.push(printVariant);
+    book.markModified('pdfAssets');
+    await book.save();
+
+    const savedPrintAsset = book.pdfAssets.find((asset) => asset.key === printKey) || printVariant;
+
+    await recordAudit({
+      req,
+      action: 'update',
+      resourceType: 'storybook',
+      targetId: pdfAsset._id || pdfAsset.key,
+      before: { printAssets: previousPrintAssets.map(summarizePdfAssetForAudit) },
+      after: { printAssets: [summarizePdfAssetForAudit(savedPrintAsset)] },
+      summary: `Generated print files for "${baseTitle}"`,
+      metadata: {
+        bookId: book._id.toString(),
+        printAssetKey: printKey,
+        printCoverKey: printCover ? printCover.key : null,
+      },
+    });
+
+    if (previousPrintAssets.length) {
+      Promise.allSettled(
+        previousPrintAssets.flatMap((asset) =>
+          [asset.key, asset.printCover && asset.printCover.key]
+            .filter((key) => key && key !== printKey)
+            .map((key) => deleteFromS3(key).catch(() => null))
+        )
+      ).catch(() => null);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: issues.length
+        ? `Print files generated with ${issues.length} preflight warning(s)`
+        : 'Print files generated successfully',
+      data: await attachSignedPrintUrls(cloneDocument(savedPrintAsset)),
+      meta: {
+        sourceAssetId: pdfAsset._id ? pdfAsset._id.toString() : null,
+        issues,
+      },
+    });
+  } catch (error) {
+    console.error('Error generating print storybook PDF:', error);
+    const statusCode = error.statusCode || error.status || 500;
+    res.status(statusCode).json({
+      success: false,
+      message: statusCode === 500 ? 'Failed to generate print files' : error.message,
+      errors: error.errors,
+      error: error.message,
+    });
+  }
+};
+
+const STORYBOOK_EXPORT_FORMATS = new Set(['epub']);
+
+/**
+ * @route GET /api/books/:id/storybooks/:assetId/export?format=epub
+ */
+exports.exportStorybook = async (req, res) => {
+  try {
+    const { id: bookId, assetId } = req.params;
+    const format = (req.query.format || 'epub').toString().trim().toLowerCase();
+
+    if (!STORYBOOK_EXPORT_FORMATS.has(format)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unsupported export format "${format}"`,
+      });
+    }
+
+    const book = await Book.findById(bookId);
+    if (!book) {
+      return res.status(404).json({
+        success: false,
+        message: 'Book not found',
+      });
+    }
+
+    const pdfAsset =
+      book.pdfAssets.id(assetId) ||
+      book.pdfAssets.find((asset) => asset.key === assetId);
+
+    if (!pdfAsset) {
+      return res.status(404).json({
+        success: false,
+        message: 'Storybook asset not found',
+      });
+    }
+
+    if (!isStorybookAssetConfirmed(book, pdfAsset)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Confirm the storybook before exporting it',
+      });
+    }
+
+    if (!Array.isArray(pdfAsset.pages) || !pdfAsset.pages.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Storybook has no page snapshots to export',
+      });
+    }
+
+    const title = pdfAsset.title || book.name || 'Storybook';
+    const { buffer } = await generateStorybookEpub({
+      title,
+      identifier: `${book._id}:${pdfAsset._id || pdfAsset.key}`,
+      language: pdfAsset.language || getBookLanguage(book),
+      pages: pdfAsset.pages.map((page) =>
+        typeof page.toObject === 'function' ? page.toObject() : page
+      ),
+    });
+
+    const filename = `${slugify(title) || 'storybook'}.epub`;
+    res.set({
+      'Content-Type': 'application/epub+zip',
+      'Content-Disposition': `attachment; filename="${filename}"`,
+      'Content-Length': buffer.length,
+    });
+    res.status(200).send(buffer);
+  } catch (error) {
+    console.error('Error exporting storybook:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export storybook',
+      error: error.message,
+    });
+  }
+};
+
+const PROOF_LINK_TTL_DAYS = Number(process.env.PROOF_LINK_TTL_DAYS || 14);
+const PROOF_LINK_MAX_TTL_DAYS = 60;
+const PROOF_COMMENT_MAX_LENGTH = 2000;
+const PROOF_MAX_COMMENTS = 200;
+const PROOF_DECISIONS = {
+  approve: 'approved',
+  request_changes: 'changes_requested',
+};
+
+const getProofPortalBaseUrl = () =>
+  (process.env.PROOF_PORTAL_BASE_URL || process.env.CORS_ORIGIN || 'http://localhost:3000').replace(
+    /\/$/,
+    ''
+  );
+
+const buildProofUrl = (token) => `${getProofPortalBaseUrl()}/proof/${token}`;
+
+// Proof state lives on the asset's metadata so the Storybooks page sees the
+// parent's decision without another request
+const readProofState = (pdfAsset) => {
+  const proof = pdfAsset?.metadata?.proof;
+  return proof && typeof proof === 'object' ? proof : null;
+};
+
+const writeProofState = (book, pdfAsset, proof) => {
+  pdfAsset.metadata = { ...(pdfAsset.metadata || {}), proof };
+  book.markModified('pdfAssets');
+};
+
+// Parents and staff can act on a proof at the same time, so comments,
+// decisions and revocations are single atomic updates of the asset's proof.
+// The filter pins the link and takes `guard` conditions on the proof; the
+// result's modifiedCount is 0 when the proof no longer matches.
+const updateProofAtomically = (book, pdfAsset, proof, guard, update) =>
+  Book.updateOne(
+    {
+      _id: book._id,
+      pdfAssets: {
+        $elemMatch: {
+          _id: pdfAsset._id,
+          'metadata.proof.linkId': proof.linkId,
+          ...Object.fromEntries(
+            Object.entries(guard).map(([field, value]) => [`metadata.proof.${field}`, value])
+          ),
+        },
+      },
+    },
+    update
+  );
+
+const proofFieldUpdate = (fields) =>
+  Object.fromEntries(
+    Object.entries(fields).map(([field, value]) => [`pdfAssets.$.metadata.proof.${field}`, value])
+  );
+
+const serializeProofForPortal = (proof) => ({
+  status: proof.status,
+  expiresAt: proof.expiresAt,
+  recipientName: proof.recipientName || '',
+  decidedAt: proof.decidedAt || null,
+  decidedBy: proof.decidedBy || '',
+  decisionNote: proof.decisionNote || '',
+  comments: Array.isArray(proof.comments) ? proof.comments : [],
+});
+
+const resolveImageUrl = (asset) =>
+  (asset && (asset.signedUrl || asset.downloadUrl || asset.url)) || null;
+
+// Parents only get what they need to read the book: no prompts, candidate
+// images or ranking notes
+const toPortalPage = (page) => ({
+  order: page.order,
+  pageType: page.pageType || 'story',
+  text: safeText(page.text),
+  quote: safeText(page.quote),
+  characterPosition: page.characterPosition || 'auto',
+  renderedImage: resolveImageUrl(page.renderedImage),
+  background: resolveImageUrl(page.background),
+  character: resolveImageUrl(page.character) || resolveImageUrl(page.characterOriginal),
+});
+
+/**
+ * Loads the book and asset a proof token points at. Tokens stop working once
+ * they expire or when the link is revoked or replaced.
+ */
+const resolveProofContext = async (token) => {
+  const payload = verifyProofToken(token);
+  if (!payload || !mongoose.Types.ObjectId.isValid(payload.bid)) {
+    const error = new Error('This proof link is invalid or has expired');
+    error.statusCode = 410;
+    throw error;
+  }
+
+  const book = await Book.findById(payload.bid);
+  const pdfAsset = book ? book.pdfAssets.id(payload.aid) : null;
+  const proof = readProofState(pdfAsset);
+  if (!book || !pdfAsset || !proof || proof.linkId !== payload.lid || proof.revokedAt) {
+    const error = new Error('This proof link is invalid or has expired');
+    error.statusCode = 410;
+    throw error;
+  }
+
+  return { book, pdfAsset, proof };
+};
+
+const sendProofError = (res, error, fallbackMessage) => {
+  res.status(error.statusCode || error.status || 500).json({
+    success: false,
+    message: error.statusCode ? error.message : fallbackMessage,
+    error: error.message,
+  });
+};
+
+/**
+ * @route POST /api/books/:id/storybooks/:assetId/proof
+ */
+exports.createStorybookProofLink = async (req, res) => {
+  try {
+    const { id: bookId, assetId } = req.params;
+    const { expiresInDays, recipientName, notify = true } = req.body || {};
+
+    const ttlDays =
+      expiresInDays === undefined || expiresInDays === ''
+        ? PROOF_LINK_TTL_DAYS
+        : Number(expiresInDays);
+    if (!Number.isFinite(ttlDays) || ttlDays <= 0 || ttlDays > PROOF_LINK_MAX_TTL_DAYS) {
+      return res.status(400).json({
+        success: false,
+        message: `expiresInDays must be between 1 and ${PROOF_LINK_MAX_TTL_DAYS}`,
+      });
+    }
+
+    const book = await Book.findById(bookId);
+    if (!book) {
+      return res.status(404).json({
+        success: false,
+        message: 'Book not found',
+      });
+    }
+
+    const pdfAsset = book.pdfAssets.id(assetId);
+    if (!pdfAsset) {
+      return res.status(404).json({
+        success: false,
+        message: 'Storybook asset not found',
+      });
+    }
+
+    if (pdfAsset.variant === 'split' || pdfAsset.variant === 'print') {
+      return res.status(400).json({
+        success: false,
+        message: 'Proof links are shared for the generated storybook, not its split or print files',
+      });
+    }
+
+    const previousProof = readProofState(pdfAsset);
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + ttlDays * 24 * 60 * 60 * 1000);
+    const proof = {
+      linkId: crypto.randomBytes(12).toString('base64url'),
+      status: 'pending',
+      createdAt: now,
+      expiresAt,
+      revokedAt: null,
+      createdBy: {
+        accountId: req.account?._id ? req.account._id.toString() : null,
+        name: req.account?.name || '',
+      },
+      recipientName: normalizeString(recipientName),
+      decidedAt: null,
+      decidedBy: '',
+      decisionNote: '',
+      // Comments from an earlier link stay visible on the new one
+      comments: Array.isArray(previousProof?.comments) ? previousProof.comments : [],
+    };
+
+    writeProofState(book, pdfAsset, proof);
+    await book.save();
+
+    const token = createProofToken({
+      bookId: book._id,
+      assetId: pdfAsset._id,
+      linkId: proof.linkId,
+      expiresAt,
+    });
+
+    await recordAudit({
+      req,
+      action: 'update',
+      resourceType: 'storybook',
+      targetId: pdfAsset._id,
+      before: previousProof
+        ? { status: previousProof.status, expiresAt: previousProof.expiresAt }
+        : null,
+      after: { status: proof.status, expiresAt: proof.expiresAt },
+      summary: `Shared proof link for "${pdfAsset.title || book.name}"`,
+      metadata: { bookId: book._id.toString(), recipientName: proof.recipientName },
+    });
+
+    const url = buildProofUrl(token);
+    // Pass `notify: false` to share the link by hand instead of emailing the parent
+    const notification =
+      notify === false || notify === 'false'
+        ? null
+        : await notifyProofReady({
+            book,
+            pdfAsset,
+            proofUrl: url,
+            expiresAt,
+            recipientName: proof.recipientName,
+          });
+
+    res.status(201).json({
+      success: true,
+      message: !notification
+        ? 'Proof link created'
+        : notification.status === 'skipped'
+          ? 'Proof link created; the parent has unsubscribed from emails'
+          : `Proof link created and emailed to ${notification.to}`,
+      data: {
+        url,
+        token,
+        expiresAt,
+        proof,
+        notification: notification
+          ? { _id: notification._id, to: notification.to, status: notification.status }
+          : null,
+      },
+    });
+  } catch (error) {
+    console.error('Error creating proof link:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create proof link',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @route DELETE /api/books/:id/storybooks/:assetId/proof
+ */
+exports.revokeStorybookProofLink = async (req, res) => {
+  try {
+    const { id: bookId, assetId } = req.params;
+
+    const book = await Book.findById(bookId);
+    const pdfAsset = book ? book.pdfAssets.id(assetId) : null;
+    const proof = readProofState(pdfAsset);
+    if (!proof) {
+      return res.status(404).json({
+        success: false,
+        message: 'No proof link exists for this storybook',
+      });
+    }
+
+    let revokedProof = proof;
+    if (!proof.revokedAt) {
+      const revokedAt = new Date();
+      const result = await updateProofAtomically(
+        book,
+        pdfAsset,
+        proof,
+        { revokedAt: null },
+        { $set: proofFieldUpdate({ revokedAt }) }
+      );
+      revokedProof = { ...proof, revokedAt };
+
+      if (result.modifiedCount) {
+        await recordAudit({
+          req,
+          action: 'update',
+          resourceType: 'storybook',
+          targetId: pdfAsset._id,
+          before: { revokedAt: null },
+          after: { revokedAt },
+          summary: `Revoked proof link for "${pdfAsset.title || book.name}"`,
+          metadata: { bookId: book._id.toString() },
+        });
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Proof link revoked',
+      data: revokedProof,
+    });
+  } catch (error) {
+    console.error('Error revoking proof link:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke proof link',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @route GET /api/proofs/:token
+ */
+exports.getProof = async (req, res) => {
+  try {
+    const { book, pdfAsset, proof } = await resolveProofContext(req.params.token);
+    const pages = await buildStorybookAssetPages(book, pdfAsset);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        title: pdfAsset.title || book.name,
+        bookName: book.name,
+        readerName: pdfAsset.readerName || '',
+        proof: serializeProofForPortal(proof),
+        pages: pages
+          .slice()
+          .sort((a, b) => (Number(a.order) || 0) - (Number(b.order) || 0))
+          .map(toPortalPage),
+      },
+    });
+  } catch (error) {
+    console.error('Error loading proof:', error);
+    sendProofError(res, error, 'Failed to load proof');
+  }
+};
+
+/**
+ * @route POST /api/proofs/:token/comments
+ */
+exports.addProofComment = async (req, res) => {
+  try {
+    const { book, pdfAsset, proof } = await resolveProofContext(req.params.token);
+    const text = normalizeString(req.body?.text);
+    const pageOrder = Number(req.body?.pageOrder);
+
+    if (proof.status !== 'pending') {
+      return res.status(409).json({
+        success: false,
+        message: 'This proof has already been answered',
+      });
+    }
+    if (!text || text.length > PROOF_COMMENT_MAX_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `Comment must be between 1 and ${PROOF_COMMENT_MAX_LENGTH} characters`,
+      });
+    }
+    if (!(pdfAsset.pages || []).some((page) => Number(page.order) === pageOrder)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Comment must reference a page of this storybook',
+      });
+    }
+    const comments = Array.isArray(proof.comments) ? proof.comments : [];
+    if (comments.length >= PROOF_MAX_COMMENTS) {
+      return res.status(400).json({
+        success: false,
+        message: 'This proof has reached the comment limit',
+      });
+    }
+
+    const comment = {
+      id: crypto.randomBytes(8).toString('hex'),
+      pageOrder,
+      text,
+      authorName: normalizeString(req.body?.name) || proof.recipientName || 'Parent',
+      createdAt: new Date(),
+    };
+    // The guard re-checks the status and the comment limit at write time
+    const result = await updateProofAtomically(
+      book,
+      pdfAsset,
+      proof,
+      {
+        status: 'pending',
+        revokedAt: null,
+        [`comments.${PROOF_MAX_COMMENTS - 1}`]: { $exists: false },
+      },
+      { $push: proofFieldUpdate({ comments: comment }) }
+    );
+    if (!result.modifiedCount) {
+      return res.status(409).json({
+        success: false,
+        message: 'This proof has already been answered or has reached the comment limit',
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Comment added',
+      data: comment,
+    });
+  } catch (error) {
+    console.error('Error adding proof comment:', error);
+    sendProofError(res, error, 'Failed to add comment');
+  }
+};
+
+/**
+ * @route POST /api/proofs/:token/decision
+ */
+exports.submitProofDecision = async (req, res) => {
+  try {
+    const { book, pdfAsset, proof } = await resolveProofContext(req.params.token);
+    const status = PROOF_DECISIONS[req.body?.decision];
+    const note = normalizeString(req.body?.note);
+
+    if (!status) {
+      return res.status(400).json({
+        success: false,
+        message: 'Decision must be "approve" or "request_changes"',
+      });
+    }
+    if (proof.status !== 'pending') {
+      return res.status(409).json({
+        success: false,
+        message: 'This proof has already been answered',
+      });
+    }
+    if (status === 'changes_requested' && !note && !(proof.comments || []).length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Tell us what to change, either in a note or as page comments',
+      });
+    }
+
+    const decidedBy = normalizeString(req.body?.name) || proof.recipientName || 'Parent';
+    const decision = {
+      status,
+      decidedAt: new Date(),
+      decidedBy,
+      decisionNote: note.slice(0, PROOF_COMMENT_MAX_LENGTH),
+    };
+    // Only the first answer wins; a second parent or tab gets a 409
+    const result = await updateProofAtomically(
+      book,
+      pdfAsset,
+      proof,
+      { status: 'pending', revokedAt: null },
+      { $set: proofFieldUpdate(decision) }
+    );
+    if (!result.modifiedCount) {
+      return res.status(409).json({
+        success: false,
+        message: 'This proof has already been answered',
+      });
+    }
+
+    // Re-read so the book saved below carries every comment and the decision
+    const decidedBook = await Book.findById(book._id);
+    const decidedAsset = decidedBook?.pdfAssets.id(pdfAsset._id);
+    const nextProof = readProofState(decidedAsset) || { ...proof, ...decision };
+
+    let splitAssetKey = null;
+    if (status === 'approved') {
+      try {
+        // Same path as an admin confirming: builds the split PDF and saves the book
+        const { splitKey } = await confirmStorybookAsset(decidedBook, decidedAsset, {
+          via: 'proof-link',
+        });
+        splitAssetKey = splitKey;
+      } catch (confirmError) {
+        // Reopen the proof so the parent can approve again
+        await updateProofAtomically(
+          book,
+          pdfAsset,
+          proof,
+          { status, decidedAt: decision.decidedAt },
+          { $set: proofFieldUpdate({ status: 'pending', decidedAt: null, decidedBy: '' }) }
+        );
+        throw confirmError;
+      }
+    }
+
+    await recordAudit({
+      req,
+      action: 'update',
+      resourceType: 'storybook',
+      targetId: pdfAsset._id,
+      before: { proofStatus: proof.status },
+      after: { proofStatus: status },
+      summary: `${decidedBy} ${status === 'approved' ? 'approved' : 'requested changes to'} "${
+        pdfAsset.title || book.name
+      }" via proof link`,
+      metadata: { bookId: book._id.toString(), via: 'proof-link', splitAssetKey },
+    });
+
+    console.log(`📝 Proof for "${pdfAsset.title || book.name}" ${status} by ${decidedBy}`);
+
+    res.status(200).json({
+      success: true,
+      message:
+        status === 'approved'
+          ? 'Thank you! The storybook is approved.'
+          : 'Thank you! We will make the changes.',
+      data: serializeProofForPortal(nextProof),
+    });
+  } catch (error) {
+    console.error('Error submitting proof decision:', error);
+    sendProofError(res, error, 'Failed to submit decision');
+  }
+};
+
+exports.selectStorybookPageCandidate = async (req, res) => {
+  try {
+    const { id: bookId, assetId, pageOrder } = req.params;
+    const { candidateIndex } = req.body || {};
+
+    const result = await applyStorybookCandidateSelection({
+      bookId,
+      assetId,
+      pageOrder,
+      candidateIndex,
+    });
 
     const hydratedPages = result.pdfAssetPage
       ? await attachFreshSignedUrlsToPages([result.pdfAssetPage], {
@@ -2956,6 +4014,16 @@ exports.selectStorybookPageCandidate = async (req, res) => {
         })
       : [];
 
+    await recordAudit({
+      req,
+      action: 'update',
+      resourceType: 'storybook',
+      targetId: assetId,
+      after: { page: cloneDocument(result.pdfAssetPage) },
+      summary: `Selected candidate ${result.candidateIndex} for page ${pageOrder}`,
+      metadata: { bookId, pageOrder: Number(pageOrder), candidateIndex: result.candidateIndex },
+    });
+
     const hydratedCharacter = await attachFreshSignedUrl(result.characterAsset);
     const hydratedBookPage = result.page
       ? {
@@ -3007,6 +4075,8 @@ exports.updateBookStatus = async (req, res) => {
       });
     }
 
+    const previousBook = await Book.findById(id).select('status').lean();
+
     const book = await Book.findByIdAndUpdate(
       id,
       { status },
@@ -3020,6 +4090,16 @@ exports.updateBookStatus = async (req, res) => {
       });
     }
 
+    await recordAudit({
+      req,
+      action: 'update',
+      resourceType: 'book',
+      targetId: book._id,
+      before: { status: previousBook?.status || null },
+      after: { status: book.status },
+      summary: `${status === 'active' ? 'Activated' : 'Deactivated'} book ${book.name}`,
+    });
+
     res.status(200).json({
       success: true,
       message: `Book ${status === 'active' ? 'activated' : 'deactivated'} successfully`,
@@ -3035,6 +4115,13 @@ exports.updateBookStatus = async (req, res) => {
   }
 };
 
+// Fonts of the book a front matter preview is for; previews without one use the defaults
+const loadPreviewBookFonts = async (bookId) => {
+  if (!bookId || !mongoose.Types.ObjectId.isValid(bookId)) return null;
+  const book = await Book.findById(bookId).select('fonts').lean();
+  return book ? loadBookFonts(book) : null;
+};
+
 exports.generateCoverPreview = async (req, res) => {
   try {
     const { leftSide, rightSide, backgroundImageUrl, qrCodeUrl } = req.body;
@@ -3065,7 +4152,7 @@ exports.generateCoverPreview = async (req, res) => {
     }
 
     // Import the cover generator
-    const { generateCoverPage } = require('../utils/coverGenerator');
+    const { generateCoverPage, resolveCoverCopy } = require('../utils/coverGenerator');
 
     // Generate the cover preview
     const previewChildName =
@@ -3075,6 +4162,16 @@ exports.generateCoverPreview = async (req, res) => {
         ? leftSideData.childName.trim()
         : '';
 
+    const bookFonts = await loadPreviewBookFonts(req.body?.bookId);
+    const coverCopy = resolveCoverCopy({
+      leftSide: leftSideData,
+      rightSide: rightSideData,
+      childName: previewChildName,
+    });
+    assertFontCoverage(bookFonts, {
+      cover: [{ location: 'cover', text: Object.values(coverCopy).join('\n') }],
+    });
+
     const previewBuffer = await generateCoverPage({
       backgroundImage: backgroundImageBuffer || backgroundImageUrl,
       characterImage: null,
@@ -3082,6 +4179,7 @@ exports.generateCoverPreview = async (req, res) => {
       rightSide: rightSideData,
       qrCode: qrCodeBuffer || qrCodeUrl,
       childName: previewChildName,
+      fontFamily: bookFonts?.cover?.canvasFamily || null,
     });
 
     // Upload to S3 temporarily with a preview key
@@ -3101,9 +4199,10 @@ exports.generateCoverPreview = async (req, res) => {
     });
   } catch (error) {
     console.error('Error generating cover preview:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: 'Failed to generate cover preview',
+      message: error.statusCode ? error.message : 'Failed to generate cover preview',
+      errors: error.errors,
       error: error.message,
     });
   }
@@ -3130,12 +4229,18 @@ exports.generateDedicationPreview = async (req, res) => {
     // Import the dedication generator
     const { generateDedicationPage } = require('../utils/dedicationGenerator');
 
+    const bookFonts = await loadPreviewBookFonts(req.body?.bookId);
+    assertFontCoverage(bookFonts, {
+      dedication: [{ location: 'dedication page', text: `${title || ''}\n${secondTitle || ''}` }],
+    });
+
     // Generate the dedication preview
     const previewBuffer = await generateDedicationPage({
       backgroundImage: backgroundImageSource,
       kidImage: null,
       title: title || '',
       secondTitle: secondTitle || '',
+      fontFamily: bookFonts?.dedication?.canvasFamily || null,
     });
 
     // Upload to S3 temporarily with a preview key
@@ -3155,9 +4260,91 @@ exports.generateDedicationPreview = async (req, res) => {
     });
   } catch (error) {
     console.error('Error generating dedication preview:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to generate dedication preview',
+      errors: error.errors,
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Render one story page to a PNG preview. Multipart fields override the stored
+ * page: `backgroundImage` / `characterImage` files (or `backgroundImageUrl` /
+ * `characterImageUrl`), `text`, `quote`, `childName`, `language`,
+ * `characterPosition` and `pageLayout` (JSON). `removeBackground=true` and
+ * `removeCharacter=true` leave that image out.
+ * @route POST /api/books/:id/pages/:order/preview
+ */
+exports.generatePagePreview = async (req, res) => {
+  try {
+    const { id, order } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid book ID',
+      });
+    }
+
+    const book = await Book.findById(id)
+      .select('name language pages coverPage dedicationPage pageLayout fonts')
+      .lean();
+    if (!book) {
+      return res.status(404).json({
+        success: false,
+        message: 'Book not found',
+      });
+    }
+
+    const files = req.files || {};
+    const body = req.body || {};
+    const pickImage = (fileField, urlField) => {
+      const file = files[fileField]?.[0];
+      if (file) return { buffer: file.buffer };
+      const url = normalizeString(body[urlField]);
+      return url ? { url } : undefined;
+    };
+
+    let pageLayout;
+    if (typeof body.pageLayout !== 'undefined' && body.pageLayout !== '') {
+      pageLayout = parseSectionPayload(body.pageLayout);
+      if (pageLayout === null && body.pageLayout !== 'null') {
+        return res.status(400).json({
+          success: false,
+          message: 'pageLayout must be valid JSON',
+        });
+      }
+    }
+
+    const preview = await renderBookPagePreview(book, order, {
+      background: normalizeBoolean(body.removeBackground)
+        ? null
+        : pickImage('backgroundImage', 'backgroundImageUrl'),
+      character: normalizeBoolean(body.removeCharacter)
+        ? null
+        : pickImage('characterImage', 'characterImageUrl'),
+      text: typeof body.text === 'string' ? body.text : undefined,
+      quote: typeof body.quote === 'string' ? body.quote : undefined,
+      childName: body.childName,
+      language: body.language,
+      characterPosition: normalizeCharacterPosition(body.characterPosition),
+      pageLayout,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: preview.cached
+        ? 'Page preview loaded from cache'
+        : 'Page preview generated successfully',
+      data: preview,
+    });
+  } catch (error) {
+    console.error('Error generating page preview:', error);
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: 'Failed to generate dedication preview',
+      message: error.statusCode ? error.message : 'Failed to generate page preview',
+      errors: error.errors,
       error: error.message,
     });
   }
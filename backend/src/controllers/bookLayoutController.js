@@ -0,0 +1,147 @@
+const mongoose = require('mongoose');
+const Book = require('../models/Book');
+const {
+  PAGE_LAYOUT_DEFAULTS,
+  PAGE_LAYOUT_FIELDS,
+  PAGE_LAYOUT_FONTS,
+  validatePageLayout,
+  resolvePageLayout,
+} = require('../utils/pageLayout');
+const { recordRevisionAfterSave, ensureBaselineRevision } = require('../services/bookRevisions');
+const { recordAudit } = require('../services/auditLog');
+
+const isValidObjectId = (value) => mongoose.Types.ObjectId.isValid(value);
+
+const resolveActor = (req) => ({
+  accountId: req.account?._id || null,
+  name: req.account?.name || '',
+});
+
+const sendInvalidBookId = (res) =>
+  res.status(400).json({
+    success: false,
+    message: 'Invalid book ID',
+  });
+
+const buildLayoutResponse = (book) => ({
+  bookId: book._id,
+  layout: resolvePageLayout(book.pageLayout),
+  custom: book.pageLayout || null,
+});
+
+/**
+ * Default story page layout with the allowed range of each field
+ * @route GET /api/books/page-layout
+ */
+exports.getLayoutDefaults = async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: {
+      defaults: PAGE_LAYOUT_DEFAULTS,
+      fields: PAGE_LAYOUT_FIELDS,
+      fonts: PAGE_LAYOUT_FONTS,
+    },
+  });
+};
+
+/**
+ * Get a book's story page layout, resolved over the defaults
+ * @route GET /api/books/:id/page-layout
+ */
+exports.getBookLayout = async (req, res) => {
+  try {
+    if (!isValidObjectId(req.params.id)) return sendInvalidBookId(res);
+
+    const book = await Book.findById(req.params.id).select('name pageLayout').lean();
+    if (!book) {
+      return res.status(404).json({
+        success: false,
+        message: 'Book not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: buildLayoutResponse(book),
+    });
+  } catch (error) {
+    console.error('Error fetching book page layout:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch book page layout',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Save a book's story page layout; `layout: null` resets it to the defaults
+ * @route PUT /api/books/:id/page-layout
+ */
+exports.updateBookLayout = async (req, res) => {
+  try {
+    if (!isValidObjectId(req.params.id)) return sendInvalidBookId(res);
+
+    const layout = typeof req.body?.layout === 'undefined' ? null : req.body.layout;
+    const issues = validatePageLayout(layout);
+    if (issues.length) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid page layout: ${issues[0].message}${
+          issues.length > 1 ? ` (and ${issues.length - 1} more)` : ''
+        }`,
+        errors: issues,
+      });
+    }
+
+    const book = await Book.findById(req.params.id);
+    if (!book) {
+      return res.status(404).json({
+        success: false,
+        message: 'Book not found',
+      });
+    }
+
+    const actor = resolveActor(req);
+    const previousLayout = book.pageLayout || null;
+    await ensureBaselineRevision(book, { actor });
+
+    // Empty sections are dropped so a reset field falls back to its default
+    const nextLayout = layout
+      ? Object.fromEntries(
+          Object.entries(layout).filter(([, values]) => Object.keys(values).length)
+        )
+      : null;
+    book.pageLayout = nextLayout && Object.keys(nextLayout).length ? nextLayout : null;
+    book.markModified('pageLayout');
+    await book.save();
+
+    const revisionNumber = await recordRevisionAfterSave(book, { reason: 'update', actor });
+
+    await recordAudit({
+      req,
+      action: 'update',
+      resourceType: 'book',
+      targetId: book._id,
+      before: { pageLayout: previousLayout },
+      after: { pageLayout: book.pageLayout },
+      summary: book.pageLayout
+        ? `Updated page layout of book ${book.name}`
+        : `Reset page layout of book ${book.name}`,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: book.pageLayout ? 'Page layout saved' : 'Page layout reset to defaults',
+      data: buildLayoutResponse(book),
+      meta: { revision: revisionNumber },
+    });
+  } catch (error) {
+    console.error('Error updating book page layout:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to update book page layout',
+      error: error.message,
+    });
+  }
+};
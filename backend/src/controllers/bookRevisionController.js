@@ -0,0 +1,147 @@
+const mongoose = require('mongoose');
+const Book = require('../models/Book');
+const {
+  listBookRevisions,
+  getBookRevision,
+  diffBookRevisions,
+  restoreBookRevision,
+} = require('../services/bookRevisions');
+const { recordAudit } = require('../services/auditLog');
+
+const isValidObjectId = (value) => mongoose.Types.ObjectId.isValid(value);
+
+const resolveActor = (req) => ({
+  accountId: req.account?._id || null,
+  name: req.account?.name || '',
+});
+
+const sendInvalidBookId = (res) =>
+  res.status(400).json({
+    success: false,
+    message: 'Invalid book ID',
+  });
+
+/**
+ * List a book's revisions, newest first (snapshots omitted)
+ * @route GET /api/books/:id/revisions
+ */
+exports.listRevisions = async (req, res) => {
+  try {
+    if (!isValidObjectId(req.params.id)) return sendInvalidBookId(res);
+
+    const book = await Book.findById(req.params.id).select('name currentRevision').lean();
+    if (!book) {
+      return res.status(404).json({
+        success: false,
+        message: 'Book not found',
+      });
+    }
+
+    const { page, limit } = req.query;
+    const result = await listBookRevisions(book._id, { page, limit });
+
+    res.status(200).json({
+      success: true,
+      data: result.revisions,
+      pagination: result.pagination,
+      currentRevision: book.currentRevision || 0,
+    });
+  } catch (error) {
+    console.error('Error fetching book revisions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch book revisions',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Field-level diff between two revisions, or a revision and the live book
+ * @route GET /api/books/:id/revisions/diff
+ */
+exports.diffRevisions = async (req, res) => {
+  try {
+    if (!isValidObjectId(req.params.id)) return sendInvalidBookId(res);
+
+    const { from, to } = req.query;
+    const diff = await diffBookRevisions(req.params.id, { from, to: to || 'current' });
+
+    res.status(200).json({
+      success: true,
+      data: diff,
+    });
+  } catch (error) {
+    console.error('Error diffing book revisions:', error);
+    res.status(error.statusCode || error.status || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to diff book revisions',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get a single revision including its template snapshot
+ * @route GET /api/books/:id/revisions/:revision
+ */
+exports.getRevision = async (req, res) => {
+  try {
+    if (!isValidObjectId(req.params.id)) return sendInvalidBookId(res);
+
+    const revision = await getBookRevision(req.params.id, req.params.revision);
+
+    res.status(200).json({
+      success: true,
+      data: revision,
+    });
+  } catch (error) {
+    console.error('Error fetching book revision:', error);
+    res.status(error.statusCode || error.status || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to fetch book revision',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Restore a revision's template onto the book as a new revision
+ * @route POST /api/books/:id/revisions/:revision/restore
+ */
+exports.restoreRevision = async (req, res) => {
+  try {
+    if (!isValidObjectId(req.params.id)) return sendInvalidBookId(res);
+
+    const { book, revision, restoredFrom, changed } = await restoreBookRevision(
+      req.params.id,
+      req.params.revision,
+      { actor: resolveActor(req) }
+    );
+
+    await recordAudit({
+      req,
+      action: 'update',
+      resourceType: 'book',
+      targetId: book._id,
+      summary: `Restored book ${book.name} to revision ${restoredFrom}`,
+      metadata: { restoredFrom, revision: revision.revision, changeCount: revision.changeCount },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: changed
+        ? `Restored revision ${restoredFrom} as revision ${revision.revision}`
+        : `Book already matches revision ${restoredFrom}`,
+      data: book,
+      meta: { revision: revision.revision, restoredFrom, changed },
+    });
+  } catch (error) {
+    console.error('Error restoring book revision:', error);
+    res.status(error.statusCode || error.status || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to restore book revision',
+      error: error.message,
+    });
+  }
+};
@@ -2,6 +2,7 @@ const Book = require('../models/Book');
 const User = require('../models/User');
 const Training = require('../models/Training');
 const Generation = require('../models/Generation');
+const { getUsageOverview, buildCostReport } = require('../services/usageTracking');
 
 const ACTIVE_TRAINING_STATUSES = new Set(['queued', 'starting', 'processing']);
 
@@ -19,6 +20,7 @@ exports.getOverview = async (req, res) => {
       recentBooks,
       recentTrainings,
       recentGenerations,
+      costs,
     ] = await Promise.all([
       Book.aggregate([
         {
@@ -104,6 +106,7 @@ exports.getOverview = async (req, res) => {
         .sort({ updatedAt: -1, createdAt: -1 })
         .limit(8)
         .lean(),
+      getUsageOverview(),
     ]);
 
     const bookSummary = getSingleResult(bookAggregate) || {};
@@ -219,6 +222,7 @@ exports.getOverview = async (req, res) => {
           trainings: trainingsStats,
           users: usersStats,
           generations: generationsStats,
+          costs,
         },
         activity,
         lastUpdated: new Date().toISOString(),
@@ -234,3 +238,25 @@ exports.getOverview = async (req, res) => {
     });
   }
 };
+
+/**
+ * Estimated provider spend grouped by user, book, storybook job, automation run,
+ * provider, operation or model
+ * @route GET /api/dashboard/costs
+ */
+exports.getCostReport = async (req, res) => {
+  try {
+    const report = await buildCostReport(req.query);
+    res.status(200).json({
+      success: true,
+      data: report,
+    });
+  } catch (error) {
+    console.error('[dashboard] cost report failed:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to load cost report',
+      error: error.message,
+    });
+  }
+};
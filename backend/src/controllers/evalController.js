@@ -1,5 +1,6 @@
 const { evaluateSingleImage } = require('../services/evaluator');
 const Evaluation = require('../models/Evaluation');
+const { recordAudit } = require('../services/auditLog');
 const {
   uploadBufferToS3,
   deleteFromS3,
@@ -56,6 +57,7 @@ const serializeEvaluation = (doc) => {
     createdAt: source.createdAt,
     updatedAt: source.updatedAt,
     evaluation: source.evaluation || null,
+    promptTemplate: source.promptTemplate || null,
   };
 };
 
@@ -141,6 +143,7 @@ exports.evaluateImages = async (req, res) => {
         decision: 'pending',
         s3Key: uploadedKey,
         s3Url: uploadedUrl,
+        promptTemplate: normalised.promptTemplate || null,
       });
     } catch (storageError) {
       if (uploadedKey) {
@@ -153,6 +156,15 @@ exports.evaluateImages = async (req, res) => {
       throw storageError;
     }
 
+    await recordAudit({
+      req,
+      action: 'create',
+      resourceType: 'evaluation',
+      targetId: evaluationDocument._id,
+      after: evaluationDocument,
+      summary: `Evaluated ${evaluationDocument.fileName}`,
+    });
+
     return res.status(200).json({
       success: true,
       data: {
@@ -301,11 +313,7 @@ exports.listEvaluations = async (req, res) => {
 exports.updateEvaluationTags = async (req, res) => {
   try {
     const tags = normalizeTags(req.body?.tags);
-    const evaluation = await Evaluation.findByIdAndUpdate(
-      req.params.id,
-      { tags },
-      { new: true }
-    );
+    const evaluation = await Evaluation.findById(req.params.id);
 
     if (!evaluation) {
       return res.status(404).json({
@@ -314,6 +322,20 @@ exports.updateEvaluationTags = async (req, res) => {
       });
     }
 
+    const previousEvaluation = evaluation.toObject();
+    evaluation.tags = tags;
+    await evaluation.save();
+
+    await recordAudit({
+      req,
+      action: 'update',
+      resourceType: 'evaluation',
+      targetId: evaluation._id,
+      before: previousEvaluation,
+      after: evaluation,
+      summary: `Updated tags on ${evaluation.fileName}`,
+    });
+
     res.status(200).json({
       success: true,
       data: serializeEvaluation(evaluation),
@@ -340,11 +362,7 @@ exports.updateEvaluationDecision = async (req, res) => {
       });
     }
 
-    const evaluation = await Evaluation.findByIdAndUpdate(
-      req.params.id,
-      { decision },
-      { new: true }
-    );
+    const evaluation = await Evaluation.findById(req.params.id);
 
     if (!evaluation) {
       return res.status(404).json({
@@ -353,6 +371,20 @@ exports.updateEvaluationDecision = async (req, res) => {
       });
     }
 
+    const previousEvaluation = evaluation.toObject();
+    evaluation.decision = decision;
+    await evaluation.save();
+
+    await recordAudit({
+      req,
+      action: 'update',
+      resourceType: 'evaluation',
+      targetId: evaluation._id,
+      before: previousEvaluation,
+      after: evaluation,
+      summary: `Marked ${evaluation.fileName} as ${decision}`,
+    });
+
     res.status(200).json({
       success: true,
       data: serializeEvaluation(evaluation),
@@ -387,6 +419,15 @@ exports.deleteEvaluation = async (req, res) => {
 
     await evaluation.deleteOne();
 
+    await recordAudit({
+      req,
+      action: 'delete',
+      resourceType: 'evaluation',
+      targetId: evaluation._id,
+      before: evaluation,
+      summary: `Deleted evaluation ${evaluation.fileName}`,
+    });
+
     res.status(200).json({
       success: true,
       message: 'Evaluation deleted successfully',
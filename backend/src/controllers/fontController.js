@@ -0,0 +1,239 @@
+const mongoose = require('mongoose');
+const Book = require('../models/Book');
+const { FONT_ROLES } = require('../config/fontRoles');
+const { FONT_SCRIPTS } = require('../utils/fontCoverage');
+const {
+  listStorybookFonts,
+  createStorybookFont,
+  updateStorybookFont,
+  deleteStorybookFont,
+  normalizeFontSelection,
+  checkBookFontCoverage,
+} = require('../services/storybookFonts');
+const { recordRevisionAfterSave, ensureBaselineRevision } = require('../services/bookRevisions');
+const { recordAudit } = require('../services/auditLog');
+
+const resolveActor = (req) => ({
+  accountId: req.account?._id || null,
+  name: req.account?.name || '',
+});
+
+const sendFontError = (res, error, fallbackMessage) =>
+  res.status(error.statusCode || error.status || 500).json({
+    success: false,
+    message: error.statusCode ? error.message : fallbackMessage,
+    errors: error.errors,
+    books: error.books,
+    error: error.message,
+  });
+
+const FONT_SCRIPT_LABELS = Object.fromEntries(
+  Object.entries(FONT_SCRIPTS).map(([script, { label }]) => [script, label])
+);
+
+/**
+ * List uploaded storybook fonts with the text roles books can use them for
+ * @route GET /api/fonts
+ */
+exports.listFonts = async (req, res) => {
+  try {
+    const fonts = await listStorybookFonts();
+
+    res.status(200).json({
+      success: true,
+      data: fonts,
+      meta: { roles: FONT_ROLES, scripts: FONT_SCRIPT_LABELS },
+    });
+  } catch (error) {
+    console.error('Error fetching fonts:', error);
+    sendFontError(res, error, 'Failed to fetch fonts');
+  }
+};
+
+/**
+ * Upload a .ttf/.otf font (multipart `file`, optional name, family, weight, style)
+ * @route POST /api/fonts
+ */
+exports.uploadFont = async (req, res) => {
+  try {
+    const font = await createStorybookFont(
+      {
+        buffer: req.file?.buffer,
+        originalName: req.file?.originalname,
+        input: req.body || {},
+      },
+      { actor: resolveActor(req) }
+    );
+
+    await recordAudit({
+      req,
+      action: 'create',
+      resourceType: 'font',
+      targetId: font._id,
+      after: font,
+      summary: `Uploaded font "${font.name}"`,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Font uploaded',
+      data: font,
+    });
+  } catch (error) {
+    console.error('Error uploading font:', error);
+    sendFontError(res, error, 'Failed to upload font');
+  }
+};
+
+/**
+ * Correct a font's name, family, weight or style
+ * @route PATCH /api/fonts/:fontId
+ */
+exports.updateFont = async (req, res) => {
+  try {
+    const { before, font } = await updateStorybookFont(req.params.fontId, req.body || {});
+
+    await recordAudit({
+      req,
+      action: 'update',
+      resourceType: 'font',
+      targetId: font._id,
+      before,
+      after: font,
+      summary: `Updated font "${font.name}"`,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Font updated',
+      data: font,
+    });
+  } catch (error) {
+    console.error('Error updating font:', error);
+    sendFontError(res, error, 'Failed to update font');
+  }
+};
+
+/**
+ * Delete a font no book uses any more
+ * @route DELETE /api/fonts/:fontId
+ */
+exports.deleteFont = async (req, res) => {
+  try {
+    const font = await deleteStorybookFont(req.params.fontId);
+
+    await recordAudit({
+      req,
+      action: 'delete',
+      resourceType: 'font',
+      targetId: font._id,
+      before: font,
+      summary: `Deleted font "${font.name}"`,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Font deleted',
+    });
+  } catch (error) {
+    console.error('Error deleting font:', error);
+    sendFontError(res, error, 'Failed to delete font');
+  }
+};
+
+const findBookForFonts = async (bookId) => {
+  if (!mongoose.Types.ObjectId.isValid(bookId)) {
+    const error = new Error('Invalid book ID');
+    error.statusCode = 400;
+    throw error;
+  }
+  const book = await Book.findById(bookId);
+  if (!book) {
+    const error = new Error('Book not found');
+    error.statusCode = 404;
+    throw error;
+  }
+  return book;
+};
+
+const buildBookFontsResponse = (book, issues = []) => ({
+  bookId: book._id,
+  fonts: book.fonts || null,
+  issues,
+});
+
+/**
+ * Get a book's font per text role and any glyphs its stored copy is missing
+ * @route GET /api/books/:id/fonts
+ */
+exports.getBookFonts = async (req, res) => {
+  try {
+    const book = await findBookForFonts(req.params.id);
+    const issues = await checkBookFontCoverage(book);
+
+    res.status(200).json({
+      success: true,
+      data: buildBookFontsResponse(book, issues),
+    });
+  } catch (error) {
+    console.error('Error fetching book fonts:', error);
+    sendFontError(res, error, 'Failed to fetch book fonts');
+  }
+};
+
+/**
+ * Choose a book's fonts (`fonts: { role: fontId | null }`; null clears all).
+ * Fonts that can't draw the book's stored copy are rejected.
+ * @route PUT /api/books/:id/fonts
+ */
+exports.updateBookFonts = async (req, res) => {
+  try {
+    const book = await findBookForFonts(req.params.id);
+    const selection = await normalizeFontSelection(
+      typeof req.body?.fonts === 'undefined' ? null : req.body.fonts
+    );
+
+    const issues = await checkBookFontCoverage(book, { selection });
+    if (issues.length) {
+      return res.status(400).json({
+        success: false,
+        message: `${issues[0].message}${
+          issues.length > 1 ? ` (and ${issues.length - 1} more)` : ''
+        }`,
+        errors: issues,
+      });
+    }
+
+    const actor = resolveActor(req);
+    const previousFonts = book.fonts ? book.fonts.toObject() : null;
+    await ensureBaselineRevision(book, { actor });
+
+    book.fonts = selection;
+    book.markModified('fonts');
+    await book.save();
+
+    const revisionNumber = await recordRevisionAfterSave(book, { reason: 'update', actor });
+
+    await recordAudit({
+      req,
+      action: 'update',
+      resourceType: 'book',
+      targetId: book._id,
+      before: { fonts: previousFonts },
+      after: { fonts: selection },
+      summary: selection
+        ? `Updated fonts of book ${book.name}`
+        : `Reset fonts of book ${book.name}`,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: selection ? 'Book fonts saved' : 'Book fonts reset to defaults',
+      data: buildBookFontsResponse(book),
+      meta: { revision: revisionNumber },
+    });
+  } catch (error) {
+    console.error('Error updating book fonts:', error);
+    sendFontError(res, error, 'Failed to update book fonts');
+  }
+};
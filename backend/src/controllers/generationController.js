@@ -1,8 +1,6 @@
 const mongoose = require('mongoose');
 const Generation = require('../models/Generation');
-const Training = require('../models/Training');
 const User = require('../models/User');
-const { replicate } = require('../config/replicate');
 const fetch = require('node-fetch');
 const fs = require('fs-extra');
 const path = require('path');
@@ -13,6 +11,7 @@ const {
   populateForClient,
   broadcastGeneration,
 } = require('../services/generationWorkflow');
+const { resolveGenerationTraining } = require('../services/trainingLifecycle');
 
 const toPositiveInteger = (value, fallback) => {
   const parsed = Number.parseInt(value, 10);
@@ -263,21 +262,8 @@ exports.generateImage = async (req, res) => {
       });
     }
 
-    // Validate training exists and is successful
-    const training = await Training.findById(trainingId);
-    if (!training) {
-      return res.status(404).json({
-        success: false,
-        message: 'Training not found',
-      });
-    }
-
-    if (training.status !== 'succeeded' || !training.modelVersion) {
-      return res.status(400).json({
-        success: false,
-        message: 'Training must be completed successfully before generating images',
-      });
-    }
+    // Use the requested training, or the user's pinned one when none is given
+    const training = await resolveGenerationTraining({ userId, trainingId });
 
     // Validate prompt
     if (!prompt || prompt.trim().length === 0) {
@@ -311,7 +297,7 @@ exports.generateImage = async (req, res) => {
     const createdAt = new Date();
     const generation = await Generation.create({
       userId,
-      trainingId,
+      trainingId: training._id,
       modelVersion: training.modelVersion,
       prompt,
       generationConfig: {
@@ -338,7 +324,8 @@ exports.generateImage = async (req, res) => {
           message: 'Generation queued',
           metadata: {
             userId,
-            trainingId,
+            trainingId: training._id,
+            pinnedFallback: !trainingId,
           },
           timestamp: createdAt,
         },
@@ -384,9 +371,9 @@ exports.generateImage = async (req, res) => {
     });
   } catch (error) {
     console.error('❌ Error generating image:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: 'Failed to generate image',
+      message: error.statusCode ? error.message : 'Failed to generate image',
       error: error.message,
     });
   }
@@ -411,20 +398,7 @@ exports.generateRankedImages = async (req, res) => {
       });
     }
 
-    const training = await Training.findById(trainingId);
-    if (!training) {
-      return res.status(404).json({
-        success: false,
-        message: 'Training not found',
-      });
-    }
-
-    if (training.status !== 'succeeded' || !training.modelVersion) {
-      return res.status(400).json({
-        success: false,
-        message: 'Training must be completed successfully before generating images',
-      });
-    }
+    const training = await resolveGenerationTraining({ userId, trainingId });
 
     const generationInput = {
       prompt: prompt.trim(),
@@ -442,7 +416,7 @@ exports.generateRankedImages = async (req, res) => {
     const createdAt = new Date();
     const generation = await Generation.create({
       userId,
-      trainingId,
+      trainingId: training._id,
       modelVersion: training.modelVersion,
       prompt: prompt.trim(),
       generationConfig: {
@@ -470,7 +444,8 @@ exports.generateRankedImages = async (req, res) => {
           message: 'Ranked generation queued',
           metadata: {
             userId,
-            trainingId,
+            trainingId: training._id,
+            pinnedFallback: !trainingId,
             mode: 'ranked',
           },
           timestamp: createdAt,
@@ -517,9 +492,9 @@ exports.generateRankedImages = async (req, res) => {
     });
   } catch (error) {
     console.error('❌ Error generating ranked images:', error);
-    return res.status(500).json({
+    return res.status(error.statusCode || 500).json({
       success: false,
-      message: 'Failed to generate ranked images',
+      message: error.statusCode ? error.message : 'Failed to generate ranked images',
       error: error.message,
     });
   }
@@ -0,0 +1,248 @@
+const {
+  listGoldenCandidates,
+  listGoldenSamples,
+  addGoldenSample,
+  updateGoldenSample,
+  deleteGoldenSample,
+  startGoldenRun,
+  listGoldenRuns,
+  getGoldenRun,
+  compareGoldenRuns,
+} = require('../services/goldenSet');
+const { recordAudit } = require('../services/auditLog');
+
+const resolveActor = (req) => ({
+  accountId: req.account?._id || null,
+  name: req.account?.name || '',
+});
+
+const sendGoldenError = (res, error, fallbackMessage) =>
+  res.status(error.statusCode || error.status || 500).json({
+    success: false,
+    message: error.statusCode ? error.message : fallbackMessage,
+    error: error.message,
+  });
+
+/**
+ * List recent generations or evaluations that can be marked as ground truth
+ * @route GET /api/golden-set/candidates
+ */
+exports.listCandidates = async (req, res) => {
+  try {
+    const { kind, limit } = req.query;
+    const candidates = await listGoldenCandidates(kind, { limit });
+
+    res.status(200).json({
+      success: true,
+      data: candidates,
+    });
+  } catch (error) {
+    console.error('Error fetching golden set candidates:', error);
+    sendGoldenError(res, error, 'Failed to fetch golden set candidates');
+  }
+};
+
+/**
+ * List golden samples
+ * @route GET /api/golden-set/samples
+ */
+exports.listSamples = async (req, res) => {
+  try {
+    const samples = await listGoldenSamples(req.query.kind);
+
+    res.status(200).json({
+      success: true,
+      count: samples.length,
+      data: samples,
+    });
+  } catch (error) {
+    console.error('Error fetching golden samples:', error);
+    sendGoldenError(res, error, 'Failed to fetch golden samples');
+  }
+};
+
+/**
+ * Mark a generation ranking or evaluation as ground truth
+ * @route POST /api/golden-set/samples
+ */
+exports.createSample = async (req, res) => {
+  try {
+    const { kind, sourceId, expected, notes } = req.body || {};
+    const sample = await addGoldenSample(kind, sourceId, {
+      expected,
+      notes,
+      actor: resolveActor(req),
+    });
+
+    await recordAudit({
+      req,
+      action: 'create',
+      resourceType: 'golden_sample',
+      targetId: sample._id,
+      after: sample,
+      summary: `Added ${sample.kind} sample "${sample.label}" to the golden set`,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Sample added to the golden set',
+      data: sample,
+    });
+  } catch (error) {
+    console.error('Error creating golden sample:', error);
+    sendGoldenError(res, error, 'Failed to add golden sample');
+  }
+};
+
+/**
+ * Change the ground truth or notes of a golden sample
+ * @route PATCH /api/golden-set/samples/:id
+ */
+exports.updateSample = async (req, res) => {
+  try {
+    const { expected, notes } = req.body || {};
+    const { before, sample } = await updateGoldenSample(req.params.id, { expected, notes });
+
+    await recordAudit({
+      req,
+      action: 'update',
+      resourceType: 'golden_sample',
+      targetId: sample._id,
+      before,
+      after: sample,
+      summary: `Updated golden ${sample.kind} sample "${sample.label}"`,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Golden sample updated',
+      data: sample,
+    });
+  } catch (error) {
+    console.error('Error updating golden sample:', error);
+    sendGoldenError(res, error, 'Failed to update golden sample');
+  }
+};
+
+/**
+ * Remove a sample (and its recorded responses) from the golden set
+ * @route DELETE /api/golden-set/samples/:id
+ */
+exports.deleteSample = async (req, res) => {
+  try {
+    const sample = await deleteGoldenSample(req.params.id);
+
+    await recordAudit({
+      req,
+      action: 'delete',
+      resourceType: 'golden_sample',
+      targetId: sample._id,
+      before: sample,
+      summary: `Removed golden ${sample.kind} sample "${sample.label}"`,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Golden sample removed',
+    });
+  } catch (error) {
+    console.error('Error deleting golden sample:', error);
+    sendGoldenError(res, error, 'Failed to remove golden sample');
+  }
+};
+
+/**
+ * List golden runs, newest first (per-sample results omitted)
+ * @route GET /api/golden-set/runs
+ */
+exports.listRuns = async (req, res) => {
+  try {
+    const { kind, page, limit } = req.query;
+    const result = await listGoldenRuns({ kind, page, limit });
+
+    res.status(200).json({
+      success: true,
+      data: result.runs,
+      pagination: result.pagination,
+    });
+  } catch (error) {
+    console.error('Error fetching golden runs:', error);
+    sendGoldenError(res, error, 'Failed to fetch golden runs');
+  }
+};
+
+/**
+ * Compare the metrics and per-sample predictions of two to four runs
+ * @route GET /api/golden-set/runs/compare
+ */
+exports.compareRuns = async (req, res) => {
+  try {
+    const ids = typeof req.query.ids === 'string' ? req.query.ids.split(',') : [];
+    const comparison = await compareGoldenRuns(ids.map((id) => id.trim()).filter(Boolean));
+
+    res.status(200).json({
+      success: true,
+      data: comparison,
+    });
+  } catch (error) {
+    console.error('Error comparing golden runs:', error);
+    sendGoldenError(res, error, 'Failed to compare golden runs');
+  }
+};
+
+/**
+ * Get a golden run with its per-sample results
+ * @route GET /api/golden-set/runs/:id
+ */
+exports.getRun = async (req, res) => {
+  try {
+    const run = await getGoldenRun(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      data: run,
+    });
+  } catch (error) {
+    console.error('Error fetching golden run:', error);
+    sendGoldenError(res, error, 'Failed to fetch golden run');
+  }
+};
+
+/**
+ * Replay the golden set against a candidate model and template version
+ * @route POST /api/golden-set/runs
+ */
+exports.startRun = async (req, res) => {
+  try {
+    const { kind, model, templateVersion, mode, label } = req.body || {};
+    const run = await startGoldenRun(kind, {
+      model,
+      templateVersion,
+      mode,
+      label,
+      actor: resolveActor(req),
+    });
+
+    await recordAudit({
+      req,
+      action: 'create',
+      resourceType: 'golden_run',
+      targetId: run._id,
+      summary: `Started golden ${run.kind} run against ${run.model}`,
+      metadata: {
+        mode: run.mode,
+        promptTemplate: run.promptTemplate,
+        samples: run.sampleIds.length,
+      },
+    });
+
+    res.status(202).json({
+      success: true,
+      message: `Golden run queued for ${run.sampleIds.length} samples`,
+      data: run,
+    });
+  } catch (error) {
+    console.error('Error starting golden run:', error);
+    sendGoldenError(res, error, 'Failed to start golden run');
+  }
+};
@@ -0,0 +1,24 @@
+const { getImageProvider } = require('../services/providers');
+
+/**
+ * Serve a placeholder image rendered by the mock image provider
+ * @route GET /mock-provider/outputs/:predictionId/:index
+ */
+exports.getMockOutput = async (req, res) => {
+  try {
+    const { buffer, contentType } = getImageProvider('mock').renderOutput({
+      predictionId: req.params.predictionId,
+      index: req.params.index,
+    });
+
+    res.set('Content-Type', contentType);
+    res.set('Cache-Control', 'public, max-age=31536000, immutable');
+    res.status(200).send(buffer);
+  } catch (error) {
+    res.status(404).json({
+      success: false,
+      message: 'Mock output not found',
+      error: error.message,
+    });
+  }
+};
@@ -0,0 +1,129 @@
+const {
+  NOTIFICATION_TEMPLATES,
+  listNotificationMessages,
+  getNotificationMessage,
+  resendNotification,
+  getUnsubscribeState,
+  unsubscribeWithToken,
+} = require('../services/notifications');
+const { recordAudit } = require('../services/auditLog');
+
+const sendNotificationError = (res, error, fallbackMessage) =>
+  res.status(error.statusCode || 500).json({
+    success: false,
+    message: error.statusCode ? error.message : fallbackMessage,
+    error: error.message,
+  });
+
+/**
+ * Sent-messages log, newest first
+ * @route GET /api/notifications
+ */
+exports.listMessages = async (req, res) => {
+  try {
+    const { status, template, recipientType, userId, search, limit } = req.query;
+    const messages = await listNotificationMessages({
+      status,
+      template,
+      recipientType,
+      userId,
+      search,
+      limit,
+    });
+
+    res.status(200).json({
+      success: true,
+      count: messages.length,
+      data: messages,
+      templates: NOTIFICATION_TEMPLATES,
+    });
+  } catch (error) {
+    console.error('Error fetching notifications:', error);
+    sendNotificationError(res, error, 'Failed to fetch notifications');
+  }
+};
+
+/**
+ * Get a single message with its rendered bodies
+ * @route GET /api/notifications/:id
+ */
+exports.getMessage = async (req, res) => {
+  try {
+    const message = await getNotificationMessage(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      data: message,
+    });
+  } catch (error) {
+    console.error('Error fetching notification:', error);
+    sendNotificationError(res, error, 'Failed to fetch notification');
+  }
+};
+
+/**
+ * Send a logged message again
+ * @route POST /api/notifications/:id/resend
+ */
+exports.resendMessage = async (req, res) => {
+  try {
+    const message = await resendNotification(req.params.id);
+
+    res.status(202).json({
+      success: true,
+      message: `Email to ${message.to} queued`,
+      data: message,
+    });
+  } catch (error) {
+    console.error('Error resending notification:', error);
+    sendNotificationError(res, error, 'Failed to resend notification');
+  }
+};
+
+/**
+ * @route GET /api/unsubscribe/:token
+ */
+exports.getUnsubscribe = async (req, res) => {
+  try {
+    const state = await getUnsubscribeState(req.params.token);
+
+    res.status(200).json({
+      success: true,
+      data: state,
+    });
+  } catch (error) {
+    console.error('Error loading unsubscribe link:', error);
+    sendNotificationError(res, error, 'Failed to load unsubscribe link');
+  }
+};
+
+/**
+ * @route POST /api/unsubscribe/:token
+ */
+exports.unsubscribe = async (req, res) => {
+  try {
+    const { user, before, state } = await unsubscribeWithToken(req.params.token);
+
+    if (!before.emailOptOut) {
+      await recordAudit({
+        req,
+        action: 'update',
+        resourceType: 'user',
+        targetId: user._id,
+        before: { emailOptOut: false },
+        after: { emailOptOut: true },
+        summary: `${user.name}'s parent unsubscribed from emails`,
+        metadata: { via: 'unsubscribe-link' },
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'You will no longer receive emails from us',
+      data: state,
+    });
+  } catch (error) {
+    console.error('Error unsubscribing:', error);
+    sendNotificationError(res, error, 'Failed to unsubscribe');
+  }
+};
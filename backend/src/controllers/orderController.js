@@ -0,0 +1,329 @@
+const mongoose = require('mongoose');
+const { validationResult } = require('express-validator');
+const {
+  createOrder,
+  startOrderAutomation,
+  updateOrderDetails,
+  transitionOrderStatus,
+  listOrders,
+  getOrder,
+  deleteOrder,
+} = require('../services/orderWorkflow');
+const { recordAudit } = require('../services/auditLog');
+
+const CHILD_IMAGE_FIELD_PREFIX = 'childImages_';
+
+const isValidObjectId = (value) => mongoose.Types.ObjectId.isValid(value);
+
+const resolveActor = (req) => ({
+  accountId: req.account?._id || null,
+  name: req.account?.name || '',
+});
+
+// Photos arrive as `childImages_<key>`, where the key is the child's
+// `clientKey` on create or its user id when starting automation later
+const groupChildFiles = (files = []) =>
+  (Array.isArray(files) ? files : []).reduce((acc, file) => {
+    if (!file.fieldname || !file.fieldname.startsWith(CHILD_IMAGE_FIELD_PREFIX)) {
+      return acc;
+    }
+    const key = file.fieldname.slice(CHILD_IMAGE_FIELD_PREFIX.length);
+    if (!acc[key]) acc[key] = [];
+    acc[key].push(file);
+    return acc;
+  }, {});
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+  res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors: errors.array(),
+  });
+  return true;
+};
+
+/**
+ * List orders with per-status pipeline counts
+ * @route GET /api/orders
+ */
+exports.listOrders = async (req, res) => {
+  try {
+    const { page, limit, status, bookId, search, sortBy, sortOrder } = req.query;
+    const result = await listOrders({ page, limit, status, bookId, search, sortBy, sortOrder });
+
+    res.status(200).json({
+      success: true,
+      data: result.orders,
+      pagination: result.pagination,
+      pipeline: result.pipeline,
+    });
+  } catch (error) {
+    console.error('Error fetching orders:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching orders',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get a single order with its children, book and history
+ * @route GET /api/orders/:id
+ */
+exports.getOrder = async (req, res) => {
+  try {
+    if (!isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid order ID',
+      });
+    }
+
+    const order = await getOrder(req.params.id);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: order,
+    });
+  } catch (error) {
+    console.error('Error fetching order:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching order',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Create an order, optionally starting automation for every child
+ * @route POST /api/orders
+ */
+exports.createOrder = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const { customer, bookId, children, shipping, notes, startAutomation } = req.body;
+    const result = await createOrder({
+      customer,
+      bookId,
+      children,
+      shipping,
+      notes,
+      startAutomation: Boolean(startAutomation),
+      filesByChild: groupChildFiles(req.files),
+      actor: resolveActor(req),
+    });
+
+    await recordAudit({
+      req,
+      action: 'create',
+      resourceType: 'order',
+      targetId: result.order._id,
+      after: result.order,
+      summary: `Created order ${result.order.orderNumber}`,
+      metadata: { startAutomation: Boolean(startAutomation), startedRuns: result.started.length },
+    });
+
+    res.status(201).json({
+      success: true,
+      message: result.failures.length
+        ? 'Order created, but some automation runs failed to start'
+        : 'Order created successfully',
+      data: result.order,
+      meta: { startedRuns: result.started, failures: result.failures },
+    });
+  } catch (error) {
+    console.error('Error creating order:', error);
+    const status = error.name === 'ValidationError' ? 400 : error.statusCode || error.status || 500;
+    res.status(status).json({
+      success: false,
+      message: error.message || 'Error creating order',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Update customer, shipping details or notes
+ * @route PUT /api/orders/:id
+ */
+exports.updateOrder = async (req, res) => {
+  try {
+    if (!isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid order ID',
+      });
+    }
+    if (sendValidationErrors(req, res)) return;
+
+    const previous = await getOrder(req.params.id);
+    const { customer, shipping, notes } = req.body;
+    const order = await updateOrderDetails(
+      req.params.id,
+      { customer, shipping, notes },
+      { actor: resolveActor(req) }
+    );
+
+    await recordAudit({
+      req,
+      action: 'update',
+      resourceType: 'order',
+      targetId: order._id,
+      before: previous,
+      after: order,
+      summary: `Updated order ${order.orderNumber}`,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Order updated successfully',
+      data: order,
+    });
+  } catch (error) {
+    console.error('Error updating order:', error);
+    res.status(error.statusCode || error.status || 500).json({
+      success: false,
+      message: error.message || 'Error updating order',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Move an order to the next pipeline status
+ * @route PATCH /api/orders/:id/status
+ */
+exports.updateOrderStatus = async (req, res) => {
+  try {
+    if (!isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid order ID',
+      });
+    }
+    if (sendValidationErrors(req, res)) return;
+
+    const previous = await getOrder(req.params.id);
+    const order = await transitionOrderStatus(req.params.id, req.body.status, {
+      note: req.body.note,
+      actor: resolveActor(req),
+    });
+
+    await recordAudit({
+      req,
+      action: 'update',
+      resourceType: 'order',
+      targetId: order._id,
+      before: previous ? { status: previous.status } : null,
+      after: { status: order.status },
+      summary: `Moved order ${order.orderNumber} to ${order.status}`,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Order moved to ${order.status}`,
+      data: order,
+    });
+  } catch (error) {
+    console.error('Error updating order status:', error);
+    res.status(error.statusCode || error.status || 500).json({
+      success: false,
+      message: error.message || 'Error updating order status',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Start (or retry) automation runs for the order's children
+ * @route POST /api/orders/:id/automation
+ */
+exports.startOrderAutomation = async (req, res) => {
+  try {
+    if (!isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid order ID',
+      });
+    }
+
+    const result = await startOrderAutomation(req.params.id, {
+      filesByChild: groupChildFiles(req.files),
+      actor: resolveActor(req),
+    });
+
+    await recordAudit({
+      req,
+      action: 'update',
+      resourceType: 'order',
+      targetId: result.order._id,
+      summary: `Started automation for order ${result.order.orderNumber}`,
+      metadata: { startedRuns: result.started, failures: result.failures },
+    });
+
+    res.status(202).json({
+      success: true,
+      message: result.started.length
+        ? `Started ${result.started.length} automation run(s)`
+        : 'No automation runs were started',
+      data: result.order,
+      meta: { startedRuns: result.started, failures: result.failures },
+    });
+  } catch (error) {
+    console.error('Error starting order automation:', error);
+    res.status(error.statusCode || error.status || 500).json({
+      success: false,
+      message: error.message || 'Error starting order automation',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Delete a received or cancelled order
+ * @route DELETE /api/orders/:id
+ */
+exports.deleteOrder = async (req, res) => {
+  try {
+    if (!isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid order ID',
+      });
+    }
+
+    const order = await deleteOrder(req.params.id);
+
+    await recordAudit({
+      req,
+      action: 'delete',
+      resourceType: 'order',
+      targetId: order._id,
+      before: order,
+      summary: `Deleted order ${order.orderNumber}`,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Order deleted successfully',
+    });
+  } catch (error) {
+    console.error('Error deleting order:', error);
+    res.status(error.statusCode || error.status || 500).json({
+      success: false,
+      message: error.message || 'Error deleting order',
+      error: error.message,
+    });
+  }
+};
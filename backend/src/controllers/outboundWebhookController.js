@@ -0,0 +1,172 @@
+const {
+  WEBHOOK_EVENTS,
+  listWebhookEndpoints,
+  createWebhookEndpoint,
+  updateWebhookEndpoint,
+  deleteWebhookEndpoint,
+  listWebhookDeliveries,
+  replayWebhookDelivery,
+} = require('../services/outboundWebhooks');
+const { recordAudit } = require('../services/auditLog');
+
+// Secrets stay out of the audit log; a rotation is recorded as a flag instead
+const toAuditSnapshot = (endpoint) =>
+  endpoint
+    ? {
+        name: endpoint.name,
+        url: endpoint.url,
+        events: [...(endpoint.events || [])],
+        enabled: endpoint.enabled,
+      }
+    : null;
+
+const sendWebhookError = (res, error, fallbackMessage) =>
+  res.status(error.statusCode || 500).json({
+    success: false,
+    message: error.statusCode ? error.message : fallbackMessage,
+    error: error.message,
+  });
+
+/**
+ * List outbound webhook endpoints and the events they can subscribe to
+ * @route GET /api/outbound-webhooks
+ */
+exports.listEndpoints = async (req, res) => {
+  try {
+    const endpoints = await listWebhookEndpoints();
+
+    res.status(200).json({
+      success: true,
+      data: endpoints,
+      events: WEBHOOK_EVENTS,
+    });
+  } catch (error) {
+    console.error('Error fetching webhook endpoints:', error);
+    sendWebhookError(res, error, 'Failed to fetch webhook endpoints');
+  }
+};
+
+/**
+ * Register an endpoint; a signing secret is generated for it
+ * @route POST /api/outbound-webhooks
+ */
+exports.createEndpoint = async (req, res) => {
+  try {
+    const endpoint = await createWebhookEndpoint(req.body || {});
+
+    await recordAudit({
+      req,
+      action: 'create',
+      resourceType: 'webhook_endpoint',
+      targetId: endpoint._id,
+      after: toAuditSnapshot(endpoint),
+      summary: `Added webhook endpoint ${endpoint.name}`,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Webhook endpoint created',
+      data: endpoint,
+    });
+  } catch (error) {
+    console.error('Error creating webhook endpoint:', error);
+    sendWebhookError(res, error, 'Failed to create webhook endpoint');
+  }
+};
+
+/**
+ * Change an endpoint's URL, subscriptions or enabled flag, or rotate its secret
+ * @route PATCH /api/outbound-webhooks/:id
+ */
+exports.updateEndpoint = async (req, res) => {
+  try {
+    const { before, endpoint } = await updateWebhookEndpoint(req.params.id, req.body || {});
+
+    await recordAudit({
+      req,
+      action: 'update',
+      resourceType: 'webhook_endpoint',
+      targetId: endpoint._id,
+      before: toAuditSnapshot(before),
+      after: toAuditSnapshot(endpoint),
+      summary: `Updated webhook endpoint ${endpoint.name}`,
+      metadata: req.body?.rotateSecret ? { secretRotated: true } : null,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: req.body?.rotateSecret ? 'Signing secret rotated' : 'Webhook endpoint updated',
+      data: endpoint,
+    });
+  } catch (error) {
+    console.error('Error updating webhook endpoint:', error);
+    sendWebhookError(res, error, 'Failed to update webhook endpoint');
+  }
+};
+
+/**
+ * Remove an endpoint and its delivery log
+ * @route DELETE /api/outbound-webhooks/:id
+ */
+exports.deleteEndpoint = async (req, res) => {
+  try {
+    const endpoint = await deleteWebhookEndpoint(req.params.id);
+
+    await recordAudit({
+      req,
+      action: 'delete',
+      resourceType: 'webhook_endpoint',
+      targetId: endpoint._id,
+      before: toAuditSnapshot(endpoint),
+      summary: `Deleted webhook endpoint ${endpoint.name}`,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Webhook endpoint deleted',
+      data: {},
+    });
+  } catch (error) {
+    console.error('Error deleting webhook endpoint:', error);
+    sendWebhookError(res, error, 'Failed to delete webhook endpoint');
+  }
+};
+
+/**
+ * Delivery log, newest first
+ * @route GET /api/outbound-webhooks/deliveries
+ */
+exports.listDeliveries = async (req, res) => {
+  try {
+    const { endpointId, status, event, limit } = req.query;
+    const deliveries = await listWebhookDeliveries({ endpointId, status, event, limit });
+
+    res.status(200).json({
+      success: true,
+      count: deliveries.length,
+      data: deliveries,
+    });
+  } catch (error) {
+    console.error('Error fetching webhook deliveries:', error);
+    sendWebhookError(res, error, 'Failed to fetch webhook deliveries');
+  }
+};
+
+/**
+ * Send a delivery's event again
+ * @route POST /api/outbound-webhooks/deliveries/:deliveryId/replay
+ */
+exports.replayDelivery = async (req, res) => {
+  try {
+    const delivery = await replayWebhookDelivery(req.params.deliveryId);
+
+    res.status(202).json({
+      success: true,
+      message: 'Webhook replay queued',
+      data: delivery,
+    });
+  } catch (error) {
+    console.error('Error replaying webhook delivery:', error);
+    sendWebhookError(res, error, 'Failed to replay webhook delivery');
+  }
+};
@@ -1,73 +1,19 @@
-const fetch = require('node-fetch');
 const { validationResult } = require('express-validator');
 const Prompt = require('../models/Prompt');
+const { PROMPT_TEMPLATE_KEYS } = require('../config/promptTemplates');
+const { getActiveTemplate } = require('../services/promptTemplates');
+const {
+  OPENROUTER_MODEL,
+  isPromptGeneratorConfigured,
+  generatePromptFromImage,
+} = require('../services/promptGenerator');
+const { recordAudit } = require('../services/auditLog');
 const {
   uploadBufferToS3,
   deleteFromS3,
   generatePromptImageKey,
 } = require('../config/s3');
 
-const OPENROUTER_BASE_URL = process.env.OPENROUTER_BASE_URL || 'https://openrouter.ai/api/v1';
-const OPENROUTER_MODEL = process.env.OPENROUTER_MODEL || 'openai/gpt-4o-mini-2024-07-18';
-const OPENROUTER_API_KEY = process.env.OPENROUTER_API_KEY;
-const OPENROUTER_APP_URL = process.env.OPENROUTER_APP_URL || 'https://example.com';
-const OPENROUTER_APP_NAME = process.env.OPENROUTER_APP_NAME || 'AI Book Story';
-
-const SYSTEM_INSTRUCTION = `
-You are an expert visual prompt engineer. Given a single reference image of a child, produce a clean, photorealistic prompt that can regenerate the same child for fine-tuning.
-
-Output requirements:
-- Compose the response as 2–3 sentences that each begin with a strong action verb such as "Generate", "Create", or "Capture", followed by a final sentence that begins with "Do not include".
-- The descriptive sentences must cover only what is visibly present (pose, facing direction, expression, detailed wardrobe with colours and textures, held items, lighting, framing, camera angle, setting cues). Combine related details naturally rather than repeating rigid prefixes.
-- If the child is interacting with notable props (holding an item, sitting on or riding something, leaning against an object), describe that interaction accurately in the same sentence as the relevant pose details.
-- If the image clearly conveys cultural or regional cues tied to Israel, Jerusalem, or related traditions (buildings, attire, ceremonial items, landscapes), weave those into the description naturally.
-- One descriptive sentence must clearly state that the background is completely absent (transparent alpha channel or featureless neutral void) so the subject can be composited elsewhere.
-- If the reference image shows a kippah (skullcap), explicitly mention it.
-- If the reference image shows notable garments, uniforms, accessories, jewellery, fabric patterns, or modern/casual dress cues, describe them precisely, including the exact garment type (e.g. t-shirt, button-up shirt, kurta, dress), colours, textures, and whether the look is formal, casual, sporty, traditional, etc.
-- If the child is interacting with notable props (holding an item, sitting on or riding something, leaning against an object), describe that interaction accurately in the same sentence as the relevant pose details, naming the object clearly.
-- Never mention or speculate about hair colour, eye colour, skin tone, ethnicity, or age. Do not fabricate traits that aren’t visible in the reference.
-- Do not reference other people, animals, props, or scenery unless they genuinely appear in the image.
-- The final "Do not include" sentence must list all exclusions in a natural way (e.g. “Do not include any background elements, additional people, animals, props, harsh shadows, painterly styles, or blur beyond the neutral void.”).
-- Return strictly valid JSON with a single key "prompt" whose value is the multi-sentence text described above. All wording must be generated fresh from the visual cues—avoid stock phrasing.
-`;
-
-const parseApiResponse = (content) => {
-  if (!content) {
-    throw new Error('LLM returned an empty response');
-  }
-
-  const raw =
-    typeof content === 'string'
-      ? content
-      : Array.isArray(content)
-      ? content
-          .map((segment) =>
-            typeof segment === 'string' ? segment : segment?.text || ''
-          )
-          .join('\n')
-      : '';
-
-  if (!raw.trim()) {
-    throw new Error('LLM returned an empty response');
-  }
-
-  const jsonMatch = raw.match(/```(?:json)?\s*([\s\S]*?)\s*```/i);
-  const jsonString = jsonMatch ? jsonMatch[1] : raw;
-
-  try {
-    const payload = JSON.parse(jsonString);
-    if (!payload.prompt) {
-      throw new Error('Missing "prompt" key in LLM response');
-    }
-    return {
-      prompt: payload.prompt,
-      negative_prompt: payload.negative_prompt || '',
-    };
-  } catch (error) {
-    throw new Error(`Failed to parse LLM response: ${error.message}`);
-  }
-};
-
 const escapeRegex = (value) =>
   typeof value === 'string' ? value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') : '';
 
@@ -96,6 +42,15 @@ const normalizeTags = (tags) => {
     return result.slice(0, 12);
   };
 
+// Saved prompts arrive as multipart fields, so the template that generated
+// the text is sent back as `promptTemplateKey` / `promptTemplateVersion`.
+const parsePromptTemplateRef = (body) => {
+  const key = typeof body?.promptTemplateKey === 'string' ? body.promptTemplateKey.trim() : '';
+  if (!PROMPT_TEMPLATE_KEYS.includes(key)) return null;
+  const version = Number.parseInt(body?.promptTemplateVersion, 10);
+  return { key, version: Number.isNaN(version) || version <= 0 ? null : version };
+};
+
 const serializePrompt = (doc) => {
   if (!doc) return null;
   return {
@@ -113,6 +68,7 @@ const serializePrompt = (doc) => {
     status: doc.status,
     quality: doc.quality,
     tags: Array.isArray(doc.tags) ? doc.tags : [],
+    promptTemplate: doc.promptTemplate || null,
     createdAt: doc.createdAt,
     updatedAt: doc.updatedAt,
   };
@@ -189,6 +145,16 @@ exports.createPrompt = async (req, res) => {
       requestContext: {
         source: 'manual-save',
       },
+      promptTemplate: parsePromptTemplateRef(req.body),
+    });
+
+    await recordAudit({
+      req,
+      action: 'create',
+      resourceType: 'prompt',
+      targetId: promptDocument._id,
+      after: promptDocument,
+      summary: `Saved prompt for ${promptDocument.fileName}`,
     });
 
     res.status(201).json({
@@ -223,7 +189,7 @@ exports.generatePrompts = async (req, res) => {
     });
   }
 
-  if (!OPENROUTER_API_KEY) {
+  if (!isPromptGeneratorConfigured()) {
     return res.status(500).json({
       success: false,
       message:
@@ -246,85 +212,30 @@ exports.generatePrompts = async (req, res) => {
         : '';
     const normalizedAdditionalContext = additionalContextRaw.trim() || null;
 
+    // Resolve once so every prompt in the batch comes from the same version
+    const template = await getActiveTemplate('prompt_generator');
     const results = [];
 
     for (let index = 0; index < files.length; index += 1) {
       const file = files[index];
       const mime = file.mimetype || 'image/jpeg';
 
-      const base64 = file.buffer.toString('base64');
-      const dataUrl = `data:${mime};base64,${base64}`;
-
-      const userContent = [];
-
-      if (normalizedAdditionalContext) {
-        userContent.push({
-          type: 'text',
-          text: normalizedAdditionalContext,
-        });
-      }
-
-      userContent.push({
-        type: 'text',
-        text: 'Use the following reference image to extract visual details. Do not fabricate traits that are not visible.',
-      });
-
-      userContent.push({
-        type: 'image_url',
-        image_url: {
-          url: dataUrl,
-        },
-      });
-
-      const response = await fetch(`${OPENROUTER_BASE_URL}/chat/completions`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          Authorization: `Bearer ${OPENROUTER_API_KEY}`,
-          'HTTP-Referer': OPENROUTER_APP_URL,
-          'X-Title': OPENROUTER_APP_NAME,
-        },
-        body: JSON.stringify({
-          model: OPENROUTER_MODEL,
-          messages: [
-            {
-              role: 'system',
-              content: SYSTEM_INSTRUCTION,
-            },
-            {
-              role: 'user',
-              content: userContent,
-            },
-          ],
-          response_format: { type: 'json_object' },
-        }),
+      const generated = await generatePromptFromImage({
+        buffer: file.buffer,
+        mimeType: mime,
+        additionalContext: normalizedAdditionalContext,
+        template,
       });
 
-      if (!response.ok) {
-        const errorPayload = await response.text();
-        throw new Error(
-          `OpenRouter request failed (${response.status}): ${errorPayload}`
-        );
-      }
-
-      const payload = await response.json();
-      const choice = payload?.choices?.[0]?.message;
-      const parsed = parseApiResponse(choice?.content);
-      const trimmedPrompt = parsed.prompt?.trim?.() || '';
-      const trimmedNegative = parsed.negative_prompt?.trim?.() || '';
-      const mergedPrompt =
-        trimmedNegative && trimmedNegative.length > 0
-          ? `${trimmedPrompt}${trimmedPrompt.endsWith('.') ? '' : '.'}\nDo not: ${trimmedNegative}`
-          : trimmedPrompt;
-
       results.push({
         position: index,
         fileName: file.originalname,
         mimeType: mime,
         size: file.size || 0,
-        prompt: mergedPrompt,
-        negativePrompt: trimmedNegative || null,
+        prompt: generated.prompt,
+        negativePrompt: generated.negativePrompt,
         additionalContext: normalizedAdditionalContext,
+        promptTemplate: generated.promptTemplate,
       });
     }
 
@@ -420,6 +331,7 @@ exports.listPrompts = async (req, res) => {
       status: item.status,
       quality: item.quality,
       tags: Array.isArray(item.tags) ? item.tags : [],
+      promptTemplate: item.promptTemplate || null,
       createdAt: item.createdAt,
       updatedAt: item.updatedAt,
     }));
@@ -536,10 +448,7 @@ exports.updatePrompt = async (req, res) => {
   }
 
   try {
-    const prompt = await Prompt.findByIdAndUpdate(promptId, updatePayload, {
-      new: true,
-      runValidators: true,
-    });
+    const prompt = await Prompt.findById(promptId);
 
     if (!prompt) {
       return res.status(404).json({
@@ -548,6 +457,20 @@ exports.updatePrompt = async (req, res) => {
       });
     }
 
+    const previousPrompt = prompt.toObject();
+    prompt.set(updatePayload);
+    await prompt.save();
+
+    await recordAudit({
+      req,
+      action: 'update',
+      resourceType: 'prompt',
+      targetId: prompt._id,
+      before: previousPrompt,
+      after: prompt,
+      summary: `Edited prompt for ${prompt.fileName}`,
+    });
+
     res.status(200).json({
       success: true,
       data: serializePrompt(prompt),
@@ -575,15 +498,7 @@ exports.updatePromptQuality = async (req, res) => {
       });
     }
 
-    const prompt = await Prompt.findByIdAndUpdate(
-      req.params.id,
-      {
-        quality: quality.toLowerCase(),
-      },
-      {
-        new: true,
-      }
-    );
+    const prompt = await Prompt.findById(req.params.id);
 
     if (!prompt) {
       return res.status(404).json({
@@ -592,6 +507,20 @@ exports.updatePromptQuality = async (req, res) => {
       });
     }
 
+    const previousPrompt = prompt.toObject();
+    prompt.quality = quality.toLowerCase();
+    await prompt.save();
+
+    await recordAudit({
+      req,
+      action: 'update',
+      resourceType: 'prompt',
+      targetId: prompt._id,
+      before: previousPrompt,
+      after: prompt,
+      summary: `Marked prompt for ${prompt.fileName} as ${prompt.quality}`,
+    });
+
     res.status(200).json({
       success: true,
       data: serializePrompt(prompt),
@@ -611,15 +540,7 @@ exports.updatePromptTags = async (req, res) => {
   try {
     const normalizedTags = normalizeTags(req.body?.tags);
 
-    const prompt = await Prompt.findByIdAndUpdate(
-      req.params.id,
-      {
-        tags: normalizedTags,
-      },
-      {
-        new: true,
-      }
-    );
+    const prompt = await Prompt.findById(req.params.id);
 
     if (!prompt) {
       return res.status(404).json({
@@ -628,6 +549,20 @@ exports.updatePromptTags = async (req, res) => {
       });
     }
 
+    const previousPrompt = prompt.toObject();
+    prompt.tags = normalizedTags;
+    await prompt.save();
+
+    await recordAudit({
+      req,
+      action: 'update',
+      resourceType: 'prompt',
+      targetId: prompt._id,
+      before: previousPrompt,
+      after: prompt,
+      summary: `Updated tags on prompt for ${prompt.fileName}`,
+    });
+
     res.status(200).json({
       success: true,
       data: serializePrompt(prompt),
@@ -661,6 +596,15 @@ exports.deletePrompt = async (req, res) => {
 
     await prompt.deleteOne();
 
+    await recordAudit({
+      req,
+      action: 'delete',
+      resourceType: 'prompt',
+      targetId: prompt._id,
+      before: prompt,
+      summary: `Deleted prompt for ${prompt.fileName}`,
+    });
+
     res.status(200).json({
       success: true,
       message: 'Prompt deleted successfully',
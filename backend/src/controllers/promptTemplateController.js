@@ -0,0 +1,176 @@
+const {
+  listTemplates,
+  listTemplateVersions,
+  getTemplateVersion,
+  createTemplateVersion,
+  activateTemplateVersion,
+} = require('../services/promptTemplates');
+const { listTemplateSamples, dryRunTemplate } = require('../services/promptTemplateDryRun');
+const { recordAudit } = require('../services/auditLog');
+
+const resolveActor = (req) => ({
+  accountId: req.account?._id || null,
+  name: req.account?.name || '',
+});
+
+const sendTemplateError = (res, error, fallbackMessage) =>
+  res.status(error.statusCode || error.status || 500).json({
+    success: false,
+    message: error.statusCode ? error.message : fallbackMessage,
+    error: error.message,
+  });
+
+/**
+ * List the prompt templates with their active version
+ * @route GET /api/prompt-templates
+ */
+exports.listTemplates = async (req, res) => {
+  try {
+    const templates = await listTemplates();
+
+    res.status(200).json({
+      success: true,
+      data: templates,
+    });
+  } catch (error) {
+    console.error('Error fetching prompt templates:', error);
+    sendTemplateError(res, error, 'Failed to fetch prompt templates');
+  }
+};
+
+/**
+ * List every saved version of a template, newest first
+ * @route GET /api/prompt-templates/:key/versions
+ */
+exports.listVersions = async (req, res) => {
+  try {
+    const versions = await listTemplateVersions(req.params.key);
+
+    res.status(200).json({
+      success: true,
+      data: versions,
+    });
+  } catch (error) {
+    console.error('Error fetching prompt template versions:', error);
+    sendTemplateError(res, error, 'Failed to fetch prompt template versions');
+  }
+};
+
+/**
+ * Get a single template version
+ * @route GET /api/prompt-templates/:key/versions/:version
+ */
+exports.getVersion = async (req, res) => {
+  try {
+    const version = await getTemplateVersion(req.params.key, req.params.version);
+
+    res.status(200).json({
+      success: true,
+      data: version,
+    });
+  } catch (error) {
+    console.error('Error fetching prompt template version:', error);
+    sendTemplateError(res, error, 'Failed to fetch prompt template version');
+  }
+};
+
+/**
+ * Save edited content as a new template version
+ * @route POST /api/prompt-templates/:key/versions
+ */
+exports.createVersion = async (req, res) => {
+  try {
+    const { content, notes, activate } = req.body || {};
+    const version = await createTemplateVersion(req.params.key, {
+      content,
+      notes,
+      activate: activate !== false,
+      actor: resolveActor(req),
+    });
+
+    await recordAudit({
+      req,
+      action: 'create',
+      resourceType: 'prompt_template',
+      targetId: version._id,
+      summary: `Saved ${version.key} prompt template v${version.version}`,
+      metadata: { key: version.key, version: version.version, activated: version.isActive },
+    });
+
+    res.status(201).json({
+      success: true,
+      message: version.isActive
+        ? `Version ${version.version} saved and activated`
+        : `Version ${version.version} saved`,
+      data: version,
+    });
+  } catch (error) {
+    console.error('Error saving prompt template version:', error);
+    sendTemplateError(res, error, 'Failed to save prompt template version');
+  }
+};
+
+/**
+ * Make a saved version the one used by new LLM calls
+ * @route POST /api/prompt-templates/:key/versions/:version/activate
+ */
+exports.activateVersion = async (req, res) => {
+  try {
+    const version = await activateTemplateVersion(req.params.key, req.params.version);
+
+    await recordAudit({
+      req,
+      action: 'update',
+      resourceType: 'prompt_template',
+      targetId: version._id,
+      summary: `Activated ${version.key} prompt template v${version.version}`,
+      metadata: { key: version.key, version: version.version },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Version ${version.version} is now active`,
+      data: version,
+    });
+  } catch (error) {
+    console.error('Error activating prompt template version:', error);
+    sendTemplateError(res, error, 'Failed to activate prompt template version');
+  }
+};
+
+/**
+ * List saved records a template can be dry-run against
+ * @route GET /api/prompt-templates/:key/samples
+ */
+exports.listSamples = async (req, res) => {
+  try {
+    const samples = await listTemplateSamples(req.params.key, { limit: req.query.limit });
+
+    res.status(200).json({
+      success: true,
+      data: samples,
+    });
+  } catch (error) {
+    console.error('Error fetching prompt template samples:', error);
+    sendTemplateError(res, error, 'Failed to fetch dry run samples');
+  }
+};
+
+/**
+ * Run draft or saved template content against saved samples without storing results
+ * @route POST /api/prompt-templates/:key/dry-run
+ */
+exports.dryRun = async (req, res) => {
+  try {
+    const { content, version, sampleIds } = req.body || {};
+    const result = await dryRunTemplate(req.params.key, { content, version, sampleIds });
+
+    res.status(200).json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    console.error('Error running prompt template dry run:', error);
+    sendTemplateError(res, error, 'Failed to run prompt template dry run');
+  }
+};
@@ -1,21 +1,19 @@
 const { verifyWebhookToken } = require('../utils/webhook');
 const { processPredictionEvent } = require('../services/generationWorkflow');
 const { processTrainingEvent } = require('../services/trainingWorkflow');
+const { getImageProvider, hasImageProvider } = require('../services/providers');
 
 const SUPPORTED_RESOURCES = new Set(['generation', 'training']);
 
-const determineEventType = (req, prediction) => {
-  const headerEvent = req.get('x-replicate-event');
-  if (headerEvent) return headerEvent;
-  if (prediction?.event) return prediction.event;
-  if (prediction?.status === 'succeeded' || prediction?.status === 'failed' || prediction?.status === 'canceled') {
-    return 'completed';
-  }
-  return 'update';
-};
+exports.handleProviderWebhook = async (req, res) => {
+  const { provider: providerName, resourceType, resourceId } = req.params;
 
-exports.handleReplicateWebhook = async (req, res) => {
-  const { resourceType, resourceId } = req.params;
+  if (!hasImageProvider(providerName)) {
+    return res.status(404).json({
+      success: false,
+      message: 'Unknown image provider',
+    });
+  }
 
   if (!SUPPORTED_RESOURCES.has(resourceType)) {
     console.warn(`⚠️  Received webhook for unsupported resource type: ${resourceType}`);
@@ -36,20 +34,19 @@ exports.handleReplicateWebhook = async (req, res) => {
     });
   }
 
-  const payload = req.body;
-  if (!payload || typeof payload !== 'object') {
+  if (!req.body || typeof req.body !== 'object') {
     return res.status(400).json({
       success: false,
       message: 'Invalid webhook payload',
     });
   }
 
-  const eventType = determineEventType(req, payload);
+  const { eventType, payload } = getImageProvider(providerName).parseWebhook(req);
 
   try {
     if (resourceType === 'generation') {
       console.log(
-        `📨 Received Replicate webhook for generation ${resourceId} (event=${eventType}, status=${payload.status})`
+        `📨 Received ${providerName} webhook for generation ${resourceId} (event=${eventType}, status=${payload.status})`
       );
       await processPredictionEvent({
         generationId: resourceId,
@@ -58,7 +55,7 @@ exports.handleReplicateWebhook = async (req, res) => {
       });
     } else if (resourceType === 'training') {
       console.log(
-        `📨 Received Replicate webhook for training ${resourceId} (event=${eventType}, status=${payload.status})`
+        `📨 Received ${providerName} webhook for training ${resourceId} (event=${eventType}, status=${payload.status})`
       );
       await processTrainingEvent({
         trainingId: resourceId,
@@ -72,7 +69,7 @@ exports.handleReplicateWebhook = async (req, res) => {
       received: true,
     });
   } catch (error) {
-    console.error('❌ Error processing Replicate webhook:', error);
+    console.error(`❌ Error processing ${providerName} webhook:`, error);
     return res.status(500).json({
       success: false,
       message: 'Failed to process webhook',
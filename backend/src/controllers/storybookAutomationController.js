@@ -1,6 +1,12 @@
 const mongoose = require('mongoose');
-const { startStorybookAutomation, getStorybookJobById, listStorybookJobsForBook } = require('../services/storybookWorkflow');
+const {
+  startStorybookAutomation,
+  getStorybookJobById,
+  listStorybookJobsForBook,
+  approveStorybookBudget,
+} = require('../services/storybookWorkflow');
 const { subscribeToStorybookUpdates } = require('../services/storybookEvents');
+const { recordAudit } = require('../services/auditLog');
 
 const isValidObjectId = (value) => {
   if (!value) return false;
@@ -10,7 +16,7 @@ const isValidObjectId = (value) => {
 exports.startAutomation = async (req, res) => {
   try {
     const { id: bookId } = req.params;
-    const { trainingId, userId, readerId, readerName, readerGender, title } = req.body;
+    const { trainingId, userId, readerId, readerName, readerGender, title, language } = req.body;
 
     if (!isValidObjectId(bookId)) {
       return res.status(400).json({
@@ -19,10 +25,11 @@ exports.startAutomation = async (req, res) => {
       });
     }
 
-    if (!isValidObjectId(trainingId)) {
+    // Without a training ID the reader's pinned model is used
+    if (trainingId && !isValidObjectId(trainingId)) {
       return res.status(400).json({
         success: false,
-        message: 'Training ID is required',
+        message: 'Training ID is invalid',
       });
     }
 
@@ -52,6 +59,7 @@ exports.startAutomation = async (req, res) => {
       readerName,
       readerGender,
       title,
+      language,
     });
 
     return res.status(202).json({
@@ -61,9 +69,10 @@ exports.startAutomation = async (req, res) => {
     });
   } catch (error) {
     console.error('Error starting storybook automation:', error);
-    return res.status(500).json({
+    return res.status(error.statusCode || 500).json({
       success: false,
       message: error.message || 'Failed to start storybook automation',
+      errors: error.errors,
     });
   }
 };
@@ -128,6 +137,53 @@ exports.listJobs = async (req, res) => {
   }
 };
 
+/**
+ * Approve more paid predictions for a run paused by a spend guard and resume it
+ * @route POST /api/books/:id/storybooks/jobs/:jobId/approve-budget
+ */
+exports.approveBudget = async (req, res) => {
+  try {
+    const { id: bookId, jobId } = req.params;
+    if (!isValidObjectId(bookId) || !isValidObjectId(jobId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid book or job ID',
+      });
+    }
+
+    const { job, approval, pausedReason } = await approveStorybookBudget({
+      bookId,
+      jobId,
+      extraPredictions: req.body?.extraPredictions,
+      actor: { accountId: req.account?._id || null, name: req.account?.name || '' },
+    });
+
+    await recordAudit({
+      req,
+      action: 'update',
+      resourceType: 'storybook_job',
+      targetId: jobId,
+      before: { status: 'paused', pausedReason },
+      after: { status: job.status, approval },
+      summary: `Approved ${approval.extraPredictions} more predictions for storybook run ${jobId}`,
+      metadata: { bookId, guard: approval.guard },
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Budget approved, storybook run resumed',
+      data: job,
+    });
+  } catch (error) {
+    console.error('Error approving storybook budget:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to approve storybook budget',
+      error: error.message,
+    });
+  }
+};
+
 exports.streamJobs = (req, res) => {
   res.setHeader('Content-Type', 'text/event-stream');
   res.setHeader('Cache-Control', 'no-cache');
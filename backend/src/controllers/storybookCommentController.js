@@ -0,0 +1,281 @@
+const mongoose = require('mongoose');
+const Book = require('../models/Book');
+const StorybookComment = require('../models/StorybookComment');
+const { recordAudit } = require('../services/auditLog');
+
+const COMMENT_MAX_LENGTH = 2000;
+
+const isValidObjectId = (value) => mongoose.Types.ObjectId.isValid(value);
+
+const resolveActor = (req) => ({
+  accountId: req.account?._id || null,
+  name: req.account?.name || '',
+});
+
+const normalizeText = (value) =>
+  typeof value === 'string' ? value.trim().slice(0, COMMENT_MAX_LENGTH) : '';
+
+const sendCommentError = (res, error, fallbackMessage) => {
+  console.error(`${fallbackMessage}:`, error);
+  res.status(error.statusCode || error.status || 500).json({
+    success: false,
+    message: error.statusCode ? error.message : fallbackMessage,
+    error: error.message,
+  });
+};
+
+const createHttpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const loadStorybookAsset = async (bookId, assetId) => {
+  if (!isValidObjectId(bookId)) {
+    throw createHttpError('Invalid book ID', 400);
+  }
+  const book = await Book.findById(bookId).select('name pdfAssets');
+  if (!book) {
+    throw createHttpError('Book not found', 404);
+  }
+  const pdfAsset =
+    (isValidObjectId(assetId) && book.pdfAssets.id(assetId)) ||
+    book.pdfAssets.find((asset) => asset.key === assetId);
+  if (!pdfAsset || !pdfAsset._id) {
+    throw createHttpError('Storybook asset not found', 404);
+  }
+  return { book, pdfAsset };
+};
+
+const loadThread = async (req) => {
+  const { id: bookId, assetId, commentId } = req.params;
+  const { book, pdfAsset } = await loadStorybookAsset(bookId, assetId);
+  if (!isValidObjectId(commentId)) {
+    throw createHttpError('Invalid comment ID', 400);
+  }
+  const comment = await StorybookComment.findOne({
+    _id: commentId,
+    bookId: book._id,
+    pdfAssetId: pdfAsset._id,
+  });
+  if (!comment) {
+    throw createHttpError('Comment not found', 404);
+  }
+  return { book, pdfAsset, comment };
+};
+
+const summarizeThreads = (threads = []) =>
+  threads.reduce((acc, thread) => {
+    const key = String(thread.pageOrder);
+    if (!acc[key]) acc[key] = { open: 0, resolved: 0 };
+    acc[key][thread.resolved ? 'resolved' : 'open'] += 1;
+    return acc;
+  }, {});
+
+/**
+ * List comment threads for a storybook asset, optionally for one page
+ * @route GET /api/books/:id/storybooks/:assetId/comments
+ */
+exports.listComments = async (req, res) => {
+  try {
+    const { id: bookId, assetId } = req.params;
+    const { pageOrder, status = 'all' } = req.query;
+    const { book, pdfAsset } = await loadStorybookAsset(bookId, assetId);
+
+    const threads = await StorybookComment.find({ bookId: book._id, pdfAssetId: pdfAsset._id })
+      .sort({ pageOrder: 1, createdAt: 1 })
+      .lean();
+
+    const numericOrder = Number(pageOrder);
+    const filtered = threads.filter((thread) => {
+      if (Number.isInteger(numericOrder) && numericOrder > 0 && thread.pageOrder !== numericOrder) {
+        return false;
+      }
+      if (status === 'open') return !thread.resolved;
+      if (status === 'resolved') return thread.resolved;
+      return true;
+    });
+
+    res.status(200).json({
+      success: true,
+      data: filtered,
+      summary: summarizeThreads(threads),
+    });
+  } catch (error) {
+    sendCommentError(res, error, 'Failed to fetch storybook comments');
+  }
+};
+
+/**
+ * Start a comment thread on a storybook page
+ * @route POST /api/books/:id/storybooks/:assetId/comments
+ */
+exports.createComment = async (req, res) => {
+  try {
+    const { id: bookId, assetId } = req.params;
+    const { book, pdfAsset } = await loadStorybookAsset(bookId, assetId);
+
+    const pageOrder = Number(req.body?.pageOrder);
+    const pageExists = (pdfAsset.pages || []).some((page) => Number(page.order) === pageOrder);
+    if (!Number.isInteger(pageOrder) || !pageExists) {
+      return res.status(400).json({
+        success: false,
+        message: 'pageOrder must match a page in this storybook',
+      });
+    }
+
+    const text = normalizeText(req.body?.text);
+    if (!text) {
+      return res.status(400).json({
+        success: false,
+        message: 'Comment text is required',
+      });
+    }
+
+    const comment = await StorybookComment.create({
+      bookId: book._id,
+      pdfAssetId: pdfAsset._id,
+      pageOrder,
+      text,
+      author: resolveActor(req),
+    });
+
+    await recordAudit({
+      req,
+      action: 'create',
+      resourceType: 'storybook_comment',
+      targetId: comment._id,
+      after: comment.toObject(),
+      summary: `Commented on page ${pageOrder} of "${pdfAsset.title || book.name}"`,
+      metadata: { bookId: String(book._id), pdfAssetId: String(pdfAsset._id), pageOrder },
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Comment added',
+      data: comment,
+    });
+  } catch (error) {
+    sendCommentError(res, error, 'Failed to add storybook comment');
+  }
+};
+
+/**
+ * Reply to an existing comment thread
+ * @route POST /api/books/:id/storybooks/:assetId/comments/:commentId/replies
+ */
+exports.addReply = async (req, res) => {
+  try {
+    const { comment } = await loadThread(req);
+
+    const text = normalizeText(req.body?.text);
+    if (!text) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reply text is required',
+      });
+    }
+
+    comment.replies.push({ text, author: resolveActor(req) });
+    await comment.save();
+
+    await recordAudit({
+      req,
+      action: 'update',
+      resourceType: 'storybook_comment',
+      targetId: comment._id,
+      summary: `Replied to a comment on page ${comment.pageOrder}`,
+      metadata: { pdfAssetId: String(comment.pdfAssetId), pageOrder: comment.pageOrder },
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Reply added',
+      data: comment,
+    });
+  } catch (error) {
+    sendCommentError(res, error, 'Failed to add reply');
+  }
+};
+
+/**
+ * Edit a thread's text or toggle its resolved state
+ * @route PATCH /api/books/:id/storybooks/:assetId/comments/:commentId
+ */
+exports.updateComment = async (req, res) => {
+  try {
+    const { comment } = await loadThread(req);
+    const before = { text: comment.text, resolved: comment.resolved };
+    const { text, resolved } = req.body || {};
+
+    if (text !== undefined) {
+      const normalized = normalizeText(text);
+      if (!normalized) {
+        return res.status(400).json({
+          success: false,
+          message: 'Comment text cannot be empty',
+        });
+      }
+      comment.text = normalized;
+    }
+
+    if (resolved !== undefined) {
+      const nextResolved = resolved === true || resolved === 'true';
+      if (nextResolved !== comment.resolved) {
+        comment.resolved = nextResolved;
+        comment.resolvedAt = nextResolved ? new Date() : null;
+        comment.resolvedBy = nextResolved ? resolveActor(req) : null;
+      }
+    }
+
+    await comment.save();
+
+    await recordAudit({
+      req,
+      action: 'update',
+      resourceType: 'storybook_comment',
+      targetId: comment._id,
+      before,
+      after: { text: comment.text, resolved: comment.resolved },
+      summary:
+        before.resolved !== comment.resolved
+          ? `${comment.resolved ? 'Resolved' : 'Reopened'} a comment on page ${comment.pageOrder}`
+          : `Edited a comment on page ${comment.pageOrder}`,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Comment updated',
+      data: comment,
+    });
+  } catch (error) {
+    sendCommentError(res, error, 'Failed to update comment');
+  }
+};
+
+/**
+ * Delete a comment thread and its replies
+ * @route DELETE /api/books/:id/storybooks/:assetId/comments/:commentId
+ */
+exports.deleteComment = async (req, res) => {
+  try {
+    const { comment } = await loadThread(req);
+    await comment.deleteOne();
+
+    await recordAudit({
+      req,
+      action: 'delete',
+      resourceType: 'storybook_comment',
+      targetId: comment._id,
+      before: comment.toObject(),
+      summary: `Deleted a comment on page ${comment.pageOrder}`,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Comment deleted',
+    });
+  } catch (error) {
+    sendCommentError(res, error, 'Failed to delete comment');
+  }
+};
@@ -1,28 +1,27 @@
 const mongoose = require('mongoose');
 const Training = require('../models/Training');
 const User = require('../models/User');
-const { replicate } = require('../config/replicate');
-const fetch = require('node-fetch');
-const fs = require('fs-extra');
+const { getImageProvider } = require('../services/providers');
 const path = require('path');
-const os = require('os');
-const archiver = require('archiver');
-const {
-  uploadBufferToS3,
-  deleteFromS3,
-  generateTrainingImageKey,
-  generateTrainingZipKey,
-  downloadFromS3,
-} = require('../config/s3');
 const { subscribeToTrainingUpdates } = require('../services/trainingEvents');
+const { recordAudit } = require('../services/auditLog');
 const {
-  dispatchTraining,
   processTrainingEvent,
   broadcastTraining,
   populateTrainingForClient,
 } = require('../services/trainingWorkflow');
-
-const MAX_TRAINING_IMAGES = 25;
+const {
+  setUserDefaultTraining,
+  clearUserDefaultTraining,
+  updateTrainingLifecycle,
+} = require('../services/trainingLifecycle');
+const {
+  resolveDatasetForTraining,
+  loadTrainingDatasetImages,
+  markTrainingDatasetUsed,
+} = require('../services/trainingDataset');
+const { launchTraining } = require('../services/trainingLauncher');
+const { resolveTrainingPreset } = require('../services/trainingPresets');
 
 const guessContentType = (fileName = '') => {
   const ext = path.extname(fileName).toLowerCase();
@@ -65,45 +64,6 @@ const buildFileNameFromAsset = (asset, index) => {
   return `training-image-${index + 1}.jpg`;
 };
 
-const normaliseUrl = (url) => {
-  if (!url) return null;
-  try {
-    const parsed = new URL(url);
-    return parsed.toString();
-  } catch (error) {
-    return encodeURI(url);
-  }
-};
-
-const downloadAssetBuffer = async (asset, index) => {
-  if (!asset) return null;
-
-  if (asset.key) {
-    try {
-      const buffer = await downloadFromS3(asset.key);
-      if (buffer && buffer.length > 0) {
-        return buffer;
-      }
-    } catch (error) {
-      console.warn(`⚠️  Failed to download asset ${asset.key} from S3: ${error.message}`);
-    }
-  }
-
-  if (asset.url) {
-    const targetUrl = normaliseUrl(asset.url);
-    if (!targetUrl) return null;
-    const response = await fetch(targetUrl);
-    if (!response.ok) {
-      throw new Error(`Failed to download image from ${targetUrl} (status ${response.status})`);
-    }
-    const arrayBuffer = await response.arrayBuffer();
-    return Buffer.from(arrayBuffer);
-  }
-
-  console.warn(`⚠️  Asset at index ${index} had neither key nor URL. Skipping.`);
-  return null;
-};
-
 const escapeRegex = (value) =>
   typeof value === 'string' ? value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') : value;
 
@@ -134,6 +94,7 @@ exports.getAllTrainings = async (req, res) => {
       sortBy = 'createdAt',
       sortOrder = 'desc',
       minimal,
+      lifecycle,
     } = req.query;
 
     const isMinimal = typeof minimal === 'string' && minimal.toLowerCase() === 'true';
@@ -154,6 +115,13 @@ exports.getAllTrainings = async (req, res) => {
       filter.status = status;
     }
 
+    // Trainings created before lifecycle tracking have no state and count as active
+    if (lifecycle === 'active') {
+      filter['lifecycle.state'] = { $nin: ['deprecated', 'archived'] };
+    } else if (lifecycle === 'deprecated' || lifecycle === 'archived') {
+      filter['lifecycle.state'] = lifecycle;
+    }
+
     if (search && typeof search === 'string') {
       const expression = new RegExp(escapeRegex(search.trim()), 'i');
       filter.$or = [{ modelName: expression }, { modelVersion: expression }];
@@ -223,6 +191,7 @@ exports.getAllTrainings = async (req, res) => {
                 email: 1,
                 age: 1,
                 gender: 1,
+                defaultTrainingId: 1,
               },
             },
           ],
@@ -310,7 +279,9 @@ exports.getAllTrainings = async (req, res) => {
             learningRate: '$trainingConfig.learningRate',
             batchSize: '$trainingConfig.batchSize',
             triggerWord: '$trainingConfig.triggerWord',
+            presetName: '$trainingConfig.presetName',
           },
+          lifecycle: 1,
           userId: 1,
         },
       });
@@ -419,9 +390,6 @@ exports.getTrainingById = async (req, res) => {
  */
 exports.startTraining = async (req, res) => {
   const incomingFiles = Array.isArray(req.files) ? req.files : [];
-  let uploadedAssets = [];
-  let generatedZipKey = null;
-  let localZipPath;
 
   try {
     const { userId } = req.body;
@@ -442,6 +410,7 @@ exports.startTraining = async (req, res) => {
     const useUserAssets = incomingFiles.length === 0;
     let sourceAssets = [];
     let userAssetIdsUsed = [];
+    let datasetIdUsed = null;
 
     if (useUserAssets) {
       const userAssets = Array.isArray(user.imageAssets) ? user.imageAssets : [];
@@ -452,39 +421,13 @@ exports.startTraining = async (req, res) => {
         });
       }
 
-      const assetsToProcess = userAssets.slice(0, MAX_TRAINING_IMAGES);
-      userAssetIdsUsed = assetsToProcess.map((asset) => asset._id);
-
-      for (let index = 0; index < assetsToProcess.length; index += 1) {
-        const asset = assetsToProcess[index];
-        try {
-          const buffer = await downloadAssetBuffer(asset, index);
-
-          if (!buffer || buffer.length === 0) {
-            console.warn(`⚠️  Skipping empty buffer for asset index ${index} (user ${userId})`);
-            continue;
-          }
-
-          const originalName = buildFileNameFromAsset(asset, index);
-          sourceAssets.push({
-            buffer,
-            originalName,
-            contentType: asset.contentType || guessContentType(originalName),
-            size: buffer.length,
-          });
-        } catch (downloadError) {
-          throw new Error(
-            `Failed to load user asset "${asset?.originalName || asset?.key || index}" for training: ${downloadError.message}`
-          );
-        }
-      }
-
-      if (!sourceAssets.length) {
-        return res.status(400).json({
-          success: false,
-          message: 'Unable to load user images for training. Please verify the uploaded files and try again.',
-        });
-      }
+      // Curated set: oriented, face-cropped, de-duplicated and without rejected photos
+      const dataset = await resolveDatasetForTraining(userId, req.body.datasetId, {
+        actor: { accountId: req.account?._id || null, name: req.account?.name || '' },
+      });
+      sourceAssets = await loadTrainingDatasetImages(dataset);
+      userAssetIdsUsed = sourceAssets.map((asset) => asset.assetId);
+      datasetIdUsed = dataset._id;
     } else {
       sourceAssets = incomingFiles.map((file, index) => ({
         buffer: file.buffer,
@@ -501,174 +444,22 @@ exports.startTraining = async (req, res) => {
       });
     }
 
-    const timestamp = Date.now();
-    const baseModelName = (modelName || user.name.toLowerCase()).replace(/[^a-z0-9-]/g, '-');
-    const uniqueModelName = `${baseModelName}-${timestamp}`;
-
-    if (sourceAssets.length < 10) {
-      console.log(
-        `⚠️  Only ${sourceAssets.length} training images provided for ${uniqueModelName}. More images improve fine-tuning quality.`
-      );
-    }
-
-    console.log(
-      `📸 Preparing ${sourceAssets.length} training images for ${uniqueModelName} (source: ${
-        useUserAssets ? 'user-library' : 'direct-upload'
-      })`
-    );
-
-    const tempDir = path.join(os.tmpdir(), 'training-zips');
-    await fs.ensureDir(tempDir);
-    localZipPath = path.join(tempDir, `${uniqueModelName}.zip`);
-
-    const zipOutput = fs.createWriteStream(localZipPath);
-    const archive = archiver('zip', { zlib: { level: 9 } });
-    const archivePromise = new Promise((resolve, reject) => {
-      zipOutput.on('close', resolve);
-      archive.on('error', reject);
-    });
-    archive.pipe(zipOutput);
-
-    const uploadPromises = sourceAssets.map((asset, index) => {
-      const fileName = asset.originalName || `training-image-${index + 1}.jpg`;
-      archive.append(asset.buffer, { name: fileName });
-      const key = generateTrainingImageKey(uniqueModelName, fileName, index);
-      return uploadBufferToS3(asset.buffer, key, asset.contentType, { acl: 'public-read' }).then(({ url }) => ({
-        key,
-        url,
-        size: asset.size ?? asset.buffer.length,
-        contentType: asset.contentType,
-        uploadedAt: new Date(),
-        originalName: fileName,
-      }));
-    });
-
-    await archive.finalize();
-    await archivePromise;
-
-    uploadedAssets = await Promise.all(uploadPromises);
-
-    const zipBuffer = await fs.readFile(localZipPath);
-    generatedZipKey = generateTrainingZipKey(uniqueModelName);
-    const { url: zipUrl } = await uploadBufferToS3(zipBuffer, generatedZipKey, 'application/zip', { acl: 'public-read' });
-    await fs.remove(localZipPath);
-
-    console.log('🌐 Uploaded dataset ZIP to S3:', zipUrl);
-
-    const triggerWord = baseModelName;
-    const trainingInput = {
-      input_images: zipUrl,
-      steps: trainingConfigInput?.steps ? Number(trainingConfigInput.steps) : 1000,
-      lora_rank: trainingConfigInput?.loraRank ? Number(trainingConfigInput.loraRank) : 16,
-      batch_size: trainingConfigInput?.batchSize ? Number(trainingConfigInput.batchSize) : 1,
-      learning_rate: trainingConfigInput?.learningRate ? Number(trainingConfigInput.learningRate) : 0.0004,
-      trigger_word: triggerWord,
-    };
-
-    const trainingConfigRecord = {
-      steps: trainingInput.steps,
-      learningRate: trainingInput.learning_rate,
-      batchSize: trainingInput.batch_size,
-      triggerWord,
+    const preset = await resolveTrainingPreset(req.body.presetId);
+    const populatedTraining = await launchTraining({
+      user,
+      sourceAssets,
       source: useUserAssets ? 'user-library' : 'upload',
-      zipPath: generatedZipKey,
-      zipUrl,
-    };
-
-    if (useUserAssets && userAssetIdsUsed.length) {
-      trainingConfigRecord.userAssetIds = userAssetIdsUsed;
-    }
-    console.log('🚀 Preparing training request for Replicate...');
-    console.log('Training Config:', trainingInput);
-
-    const replicateOptions = {
-      input: trainingInput,
-    };
-
-    if (process.env.REPLICATE_USERNAME) {
-      const destinationPath = `${process.env.REPLICATE_USERNAME}/${uniqueModelName}`;
-      replicateOptions.destination = destinationPath;
-      try {
-        await replicate.models.create(process.env.REPLICATE_USERNAME, uniqueModelName, {
-          visibility: 'private',
-          hardware: 'gpu-t4',
-          description: `Fine-tuned Flux model for ${user.name} (trigger: ${triggerWord})`,
-        });
-        console.log('✅ Model created on Replicate');
-      } catch (modelError) {
-        console.error('❌ Model creation failed:', modelError.message);
-        throw new Error(`Failed to create model: ${modelError.message}`);
-      }
-    } else {
-      console.log('⚠️  No REPLICATE_USERNAME set - training will not be saved to account');
-    }
-
-    const pendingReplicateId = `pending:${uniqueModelName}:${Date.now()}`;
-
-    const newTraining = await Training.create({
-      userId,
-      modelName: uniqueModelName,
-      imageUrls: uploadedAssets.map((asset) => asset.url),
-      imageAssets: uploadedAssets,
-      status: 'queued',
-      progress: 0,
-      logsUrl: null,
-      replicateTrainingId: pendingReplicateId,
-      trainingConfig: trainingConfigRecord,
-      attempts: 0,
-      events: [
-        {
-          type: 'created',
-          message: 'Training dataset prepared and queued',
-          metadata: {
-            userId,
-            modelName: uniqueModelName,
-            images: uploadedAssets.length,
-            source: trainingConfigRecord.source,
-          },
-          timestamp: new Date(),
-        },
-      ],
+      modelName,
+      trainingConfig: trainingConfigInput,
+      userAssetIds: userAssetIdsUsed,
+      datasetId: datasetIdUsed,
+      preset,
     });
 
-    await broadcastTraining(newTraining._id);
-
-    const replicateArgs = {
-      owner: 'ostris',
-      project: 'flux-dev-lora-trainer',
-      version: 'e440909d3512c31646ee2e0c7d6f6f4923224863a6a10c494606e79fb5844497',
-      ...replicateOptions,
-    };
-
-    try {
-      await dispatchTraining({
-        trainingId: newTraining._id,
-        replicateArgs,
-        reason: 'initial',
-      });
-    } catch (dispatchError) {
-      const failureTime = new Date();
-      await Training.findByIdAndUpdate(newTraining._id, {
-        $set: {
-          status: 'failed',
-          error: dispatchError.message,
-          completedAt: failureTime,
-        },
-        $push: {
-          events: {
-            type: 'error',
-            message: `Failed to dispatch training: ${dispatchError.message}`,
-            metadata: { attempt: 1 },
-            timestamp: failureTime,
-          },
-        },
-      });
-      await broadcastTraining(newTraining._id);
-      throw dispatchError;
+    if (datasetIdUsed) {
+      await markTrainingDatasetUsed(datasetIdUsed, populatedTraining._id);
     }
 
-    const populatedTraining = await populateTrainingForClient(newTraining._id);
-
     res.status(202).json({
       success: true,
       message: 'Training started successfully',
@@ -676,28 +467,9 @@ exports.startTraining = async (req, res) => {
     });
   } catch (error) {
     console.error('❌ Error starting training:', error);
-    if (generatedZipKey) {
-      try {
-        await deleteFromS3(generatedZipKey);
-      } catch (cleanupError) {
-        console.warn('⚠️  Failed to delete zip from S3 after error:', cleanupError.message);
-      }
-    }
-    if (uploadedAssets.length) {
-      await Promise.all(
-        uploadedAssets.map((asset) =>
-          deleteFromS3(asset.key).catch((cleanupError) =>
-            console.warn('⚠️  Failed to delete image from S3 after error:', cleanupError.message)
-          )
-        )
-      );
-    }
-    if (localZipPath) {
-      await fs.remove(localZipPath).catch(() => {});
-    }
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: 'Failed to start training',
+      message: error.statusCode ? error.message : 'Failed to start training',
       error: error.message,
     });
   }
@@ -725,7 +497,7 @@ exports.checkTrainingStatus = async (req, res) => {
       });
     }
 
-    const replicateTraining = await replicate.trainings.get(training.replicateTrainingId);
+    const replicateTraining = await getImageProvider().getTraining(training.replicateTrainingId);
     const eventType = ['succeeded', 'failed', 'canceled'].includes(replicateTraining.status)
       ? 'completed'
       : 'update';
@@ -767,8 +539,8 @@ exports.cancelTraining = async (req, res) => {
       });
     }
 
-    // Cancel training on Replicate
-    await replicate.trainings.cancel(training.replicateTrainingId);
+    // Cancel training with the image provider
+    await getImageProvider().cancelTraining(training.replicateTrainingId);
 
     const now = new Date();
     await Training.findByIdAndUpdate(training._id, {
@@ -788,6 +560,17 @@ exports.cancelTraining = async (req, res) => {
       },
     });
 
+    await recordAudit({
+      req,
+      action: 'update',
+      resourceType: 'training',
+      targetId: training._id,
+      before: training,
+      after: await Training.findById(training._id).lean(),
+      summary: `Canceled training ${training.modelName || training._id}`,
+      metadata: { replicateTrainingId: training.replicateTrainingId },
+    });
+
     const updatedTraining = await populateTrainingForClient(training._id);
     await broadcastTraining(training._id);
 
@@ -843,23 +626,40 @@ exports.streamTrainings = (req, res) => {
 };
 
 /**
- * Get successful trainings for a user (for dropdown in generation)
+ * Get successful trainings for a user (for dropdown in generation).
+ * Archived trainings are left out unless `includeArchived=true`.
  * @route GET /api/trainings/user/:userId/successful
  */
 exports.getUserSuccessfulTrainings = async (req, res) => {
   try {
-    const trainings = await Training.find({
+    const includeArchived = String(req.query.includeArchived).toLowerCase() === 'true';
+    const filter = {
       userId: req.params.userId,
       status: 'succeeded',
       modelVersion: { $ne: null },
-    })
-      .select('modelName modelVersion createdAt completedAt')
-      .sort({ completedAt: -1 });
+    };
+    if (!includeArchived) {
+      filter['lifecycle.state'] = { $ne: 'archived' };
+    }
+
+    const [trainings, user] = await Promise.all([
+      Training.find(filter)
+        .select('modelName modelVersion createdAt completedAt trainingConfig.presetName lifecycle')
+        .sort({ completedAt: -1 })
+        .lean(),
+      User.findById(req.params.userId).select('defaultTrainingId').lean(),
+    ]);
+
+    // The pinned training comes first so pickers preselect it
+    const defaultId = user?.defaultTrainingId ? String(user.defaultTrainingId) : null;
+    const data = trainings
+      .map((training) => ({ ...training, isDefault: String(training._id) === defaultId }))
+      .sort((a, b) => Number(b.isDefault) - Number(a.isDefault));
 
     res.status(200).json({
       success: true,
-      count: trainings.length,
-      data: trainings,
+      count: data.length,
+      data,
     });
   } catch (error) {
     console.error('Error fetching successful trainings:', error);
@@ -870,3 +670,112 @@ exports.getUserSuccessfulTrainings = async (req, res) => {
     });
   }
 };
+
+/**
+ * Pin a succeeded training as the default model for its user
+ * @route POST /api/trainings/:id/default
+ */
+exports.setDefaultTraining = async (req, res) => {
+  try {
+    const { training, userId, previousTrainingId } = await setUserDefaultTraining(req.params.id);
+
+    await recordAudit({
+      req,
+      action: 'update',
+      resourceType: 'user',
+      targetId: userId,
+      before: { defaultTrainingId: previousTrainingId },
+      after: { defaultTrainingId: training._id },
+      summary: `Pinned ${training.modelName} as the default model`,
+      metadata: { trainingId: training._id },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Default model updated',
+      data: await populateTrainingForClient(training._id),
+    });
+  } catch (error) {
+    console.error('Error setting default training:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to set default model',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Unpin a user's default model
+ * @route DELETE /api/trainings/user/:userId/default
+ */
+exports.clearDefaultTraining = async (req, res) => {
+  try {
+    const { userId, previousTrainingId } = await clearUserDefaultTraining(req.params.userId);
+
+    if (previousTrainingId) {
+      await recordAudit({
+        req,
+        action: 'update',
+        resourceType: 'user',
+        targetId: userId,
+        before: { defaultTrainingId: previousTrainingId },
+        after: { defaultTrainingId: null },
+        summary: 'Unpinned the default model',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: previousTrainingId ? 'Default model unpinned' : 'No default model was pinned',
+    });
+  } catch (error) {
+    console.error('Error clearing default training:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to unpin default model',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Deprecate, archive or reactivate a training
+ * @route PATCH /api/trainings/:id/lifecycle
+ */
+exports.updateLifecycle = async (req, res) => {
+  try {
+    const { state, reason } = req.body || {};
+    const { before, training, unpinned } = await updateTrainingLifecycle(req.params.id, {
+      state,
+      reason,
+      actor: { accountId: req.account?._id || null, name: req.account?.name || '' },
+    });
+
+    await recordAudit({
+      req,
+      action: 'update',
+      resourceType: 'training',
+      targetId: training._id,
+      before,
+      after: { state: training.lifecycle.state, reason: training.lifecycle.reason },
+      summary: `Marked ${training.modelName} ${training.lifecycle.state}`,
+      metadata: { unpinned },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: unpinned
+        ? `Training ${training.lifecycle.state} and unpinned as the default model`
+        : `Training ${training.lifecycle.state}`,
+      data: training,
+    });
+  } catch (error) {
+    console.error('Error updating training lifecycle:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to update training',
+      error: error.message,
+    });
+  }
+};
@@ -0,0 +1,119 @@
+const {
+  startTrainingDataset,
+  listTrainingDatasets,
+  getTrainingDataset,
+  updateTrainingDatasetItem,
+} = require('../services/trainingDataset');
+const { recordAudit } = require('../services/auditLog');
+
+const resolveActor = (req) => ({
+  accountId: req.account?._id || null,
+  name: req.account?.name || '',
+});
+
+const sendDatasetError = (res, error, fallbackMessage) =>
+  res.status(error.statusCode || error.status || 500).json({
+    success: false,
+    message: error.statusCode ? error.message : fallbackMessage,
+    error: error.message,
+  });
+
+/**
+ * Prepare a curated training set from a user's reference photos
+ * @route POST /api/trainings/datasets
+ */
+exports.createDataset = async (req, res) => {
+  try {
+    const dataset = await startTrainingDataset(req.body?.userId, { actor: resolveActor(req) });
+
+    await recordAudit({
+      req,
+      action: 'create',
+      resourceType: 'training_dataset',
+      targetId: dataset._id,
+      summary: 'Started preparing a training dataset',
+      metadata: { userId: dataset.userId },
+    });
+
+    res.status(202).json({
+      success: true,
+      message: 'Dataset preparation started',
+      data: dataset,
+    });
+  } catch (error) {
+    console.error('Error starting training dataset preparation:', error);
+    sendDatasetError(res, error, 'Failed to prepare training dataset');
+  }
+};
+
+/**
+ * List recent training datasets, optionally for one user (images omitted)
+ * @route GET /api/trainings/datasets
+ */
+exports.listDatasets = async (req, res) => {
+  try {
+    const { userId, limit } = req.query;
+    const datasets = await listTrainingDatasets({ userId, limit });
+
+    res.status(200).json({
+      success: true,
+      data: datasets,
+    });
+  } catch (error) {
+    console.error('Error fetching training datasets:', error);
+    sendDatasetError(res, error, 'Failed to fetch training datasets');
+  }
+};
+
+/**
+ * Get a training dataset with every analysed image
+ * @route GET /api/trainings/datasets/:datasetId
+ */
+exports.getDataset = async (req, res) => {
+  try {
+    const dataset = await getTrainingDataset(req.params.datasetId);
+
+    res.status(200).json({
+      success: true,
+      data: dataset,
+    });
+  } catch (error) {
+    console.error('Error fetching training dataset:', error);
+    sendDatasetError(res, error, 'Failed to fetch training dataset');
+  }
+};
+
+/**
+ * Include/exclude a dataset image or adjust its crop
+ * @route PATCH /api/trainings/datasets/:datasetId/items/:itemId
+ */
+exports.updateDatasetItem = async (req, res) => {
+  try {
+    const { included, crop } = req.body || {};
+    const { before, item, dataset } = await updateTrainingDatasetItem(
+      req.params.datasetId,
+      req.params.itemId,
+      { included, crop }
+    );
+
+    await recordAudit({
+      req,
+      action: 'update',
+      resourceType: 'training_dataset',
+      targetId: dataset._id,
+      before: { included: before.included, crop: before.crop },
+      after: { included: item.included, crop: item.crop },
+      summary: `Reviewed training image "${item.originalName}"`,
+      metadata: { itemId: item._id },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Dataset image updated',
+      data: dataset,
+    });
+  } catch (error) {
+    console.error('Error updating training dataset image:', error);
+    sendDatasetError(res, error, 'Failed to update dataset image');
+  }
+};
@@ -0,0 +1,130 @@
+const {
+  DEFAULT_EXPERIMENT_PROMPTS,
+  startTrainingExperiment,
+  listTrainingExperiments,
+  getTrainingExperiment,
+  selectExperimentWinner,
+} = require('../services/trainingExperiments');
+const { recordAudit } = require('../services/auditLog');
+
+const resolveActor = (req) => ({
+  accountId: req.account?._id || null,
+  name: req.account?.name || '',
+});
+
+const sendExperimentError = (res, error, fallbackMessage) =>
+  res.status(error.statusCode || error.status || 500).json({
+    success: false,
+    message: error.statusCode ? error.message : fallbackMessage,
+    error: error.message,
+  });
+
+/**
+ * Train two LoRAs for a user with different presets and compare them
+ * @route POST /api/trainings/experiments
+ */
+exports.createExperiment = async (req, res) => {
+  try {
+    const { userId, presetIds, datasetId, prompts, label } = req.body || {};
+    const experiment = await startTrainingExperiment(
+      { userId, presetIds, datasetId, prompts, label },
+      { actor: resolveActor(req) }
+    );
+
+    await recordAudit({
+      req,
+      action: 'create',
+      resourceType: 'training_experiment',
+      targetId: experiment._id,
+      summary: `Started A/B training comparison (${experiment.arms
+        .map((arm) => arm.presetName)
+        .join(' vs ')})`,
+      metadata: { userId: experiment.userId },
+    });
+
+    res.status(202).json({
+      success: true,
+      message: 'Training experiment started',
+      data: experiment,
+    });
+  } catch (error) {
+    console.error('Error starting training experiment:', error);
+    sendExperimentError(res, error, 'Failed to start training experiment');
+  }
+};
+
+/**
+ * List training experiments (filter with ?userId=)
+ * @route GET /api/trainings/experiments
+ */
+exports.listExperiments = async (req, res) => {
+  try {
+    const { userId, limit } = req.query;
+    const experiments = await listTrainingExperiments({ userId, limit });
+
+    res.status(200).json({
+      success: true,
+      data: experiments,
+      defaultPrompts: DEFAULT_EXPERIMENT_PROMPTS,
+    });
+  } catch (error) {
+    console.error('Error fetching training experiments:', error);
+    sendExperimentError(res, error, 'Failed to fetch training experiments');
+  }
+};
+
+/**
+ * Get an experiment with both arms' ranked outputs
+ * @route GET /api/trainings/experiments/:experimentId
+ */
+exports.getExperiment = async (req, res) => {
+  try {
+    const experiment = await getTrainingExperiment(req.params.experimentId);
+
+    res.status(200).json({
+      success: true,
+      data: experiment,
+    });
+  } catch (error) {
+    console.error('Error fetching training experiment:', error);
+    sendExperimentError(res, error, 'Failed to fetch training experiment');
+  }
+};
+
+/**
+ * Pick the winning arm and make its LoRA the user's default model
+ * @route POST /api/trainings/experiments/:experimentId/winner
+ */
+exports.selectWinner = async (req, res) => {
+  try {
+    const { before, experiment, previousTrainingId } = await selectExperimentWinner(
+      req.params.experimentId,
+      req.body?.arm
+    );
+    const arm = experiment.arms.find((entry) => entry.key === experiment.winner);
+
+    await recordAudit({
+      req,
+      action: 'update',
+      resourceType: 'training_experiment',
+      targetId: experiment._id,
+      before,
+      after: { winner: experiment.winner },
+      summary: `Picked arm ${experiment.winner} (${arm.presetName}) as the default model`,
+      metadata: {
+        userId: experiment.userId,
+        trainingId: arm.trainingId,
+        previousTrainingId,
+      },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Winner selected and set as the default model',
+      data: await getTrainingExperiment(experiment._id),
+    });
+  } catch (error) {
+    console.error('Error selecting experiment winner:', error);
+    sendExperimentError(res, error, 'Failed to select experiment winner');
+  }
+};
@@ -0,0 +1,121 @@
+const {
+  listTrainingPresets,
+  createTrainingPreset,
+  updateTrainingPreset,
+  deleteTrainingPreset,
+} = require('../services/trainingPresets');
+const { recordAudit } = require('../services/auditLog');
+
+const resolveActor = (req) => ({
+  accountId: req.account?._id || null,
+  name: req.account?.name || '',
+});
+
+const sendPresetError = (res, error, fallbackMessage) =>
+  res.status(error.statusCode || error.status || 500).json({
+    success: false,
+    message: error.statusCode ? error.message : fallbackMessage,
+    error: error.message,
+  });
+
+/**
+ * List training hyperparameter presets
+ * @route GET /api/trainings/presets
+ */
+exports.listPresets = async (req, res) => {
+  try {
+    const presets = await listTrainingPresets();
+
+    res.status(200).json({
+      success: true,
+      data: presets,
+    });
+  } catch (error) {
+    console.error('Error fetching training presets:', error);
+    sendPresetError(res, error, 'Failed to fetch training presets');
+  }
+};
+
+/**
+ * Create a named training preset
+ * @route POST /api/trainings/presets
+ */
+exports.createPreset = async (req, res) => {
+  try {
+    const preset = await createTrainingPreset(req.body, { actor: resolveActor(req) });
+
+    await recordAudit({
+      req,
+      action: 'create',
+      resourceType: 'training_preset',
+      targetId: preset._id,
+      after: preset,
+      summary: `Created training preset "${preset.name}"`,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Training preset created',
+      data: preset,
+    });
+  } catch (error) {
+    console.error('Error creating training preset:', error);
+    sendPresetError(res, error, 'Failed to create training preset');
+  }
+};
+
+/**
+ * Update a training preset (existing trainings keep the values they used)
+ * @route PUT /api/trainings/presets/:presetId
+ */
+exports.updatePreset = async (req, res) => {
+  try {
+    const { before, preset } = await updateTrainingPreset(req.params.presetId, req.body);
+
+    await recordAudit({
+      req,
+      action: 'update',
+      resourceType: 'training_preset',
+      targetId: preset._id,
+      before,
+      after: preset,
+      summary: `Updated training preset "${preset.name}"`,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Training preset updated',
+      data: preset,
+    });
+  } catch (error) {
+    console.error('Error updating training preset:', error);
+    sendPresetError(res, error, 'Failed to update training preset');
+  }
+};
+
+/**
+ * Delete a training preset
+ * @route DELETE /api/trainings/presets/:presetId
+ */
+exports.deletePreset = async (req, res) => {
+  try {
+    const preset = await deleteTrainingPreset(req.params.presetId);
+
+    await recordAudit({
+      req,
+      action: 'delete',
+      resourceType: 'training_preset',
+      targetId: preset._id,
+      before: preset,
+      summary: `Deleted training preset "${preset.name}"`,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Training preset deleted',
+    });
+  } catch (error) {
+    console.error('Error deleting training preset:', error);
+    sendPresetError(res, error, 'Failed to delete training preset');
+  }
+};
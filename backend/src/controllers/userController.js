@@ -2,10 +2,19 @@ const User = require('../models/User');
 const { validationResult } = require('express-validator');
 const { uploadBufferToS3, deleteFromS3, generateImageKey } = require('../config/s3');
 const { evaluateSingleImage } = require('../services/evaluator');
+const { recordAudit } = require('../services/auditLog');
+const { notifyPhotosRejected } = require('../services/notifications');
 
 const parseBoolean = (value) =>
   typeof value === 'string' ? value === 'true' || value === '1' : Boolean(value);
 
+// Accepts a list or a comma-separated string of sibling names
+const normalizeSiblings = (value) => {
+  if (value === undefined) return undefined;
+  const names = Array.isArray(value) ? value : String(value || '').split(',');
+  return names.map((name) => String(name || '').trim()).filter(Boolean);
+};
+
 const escapeRegex = (value) =>
   typeof value === 'string' ? value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') : value;
 
@@ -201,7 +210,7 @@ exports.createUser = async (req, res) => {
       });
     }
 
-    const { name, age, gender, email, countryCode, phoneNumber } = req.body;
+    const { name, age, gender, email, countryCode, phoneNumber, hometown, siblings } = req.body;
 
     const user = await User.create({
       name,
@@ -210,9 +219,20 @@ exports.createUser = async (req, res) => {
       email,
       countryCode,
       phoneNumber,
+      hometown,
+      siblings: normalizeSiblings(siblings),
       imageAssets: [],
     });
 
+    await recordAudit({
+      req,
+      action: 'create',
+      resourceType: 'user',
+      targetId: user._id,
+      after: user,
+      summary: `Created user ${user.name}`,
+    });
+
     res.status(201).json({
       success: true,
       message: 'User created successfully',
@@ -243,7 +263,18 @@ exports.updateUser = async (req, res) => {
       });
     }
 
-    const { name, age, gender, email, countryCode, phoneNumber, status } = req.body;
+    const {
+      name,
+      age,
+      gender,
+      email,
+      countryCode,
+      phoneNumber,
+      status,
+      emailOptOut,
+      hometown,
+      siblings,
+    } = req.body;
 
     // Check if user exists
     let user = await User.findById(req.params.id);
@@ -253,6 +284,12 @@ exports.updateUser = async (req, res) => {
         message: 'User not found',
       });
     }
+    const previousUser = user.toObject();
+
+    // Only a change of the opt-out flag restamps when and where it was set
+    const optOutChanged =
+      emailOptOut !== undefined &&
+      parseBoolean(emailOptOut) !== Boolean(previousUser.notifications?.emailOptOut);
 
     // Update user fields
     user = await User.findByIdAndUpdate(
@@ -265,10 +302,29 @@ exports.updateUser = async (req, res) => {
         countryCode,
         phoneNumber,
         status,
+        hometown,
+        siblings: normalizeSiblings(siblings),
+        ...(optOutChanged
+          ? {
+              'notifications.emailOptOut': parseBoolean(emailOptOut),
+              'notifications.optedOutAt': parseBoolean(emailOptOut) ? new Date() : null,
+              'notifications.optOutSource': parseBoolean(emailOptOut) ? 'dashboard' : null,
+            }
+          : {}),
       },
       { new: true, runValidators: true }
     );
 
+    await recordAudit({
+      req,
+      action: 'update',
+      resourceType: 'user',
+      targetId: user._id,
+      before: previousUser,
+      after: user,
+      summary: `Updated user ${user.name}`,
+    });
+
     res.status(200).json({
       success: true,
       message: 'User updated successfully',
@@ -311,6 +367,15 @@ exports.deleteUser = async (req, res) => {
 
     await User.findByIdAndDelete(req.params.id);
 
+    await recordAudit({
+      req,
+      action: 'delete',
+      resourceType: 'user',
+      targetId: user._id,
+      before: user,
+      summary: `Deleted user ${user.name}`,
+    });
+
     res.status(200).json({
       success: true,
       message: 'User deleted successfully',
@@ -359,6 +424,7 @@ exports.uploadImageAsset = async (req, res) => {
         name: req.file.originalname,
         mimeType: req.file.mimetype,
         base64,
+        usageContext: { userId: user._id },
       });
       imageEvaluation = Array.isArray(evaluation?.images) ? evaluation.images[0] : null;
     } catch (error) {
@@ -371,6 +437,12 @@ exports.uploadImageAsset = async (req, res) => {
     }
 
     if (!override && (!imageEvaluation || !imageEvaluation.acceptable)) {
+      await notifyPhotosRejected({
+        user,
+        fileName: req.file.originalname,
+        evaluation,
+        imageEvaluation,
+      });
       return res.status(422).json({
         success: false,
         message: 'Image rejected by evaluator',
@@ -397,15 +469,28 @@ exports.uploadImageAsset = async (req, res) => {
             confidencePercent: imageEvaluation.confidencePercent ?? null,
             summary: evaluation?.overallAcceptance?.summary || '',
             override,
+            promptTemplate: evaluation?.promptTemplate || null,
           }
         : {
             override,
           },
     };
 
+    const previousUser = user.toObject();
     user.imageAssets.push(asset);
     await user.save();
 
+    await recordAudit({
+      req,
+      action: 'update',
+      resourceType: 'user',
+      targetId: user._id,
+      before: previousUser,
+      after: user,
+      summary: `Uploaded image ${req.file.originalname} for ${user.name}`,
+      metadata: { assetKey: key, override },
+    });
+
     res.status(200).json({
       success: true,
       message:
@@ -455,9 +540,21 @@ exports.removeImageAsset = async (req, res) => {
     const { deleteFromS3 } = require('../config/s3');
     await deleteFromS3(asset.key);
 
+    const previousUser = user.toObject();
     user.removeImageAsset(assetId);
     await user.save();
 
+    await recordAudit({
+      req,
+      action: 'update',
+      resourceType: 'user',
+      targetId: user._id,
+      before: previousUser,
+      after: user,
+      summary: `Deleted image ${asset.originalName || asset.key} from ${user.name}`,
+      metadata: { assetId, assetKey: asset.key },
+    });
+
     res.status(200).json({
       success: true,
       message: 'Image removed successfully',
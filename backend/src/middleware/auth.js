@@ -0,0 +1,97 @@
+const AdminAccount = require('../models/AdminAccount');
+const { SESSION_COOKIE_NAME, verifySessionToken, isCurrentSession } = require('../config/auth');
+
+const READ_ONLY_METHODS = new Set(['GET', 'HEAD', 'OPTIONS']);
+
+const parseCookies = (header) => {
+  if (!header || typeof header !== 'string') return {};
+  return header.split(';').reduce((acc, part) => {
+    const index = part.indexOf('=');
+    if (index === -1) return acc;
+    const name = part.slice(0, index).trim();
+    const value = part.slice(index + 1).trim();
+    if (name) {
+      try {
+        acc[name] = decodeURIComponent(value);
+      } catch (error) {
+        acc[name] = value;
+      }
+    }
+    return acc;
+  }, {});
+};
+
+const extractSessionToken = (req) => {
+  const authorization = req.headers.authorization;
+  if (typeof authorization === 'string' && authorization.startsWith('Bearer ')) {
+    return authorization.slice(7).trim();
+  }
+  const cookies = parseCookies(req.headers.cookie);
+  return cookies[SESSION_COOKIE_NAME] || null;
+};
+
+/**
+ * Resolves the signed-in staff account from the session cookie (or a bearer
+ * token) and exposes it as `req.account`. EventSource requests carry the
+ * cookie too, so the SSE `stream/live` endpoints are covered by the same check.
+ */
+exports.authenticate = async (req, res, next) => {
+  try {
+    const payload = verifySessionToken(extractSessionToken(req));
+    if (!payload) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required',
+      });
+    }
+
+    const account = await AdminAccount.findById(payload.sub);
+    if (!account || account.status !== 'active' || !isCurrentSession(payload, account)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required',
+      });
+    }
+
+    req.account = account;
+    next();
+  } catch (error) {
+    console.error('Error authenticating request:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to authenticate request',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Restricts a route to the given roles.
+ */
+exports.authorize = (...roles) => (req, res, next) => {
+  if (!req.account || !roles.includes(req.account.role)) {
+    return res.status(403).json({
+      success: false,
+      message: 'You do not have permission to perform this action',
+    });
+  }
+  next();
+};
+
+/**
+ * Reviewers are read-only: any non-GET request from them is rejected.
+ */
+exports.requireWriteAccess = (req, res, next) => {
+  if (READ_ONLY_METHODS.has(req.method)) {
+    return next();
+  }
+  if (!req.account || req.account.role === 'reviewer') {
+    return res.status(403).json({
+      success: false,
+      message: 'Reviewers have read-only access',
+    });
+  }
+  next();
+};
+
+exports.extractSessionToken = extractSessionToken;
@@ -1,4 +1,5 @@
 const { body } = require('express-validator');
+const { STORY_LANGUAGE_CODES } = require('../config/languages');
 
 /**
  * Validation rules for user creation/update
@@ -45,6 +46,17 @@ exports.validateUser = [
     .matches(/^\d{6,15}$/)
     .withMessage('Phone number must be 6-15 digits'),
 
+  body('hometown')
+    .optional()
+    .isString()
+    .isLength({ max: 100 })
+    .withMessage('Hometown cannot exceed 100 characters'),
+
+  body('siblings')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Siblings must be a list of up to 20 names'),
+
 ];
 
 const BOOK_GENDERS = ['male', 'female', 'both'];
@@ -69,6 +81,10 @@ exports.validateBookCreate = [
     .optional()
     .isIn(BOOK_STATUSES)
     .withMessage('Status must be active or inactive'),
+  body('language')
+    .optional()
+    .isIn(STORY_LANGUAGE_CODES)
+    .withMessage(`Language must be one of: ${STORY_LANGUAGE_CODES.join(', ')}`),
 ];
 
 exports.validateBookUpdate = [
@@ -91,6 +107,10 @@ exports.validateBookUpdate = [
     .optional()
     .isIn(BOOK_STATUSES)
     .withMessage('Status must be active or inactive'),
+  body('language')
+    .optional()
+    .isIn(STORY_LANGUAGE_CODES)
+    .withMessage(`Language must be one of: ${STORY_LANGUAGE_CODES.join(', ')}`),
 ];
 
 /**
@@ -105,6 +125,10 @@ exports.validateTraining = [
     .isLength({ min: 3, max: 50 })
     .withMessage('Model name must be between 3 and 50 characters'),
 
+  body('datasetId').optional().isMongoId().withMessage('Invalid dataset ID'),
+
+  body('presetId').optional().isMongoId().withMessage('Invalid preset ID'),
+
   body('trainingConfig.steps')
     .optional()
     .isInt({ min: 100, max: 5000 })
@@ -119,6 +143,11 @@ exports.validateTraining = [
     .optional()
     .isInt({ min: 1, max: 16 })
     .withMessage('Batch size must be between 1 and 16'),
+
+  body('trainingConfig.loraRank')
+    .optional()
+    .isInt({ min: 4, max: 128 })
+    .withMessage('LoRA rank must be between 4 and 128'),
 ];
 
 /**
@@ -127,11 +156,8 @@ exports.validateTraining = [
 exports.validateGeneration = [
   body('userId').notEmpty().withMessage('User ID is required').isMongoId().withMessage('Invalid user ID'),
 
-  body('trainingId')
-    .notEmpty()
-    .withMessage('Training ID is required')
-    .isMongoId()
-    .withMessage('Invalid training ID'),
+  // Optional: the user's pinned training is used when omitted
+  body('trainingId').optional({ values: 'falsy' }).isMongoId().withMessage('Invalid training ID'),
 
   body('prompt')
     .trim()
@@ -160,3 +186,159 @@ exports.validateGeneration = [
     .isFloat({ min: 0, max: 1 })
     .withMessage('Prompt strength must be between 0 and 1'),
 ];
+
+const ADMIN_ROLES = ['admin', 'editor', 'reviewer'];
+const ADMIN_STATUSES = ['active', 'disabled'];
+
+/**
+ * Validation rules for dashboard login
+ */
+exports.validateLogin = [
+  // Staff emails are only trimmed and lowercased, the same rule AdminAccount
+  // applies on save, so ADMIN_EMAIL and created accounts match at login
+  body('email')
+    .trim()
+    .notEmpty()
+    .withMessage('Email is required')
+    .isEmail()
+    .withMessage('Please provide a valid email address')
+    .toLowerCase(),
+  body('password').notEmpty().withMessage('Password is required'),
+];
+
+/**
+ * Validation rules for staff account creation
+ */
+exports.validateAccountCreate = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Name is required')
+    .isLength({ max: 100 })
+    .withMessage('Name cannot exceed 100 characters'),
+  body('email')
+    .trim()
+    .notEmpty()
+    .withMessage('Email is required')
+    .isEmail()
+    .withMessage('Please provide a valid email address')
+    .toLowerCase(),
+  body('password')
+    .isLength({ min: 8 })
+    .withMessage('Password must be at least 8 characters'),
+  body('role')
+    .optional()
+    .isIn(ADMIN_ROLES)
+    .withMessage('Role must be admin, editor, or reviewer'),
+];
+
+/**
+ * Validation rules for staff account updates
+ */
+exports.validateAccountUpdate = [
+  body('name')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Name cannot be empty')
+    .isLength({ max: 100 })
+    .withMessage('Name cannot exceed 100 characters'),
+  body('password')
+    .optional()
+    .isLength({ min: 8 })
+    .withMessage('Password must be at least 8 characters'),
+  body('role')
+    .optional()
+    .isIn(ADMIN_ROLES)
+    .withMessage('Role must be admin, editor, or reviewer'),
+  body('status')
+    .optional()
+    .isIn(ADMIN_STATUSES)
+    .withMessage('Status must be active or disabled'),
+];
+
+const ORDER_STATUSES = ['received', 'training', 'proofing', 'approved', 'printing', 'shipped', 'cancelled'];
+
+// Multipart order requests carry nested objects as JSON strings
+const parseJsonField = (value) => {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return value;
+  }
+};
+
+const orderCustomerRules = (optional = false) => {
+  const chain = (field) => (optional ? body(field).optional() : body(field));
+  return [
+    chain('customer.name')
+      .trim()
+      .notEmpty()
+      .withMessage('Customer name is required')
+      .isLength({ max: 100 })
+      .withMessage('Customer name cannot exceed 100 characters'),
+    chain('customer.email')
+      .trim()
+      .notEmpty()
+      .withMessage('Customer email is required')
+      .isEmail()
+      .withMessage('Please provide a valid customer email address')
+      .normalizeEmail(),
+    body('customer.countryCode')
+      .optional({ values: 'falsy' })
+      .trim()
+      .matches(/^\+\d{1,4}$/)
+      .withMessage('Country code must be in format +XX'),
+    body('customer.phoneNumber')
+      .optional({ values: 'falsy' })
+      .trim()
+      .matches(/^\d{6,15}$/)
+      .withMessage('Phone number must be 6-15 digits'),
+  ];
+};
+
+/**
+ * Validation rules for order creation
+ */
+exports.validateOrderCreate = [
+  body(['customer', 'shipping', 'children']).customSanitizer(parseJsonField),
+  ...orderCustomerRules(),
+  body('bookId').notEmpty().withMessage('Book ID is required').isMongoId().withMessage('Invalid book ID'),
+  body('children').isArray({ min: 1, max: 10 }).withMessage('Add between 1 and 10 children'),
+  body('children.*.userId').optional().isMongoId().withMessage('Invalid child user ID'),
+  body('children.*')
+    .custom((child) => Boolean(child?.userId || (child?.name && child?.age && child?.gender)))
+    .withMessage('Each child needs an existing user or a name, age and gender'),
+  body('children.*.gender')
+    .optional()
+    .isIn(['male', 'female', 'other'])
+    .withMessage('Gender must be male, female, or other'),
+  body('shipping.addressLine1').trim().notEmpty().withMessage('Shipping address is required'),
+  body('shipping.city').trim().notEmpty().withMessage('Shipping city is required'),
+  body('shipping.postalCode').trim().notEmpty().withMessage('Shipping postal code is required'),
+  body('shipping.country').trim().notEmpty().withMessage('Shipping country is required'),
+  body('notes').optional().isLength({ max: 2000 }).withMessage('Notes cannot exceed 2000 characters'),
+  body('startAutomation').optional().isBoolean().withMessage('startAutomation must be a boolean').toBoolean(),
+];
+
+/**
+ * Validation rules for order detail updates
+ */
+exports.validateOrderUpdate = [
+  ...orderCustomerRules(true),
+  body('shipping').optional().isObject().withMessage('Shipping must be an object'),
+  body('notes').optional().isLength({ max: 2000 }).withMessage('Notes cannot exceed 2000 characters'),
+];
+
+/**
+ * Validation rules for order status changes
+ */
+exports.validateOrderStatus = [
+  body('status')
+    .notEmpty()
+    .withMessage('Status is required')
+    .isIn(ORDER_STATUSES)
+    .withMessage(`Status must be one of: ${ORDER_STATUSES.join(', ')}`),
+  body('note').optional().trim().isLength({ max: 500 }).withMessage('Note cannot exceed 500 characters'),
+];
@@ -0,0 +1,74 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const ADMIN_ROLES = ['admin', 'editor', 'reviewer'];
+const PASSWORD_KEY_LENGTH = 64;
+
+/**
+ * Staff accounts that can sign in to the admin dashboard. Kept separate from
+ * `User`, which stores the children the books are generated for.
+ */
+const adminAccountSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Name is required'],
+      trim: true,
+      maxlength: [100, 'Name cannot exceed 100 characters'],
+    },
+    email: {
+      type: String,
+      required: [true, 'Email is required'],
+      unique: true,
+      trim: true,
+      lowercase: true,
+    },
+    role: {
+      type: String,
+      enum: ADMIN_ROLES,
+      default: 'reviewer',
+    },
+    status: {
+      type: String,
+      enum: ['active', 'disabled'],
+      default: 'active',
+    },
+    passwordHash: { type: String, required: true, select: false },
+    passwordSalt: { type: String, required: true, select: false },
+    lastLoginAt: { type: Date, default: null },
+    // Carried in session tokens; bumping it signs out every existing session
+    sessionVersion: { type: Number, default: 0 },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const hashPassword = (password, salt) =>
+  crypto.scryptSync(String(password), salt, PASSWORD_KEY_LENGTH).toString('hex');
+
+adminAccountSchema.methods.setPassword = function setPassword(password) {
+  this.passwordSalt = crypto.randomBytes(16).toString('hex');
+  this.passwordHash = hashPassword(password, this.passwordSalt);
+};
+
+adminAccountSchema.methods.verifyPassword = function verifyPassword(password) {
+  if (!this.passwordHash || !this.passwordSalt || typeof password !== 'string') {
+    return false;
+  }
+  const expected = Buffer.from(this.passwordHash, 'hex');
+  const actual = Buffer.from(hashPassword(password, this.passwordSalt), 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+adminAccountSchema.methods.toJSON = function toJSON() {
+  const object = this.toObject();
+  delete object.passwordHash;
+  delete object.passwordSalt;
+  return object;
+};
+
+const AdminAccount = mongoose.model('AdminAccount', adminAccountSchema);
+
+module.exports = AdminAccount;
+module.exports.ADMIN_ROLES = ADMIN_ROLES;
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+const auditChangeSchema = new mongoose.Schema(
+  {
+    path: { type: String, required: true },
+    before: { type: mongoose.Schema.Types.Mixed, default: null },
+    after: { type: mongoose.Schema.Types.Mixed, default: null },
+  },
+  { _id: false }
+);
+
+const auditActorSchema = new mongoose.Schema(
+  {
+    accountId: { type: mongoose.Schema.Types.ObjectId, ref: 'AdminAccount', default: null },
+    name: { type: String, default: '' },
+    email: { type: String, default: '' },
+    role: { type: String, default: '' },
+  },
+  { _id: false }
+);
+
+/**
+ * Append-only record of a mutating admin action.
+ */
+const auditLogSchema = new mongoose.Schema(
+  {
+    actor: { type: auditActorSchema, default: () => ({}) },
+    action: {
+      type: String,
+      enum: ['create', 'update', 'delete'],
+      required: true,
+    },
+    resourceType: { type: String, required: true, trim: true },
+    targetId: { type: String, default: null },
+    method: { type: String, default: '' },
+    route: { type: String, default: '' },
+    summary: { type: String, default: '' },
+    changes: { type: [auditChangeSchema], default: [] },
+    metadata: { type: mongoose.Schema.Types.Mixed, default: null },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ resourceType: 1, targetId: 1, createdAt: -1 });
+auditLogSchema.index({ 'actor.accountId': 1, createdAt: -1 });
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+module.exports = AuditLog;
@@ -22,6 +22,11 @@ const automationRunSchema = new mongoose.Schema(
       ref: 'Book',
       required: true,
     },
+    orderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      default: null,
+    },
     trainingId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Training',
@@ -72,6 +77,12 @@ const automationRunSchema = new mongoose.Schema(
       type: [automationEventSchema],
       default: [],
     },
+    // Paid predictions for the whole run (training, page generations and
+    // background removals), checked against STORYBOOK_RUN_MAX_PREDICTIONS
+    budget: {
+      predictions: { type: Number, default: 0, min: 0 },
+      extraPredictions: { type: Number, default: 0, min: 0 },
+    },
   },
   {
     timestamps: true,
@@ -81,6 +92,7 @@ const automationRunSchema = new mongoose.Schema(
 automationRunSchema.index({ createdAt: -1 });
 automationRunSchema.index({ trainingId: 1 });
 automationRunSchema.index({ storybookJobId: 1 });
+automationRunSchema.index({ orderId: 1 });
 
 const AutomationRun = mongoose.model('AutomationRun', automationRunSchema);
 
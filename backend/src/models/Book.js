@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { STORY_LANGUAGE_CODES, DEFAULT_STORY_LANGUAGE } = require('../config/languages');
+const { FONT_ROLE_KEYS } = require('../config/fontRoles');
 
 const imageAssetSchema = new mongoose.Schema(
   {
@@ -15,12 +17,22 @@ const imageAssetSchema = new mongoose.Schema(
   { _id: true }
 );
 
+// Page text in a language other than the book's own
+const pageTranslationSchema = new mongoose.Schema(
+  {
+    language: { type: String, enum: STORY_LANGUAGE_CODES, required: true },
+    text: { type: String, default: '', trim: true },
+  },
+  { _id: false }
+);
+
 const rankingNoteSchema = new mongoose.Schema(
   {
     imageIndex: { type: Number, default: null },
     score: { type: Number, default: null },
     verdict: { type: String, default: '' },
     notes: { type: String, default: '' },
+    faceSimilarity: { type: Number, default: null },
   },
   { _id: false }
 );
@@ -159,6 +171,10 @@ const pageSchema = new mongoose.Schema(
       default: '',
       trim: true,
     },
+    translations: {
+      type: [pageTranslationSchema],
+      default: [],
+    },
     characterPrompt: {
       type: String,
       default: '',
@@ -231,6 +247,16 @@ const pageSnapshotSchema = new mongoose.Schema(
   { _id: false }
 );
 
+const printFileSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true },
+    url: { type: String, required: true },
+    size: { type: Number, default: 0 },
+    contentType: { type: String, default: 'application/pdf' },
+  },
+  { _id: false }
+);
+
 const pdfAssetSchema = new mongoose.Schema(
   {
     key: { type: String, required: true },
@@ -246,10 +272,12 @@ const pdfAssetSchema = new mongoose.Schema(
     readerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
     readerName: { type: String, default: '' },
     readerGender: { type: String, default: '', trim: true },
+    // Language the page text was rendered in
+    language: { type: String, default: DEFAULT_STORY_LANGUAGE },
     userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
     variant: {
       type: String,
-      enum: ['standard', 'split'],
+      enum: ['standard', 'split', 'print'],
       default: 'standard',
     },
     derivedFromAssetId: {
@@ -262,12 +290,27 @@ const pdfAssetSchema = new mongoose.Schema(
       trim: true,
     },
     confirmedAt: { type: Date, default: null },
+    // Book template revision the storybook was generated from
+    bookRevision: { type: Number, default: null },
+    // Wrap-around cover that accompanies a `print` variant's interior PDF
+    printCover: { type: printFileSchema, default: null },
     metadata: { type: mongoose.Schema.Types.Mixed, default: null },
     pages: { type: [pageSnapshotSchema], default: [] },
   },
   { _id: true }
 );
 
+// Uploaded StorybookFont per text role (see config/fontRoles)
+const bookFontsSchema = new mongoose.Schema(
+  Object.fromEntries(
+    FONT_ROLE_KEYS.map((role) => [
+      role,
+      { type: mongoose.Schema.Types.ObjectId, ref: 'StorybookFont', default: null },
+    ])
+  ),
+  { _id: false }
+);
+
 const bookSchema = new mongoose.Schema(
   {
     name: {
@@ -287,6 +330,12 @@ const bookSchema = new mongoose.Schema(
       enum: ['male', 'female', 'both'],
       default: 'both',
     },
+    // Language the page `text` is written in; other languages live in page translations
+    language: {
+      type: String,
+      enum: STORY_LANGUAGE_CODES,
+      default: DEFAULT_STORY_LANGUAGE,
+    },
     status: {
       type: String,
       enum: ['active', 'inactive'],
@@ -317,6 +366,21 @@ const bookSchema = new mongoose.Schema(
       type: dedicationPageSchema,
       default: null,
     },
+    // Story page layout overrides (see utils/pageLayout); null renders the defaults
+    pageLayout: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    // Fonts chosen per text role; roles left unset use the bundled fonts
+    fonts: {
+      type: bookFontsSchema,
+      default: null,
+    },
+    // Latest BookRevision number; 0 until the first revision is recorded
+    currentRevision: {
+      type: Number,
+      default: 0,
+    },
   },
   {
     timestamps: true,
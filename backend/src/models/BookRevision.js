@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+const BOOK_REVISION_REASONS = ['baseline', 'create', 'update', 'restore', 'storybook'];
+
+const revisionAuthorSchema = new mongoose.Schema(
+  {
+    accountId: { type: mongoose.Schema.Types.ObjectId, ref: 'AdminAccount', default: null },
+    name: { type: String, default: '' },
+  },
+  { _id: false }
+);
+
+/**
+ * Immutable snapshot of a book's template (name, pages, prompts, cover and
+ * dedication configuration) taken every time the template is saved.
+ */
+const bookRevisionSchema = new mongoose.Schema(
+  {
+    bookId: { type: mongoose.Schema.Types.ObjectId, ref: 'Book', required: true, immutable: true },
+    revision: { type: Number, required: true, min: 1, immutable: true },
+    reason: { type: String, enum: BOOK_REVISION_REASONS, required: true, immutable: true },
+    restoredFromRevision: { type: Number, default: null, immutable: true },
+    author: { type: revisionAuthorSchema, default: () => ({}), immutable: true },
+    changeCount: { type: Number, default: 0, immutable: true },
+    changedSections: { type: [String], default: [], immutable: true },
+    snapshot: { type: mongoose.Schema.Types.Mixed, required: true, immutable: true },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+bookRevisionSchema.index({ bookId: 1, revision: -1 }, { unique: true });
+
+const BookRevision = mongoose.model('BookRevision', bookRevisionSchema);
+
+module.exports = BookRevision;
+module.exports.BOOK_REVISION_REASONS = BOOK_REVISION_REASONS;
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { promptTemplateRefSchema } = require('./PromptTemplate');
 
 const evaluationSchema = new mongoose.Schema(
   {
@@ -56,6 +57,7 @@ const evaluationSchema = new mongoose.Schema(
     },
     s3Key: { type: String, required: true, index: true },
     s3Url: { type: String, required: true },
+    promptTemplate: { type: promptTemplateRefSchema, default: null },
   },
   {
     timestamps: true,
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { promptTemplateRefSchema } = require('./PromptTemplate');
 
 /**
  * Generation Schema for storing image generation history
@@ -26,6 +27,16 @@ const rankingEntrySchema = new mongoose.Schema(
       default: 'good',
     },
     notes: { type: String, default: '' },
+    faceSimilarity: { type: Number, min: 0, max: 1, default: null },
+  },
+  { _id: false }
+);
+
+const rankingLikenessSchema = new mongoose.Schema(
+  {
+    referenceCount: { type: Number, default: 0 },
+    error: { type: String, default: null },
+    computedAt: { type: Date, default: Date.now },
   },
   { _id: false }
 );
@@ -77,10 +88,18 @@ const generationRankingSchema = new mongoose.Schema(
       type: mongoose.Schema.Types.Mixed,
       default: null,
     },
+    promptTemplate: {
+      type: promptTemplateRefSchema,
+      default: null,
+    },
     childProfile: {
       type: rankingChildProfileSchema,
       default: null,
     },
+    likeness: {
+      type: rankingLikenessSchema,
+      default: null,
+    },
   },
   { _id: false }
 );
@@ -248,6 +267,21 @@ const generationSchema = new mongoose.Schema(
         default: null,
       },
     },
+    experimentContext: {
+      experimentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'TrainingExperiment',
+        default: null,
+      },
+      arm: {
+        type: String,
+        default: null,
+      },
+      promptIndex: {
+        type: Number,
+        default: null,
+      },
+    },
   },
   {
     timestamps: true,
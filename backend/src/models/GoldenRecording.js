@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+/**
+ * Raw model response captured during a live golden-set run. Recorded runs
+ * replay these instead of calling OpenRouter, so a model/template pair can be
+ * re-scored offline once it has been run live.
+ */
+const goldenRecordingSchema = new mongoose.Schema(
+  {
+    sampleId: { type: mongoose.Schema.Types.ObjectId, ref: 'GoldenSample', required: true },
+    model: { type: String, required: true },
+    templateKey: { type: String, required: true },
+    templateVersion: { type: Number, default: null },
+    content: { type: String, required: true },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+goldenRecordingSchema.index(
+  { sampleId: 1, model: 1, templateKey: 1, templateVersion: 1 },
+  { unique: true }
+);
+
+module.exports = mongoose.model('GoldenRecording', goldenRecordingSchema);
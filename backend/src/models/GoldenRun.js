@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+const { promptTemplateRefSchema } = require('./PromptTemplate');
+const { GOLDEN_KINDS, goldenAuthorSchema } = require('./GoldenSample');
+
+const goldenRunResultSchema = new mongoose.Schema(
+  {
+    sampleId: { type: mongoose.Schema.Types.ObjectId, ref: 'GoldenSample', required: true },
+    status: {
+      type: String,
+      enum: ['succeeded', 'failed', 'missing'],
+      required: true,
+    },
+    expected: { type: String, default: null },
+    predicted: { type: String, default: null },
+    baselinePredicted: { type: String, default: null },
+    agree: { type: Boolean, default: null },
+    score: { type: Number, default: null },
+    baselineScore: { type: Number, default: null },
+    scoreDrift: { type: Number, default: null },
+    summary: { type: String, default: '' },
+    error: { type: String, default: null },
+  },
+  { _id: false }
+);
+
+const goldenMetricsSchema = new mongoose.Schema(
+  {
+    evaluated: { type: Number, default: 0 },
+    agreed: { type: Number, default: 0 },
+    agreementRate: { type: Number, default: null },
+    failed: { type: Number, default: 0 },
+    missing: { type: Number, default: 0 },
+    // matrix[expectedIndex][predictedIndex] over `labels`
+    confusion: {
+      labels: { type: [String], default: [] },
+      matrix: { type: [[Number]], default: [] },
+    },
+    meanScoreDrift: { type: Number, default: null },
+    meanAbsScoreDrift: { type: Number, default: null },
+  },
+  { _id: false }
+);
+
+/**
+ * One replay of the golden set against a candidate model and template version.
+ * `baselineMetrics` scores the stored production results against the same
+ * ground truth, so a run reads as "candidate vs what shipped".
+ */
+const goldenRunSchema = new mongoose.Schema(
+  {
+    kind: { type: String, enum: GOLDEN_KINDS, required: true },
+    label: { type: String, default: '', trim: true },
+    model: { type: String, required: true },
+    promptTemplate: { type: promptTemplateRefSchema, default: null },
+    mode: { type: String, enum: ['live', 'recorded'], default: 'live' },
+    status: {
+      type: String,
+      enum: ['queued', 'running', 'completed', 'failed'],
+      default: 'queued',
+      index: true,
+    },
+    sampleIds: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'GoldenSample' }],
+      default: [],
+    },
+    results: { type: [goldenRunResultSchema], default: [] },
+    metrics: { type: goldenMetricsSchema, default: () => ({}) },
+    baselineMetrics: { type: goldenMetricsSchema, default: () => ({}) },
+    error: { type: String, default: null },
+    createdBy: { type: goldenAuthorSchema, default: () => ({}) },
+    startedAt: { type: Date, default: null },
+    completedAt: { type: Date, default: null },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+goldenRunSchema.index({ kind: 1, createdAt: -1 });
+
+module.exports = mongoose.model('GoldenRun', goldenRunSchema);
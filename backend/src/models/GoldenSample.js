@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+const { promptTemplateRefSchema } = require('./PromptTemplate');
+
+const GOLDEN_KINDS = ['ranking', 'evaluation'];
+
+const goldenAuthorSchema = new mongoose.Schema(
+  {
+    accountId: { type: mongoose.Schema.Types.ObjectId, ref: 'AdminAccount', default: null },
+    name: { type: String, default: '' },
+  },
+  { _id: false }
+);
+
+const goldenImageSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true },
+    url: { type: String, required: true },
+    contentType: { type: String, default: null },
+  },
+  { _id: false }
+);
+
+/**
+ * A past Generation ranking or Evaluation marked as ground truth. The inputs
+ * and the production result are copied so the sample survives edits to, or
+ * deletion of, its source record.
+ */
+const goldenSampleSchema = new mongoose.Schema(
+  {
+    kind: { type: String, enum: GOLDEN_KINDS, required: true, immutable: true },
+    sourceId: { type: mongoose.Schema.Types.ObjectId, required: true, immutable: true },
+    label: { type: String, default: '', trim: true },
+    expected: {
+      // Ranking: 1-based index of the image a human picked as best
+      winnerIndex: { type: Number, default: null, min: 1 },
+      // Evaluation: whether a human would accept the image for training
+      acceptable: { type: Boolean, default: null },
+    },
+    input: {
+      prompt: { type: String, default: '' },
+      childProfile: { type: mongoose.Schema.Types.Mixed, default: null },
+      images: { type: [goldenImageSchema], default: [] },
+      fileName: { type: String, default: '' },
+    },
+    baseline: {
+      winnerIndex: { type: Number, default: null },
+      acceptable: { type: Boolean, default: null },
+      score: { type: Number, default: null },
+      // Ranking: score per image index as stored on the generation
+      scores: { type: [Number], default: [] },
+      promptTemplate: { type: promptTemplateRefSchema, default: null },
+    },
+    notes: { type: String, default: '', trim: true },
+    createdBy: { type: goldenAuthorSchema, default: () => ({}) },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+goldenSampleSchema.index({ kind: 1, sourceId: 1 }, { unique: true });
+goldenSampleSchema.index({ kind: 1, createdAt: -1 });
+
+const GoldenSample = mongoose.model('GoldenSample', goldenSampleSchema);
+
+module.exports = GoldenSample;
+module.exports.GOLDEN_KINDS = GOLDEN_KINDS;
+module.exports.goldenAuthorSchema = goldenAuthorSchema;
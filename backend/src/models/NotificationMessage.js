@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+const NOTIFICATION_TEMPLATES = [
+  'photos_rejected',
+  'proof_ready',
+  'book_confirmed',
+  'book_confirmed_admin',
+];
+
+/**
+ * One templated email and its delivery state. The rendered subject and bodies
+ * are stored so the log shows exactly what the recipient got.
+ */
+const notificationMessageSchema = new mongoose.Schema(
+  {
+    template: { type: String, enum: NOTIFICATION_TEMPLATES, required: true },
+    channel: { type: String, enum: ['email'], default: 'email' },
+    recipientType: { type: String, enum: ['user', 'admin'], required: true },
+    to: { type: String, required: true, trim: true, lowercase: true },
+    recipientName: { type: String, default: '' },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    accountId: { type: mongoose.Schema.Types.ObjectId, ref: 'AdminAccount', default: null },
+    subject: { type: String, required: true },
+    text: { type: String, default: '' },
+    html: { type: String, default: '' },
+    // Book, asset or upload the message is about
+    context: { type: mongoose.Schema.Types.Mixed, default: null },
+    status: {
+      type: String,
+      enum: ['queued', 'sent', 'failed', 'skipped'],
+      default: 'queued',
+    },
+    // e.g. `opted-out` for parents who unsubscribed
+    skipReason: { type: String, default: null },
+    transport: { type: String, default: null },
+    providerMessageId: { type: String, default: null },
+    attempts: { type: Number, default: 0 },
+    error: { type: String, default: null },
+    lastAttemptAt: { type: Date, default: null },
+    sentAt: { type: Date, default: null },
+    resendOf: { type: mongoose.Schema.Types.ObjectId, ref: 'NotificationMessage', default: null },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+notificationMessageSchema.index({ createdAt: -1 });
+notificationMessageSchema.index({ status: 1, createdAt: -1 });
+notificationMessageSchema.index({ userId: 1, template: 1, createdAt: -1 });
+
+const NotificationMessage = mongoose.model('NotificationMessage', notificationMessageSchema);
+
+module.exports = NotificationMessage;
+module.exports.NOTIFICATION_TEMPLATES = NOTIFICATION_TEMPLATES;
@@ -0,0 +1,124 @@
+const mongoose = require('mongoose');
+
+const ORDER_STATUSES = [
+  'received',
+  'training',
+  'proofing',
+  'approved',
+  'printing',
+  'shipped',
+  'cancelled',
+];
+
+const orderEventSchema = new mongoose.Schema(
+  {
+    type: { type: String, required: true },
+    message: { type: String, default: '' },
+    metadata: { type: mongoose.Schema.Types.Mixed, default: null },
+    actor: {
+      accountId: { type: mongoose.Schema.Types.ObjectId, ref: 'AdminAccount', default: null },
+      name: { type: String, default: '' },
+    },
+    timestamp: { type: Date, default: Date.now },
+  },
+  { _id: true }
+);
+
+const orderChildSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    automationRunId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AutomationRun',
+      default: null,
+    },
+  },
+  { _id: true }
+);
+
+/**
+ * Order Schema linking the purchasing parent, the children the book is
+ * personalised for and where the printed copy ships to
+ */
+const orderSchema = new mongoose.Schema(
+  {
+    orderNumber: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+    },
+    customer: {
+      name: {
+        type: String,
+        required: [true, 'Customer name is required'],
+        trim: true,
+        maxlength: [100, 'Customer name cannot exceed 100 characters'],
+      },
+      email: {
+        type: String,
+        required: [true, 'Customer email is required'],
+        trim: true,
+        lowercase: true,
+      },
+      countryCode: { type: String, trim: true, default: '' },
+      phoneNumber: { type: String, trim: true, default: '' },
+    },
+    children: {
+      type: [orderChildSchema],
+      validate: {
+        validator: (value) => Array.isArray(value) && value.length > 0,
+        message: 'An order needs at least one child',
+      },
+    },
+    bookId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Book',
+      required: [true, 'Book is required'],
+    },
+    shipping: {
+      recipientName: { type: String, trim: true, default: '' },
+      addressLine1: { type: String, trim: true, default: '' },
+      addressLine2: { type: String, trim: true, default: '' },
+      city: { type: String, trim: true, default: '' },
+      state: { type: String, trim: true, default: '' },
+      postalCode: { type: String, trim: true, default: '' },
+      country: { type: String, trim: true, default: '' },
+      method: { type: String, trim: true, default: 'standard' },
+      carrier: { type: String, trim: true, default: '' },
+      trackingNumber: { type: String, trim: true, default: '' },
+    },
+    status: {
+      type: String,
+      enum: ORDER_STATUSES,
+      default: 'received',
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [2000, 'Notes cannot exceed 2000 characters'],
+      default: '',
+    },
+    events: {
+      type: [orderEventSchema],
+      default: [],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+orderSchema.index({ createdAt: -1 });
+orderSchema.index({ status: 1, createdAt: -1 });
+orderSchema.index({ 'children.userId': 1 });
+orderSchema.index({ 'customer.email': 1 });
+
+const Order = mongoose.model('Order', orderSchema);
+
+module.exports = Order;
+module.exports.ORDER_STATUSES = ORDER_STATUSES;
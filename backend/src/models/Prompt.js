@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { promptTemplateRefSchema } = require('./PromptTemplate');
 
 /**
  * Prompt Schema for storing generated prompts and their source images
@@ -90,6 +91,10 @@ const promptSchema = new mongoose.Schema(
       type: mongoose.Schema.Types.Mixed,
       default: null,
     },
+    promptTemplate: {
+      type: promptTemplateRefSchema,
+      default: null,
+    },
   },
   {
     timestamps: true,
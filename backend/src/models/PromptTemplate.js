@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+const { PROMPT_TEMPLATE_KEYS } = require('../config/promptTemplates');
+
+const templateAuthorSchema = new mongoose.Schema(
+  {
+    accountId: { type: mongoose.Schema.Types.ObjectId, ref: 'AdminAccount', default: null },
+    name: { type: String, default: '' },
+  },
+  { _id: false }
+);
+
+/**
+ * One version of an LLM system prompt. Versions are never edited in place;
+ * changing a template saves a new version, and exactly one per key is active.
+ */
+const promptTemplateSchema = new mongoose.Schema(
+  {
+    key: { type: String, enum: PROMPT_TEMPLATE_KEYS, required: true, immutable: true },
+    version: { type: Number, required: true, min: 1, immutable: true },
+    content: { type: String, required: true, immutable: true },
+    notes: { type: String, default: '', trim: true },
+    author: { type: templateAuthorSchema, default: () => ({}), immutable: true },
+    isActive: { type: Boolean, default: false },
+    activatedAt: { type: Date, default: null },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+promptTemplateSchema.index({ key: 1, version: -1 }, { unique: true });
+promptTemplateSchema.index({ key: 1, isActive: 1 });
+
+// Embedded on Evaluation, Generation ranking and Prompt records to note which
+// template version produced them. `version` is null when the built-in default
+// had to be used because the template store was unavailable.
+const promptTemplateRefSchema = new mongoose.Schema(
+  {
+    key: { type: String, default: '' },
+    version: { type: Number, default: null },
+  },
+  { _id: false }
+);
+
+const PromptTemplate = mongoose.model('PromptTemplate', promptTemplateSchema);
+
+module.exports = PromptTemplate;
+module.exports.promptTemplateRefSchema = promptTemplateRefSchema;
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+const RETENTION_DAYS = Math.max(1, Number(process.env.JOB_QUEUE_RETENTION_DAYS || 7));
+
+/**
+ * Durable background job. Workers lease a job by flipping it to `running` with
+ * a lease expiry; a job whose lease lapses (e.g. the process died) becomes
+ * claimable again, which is how in-flight work survives a restart.
+ */
+const queueJobSchema = new mongoose.Schema(
+  {
+    type: { type: String, required: true, trim: true },
+    key: { type: String, default: null },
+    // Copy of `key` for jobs enqueued with `unique: true`, present only while the
+    // job is queued or running so the partial index below allows one active job
+    activeKey: { type: String },
+    payload: { type: mongoose.Schema.Types.Mixed, default: () => ({}) },
+    status: {
+      type: String,
+      enum: ['queued', 'running', 'completed', 'failed', 'cancelled'],
+      default: 'queued',
+    },
+    runAt: { type: Date, default: Date.now },
+    attempts: { type: Number, default: 0 },
+    maxAttempts: { type: Number, default: 5 },
+    leaseOwner: { type: String, default: null },
+    leaseExpiresAt: { type: Date, default: null },
+    lastError: { type: String, default: null },
+    // Set by enqueueJob({ rerunIfRunning }) while the job runs; the job is
+    // queued again instead of completing
+    rerunRequested: { type: Boolean, default: false },
+    startedAt: { type: Date, default: null },
+    completedAt: { type: Date, default: null },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+queueJobSchema.index({ type: 1, status: 1, runAt: 1 });
+queueJobSchema.index({ status: 1, leaseExpiresAt: 1 });
+queueJobSchema.index({ key: 1, status: 1 });
+queueJobSchema.index(
+  { activeKey: 1 },
+  { unique: true, partialFilterExpression: { activeKey: { $type: 'string' } } }
+);
+queueJobSchema.index({ completedAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+const QueueJob = mongoose.model('QueueJob', queueJobSchema);
+
+module.exports = QueueJob;
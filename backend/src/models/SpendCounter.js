@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+/**
+ * Running count of paid provider calls for one window (e.g. the predictions
+ * dispatched on a given UTC day), checked by the spend guards before a call.
+ */
+const spendCounterSchema = new mongoose.Schema(
+  {
+    // e.g. `predictions:2026-10-19`
+    key: { type: String, required: true, unique: true, trim: true },
+    count: { type: Number, default: 0, min: 0 },
+    // Calls admins approved beyond the configured limit for this window
+    allowance: { type: Number, default: 0, min: 0 },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+module.exports = mongoose.model('SpendCounter', spendCounterSchema);
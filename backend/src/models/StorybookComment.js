@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+const commentAuthorSchema = new mongoose.Schema(
+  {
+    accountId: { type: mongoose.Schema.Types.ObjectId, ref: 'AdminAccount', default: null },
+    name: { type: String, default: '' },
+  },
+  { _id: false }
+);
+
+const commentReplySchema = new mongoose.Schema(
+  {
+    text: { type: String, required: true, trim: true },
+    author: { type: commentAuthorSchema, default: () => ({}) },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+const commentRegenerationSchema = new mongoose.Schema(
+  {
+    generationId: { type: mongoose.Schema.Types.ObjectId, ref: 'Generation', default: null },
+    promptAddendum: { type: String, default: '' },
+    requestedBy: { type: commentAuthorSchema, default: () => ({}) },
+    requestedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+/**
+ * Review thread attached to a single page of a generated storybook asset.
+ * The opening comment lives on the thread itself; follow-ups are replies.
+ */
+const storybookCommentSchema = new mongoose.Schema(
+  {
+    bookId: { type: mongoose.Schema.Types.ObjectId, ref: 'Book', required: true },
+    pdfAssetId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    pageOrder: { type: Number, required: true, min: 1 },
+    text: { type: String, required: true, trim: true },
+    author: { type: commentAuthorSchema, default: () => ({}) },
+    replies: { type: [commentReplySchema], default: [] },
+    resolved: { type: Boolean, default: false },
+    resolvedAt: { type: Date, default: null },
+    resolvedBy: { type: commentAuthorSchema, default: null },
+    regenerations: { type: [commentRegenerationSchema], default: [] },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+storybookCommentSchema.index({ bookId: 1, pdfAssetId: 1, pageOrder: 1, createdAt: 1 });
+storybookCommentSchema.index({ pdfAssetId: 1, resolved: 1 });
+
+const StorybookComment = mongoose.model('StorybookComment', storybookCommentSchema);
+
+module.exports = StorybookComment;
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+/**
+ * Font file uploaded for storybook rendering. The file lives in S3; the
+ * metadata is read from it on upload (see utils/fontCoverage). Books pick
+ * fonts per text role through `Book.fonts`.
+ */
+const storybookFontSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true, maxlength: 80 },
+    family: { type: String, required: true, trim: true, maxlength: 80 },
+    weight: { type: Number, min: 100, max: 900, default: 400 },
+    style: { type: String, enum: ['normal', 'italic'], default: 'normal' },
+    format: { type: String, enum: ['ttf', 'otf'], required: true },
+    file: {
+      key: { type: String, required: true },
+      url: { type: String, required: true },
+      size: { type: Number, default: 0 },
+      originalName: { type: String, default: null },
+    },
+    glyphCount: { type: Number, default: 0 },
+    characterCount: { type: Number, default: 0 },
+    // Fully covered scripts, and the covered share of each script's letters
+    scripts: { type: [String], default: [] },
+    coverage: { type: mongoose.Schema.Types.Mixed, default: {} },
+    uploadedBy: {
+      accountId: { type: mongoose.Schema.Types.ObjectId, ref: 'AdminAccount', default: null },
+      name: { type: String, default: '' },
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// One file per face; a family's weights and styles are separate uploads
+storybookFontSchema.index(
+  { family: 1, weight: 1, style: 1 },
+  { unique: true, collation: { locale: 'en', strength: 2 } }
+);
+
+module.exports = mongoose.model('StorybookFont', storybookFontSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { DEFAULT_STORY_LANGUAGE } = require('../config/languages');
 
 const imageAssetSchema = new mongoose.Schema(
   {
@@ -21,6 +22,7 @@ const rankingNoteSchema = new mongoose.Schema(
     score: { type: Number, default: null },
     verdict: { type: String, default: '' },
     notes: { type: String, default: '' },
+    faceSimilarity: { type: Number, default: null },
   },
   { _id: false }
 );
@@ -35,6 +37,37 @@ const storybookEventSchema = new mongoose.Schema(
   { _id: true }
 );
 
+const SPEND_GUARDS = ['run', 'page', 'daily'];
+
+const budgetApprovalSchema = new mongoose.Schema(
+  {
+    guard: { type: String, enum: SPEND_GUARDS, required: true },
+    extraPredictions: { type: Number, required: true, min: 1 },
+    pageOrder: { type: Number, default: null },
+    approvedBy: {
+      accountId: { type: mongoose.Schema.Types.ObjectId, ref: 'AdminAccount', default: null },
+      name: { type: String, default: '' },
+    },
+    approvedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+const storybookBudgetSchema = new mongoose.Schema(
+  {
+    // Paid predictions dispatched for this run, provider retries included. Runs
+    // started by an AutomationRun are capped on the AutomationRun instead.
+    predictions: { type: Number, default: 0, min: 0 },
+    extraPredictions: { type: Number, default: 0, min: 0 },
+    pausedGuard: { type: String, enum: [...SPEND_GUARDS, null], default: null },
+    pausedReason: { type: String, default: null },
+    pausedPageOrder: { type: Number, default: null },
+    pausedAt: { type: Date, default: null },
+    approvals: { type: [budgetApprovalSchema], default: [] },
+  },
+  { _id: false }
+);
+
 const storybookPageSchema = new mongoose.Schema(
   {
     pageId: {
@@ -88,6 +121,17 @@ const storybookPageSchema = new mongoose.Schema(
       type: imageAssetSchema,
       default: null,
     },
+    // Paid predictions dispatched for this page across page attempts and provider retries
+    predictions: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    extraPredictions: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
     characterPosition: {
       type: String,
       enum: ['auto', 'left', 'right'],
@@ -230,6 +274,20 @@ const storybookJobSchema = new mongoose.Schema(
       default: '',
       trim: true,
     },
+    language: {
+      type: String,
+      default: DEFAULT_STORY_LANGUAGE,
+    },
+    automationRunId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AutomationRun',
+      default: null,
+    },
+    // Book revision the pages and prompts were snapshotted from
+    bookRevision: {
+      type: Number,
+      default: null,
+    },
     title: {
       type: String,
       default: '',
@@ -237,7 +295,7 @@ const storybookJobSchema = new mongoose.Schema(
     },
     status: {
       type: String,
-      enum: ['queued', 'generating', 'assembling', 'succeeded', 'failed'],
+      enum: ['queued', 'generating', 'paused', 'assembling', 'succeeded', 'failed'],
       default: 'queued',
     },
     progress: {
@@ -278,6 +336,10 @@ const storybookJobSchema = new mongoose.Schema(
       type: pdfAssetSchema,
       default: null,
     },
+    budget: {
+      type: storybookBudgetSchema,
+      default: () => ({}),
+    },
     metadata: {
       type: mongoose.Schema.Types.Mixed,
       default: null,
@@ -296,3 +358,4 @@ storybookJobSchema.index({ userId: 1 });
 const StorybookJob = mongoose.model('StorybookJob', storybookJobSchema);
 
 module.exports = StorybookJob;
+module.exports.SPEND_GUARDS = SPEND_GUARDS;
@@ -12,6 +12,23 @@ const trainingImageAssetSchema = new mongoose.Schema(
   { _id: true }
 );
 
+const TRAINING_LIFECYCLE_STATES = ['active', 'deprecated', 'archived'];
+
+// Deprecated models stay usable when picked explicitly but cannot be pinned;
+// archived models are hidden from pickers and refused for new generations.
+const trainingLifecycleSchema = new mongoose.Schema(
+  {
+    state: { type: String, enum: TRAINING_LIFECYCLE_STATES, default: 'active' },
+    reason: { type: String, default: '', trim: true, maxlength: 500 },
+    changedAt: { type: Date, default: null },
+    changedBy: {
+      accountId: { type: mongoose.Schema.Types.ObjectId, ref: 'AdminAccount', default: null },
+      name: { type: String, default: '' },
+    },
+  },
+  { _id: false }
+);
+
 /**
  * Training Schema for storing fine-tuning jobs
  */
@@ -96,6 +113,10 @@ const trainingSchema = new mongoose.Schema(
         type: Number,
         default: 1,
       },
+      loraRank: {
+        type: Number,
+        default: 16,
+      },
       triggerWord: {
         type: String,
         default: null,
@@ -122,12 +143,35 @@ const trainingSchema = new mongoose.Schema(
           type: mongoose.Schema.Types.ObjectId,
         },
       ],
+      datasetId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'TrainingDataset',
+        default: null,
+      },
+      presetId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'TrainingPreset',
+        default: null,
+      },
+      presetName: {
+        type: String,
+        default: null,
+      },
+      experimentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'TrainingExperiment',
+        default: null,
+      },
     },
     attempts: {
       type: Number,
       default: 0,
       min: 0,
     },
+    lifecycle: {
+      type: trainingLifecycleSchema,
+      default: () => ({}),
+    },
   },
   {
     timestamps: true,
@@ -137,6 +181,7 @@ const trainingSchema = new mongoose.Schema(
 // Index for faster queries
 trainingSchema.index({ userId: 1 });
 trainingSchema.index({ status: 1 });
+trainingSchema.index({ userId: 1, 'lifecycle.state': 1 });
 trainingSchema.index(
   { replicateTrainingId: 1 },
   { unique: true, partialFilterExpression: { replicateTrainingId: { $exists: true, $ne: null } } }
@@ -145,3 +190,4 @@ trainingSchema.index(
 const Training = mongoose.model('Training', trainingSchema);
 
 module.exports = Training;
+module.exports.TRAINING_LIFECYCLE_STATES = TRAINING_LIFECYCLE_STATES;
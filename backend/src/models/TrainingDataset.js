@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+
+const EXCLUSION_REASONS = ['rejected', 'duplicate', 'unreadable', 'limit', 'manual'];
+
+// Crops are stored as fractions of the upright (EXIF-corrected) source image
+const cropSchema = new mongoose.Schema(
+  {
+    x: { type: Number, min: 0, max: 1, required: true },
+    y: { type: Number, min: 0, max: 1, required: true },
+    width: { type: Number, min: 0, max: 1, required: true },
+    height: { type: Number, min: 0, max: 1, required: true },
+  },
+  { _id: false }
+);
+
+const datasetImageSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true },
+    url: { type: String, required: true },
+    contentType: { type: String, default: 'image/jpeg' },
+    size: { type: Number, default: 0 },
+    width: { type: Number, default: null },
+    height: { type: Number, default: null },
+  },
+  { _id: false }
+);
+
+const datasetItemSchema = new mongoose.Schema(
+  {
+    assetId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    sourceKey: { type: String, required: true },
+    sourceUrl: { type: String, default: null },
+    originalName: { type: String, default: null },
+    included: { type: Boolean, default: true },
+    exclusionReason: { type: String, enum: [...EXCLUSION_REASONS, null], default: null },
+    duplicateOf: { type: mongoose.Schema.Types.ObjectId, default: null },
+    evaluationScore: { type: Number, default: null },
+    hash: { type: String, default: null },
+    orientation: { type: Number, default: 1 },
+    width: { type: Number, default: null },
+    height: { type: Number, default: null },
+    face: {
+      detected: { type: Boolean, default: false },
+      confidence: { type: Number, default: null },
+      expression: { type: String, default: null },
+    },
+    lighting: {
+      brightness: { type: Number, default: null },
+      contrast: { type: Number, default: null },
+      label: { type: String, enum: ['dim', 'balanced', 'bright', null], default: null },
+    },
+    autoCrop: { type: cropSchema, default: null },
+    crop: { type: cropSchema, default: null },
+    cropSource: { type: String, enum: ['face', 'full', 'manual'], default: 'full' },
+    processed: { type: datasetImageSchema, default: null },
+    error: { type: String, default: null },
+  },
+  { _id: true }
+);
+
+const datasetReportSchema = new mongoose.Schema(
+  {
+    total: { type: Number, default: 0 },
+    included: { type: Number, default: 0 },
+    excluded: { type: mongoose.Schema.Types.Mixed, default: {} },
+    facesDetected: { type: Number, default: 0 },
+    expressions: { type: mongoose.Schema.Types.Mixed, default: {} },
+    lighting: { type: mongoose.Schema.Types.Mixed, default: {} },
+    warnings: { type: [String], default: [] },
+  },
+  { _id: false }
+);
+
+/**
+ * Curated training set prepared from a user's reference photos: oriented,
+ * cropped to face/torso and de-duplicated, then reviewed before training.
+ */
+const trainingDatasetSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    status: {
+      type: String,
+      enum: ['processing', 'ready', 'failed', 'used'],
+      default: 'processing',
+      index: true,
+    },
+    items: { type: [datasetItemSchema], default: [] },
+    report: { type: datasetReportSchema, default: () => ({}) },
+    trainingId: { type: mongoose.Schema.Types.ObjectId, ref: 'Training', default: null },
+    error: { type: String, default: null },
+    createdBy: {
+      accountId: { type: mongoose.Schema.Types.ObjectId, ref: 'AdminAccount', default: null },
+      name: { type: String, default: '' },
+    },
+    completedAt: { type: Date, default: null },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+trainingDatasetSchema.index({ userId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('TrainingDataset', trainingDatasetSchema);
+module.exports.EXCLUSION_REASONS = EXCLUSION_REASONS;
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+const EXPERIMENT_ARM_KEYS = ['A', 'B'];
+
+const armGenerationSchema = new mongoose.Schema(
+  {
+    promptIndex: { type: Number, required: true, min: 0 },
+    generationId: { type: mongoose.Schema.Types.ObjectId, ref: 'Generation', required: true },
+  },
+  { _id: false }
+);
+
+const armSummarySchema = new mongoose.Schema(
+  {
+    completedPrompts: { type: Number, default: 0 },
+    failedPrompts: { type: Number, default: 0 },
+    // Mean of the best ranking score per prompt, 0-100
+    meanTopScore: { type: Number, default: null },
+    // Mean over every ranked image, 0-100
+    meanScore: { type: Number, default: null },
+    // Mean face similarity of the best-ranked image per prompt, 0-1
+    meanFaceSimilarity: { type: Number, default: null },
+  },
+  { _id: false }
+);
+
+const experimentArmSchema = new mongoose.Schema(
+  {
+    key: { type: String, enum: EXPERIMENT_ARM_KEYS, required: true },
+    presetId: { type: mongoose.Schema.Types.ObjectId, ref: 'TrainingPreset', default: null },
+    presetName: { type: String, default: '' },
+    config: {
+      steps: { type: Number, default: null },
+      learningRate: { type: Number, default: null },
+      loraRank: { type: Number, default: null },
+      batchSize: { type: Number, default: null },
+    },
+    trainingId: { type: mongoose.Schema.Types.ObjectId, ref: 'Training', default: null },
+    status: {
+      type: String,
+      enum: ['training', 'generating', 'completed', 'failed'],
+      default: 'training',
+    },
+    generations: { type: [armGenerationSchema], default: [] },
+    summary: { type: armSummarySchema, default: () => ({}) },
+    error: { type: String, default: null },
+  },
+  { _id: false }
+);
+
+/**
+ * A/B comparison of two LoRA trainings for one user: both are trained from the
+ * same dataset with different presets, then run through a fixed prompt set and
+ * ranked so the better model can be picked as the user's default.
+ */
+const trainingExperimentSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    label: { type: String, default: '', trim: true, maxlength: 120 },
+    datasetId: { type: mongoose.Schema.Types.ObjectId, ref: 'TrainingDataset', default: null },
+    prompts: { type: [String], default: [] },
+    arms: { type: [experimentArmSchema], default: [] },
+    status: {
+      type: String,
+      enum: ['training', 'generating', 'completed', 'failed'],
+      default: 'training',
+      index: true,
+    },
+    // Arm with the better ranking results; the admin makes the final pick
+    recommended: { type: String, enum: [...EXPERIMENT_ARM_KEYS, null], default: null },
+    winner: { type: String, enum: [...EXPERIMENT_ARM_KEYS, null], default: null },
+    winnerSelectedAt: { type: Date, default: null },
+    error: { type: String, default: null },
+    createdBy: {
+      accountId: { type: mongoose.Schema.Types.ObjectId, ref: 'AdminAccount', default: null },
+      name: { type: String, default: '' },
+    },
+    completedAt: { type: Date, default: null },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+trainingExperimentSchema.index({ userId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('TrainingExperiment', trainingExperimentSchema);
+module.exports.EXPERIMENT_ARM_KEYS = EXPERIMENT_ARM_KEYS;
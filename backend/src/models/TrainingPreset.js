@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+/**
+ * Named LoRA hyperparameter set that can be picked when starting a training
+ * or an A/B experiment. Values left unset fall back to the trainer defaults.
+ */
+const trainingPresetSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true, maxlength: 60 },
+    description: { type: String, default: '', trim: true, maxlength: 500 },
+    steps: { type: Number, min: 100, max: 5000, default: 1000 },
+    learningRate: { type: Number, min: 0.00001, max: 0.01, default: 0.0004 },
+    loraRank: { type: Number, min: 4, max: 128, default: 16 },
+    batchSize: { type: Number, min: 1, max: 16, default: 1 },
+    // Optional fixed trigger word; the model name is used when empty
+    triggerWord: { type: String, default: '', trim: true, maxlength: 40 },
+    createdBy: {
+      accountId: { type: mongoose.Schema.Types.ObjectId, ref: 'AdminAccount', default: null },
+      name: { type: String, default: '' },
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+trainingPresetSchema.index({ name: 1 }, { unique: true, collation: { locale: 'en', strength: 2 } });
+
+module.exports = mongoose.model('TrainingPreset', trainingPresetSchema);
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+const USAGE_OPERATIONS = [
+  'prediction',
+  'training',
+  'background_removal',
+  'evaluation',
+  'ranking',
+  'prompt_generation',
+];
+
+const usageTokensSchema = new mongoose.Schema(
+  {
+    prompt: { type: Number, default: 0 },
+    completion: { type: Number, default: 0 },
+    total: { type: Number, default: 0 },
+  },
+  { _id: false }
+);
+
+/**
+ * One billable provider call (a Replicate prediction, training or background
+ * removal, or an OpenRouter completion) with its estimated cost and the
+ * user / book / storybook / automation run it was made for.
+ */
+const usageRecordSchema = new mongoose.Schema(
+  {
+    provider: { type: String, required: true, trim: true, index: true },
+    operation: { type: String, enum: USAGE_OPERATIONS, required: true, index: true },
+    model: { type: String, default: '' },
+    // Prediction, training or completion id; repeated webhooks for the same id are recorded once
+    externalId: { type: String, default: null },
+    status: { type: String, default: 'succeeded' },
+    durationMs: { type: Number, default: null, min: 0 },
+    tokens: { type: usageTokensSchema, default: null },
+    costUsd: { type: Number, default: 0, min: 0 },
+    // `reported` when the provider returned the charge, `estimated` when derived from rates
+    costSource: { type: String, enum: ['reported', 'estimated'], default: 'estimated' },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    bookId: { type: mongoose.Schema.Types.ObjectId, ref: 'Book', default: null },
+    storybookJobId: { type: mongoose.Schema.Types.ObjectId, ref: 'StorybookJob', default: null },
+    automationRunId: { type: mongoose.Schema.Types.ObjectId, ref: 'AutomationRun', default: null },
+    generationId: { type: mongoose.Schema.Types.ObjectId, ref: 'Generation', default: null },
+    trainingId: { type: mongoose.Schema.Types.ObjectId, ref: 'Training', default: null },
+    metadata: { type: mongoose.Schema.Types.Mixed, default: null },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+usageRecordSchema.index({ createdAt: -1 });
+usageRecordSchema.index({ userId: 1, createdAt: -1 });
+usageRecordSchema.index({ bookId: 1, createdAt: -1 });
+usageRecordSchema.index({ storybookJobId: 1 });
+usageRecordSchema.index({ automationRunId: 1 });
+usageRecordSchema.index(
+  { provider: 1, operation: 1, externalId: 1 },
+  { unique: true, partialFilterExpression: { externalId: { $type: 'string' } } }
+);
+
+module.exports = mongoose.model('UsageRecord', usageRecordSchema);
+module.exports.USAGE_OPERATIONS = USAGE_OPERATIONS;
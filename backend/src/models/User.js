@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { promptTemplateRefSchema } = require('./PromptTemplate');
 
 const evaluationSchema = new mongoose.Schema(
   {
@@ -8,6 +9,7 @@ const evaluationSchema = new mongoose.Schema(
     confidencePercent: { type: Number, default: null },
     summary: { type: String, default: '' },
     override: { type: Boolean, default: false },
+    promptTemplate: { type: promptTemplateRefSchema, default: null },
   },
   { _id: false }
 );
@@ -25,6 +27,16 @@ const imageAssetSchema = new mongoose.Schema(
   { _id: true }
 );
 
+const notificationSettingsSchema = new mongoose.Schema(
+  {
+    emailOptOut: { type: Boolean, default: false },
+    optedOutAt: { type: Date, default: null },
+    // `dashboard` when staff changed it, `unsubscribe-link` when the parent did
+    optOutSource: { type: String, default: null },
+  },
+  { _id: false }
+);
+
 /**
  * User Schema for storing student/child information
  */
@@ -73,6 +85,17 @@ const userSchema = new mongoose.Schema(
       trim: true,
       match: [/^\d{6,15}$/, 'Please enter a valid phone number'],
     },
+    // Story template variables ({hometown}, {siblings})
+    hometown: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Hometown cannot exceed 100 characters'],
+      default: '',
+    },
+    siblings: {
+      type: [{ type: String, trim: true, maxlength: 50 }],
+      default: [],
+    },
     imageAssets: {
       type: [imageAssetSchema],
       default: [],
@@ -82,6 +105,20 @@ const userSchema = new mongoose.Schema(
       enum: ['active', 'inactive'],
       default: 'active',
     },
+    // Pinned LoRA used when a generation or storybook run names no training
+    defaultTrainingId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Training',
+      default: null,
+    },
+    defaultTrainingPinnedAt: {
+      type: Date,
+      default: null,
+    },
+    notifications: {
+      type: notificationSettingsSchema,
+      default: () => ({}),
+    },
   },
   {
     timestamps: true,
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+const deliveryAttemptSchema = new mongoose.Schema(
+  {
+    attempt: { type: Number, required: true },
+    at: { type: Date, default: Date.now },
+    statusCode: { type: Number, default: null },
+    durationMs: { type: Number, default: null },
+    error: { type: String, default: null },
+  },
+  { _id: false }
+);
+
+/**
+ * One event sent (or being sent) to one endpoint, with every attempt made.
+ */
+const webhookDeliverySchema = new mongoose.Schema(
+  {
+    endpointId: { type: mongoose.Schema.Types.ObjectId, ref: 'WebhookEndpoint', required: true },
+    event: { type: String, required: true },
+    // Shared by every endpoint's copy of the event and by replays, so receivers can dedupe
+    eventId: { type: String, required: true },
+    payload: { type: mongoose.Schema.Types.Mixed, default: null },
+    // Stops webhook and poller races from emitting the same milestone twice
+    dedupeKey: { type: String, default: null },
+    status: { type: String, enum: ['pending', 'succeeded', 'failed'], default: 'pending' },
+    attempts: { type: Number, default: 0 },
+    attemptLog: { type: [deliveryAttemptSchema], default: [] },
+    responseStatus: { type: Number, default: null },
+    responseBody: { type: String, default: null },
+    error: { type: String, default: null },
+    lastAttemptAt: { type: Date, default: null },
+    deliveredAt: { type: Date, default: null },
+    replayOf: { type: mongoose.Schema.Types.ObjectId, ref: 'WebhookDelivery', default: null },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+webhookDeliverySchema.index({ endpointId: 1, createdAt: -1 });
+webhookDeliverySchema.index({ status: 1, createdAt: -1 });
+webhookDeliverySchema.index(
+  { endpointId: 1, dedupeKey: 1 },
+  { unique: true, partialFilterExpression: { dedupeKey: { $type: 'string' } } }
+);
+
+const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema);
+
+module.exports = WebhookDelivery;
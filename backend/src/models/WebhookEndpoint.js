@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+const WEBHOOK_EVENTS = [
+  'training.succeeded',
+  'training.failed',
+  'storybook.completed',
+  'storybook.confirmed',
+  'automation.failed',
+];
+
+/**
+ * An external URL (e.g. the fulfilment system) that receives signed POSTs for
+ * the pipeline events it subscribes to.
+ */
+const webhookEndpointSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    url: { type: String, required: true, trim: true },
+    // HMAC-SHA256 key for the X-Webhook-Signature header
+    secret: { type: String, required: true },
+    events: { type: [{ type: String, enum: WEBHOOK_EVENTS }], default: [] },
+    enabled: { type: Boolean, default: true },
+    lastDeliveryAt: { type: Date, default: null },
+    lastDeliveryStatus: { type: String, enum: ['succeeded', 'failed', null], default: null },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+webhookEndpointSchema.index({ enabled: 1, events: 1 });
+
+const WebhookEndpoint = mongoose.model('WebhookEndpoint', webhookEndpointSchema);
+
+module.exports = WebhookEndpoint;
+module.exports.WEBHOOK_EVENTS = WEBHOOK_EVENTS;
@@ -0,0 +1,9 @@
+const express = require('express');
+const { listAuditLogs, getAuditLogById } = require('../controllers/auditController');
+
+const router = express.Router();
+
+router.get('/', listAuditLogs);
+router.get('/:id', getAuditLogById);
+
+module.exports = router;
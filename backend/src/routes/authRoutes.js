@@ -0,0 +1,72 @@
+const express = require('express');
+const router = express.Router();
+const authController = require('../controllers/authController');
+const { authenticate, authorize } = require('../middleware/auth');
+const {
+  validateLogin,
+  validateAccountCreate,
+  validateAccountUpdate,
+} = require('../middleware/validators');
+
+/**
+ * @route   POST /api/auth/login
+ * @desc    Sign in and receive a session cookie
+ * @access  Public
+ */
+router.post('/login', validateLogin, authController.login);
+
+/**
+ * @route   POST /api/auth/logout
+ * @desc    Clear the session cookie
+ * @access  Public
+ */
+router.post('/logout', authController.logout);
+
+/**
+ * @route   GET /api/auth/me
+ * @desc    Get the signed-in account
+ * @access  Authenticated
+ */
+router.get('/me', authenticate, authController.getCurrentAccount);
+
+/**
+ * @route   GET /api/auth/accounts
+ * @desc    List staff accounts
+ * @access  Admin
+ */
+router.get('/accounts', authenticate, authorize('admin'), authController.listAccounts);
+
+/**
+ * @route   POST /api/auth/accounts
+ * @desc    Create a staff account
+ * @access  Admin
+ */
+router.post(
+  '/accounts',
+  authenticate,
+  authorize('admin'),
+  validateAccountCreate,
+  authController.createAccount
+);
+
+/**
+ * @route   PATCH /api/auth/accounts/:id
+ * @desc    Update a staff account
+ * @access  Admin
+ */
+router.patch(
+  '/accounts/:id',
+  authenticate,
+  authorize('admin'),
+  validateAccountUpdate,
+  authController.updateAccount
+);
+
+/**
+ * @route   DELETE /api/auth/accounts/:id
+ * @desc    Delete a staff account
+ * @access  Admin
+ */
+router.delete('/accounts/:id', authenticate, authorize('admin'), authController.deleteAccount);
+
+module.exports = router;
@@ -3,6 +3,11 @@ const multer = require('multer');
 const bookController = require('../controllers/bookController');
 const { validateBookCreate, validateBookUpdate } = require('../middleware/validators');
 const storybookAutomationController = require('../controllers/storybookAutomationController');
+const storybookCommentController = require('../controllers/storybookCommentController');
+const bookRevisionController = require('../controllers/bookRevisionController');
+const bookLayoutController = require('../controllers/bookLayoutController');
+const fontController = require('../controllers/fontController');
+const { authorize } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -38,6 +43,11 @@ const dedicationPreviewFields = dedicationUpload.fields([
   { name: 'backgroundImage', maxCount: 1 },
 ]);
 
+const pagePreviewFields = upload.fields([
+  { name: 'backgroundImage', maxCount: 1 },
+  { name: 'characterImage', maxCount: 1 },
+]);
+
 const storybookUpload = multer({
   storage: multer.memoryStorage(),
   limits: {
@@ -50,10 +60,16 @@ const storybookFields = storybookUpload.fields([{ name: 'characterImages', maxCo
 router.get('/', bookController.getAllBooks);
 router.post('/cover-preview', coverPreviewFields, bookController.generateCoverPreview);
 router.post('/dedication-preview', dedicationPreviewFields, bookController.generateDedicationPreview);
+router.get('/page-layout', bookLayoutController.getLayoutDefaults);
 router.get('/storybooks/stream/live', storybookAutomationController.streamJobs);
 router.get('/:id/storybooks', bookController.getBookStorybooks);
 router.get('/:id/storybooks/jobs', storybookAutomationController.listJobs);
 router.get('/:id/storybooks/jobs/:jobId', storybookAutomationController.getJob);
+router.post(
+  '/:id/storybooks/jobs/:jobId/approve-budget',
+  authorize('admin'),
+  storybookAutomationController.approveBudget
+);
 router.post('/:id/storybooks', storybookFields, bookController.generateStorybook);
 router.post('/:id/storybooks/auto', storybookAutomationController.startAutomation);
 router.get('/:id/storybooks/:assetId/pages', bookController.getStorybookAssetPages);
@@ -63,10 +79,37 @@ router.post(
 );
 router.post('/:id/storybooks/:assetId/regenerate', bookController.regenerateStorybookPdf);
 router.post('/:id/storybooks/:assetId/confirm', bookController.confirmStorybookPdf);
+router.post('/:id/storybooks/:assetId/print', bookController.generatePrintStorybookPdf);
+router.post('/:id/storybooks/:assetId/proof', bookController.createStorybookProofLink);
+router.delete('/:id/storybooks/:assetId/proof', bookController.revokeStorybookProofLink);
+router.get('/:id/storybooks/:assetId/export', bookController.exportStorybook);
+router.get('/:id/storybooks/:assetId/comments', storybookCommentController.listComments);
+router.post('/:id/storybooks/:assetId/comments', storybookCommentController.createComment);
+router.patch(
+  '/:id/storybooks/:assetId/comments/:commentId',
+  storybookCommentController.updateComment
+);
+router.delete(
+  '/:id/storybooks/:assetId/comments/:commentId',
+  storybookCommentController.deleteComment
+);
+router.post(
+  '/:id/storybooks/:assetId/comments/:commentId/replies',
+  storybookCommentController.addReply
+);
 router.post(
   '/:id/storybooks/:assetId/pages/:pageOrder/select',
   bookController.selectStorybookPageCandidate
 );
+router.get('/:id/revisions', bookRevisionController.listRevisions);
+router.get('/:id/revisions/diff', bookRevisionController.diffRevisions);
+router.get('/:id/revisions/:revision', bookRevisionController.getRevision);
+router.post('/:id/revisions/:revision/restore', bookRevisionController.restoreRevision);
+router.post('/:id/pages/:order/preview', pagePreviewFields, bookController.generatePagePreview);
+router.get('/:id/page-layout', bookLayoutController.getBookLayout);
+router.put('/:id/page-layout', bookLayoutController.updateBookLayout);
+router.get('/:id/fonts', fontController.getBookFonts);
+router.put('/:id/fonts', fontController.updateBookFonts);
 router.get('/:id', bookController.getBookById);
 router.post('/', uploadFields, validateBookCreate, bookController.createBook);
 router.put('/:id', uploadFields, validateBookUpdate, bookController.updateBook);
@@ -4,5 +4,6 @@ const dashboardController = require('../controllers/dashboardController');
 const router = express.Router();
 
 router.get('/overview', dashboardController.getOverview);
+router.get('/costs', dashboardController.getCostReport);
 
 module.exports = router;
@@ -0,0 +1,43 @@
+const express = require('express');
+const multer = require('multer');
+const fontController = require('../controllers/fontController');
+const { authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 20 * 1024 * 1024, // 20MB per font file (CJK and variable fonts run large)
+  },
+});
+
+/**
+ * @route   GET /api/fonts
+ * @desc    List uploaded storybook fonts and the text roles they can fill
+ * @access  Authenticated
+ */
+router.get('/', fontController.listFonts);
+
+/**
+ * @route   POST /api/fonts
+ * @desc    Upload a .ttf/.otf font (multipart: file, name, family, weight, style)
+ * @access  Admin
+ */
+router.post('/', authorize('admin'), upload.single('file'), fontController.uploadFont);
+
+/**
+ * @route   PATCH /api/fonts/:fontId
+ * @desc    Update a font's name, family, weight or style
+ * @access  Admin
+ */
+router.patch('/:fontId', authorize('admin'), fontController.updateFont);
+
+/**
+ * @route   DELETE /api/fonts/:fontId
+ * @desc    Delete a font that no book uses
+ * @access  Admin
+ */
+router.delete('/:fontId', authorize('admin'), fontController.deleteFont);
+
+module.exports = router;
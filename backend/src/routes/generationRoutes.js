@@ -6,28 +6,28 @@ const { validateGeneration } = require('../middleware/validators');
 /**
  * @route   GET /api/generations
  * @desc    Get all generations
- * @access  Public
+ * @access  Authenticated
  */
 router.get('/', generationController.getAllGenerations);
 
 /**
  * @route   GET /api/generations/stream/live
  * @desc    Subscribe to generation updates (SSE)
- * @access  Public
+ * @access  Authenticated
  */
 router.get('/stream/live', generationController.streamGenerations);
 
 /**
  * @route   GET /api/generations/:id
  * @desc    Get generation by ID
- * @access  Public
+ * @access  Authenticated
  */
 router.get('/:id', generationController.getGenerationById);
 
 /**
  * @route   POST /api/generations
  * @desc    Generate new image
- * @access  Public
+ * @access  Admin, Editor
  */
 router.post('/', validateGeneration, generationController.generateImage);
 router.post('/ranked', validateGeneration, generationController.generateRankedImages);
@@ -35,14 +35,14 @@ router.post('/ranked', validateGeneration, generationController.generateRankedIm
 /**
  * @route   POST /api/generations/:id/download
  * @desc    Download generated images
- * @access  Public
+ * @access  Admin, Editor
  */
 router.post('/:id/download', generationController.downloadImage);
 
 /**
  * @route   GET /api/generations/user/:userId
  * @desc    Get generations by user
- * @access  Public
+ * @access  Authenticated
  */
 router.get('/user/:userId', generationController.getGenerationsByUser);
 
@@ -0,0 +1,70 @@
+const express = require('express');
+const goldenSetController = require('../controllers/goldenSetController');
+const { authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/golden-set/candidates
+ * @desc    Recent ranked generations or evaluations that can be marked as ground truth
+ * @access  Authenticated
+ */
+router.get('/candidates', goldenSetController.listCandidates);
+
+/**
+ * @route   GET /api/golden-set/samples
+ * @desc    List golden samples (query: kind)
+ * @access  Authenticated
+ */
+router.get('/samples', goldenSetController.listSamples);
+
+/**
+ * @route   POST /api/golden-set/samples
+ * @desc    Mark a generation ranking or evaluation as ground truth
+ * @access  Admin
+ */
+router.post('/samples', authorize('admin'), goldenSetController.createSample);
+
+/**
+ * @route   PATCH /api/golden-set/samples/:id
+ * @desc    Change a sample's ground truth or notes
+ * @access  Admin
+ */
+router.patch('/samples/:id', authorize('admin'), goldenSetController.updateSample);
+
+/**
+ * @route   DELETE /api/golden-set/samples/:id
+ * @desc    Remove a sample and its recorded responses
+ * @access  Admin
+ */
+router.delete('/samples/:id', authorize('admin'), goldenSetController.deleteSample);
+
+/**
+ * @route   GET /api/golden-set/runs
+ * @desc    List golden runs (query: kind, page, limit)
+ * @access  Authenticated
+ */
+router.get('/runs', goldenSetController.listRuns);
+
+/**
+ * @route   GET /api/golden-set/runs/compare
+ * @desc    Compare two to four runs of the same kind (query: ids=a,b)
+ * @access  Authenticated
+ */
+router.get('/runs/compare', goldenSetController.compareRuns);
+
+/**
+ * @route   GET /api/golden-set/runs/:id
+ * @desc    Get a run with per-sample results
+ * @access  Authenticated
+ */
+router.get('/runs/:id', goldenSetController.getRun);
+
+/**
+ * @route   POST /api/golden-set/runs
+ * @desc    Replay the golden set against a candidate model/template (live or recorded)
+ * @access  Admin, Editor
+ */
+router.post('/runs', authorize('admin', 'editor'), goldenSetController.startRun);
+
+module.exports = router;
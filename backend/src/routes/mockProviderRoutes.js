@@ -0,0 +1,8 @@
+const express = require('express');
+const { getMockOutput } = require('../controllers/mockProviderController');
+
+const router = express.Router();
+
+router.get('/outputs/:predictionId/:index', getMockOutput);
+
+module.exports = router;
@@ -0,0 +1,27 @@
+const express = require('express');
+const notificationController = require('../controllers/notificationController');
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/notifications
+ * @desc    Sent-messages log (query: status, template, recipientType, userId, search, limit)
+ * @access  Authenticated
+ */
+router.get('/', notificationController.listMessages);
+
+/**
+ * @route   GET /api/notifications/:id
+ * @desc    Get a message with its rendered subject and bodies
+ * @access  Authenticated
+ */
+router.get('/:id', notificationController.getMessage);
+
+/**
+ * @route   POST /api/notifications/:id/resend
+ * @desc    Send a logged message again
+ * @access  Admin, Editor
+ */
+router.post('/:id/resend', notificationController.resendMessage);
+
+module.exports = router;
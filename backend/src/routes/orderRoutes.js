@@ -0,0 +1,69 @@
+const express = require('express');
+const multer = require('multer');
+const orderController = require('../controllers/orderController');
+const {
+  validateOrderCreate,
+  validateOrderUpdate,
+  validateOrderStatus,
+} = require('../middleware/validators');
+
+const router = express.Router();
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 20 * 1024 * 1024,
+    files: 100,
+  },
+});
+
+/**
+ * @route   GET /api/orders
+ * @desc    List orders with pipeline counts
+ * @access  Authenticated
+ */
+router.get('/', orderController.listOrders);
+
+/**
+ * @route   GET /api/orders/:id
+ * @desc    Get order by ID
+ * @access  Authenticated
+ */
+router.get('/:id', orderController.getOrder);
+
+/**
+ * @route   POST /api/orders
+ * @desc    Create order (multipart, child photos as childImages_<clientKey>)
+ * @access  Admin, Editor
+ */
+router.post('/', upload.any(), validateOrderCreate, orderController.createOrder);
+
+/**
+ * @route   PUT /api/orders/:id
+ * @desc    Update customer, shipping details or notes
+ * @access  Admin, Editor
+ */
+router.put('/:id', validateOrderUpdate, orderController.updateOrder);
+
+/**
+ * @route   PATCH /api/orders/:id/status
+ * @desc    Move order through the status lifecycle
+ * @access  Admin, Editor
+ */
+router.patch('/:id/status', validateOrderStatus, orderController.updateOrderStatus);
+
+/**
+ * @route   POST /api/orders/:id/automation
+ * @desc    Start or retry automation runs for the order's children
+ * @access  Admin, Editor
+ */
+router.post('/:id/automation', upload.any(), orderController.startOrderAutomation);
+
+/**
+ * @route   DELETE /api/orders/:id
+ * @desc    Delete a received or cancelled order
+ * @access  Admin, Editor
+ */
+router.delete('/:id', orderController.deleteOrder);
+
+module.exports = router;
@@ -0,0 +1,53 @@
+const express = require('express');
+const outboundWebhookController = require('../controllers/outboundWebhookController');
+const { authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/outbound-webhooks
+ * @desc    List webhook endpoints and the events they can subscribe to
+ * @access  Admin
+ */
+router.get('/', authorize('admin'), outboundWebhookController.listEndpoints);
+
+/**
+ * @route   POST /api/outbound-webhooks
+ * @desc    Register an endpoint (body: name, url, events, enabled)
+ * @access  Admin
+ */
+router.post('/', authorize('admin'), outboundWebhookController.createEndpoint);
+
+/**
+ * @route   GET /api/outbound-webhooks/deliveries
+ * @desc    Delivery log (query: endpointId, status, event, limit)
+ * @access  Admin
+ */
+router.get('/deliveries', authorize('admin'), outboundWebhookController.listDeliveries);
+
+/**
+ * @route   POST /api/outbound-webhooks/deliveries/:deliveryId/replay
+ * @desc    Send a delivery's event again
+ * @access  Admin
+ */
+router.post(
+  '/deliveries/:deliveryId/replay',
+  authorize('admin'),
+  outboundWebhookController.replayDelivery
+);
+
+/**
+ * @route   PATCH /api/outbound-webhooks/:id
+ * @desc    Update an endpoint (body: name, url, events, enabled, rotateSecret)
+ * @access  Admin
+ */
+router.patch('/:id', authorize('admin'), outboundWebhookController.updateEndpoint);
+
+/**
+ * @route   DELETE /api/outbound-webhooks/:id
+ * @desc    Delete an endpoint and its delivery log
+ * @access  Admin
+ */
+router.delete('/:id', authorize('admin'), outboundWebhookController.deleteEndpoint);
+
+module.exports = router;
@@ -0,0 +1,60 @@
+const express = require('express');
+const promptTemplateController = require('../controllers/promptTemplateController');
+const { authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/prompt-templates
+ * @desc    List evaluator, ranker and prompt generator templates
+ * @access  Authenticated
+ */
+router.get('/', promptTemplateController.listTemplates);
+
+/**
+ * @route   GET /api/prompt-templates/:key/versions
+ * @desc    List saved versions of a template
+ * @access  Authenticated
+ */
+router.get('/:key/versions', promptTemplateController.listVersions);
+
+/**
+ * @route   GET /api/prompt-templates/:key/versions/:version
+ * @desc    Get a template version with its content
+ * @access  Authenticated
+ */
+router.get('/:key/versions/:version', promptTemplateController.getVersion);
+
+/**
+ * @route   GET /api/prompt-templates/:key/samples
+ * @desc    List saved records available for a dry run
+ * @access  Authenticated
+ */
+router.get('/:key/samples', promptTemplateController.listSamples);
+
+/**
+ * @route   POST /api/prompt-templates/:key/versions
+ * @desc    Save a new template version (activated unless `activate` is false)
+ * @access  Admin
+ */
+router.post('/:key/versions', authorize('admin'), promptTemplateController.createVersion);
+
+/**
+ * @route   POST /api/prompt-templates/:key/versions/:version/activate
+ * @desc    Activate a saved template version
+ * @access  Admin
+ */
+router.post(
+  '/:key/versions/:version/activate',
+  authorize('admin'),
+  promptTemplateController.activateVersion
+);
+
+/**
+ * @route   POST /api/prompt-templates/:key/dry-run
+ * @desc    Run a draft or saved template against saved samples without storing results
+ * @access  Admin, Editor
+ */
+router.post('/:key/dry-run', authorize('admin', 'editor'), promptTemplateController.dryRun);
+
+module.exports = router;
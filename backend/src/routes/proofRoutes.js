@@ -0,0 +1,10 @@
+const express = require('express');
+const router = express.Router();
+const bookController = require('../controllers/bookController');
+
+// Public: the signed token in the URL is the only credential
+router.get('/:token', bookController.getProof);
+router.post('/:token/comments', bookController.addProofComment);
+router.post('/:token/decision', bookController.submitProofDecision);
+
+module.exports = router;
@@ -2,6 +2,10 @@ const express = require('express');
 const router = express.Router();
 const multer = require('multer');
 const trainingController = require('../controllers/trainingController');
+const trainingDatasetController = require('../controllers/trainingDatasetController');
+const trainingPresetController = require('../controllers/trainingPresetController');
+const trainingExperimentController = require('../controllers/trainingExperimentController');
+const { authorize } = require('../middleware/auth');
 const { validateTraining } = require('../middleware/validators');
 
 // Configure multer to buffer uploads in memory for further processing
@@ -36,28 +40,116 @@ const normalizeTrainingPayload = (req, res, next) => {
 /**
  * @route   GET /api/trainings
  * @desc    Get all training jobs
- * @access  Public
+ * @access  Authenticated
  */
 router.get('/', trainingController.getAllTrainings);
 
 /**
  * @route   GET /api/trainings/stream/live
  * @desc    Subscribe to training updates (SSE)
- * @access  Public
+ * @access  Authenticated
  */
 router.get('/stream/live', trainingController.streamTrainings);
 
+/**
+ * @route   GET /api/trainings/datasets
+ * @desc    List prepared training datasets (filter with ?userId=)
+ * @access  Authenticated
+ */
+router.get('/datasets', trainingDatasetController.listDatasets);
+
+/**
+ * @route   POST /api/trainings/datasets
+ * @desc    Prepare a curated training dataset from a user's reference photos
+ * @access  Admin, Editor
+ */
+router.post('/datasets', trainingDatasetController.createDataset);
+
+/**
+ * @route   GET /api/trainings/datasets/:datasetId
+ * @desc    Get a training dataset with its analysed images
+ * @access  Authenticated
+ */
+router.get('/datasets/:datasetId', trainingDatasetController.getDataset);
+
+/**
+ * @route   PATCH /api/trainings/datasets/:datasetId/items/:itemId
+ * @desc    Include/exclude a dataset image or adjust its crop
+ * @access  Admin
+ */
+router.patch(
+  '/datasets/:datasetId/items/:itemId',
+  authorize('admin'),
+  trainingDatasetController.updateDatasetItem
+);
+
+/**
+ * @route   GET /api/trainings/presets
+ * @desc    List training hyperparameter presets
+ * @access  Authenticated
+ */
+router.get('/presets', trainingPresetController.listPresets);
+
+/**
+ * @route   POST /api/trainings/presets
+ * @desc    Create a training preset
+ * @access  Admin
+ */
+router.post('/presets', authorize('admin'), trainingPresetController.createPreset);
+
+/**
+ * @route   PUT /api/trainings/presets/:presetId
+ * @desc    Update a training preset
+ * @access  Admin
+ */
+router.put('/presets/:presetId', authorize('admin'), trainingPresetController.updatePreset);
+
+/**
+ * @route   DELETE /api/trainings/presets/:presetId
+ * @desc    Delete a training preset
+ * @access  Admin
+ */
+router.delete('/presets/:presetId', authorize('admin'), trainingPresetController.deletePreset);
+
+/**
+ * @route   GET /api/trainings/experiments
+ * @desc    List A/B training experiments (filter with ?userId=)
+ * @access  Authenticated
+ */
+router.get('/experiments', trainingExperimentController.listExperiments);
+
+/**
+ * @route   POST /api/trainings/experiments
+ * @desc    Train two LoRAs with different presets and compare their outputs
+ * @access  Admin, Editor
+ */
+router.post('/experiments', trainingExperimentController.createExperiment);
+
+/**
+ * @route   GET /api/trainings/experiments/:experimentId
+ * @desc    Get an experiment with both arms' ranked outputs
+ * @access  Authenticated
+ */
+router.get('/experiments/:experimentId', trainingExperimentController.getExperiment);
+
+/**
+ * @route   POST /api/trainings/experiments/:experimentId/winner
+ * @desc    Pick the winning arm and make it the user's default model
+ * @access  Admin, Editor
+ */
+router.post('/experiments/:experimentId/winner', trainingExperimentController.selectWinner);
+
 /**
  * @route   GET /api/trainings/:id
  * @desc    Get training by ID
- * @access  Public
+ * @access  Authenticated
  */
 router.get('/:id', trainingController.getTrainingById);
 
 /**
  * @route   POST /api/trainings
  * @desc    Start new training
- * @access  Public
+ * @access  Admin, Editor
  */
 router.post(
   '/',
@@ -70,22 +162,43 @@ router.post(
 /**
  * @route   GET /api/trainings/:id/status
  * @desc    Check training status
- * @access  Public
+ * @access  Authenticated
  */
 router.get('/:id/status', trainingController.checkTrainingStatus);
 
 /**
  * @route   POST /api/trainings/:id/cancel
  * @desc    Cancel training
- * @access  Public
+ * @access  Admin, Editor
  */
 router.post('/:id/cancel', trainingController.cancelTraining);
 
+/**
+ * @route   POST /api/trainings/:id/default
+ * @desc    Pin a succeeded training as the user's default model
+ * @access  Admin, Editor
+ */
+router.post('/:id/default', trainingController.setDefaultTraining);
+
+/**
+ * @route   PATCH /api/trainings/:id/lifecycle
+ * @desc    Deprecate, archive or reactivate a training (body: state, reason)
+ * @access  Admin
+ */
+router.patch('/:id/lifecycle', authorize('admin'), trainingController.updateLifecycle);
+
 /**
  * @route   GET /api/trainings/user/:userId/successful
  * @desc    Get successful trainings for a user
- * @access  Public
+ * @access  Authenticated
  */
 router.get('/user/:userId/successful', trainingController.getUserSuccessfulTrainings);
 
+/**
+ * @route   DELETE /api/trainings/user/:userId/default
+ * @desc    Unpin the user's default model
+ * @access  Admin, Editor
+ */
+router.delete('/user/:userId/default', trainingController.clearDefaultTraining);
+
 module.exports = router;
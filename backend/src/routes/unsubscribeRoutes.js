@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const notificationController = require('../controllers/notificationController');
+
+// Public: the signed token in the email link is the only credential
+router.get('/:token', notificationController.getUnsubscribe);
+router.post('/:token', notificationController.unsubscribe);
+
+module.exports = router;
@@ -14,49 +14,49 @@ const upload = multer({
 /**
  * @route   GET /api/users
  * @desc    Get all users
- * @access  Public
+ * @access  Authenticated
  */
 router.get('/', userController.getAllUsers);
 
 /**
  * @route   GET /api/users/:id
  * @desc    Get user by ID
- * @access  Public
+ * @access  Authenticated
  */
 router.get('/:id', userController.getUserById);
 
 /**
  * @route   POST /api/users
  * @desc    Create new user
- * @access  Public
+ * @access  Admin, Editor
  */
 router.post('/', validateUser, userController.createUser);
 
 /**
  * @route   PUT /api/users/:id
  * @desc    Update user
- * @access  Public
+ * @access  Admin, Editor
  */
 router.put('/:id', validateUser, userController.updateUser);
 
 /**
  * @route   DELETE /api/users/:id
  * @desc    Delete user
- * @access  Public
+ * @access  Admin, Editor
  */
 router.delete('/:id', userController.deleteUser);
 
 /**
  * @route   POST /api/users/:id/images/upload
  * @desc    Upload an image for a user
- * @access  Public
+ * @access  Admin, Editor
  */
 router.post('/:id/images/upload', upload.single('image'), userController.uploadImageAsset);
 
 /**
  * @route   DELETE /api/users/:id/images/:assetId
  * @desc    Delete a user image
- * @access  Public
+ * @access  Admin, Editor
  */
 router.delete('/:id/images/:assetId', userController.removeImageAsset);
 
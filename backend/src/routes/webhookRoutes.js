@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
-const replicateWebhookController = require('../controllers/replicateWebhookController');
+const providerWebhookController = require('../controllers/providerWebhookController');
 
-router.post('/replicate/:resourceType/:resourceId', replicateWebhookController.handleReplicateWebhook);
+router.post('/:provider/:resourceType/:resourceId', providerWebhookController.handleProviderWebhook);
 
 module.exports = router;
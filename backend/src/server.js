@@ -4,9 +4,19 @@ const express = require('express');
 const cors = require('cors');
 const bodyParser = require('body-parser');
 const connectDatabase = require('./config/database');
-const { validateReplicateToken } = require('./config/replicate');
+const { validateImageProvider, getImageProvider } = require('./services/providers');
+const { validateMailTransport } = require('./services/mailTransports');
+const {
+  USE_LOCAL_STORAGE,
+  LOCAL_STORAGE_DIR,
+  LOCAL_STORAGE_ROUTE,
+  validateStorageConfig,
+} = require('./config/s3');
+const { ensureBootstrapAdmin } = require('./config/auth');
+const { authenticate, requireWriteAccess } = require('./middleware/auth');
 
 // Import routes
+const authRoutes = require('./routes/authRoutes');
 const userRoutes = require('./routes/userRoutes');
 const trainingRoutes = require('./routes/trainingRoutes');
 const generationRoutes = require('./routes/generationRoutes');
@@ -16,7 +26,20 @@ const promptRoutes = require('./routes/promptRoutes');
 const webhookRoutes = require('./routes/webhookRoutes');
 const automationRoutes = require('./routes/automationRoutes');
 const dashboardRoutes = require('./routes/dashboardRoutes');
+const auditRoutes = require('./routes/auditRoutes');
+const orderRoutes = require('./routes/orderRoutes');
+const promptTemplateRoutes = require('./routes/promptTemplateRoutes');
+const goldenSetRoutes = require('./routes/goldenSetRoutes');
+const proofRoutes = require('./routes/proofRoutes');
+const mockProviderRoutes = require('./routes/mockProviderRoutes');
+const outboundWebhookRoutes = require('./routes/outboundWebhookRoutes');
+const notificationRoutes = require('./routes/notificationRoutes');
+const unsubscribeRoutes = require('./routes/unsubscribeRoutes');
+const fontRoutes = require('./routes/fontRoutes');
 const { initialiseAutomationWatchers } = require('./services/automationWorkflow');
+const { initialiseOrderWatchers } = require('./services/orderWorkflow');
+const { initialiseTrainingExperimentWatchers } = require('./services/trainingExperiments');
+const { startJobQueue, stopJobQueue } = require('./services/jobQueue');
 
 // Initialize express app
 const app = express();
@@ -32,12 +55,33 @@ app.use(bodyParser.urlencoded({ extended: true, limit: '25mb' }));
 // Static font assets for canvas rendering
 app.use('/fonts', express.static(path.join(__dirname, 'fonts')));
 
+// Files kept on disk by STORAGE_DRIVER=local, which is refused at startup
+// unless the mock provider is active (development only)
+if (USE_LOCAL_STORAGE && getImageProvider().name === 'mock') {
+  app.use(LOCAL_STORAGE_ROUTE, express.static(LOCAL_STORAGE_DIR));
+}
+
+// Placeholder outputs for the mock image provider (fetched by our own workers)
+if (getImageProvider().name === 'mock') {
+  app.use('/mock-provider', mockProviderRoutes);
+}
+
 // Request logging middleware
 app.use((req, res, next) => {
   console.log(`${new Date().toISOString()} - ${req.method} ${req.path}`);
   next();
 });
 
+// Public API routes: login, provider callbacks, parent proof links and email
+// unsubscribe links (each verified by their own HMAC token)
+app.use('/api/auth', authRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/proofs', proofRoutes);
+app.use('/api/unsubscribe', unsubscribeRoutes);
+
+// Everything else under /api requires a signed-in account; reviewers are read-only
+app.use('/api', authenticate, requireWriteAccess);
+
 // API Routes
 app.use('/api/books', bookRoutes);
 app.use('/api/prompts', promptRoutes);
@@ -45,9 +89,15 @@ app.use('/api/users', userRoutes);
 app.use('/api/trainings', trainingRoutes);
 app.use('/api/generations', generationRoutes);
 app.use('/api/evals', evalRoutes);
-app.use('/api/webhooks', webhookRoutes);
 app.use('/api/automation', automationRoutes);
 app.use('/api/dashboard', dashboardRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/orders', orderRoutes);
+app.use('/api/prompt-templates', promptTemplateRoutes);
+app.use('/api/golden-set', goldenSetRoutes);
+app.use('/api/outbound-webhooks', outboundWebhookRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/fonts', fontRoutes);
 
 // Health check route
 app.get('/health', (req, res) => {
@@ -65,14 +115,25 @@ app.get('/', (req, res) => {
     message: 'Welcome to AI Book Story API',
     version: '1.0.0',
     endpoints: {
+      auth: '/api/auth',
       users: '/api/users',
       books: '/api/books',
       prompts: '/api/prompts',
       trainings: '/api/trainings',
+      trainingExperiments: '/api/trainings/experiments',
       generations: '/api/generations',
       evals: '/api/evals',
       automation: '/api/automation',
       dashboard: '/api/dashboard',
+      audit: '/api/audit',
+      orders: '/api/orders',
+      promptTemplates: '/api/prompt-templates',
+      goldenSet: '/api/golden-set',
+      outboundWebhooks: '/api/outbound-webhooks',
+      notifications: '/api/notifications',
+      fonts: '/api/fonts',
+      proofs: '/api/proofs/:token',
+      unsubscribe: '/api/unsubscribe/:token',
       health: '/health',
     },
   });
@@ -98,17 +159,32 @@ app.use((err, req, res, next) => {
 
 // Start server
 const PORT = process.env.PORT || 5000;
+const SHUTDOWN_TIMEOUT_MS = Math.max(0, Number(process.env.SHUTDOWN_TIMEOUT_MS || 25000));
 
 const startServer = async () => {
   try {
-    // Validate Replicate token
-    validateReplicateToken();
+    // Validate the configured image provider (Replicate token, or mock mode)
+    validateImageProvider();
+
+    // S3 by default; local disk only for offline development with the mock provider
+    validateStorageConfig({ imageProvider: getImageProvider().name });
+
+    // Report where notification emails will go (SMTP, or a dev transport)
+    validateMailTransport();
 
     // Connect to database
     await connectDatabase();
 
+    // Make sure a fresh install has an admin who can sign in
+    await ensureBootstrapAdmin();
+
     // Initialise automation watchers
     initialiseAutomationWatchers();
+    initialiseOrderWatchers();
+    initialiseTrainingExperimentWatchers();
+
+    // Resume work interrupted by the last shutdown, then start leasing queued jobs
+    await startJobQueue();
 
     // Start listening
     app.listen(PORT, () => {
@@ -132,8 +208,12 @@ process.on('unhandledRejection', (err) => {
 });
 
 // Handle SIGTERM
-process.on('SIGTERM', () => {
+process.on('SIGTERM', async () => {
   console.log('👋 SIGTERM received, shutting down gracefully');
+  const drained = await stopJobQueue({ timeoutMs: SHUTDOWN_TIMEOUT_MS });
+  if (!drained) {
+    console.warn('⚠️  Jobs still running at shutdown will resume after restart');
+  }
   process.exit(0);
 });
 
@@ -0,0 +1,131 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+
+const MAX_CHANGES = 200;
+const MAX_STRING_LENGTH = 2000;
+
+// Signed URLs are regenerated on every read and timestamps change on every save,
+// so they would only add noise to a diff.
+const IGNORED_KEYS = new Set(['__v', 'updatedAt', 'signedUrl', 'downloadUrl']);
+
+const toPlain = (value) => {
+  if (!value) return null;
+  if (typeof value.toObject === 'function') {
+    return value.toObject({ depopulate: true, virtuals: false });
+  }
+  return value;
+};
+
+const normaliseLeaf = (value) => {
+  if (value === undefined) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (value instanceof mongoose.Types.ObjectId) return value.toString();
+  if (Buffer.isBuffer(value)) return `<buffer ${value.length} bytes>`;
+  if (typeof value === 'string' && value.length > MAX_STRING_LENGTH) {
+    return `${value.slice(0, MAX_STRING_LENGTH)}…`;
+  }
+  return value;
+};
+
+const isBranch = (value) =>
+  value !== null &&
+  typeof value === 'object' &&
+  !(value instanceof Date) &&
+  !(value instanceof mongoose.Types.ObjectId) &&
+  !Buffer.isBuffer(value);
+
+const flatten = (value, prefix = '', output = new Map()) => {
+  if (!isBranch(value)) {
+    if (prefix) output.set(prefix, normaliseLeaf(value));
+    return output;
+  }
+
+  const entries = Array.isArray(value)
+    ? value.map((item, index) => [String(index), item])
+    : Object.entries(value);
+
+  if (entries.length === 0 && prefix) {
+    output.set(prefix, Array.isArray(value) ? [] : {});
+    return output;
+  }
+
+  entries.forEach(([key, child]) => {
+    if (IGNORED_KEYS.has(key)) return;
+    flatten(child, prefix ? `${prefix}.${key}` : key, output);
+  });
+  return output;
+};
+
+/**
+ * Field-level diff between two documents (or plain objects). Nested objects and
+ * arrays are flattened to dotted paths such as `imageAssets.2.key`.
+ */
+const diffSnapshots = (before, after) => {
+  const beforeMap = flatten(toPlain(before));
+  const afterMap = flatten(toPlain(after));
+  const paths = new Set([...beforeMap.keys(), ...afterMap.keys()]);
+  const changes = [];
+
+  paths.forEach((path) => {
+    const previous = beforeMap.has(path) ? beforeMap.get(path) : null;
+    const next = afterMap.has(path) ? afterMap.get(path) : null;
+    if (JSON.stringify(previous) !== JSON.stringify(next)) {
+      changes.push({ path, before: previous, after: next });
+    }
+  });
+
+  return changes.sort((a, b) => a.path.localeCompare(b.path));
+};
+
+const resolveActor = (req) => {
+  const account = req?.account;
+  if (!account) return {};
+  return {
+    accountId: account._id || null,
+    name: account.name || '',
+    email: account.email || '',
+    role: account.role || '',
+  };
+};
+
+/**
+ * Persist an audit entry for a mutating request. Failures are logged and
+ * swallowed so auditing can never break the action being audited.
+ */
+const recordAudit = async ({
+  req,
+  action,
+  resourceType,
+  targetId,
+  before = null,
+  after = null,
+  summary = '',
+  metadata = null,
+}) => {
+  try {
+    const changes = diffSnapshots(before, after);
+    const truncated = changes.length > MAX_CHANGES;
+
+    return await AuditLog.create({
+      actor: resolveActor(req),
+      action,
+      resourceType,
+      targetId: targetId ? String(targetId) : null,
+      method: req?.method || '',
+      route: req?.originalUrl || '',
+      summary,
+      changes: truncated ? changes.slice(0, MAX_CHANGES) : changes,
+      metadata: truncated
+        ? { ...(metadata || {}), truncatedChanges: changes.length - MAX_CHANGES }
+        : metadata,
+    });
+  } catch (error) {
+    console.warn('⚠️  Failed to record audit entry:', error.message);
+    return null;
+  }
+};
+
+module.exports = {
+  recordAudit,
+  diffSnapshots,
+};
@@ -11,15 +11,18 @@ const { evaluateSingleImage } = require('./evaluator');
 const {
   uploadBufferToS3,
   deleteFromS3,
+  downloadFromS3,
   generateImageKey,
   generateTrainingZipKey,
 } = require('../config/s3');
-const { replicate } = require('../config/replicate');
+const { getImageProvider } = require('./providers');
 const { dispatchTraining, populateTrainingForClient } = require('./trainingWorkflow');
+const { registerJobHandler, enqueueJob } = require('./jobQueue');
 const { subscribeToTrainingUpdates } = require('./trainingEvents');
 const { startStorybookAutomation } = require('./storybookWorkflow');
 const { subscribeToStorybookUpdates } = require('./storybookEvents');
 const { emitAutomationUpdate } = require('./automationEvents');
+const { emitWebhookEvent } = require('./outboundWebhooks');
 
 const MAX_TRAINING_IMAGES = 25;
 
@@ -33,7 +36,7 @@ const RUN_STATUS_PROGRESS = {
   failed: 100,
 };
 
-const pendingStorybookDispatch = new Set();
+const STORYBOOK_DISPATCH_JOB = 'automation.storybook-dispatch';
 let watchersInitialised = false;
 
 const clampProgress = (value) => {
@@ -134,6 +137,7 @@ const sanitiseStorybookSnapshot = (job) => {
     error: plain.error || null,
     events: plain.events || [],
     pages: plain.pages || [],
+    budget: plain.budget || null,
     pdfAsset: plain.pdfAsset || plain.pdfAssetId || null,
     createdAt: plain.createdAt,
     updatedAt: plain.updatedAt,
@@ -151,10 +155,28 @@ const emitRun = async (runId) => {
   return run;
 };
 
+const toIdString = (value) => (value ? String(value._id || value) : null);
+
+const notifyRunFailed = (run) =>
+  emitWebhookEvent('automation.failed', {
+    automationRunId: toIdString(run._id),
+    userId: toIdString(run.userId),
+    bookId: toIdString(run.bookId),
+    trainingId: toIdString(run.trainingId),
+    storybookJobId: toIdString(run.storybookJobId),
+    error: run.error || null,
+    failedAt: new Date(),
+  });
+
 const updateRun = async (runId, update) => {
+  const failing = update.$set?.status === 'failed';
+  const previous = failing ? await AutomationRun.findById(runId).select('status').lean() : null;
   const run = await AutomationRun.findByIdAndUpdate(runId, update, { new: true });
   if (!run) return null;
   await emitRun(run._id);
+  if (failing && previous?.status !== 'failed') {
+    await notifyRunFailed(run);
+  }
   return run;
 };
 
@@ -265,7 +287,7 @@ const dispatchTrainingForAutomation = async ({
       const destinationPath = `${process.env.REPLICATE_USERNAME}/${uniqueModelName}`;
       replicateOptions.destination = destinationPath;
       try {
-        await replicate.models.create(process.env.REPLICATE_USERNAME, uniqueModelName, {
+        await getImageProvider().createModel(process.env.REPLICATE_USERNAME, uniqueModelName, {
           visibility: 'private',
           hardware: 'gpu-t4',
           description: `Fine-tuned Flux model for ${user.name || user.email || 'automation reader'}`,
@@ -319,6 +341,7 @@ const dispatchTrainingForAutomation = async ({
         ...replicateOptions,
       },
       reason: 'automation',
+      automationRunId: runId,
     });
   } catch (error) {
     await deleteFromS3(zipKey).catch(() => {});
@@ -338,13 +361,10 @@ const dispatchTrainingForAutomation = async ({
 
 const triggerStorybookForRun = async (run, trainingSnapshot) => {
   if (!run || !trainingSnapshot) return null;
-  const runId = run._id.toString();
-  if (!run.bookId || !run.userId || pendingStorybookDispatch.has(runId)) {
+  if (!run.bookId || !run.userId || run.storybookJobId) {
     return null;
   }
 
-  pendingStorybookDispatch.add(runId);
-
   try {
     const book = await Book.findById(run.bookId).lean();
     if (!book) {
@@ -362,6 +382,7 @@ const triggerStorybookForRun = async (run, trainingSnapshot) => {
         trainingSnapshot?.modelName ||
         '',
       title: `${book.name} Storybook`,
+      automationRunId: run._id,
     });
 
     await updateRun(run._id, {
@@ -397,11 +418,56 @@ const triggerStorybookForRun = async (run, trainingSnapshot) => {
         }),
       },
     });
-  } finally {
-    pendingStorybookDispatch.delete(runId);
   }
 };
 
+const storybookDispatchKey = (runId) => `automation-storybook:${runId}`;
+
+const enqueueStorybookDispatch = (runId) =>
+  enqueueJob({
+    type: STORYBOOK_DISPATCH_JOB,
+    key: storybookDispatchKey(runId),
+    unique: true,
+    payload: { runId: String(runId) },
+  });
+
+const runStorybookDispatch = async (queueJob) => {
+  const run = await AutomationRun.findById(queueJob.payload?.runId);
+  if (!run || run.storybookJobId || run.status !== 'storybook_pending') {
+    return null;
+  }
+
+  const training = await populateTrainingForClient(run.trainingId);
+  if (!training || training.status !== 'succeeded') {
+    return null;
+  }
+
+  await triggerStorybookForRun(run, sanitiseTrainingSnapshot(training));
+  return null;
+};
+
+// Runs whose training finished while the server was down never saw the update
+// that would have started their storybook.
+const recoverStorybookDispatches = async () => {
+  const runs = await AutomationRun.find({
+    status: 'storybook_pending',
+    storybookJobId: null,
+  })
+    .select('_id')
+    .lean();
+
+  for (const run of runs) {
+    await enqueueStorybookDispatch(run._id);
+  }
+  return runs.length;
+};
+
+registerJobHandler(STORYBOOK_DISPATCH_JOB, runStorybookDispatch, {
+  concurrency: 2,
+  maxAttempts: 3,
+  recover: recoverStorybookDispatches,
+});
+
 const handleTrainingUpdate = async (training) => {
   if (!training?._id) return;
   const run = await AutomationRun.findOne({ trainingId: training._id });
@@ -415,10 +481,7 @@ const handleTrainingUpdate = async (training) => {
     status = 'failed';
     error = trainingSnapshot.error || 'Training failed';
   } else if (trainingSnapshot.status === 'succeeded') {
-    status =
-      run.storybookJobId || pendingStorybookDispatch.has(run._id.toString())
-        ? 'storybook'
-        : 'storybook_pending';
+    status = run.storybookJobId ? 'storybook' : 'storybook_pending';
   } else {
     status = 'training';
   }
@@ -442,7 +505,10 @@ const handleTrainingUpdate = async (training) => {
     update.$push = {
       events: createEvent('training_failed', trainingSnapshot.error || 'Training failed'),
     };
-  } else if (trainingSnapshot.status === 'succeeded' && run.status !== 'storybook') {
+  } else if (
+    trainingSnapshot.status === 'succeeded' &&
+    !['storybook', 'storybook_pending'].includes(run.status)
+  ) {
     update.$push = {
       events: createEvent('training_completed', 'Training completed successfully', {
         modelVersion: trainingSnapshot.modelVersion,
@@ -455,13 +521,12 @@ const handleTrainingUpdate = async (training) => {
   });
   if (!updated) return;
   await emitRun(updated._id);
+  if (status === 'failed' && run.status !== 'failed') {
+    await notifyRunFailed(updated);
+  }
 
-  if (
-    trainingSnapshot.status === 'succeeded' &&
-    !updated.storybookJobId &&
-    !pendingStorybookDispatch.has(updated._id.toString())
-  ) {
-    await triggerStorybookForRun(updated, trainingSnapshot);
+  if (trainingSnapshot.status === 'succeeded' && !updated.storybookJobId) {
+    await enqueueStorybookDispatch(updated._id);
   }
 };
 
@@ -506,6 +571,16 @@ const handleStorybookUpdate = async (job) => {
     update.$push = {
       events: createEvent('storybook_completed', 'Storybook automation completed'),
     };
+  } else if (
+    storybookSnapshot.status === 'paused' &&
+    run.storybookSnapshot?.status !== 'paused'
+  ) {
+    update.$push = {
+      events: createEvent(
+        'storybook_paused',
+        job.budget?.pausedReason || 'Storybook paused by a spend guard'
+      ),
+    };
   }
 
   await updateRun(run._id, update);
@@ -528,16 +603,52 @@ const initialiseAutomationWatchers = () => {
   });
 };
 
-const createAutomationRun = async ({ bookId, userInput, files, overrides = [] }) => {
+// Re-use the photos already stored on a child when an order starts a run
+// without new uploads
+const loadStoredTrainingAssets = async (user) => {
+  const storedAssets = (user.imageAssets || []).filter((asset) => asset && asset.key);
+  if (!storedAssets.length) {
+    throw new Error(`User "${user.name}" has no reference photos for automation.`);
+  }
+
+  return Promise.all(
+    storedAssets.slice(0, MAX_TRAINING_IMAGES).map(async (asset) => {
+      const buffer = await downloadFromS3(asset.key);
+      return {
+        buffer,
+        originalName: asset.originalName || path.basename(asset.key),
+        contentType: asset.contentType || guessContentType(asset.key),
+        size: asset.size || buffer.length,
+        url: asset.url,
+        key: asset.key,
+      };
+    })
+  );
+};
+
+/**
+ * Start a run for a new child (`userInput`) or an existing one (`userId`).
+ * Existing children fall back to their stored photos when no files are sent.
+ */
+const createAutomationRun = async ({
+  bookId,
+  userInput,
+  userId = null,
+  orderId = null,
+  files = [],
+  overrides = [],
+}) => {
   initialiseAutomationWatchers();
 
   const run = await AutomationRun.create({
     bookId,
+    orderId,
     status: 'creating_user',
     progress: RUN_STATUS_PROGRESS.creating_user,
     events: [
       createEvent('created', 'Automation run created', {
         bookId,
+        ...(orderId ? { orderId } : {}),
       }),
     ],
   });
@@ -554,15 +665,22 @@ const createAutomationRun = async ({ bookId, userInput, files, overrides = [] })
       throw new Error('Book not found');
     }
 
-    user = await User.create({
-      name: userInput.name,
-      age: userInput.age,
-      gender: userInput.gender,
-      email: userInput.email,
-      countryCode: userInput.countryCode,
-      phoneNumber: userInput.phoneNumber,
-      imageAssets: [],
-    });
+    if (userId) {
+      user = await User.findById(userId);
+      if (!user) {
+        throw new Error('User not found');
+      }
+    } else {
+      user = await User.create({
+        name: userInput.name,
+        age: userInput.age,
+        gender: userInput.gender,
+        email: userInput.email,
+        countryCode: userInput.countryCode,
+        phoneNumber: userInput.phoneNumber,
+        imageAssets: [],
+      });
+    }
 
     await updateRun(run._id, {
       $set: {
@@ -571,17 +689,25 @@ const createAutomationRun = async ({ bookId, userInput, files, overrides = [] })
         progress: RUN_STATUS_PROGRESS.uploading_images,
       },
       $push: {
-        events: createEvent('user_created', 'User created for automation', {
-          userId: user._id,
-        }),
+        events: userId
+          ? createEvent('user_linked', 'Existing user linked to automation', {
+              userId: user._id,
+            })
+          : createEvent('user_created', 'User created for automation', {
+              userId: user._id,
+            }),
       },
     });
 
-    const includedFiles = files.filter((file) => file);
-    if (!includedFiles.length) {
+    const includedFiles = (files || []).filter((file) => file);
+    if (!includedFiles.length && !userId) {
       throw new Error('No reference photos uploaded for automation.');
     }
 
+    if (!includedFiles.length) {
+      processedAssets.push(...(await loadStoredTrainingAssets(user)));
+    }
+
     const maxAssets = includedFiles.slice(0, MAX_TRAINING_IMAGES);
 
     for (let index = 0; index < maxAssets.length; index += 1) {
@@ -595,6 +721,7 @@ const createAutomationRun = async ({ bookId, userInput, files, overrides = [] })
           name: file.originalname,
           mimeType: file.mimetype,
           base64,
+          usageContext: { userId: user._id, bookId, automationRunId: run._id },
         });
       } catch (error) {
         throw new Error(error.message || 'Image evaluation failed');
@@ -654,9 +781,13 @@ const createAutomationRun = async ({ bookId, userInput, files, overrides = [] })
         },
       },
       $push: {
-        events: createEvent('images_uploaded', 'Reference photos uploaded', {
-          count: uploadedAssetMetas.length,
-        }),
+        events: uploadedAssetMetas.length
+          ? createEvent('images_uploaded', 'Reference photos uploaded', {
+              count: uploadedAssetMetas.length,
+            })
+          : createEvent('images_reused', 'Stored reference photos reused', {
+              count: processedAssets.length,
+            }),
       },
     });
 
@@ -0,0 +1,103 @@
+const {
+  DEFAULT_STORY_LANGUAGE,
+  getStoryLanguage,
+  normalizeLanguageCode,
+} = require('../config/languages');
+
+const createHttpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const getBookLanguage = (book) => getStoryLanguage(book?.language)?.code || DEFAULT_STORY_LANGUAGE;
+
+/**
+ * Normalise page translations from a payload. Accepts the stored array shape
+ * (`[{ language, text }]`) or a map keyed by language code (`{ he: '...' }`).
+ * Unknown languages, the book's own language and blank text are dropped; a
+ * repeated language keeps its last value.
+ */
+const normalizePageTranslations = (raw, bookLanguage = DEFAULT_STORY_LANGUAGE) => {
+  let entries = [];
+  if (Array.isArray(raw)) {
+    entries = raw.map((entry) => [entry?.language, entry?.text]);
+  } else if (raw && typeof raw === 'object') {
+    entries = Object.entries(raw);
+  }
+
+  const byLanguage = new Map();
+  entries.forEach(([language, text]) => {
+    const code = normalizeLanguageCode(language);
+    if (!getStoryLanguage(code) || code === bookLanguage) return;
+    const value = typeof text === 'string' ? text.trim() : '';
+    if (value) {
+      byLanguage.set(code, value);
+    } else {
+      byLanguage.delete(code);
+    }
+  });
+
+  return Array.from(byLanguage, ([language, text]) => ({ language, text }));
+};
+
+/**
+ * Text of a page in `language`: the page's own text for the book language,
+ * otherwise its translation (empty when there is none).
+ */
+const resolvePageText = (page, language, bookLanguage = DEFAULT_STORY_LANGUAGE) => {
+  const code = normalizeLanguageCode(language) || bookLanguage;
+  if (code === bookLanguage) {
+    return page?.text || '';
+  }
+  const translation = (page?.translations || []).find((entry) => entry.language === code);
+  return translation?.text || '';
+};
+
+/**
+ * Orders of pages with text that has no translation into `language`.
+ */
+const findUntranslatedPages = (book, language) => {
+  const bookLanguage = getBookLanguage(book);
+  if (language === bookLanguage) return [];
+  return (book?.pages || [])
+    .filter((page) => (page.text || '').trim() && !resolvePageText(page, language, bookLanguage))
+    .map((page) => page.order);
+};
+
+/**
+ * Pick the language a storybook run renders in, defaulting to the book's
+ * own. Throws a 400 for an unsupported language or one with untranslated pages.
+ */
+const resolveRunLanguage = (book, requested) => {
+  const bookLanguage = getBookLanguage(book);
+  const code = normalizeLanguageCode(requested);
+  if (!code) return bookLanguage;
+
+  const language = getStoryLanguage(code);
+  if (!language) {
+    throw createHttpError(`Unsupported storybook language "${requested}"`, 400);
+  }
+
+  const missing = findUntranslatedPages(book, language.code);
+  if (missing.length) {
+    const error = createHttpError(
+      `Add the ${language.name} text for page${missing.length === 1 ? '' : 's'} ${missing.join(
+        ', '
+      )} before generating a ${language.name} edition`,
+      400
+    );
+    error.missingPages = missing;
+    throw error;
+  }
+
+  return language.code;
+};
+
+module.exports = {
+  getBookLanguage,
+  normalizePageTranslations,
+  resolvePageText,
+  findUntranslatedPages,
+  resolveRunLanguage,
+};
@@ -0,0 +1,337 @@
+const mongoose = require('mongoose');
+const Book = require('../models/Book');
+const BookRevision = require('../models/BookRevision');
+const { diffSnapshots } = require('./auditLog');
+
+// Template fields captured in a revision. Storybook PDFs, status and slug are
+// deliberately left out: they are not part of what an editor authors.
+const REVISION_FIELDS = [
+  'name',
+  'description',
+  'gender',
+  'language',
+  'coverImage',
+  'pages',
+  'coverPage',
+  'dedicationPage',
+  'pageLayout',
+  'fonts',
+];
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const MAX_REVISION_ATTEMPTS = 5;
+
+const createHttpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const toActor = (actor) => ({
+  accountId: actor?.accountId || null,
+  name: actor?.name || '',
+});
+
+const toPositiveInteger = (value, fallback) => {
+  const parsed = Number.parseInt(value, 10);
+  if (Number.isNaN(parsed) || parsed <= 0) {
+    return fallback;
+  }
+  return parsed;
+};
+
+const buildRevisionSnapshot = (book) => {
+  const plain = typeof book.toObject === 'function' ? book.toObject({ depopulate: true }) : book;
+  return REVISION_FIELDS.reduce((acc, field) => {
+    const value = plain?.[field];
+    // JSON round-trip turns ObjectIds and Dates into plain values so the
+    // snapshot compares and stores the same way regardless of its source
+    acc[field] = value === undefined ? null : JSON.parse(JSON.stringify(value));
+    return acc;
+  }, {});
+};
+
+const stripIds = (value) => {
+  if (Array.isArray(value)) return value.map(stripIds);
+  if (!value || typeof value !== 'object') return value;
+  return Object.entries(value).reduce((acc, [key, child]) => {
+    if (key === '_id') return acc;
+    acc[key] = stripIds(child);
+    return acc;
+  }, {});
+};
+
+// Pages are keyed by their order so a diff reads `pages.12.characterPromptFemale`
+// instead of shifting array indexes when a page is inserted or removed.
+const toDiffView = (snapshot) => {
+  if (!snapshot) return null;
+  const { pages, ...rest } = snapshot;
+  const pagesByOrder = (Array.isArray(pages) ? pages : []).reduce((acc, page, index) => {
+    const order = Number.isFinite(Number(page?.order)) ? Number(page.order) : index + 1;
+    acc[String(order)] = stripIds(page);
+    return acc;
+  }, {});
+  return { ...stripIds(rest), pages: pagesByOrder };
+};
+
+const diffRevisionSnapshots = (before, after) =>
+  diffSnapshots(toDiffView(before), toDiffView(after));
+
+const summarizeSections = (changes) =>
+  Array.from(
+    new Set(
+      changes.map(({ path }) => {
+        const [section, child] = path.split('.');
+        return section === 'pages' && child ? `pages.${child}` : section;
+      })
+    )
+  );
+
+const getLatestRevision = (bookId) =>
+  BookRevision.findOne({ bookId }).sort({ revision: -1 });
+
+// Only moves forward, so a slower concurrent save cannot point the book back
+// at an older revision
+const setCurrentRevision = async (book, revisionNumber) => {
+  await Book.updateOne(
+    { _id: book._id, currentRevision: { $not: { $gte: revisionNumber } } },
+    { $set: { currentRevision: revisionNumber } },
+    { timestamps: false }
+  );
+  book.currentRevision = revisionNumber;
+};
+
+/**
+ * Record a revision for the book's current template. Saves that did not change
+ * the template return the latest revision instead of creating a duplicate.
+ */
+const recordBookRevision = async (
+  book,
+  { reason = 'update', actor = null, restoredFromRevision = null } = {}
+) => {
+  if (!book?._id) {
+    throw new Error('Book is required to record a revision');
+  }
+
+  const snapshot = buildRevisionSnapshot(book);
+
+  for (let attempt = 1; ; attempt += 1) {
+    const latest = await getLatestRevision(book._id);
+    const changes = latest ? diffRevisionSnapshots(latest.snapshot, snapshot) : [];
+
+    if (latest && changes.length === 0) {
+      if (book.currentRevision !== latest.revision) {
+        await setCurrentRevision(book, latest.revision);
+      }
+      return { revision: latest, created: false };
+    }
+
+    try {
+      const revision = await BookRevision.create({
+        bookId: book._id,
+        revision: (latest?.revision || 0) + 1,
+        reason,
+        restoredFromRevision,
+        author: toActor(actor),
+        changeCount: changes.length,
+        changedSections: summarizeSections(changes),
+        snapshot,
+      });
+
+      await setCurrentRevision(book, revision.revision);
+
+      return { revision, created: true };
+    } catch (error) {
+      // A concurrent save took this number; diff against its revision and
+      // take the next one
+      if (error?.code !== 11000 || attempt >= MAX_REVISION_ATTEMPTS) throw error;
+    }
+  }
+};
+
+/**
+ * Record a revision after the book itself was saved. A failure here is logged
+ * rather than reported as a failed save, since the edit itself went through.
+ * Returns the book's current revision number.
+ */
+const recordRevisionAfterSave = async (book, options) => {
+  try {
+    const { revision } = await recordBookRevision(book, options);
+    return revision.revision;
+  } catch (error) {
+    console.error('Failed to record book revision:', error);
+    return book.currentRevision || null;
+  }
+};
+
+/**
+ * Books created before revisions existed have no history. Capture their current
+ * template as a baseline so the first edit (or generated storybook) has a
+ * revision to point back to. Returns the current revision number.
+ */
+const ensureBaselineRevision = async (book, { actor = null } = {}) => {
+  if (book?.currentRevision) {
+    return book.currentRevision;
+  }
+  const { revision } = await recordBookRevision(book, { reason: 'baseline', actor });
+  return revision.revision;
+};
+
+const listBookRevisions = async (bookId, { page = 1, limit = DEFAULT_PAGE_SIZE } = {}) => {
+  const pageNumber = toPositiveInteger(page, 1);
+  const pageSize = Math.min(toPositiveInteger(limit, DEFAULT_PAGE_SIZE), MAX_PAGE_SIZE);
+  const skip = (pageNumber - 1) * pageSize;
+
+  const [revisions, total] = await Promise.all([
+    BookRevision.find({ bookId })
+      .select('-snapshot')
+      .sort({ revision: -1 })
+      .skip(skip)
+      .limit(pageSize)
+      .lean(),
+    BookRevision.countDocuments({ bookId }),
+  ]);
+
+  const totalPages = Math.max(Math.ceil(total / pageSize), 1);
+
+  return {
+    revisions,
+    pagination: {
+      page: pageNumber,
+      limit: pageSize,
+      total,
+      totalPages,
+      hasNextPage: pageNumber < totalPages,
+      hasPrevPage: pageNumber > 1,
+    },
+  };
+};
+
+const getBookRevision = async (bookId, revisionNumber) => {
+  const revision = await BookRevision.findOne({
+    bookId,
+    revision: toPositiveInteger(revisionNumber, 0),
+  }).lean();
+  if (!revision) {
+    throw createHttpError(`Revision ${revisionNumber} not found`, 404);
+  }
+  return revision;
+};
+
+/**
+ * Field-level diff between two revisions. `to` may be `current` to compare
+ * against the live book; `from` defaults to the revision before `to`.
+ */
+const diffBookRevisions = async (bookId, { from, to = 'current' } = {}) => {
+  let afterSnapshot;
+  let toLabel;
+  if (!to || to === 'current') {
+    const book = await Book.findById(bookId);
+    if (!book) {
+      throw createHttpError('Book not found', 404);
+    }
+    afterSnapshot = buildRevisionSnapshot(book);
+    toLabel = 'current';
+  } else {
+    const target = await getBookRevision(bookId, to);
+    afterSnapshot = target.snapshot;
+    toLabel = target.revision;
+  }
+
+  let fromRevision;
+  if (from !== undefined && from !== null && from !== '') {
+    fromRevision = await getBookRevision(bookId, from);
+  } else {
+    const query = { bookId };
+    if (toLabel !== 'current') {
+      query.revision = { $lt: toLabel };
+    }
+    fromRevision = await BookRevision.findOne(query).sort({ revision: -1 }).lean();
+  }
+
+  const changes = diffRevisionSnapshots(fromRevision ? fromRevision.snapshot : null, afterSnapshot);
+
+  return {
+    from: fromRevision ? fromRevision.revision : null,
+    to: toLabel,
+    changeCount: changes.length,
+    changedSections: summarizeSections(changes),
+    changes,
+  };
+};
+
+/**
+ * Copy a revision's template back onto the book and record the result as a
+ * new revision, so a restore can itself be undone.
+ */
+const restoreBookRevision = async (bookId, revisionNumber, { actor = null } = {}) => {
+  if (!mongoose.Types.ObjectId.isValid(bookId)) {
+    throw createHttpError('Invalid book ID', 400);
+  }
+  const book = await Book.findById(bookId);
+  if (!book) {
+    throw createHttpError('Book not found', 404);
+  }
+
+  const target = await getBookRevision(book._id, revisionNumber);
+  await ensureBaselineRevision(book, { actor });
+
+  REVISION_FIELDS.forEach((field) => {
+    const value = target.snapshot?.[field];
+    book.set(field, value === undefined ? null : value);
+  });
+  book.markModified('pages');
+  book.markModified('coverPage');
+  book.markModified('dedicationPage');
+  book.markModified('pageLayout');
+  book.markModified('fonts');
+  await book.save();
+
+  const { revision, created } = await recordBookRevision(book, {
+    reason: 'restore',
+    actor,
+    restoredFromRevision: target.revision,
+  });
+
+  return { book, revision, restoredFrom: target.revision, changed: created };
+};
+
+const collectKeys = (value, output) => {
+  if (Array.isArray(value)) {
+    value.forEach((item) => collectKeys(item, output));
+    return output;
+  }
+  if (!value || typeof value !== 'object') return output;
+  if (typeof value.key === 'string' && typeof value.url === 'string') {
+    output.add(value.key);
+  }
+  Object.values(value).forEach((child) => collectKeys(child, output));
+  return output;
+};
+
+/**
+ * S3 keys referenced by any revision of the book. Replaced images are kept
+ * while a revision still points at them so restoring does not leave holes.
+ */
+const collectRevisionAssetKeys = async (bookId) => {
+  const revisions = await BookRevision.find({ bookId }).select('snapshot').lean();
+  return revisions.reduce((keys, revision) => collectKeys(revision.snapshot, keys), new Set());
+};
+
+const deleteBookRevisions = (bookId) => BookRevision.deleteMany({ bookId });
+
+module.exports = {
+  buildRevisionSnapshot,
+  diffRevisionSnapshots,
+  summarizeSections,
+  recordBookRevision,
+  recordRevisionAfterSave,
+  ensureBaselineRevision,
+  listBookRevisions,
+  getBookRevision,
+  diffBookRevisions,
+  restoreBookRevision,
+  collectRevisionAssetKeys,
+  deleteBookRevisions,
+};
@@ -1,59 +1,9 @@
 const fetch = require('node-fetch');
+const { getActiveTemplate, toTemplateRef } = require('./promptTemplates');
+const { recordOpenRouterUsage } = require('./usageTracking');
 
 const OPENROUTER_API_URL = 'https://openrouter.ai/api/v1/chat/completions';
 
-const EVALUATION_GUIDE = `
-You are a senior dataset curator preparing photos for fine-tuning personalised children's-story illustrations.
-
-Use these rules when judging each image:
-- A strong dataset has 10-15 high-resolution photos of the child.
-- Face must be clearly visible; no sunglasses, hats, major obstructions.
-- Torso-up, front-facing framing preferred (head and shoulders, relaxed posture).
-- Only the child should be present. If another person appears (even partially), the image MUST be rejected.
-- Include varied expressions (smile, neutral, etc.).
-- Capture multiple lighting conditions and backgrounds.
-- Good examples: school portraits, well-lit casual phone photos with unobstructed faces.
-- Avoid blurred, cropped, dark, obstructed, group, or heavily stylised images.
-
-Return STRICT JSON using this schema:
-{
-  "overallAcceptance": {
-    "acceptedCount": number,
-    "rejectedCount": number,
-    "verdict": "accept" | "needs_more" | "reject",
-    "confidencePercent": integer 0-100,
-    "summary": "short paragraph"
-  },
-  "images": [
-    {
-      "name": "filename or Image X",
-      "overallScorePercent": integer 0-100,
-      "acceptable": boolean,
-      "verdict": "accept" | "needs_more" | "reject",
-      "confidencePercent": integer 0-100,
-      "criteria": {
-        "clarity": { "scorePercent": integer 0-100, "verdict": "yes" | "no", "notes": "concise note" },
-        "framing": { "scorePercent": integer 0-100, "verdict": "yes" | "no", "notes": "..." },
-        "expression": { "scorePercent": integer 0-100, "verdict": "yes" | "no", "notes": "..." },
-        "lighting": { "scorePercent": integer 0-100, "verdict": "yes" | "no", "notes": "..." },
-        "safety": { "scorePercent": integer 0-100, "verdict": "yes" | "no", "notes": "..." }
-      },
-      "recommendations": ["actionable recommendation", "..."]
-    }
-  ],
-  "acceptedImages": ["names"],
-  "rejectedImages": ["names"]
-}
-
-Rules:
-- All numeric scores are integers between 0 and 100.
-- Verdict fields must match the allowed strings exactly.
-- Provide at least one recommendation if acceptable is false or verdict is "needs_more"/"reject".
-- Ensure JSON is valid even if arrays are empty.
-- Treat an image as acceptable only if its overall score is at least 45 AND the face is clearly visible AND there is only one child present.
-- If the face is not clearly visible or multiple people/faces are detected, mark the image as unacceptable with an explicit reason.
-`;
-
 const clampPercent = (value, fallback = 0) => {
   const num = Number(value);
   if (!Number.isFinite(num)) return fallback;
@@ -176,7 +126,21 @@ const normaliseEvaluation = (payload) => {
   return data;
 };
 
-const evaluateSingleImage = async ({ name, mimeType, base64 }) => {
+const resolveEvaluatorModel = (model) =>
+  model || process.env.OPENROUTER_MODEL || 'openai/gpt-4.1-mini';
+
+/**
+ * Send one image to the evaluator model and return the raw message content.
+ * Split from parsing so the golden-set harness can record and replay responses.
+ */
+const requestEvaluationCompletion = async ({
+  name,
+  mimeType,
+  base64,
+  template = null,
+  model = null,
+  usageContext = {},
+}) => {
   if (!process.env.OPENROUTER_API_KEY) {
     const error = new Error('Missing OpenRouter API key configuration');
     error.statusCode = 500;
@@ -189,14 +153,17 @@ const evaluateSingleImage = async ({ name, mimeType, base64 }) => {
     throw error;
   }
 
+  const guide = template || (await getActiveTemplate('evaluator'));
+  const resolvedModel = resolveEvaluatorModel(model);
   const label = name || 'Uploaded Image';
   const payload = {
-    model: process.env.OPENROUTER_MODEL || 'openai/gpt-4.1-mini',
+    model: resolvedModel,
     response_format: { type: 'json_object' },
+    usage: { include: true },
     messages: [
       {
         role: 'system',
-        content: EVALUATION_GUIDE,
+        content: guide.content,
       },
       {
         role: 'user',
@@ -216,6 +183,7 @@ const evaluateSingleImage = async ({ name, mimeType, base64 }) => {
     ],
   };
 
+  const startedAt = Date.now();
   const response = await fetch(OPENROUTER_API_URL, {
     method: 'POST',
     headers: {
@@ -240,6 +208,14 @@ const evaluateSingleImage = async ({ name, mimeType, base64 }) => {
     throw error;
   }
 
+  await recordOpenRouterUsage({
+    operation: 'evaluation',
+    model: resolvedModel,
+    completion,
+    durationMs: Date.now() - startedAt,
+    context: usageContext,
+  });
+
   const messageContent = completion?.choices?.[0]?.message?.content;
   if (!messageContent) {
     const error = new Error('Invalid response from evaluator model');
@@ -247,20 +223,43 @@ const evaluateSingleImage = async ({ name, mimeType, base64 }) => {
     throw error;
   }
 
+  return {
+    content: messageContent,
+    model: resolvedModel,
+    promptTemplate: toTemplateRef(guide),
+  };
+};
+
+const parseEvaluationCompletion = (content) => {
   let parsed;
   try {
-    parsed = JSON.parse(messageContent);
+    parsed = JSON.parse(content);
   } catch (parseError) {
     const error = new Error('Evaluator returned non-JSON output');
     error.statusCode = 502;
-    error.details = { raw: messageContent };
+    error.details = { raw: content };
     throw error;
   }
 
   return normaliseEvaluation(parsed);
 };
 
+/**
+ * Evaluate one image with the active `evaluator` template, or with `template`
+ * (`{ key, version, content }`) when a dry run supplies an unsaved draft.
+ */
+const evaluateSingleImage = async (options) => {
+  const { content, promptTemplate } = await requestEvaluationCompletion(options);
+  return {
+    ...parseEvaluationCompletion(content),
+    promptTemplate,
+  };
+};
+
 module.exports = {
   evaluateSingleImage,
   normaliseEvaluation,
+  resolveEvaluatorModel,
+  requestEvaluationCompletion,
+  parseEvaluationCompletion,
 };
@@ -0,0 +1,144 @@
+const path = require('path');
+const { createCanvas, loadImage } = require('canvas');
+const { readExifOrientation, getOrientationTransform } = require('../utils/exifOrientation');
+
+const MIN_DETECTION_CONFIDENCE = Number(process.env.FACE_SIMILARITY_MIN_CONFIDENCE || 0.5);
+const MAX_DETECTION_SIDE = 1024;
+
+let faceApiPromise = null;
+
+const resolveModelPath = () =>
+  process.env.FACE_SIMILARITY_MODEL_PATH ||
+  path.join(path.dirname(require.resolve('@vladmandic/face-api/package.json')), 'model');
+
+const loadFaceApi = async () => {
+  const faceapi = require('@vladmandic/face-api/dist/face-api.node-wasm.js');
+  const wasm = require('@tensorflow/tfjs-backend-wasm');
+
+  wasm.setWasmPaths(
+    `${path.dirname(require.resolve('@tensorflow/tfjs-backend-wasm'))}${path.sep}`
+  );
+  await faceapi.tf.setBackend('wasm');
+  await faceapi.tf.ready();
+
+  const modelPath = resolveModelPath();
+  await faceapi.nets.ssdMobilenetv1.loadFromDisk(modelPath);
+  await faceapi.nets.faceLandmark68Net.loadFromDisk(modelPath);
+  await faceapi.nets.faceRecognitionNet.loadFromDisk(modelPath);
+  await faceapi.nets.faceExpressionNet.loadFromDisk(modelPath);
+
+  console.log(`🧑 Face detection models loaded (${faceapi.tf.getBackend()} backend)`);
+  return faceapi;
+};
+
+/**
+ * Lazily load face-api and its models on the CPU (TensorFlow.js WASM backend).
+ * Resolves to null when the runtime or model files are unavailable.
+ */
+const getFaceApi = () => {
+  if (!faceApiPromise) {
+    faceApiPromise = loadFaceApi().catch((error) => {
+      console.warn('⚠️  Face detection unavailable:', error.message);
+      return null;
+    });
+  }
+  return faceApiPromise;
+};
+
+/**
+ * Decode an image buffer onto a canvas, rotated/flipped upright according to
+ * its EXIF orientation.
+ */
+const loadOrientedImage = async (buffer) => {
+  const image = await loadImage(buffer);
+  const orientation = readExifOrientation(buffer);
+  const { swap, matrix } = getOrientationTransform(orientation, image.width, image.height);
+  const width = swap ? image.height : image.width;
+  const height = swap ? image.width : image.height;
+
+  const canvas = createCanvas(width, height);
+  const ctx = canvas.getContext('2d');
+  ctx.transform(...matrix);
+  ctx.drawImage(image, 0, 0);
+
+  return { canvas, width, height, orientation };
+};
+
+const canvasToTensor = (faceapi, canvas) => {
+  const { width, height } = canvas;
+  const { data } = canvas.getContext('2d').getImageData(0, 0, width, height);
+
+  const rgb = new Uint8Array(width * height * 3);
+  for (let src = 0, dst = 0; src < data.length; src += 4, dst += 3) {
+    rgb[dst] = data[src];
+    rgb[dst + 1] = data[src + 1];
+    rgb[dst + 2] = data[src + 2];
+  }
+
+  return faceapi.tf.tensor3d(rgb, [height, width, 3], 'int32');
+};
+
+const downscaleForDetection = (canvas) => {
+  const scale = Math.min(1, MAX_DETECTION_SIDE / Math.max(canvas.width, canvas.height));
+  if (scale === 1) {
+    return { canvas, scale };
+  }
+  const scaled = createCanvas(
+    Math.max(1, Math.round(canvas.width * scale)),
+    Math.max(1, Math.round(canvas.height * scale))
+  );
+  scaled.getContext('2d').drawImage(canvas, 0, 0, scaled.width, scaled.height);
+  return { canvas: scaled, scale };
+};
+
+/**
+ * Detect the most prominent face on a canvas.
+ *
+ * Returns `{ box, confidence, descriptor, expressions }` with `box` in the
+ * canvas' own pixel coordinates, or null when no face clears the detection
+ * threshold. `descriptor` (128-d) and `expressions` (probability per
+ * expression) are only computed when requested.
+ */
+const detectPrimaryFace = async (
+  faceapi,
+  canvas,
+  { descriptor = false, expressions = false } = {}
+) => {
+  const { canvas: input, scale } = downscaleForDetection(canvas);
+  const tensor = canvasToTensor(faceapi, input);
+
+  try {
+    let task = faceapi.detectSingleFace(
+      tensor,
+      new faceapi.SsdMobilenetv1Options({ minConfidence: MIN_DETECTION_CONFIDENCE })
+    );
+    if (descriptor) {
+      task = task.withFaceLandmarks().withFaceDescriptor();
+    }
+    if (expressions) {
+      task = task.withFaceExpressions();
+    }
+
+    const result = await task;
+    if (!result) {
+      return null;
+    }
+
+    const detection = result.detection || result;
+    const { x, y, width, height } = detection.box;
+    return {
+      box: { x: x / scale, y: y / scale, width: width / scale, height: height / scale },
+      confidence: detection.score,
+      descriptor: result.descriptor ? Array.from(result.descriptor) : null,
+      expressions: result.expressions ? { ...result.expressions } : null,
+    };
+  } finally {
+    tensor.dispose();
+  }
+};
+
+module.exports = {
+  getFaceApi,
+  loadOrientedImage,
+  detectPrimaryFace,
+};
@@ -0,0 +1,107 @@
+const { downloadFromS3 } = require('../config/s3');
+const { getFaceApi, loadOrientedImage, detectPrimaryFace } = require('./faceDetection');
+
+const FACE_SIMILARITY_ENABLED = process.env.FACE_SIMILARITY_ENABLED !== 'false';
+const MAX_REFERENCE_IMAGES = Math.max(1, Number(process.env.FACE_SIMILARITY_MAX_REFERENCES || 8));
+// face-api's own "same person" cut-off on the euclidean distance between descriptors
+const MATCH_DISTANCE = Number(process.env.FACE_SIMILARITY_MATCH_DISTANCE || 0.6);
+const REFERENCE_CACHE_LIMIT = 50;
+
+// Reference descriptors are cached per user and invalidated whenever the set
+// of uploaded photos changes, so a storybook run only embeds the child once.
+const referenceCache = new Map();
+
+const embedAsset = async (faceapi, asset) => {
+  if (!asset?.key) return null;
+  try {
+    const buffer = await downloadFromS3(asset.key);
+    const { canvas } = await loadOrientedImage(buffer);
+    const face = await detectPrimaryFace(faceapi, canvas, { descriptor: true });
+    return face ? face.descriptor : null;
+  } catch (error) {
+    console.warn(`⚠️  Failed to embed face for ${asset.key}:`, error.message);
+    return null;
+  }
+};
+
+const distanceToSimilarity = (distance) => {
+  // Maps the match cut-off to 0.5 so anything above half reads as the same person.
+  const similarity = 1 - distance / (2 * MATCH_DISTANCE);
+  return Math.round(Math.min(1, Math.max(0, similarity)) * 1000) / 1000;
+};
+
+const getReferenceDescriptors = async (faceapi, userId, referenceAssets) => {
+  const assets = (referenceAssets || []).filter((asset) => asset?.key).slice(-MAX_REFERENCE_IMAGES);
+  const signature = assets.map((asset) => asset.key).join('|');
+  const cacheKey = userId ? userId.toString() : null;
+
+  if (cacheKey && referenceCache.get(cacheKey)?.signature === signature) {
+    return referenceCache.get(cacheKey).descriptors;
+  }
+
+  const descriptors = [];
+  for (const asset of assets) {
+    const descriptor = await embedAsset(faceapi, asset);
+    if (descriptor) {
+      descriptors.push(descriptor);
+    }
+  }
+
+  if (cacheKey) {
+    referenceCache.delete(cacheKey);
+    referenceCache.set(cacheKey, { signature, descriptors });
+    if (referenceCache.size > REFERENCE_CACHE_LIMIT) {
+      referenceCache.delete(referenceCache.keys().next().value);
+    }
+  }
+
+  return descriptors;
+};
+
+/**
+ * Score how closely the face in each candidate image matches the child's
+ * reference photos.
+ *
+ * Returns `{ scores, referenceCount, error }` where `scores` is one
+ * `{ imageIndex, faceSimilarity }` per candidate (1-based). `faceSimilarity`
+ * is 0–1 against the closest reference and null when no face was found.
+ * Never throws: when the model or references are unavailable `scores` is
+ * empty and `error` explains why.
+ */
+const scoreFaceSimilarity = async ({ userId, referenceAssets, candidateAssets }) => {
+  if (!FACE_SIMILARITY_ENABLED) {
+    return { scores: [], referenceCount: 0, error: 'Face similarity is disabled' };
+  }
+
+  const faceapi = await getFaceApi();
+  if (!faceapi) {
+    return { scores: [], referenceCount: 0, error: 'Face similarity model is not available' };
+  }
+
+  const references = await getReferenceDescriptors(faceapi, userId, referenceAssets);
+  if (!references.length) {
+    return {
+      scores: [],
+      referenceCount: 0,
+      error: 'No face was detected in the reference photos',
+    };
+  }
+
+  const scores = [];
+  for (let index = 0; index < (candidateAssets || []).length; index += 1) {
+    const descriptor = await embedAsset(faceapi, candidateAssets[index]);
+    const closest = descriptor
+      ? Math.min(...references.map((ref) => faceapi.euclideanDistance(ref, descriptor)))
+      : null;
+    scores.push({
+      imageIndex: index + 1,
+      faceSimilarity: closest === null ? null : distanceToSimilarity(closest),
+    });
+  }
+
+  return { scores, referenceCount: references.length, error: null };
+};
+
+module.exports = {
+  scoreFaceSimilarity,
+};
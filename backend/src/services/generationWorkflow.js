@@ -1,11 +1,15 @@
 const Generation = require('../models/Generation');
 const User = require('../models/User');
-const { replicate } = require('../config/replicate');
+const { getImageProvider } = require('./providers');
 const { extractProgressFromReplicate } = require('../utils/replicate');
 const { uploadGenerationOutputs, getSignedDownloadUrls } = require('./generationOutputs');
 const { emitGenerationUpdate } = require('./generationEvents');
 const { buildWebhookUrl } = require('../utils/webhook');
 const { rankGeneratedImages } = require('./rankingService');
+const { scoreFaceSimilarity } = require('./faceSimilarity');
+const { registerJobHandler, enqueueJob, cancelJobs } = require('./jobQueue');
+const { recordPredictionUsage } = require('./usageTracking');
+const { reservePrediction, releasePrediction, isBudgetExceededError } = require('./spendGuards');
 
 const MAX_ATTEMPTS = Number(process.env.GENERATION_MAX_ATTEMPTS || 3);
 const WEBHOOK_EVENTS = ['start', 'logs', 'output', 'completed'];
@@ -32,44 +36,84 @@ const broadcastGeneration = async (generationId) => {
   return populated;
 };
 
-const predictionPollers = new Map();
+const PREDICTION_POLL_JOB = 'generation.poll';
 
-const clearPredictionPolling = (generationId) => {
-  const timer = predictionPollers.get(generationId);
-  if (timer) {
-    clearTimeout(timer);
-    predictionPollers.delete(generationId);
+const predictionPollKey = (generationId) => `generation-poll:${generationId}`;
+
+const clearPredictionPolling = (generationId) =>
+  cancelJobs(predictionPollKey(generationId)).catch((error) => {
+    console.warn(`⚠️  Failed to cancel polling for generation ${generationId}:`, error.message);
+  });
+
+const schedulePredictionPolling = async (generationId, predictionId, delay = POLL_INTERVAL_MS) => {
+  await clearPredictionPolling(generationId);
+  await enqueueJob({
+    type: PREDICTION_POLL_JOB,
+    key: predictionPollKey(generationId),
+    payload: { generationId: String(generationId), predictionId, delay },
+    delayMs: delay,
+  });
+};
+
+const pollPrediction = async (job) => {
+  const { generationId, predictionId } = job.payload || {};
+  const delay = Number(job.payload?.delay) || POLL_INTERVAL_MS;
+
+  // Stop once the generation is gone or a newer attempt replaced this prediction
+  const current = await Generation.exists({ _id: generationId, replicatePredictionId: predictionId });
+  if (!current) return null;
+
+  try {
+    const prediction = await getImageProvider().getPrediction(predictionId);
+    const terminal = FINAL_PREDICTION_STATUSES.has(prediction.status);
+    const eventType = terminal ? 'completed' : 'update';
+    await processPredictionEvent({
+      generationId,
+      prediction,
+      eventType,
+    });
+    if (terminal) return null;
+    const nextDelay = Math.min(delay, MAX_POLL_INTERVAL_MS);
+    return { rescheduleInMs: nextDelay, payload: { ...job.payload, delay: nextDelay } };
+  } catch (error) {
+    console.warn(
+      `⚠️  Failed to poll prediction ${predictionId} for generation ${generationId}:`,
+      error.message
+    );
+    const retryDelay = Math.min(delay * 2, MAX_POLL_INTERVAL_MS);
+    return { rescheduleInMs: retryDelay, payload: { ...job.payload, delay: retryDelay } };
   }
 };
 
-const schedulePredictionPolling = (generationId, predictionId, delay = POLL_INTERVAL_MS) => {
-  clearPredictionPolling(generationId);
-  const timer = setTimeout(async () => {
-    try {
-      const prediction = await replicate.predictions.get(predictionId);
-      const terminal = FINAL_PREDICTION_STATUSES.has(prediction.status);
-      const eventType = terminal ? 'completed' : 'update';
-      await processPredictionEvent({
-        generationId,
-        prediction,
-        eventType,
-      });
-      if (!terminal) {
-        const nextDelay = Math.min(delay, MAX_POLL_INTERVAL_MS);
-        schedulePredictionPolling(generationId, predictionId, nextDelay);
-      }
-    } catch (error) {
-      console.warn(
-        `⚠️  Failed to poll prediction ${predictionId} for generation ${generationId}:`,
-        error.message
-      );
-      const retryDelay = Math.min(delay * 2, MAX_POLL_INTERVAL_MS);
-      schedulePredictionPolling(generationId, predictionId, retryDelay);
-    }
-  }, delay);
-  predictionPollers.set(generationId, timer);
+// Generations still waiting on Replicate when the server stopped pick up polling again
+const recoverPredictionPolling = async () => {
+  const pending = await Generation.find({
+    status: { $in: ['queued', 'processing'] },
+    replicatePredictionId: { $ne: null },
+  })
+    .select('_id replicatePredictionId')
+    .lean();
+
+  for (const generation of pending) {
+    await enqueueJob({
+      type: PREDICTION_POLL_JOB,
+      key: predictionPollKey(generation._id),
+      unique: true,
+      payload: {
+        generationId: String(generation._id),
+        predictionId: generation.replicatePredictionId,
+        delay: POLL_INTERVAL_MS,
+      },
+    });
+  }
+  return pending.length;
 };
 
+registerJobHandler(PREDICTION_POLL_JOB, pollPrediction, {
+  concurrency: Number(process.env.GENERATION_POLL_CONCURRENCY || 20),
+  recover: recoverPredictionPolling,
+});
+
 const clampNumber = (value, fallback) => {
   const parsed = Number(value);
   if (Number.isNaN(parsed)) return fallback;
@@ -130,7 +174,7 @@ const appendUpdateOperations = ({ set, pushEvents = [], pushLogs = [] }) => {
 
 const ensureMaxAttempts = async (generation) => {
   if ((generation.attempts || 0) >= MAX_ATTEMPTS) {
-    clearPredictionPolling(generation._id);
+    await clearPredictionPolling(generation._id);
     await Generation.findByIdAndUpdate(generation._id, {
       $set: {
         status: 'failed',
@@ -163,8 +207,11 @@ const dispatchGenerationAttempt = async ({ generationId, modelVersion, input, re
     throw new Error(`Maximum attempts reached for generation ${generationId}`);
   }
 
-  const webhook = buildWebhookUrl('generation', generationId);
-  if (!webhook) {
+  const provider = getImageProvider();
+  const webhook = provider.supportsWebhooks
+    ? buildWebhookUrl('generation', generationId, provider.name)
+    : null;
+  if (provider.supportsWebhooks && !webhook) {
     throw new Error(
       'REPLICATE_WEBHOOK_BASE_URL (or WEBHOOK_BASE_URL / APP_URL) must be configured to use webhooks.'
     );
@@ -172,20 +219,30 @@ const dispatchGenerationAttempt = async ({ generationId, modelVersion, input, re
 
   const attemptNumber = (generation.attempts || 0) + 1;
   const preparedInput = prepareReplicateInput(generation, input);
+  let reservation = [];
 
   try {
-    const prediction = await replicate.predictions.create({
+    const storybookContext = generation.storybookContext || {};
+    reservation = await reservePrediction({
+      storybookJobId: storybookContext.jobId || null,
+      pageId: storybookContext.pageId || null,
+      pageOrder: storybookContext.pageOrder ?? null,
+    });
+    const prediction = await provider.createPrediction({
       version: modelVersion,
       input: preparedInput,
-      webhook,
-      webhook_events_filter: WEBHOOK_EVENTS,
+      ...(webhook ? { webhook, webhook_events_filter: WEBHOOK_EVENTS } : {}),
     });
+    // The prediction is billed from here on, so later failures keep the reservation
+    reservation = [];
 
     const now = new Date();
     console.log(
-      `📬 Dispatched Replicate prediction ${prediction.id} for generation ${generationId} (attempt ${attemptNumber})`
+      `📬 Dispatched ${provider.name} prediction ${prediction.id} for generation ${generationId} (attempt ${attemptNumber})`
     );
-    console.log(`   ↪ Webhook: ${webhook}`);
+    if (webhook) {
+      console.log(`   ↪ Webhook: ${webhook}`);
+    }
     await Generation.findByIdAndUpdate(generationId, {
       $set: {
         replicatePredictionId: prediction.id,
@@ -211,9 +268,10 @@ const dispatchGenerationAttempt = async ({ generationId, modelVersion, input, re
     });
 
     await broadcastGeneration(generationId);
-    schedulePredictionPolling(generationId, prediction.id);
+    await schedulePredictionPolling(generationId, prediction.id);
     return prediction;
   } catch (error) {
+    await releasePrediction(reservation);
     const now = new Date();
     await Generation.findByIdAndUpdate(generationId, {
       $push: {
@@ -314,6 +372,7 @@ const processPredictionEvent = async ({ generationId, prediction, eventType }) =
 
   if (eventType === 'completed') {
     clearPredictionPolling(generationId);
+    await recordPredictionUsage({ provider: getImageProvider().name, prediction, generation });
     events.push({
       type: 'completed',
       message: `Replicate completed with status ${prediction.status}`,
@@ -391,7 +450,9 @@ const processPredictionEvent = async ({ generationId, prediction, eventType }) =
 
           try {
             const signedAssets = await getSignedDownloadUrls(imageAssets);
-            const userDoc = await User.findById(generation.userId).select('name gender age');
+            const userDoc = await User.findById(generation.userId).select(
+              'name gender age imageAssets'
+            );
 
             const ranking = await rankGeneratedImages({
               prompt: generation.prompt,
@@ -403,8 +464,23 @@ const processPredictionEvent = async ({ generationId, prediction, eventType }) =
                     age: userDoc.age,
                   }
                 : null,
+              usageContext: {
+                userId: generation.userId,
+                generationId: generation._id,
+                bookId: generation.storybookContext?.bookId,
+                storybookJobId: generation.storybookContext?.jobId,
+              },
             });
 
+            const likeness = await scoreFaceSimilarity({
+              userId: generation.userId,
+              referenceAssets: userDoc?.imageAssets || [],
+              candidateAssets: imageAssets,
+            });
+            const similarityByIndex = new Map(
+              likeness.scores.map((entry) => [entry.imageIndex, entry.faceSimilarity])
+            );
+
             set.ranking = {
               summary: ranking.summary,
               promptReflection: ranking.promptReflection || '',
@@ -412,12 +488,30 @@ const processPredictionEvent = async ({ generationId, prediction, eventType }) =
                 ranking.winners && ranking.winners.length
                   ? ranking.winners
                   : [ranking.ranked[0]?.imageIndex || 1],
-              ranked: ranking.ranked,
+              ranked: ranking.ranked.map((entry) => ({
+                ...entry,
+                faceSimilarity: similarityByIndex.get(entry.imageIndex) ?? null,
+              })),
               createdAt: new Date(),
               raw: ranking.raw || null,
               childProfile: ranking.childProfile,
+              promptTemplate: ranking.promptTemplate || null,
+              likeness: {
+                referenceCount: likeness.referenceCount,
+                error: likeness.error,
+                computedAt: new Date(),
+              },
             };
 
+            if (likeness.error) {
+              events.push({
+                type: 'likeness-skipped',
+                message: `Face similarity skipped: ${likeness.error}`,
+                metadata: {},
+                timestamp: new Date(),
+              });
+            }
+
             set.progress = 100;
             set.completedAt = new Date();
 
@@ -502,12 +596,22 @@ const processPredictionEvent = async ({ generationId, prediction, eventType }) =
       await broadcastGeneration(generationId);
 
       const preparedInput = prepareReplicateInput(generation);
-      await dispatchGenerationAttempt({
-        generationId,
-        modelVersion: generation.modelVersion,
-        input: preparedInput,
-        reason: 'retry',
-      });
+      try {
+        await dispatchGenerationAttempt({
+          generationId,
+          modelVersion: generation.modelVersion,
+          input: preparedInput,
+          reason: 'retry',
+        });
+      } catch (error) {
+        if (!isBudgetExceededError(error)) throw error;
+        // The failed prediction already settled; stop retrying instead of erroring the webhook
+        console.warn(`⚠️  Retry skipped for generation ${generationId}: ${error.message}`);
+        await Generation.findByIdAndUpdate(generationId, {
+          $set: { status: 'failed', error: error.message, completedAt: new Date() },
+        });
+        return broadcastGeneration(generationId);
+      }
     }
   }
 
@@ -0,0 +1,734 @@
+const mongoose = require('mongoose');
+const GoldenSample = require('../models/GoldenSample');
+const GoldenRun = require('../models/GoldenRun');
+const GoldenRecording = require('../models/GoldenRecording');
+const Generation = require('../models/Generation');
+const Evaluation = require('../models/Evaluation');
+const User = require('../models/User');
+const { downloadFromS3 } = require('../config/s3');
+const { getSignedDownloadUrls } = require('./generationOutputs');
+const {
+  resolveRankingModel,
+  requestRankingCompletion,
+  parseRankingCompletion,
+} = require('./rankingService');
+const {
+  resolveEvaluatorModel,
+  requestEvaluationCompletion,
+  parseEvaluationCompletion,
+} = require('./evaluator');
+const { getActiveTemplate, getTemplateVersion, toTemplateRef } = require('./promptTemplates');
+const { registerJobHandler, enqueueJob } = require('./jobQueue');
+
+const GOLDEN_RUN_JOB = 'golden.run';
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Which prompt template each golden-set kind exercises
+const TEMPLATE_KEY_BY_KIND = {
+  ranking: 'ranker',
+  evaluation: 'evaluator',
+};
+
+const EVALUATION_LABELS = ['accept', 'reject'];
+
+const createHttpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const toActor = (actor) => ({
+  accountId: actor?.accountId || null,
+  name: actor?.name || '',
+});
+
+const toPositiveInteger = (value, fallback) => {
+  const parsed = Number.parseInt(value, 10);
+  if (Number.isNaN(parsed) || parsed <= 0) {
+    return fallback;
+  }
+  return parsed;
+};
+
+const assertKind = (kind) => {
+  if (!TEMPLATE_KEY_BY_KIND[kind]) {
+    throw createHttpError('Kind must be "ranking" or "evaluation"', 400);
+  }
+};
+
+const assertObjectId = (value, label) => {
+  if (!mongoose.Types.ObjectId.isValid(value)) {
+    throw createHttpError(`Invalid ${label}`, 400);
+  }
+};
+
+const toAcceptLabel = (acceptable) => {
+  if (acceptable === null || acceptable === undefined) return null;
+  return acceptable ? 'accept' : 'reject';
+};
+
+const toImageLabel = (index) => (Number.isInteger(index) ? `image ${index}` : null);
+
+const pickWinner = (ranking) => {
+  if (Array.isArray(ranking?.winners) && ranking.winners.length) return ranking.winners[0];
+  return ranking?.ranked?.[0]?.imageIndex ?? null;
+};
+
+const scoresByImage = (ranked = [], count = 0) => {
+  const scores = new Array(count).fill(null);
+  ranked.forEach((entry) => {
+    if (entry.imageIndex >= 1 && entry.imageIndex <= count) {
+      scores[entry.imageIndex - 1] = entry.score;
+    }
+  });
+  return scores;
+};
+
+const normalizeExpected = (kind, expected = {}, { imageCount = 0 } = {}) => {
+  if (kind === 'ranking') {
+    const winnerIndex = Number.parseInt(expected?.winnerIndex, 10);
+    if (Number.isNaN(winnerIndex) || winnerIndex < 1 || winnerIndex > imageCount) {
+      throw createHttpError(`Pick the winning image (1-${imageCount})`, 400);
+    }
+    return { winnerIndex, acceptable: null };
+  }
+  if (typeof expected?.acceptable !== 'boolean') {
+    throw createHttpError('Mark the image as accepted or rejected', 400);
+  }
+  return { winnerIndex: null, acceptable: expected.acceptable };
+};
+
+const buildRankingSample = async (sourceId, expected) => {
+  const generation = await Generation.findById(sourceId).lean();
+  if (!generation) {
+    throw createHttpError('Generation not found', 404);
+  }
+  const images = (generation.imageAssets || []).filter((asset) => asset?.key && asset?.url);
+  if (images.length < 2 || !generation.ranking?.ranked?.length) {
+    throw createHttpError('Only ranked generations with two or more images can be added', 400);
+  }
+
+  let childProfile = generation.ranking.childProfile || null;
+  if (!childProfile && generation.userId) {
+    const user = await User.findById(generation.userId).select('name gender age').lean();
+    childProfile = user ? { name: user.name, gender: user.gender, age: user.age } : null;
+  }
+
+  return {
+    label: generation.prompt,
+    expected: normalizeExpected('ranking', expected, { imageCount: images.length }),
+    input: {
+      prompt: generation.prompt,
+      childProfile,
+      images: images.map((asset) => ({
+        key: asset.key,
+        url: asset.url,
+        contentType: asset.contentType || null,
+      })),
+    },
+    baseline: {
+      winnerIndex: pickWinner(generation.ranking),
+      score: null,
+      scores: scoresByImage(generation.ranking.ranked, images.length),
+      promptTemplate: generation.ranking.promptTemplate || null,
+    },
+  };
+};
+
+const buildEvaluationSample = async (sourceId, expected) => {
+  const evaluation = await Evaluation.findById(sourceId).lean();
+  if (!evaluation) {
+    throw createHttpError('Evaluation not found', 404);
+  }
+
+  // Default to the reviewer decision already recorded on the evaluation
+  const fallback =
+    evaluation.decision === 'approved' ? true : evaluation.decision === 'rejected' ? false : null;
+  const acceptable =
+    typeof expected?.acceptable === 'boolean' ? expected.acceptable : fallback;
+
+  return {
+    label: evaluation.fileName,
+    expected: normalizeExpected('evaluation', { acceptable }),
+    input: {
+      fileName: evaluation.fileName,
+      images: [
+        {
+          key: evaluation.s3Key,
+          url: evaluation.s3Url,
+          contentType: evaluation.mimeType || null,
+        },
+      ],
+    },
+    baseline: {
+      acceptable: Boolean(evaluation.acceptable),
+      score: evaluation.score ?? null,
+      promptTemplate: evaluation.promptTemplate || null,
+    },
+  };
+};
+
+/**
+ * Recent records that can be marked as ground truth, flagged when they are
+ * already part of the golden set.
+ */
+const listGoldenCandidates = async (kind, { limit = 24 } = {}) => {
+  assertKind(kind);
+  const pageSize = Math.min(toPositiveInteger(limit, 24), MAX_PAGE_SIZE);
+
+  const docs =
+    kind === 'ranking'
+      ? await Generation.find({
+          'ranking.ranked.0': { $exists: true },
+          'imageAssets.1': { $exists: true },
+        })
+          .select('prompt imageAssets ranking createdAt')
+          .sort({ createdAt: -1 })
+          .limit(pageSize)
+          .lean()
+      : await Evaluation.find({})
+          .select('fileName s3Url verdict acceptable score decision createdAt')
+          .sort({ createdAt: -1 })
+          .limit(pageSize)
+          .lean();
+
+  const existing = await GoldenSample.find({
+    kind,
+    sourceId: { $in: docs.map((doc) => doc._id) },
+  })
+    .select('sourceId')
+    .lean();
+  const existingIds = new Set(existing.map((sample) => sample.sourceId.toString()));
+
+  return docs.map((doc) =>
+    kind === 'ranking'
+      ? {
+          sourceId: doc._id.toString(),
+          label: doc.prompt,
+          images: (doc.imageAssets || []).map((asset) => asset.url),
+          winnerIndex: pickWinner(doc.ranking),
+          createdAt: doc.createdAt,
+          inGoldenSet: existingIds.has(doc._id.toString()),
+        }
+      : {
+          sourceId: doc._id.toString(),
+          label: doc.fileName,
+          images: [doc.s3Url],
+          acceptable: Boolean(doc.acceptable),
+          score: doc.score,
+          decision: doc.decision,
+          createdAt: doc.createdAt,
+          inGoldenSet: existingIds.has(doc._id.toString()),
+        }
+  );
+};
+
+const listGoldenSamples = async (kind) => {
+  const filter = {};
+  if (kind) {
+    assertKind(kind);
+    filter.kind = kind;
+  }
+  return GoldenSample.find(filter).sort({ createdAt: -1 }).lean();
+};
+
+const addGoldenSample = async (kind, sourceId, { expected, notes = '', actor = null } = {}) => {
+  assertKind(kind);
+  assertObjectId(sourceId, 'source ID');
+
+  const existing = await GoldenSample.exists({ kind, sourceId });
+  if (existing) {
+    throw createHttpError('This record is already in the golden set', 409);
+  }
+
+  const built =
+    kind === 'ranking'
+      ? await buildRankingSample(sourceId, expected)
+      : await buildEvaluationSample(sourceId, expected);
+
+  try {
+    const sample = await GoldenSample.create({
+      kind,
+      sourceId,
+      ...built,
+      notes: typeof notes === 'string' ? notes.trim().slice(0, 500) : '',
+      createdBy: toActor(actor),
+    });
+    return sample.toObject();
+  } catch (error) {
+    if (error?.code === 11000) {
+      throw createHttpError('This record is already in the golden set', 409);
+    }
+    throw error;
+  }
+};
+
+const updateGoldenSample = async (sampleId, { expected, notes } = {}) => {
+  assertObjectId(sampleId, 'sample ID');
+  const sample = await GoldenSample.findById(sampleId);
+  if (!sample) {
+    throw createHttpError('Golden sample not found', 404);
+  }
+  const before = sample.toObject();
+
+  if (expected !== undefined) {
+    const normalized = normalizeExpected(sample.kind, expected, {
+      imageCount: sample.input?.images?.length || 0,
+    });
+    sample.expected = normalized;
+  }
+  if (typeof notes === 'string') {
+    sample.notes = notes.trim().slice(0, 500);
+  }
+  await sample.save();
+  return { before, sample: sample.toObject() };
+};
+
+const deleteGoldenSample = async (sampleId) => {
+  assertObjectId(sampleId, 'sample ID');
+  const sample = await GoldenSample.findByIdAndDelete(sampleId).lean();
+  if (!sample) {
+    throw createHttpError('Golden sample not found', 404);
+  }
+  await GoldenRecording.deleteMany({ sampleId: sample._id });
+  return sample;
+};
+
+const findRecording = (sample, run) =>
+  GoldenRecording.findOne({
+    sampleId: sample._id,
+    model: run.model,
+    templateKey: run.promptTemplate?.key,
+    templateVersion: run.promptTemplate?.version ?? null,
+  }).lean();
+
+const saveRecording = (sample, run, content) =>
+  GoldenRecording.updateOne(
+    {
+      sampleId: sample._id,
+      model: run.model,
+      templateKey: run.promptTemplate?.key,
+      templateVersion: run.promptTemplate?.version ?? null,
+    },
+    { $set: { content } },
+    { upsert: true }
+  );
+
+const loadRunTemplate = async (run) => {
+  const key = TEMPLATE_KEY_BY_KIND[run.kind];
+  const version = run.promptTemplate?.version;
+  if (Number.isFinite(version)) {
+    const doc = await getTemplateVersion(key, version);
+    return { key, version: doc.version, content: doc.content };
+  }
+  return getActiveTemplate(key);
+};
+
+// Live runs call the model and record its answer; recorded runs only replay.
+const resolveCompletion = async (sample, run, template, requestLive) => {
+  if (run.mode === 'recorded') {
+    const recording = await findRecording(sample, run);
+    return recording ? recording.content : null;
+  }
+  const { content } = await requestLive(template);
+  await saveRecording(sample, run, content);
+  return content;
+};
+
+const runRankingSample = async (sample, run, template) => {
+  const images = sample.input?.images || [];
+  const content = await resolveCompletion(sample, run, template, async (resolvedTemplate) =>
+    requestRankingCompletion({
+      prompt: sample.input?.prompt || '',
+      assets: await getSignedDownloadUrls(images),
+      childProfile: sample.input?.childProfile || null,
+      template: resolvedTemplate,
+      model: run.model,
+      usageContext: { metadata: { goldenRunId: run._id } },
+    })
+  );
+  if (content === null) return null;
+
+  const ranking = parseRankingCompletion(content, { assetCount: images.length });
+  const winnerIndex = sample.expected?.winnerIndex;
+  const candidateEntry = ranking.ranked.find((entry) => entry.imageIndex === winnerIndex);
+  return {
+    predicted: toImageLabel(pickWinner(ranking)),
+    score: candidateEntry ? candidateEntry.score : null,
+    baselineScore: sample.baseline?.scores?.[winnerIndex - 1] ?? null,
+    summary: ranking.summary || '',
+  };
+};
+
+const runEvaluationSample = async (sample, run, template) => {
+  const image = sample.input?.images?.[0];
+  const content = await resolveCompletion(sample, run, template, async (resolvedTemplate) => {
+    const buffer = await downloadFromS3(image?.key);
+    if (!buffer) {
+      throw new Error('Sample image is missing from storage');
+    }
+    return requestEvaluationCompletion({
+      name: sample.input?.fileName || sample.label,
+      mimeType: image?.contentType,
+      base64: buffer.toString('base64'),
+      template: resolvedTemplate,
+      model: run.model,
+      usageContext: { metadata: { goldenRunId: run._id } },
+    });
+  });
+  if (content === null) return null;
+
+  const evaluation = parseEvaluationCompletion(content);
+  const result = Array.isArray(evaluation.images) ? evaluation.images[0] : null;
+  return {
+    predicted: toAcceptLabel(Boolean(result?.acceptable)),
+    score: result?.overallScorePercent ?? null,
+    baselineScore: sample.baseline?.score ?? null,
+    summary: evaluation.overallAcceptance?.summary || '',
+  };
+};
+
+const expectedLabel = (sample) =>
+  sample.kind === 'ranking'
+    ? toImageLabel(sample.expected?.winnerIndex)
+    : toAcceptLabel(sample.expected?.acceptable);
+
+const baselineLabel = (sample) =>
+  sample.kind === 'ranking'
+    ? toImageLabel(sample.baseline?.winnerIndex)
+    : toAcceptLabel(sample.baseline?.acceptable);
+
+const scoreSample = async (sample, run, template) => {
+  const base = {
+    sampleId: sample._id,
+    expected: expectedLabel(sample),
+    baselinePredicted: baselineLabel(sample),
+  };
+  try {
+    const runner = sample.kind === 'ranking' ? runRankingSample : runEvaluationSample;
+    const outcome = await runner(sample, run, template);
+    if (!outcome) {
+      return { ...base, status: 'missing', error: 'No recorded response for this model/template' };
+    }
+    const scoreDrift =
+      Number.isFinite(outcome.score) && Number.isFinite(outcome.baselineScore)
+        ? outcome.score - outcome.baselineScore
+        : null;
+    return {
+      ...base,
+      status: 'succeeded',
+      predicted: outcome.predicted,
+      agree: outcome.predicted === base.expected,
+      score: outcome.score,
+      baselineScore: outcome.baselineScore,
+      scoreDrift,
+      summary: outcome.summary.slice(0, 500),
+    };
+  } catch (error) {
+    console.warn(`⚠️  Golden run ${run._id} failed on sample ${sample._id}:`, error.message);
+    return { ...base, status: 'failed', error: error.message };
+  }
+};
+
+const average = (values) => {
+  if (!values.length) return null;
+  const total = values.reduce((sum, value) => sum + value, 0);
+  return Math.round((total / values.length) * 10) / 10;
+};
+
+const confusionLabels = (kind, results) => {
+  if (kind === 'evaluation') return EVALUATION_LABELS;
+  const indices = new Set();
+  results.forEach((result) => {
+    [result.expected, result.predicted, result.baselinePredicted].forEach((label) => {
+      const match = /^image (\d+)$/.exec(label || '');
+      if (match) indices.add(Number(match[1]));
+    });
+  });
+  return Array.from(indices)
+    .sort((a, b) => a - b)
+    .map(toImageLabel);
+};
+
+/**
+ * Agreement, confusion matrix and score drift for one side of a run.
+ * `predictedField` is `predicted` for the candidate, `baselinePredicted` for
+ * the stored production results.
+ */
+const computeMetrics = (kind, results, predictedField) => {
+  const labels = confusionLabels(kind, results);
+  const matrix = labels.map(() => labels.map(() => 0));
+  const isCandidate = predictedField === 'predicted';
+  // Both sides are scored on the samples the candidate answered, so the
+  // agreement rates compare like with like
+  const scored = results.filter(
+    (result) => result.status === 'succeeded' && result.expected && result[predictedField]
+  );
+
+  let agreed = 0;
+  scored.forEach((result) => {
+    if (result[predictedField] === result.expected) agreed += 1;
+    const row = labels.indexOf(result.expected);
+    const column = labels.indexOf(result[predictedField]);
+    if (row >= 0 && column >= 0) matrix[row][column] += 1;
+  });
+
+  const drifts = isCandidate
+    ? scored.map((result) => result.scoreDrift).filter((value) => Number.isFinite(value))
+    : [];
+
+  return {
+    evaluated: scored.length,
+    agreed,
+    agreementRate: scored.length ? Math.round((agreed / scored.length) * 1000) / 10 : null,
+    failed: isCandidate ? results.filter((result) => result.status === 'failed').length : 0,
+    missing: isCandidate ? results.filter((result) => result.status === 'missing').length : 0,
+    confusion: { labels, matrix },
+    meanScoreDrift: average(drifts),
+    meanAbsScoreDrift: average(drifts.map((value) => Math.abs(value))),
+  };
+};
+
+const enqueueGoldenRun = (runId) =>
+  enqueueJob({
+    type: GOLDEN_RUN_JOB,
+    key: `golden-run:${runId}`,
+    unique: true,
+    payload: { runId: String(runId) },
+  });
+
+/**
+ * Queue a replay of every golden sample of `kind` against a candidate model and
+ * template version (defaults: the production model and the active template).
+ */
+const startGoldenRun = async (
+  kind,
+  { model = '', templateVersion = null, mode = 'live', label = '', actor = null } = {}
+) => {
+  assertKind(kind);
+  if (!['live', 'recorded'].includes(mode)) {
+    throw createHttpError('Mode must be "live" or "recorded"', 400);
+  }
+
+  const samples = await GoldenSample.find({ kind }).select('_id').sort({ createdAt: 1 }).lean();
+  if (!samples.length) {
+    throw createHttpError(`Add ${kind} samples to the golden set before running it`, 400);
+  }
+
+  const templateKey = TEMPLATE_KEY_BY_KIND[kind];
+  const hasVersion =
+    templateVersion !== null && templateVersion !== undefined && templateVersion !== '';
+  const template = hasVersion
+    ? await getTemplateVersion(templateKey, templateVersion)
+    : await getActiveTemplate(templateKey);
+  const trimmedModel = typeof model === 'string' ? model.trim() : '';
+
+  const run = await GoldenRun.create({
+    kind,
+    label: typeof label === 'string' ? label.trim().slice(0, 120) : '',
+    model:
+      kind === 'ranking' ? resolveRankingModel(trimmedModel) : resolveEvaluatorModel(trimmedModel),
+    promptTemplate: toTemplateRef({ key: templateKey, version: template.version }),
+    mode,
+    sampleIds: samples.map((sample) => sample._id),
+    createdBy: toActor(actor),
+  });
+
+  await enqueueGoldenRun(run._id);
+  console.log(`🧪 Queued golden ${kind} run ${run._id} (${run.model}, ${mode})`);
+  return run.toObject();
+};
+
+const runQueuedGoldenRun = async (queueJob) => {
+  const run = await GoldenRun.findById(queueJob.payload?.runId).lean();
+  if (!run || ['completed', 'failed'].includes(run.status)) {
+    return null;
+  }
+
+  await GoldenRun.updateOne(
+    { _id: run._id },
+    { $set: { status: 'running', startedAt: run.startedAt || new Date() } }
+  );
+
+  const template = run.mode === 'live' ? await loadRunTemplate(run) : null;
+  // Resume after a restart without re-running samples that already have a result
+  const done = new Set((run.results || []).map((result) => result.sampleId.toString()));
+  const samples = await GoldenSample.find({ _id: { $in: run.sampleIds } }).lean();
+  const samplesById = new Map(samples.map((sample) => [sample._id.toString(), sample]));
+
+  for (const sampleId of run.sampleIds) {
+    const id = sampleId.toString();
+    if (done.has(id)) continue;
+    const sample = samplesById.get(id);
+    const result = sample
+      ? await scoreSample(sample, run, template)
+      : { sampleId, status: 'failed', error: 'Golden sample was removed' };
+    await GoldenRun.updateOne({ _id: run._id }, { $push: { results: result } });
+  }
+
+  const latest = await GoldenRun.findById(run._id).select('results').lean();
+  const results = latest?.results || [];
+  await GoldenRun.updateOne(
+    { _id: run._id },
+    {
+      $set: {
+        status: 'completed',
+        completedAt: new Date(),
+        metrics: computeMetrics(run.kind, results, 'predicted'),
+        baselineMetrics: computeMetrics(run.kind, results, 'baselinePredicted'),
+      },
+    }
+  );
+  console.log(`✅ Golden run ${run._id} completed (${results.length} samples)`);
+  return null;
+};
+
+const markGoldenRunFailed = async (queueJob, error) => {
+  await GoldenRun.updateOne(
+    { _id: queueJob.payload?.runId, status: { $in: ['queued', 'running'] } },
+    {
+      $set: {
+        status: 'failed',
+        error: error?.message || 'Golden run failed',
+        completedAt: new Date(),
+      },
+    }
+  );
+};
+
+const recoverGoldenRuns = async () => {
+  const pending = await GoldenRun.find({ status: { $in: ['queued', 'running'] } })
+    .select('_id')
+    .lean();
+  for (const run of pending) {
+    await enqueueGoldenRun(run._id);
+  }
+  return pending.length;
+};
+
+registerJobHandler(GOLDEN_RUN_JOB, runQueuedGoldenRun, {
+  concurrency: 1,
+  maxAttempts: 2,
+  onFailure: markGoldenRunFailed,
+  recover: recoverGoldenRuns,
+});
+
+const listGoldenRuns = async ({ kind, page = 1, limit = DEFAULT_PAGE_SIZE } = {}) => {
+  const filter = {};
+  if (kind) {
+    assertKind(kind);
+    filter.kind = kind;
+  }
+  const pageNumber = toPositiveInteger(page, 1);
+  const pageSize = Math.min(toPositiveInteger(limit, DEFAULT_PAGE_SIZE), MAX_PAGE_SIZE);
+  const skip = (pageNumber - 1) * pageSize;
+
+  const [runs, total] = await Promise.all([
+    GoldenRun.find(filter)
+      .select('-results -sampleIds')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(pageSize)
+      .lean(),
+    GoldenRun.countDocuments(filter),
+  ]);
+
+  const totalPages = Math.max(Math.ceil(total / pageSize), 1);
+  return {
+    runs,
+    pagination: {
+      page: pageNumber,
+      limit: pageSize,
+      total,
+      totalPages,
+      hasNextPage: pageNumber < totalPages,
+      hasPrevPage: pageNumber > 1,
+    },
+  };
+};
+
+const getGoldenRun = async (runId) => {
+  assertObjectId(runId, 'run ID');
+  const run = await GoldenRun.findById(runId).lean();
+  if (!run) {
+    throw createHttpError('Golden run not found', 404);
+  }
+  return run;
+};
+
+/**
+ * Side-by-side view of runs over the same kind: per-run metrics plus, for each
+ * sample, the expected label and every run's prediction.
+ */
+const compareGoldenRuns = async (runIds = []) => {
+  const ids = Array.from(new Set(runIds.map(String))).slice(0, 4);
+  if (ids.length < 2) {
+    throw createHttpError('Pick at least two runs to compare', 400);
+  }
+  ids.forEach((id) => assertObjectId(id, 'run ID'));
+
+  const runs = await GoldenRun.find({ _id: { $in: ids } }).lean();
+  if (runs.length !== ids.length) {
+    throw createHttpError('Golden run not found', 404);
+  }
+  if (new Set(runs.map((run) => run.kind)).size > 1) {
+    throw createHttpError('Only runs of the same kind can be compared', 400);
+  }
+  const ordered = ids.map((id) => runs.find((run) => run._id.toString() === id));
+
+  const sampleIds = new Set();
+  ordered.forEach((run) =>
+    (run.results || []).forEach((result) => sampleIds.add(result.sampleId.toString()))
+  );
+  const samples = await GoldenSample.find({ _id: { $in: Array.from(sampleIds) } })
+    .select('label kind expected baseline input.images')
+    .lean();
+  const samplesById = new Map(samples.map((sample) => [sample._id.toString(), sample]));
+
+  const rows = Array.from(sampleIds).map((sampleId) => {
+    const sample = samplesById.get(sampleId);
+    const results = {};
+    let expected = null;
+    let baselinePredicted = null;
+    ordered.forEach((run) => {
+      const result = (run.results || []).find((entry) => entry.sampleId.toString() === sampleId);
+      if (!result) return;
+      expected = expected || result.expected;
+      baselinePredicted = baselinePredicted || result.baselinePredicted;
+      results[run._id.toString()] = {
+        status: result.status,
+        predicted: result.predicted,
+        agree: result.agree,
+        score: result.score,
+        scoreDrift: result.scoreDrift,
+      };
+    });
+    return {
+      sampleId,
+      label: sample?.label || '(removed sample)',
+      imageUrl: sample?.input?.images?.[0]?.url || null,
+      expected,
+      baselinePredicted,
+      results,
+    };
+  });
+
+  return {
+    kind: ordered[0].kind,
+    runs: ordered.map(({ results, sampleIds: _sampleIds, ...summary }) => summary),
+    samples: rows,
+  };
+};
+
+module.exports = {
+  listGoldenCandidates,
+  listGoldenSamples,
+  addGoldenSample,
+  updateGoldenSample,
+  deleteGoldenSample,
+  startGoldenRun,
+  listGoldenRuns,
+  getGoldenRun,
+  compareGoldenRuns,
+};
@@ -0,0 +1,381 @@
+const os = require('os');
+const crypto = require('crypto');
+const QueueJob = require('../models/QueueJob');
+
+const POLL_INTERVAL_MS = Math.max(100, Number(process.env.JOB_QUEUE_POLL_INTERVAL_MS || 1000));
+const LEASE_MS = Math.max(5000, Number(process.env.JOB_QUEUE_LEASE_MS || 60000));
+const RETRY_BASE_DELAY_MS = Math.max(100, Number(process.env.JOB_QUEUE_RETRY_BASE_DELAY_MS || 5000));
+const MAX_RETRY_DELAY_MS = 10 * 60 * 1000;
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_CONCURRENCY = 10;
+const ACTIVE_STATUSES = ['queued', 'running'];
+const MAX_ENQUEUE_ATTEMPTS = 5;
+
+const WORKER_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
+const handlers = new Map();
+const inFlight = new Set();
+let started = false;
+let tickTimer = null;
+let ticking = false;
+
+const isDuplicateKeyError = (error) => error?.code === 11000;
+
+const describeError = (error) =>
+  (error && typeof error.message === 'string' && error.message) || String(error || 'Unknown error');
+
+/**
+ * Register the function that runs jobs of `type`.
+ *
+ * The handler receives the leased job document. It may return
+ * `{ rescheduleInMs, payload }` to put the job back on the queue (used by
+ * pollers); anything else marks the job completed. Throwing schedules a retry
+ * with exponential backoff until `maxAttempts` claims have been used, after
+ * which `onFailure(job, error)` runs. `recover()` runs once when the queue
+ * starts and should enqueue work that was in flight before a restart.
+ */
+const registerJobHandler = (
+  type,
+  handler,
+  { concurrency = DEFAULT_CONCURRENCY, maxAttempts = DEFAULT_MAX_ATTEMPTS, onFailure, recover } = {}
+) => {
+  if (handlers.has(type)) {
+    throw new Error(`A job handler for "${type}" is already registered`);
+  }
+  handlers.set(type, {
+    handler,
+    concurrency: Math.max(1, concurrency),
+    maxAttempts: Math.max(1, maxAttempts),
+    onFailure,
+    recover,
+    active: 0,
+  });
+};
+
+const scheduleTick = (delay = POLL_INTERVAL_MS) => {
+  if (!started) return;
+  if (tickTimer) clearTimeout(tickTimer);
+  tickTimer = setTimeout(tick, delay);
+};
+
+// A running job may be past the point where it would notice new work, so it
+// is flagged to run again; if it finished in between, look again.
+const findActiveJob = async (key, { rerunIfRunning = false } = {}) => {
+  while (true) {
+    const existing = await QueueJob.findOne({ key, status: { $in: ACTIVE_STATUSES } });
+    if (!existing || !rerunIfRunning || existing.status !== 'running') return existing;
+
+    const flagged = await QueueJob.findOneAndUpdate(
+      { _id: existing._id, status: 'running' },
+      { $set: { rerunRequested: true } },
+      { new: true }
+    );
+    if (flagged) return flagged;
+  }
+};
+
+/**
+ * Persist a job. With `unique: true` and a `key`, an existing queued or running
+ * job with the same key is returned instead of creating a duplicate, also when
+ * another process enqueues the same key at the same moment. Add
+ * `rerunIfRunning: true` when the new work must not be lost to a running job
+ * that is about to complete: that job is queued again once it finishes.
+ */
+const enqueueJob = async ({
+  type,
+  payload = {},
+  key = null,
+  runAt = null,
+  delayMs = 0,
+  maxAttempts,
+  unique = false,
+  rerunIfRunning = false,
+}) => {
+  if (!handlers.has(type)) {
+    throw new Error(`No job handler registered for "${type}"`);
+  }
+
+  const scheduledAt = runAt ? new Date(runAt) : new Date(Date.now() + Math.max(0, delayMs));
+  const fields = {
+    type,
+    key,
+    payload,
+    runAt: scheduledAt,
+    maxAttempts: maxAttempts || handlers.get(type).maxAttempts,
+  };
+
+  let job = null;
+  if (unique && key) {
+    for (let attempt = 1; !job; attempt += 1) {
+      const existing = await findActiveJob(key, { rerunIfRunning });
+      if (existing) return existing;
+      try {
+        job = await QueueJob.create({ ...fields, activeKey: key });
+      } catch (error) {
+        // Another enqueue for this key won the race; return its job instead
+        if (!isDuplicateKeyError(error) || attempt >= MAX_ENQUEUE_ATTEMPTS) throw error;
+      }
+    }
+  } else {
+    job = await QueueJob.create(fields);
+  }
+
+  if (scheduledAt.getTime() <= Date.now()) {
+    scheduleTick(0);
+  }
+  return job;
+};
+
+/**
+ * Cancel queued jobs with the given key. Jobs that are already running are
+ * left to finish.
+ */
+const cancelJobs = async (key) => {
+  if (!key) return 0;
+  const now = new Date();
+  const result = await QueueJob.updateMany(
+    { key, status: 'queued' },
+    { $set: { status: 'cancelled', completedAt: now }, $unset: { activeKey: 1 } }
+  );
+  return result.modifiedCount || 0;
+};
+
+const claimJob = async (type) => {
+  const now = new Date();
+  return QueueJob.findOneAndUpdate(
+    {
+      type,
+      $or: [
+        { status: 'queued', runAt: { $lte: now } },
+        { status: 'running', leaseExpiresAt: { $lte: now } },
+      ],
+    },
+    {
+      $set: {
+        status: 'running',
+        leaseOwner: WORKER_ID,
+        leaseExpiresAt: new Date(now.getTime() + LEASE_MS),
+        startedAt: now,
+      },
+      $inc: { attempts: 1 },
+    },
+    { sort: { runAt: 1 }, new: true }
+  );
+};
+
+// Every write after the claim is conditional on still holding the lease, so a
+// worker that stalled past its lease can never clobber the job's new owner.
+const leaseFilter = (job) => ({ _id: job._id, status: 'running', leaseOwner: WORKER_ID });
+
+const renewLease = (job) =>
+  QueueJob.updateOne(leaseFilter(job), {
+    $set: { leaseExpiresAt: new Date(Date.now() + LEASE_MS) },
+  }).catch((error) => {
+    console.warn(`⚠️  Failed to renew lease for job ${job._id}:`, error.message);
+  });
+
+const failJob = async (job, entry, error) => {
+  const message = describeError(error);
+  const updated = await QueueJob.findOneAndUpdate(
+    leaseFilter(job),
+    {
+      $set: {
+        status: 'failed',
+        lastError: message,
+        completedAt: new Date(),
+        leaseOwner: null,
+        leaseExpiresAt: null,
+      },
+      $unset: { activeKey: 1 },
+    },
+    { new: true }
+  );
+  if (!updated) return;
+
+  console.error(`❌ Job ${job.type} ${job._id} failed after ${job.attempts} attempt(s): ${message}`);
+  if (typeof entry.onFailure === 'function') {
+    try {
+      await entry.onFailure(updated, error);
+    } catch (hookError) {
+      console.error(`❌ Failure hook for job ${job.type} ${job._id} threw:`, hookError);
+    }
+  }
+};
+
+const runJob = async (job, entry) => {
+  if (job.attempts > job.maxAttempts) {
+    await failJob(job, entry, new Error(job.lastError || 'Lease expired too many times'));
+    return;
+  }
+
+  if (job.attempts > 1) {
+    console.log(`🔁 Resuming job ${job.type} ${job._id} (attempt ${job.attempts} of ${job.maxAttempts})`);
+  }
+
+  const heartbeat = setInterval(() => renewLease(job), Math.floor(LEASE_MS / 3));
+
+  try {
+    const result = await entry.handler(job);
+    clearInterval(heartbeat);
+
+    if (result && Number.isFinite(result.rescheduleInMs)) {
+      const set = {
+        status: 'queued',
+        runAt: new Date(Date.now() + Math.max(0, result.rescheduleInMs)),
+        attempts: 0,
+        rerunRequested: false,
+        leaseOwner: null,
+        leaseExpiresAt: null,
+        lastError: null,
+      };
+      if (result.payload !== undefined) {
+        set.payload = result.payload;
+      }
+      await QueueJob.updateOne(leaseFilter(job), { $set: set });
+      return;
+    }
+
+    const completed = await QueueJob.findOneAndUpdate(
+      { ...leaseFilter(job), rerunRequested: { $ne: true } },
+      {
+        $set: {
+          status: 'completed',
+          completedAt: new Date(),
+          leaseOwner: null,
+          leaseExpiresAt: null,
+          lastError: null,
+        },
+        $unset: { activeKey: 1 },
+      }
+    );
+    if (!completed) {
+      // Only matches when a rerun was requested while the handler ran
+      await QueueJob.updateOne(leaseFilter(job), {
+        $set: {
+          status: 'queued',
+          runAt: new Date(),
+          attempts: 0,
+          rerunRequested: false,
+          leaseOwner: null,
+          leaseExpiresAt: null,
+          lastError: null,
+        },
+      });
+    }
+  } catch (error) {
+    clearInterval(heartbeat);
+
+    if (job.attempts >= job.maxAttempts) {
+      await failJob(job, entry, error);
+      return;
+    }
+
+    const retryDelay = Math.min(
+      RETRY_BASE_DELAY_MS * Math.pow(2, job.attempts - 1),
+      MAX_RETRY_DELAY_MS
+    );
+    console.warn(
+      `⚠️  Job ${job.type} ${job._id} attempt ${job.attempts} failed, retrying in ${retryDelay}ms:`,
+      describeError(error)
+    );
+    await QueueJob.updateOne(leaseFilter(job), {
+      $set: {
+        status: 'queued',
+        runAt: new Date(Date.now() + retryDelay),
+        rerunRequested: false,
+        leaseOwner: null,
+        leaseExpiresAt: null,
+        lastError: describeError(error),
+      },
+    });
+  }
+};
+
+async function tick() {
+  tickTimer = null;
+  if (!started || ticking) return;
+  ticking = true;
+
+  try {
+    for (const [type, entry] of handlers) {
+      while (started && entry.active < entry.concurrency) {
+        const job = await claimJob(type);
+        if (!job) break;
+
+        entry.active += 1;
+        const running = runJob(job, entry)
+          .catch((error) => {
+            console.error(`❌ Job runner for ${type} ${job._id} crashed:`, error);
+          })
+          .finally(() => {
+            entry.active -= 1;
+            inFlight.delete(running);
+            scheduleTick(0);
+          });
+        inFlight.add(running);
+      }
+    }
+  } catch (error) {
+    console.error('❌ Job queue poll failed:', error.message);
+  } finally {
+    ticking = false;
+    if (started && !tickTimer) {
+      scheduleTick();
+    }
+  }
+}
+
+/**
+ * Run every handler's recovery hook, then start leasing jobs. Call once after
+ * the database connection is up.
+ */
+const startJobQueue = async () => {
+  if (started) return;
+
+  for (const [type, entry] of handlers) {
+    if (typeof entry.recover !== 'function') continue;
+    try {
+      const recovered = await entry.recover();
+      if (recovered) {
+        console.log(`🔁 Recovered ${recovered} in-flight ${type} job(s)`);
+      }
+    } catch (error) {
+      console.error(`❌ Failed to recover ${type} jobs:`, error);
+    }
+  }
+
+  started = true;
+  console.log(`📋 Job queue started (worker ${WORKER_ID})`);
+  scheduleTick(0);
+};
+
+/**
+ * Stop leasing new jobs and wait up to `timeoutMs` for running handlers to
+ * finish. Resolves to true once all of them settled; a handler still running
+ * at the timeout keeps its lease until it lapses and is resumed on next boot.
+ */
+const stopJobQueue = async ({ timeoutMs = 0 } = {}) => {
+  started = false;
+  if (tickTimer) {
+    clearTimeout(tickTimer);
+    tickTimer = null;
+  }
+  if (inFlight.size === 0) return true;
+
+  let timer = null;
+  const timedOut = new Promise((resolve) => {
+    timer = setTimeout(() => resolve(false), Math.max(0, timeoutMs));
+  });
+  const drained = Promise.allSettled([...inFlight]).then(() => true);
+  const settled = await Promise.race([drained, timedOut]);
+  clearTimeout(timer);
+  return settled;
+};
+
+module.exports = {
+  registerJobHandler,
+  enqueueJob,
+  cancelJobs,
+  startJobQueue,
+  stopJobQueue,
+};
@@ -0,0 +1,25 @@
+const crypto = require('crypto');
+
+const send = async (message) => {
+  console.log(
+    [
+      '📧 ─────────────────────────────',
+      `To: ${message.to}`,
+      `Subject: ${message.subject}`,
+      '',
+      message.text,
+      '─────────────────────────────',
+    ].join('\n')
+  );
+  return { messageId: `console-${crypto.randomUUID()}` };
+};
+
+const validateConfig = () => {
+  console.log('📧 Emails are printed to the console instead of being sent');
+};
+
+module.exports = {
+  name: 'console',
+  send,
+  validateConfig,
+};
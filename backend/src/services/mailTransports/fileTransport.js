@@ -0,0 +1,30 @@
+const path = require('path');
+const fs = require('fs-extra');
+const nodemailer = require('nodemailer');
+
+// Builds the raw message without sending it anywhere
+const composer = nodemailer.createTransport({ streamTransport: true, buffer: true });
+
+const getOutboxDir = () => path.resolve(process.env.MAIL_FILE_DIR || 'mail-outbox');
+
+const send = async (message) => {
+  const info = await composer.sendMail(message);
+  const fileName = `${new Date().toISOString().replace(/[:.]/g, '-')}-${
+    info.messageId.replace(/[^a-zA-Z0-9.-]/g, '') || 'message'
+  }.eml`;
+  const filePath = path.join(getOutboxDir(), fileName);
+
+  await fs.outputFile(filePath, info.message);
+  console.log(`📧 ${message.subject} → ${message.to} (saved to ${filePath})`);
+  return { messageId: info.messageId || null };
+};
+
+const validateConfig = () => {
+  console.log(`📧 Emails are written to ${getOutboxDir()} instead of being sent`);
+};
+
+module.exports = {
+  name: 'file',
+  send,
+  validateConfig,
+};
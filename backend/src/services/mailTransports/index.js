@@ -0,0 +1,41 @@
+const smtpTransport = require('./smtpTransport');
+const fileTransport = require('./fileTransport');
+const consoleTransport = require('./consoleTransport');
+
+/**
+ * Mail transports deliver rendered notification emails. Each exposes:
+ *
+ * - `send({ from, to, subject, text, html, headers })` - resolves to `{ messageId }`
+ *   and throws when the message was not accepted
+ * - `validateConfig()` - called once on boot
+ *
+ * `smtp` sends for real; `file` (writes `.eml` files) and `console` are for development.
+ */
+const TRANSPORTS = {
+  [smtpTransport.name]: smtpTransport,
+  [fileTransport.name]: fileTransport,
+  [consoleTransport.name]: consoleTransport,
+};
+
+// Without an explicit choice, mail only leaves the machine once SMTP is configured
+const getActiveTransportName = () =>
+  (process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? smtpTransport.name : fileTransport.name))
+    .trim()
+    .toLowerCase();
+
+const getMailTransport = (name = getActiveTransportName()) => {
+  const transport = TRANSPORTS[name];
+  if (!transport) {
+    throw new Error(
+      `Unknown mail transport "${name}". Expected one of: ${Object.keys(TRANSPORTS).join(', ')}`
+    );
+  }
+  return transport;
+};
+
+const validateMailTransport = () => getMailTransport().validateConfig();
+
+module.exports = {
+  getMailTransport,
+  validateMailTransport,
+};
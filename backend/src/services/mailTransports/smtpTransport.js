@@ -0,0 +1,38 @@
+const nodemailer = require('nodemailer');
+
+let transporter = null;
+
+const getTransporter = () => {
+  if (!transporter) {
+    const port = Number(process.env.SMTP_PORT || 587);
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port,
+      // Port 465 speaks TLS from the start; others upgrade with STARTTLS
+      secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+        : undefined,
+    });
+  }
+  return transporter;
+};
+
+const send = async (message) => {
+  const info = await getTransporter().sendMail(message);
+  return { messageId: info.messageId || null };
+};
+
+const validateConfig = () => {
+  if (!process.env.SMTP_HOST) {
+    console.warn('⚠️  MAIL_TRANSPORT is smtp but SMTP_HOST is not set; emails will fail to send');
+    return;
+  }
+  console.log(`✅ SMTP mail transport configured (${process.env.SMTP_HOST})`);
+};
+
+module.exports = {
+  name: 'smtp',
+  send,
+  validateConfig,
+};
@@ -0,0 +1,136 @@
+const { NOTIFICATION_TEMPLATES } = require('../models/NotificationMessage');
+
+const BRAND_NAME = process.env.NOTIFICATION_BRAND_NAME || 'My Torah Tale';
+
+const escapeHtml = (value) =>
+  String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const formatDate = (value) => {
+  const date = value ? new Date(value) : null;
+  return date && !Number.isNaN(date.getTime())
+    ? date.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })
+    : '';
+};
+
+const greeting = (name) => (name ? `Hi ${name},` : 'Hello,');
+
+// Blocks are strings (paragraphs), `{ list }` or `{ link, label }`; each is
+// rendered once as plain text and once as HTML
+const renderBlocks = (blocks) => {
+  const text = [];
+  const html = [];
+  blocks.filter(Boolean).forEach((block) => {
+    if (typeof block === 'string') {
+      text.push(block);
+      html.push(`<p>${escapeHtml(block)}</p>`);
+    } else if (Array.isArray(block.list)) {
+      text.push(block.list.map((item) => `- ${item}`).join('\n'));
+      html.push(`<ul>${block.list.map((item) => `<li>${escapeHtml(item)}</li>`).join('')}</ul>`);
+    } else if (block.link) {
+      text.push(`${block.label}: ${block.link}`);
+      html.push(
+        `<p><a href="${escapeHtml(block.link)}" style="display:inline-block;padding:10px 18px;` +
+          'border-radius:6px;background:#1f2937;color:#ffffff;text-decoration:none;">' +
+          `${escapeHtml(block.label)}</a></p>`
+      );
+    }
+  });
+  return { text, html };
+};
+
+const layout = ({ subject, blocks, unsubscribeUrl }) => {
+  const { text, html } = renderBlocks([...blocks, `— The ${BRAND_NAME} team`]);
+  const footerText = unsubscribeUrl
+    ? `\n\nDon't want these emails? Unsubscribe: ${unsubscribeUrl}`
+    : '';
+  const footerHtml = unsubscribeUrl
+    ? '<p style="margin-top:24px;font-size:12px;color:#6b7280;">Don\'t want these emails? ' +
+      `<a href="${escapeHtml(unsubscribeUrl)}" style="color:#6b7280;">Unsubscribe</a></p>`
+    : '';
+
+  return {
+    subject,
+    text: `${text.join('\n\n')}${footerText}`,
+    html:
+      '<div style="font-family:Arial,Helvetica,sans-serif;font-size:15px;line-height:1.5;' +
+      `color:#111827;max-width:560px;">${html.join('')}${footerHtml}</div>`,
+  };
+};
+
+const TEMPLATES = {
+  photos_rejected: (data) =>
+    layout({
+      subject: `Please upload new photos of ${data.childName || 'your child'}`,
+      unsubscribeUrl: data.unsubscribeUrl,
+      blocks: [
+        greeting(data.recipientName),
+        `We couldn't use the photo ${data.fileName ? `"${data.fileName}" ` : ''}for ${
+          data.childName || 'your child'
+        }'s book.${data.summary ? ` ${data.summary}` : ''}`,
+        data.recommendations?.length ? 'To get a great result, please:' : null,
+        data.recommendations?.length ? { list: data.recommendations } : null,
+        'Clear, well-lit photos where the face is fully visible work best. Please send us a few ' +
+          'new ones and we will take it from there.',
+      ],
+    }),
+
+  proof_ready: (data) =>
+    layout({
+      subject: `Your proof of "${data.bookTitle}" is ready`,
+      unsubscribeUrl: data.unsubscribeUrl,
+      blocks: [
+        greeting(data.recipientName),
+        `The proof of ${data.childName ? `${data.childName}'s book ` : ''}"${
+          data.bookTitle
+        }" is ready for you to review. Read it page by page, leave comments, and approve it ` +
+          'or ask for changes.',
+        { link: data.proofUrl, label: 'Review the proof' },
+        data.expiresAt ? `The link works until ${formatDate(data.expiresAt)}.` : null,
+      ],
+    }),
+
+  book_confirmed: (data) =>
+    layout({
+      subject: `"${data.bookTitle}" is confirmed`,
+      unsubscribeUrl: data.unsubscribeUrl,
+      blocks: [
+        greeting(data.recipientName),
+        `Thank you! ${data.childName ? `${data.childName}'s book ` : 'Your book '}"${
+          data.bookTitle
+        }" is confirmed and is now being prepared for print.`,
+        'We will let you know when it is on its way.',
+      ],
+    }),
+
+  book_confirmed_admin: (data) =>
+    layout({
+      subject: `Storybook confirmed: ${data.bookTitle}`,
+      blocks: [
+        `"${data.bookTitle}"${data.childName ? ` for ${data.childName}` : ''} was confirmed ${
+          data.via === 'proof-link' ? 'by the parent from the proof link' : 'from the dashboard'
+        }. The split PDF has been generated.`,
+        data.dashboardUrl ? { link: data.dashboardUrl, label: 'Open storybooks' } : null,
+      ],
+    }),
+};
+
+/**
+ * Render a notification template to `{ subject, text, html }`.
+ */
+const renderNotificationTemplate = (template, data = {}) => {
+  const render = TEMPLATES[template];
+  if (!render || !NOTIFICATION_TEMPLATES.includes(template)) {
+    throw new Error(`Unknown notification template "${template}"`);
+  }
+  return render(data);
+};
+
+module.exports = {
+  BRAND_NAME,
+  renderNotificationTemplate,
+};
@@ -0,0 +1,424 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const AdminAccount = require('../models/AdminAccount');
+const NotificationMessage = require('../models/NotificationMessage');
+const { NOTIFICATION_TEMPLATES } = require('../models/NotificationMessage');
+const { createUnsubscribeToken, verifyUnsubscribeToken } = require('../config/auth');
+const { renderNotificationTemplate, BRAND_NAME } = require('./notificationTemplates');
+const { getMailTransport } = require('./mailTransports');
+const { registerJobHandler, enqueueJob } = require('./jobQueue');
+
+const NOTIFICATION_SEND_JOB = 'notification.send';
+const MAIL_FROM = process.env.MAIL_FROM || `${BRAND_NAME} <no-reply@example.com>`;
+const MAX_SEND_ATTEMPTS = Math.max(1, Number(process.env.NOTIFICATION_MAX_ATTEMPTS || 5));
+// A parent re-uploading several bad photos in a row gets one email, not one per photo
+const PHOTOS_REJECTED_COOLDOWN_MS =
+  Math.max(0, Number(process.env.NOTIFICATION_PHOTOS_REJECTED_COOLDOWN_MINUTES ?? 60)) * 60 * 1000;
+
+const createHttpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const assertObjectId = (value, label) => {
+  if (!mongoose.isValidObjectId(value)) {
+    throw createHttpError(`Invalid ${label}`, 400);
+  }
+};
+
+// Links point at the same frontend that serves the proof portal
+const getPortalBaseUrl = () =>
+  (process.env.PROOF_PORTAL_BASE_URL || process.env.CORS_ORIGIN || 'http://localhost:3000').replace(
+    /\/$/,
+    ''
+  );
+
+const buildUnsubscribeUrl = (userId) =>
+  `${getPortalBaseUrl()}/unsubscribe/${createUnsubscribeToken(userId)}`;
+
+const toIdString = (value) => (value ? value.toString() : null);
+
+const enqueueSend = (messageId) =>
+  enqueueJob({
+    type: NOTIFICATION_SEND_JOB,
+    key: `notification:${messageId}`,
+    unique: true,
+    payload: { messageId: String(messageId) },
+  });
+
+const createMessage = async ({ template, data, skipReason = null, ...fields }) => {
+  const rendered = renderNotificationTemplate(template, data);
+  const message = await NotificationMessage.create({
+    ...fields,
+    template,
+    subject: rendered.subject,
+    text: rendered.text,
+    html: rendered.html,
+    status: skipReason ? 'skipped' : 'queued',
+    skipReason,
+  });
+  if (!skipReason) {
+    await enqueueSend(message._id);
+  }
+  return message;
+};
+
+/**
+ * Email a child's parent (the address stored on the `User`). Opted-out users
+ * get a `skipped` entry in the log instead of an email.
+ */
+const notifyUser = async (user, template, data = {}, { context = null, throttleMs = 0 } = {}) => {
+  if (!user?.email) return null;
+
+  if (throttleMs > 0) {
+    const recent = await NotificationMessage.exists({
+      userId: user._id,
+      template,
+      status: { $in: ['queued', 'sent'] },
+      createdAt: { $gte: new Date(Date.now() - throttleMs) },
+    });
+    if (recent) return null;
+  }
+
+  return createMessage({
+    template,
+    data: {
+      childName: user.name,
+      ...data,
+      unsubscribeUrl: buildUnsubscribeUrl(user._id),
+    },
+    recipientType: 'user',
+    to: user.email,
+    recipientName: data.recipientName || '',
+    userId: user._id,
+    context,
+    skipReason: user.notifications?.emailOptOut ? 'opted-out' : null,
+  });
+};
+
+// NOTIFICATION_ADMIN_EMAILS overrides the default of every active admin account
+const resolveAdminRecipients = async () => {
+  const configured = (process.env.NOTIFICATION_ADMIN_EMAILS || '')
+    .split(',')
+    .map((email) => email.trim())
+    .filter(Boolean);
+  if (configured.length) {
+    return configured.map((email) => ({ email, name: '', accountId: null }));
+  }
+
+  const accounts = await AdminAccount.find({ role: 'admin', status: 'active' })
+    .select('name email')
+    .lean();
+  return accounts.map((account) => ({
+    email: account.email,
+    name: account.name,
+    accountId: account._id,
+  }));
+};
+
+const notifyAdmins = async (template, data = {}, { context = null } = {}) => {
+  const recipients = await resolveAdminRecipients();
+  const messages = [];
+  for (const recipient of recipients) {
+    messages.push(
+      await createMessage({
+        template,
+        data: { ...data, recipientName: recipient.name },
+        recipientType: 'admin',
+        to: recipient.email,
+        recipientName: recipient.name,
+        accountId: recipient.accountId,
+        context,
+      })
+    );
+  }
+  return messages;
+};
+
+const findBookUser = async (pdfAsset) => {
+  const userId = pdfAsset?.userId || pdfAsset?.readerId;
+  return userId ? User.findById(userId).lean() : null;
+};
+
+const storybookContext = (book, pdfAsset) => ({
+  bookId: toIdString(book._id),
+  assetId: toIdString(pdfAsset._id),
+  storybookJobId: toIdString(pdfAsset.storybookJobId),
+});
+
+/**
+ * Ask the parent for better photos after the evaluator rejected an upload.
+ * Notification helpers never throw, so the request that triggered them is
+ * unaffected by mail problems.
+ */
+const notifyPhotosRejected = async ({ user, fileName, evaluation, imageEvaluation }) => {
+  try {
+    return await notifyUser(
+      user,
+      'photos_rejected',
+      {
+        fileName,
+        summary: evaluation?.overallAcceptance?.summary || '',
+        recommendations: Array.isArray(imageEvaluation?.recommendations)
+          ? imageEvaluation.recommendations.filter(Boolean)
+          : [],
+      },
+      {
+        context: { fileName, verdict: imageEvaluation?.verdict || null },
+        throttleMs: PHOTOS_REJECTED_COOLDOWN_MS,
+      }
+    );
+  } catch (error) {
+    console.error('⚠️  Failed to queue photos rejected email:', error.message);
+    return null;
+  }
+};
+
+const notifyProofReady = async ({ book, pdfAsset, proofUrl, expiresAt, recipientName }) => {
+  try {
+    const user = await findBookUser(pdfAsset);
+    return await notifyUser(
+      user,
+      'proof_ready',
+      {
+        recipientName,
+        childName: pdfAsset.readerName || user?.name,
+        bookTitle: pdfAsset.title || book.name,
+        proofUrl,
+        expiresAt,
+      },
+      { context: storybookContext(book, pdfAsset) }
+    );
+  } catch (error) {
+    console.error('⚠️  Failed to queue proof ready email:', error.message);
+    return null;
+  }
+};
+
+const notifyBookConfirmed = async ({ book, pdfAsset, via }) => {
+  const data = {
+    childName: pdfAsset.readerName || '',
+    bookTitle: pdfAsset.title || book.name,
+    via,
+  };
+  const context = { ...storybookContext(book, pdfAsset), via };
+
+  try {
+    const user = await findBookUser(pdfAsset);
+    await notifyUser(
+      user,
+      'book_confirmed',
+      { ...data, childName: data.childName || user?.name },
+      { context }
+    );
+    await notifyAdmins(
+      'book_confirmed_admin',
+      { ...data, dashboardUrl: `${getPortalBaseUrl()}/storybooks` },
+      { context }
+    );
+  } catch (error) {
+    console.error('⚠️  Failed to queue book confirmed emails:', error.message);
+  }
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Sent-messages log, newest first. Bodies are left out; fetch a single message
+ * for those.
+ */
+const listNotificationMessages = async ({
+  status,
+  template,
+  recipientType,
+  userId,
+  search,
+  limit = 50,
+} = {}) => {
+  const filter = {};
+  if (status && status !== 'all') filter.status = status;
+  if (template && template !== 'all') filter.template = template;
+  if (recipientType && recipientType !== 'all') filter.recipientType = recipientType;
+  if (userId) {
+    assertObjectId(userId, 'user ID');
+    filter.userId = userId;
+  }
+  if (typeof search === 'string' && search.trim()) {
+    const pattern = new RegExp(escapeRegex(search.trim()), 'i');
+    filter.$or = [{ to: pattern }, { subject: pattern }, { recipientName: pattern }];
+  }
+
+  return NotificationMessage.find(filter)
+    .select('-text -html')
+    .sort({ createdAt: -1 })
+    .limit(Math.min(Math.max(Number.parseInt(limit, 10) || 50, 1), 200))
+    .lean();
+};
+
+const getNotificationMessage = async (messageId) => {
+  assertObjectId(messageId, 'message ID');
+  const message = await NotificationMessage.findById(messageId).lean();
+  if (!message) {
+    throw createHttpError('Notification not found', 404);
+  }
+  return message;
+};
+
+/**
+ * Send a logged message again as a new entry. Opt-outs still apply.
+ */
+const resendNotification = async (messageId) => {
+  const original = await getNotificationMessage(messageId);
+
+  if (original.userId) {
+    const user = await User.findById(original.userId).select('notifications').lean();
+    if (user?.notifications?.emailOptOut) {
+      throw createHttpError('This parent has unsubscribed from emails', 409);
+    }
+  }
+
+  const message = await NotificationMessage.create({
+    template: original.template,
+    channel: original.channel,
+    recipientType: original.recipientType,
+    to: original.to,
+    recipientName: original.recipientName,
+    userId: original.userId,
+    accountId: original.accountId,
+    subject: original.subject,
+    text: original.text,
+    html: original.html,
+    context: original.context,
+    resendOf: original._id,
+  });
+  await enqueueSend(message._id);
+  return message;
+};
+
+const setUserEmailOptOut = (userId, optOut, source) =>
+  User.findByIdAndUpdate(
+    userId,
+    {
+      $set: {
+        'notifications.emailOptOut': Boolean(optOut),
+        'notifications.optedOutAt': optOut ? new Date() : null,
+        'notifications.optOutSource': optOut ? source : null,
+      },
+    },
+    { new: true }
+  );
+
+const resolveUnsubscribeUser = async (token) => {
+  const payload = verifyUnsubscribeToken(token);
+  const user =
+    payload && mongoose.isValidObjectId(payload.uid) ? await User.findById(payload.uid) : null;
+  if (!user) {
+    throw createHttpError('This unsubscribe link is invalid or has expired', 410);
+  }
+  return user;
+};
+
+const describeUnsubscribe = (user) => ({
+  childName: user.name,
+  emailOptOut: Boolean(user.notifications?.emailOptOut),
+});
+
+const getUnsubscribeState = async (token) =>
+  describeUnsubscribe(await resolveUnsubscribeUser(token));
+
+const unsubscribeWithToken = async (token) => {
+  const user = await resolveUnsubscribeUser(token);
+  const before = describeUnsubscribe(user);
+  const updated = user.notifications?.emailOptOut
+    ? user
+    : await setUserEmailOptOut(user._id, true, 'unsubscribe-link');
+  return { user: updated, before, state: describeUnsubscribe(updated) };
+};
+
+// Throwing hands the retry and its backoff to the job queue
+const sendNotification = async (queueJob) => {
+  const { messageId } = queueJob.payload || {};
+  const message = await NotificationMessage.findById(messageId);
+  if (!message || message.status !== 'queued') return null;
+
+  const transport = getMailTransport();
+  const attempt = (message.attempts || 0) + 1;
+  try {
+    const { messageId: providerMessageId } = await transport.send({
+      from: MAIL_FROM,
+      to: message.to,
+      subject: message.subject,
+      text: message.text,
+      html: message.html,
+    });
+    await NotificationMessage.updateOne(
+      { _id: message._id },
+      {
+        $set: {
+          status: 'sent',
+          attempts: attempt,
+          transport: transport.name,
+          providerMessageId,
+          error: null,
+          lastAttemptAt: new Date(),
+          sentAt: new Date(),
+        },
+      }
+    );
+  } catch (error) {
+    await NotificationMessage.updateOne(
+      { _id: message._id },
+      {
+        $set: {
+          attempts: attempt,
+          transport: transport.name,
+          error: error.message,
+          lastAttemptAt: new Date(),
+        },
+      }
+    );
+    console.warn(
+      `⚠️  ${message.template} email to ${message.to} failed (attempt ${attempt}): ${error.message}`
+    );
+    throw error;
+  }
+  return null;
+};
+
+const markNotificationFailed = async (queueJob, error) => {
+  const { messageId } = queueJob.payload || {};
+  if (!messageId) return;
+  await NotificationMessage.updateOne(
+    { _id: messageId, status: 'queued' },
+    { $set: { status: 'failed', error: error?.message || 'Email could not be sent' } }
+  );
+};
+
+const recoverQueuedNotifications = async () => {
+  const queued = await NotificationMessage.find({ status: 'queued' }).select('_id').lean();
+  for (const message of queued) {
+    await enqueueSend(message._id);
+  }
+  return queued.length;
+};
+
+registerJobHandler(NOTIFICATION_SEND_JOB, sendNotification, {
+  concurrency: Math.max(1, Number(process.env.NOTIFICATION_CONCURRENCY || 2)),
+  maxAttempts: MAX_SEND_ATTEMPTS,
+  onFailure: markNotificationFailed,
+  recover: recoverQueuedNotifications,
+});
+
+module.exports = {
+  NOTIFICATION_TEMPLATES,
+  notifyPhotosRejected,
+  notifyProofReady,
+  notifyBookConfirmed,
+  listNotificationMessages,
+  getNotificationMessage,
+  resendNotification,
+  setUserEmailOptOut,
+  getUnsubscribeState,
+  unsubscribeWithToken,
+};
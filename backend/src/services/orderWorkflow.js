@@ -0,0 +1,466 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const User = require('../models/User');
+const Book = require('../models/Book');
+const AutomationRun = require('../models/AutomationRun');
+const { createAutomationRun } = require('./automationWorkflow');
+const { subscribeToAutomationUpdates } = require('./automationEvents');
+
+const { ORDER_STATUSES } = Order;
+
+// Statuses an order may move to from each status. `proofing -> training` and
+// `approved -> proofing` cover a parent rejecting the proof.
+const ORDER_TRANSITIONS = {
+  received: ['training', 'cancelled'],
+  training: ['proofing', 'cancelled'],
+  proofing: ['approved', 'training', 'cancelled'],
+  approved: ['printing', 'proofing', 'cancelled'],
+  printing: ['shipped', 'cancelled'],
+  shipped: [],
+  cancelled: [],
+};
+
+const SHIPPING_FIELDS = [
+  'recipientName',
+  'addressLine1',
+  'addressLine2',
+  'city',
+  'state',
+  'postalCode',
+  'country',
+  'method',
+  'carrier',
+  'trackingNumber',
+];
+
+const CUSTOMER_FIELDS = ['name', 'email', 'countryCode', 'phoneNumber'];
+
+const SYSTEM_ACTOR = { accountId: null, name: 'System' };
+
+let watchersInitialised = false;
+
+const createHttpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const createEvent = (type, message, { metadata = null, actor = SYSTEM_ACTOR } = {}) => ({
+  type,
+  message,
+  metadata,
+  actor: {
+    accountId: actor?.accountId || null,
+    name: actor?.name || '',
+  },
+  timestamp: new Date(),
+});
+
+const pickFields = (source, fields) =>
+  fields.reduce((acc, field) => {
+    if (source && source[field] !== undefined && source[field] !== null) {
+      acc[field] = String(source[field]).trim();
+    }
+    return acc;
+  }, {});
+
+const generateOrderNumber = () => {
+  const datePart = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+  const randomPart = crypto.randomBytes(3).toString('hex').toUpperCase();
+  return `ORD-${datePart}-${randomPart}`;
+};
+
+const escapeRegex = (value) =>
+  typeof value === 'string' ? value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') : value;
+
+const toPositiveInteger = (value, fallback) => {
+  const parsed = Number.parseInt(value, 10);
+  if (Number.isNaN(parsed) || parsed < 0) {
+    return fallback;
+  }
+  return parsed;
+};
+
+const populateOrder = (query) =>
+  query
+    .populate('bookId', 'name slug coverImage')
+    .populate('children.userId', 'name age gender imageAssets')
+    .populate('children.automationRunId', 'status progress error trainingId storybookJobId');
+
+const getOrder = async (id) => populateOrder(Order.findById(id)).lean();
+
+// Children created for an order that never got saved would be left orphaned
+const removeCreatedChildren = async (resolvedChildren) => {
+  const createdIds = resolvedChildren.filter((child) => child.created).map(({ user }) => user._id);
+  if (createdIds.length) {
+    await User.deleteMany({ _id: { $in: createdIds } }).catch(() => {});
+  }
+};
+
+/**
+ * Children are either existing users (`userId`) or new ones created from
+ * `name` / `age` / `gender` with the parent's contact details.
+ */
+const resolveChildren = async (children, customer) => {
+  const resolved = [];
+  try {
+    for (const child of children) {
+      if (child.userId) {
+        const user = await User.findById(child.userId);
+        if (!user) {
+          throw createHttpError(`Child user ${child.userId} not found`, 404);
+        }
+        resolved.push({ user, clientKey: child.clientKey, created: false });
+        continue;
+      }
+
+      const user = await User.create({
+        name: child.name,
+        age: child.age,
+        gender: child.gender,
+        email: customer.email,
+        countryCode: customer.countryCode,
+        phoneNumber: customer.phoneNumber,
+        imageAssets: [],
+      });
+      resolved.push({ user, clientKey: child.clientKey, created: true });
+    }
+  } catch (error) {
+    await removeCreatedChildren(resolved);
+    throw error;
+  }
+  return resolved;
+};
+
+/**
+ * Start an automation run for every child on the order that has no run in
+ * flight. Runs that fail to start are logged on the order rather than failing
+ * the whole request, so one bad photo does not block siblings.
+ */
+const startOrderAutomation = async (orderId, { filesByChild = {}, actor = SYSTEM_ACTOR } = {}) => {
+  const order = await Order.findById(orderId).populate('children.automationRunId', 'status');
+  if (!order) {
+    throw createHttpError('Order not found', 404);
+  }
+  if (!['received', 'training', 'proofing'].includes(order.status)) {
+    throw createHttpError(`Cannot start automation for an order that is ${order.status}`, 409);
+  }
+
+  const started = [];
+  const failures = [];
+
+  for (const child of order.children) {
+    const existingRun = child.automationRunId;
+    if (existingRun && existingRun.status !== 'failed') {
+      continue;
+    }
+
+    const userId = child.userId;
+    const files = filesByChild[String(userId)] || [];
+    try {
+      const run = await createAutomationRun({
+        bookId: order.bookId,
+        userId,
+        orderId: order._id,
+        files,
+        overrides: files.map(() => false),
+      });
+      child.automationRunId = run._id;
+      started.push(run._id);
+      order.events.push(
+        createEvent('automation_started', 'Automation run started', {
+          metadata: { userId, runId: run._id },
+          actor,
+        })
+      );
+    } catch (error) {
+      console.error(`❌ Failed to start automation for order ${order.orderNumber}:`, error.message);
+      const failedRun = await AutomationRun.findOne({ orderId: order._id, userId })
+        .sort({ createdAt: -1 })
+        .select('_id')
+        .lean();
+      if (failedRun) {
+        child.automationRunId = failedRun._id;
+      }
+      failures.push({ userId, message: error.message });
+      order.events.push(
+        createEvent('automation_failed', error.message || 'Automation failed to start', {
+          metadata: { userId, runId: failedRun?._id || null },
+          actor,
+        })
+      );
+    }
+  }
+
+  if (started.length && order.status !== 'training') {
+    order.events.push(
+      createEvent('status_changed', 'Personalisation started', {
+        metadata: { from: order.status, to: 'training' },
+        actor,
+      })
+    );
+    order.status = 'training';
+  }
+
+  await order.save();
+  return { order: await getOrder(order._id), started, failures };
+};
+
+const createOrder = async ({
+  customer,
+  bookId,
+  children,
+  shipping = {},
+  notes = '',
+  startAutomation = false,
+  filesByChild = {},
+  actor = SYSTEM_ACTOR,
+}) => {
+  const book = await Book.findById(bookId).select('_id name');
+  if (!book) {
+    throw createHttpError('Book not found', 404);
+  }
+
+  const customerDetails = pickFields(customer, CUSTOMER_FIELDS);
+  const resolvedChildren = await resolveChildren(children, customerDetails);
+
+  let order;
+  try {
+    order = await Order.create({
+      orderNumber: generateOrderNumber(),
+      customer: customerDetails,
+      children: resolvedChildren.map(({ user }) => ({ userId: user._id })),
+      bookId: book._id,
+      shipping: pickFields(shipping, SHIPPING_FIELDS),
+      notes,
+      events: [
+        createEvent('created', `Order received for ${book.name}`, {
+          metadata: { bookId: book._id, children: resolvedChildren.length },
+          actor,
+        }),
+      ],
+    });
+  } catch (error) {
+    await removeCreatedChildren(resolvedChildren);
+    throw error;
+  }
+
+  console.log(`🧾 Order ${order.orderNumber} received (${resolvedChildren.length} child(ren))`);
+
+  if (!startAutomation) {
+    return { order: await getOrder(order._id), started: [], failures: [] };
+  }
+
+  // Uploads are keyed by the client-side child key; runs look them up by user
+  const filesByUser = resolvedChildren.reduce((acc, { user, clientKey }) => {
+    const key = clientKey !== undefined && clientKey !== null ? String(clientKey) : null;
+    if (key !== null && filesByChild[key]) {
+      acc[String(user._id)] = filesByChild[key];
+    }
+    return acc;
+  }, {});
+
+  return startOrderAutomation(order._id, { filesByChild: filesByUser, actor });
+};
+
+const updateOrderDetails = async (orderId, { customer, shipping, notes }, { actor = SYSTEM_ACTOR } = {}) => {
+  const order = await Order.findById(orderId);
+  if (!order) {
+    throw createHttpError('Order not found', 404);
+  }
+
+  if (customer) {
+    Object.assign(order.customer, pickFields(customer, CUSTOMER_FIELDS));
+  }
+  if (shipping) {
+    Object.assign(order.shipping, pickFields(shipping, SHIPPING_FIELDS));
+  }
+  if (notes !== undefined) {
+    order.notes = notes;
+  }
+
+  if (order.isModified()) {
+    order.events.push(createEvent('updated', 'Order details updated', { actor }));
+    await order.save();
+  }
+
+  return getOrder(order._id);
+};
+
+const transitionOrderStatus = async (orderId, nextStatus, { note = '', actor = SYSTEM_ACTOR } = {}) => {
+  if (!ORDER_STATUSES.includes(nextStatus)) {
+    throw createHttpError(`Unknown order status "${nextStatus}"`, 400);
+  }
+
+  const order = await Order.findById(orderId);
+  if (!order) {
+    throw createHttpError('Order not found', 404);
+  }
+
+  const allowed = ORDER_TRANSITIONS[order.status] || [];
+  if (!allowed.includes(nextStatus)) {
+    throw createHttpError(`Cannot move order from ${order.status} to ${nextStatus}`, 409);
+  }
+
+  const previousStatus = order.status;
+  order.status = nextStatus;
+  order.events.push(
+    createEvent('status_changed', note || `Moved to ${nextStatus}`, {
+      metadata: { from: previousStatus, to: nextStatus },
+      actor,
+    })
+  );
+  await order.save();
+
+  console.log(`📦 Order ${order.orderNumber}: ${previousStatus} → ${nextStatus}`);
+  return getOrder(order._id);
+};
+
+const VALID_ORDER_SORT_FIELDS = new Set(['createdAt', 'updatedAt', 'status', 'orderNumber']);
+
+const listOrders = async (options = {}) => {
+  const {
+    page = 1,
+    limit = 20,
+    status,
+    bookId,
+    search = '',
+    sortBy = 'createdAt',
+    sortOrder = 'desc',
+  } = options;
+
+  const numericLimit = toPositiveInteger(limit, 20);
+  const numericPage = toPositiveInteger(page, 1) || 1;
+
+  const filter = {};
+  if (status && ORDER_STATUSES.includes(status)) {
+    filter.status = status;
+  }
+  if (bookId && mongoose.Types.ObjectId.isValid(bookId)) {
+    filter.bookId = new mongoose.Types.ObjectId(bookId);
+  }
+  if (search && search.trim()) {
+    const regex = new RegExp(escapeRegex(search.trim()), 'i');
+    filter.$or = [{ orderNumber: regex }, { 'customer.name': regex }, { 'customer.email': regex }];
+  }
+
+  const sortField = VALID_ORDER_SORT_FIELDS.has(sortBy) ? sortBy : 'createdAt';
+  const sortDirection = sortOrder === 'asc' ? 1 : -1;
+
+  // Pipeline counts ignore the status filter so every column keeps its total
+  const { status: _status, ...pipelineFilter } = filter;
+
+  let query = populateOrder(Order.find(filter).select('-events'))
+    .sort({ [sortField]: sortDirection })
+    .lean();
+  if (numericLimit > 0) {
+    query = query.skip((numericPage - 1) * numericLimit).limit(numericLimit);
+  }
+
+  const [orders, total, statusCounts] = await Promise.all([
+    query,
+    Order.countDocuments(filter),
+    Order.aggregate([{ $match: pipelineFilter }, { $group: { _id: '$status', count: { $sum: 1 } } }]),
+  ]);
+
+  const totalPages = numericLimit > 0 ? Math.ceil(total / numericLimit) : total > 0 ? 1 : 0;
+  const pipeline = ORDER_STATUSES.reduce((acc, value) => {
+    acc[value] = 0;
+    return acc;
+  }, {});
+  statusCounts.forEach(({ _id, count }) => {
+    if (_id) pipeline[_id] = count;
+  });
+
+  return {
+    orders,
+    pagination: {
+      page: totalPages === 0 ? 1 : numericPage,
+      limit: numericLimit,
+      total,
+      totalPages,
+      hasNextPage: numericLimit > 0 && numericPage < totalPages,
+      hasPrevPage: numericLimit > 0 && numericPage > 1,
+    },
+    pipeline,
+  };
+};
+
+const deleteOrder = async (orderId) => {
+  const order = await Order.findById(orderId);
+  if (!order) {
+    throw createHttpError('Order not found', 404);
+  }
+  if (!['received', 'cancelled'].includes(order.status)) {
+    throw createHttpError('Only received or cancelled orders can be deleted', 409);
+  }
+  await Order.deleteOne({ _id: order._id });
+  return order;
+};
+
+const handleAutomationUpdate = async (run) => {
+  if (!run?.orderId || !['completed', 'failed'].includes(run.status)) {
+    return;
+  }
+
+  const order = await Order.findById(run.orderId);
+  if (!order) return;
+
+  const runId = String(run._id);
+  if (run.status === 'failed') {
+    const alreadyLogged = order.events.some(
+      (event) => event.type === 'automation_failed' && String(event.metadata?.runId) === runId
+    );
+    if (!alreadyLogged) {
+      order.events.push(
+        createEvent('automation_failed', run.error || 'Automation run failed', {
+          metadata: { userId: run.userId?._id || run.userId, runId: run._id },
+        })
+      );
+      await order.save();
+    }
+    return;
+  }
+
+  if (order.status !== 'training') return;
+
+  const runIds = order.children.map((child) => child.automationRunId).filter(Boolean);
+  if (runIds.length !== order.children.length) return;
+
+  const runs = await AutomationRun.find({ _id: { $in: runIds } }).select('status').lean();
+  if (runs.length !== runIds.length || !runs.every((entry) => entry.status === 'completed')) {
+    return;
+  }
+
+  await transitionOrderStatus(order._id, 'proofing', {
+    note: 'All storybooks generated and ready for proofing',
+  });
+};
+
+/**
+ * Move orders along as their automation runs finish: once every child's run
+ * completes the order goes from `training` to `proofing`.
+ */
+const initialiseOrderWatchers = () => {
+  if (watchersInitialised) return;
+  watchersInitialised = true;
+
+  subscribeToAutomationUpdates((run) => {
+    handleAutomationUpdate(run).catch((error) => {
+      console.error('❌ Failed to sync order with automation run:', error.message);
+    });
+  });
+};
+
+module.exports = {
+  ORDER_TRANSITIONS,
+  createOrder,
+  startOrderAutomation,
+  updateOrderDetails,
+  transitionOrderStatus,
+  listOrders,
+  getOrder,
+  deleteOrder,
+  initialiseOrderWatchers,
+};
@@ -0,0 +1,321 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const fetch = require('node-fetch');
+const WebhookEndpoint = require('../models/WebhookEndpoint');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { WEBHOOK_EVENTS } = require('../models/WebhookEndpoint');
+const { generateWebhookSecret, signWebhookPayload } = require('../utils/webhook');
+const { registerJobHandler, enqueueJob } = require('./jobQueue');
+
+const WEBHOOK_DELIVERY_JOB = 'webhook.deliver';
+const DELIVERY_TIMEOUT_MS = Math.max(1000, Number(process.env.OUTBOUND_WEBHOOK_TIMEOUT_MS || 10000));
+const MAX_DELIVERY_ATTEMPTS = Math.max(1, Number(process.env.OUTBOUND_WEBHOOK_MAX_ATTEMPTS || 6));
+const MAX_RESPONSE_LENGTH = 1000;
+
+const createHttpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const assertObjectId = (value, label) => {
+  if (!mongoose.isValidObjectId(value)) {
+    throw createHttpError(`Invalid ${label}`, 400);
+  }
+};
+
+const normalizeUrl = (value) => {
+  const raw = typeof value === 'string' ? value.trim() : '';
+  let url;
+  try {
+    url = new URL(raw);
+  } catch (error) {
+    throw createHttpError('A valid endpoint URL is required', 400);
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw createHttpError('Endpoint URL must use http or https', 400);
+  }
+  return url.toString();
+};
+
+const normalizeEvents = (value) => {
+  const events = Array.isArray(value) ? [...new Set(value)] : [];
+  const unknown = events.filter((event) => !WEBHOOK_EVENTS.includes(event));
+  if (unknown.length) {
+    throw createHttpError(`Unknown webhook events: ${unknown.join(', ')}`, 400);
+  }
+  if (!events.length) {
+    throw createHttpError('Subscribe the endpoint to at least one event', 400);
+  }
+  return events;
+};
+
+const enqueueDelivery = (deliveryId) =>
+  enqueueJob({
+    type: WEBHOOK_DELIVERY_JOB,
+    key: `webhook-delivery:${deliveryId}`,
+    unique: true,
+    payload: { deliveryId: String(deliveryId) },
+  });
+
+const listWebhookEndpoints = () => WebhookEndpoint.find().sort({ createdAt: -1 }).lean();
+
+const createWebhookEndpoint = async ({ name, url, events, enabled = true }) => {
+  const trimmedName = typeof name === 'string' ? name.trim() : '';
+  if (!trimmedName) {
+    throw createHttpError('Endpoint name is required', 400);
+  }
+  return WebhookEndpoint.create({
+    name: trimmedName,
+    url: normalizeUrl(url),
+    events: normalizeEvents(events),
+    enabled: enabled !== false,
+    secret: generateWebhookSecret(),
+  });
+};
+
+/**
+ * Update an endpoint's name, URL, subscriptions or enabled flag; `rotateSecret`
+ * issues a new signing secret. Returns the endpoint before and after.
+ */
+const updateWebhookEndpoint = async (endpointId, updates = {}) => {
+  assertObjectId(endpointId, 'endpoint ID');
+  const endpoint = await WebhookEndpoint.findById(endpointId);
+  if (!endpoint) {
+    throw createHttpError('Webhook endpoint not found', 404);
+  }
+  const before = endpoint.toObject();
+
+  if (updates.name !== undefined) {
+    const trimmedName = typeof updates.name === 'string' ? updates.name.trim() : '';
+    if (!trimmedName) {
+      throw createHttpError('Endpoint name is required', 400);
+    }
+    endpoint.name = trimmedName;
+  }
+  if (updates.url !== undefined) endpoint.url = normalizeUrl(updates.url);
+  if (updates.events !== undefined) endpoint.events = normalizeEvents(updates.events);
+  if (updates.enabled !== undefined) endpoint.enabled = Boolean(updates.enabled);
+  if (updates.rotateSecret) endpoint.secret = generateWebhookSecret();
+
+  await endpoint.save();
+  return { before, endpoint };
+};
+
+/**
+ * Delete an endpoint together with its delivery log.
+ */
+const deleteWebhookEndpoint = async (endpointId) => {
+  assertObjectId(endpointId, 'endpoint ID');
+  const endpoint = await WebhookEndpoint.findByIdAndDelete(endpointId);
+  if (!endpoint) {
+    throw createHttpError('Webhook endpoint not found', 404);
+  }
+  await WebhookDelivery.deleteMany({ endpointId: endpoint._id });
+  return endpoint;
+};
+
+const listWebhookDeliveries = async ({ endpointId, status, event, limit = 50 } = {}) => {
+  const filter = {};
+  if (endpointId) {
+    assertObjectId(endpointId, 'endpoint ID');
+    filter.endpointId = endpointId;
+  }
+  if (status && status !== 'all') filter.status = status;
+  if (event && event !== 'all') filter.event = event;
+
+  return WebhookDelivery.find(filter)
+    .sort({ createdAt: -1 })
+    .limit(Math.min(Math.max(Number.parseInt(limit, 10) || 50, 1), 200))
+    .populate('endpointId', 'name url')
+    .lean();
+};
+
+/**
+ * Queue `event` for every enabled endpoint subscribed to it. Never throws, so a
+ * pipeline step is not failed by a webhook problem. With a `dedupeKey`, an event
+ * already recorded for an endpoint under that key is skipped.
+ */
+const emitWebhookEvent = async (event, data, { dedupeKey = null } = {}) => {
+  try {
+    const endpoints = await WebhookEndpoint.find({ enabled: true, events: event })
+      .select('_id')
+      .lean();
+    if (!endpoints.length) return [];
+
+    const eventId = crypto.randomUUID();
+    const deliveries = [];
+    for (const endpoint of endpoints) {
+      try {
+        const delivery = await WebhookDelivery.create({
+          endpointId: endpoint._id,
+          event,
+          eventId,
+          payload: data,
+          dedupeKey,
+        });
+        await enqueueDelivery(delivery._id);
+        deliveries.push(delivery);
+      } catch (error) {
+        if (error?.code !== 11000) throw error;
+      }
+    }
+    return deliveries;
+  } catch (error) {
+    console.error(`⚠️  Failed to queue ${event} webhook:`, error.message);
+    return [];
+  }
+};
+
+/**
+ * Send an earlier delivery's event again as a new delivery with its own log.
+ */
+const replayWebhookDelivery = async (deliveryId) => {
+  assertObjectId(deliveryId, 'delivery ID');
+  const original = await WebhookDelivery.findById(deliveryId).lean();
+  if (!original) {
+    throw createHttpError('Webhook delivery not found', 404);
+  }
+  const endpoint = await WebhookEndpoint.findById(original.endpointId).select('_id').lean();
+  if (!endpoint) {
+    throw createHttpError('The endpoint for this delivery no longer exists', 409);
+  }
+
+  const delivery = await WebhookDelivery.create({
+    endpointId: original.endpointId,
+    event: original.event,
+    eventId: original.eventId,
+    payload: original.payload,
+    replayOf: original._id,
+  });
+  await enqueueDelivery(delivery._id);
+  return delivery;
+};
+
+const finishDelivery = async (delivery, set) => {
+  await WebhookDelivery.updateOne({ _id: delivery._id, status: 'pending' }, { $set: set });
+};
+
+// Throwing hands the retry and its backoff to the job queue
+const deliverWebhook = async (queueJob) => {
+  const { deliveryId } = queueJob.payload || {};
+  const delivery = await WebhookDelivery.findById(deliveryId);
+  if (!delivery || delivery.status !== 'pending') return null;
+
+  const endpoint = await WebhookEndpoint.findById(delivery.endpointId);
+  if (!endpoint || !endpoint.enabled) {
+    await finishDelivery(delivery, {
+      status: 'failed',
+      error: endpoint ? 'Endpoint is disabled' : 'Endpoint was deleted',
+    });
+    return null;
+  }
+
+  const attempt = (delivery.attempts || 0) + 1;
+  const body = JSON.stringify({
+    id: delivery.eventId,
+    event: delivery.event,
+    createdAt: delivery.createdAt,
+    data: delivery.payload,
+  });
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const startedAt = Date.now();
+  let statusCode = null;
+  let responseBody = null;
+  let errorMessage = null;
+
+  try {
+    const response = await fetch(endpoint.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Delivery': String(delivery._id),
+        'X-Webhook-Timestamp': timestamp,
+        'X-Webhook-Signature': `sha256=${signWebhookPayload(endpoint.secret, timestamp, body)}`,
+      },
+      body,
+      timeout: DELIVERY_TIMEOUT_MS,
+    });
+    statusCode = response.status;
+    responseBody = (await response.text().catch(() => '')).slice(0, MAX_RESPONSE_LENGTH);
+    if (!response.ok) {
+      errorMessage = `Endpoint responded with HTTP ${response.status}`;
+    }
+  } catch (error) {
+    errorMessage = error.message || 'Request failed';
+  }
+
+  const now = new Date();
+  const succeeded = !errorMessage;
+  await WebhookDelivery.updateOne(
+    { _id: delivery._id },
+    {
+      $set: {
+        attempts: attempt,
+        lastAttemptAt: now,
+        responseStatus: statusCode,
+        responseBody,
+        error: errorMessage,
+        ...(succeeded ? { status: 'succeeded', deliveredAt: now } : {}),
+      },
+      $push: {
+        attemptLog: {
+          attempt,
+          at: now,
+          statusCode,
+          durationMs: Date.now() - startedAt,
+          error: errorMessage,
+        },
+      },
+    }
+  );
+  await WebhookEndpoint.updateOne(
+    { _id: endpoint._id },
+    { $set: { lastDeliveryAt: now, lastDeliveryStatus: succeeded ? 'succeeded' : 'failed' } }
+  );
+
+  if (!succeeded) {
+    console.warn(
+      `⚠️  ${delivery.event} webhook to ${endpoint.url} failed (attempt ${attempt}): ${errorMessage}`
+    );
+    throw new Error(errorMessage);
+  }
+  return null;
+};
+
+const markDeliveryFailed = async (queueJob, error) => {
+  const { deliveryId } = queueJob.payload || {};
+  if (!deliveryId) return;
+  await finishDelivery(
+    { _id: deliveryId },
+    { status: 'failed', error: error?.message || 'Webhook delivery failed' }
+  );
+};
+
+// Deliveries whose queue entry was lost (e.g. cleaned up) are queued again
+const recoverWebhookDeliveries = async () => {
+  const pending = await WebhookDelivery.find({ status: 'pending' }).select('_id').lean();
+  for (const delivery of pending) {
+    await enqueueDelivery(delivery._id);
+  }
+  return pending.length;
+};
+
+registerJobHandler(WEBHOOK_DELIVERY_JOB, deliverWebhook, {
+  concurrency: Math.max(1, Number(process.env.OUTBOUND_WEBHOOK_CONCURRENCY || 5)),
+  maxAttempts: MAX_DELIVERY_ATTEMPTS,
+  onFailure: markDeliveryFailed,
+  recover: recoverWebhookDeliveries,
+});
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  listWebhookEndpoints,
+  createWebhookEndpoint,
+  updateWebhookEndpoint,
+  deleteWebhookEndpoint,
+  listWebhookDeliveries,
+  emitWebhookEvent,
+  replayWebhookDelivery,
+};
@@ -0,0 +1,193 @@
+const crypto = require('crypto');
+const { uploadBufferToS3, getSignedUrlForKey } = require('../config/s3');
+const { getImageBuffer } = require('../utils/pdfGenerator');
+const { resolvePageLayout, validatePageLayout } = require('../utils/pageLayout');
+const { renderStoryPagePng, PREVIEW_SCALE } = require('../utils/storyPageRenderer');
+const { assertFontCoverage } = require('../utils/fontCoverage');
+const { loadBookFonts } = require('./storybookFonts');
+const { buildStoryVariables, renderStoryTemplate } = require('./storyTemplates');
+const { getBookLanguage, resolvePageText } = require('./bookLanguages');
+const { getStoryLanguage, isRtlLanguage, normalizeLanguageCode } = require('../config/languages');
+
+// Bump when the renderer's output changes so cached previews are not reused
+const RENDERER_VERSION = 2;
+const PREVIEW_CACHE_LIMIT = 200;
+const PREVIEW_CACHE_TTL_MS = 6 * 60 * 60 * 1000;
+const PREVIEW_URL_TTL_SECONDS = 3600;
+
+// Input hash -> S3 key of the rendered PNG, oldest first. Entries outlive a
+// signed URL, so hits are signed again; keys are content-addressed, so a
+// restart only costs a re-render.
+const previewCache = new Map();
+
+const createHttpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const hashBuffer = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+// Uploads are identified by content, stored assets by key and URLs as given
+const describeImageSource = (source) => {
+  if (!source) return null;
+  if (source.buffer) return { sha256: hashBuffer(source.buffer) };
+  return { key: source.key || null, url: source.url || null };
+};
+
+const readCachedKey = (hash) => {
+  const entry = previewCache.get(hash);
+  if (!entry) return null;
+  if (Date.now() - entry.createdAt > PREVIEW_CACHE_TTL_MS) {
+    previewCache.delete(hash);
+    return null;
+  }
+  return entry.key;
+};
+
+const rememberKey = (hash, key) => {
+  previewCache.delete(hash);
+  previewCache.set(hash, { key, createdAt: Date.now() });
+  if (previewCache.size > PREVIEW_CACHE_LIMIT) {
+    previewCache.delete(previewCache.keys().next().value);
+  }
+};
+
+const sortedStoryPages = (book) =>
+  (book.pages || [])
+    .filter((page) => (page.pageType || 'story') === 'story')
+    .sort((a, b) => (Number(a.order) || 0) - (Number(b.order) || 0));
+
+/**
+ * Character side the page gets in a full storybook: its own position, then
+ * the layout's anchor, then alternation counted after the cover and dedication.
+ */
+const resolveCharacterSide = ({ book, page, layout, language, requested }) => {
+  const position = ['left', 'right'].includes(requested) ? requested : page.characterPosition;
+  const anchor = ['left', 'right'].includes(position) ? position : layout.character.anchor;
+  if (anchor !== 'auto') return anchor === 'right';
+
+  const frontMatterCount = Number(Boolean(book.coverPage)) + Number(Boolean(book.dedicationPage));
+  const storyIndex = sortedStoryPages(book).findIndex((entry) => entry.order === page.order);
+  const index = frontMatterCount + Math.max(0, storyIndex);
+  return (index % 2 === 0) !== isRtlLanguage(language);
+};
+
+/**
+ * Render a preview PNG of one story page of `book`. Every input falls back to
+ * the stored page: `text`, `quote`, `childName`, `language`,
+ * `characterPosition`, `pageLayout` (defaults to the book's), and the
+ * `background` / `character` sources (`{ buffer }` for uploads, `{ url }`,
+ * `null` for none).
+ * The book's uploaded story fonts are used and must cover the copy.
+ * Identical inputs reuse the cached PNG. Returns a signed URL to it.
+ */
+const renderBookPagePreview = async (book, order, inputs = {}) => {
+  const page = (book.pages || []).find((entry) => Number(entry.order) === Number(order));
+  if (!page) {
+    throw createHttpError(`Book has no page ${order}`, 404);
+  }
+  if ((page.pageType || 'story') !== 'story') {
+    throw createHttpError('Only story pages can be previewed here', 400);
+  }
+
+  const bookLanguage = getBookLanguage(book);
+  const requestedLanguage = normalizeLanguageCode(inputs.language);
+  if (requestedLanguage && !getStoryLanguage(requestedLanguage)) {
+    throw createHttpError(`Unsupported preview language "${inputs.language}"`, 400);
+  }
+  const language = requestedLanguage || bookLanguage;
+
+  const customLayout =
+    typeof inputs.pageLayout === 'undefined' ? book.pageLayout || null : inputs.pageLayout;
+  const layoutIssues = validatePageLayout(customLayout);
+  if (layoutIssues.length) {
+    const error = createHttpError(`Invalid page layout: ${layoutIssues[0].message}`, 400);
+    error.errors = layoutIssues;
+    throw error;
+  }
+  const layout = resolvePageLayout(customLayout);
+
+  const childName = typeof inputs.childName === 'string' ? inputs.childName.trim() : '';
+  const variables = childName ? buildStoryVariables({ name: childName }) : null;
+  const fillPlaceholders = (value) =>
+    variables ? renderStoryTemplate(value, variables) : value || '';
+  const text = fillPlaceholders(
+    typeof inputs.text === 'string' ? inputs.text : resolvePageText(page, language, bookLanguage)
+  );
+  const quote = fillPlaceholders(typeof inputs.quote === 'string' ? inputs.quote : '');
+
+  const bookFonts = await loadBookFonts(book);
+  const location = `page ${page.order}`;
+  assertFontCoverage(bookFonts, {
+    storyText: [{ location, text }],
+    storyQuote: [{ location, text: quote }],
+  });
+
+  const pickSource = (input, stored) => (typeof input === 'undefined' ? stored || null : input);
+  const backgroundSource = pickSource(inputs.background, page.backgroundImage);
+  const characterSource = pickSource(inputs.character, page.characterImage);
+  const isCharacterOnRight = resolveCharacterSide({
+    book,
+    page,
+    layout,
+    language,
+    requested: inputs.characterPosition,
+  });
+
+  const hash = crypto
+    .createHash('sha256')
+    .update(
+      JSON.stringify({
+        version: RENDERER_VERSION,
+        scale: PREVIEW_SCALE,
+        background: describeImageSource(backgroundSource),
+        character: describeImageSource(characterSource),
+        text,
+        quote,
+        language,
+        isCharacterOnRight,
+        layout,
+        fonts: {
+          storyText: bookFonts?.storyText?.id || null,
+          storyQuote: bookFonts?.storyQuote?.id || null,
+        },
+      })
+    )
+    .digest('hex');
+
+  let previewKey = readCachedKey(hash);
+  const cached = Boolean(previewKey);
+  if (!previewKey) {
+    const [background, character] = await Promise.all([
+      getImageBuffer(backgroundSource),
+      getImageBuffer(characterSource),
+    ]);
+    const buffer = await renderStoryPagePng({
+      background,
+      character,
+      text,
+      quote,
+      pageLayout: layout,
+      language,
+      isCharacterOnRight,
+      bookFonts,
+    });
+    previewKey = `temp/page-previews/${hash}.png`;
+    await uploadBufferToS3(buffer, previewKey, 'image/png');
+    rememberKey(hash, previewKey);
+  }
+
+  return {
+    previewUrl: await getSignedUrlForKey(previewKey, PREVIEW_URL_TTL_SECONDS),
+    previewKey,
+    hash,
+    cached,
+    characterPosition: isCharacterOnRight ? 'right' : 'left',
+    language,
+  };
+};
+
+module.exports = {
+  renderBookPagePreview,
+};
@@ -0,0 +1,151 @@
+const fetch = require('node-fetch');
+const { getActiveTemplate, toTemplateRef } = require('./promptTemplates');
+const { recordOpenRouterUsage } = require('./usageTracking');
+
+const OPENROUTER_BASE_URL = process.env.OPENROUTER_BASE_URL || 'https://openrouter.ai/api/v1';
+const OPENROUTER_MODEL = process.env.OPENROUTER_MODEL || 'openai/gpt-4o-mini-2024-07-18';
+const OPENROUTER_API_KEY = process.env.OPENROUTER_API_KEY;
+const OPENROUTER_APP_URL = process.env.OPENROUTER_APP_URL || 'https://example.com';
+const OPENROUTER_APP_NAME = process.env.OPENROUTER_APP_NAME || 'AI Book Story';
+
+const parseApiResponse = (content) => {
+  if (!content) {
+    throw new Error('LLM returned an empty response');
+  }
+
+  const raw =
+    typeof content === 'string'
+      ? content
+      : Array.isArray(content)
+      ? content
+          .map((segment) =>
+            typeof segment === 'string' ? segment : segment?.text || ''
+          )
+          .join('\n')
+      : '';
+
+  if (!raw.trim()) {
+    throw new Error('LLM returned an empty response');
+  }
+
+  const jsonMatch = raw.match(/```(?:json)?\s*([\s\S]*?)\s*```/i);
+  const jsonString = jsonMatch ? jsonMatch[1] : raw;
+
+  try {
+    const payload = JSON.parse(jsonString);
+    if (!payload.prompt) {
+      throw new Error('Missing "prompt" key in LLM response');
+    }
+    return {
+      prompt: payload.prompt,
+      negative_prompt: payload.negative_prompt || '',
+    };
+  } catch (error) {
+    throw new Error(`Failed to parse LLM response: ${error.message}`);
+  }
+};
+
+const isPromptGeneratorConfigured = () => Boolean(OPENROUTER_API_KEY);
+
+/**
+ * Describe a reference image as a regeneration prompt using the active
+ * `prompt_generator` template, or `template` when a dry run supplies one.
+ */
+const generatePromptFromImage = async ({
+  buffer,
+  mimeType,
+  additionalContext = null,
+  template = null,
+  usageContext = {},
+}) => {
+  if (!OPENROUTER_API_KEY) {
+    throw new Error('OPENROUTER_API_KEY is not configured');
+  }
+
+  const instruction = template || (await getActiveTemplate('prompt_generator'));
+  const mime = mimeType || 'image/jpeg';
+  const dataUrl = `data:${mime};base64,${buffer.toString('base64')}`;
+
+  const userContent = [];
+
+  if (additionalContext) {
+    userContent.push({
+      type: 'text',
+      text: additionalContext,
+    });
+  }
+
+  userContent.push({
+    type: 'text',
+    text: 'Use the following reference image to extract visual details. Do not fabricate traits that are not visible.',
+  });
+
+  userContent.push({
+    type: 'image_url',
+    image_url: {
+      url: dataUrl,
+    },
+  });
+
+  const startedAt = Date.now();
+  const response = await fetch(`${OPENROUTER_BASE_URL}/chat/completions`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${OPENROUTER_API_KEY}`,
+      'HTTP-Referer': OPENROUTER_APP_URL,
+      'X-Title': OPENROUTER_APP_NAME,
+    },
+    body: JSON.stringify({
+      model: OPENROUTER_MODEL,
+      messages: [
+        {
+          role: 'system',
+          content: instruction.content,
+        },
+        {
+          role: 'user',
+          content: userContent,
+        },
+      ],
+      response_format: { type: 'json_object' },
+      usage: { include: true },
+    }),
+  });
+
+  if (!response.ok) {
+    const errorPayload = await response.text();
+    throw new Error(
+      `OpenRouter request failed (${response.status}): ${errorPayload}`
+    );
+  }
+
+  const payload = await response.json();
+  await recordOpenRouterUsage({
+    operation: 'prompt_generation',
+    model: OPENROUTER_MODEL,
+    completion: payload,
+    durationMs: Date.now() - startedAt,
+    context: usageContext,
+  });
+  const choice = payload?.choices?.[0]?.message;
+  const parsed = parseApiResponse(choice?.content);
+  const trimmedPrompt = parsed.prompt?.trim?.() || '';
+  const trimmedNegative = parsed.negative_prompt?.trim?.() || '';
+  const mergedPrompt =
+    trimmedNegative && trimmedNegative.length > 0
+      ? `${trimmedPrompt}${trimmedPrompt.endsWith('.') ? '' : '.'}\nDo not: ${trimmedNegative}`
+      : trimmedPrompt;
+
+  return {
+    prompt: mergedPrompt,
+    negativePrompt: trimmedNegative || null,
+    promptTemplate: toTemplateRef(instruction),
+  };
+};
+
+module.exports = {
+  OPENROUTER_MODEL,
+  isPromptGeneratorConfigured,
+  generatePromptFromImage,
+};
@@ -0,0 +1,244 @@
+const mongoose = require('mongoose');
+const Evaluation = require('../models/Evaluation');
+const Prompt = require('../models/Prompt');
+const Generation = require('../models/Generation');
+const User = require('../models/User');
+const { downloadFromS3 } = require('../config/s3');
+const { getSignedDownloadUrls } = require('./generationOutputs');
+const { evaluateSingleImage } = require('./evaluator');
+const { rankGeneratedImages } = require('./rankingService');
+const { generatePromptFromImage } = require('./promptGenerator');
+const {
+  PROMPT_TEMPLATE_KEYS,
+  getActiveTemplate,
+  getTemplateVersion,
+} = require('./promptTemplates');
+
+// Each sample is a live LLM call, so dry runs stay small and run one at a time
+const MAX_DRY_RUN_SAMPLES = 5;
+const DEFAULT_SAMPLE_LIST_SIZE = 24;
+const DRY_RUN_USAGE = { metadata: { dryRun: true } };
+
+const createHttpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const toEvaluationSample = (doc) => ({
+  id: doc._id.toString(),
+  label: doc.fileName,
+  imageUrl: doc.s3Url,
+  createdAt: doc.createdAt,
+  promptTemplate: doc.promptTemplate || null,
+  stored: {
+    verdict: doc.verdict,
+    acceptable: doc.acceptable,
+    score: doc.score,
+    summary: doc.summary,
+  },
+});
+
+const toPromptSample = (doc) => ({
+  id: doc._id.toString(),
+  label: doc.fileName,
+  imageUrl: doc.s3Url,
+  createdAt: doc.createdAt,
+  promptTemplate: doc.promptTemplate || null,
+  stored: {
+    prompt: doc.prompt,
+    additionalContext: doc.additionalContext || null,
+  },
+});
+
+const toRankingSample = (doc) => ({
+  id: doc._id.toString(),
+  label: doc.prompt,
+  imageUrl: doc.imageAssets?.[0]?.url || doc.imageUrls?.[0] || null,
+  imageCount: Array.isArray(doc.imageAssets) ? doc.imageAssets.length : 0,
+  createdAt: doc.createdAt,
+  promptTemplate: doc.ranking?.promptTemplate || null,
+  stored: {
+    summary: doc.ranking?.summary || '',
+    winners: doc.ranking?.winners || [],
+    ranked: doc.ranking?.ranked || [],
+  },
+});
+
+const SAMPLE_SOURCES = {
+  evaluator: {
+    model: Evaluation,
+    filter: {},
+    select:
+      'fileName mimeType s3Key s3Url verdict acceptable score summary promptTemplate createdAt',
+    serialize: toEvaluationSample,
+  },
+  prompt_generator: {
+    model: Prompt,
+    filter: {},
+    select: 'fileName mimeType s3Key s3Url prompt additionalContext promptTemplate createdAt',
+    serialize: toPromptSample,
+  },
+  ranker: {
+    model: Generation,
+    filter: { 'ranking.ranked.0': { $exists: true }, 'imageAssets.1': { $exists: true } },
+    select: 'prompt userId imageAssets imageUrls ranking createdAt',
+    serialize: toRankingSample,
+  },
+};
+
+const assertKnownKey = (key) => {
+  if (!PROMPT_TEMPLATE_KEYS.includes(key)) {
+    throw createHttpError(`Unknown prompt template "${key}"`, 404);
+  }
+};
+
+/**
+ * Recent saved records a template can be dry-run against: evaluations for the
+ * evaluator, saved prompts for the prompt generator, ranked generations for
+ * the ranker.
+ */
+const listTemplateSamples = async (key, { limit = DEFAULT_SAMPLE_LIST_SIZE } = {}) => {
+  assertKnownKey(key);
+  const source = SAMPLE_SOURCES[key];
+  const requested = Number.parseInt(limit, 10) || DEFAULT_SAMPLE_LIST_SIZE;
+  const pageSize = Math.min(Math.max(requested, 1), 100);
+  const docs = await source.model
+    .find(source.filter)
+    .select(source.select)
+    .sort({ createdAt: -1 })
+    .limit(pageSize)
+    .lean();
+  return docs.map(source.serialize);
+};
+
+const resolveDryRunTemplate = async (key, { content, version }) => {
+  if (typeof content === 'string' && content.trim()) {
+    return { key, version: null, content: content.trim(), draft: true };
+  }
+  if (version !== undefined && version !== null && version !== '') {
+    const doc = await getTemplateVersion(key, version);
+    return { key, version: doc.version, content: doc.content, draft: false };
+  }
+  const active = await getActiveTemplate(key);
+  return { ...active, draft: false };
+};
+
+const runEvaluatorSample = async (doc, template) => {
+  const buffer = await downloadFromS3(doc.s3Key);
+  const result = await evaluateSingleImage({
+    name: doc.fileName,
+    mimeType: doc.mimeType,
+    base64: buffer.toString('base64'),
+    template,
+    usageContext: DRY_RUN_USAGE,
+  });
+  const image = Array.isArray(result?.images) ? result.images[0] : null;
+  return {
+    verdict: image?.verdict || result?.overallAcceptance?.verdict || 'needs_more',
+    acceptable: Boolean(image?.acceptable),
+    score: image?.overallScorePercent ?? 0,
+    summary: result?.overallAcceptance?.summary || '',
+    recommendations: image?.recommendations || [],
+  };
+};
+
+const runPromptGeneratorSample = async (doc, template) => {
+  const buffer = await downloadFromS3(doc.s3Key);
+  const result = await generatePromptFromImage({
+    buffer,
+    mimeType: doc.mimeType,
+    additionalContext: doc.additionalContext || null,
+    template,
+    usageContext: DRY_RUN_USAGE,
+  });
+  return {
+    prompt: result.prompt,
+    negativePrompt: result.negativePrompt,
+  };
+};
+
+const runRankerSample = async (doc, template) => {
+  const [signedAssets, user] = await Promise.all([
+    getSignedDownloadUrls(doc.imageAssets || []),
+    doc.userId ? User.findById(doc.userId).select('name gender age').lean() : null,
+  ]);
+  const result = await rankGeneratedImages({
+    prompt: doc.prompt,
+    assets: signedAssets,
+    childProfile: user ? { name: user.name, gender: user.gender, age: user.age } : null,
+    template,
+    usageContext: DRY_RUN_USAGE,
+  });
+  return {
+    summary: result.summary,
+    winners: result.winners,
+    ranked: result.ranked,
+  };
+};
+
+const SAMPLE_RUNNERS = {
+  evaluator: runEvaluatorSample,
+  prompt_generator: runPromptGeneratorSample,
+  ranker: runRankerSample,
+};
+
+/**
+ * Run a template (unsaved `content`, a saved `version`, or the active one)
+ * against saved records and return the new output next to the stored one.
+ * Nothing is persisted.
+ */
+const dryRunTemplate = async (key, { content, version, sampleIds = [] } = {}) => {
+  assertKnownKey(key);
+
+  const ids = Array.from(new Set((Array.isArray(sampleIds) ? sampleIds : []).map(String)));
+  if (!ids.length) {
+    throw createHttpError('Select at least one saved sample to dry run', 400);
+  }
+  if (ids.length > MAX_DRY_RUN_SAMPLES) {
+    throw createHttpError(`A dry run is limited to ${MAX_DRY_RUN_SAMPLES} samples`, 400);
+  }
+  if (ids.some((id) => !mongoose.Types.ObjectId.isValid(id))) {
+    throw createHttpError('Invalid sample ID', 400);
+  }
+
+  const template = await resolveDryRunTemplate(key, { content, version });
+  const source = SAMPLE_SOURCES[key];
+  const docs = await source.model
+    .find({ _id: { $in: ids } })
+    .select(source.select)
+    .lean();
+  const docsById = new Map(docs.map((doc) => [doc._id.toString(), doc]));
+
+  const results = [];
+  for (const id of ids) {
+    const doc = docsById.get(id);
+    if (!doc) {
+      results.push({ sampleId: id, status: 'failed', error: 'Sample not found' });
+      continue;
+    }
+    const sample = source.serialize(doc);
+    try {
+      const output = await SAMPLE_RUNNERS[key](doc, template);
+      results.push({ sampleId: id, status: 'succeeded', sample, output });
+    } catch (error) {
+      console.warn(`⚠️  Dry run of "${key}" failed for sample ${id}:`, error.message);
+      results.push({ sampleId: id, status: 'failed', sample, error: error.message });
+    }
+  }
+
+  return {
+    template: {
+      key,
+      version: template.version,
+      draft: template.draft,
+    },
+    results,
+  };
+};
+
+module.exports = {
+  MAX_DRY_RUN_SAMPLES,
+  listTemplateSamples,
+  dryRunTemplate,
+};
@@ -0,0 +1,209 @@
+const PromptTemplate = require('../models/PromptTemplate');
+const { DEFAULT_PROMPT_TEMPLATES, PROMPT_TEMPLATE_KEYS } = require('../config/promptTemplates');
+
+const MAX_TEMPLATE_LENGTH = 20000;
+const MAX_VERSION_ATTEMPTS = 5;
+
+const createHttpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const assertKnownKey = (key) => {
+  if (!PROMPT_TEMPLATE_KEYS.includes(key)) {
+    throw createHttpError(`Unknown prompt template "${key}"`, 404);
+  }
+};
+
+const toTemplateRef = (template) => ({
+  key: template?.key || '',
+  version: Number.isFinite(template?.version) ? template.version : null,
+});
+
+const toResolvedTemplate = (doc) => ({
+  key: doc.key,
+  version: doc.version,
+  content: doc.content,
+});
+
+const builtInTemplate = (key) => ({
+  key,
+  version: null,
+  content: DEFAULT_PROMPT_TEMPLATES[key].content,
+});
+
+const isDuplicateKeyError = (error) => error?.code === 11000;
+
+// The first lookup for a key stores the built-in default as version 1 so every
+// record can point at a real, retrievable version.
+const seedTemplate = async (key) => {
+  try {
+    const seeded = await PromptTemplate.create({
+      key,
+      version: 1,
+      content: DEFAULT_PROMPT_TEMPLATES[key].content,
+      notes: 'Built-in default',
+      author: { accountId: null, name: 'System' },
+      isActive: true,
+      activatedAt: new Date(),
+    });
+    console.log(`📝 Seeded prompt template "${key}" v1 from the built-in default`);
+    return seeded.toObject();
+  } catch (error) {
+    if (isDuplicateKeyError(error)) {
+      return PromptTemplate.findOne({ key, isActive: true }).lean();
+    }
+    throw error;
+  }
+};
+
+/**
+ * Active template `{ key, version, content }` for an LLM call. If the template
+ * store cannot be read, the built-in default is returned with `version: null`
+ * so evaluation and ranking keep working.
+ */
+const getActiveTemplate = async (key) => {
+  assertKnownKey(key);
+  try {
+    let active = await PromptTemplate.findOne({ key, isActive: true })
+      .sort({ activatedAt: -1 })
+      .lean();
+    if (!active) {
+      const hasVersions = await PromptTemplate.exists({ key });
+      active = hasVersions ? null : await seedTemplate(key);
+    }
+    if (!active) {
+      console.warn(`⚠️  Prompt template "${key}" has no active version, using the default`);
+      return builtInTemplate(key);
+    }
+    return toResolvedTemplate(active);
+  } catch (error) {
+    console.warn(`⚠️  Failed to load prompt template "${key}":`, error.message);
+    return builtInTemplate(key);
+  }
+};
+
+const listTemplates = async () => {
+  await Promise.all(PROMPT_TEMPLATE_KEYS.map((key) => getActiveTemplate(key)));
+
+  const [activeDocs, counts] = await Promise.all([
+    PromptTemplate.find({ isActive: true }).sort({ activatedAt: 1 }).select('-content').lean(),
+    PromptTemplate.aggregate([
+      { $group: { _id: '$key', versions: { $sum: 1 }, latestVersion: { $max: '$version' } } },
+    ]),
+  ]);
+
+  const activeByKey = new Map(activeDocs.map((doc) => [doc.key, doc]));
+  const countsByKey = new Map(counts.map((entry) => [entry._id, entry]));
+
+  return PROMPT_TEMPLATE_KEYS.map((key) => {
+    const active = activeByKey.get(key) || null;
+    const stats = countsByKey.get(key) || {};
+    return {
+      key,
+      label: DEFAULT_PROMPT_TEMPLATES[key].label,
+      description: DEFAULT_PROMPT_TEMPLATES[key].description,
+      activeVersion: active ? active.version : null,
+      activatedAt: active ? active.activatedAt : null,
+      versions: stats.versions || 0,
+      latestVersion: stats.latestVersion || null,
+    };
+  });
+};
+
+const listTemplateVersions = async (key) => {
+  assertKnownKey(key);
+  return PromptTemplate.find({ key }).sort({ version: -1 }).lean();
+};
+
+const getTemplateVersion = async (key, version) => {
+  assertKnownKey(key);
+  const doc = await PromptTemplate.findOne({ key, version: Number(version) }).lean();
+  if (!doc) {
+    throw createHttpError(`Version ${version} of "${key}" not found`, 404);
+  }
+  return doc;
+};
+
+const normalizeContent = (content) => {
+  const value = typeof content === 'string' ? content.trim() : '';
+  if (!value) {
+    throw createHttpError('Template content is required', 400);
+  }
+  if (value.length > MAX_TEMPLATE_LENGTH) {
+    throw createHttpError(`Template content cannot exceed ${MAX_TEMPLATE_LENGTH} characters`, 400);
+  }
+  return value;
+};
+
+const activateTemplateVersion = async (key, version) => {
+  const target = await getTemplateVersion(key, version);
+  const activatedAt = new Date();
+  // Activate first so readers never see a key without an active version; in
+  // between, they pick the most recently activated one
+  await PromptTemplate.updateOne(
+    { _id: target._id },
+    { $set: { isActive: true, activatedAt } }
+  );
+  await PromptTemplate.updateMany(
+    { key, isActive: true, _id: { $ne: target._id } },
+    { $set: { isActive: false } }
+  );
+  return { ...target, isActive: true, activatedAt };
+};
+
+/**
+ * Save edited content as the next version of a template, activating it unless
+ * `activate` is false (useful for staging a change before a dry run).
+ */
+const createTemplateVersion = async (
+  key,
+  { content, notes = '', activate = true, actor = null } = {}
+) => {
+  assertKnownKey(key);
+  const normalizedContent = normalizeContent(content);
+  // Make sure v1 exists so a first edit becomes v2 and the default stays recoverable
+  await getActiveTemplate(key);
+
+  let created = null;
+  for (let attempt = 1; !created; attempt += 1) {
+    const latest = await PromptTemplate.findOne({ key }).sort({ version: -1 }).lean();
+    if (latest && latest.content === normalizedContent) {
+      throw createHttpError(`Content is identical to version ${latest.version}`, 409);
+    }
+
+    try {
+      created = await PromptTemplate.create({
+        key,
+        version: (latest?.version || 0) + 1,
+        content: normalizedContent,
+        notes: typeof notes === 'string' ? notes.trim().slice(0, 500) : '',
+        author: {
+          accountId: actor?.accountId || null,
+          name: actor?.name || '',
+        },
+      });
+    } catch (error) {
+      // A concurrent edit took this version number; compare against it and
+      // take the next one
+      if (!isDuplicateKeyError(error) || attempt >= MAX_VERSION_ATTEMPTS) throw error;
+    }
+  }
+
+  if (activate) {
+    return activateTemplateVersion(key, created.version);
+  }
+  return created.toObject();
+};
+
+module.exports = {
+  PROMPT_TEMPLATE_KEYS,
+  getActiveTemplate,
+  listTemplates,
+  listTemplateVersions,
+  getTemplateVersion,
+  createTemplateVersion,
+  activateTemplateVersion,
+  toTemplateRef,
+};
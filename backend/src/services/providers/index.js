@@ -0,0 +1,47 @@
+const replicateProvider = require('./replicateProvider');
+const mockProvider = require('./mockProvider');
+
+/**
+ * Image providers run predictions, LoRA trainings and background removal.
+ * Every provider exposes the same shape and speaks Replicate's payload format
+ * (statuses `starting` / `processing` / `succeeded` / `failed` / `canceled`,
+ * `output`, `logs`, `metrics`), which is what the workflows persist:
+ *
+ * - `createPrediction({ version, input, webhook, webhook_events_filter })`
+ * - `getPrediction(id)` / `cancelPrediction(id)`
+ * - `createModel(owner, name, options)`
+ * - `createTraining(owner, project, version, { input, destination, webhook, webhook_events_filter })`
+ * - `getTraining(id)` / `cancelTraining(id)`
+ * - `removeBackground(image)` - resolves to a URL, buffer or file output
+ * - `backgroundRemovalModel` - model name recorded in usage accounting
+ * - `parseWebhook(req)` - resolves the `{ eventType, payload }` of a callback
+ * - `validateConfig()` - called once on boot
+ * - `supportsWebhooks` - when false, status updates come from polling only
+ */
+const PROVIDERS = {
+  [replicateProvider.name]: replicateProvider,
+  [mockProvider.name]: mockProvider,
+};
+
+const getActiveProviderName = () =>
+  (process.env.IMAGE_PROVIDER || replicateProvider.name).trim().toLowerCase();
+
+const getImageProvider = (name = getActiveProviderName()) => {
+  const provider = PROVIDERS[name];
+  if (!provider) {
+    throw new Error(
+      `Unknown image provider "${name}". Expected one of: ${Object.keys(PROVIDERS).join(', ')}`
+    );
+  }
+  return provider;
+};
+
+const hasImageProvider = (name) => Object.prototype.hasOwnProperty.call(PROVIDERS, name);
+
+const validateImageProvider = () => getImageProvider().validateConfig();
+
+module.exports = {
+  getImageProvider,
+  hasImageProvider,
+  validateImageProvider,
+};
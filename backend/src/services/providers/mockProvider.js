@@ -0,0 +1,212 @@
+const crypto = require('crypto');
+const { createCanvas } = require('canvas');
+
+const PREDICTION_DURATION_MS = Math.max(0, Number(process.env.MOCK_PREDICTION_DURATION_MS || 4000));
+const TRAINING_DURATION_MS = Math.max(0, Number(process.env.MOCK_TRAINING_DURATION_MS || 15000));
+const IMAGE_LONG_SIDE = Math.max(64, Number(process.env.MOCK_IMAGE_SIZE || 768));
+const FINAL_STATUSES = new Set(['succeeded', 'failed', 'canceled']);
+
+// Everything the mock needs to answer a status request is encoded in the id
+// itself, so predictions and trainings survive a server restart just like
+// real Replicate jobs do. Only cancellations are kept in memory.
+const canceledIds = new Set();
+
+const getBaseUrl = () =>
+  (process.env.MOCK_PROVIDER_BASE_URL || `http://localhost:${process.env.PORT || 5000}`).replace(
+    /\/$/,
+    ''
+  );
+
+const hash = (value) => crypto.createHash('sha256').update(String(value)).digest('hex');
+
+const encodeId = (kind, data) =>
+  `mock-${kind}-${Buffer.from(JSON.stringify(data)).toString('base64url')}`;
+
+const decodeId = (id, kind) => {
+  const prefix = `mock-${kind}-`;
+  if (typeof id !== 'string' || !id.startsWith(prefix)) {
+    throw new Error(`Mock ${kind} ${id} not found`);
+  }
+  try {
+    return JSON.parse(Buffer.from(id.slice(prefix.length), 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new Error(`Mock ${kind} ${id} not found`);
+  }
+};
+
+const resolveDimensions = (aspectRatio) => {
+  const [rawWidth, rawHeight] = String(aspectRatio || '1:1')
+    .split(':')
+    .map((part) => Number(part));
+  if (!(rawWidth > 0) || !(rawHeight > 0)) {
+    return { width: IMAGE_LONG_SIDE, height: IMAGE_LONG_SIDE };
+  }
+  const scale = IMAGE_LONG_SIDE / Math.max(rawWidth, rawHeight);
+  return { width: Math.round(rawWidth * scale), height: Math.round(rawHeight * scale) };
+};
+
+const resolveTimeline = (createdAt, durationMs) => {
+  const elapsed = Date.now() - createdAt;
+  const fraction = durationMs > 0 ? Math.min(1, Math.max(0, elapsed / durationMs)) : 1;
+  let status = 'processing';
+  if (fraction >= 1) status = 'succeeded';
+  else if (fraction < 0.15) status = 'starting';
+  return { status, fraction };
+};
+
+const buildPrediction = (id) => {
+  const data = decodeId(id, 'prediction');
+  const { status, fraction } = canceledIds.has(id)
+    ? { status: 'canceled', fraction: 0 }
+    : resolveTimeline(data.t, PREDICTION_DURATION_MS);
+  const percent = Math.round(fraction * 100);
+  const completedAt = new Date(data.t + PREDICTION_DURATION_MS).toISOString();
+
+  return {
+    id,
+    version: data.v,
+    status,
+    created_at: new Date(data.t).toISOString(),
+    started_at: new Date(data.t).toISOString(),
+    completed_at: FINAL_STATUSES.has(status) ? completedAt : null,
+    logs: `mock: rendering ${data.n} image(s) (${percent}%)`,
+    metrics: { progress: fraction },
+    error: null,
+    output:
+      status === 'succeeded'
+        ? Array.from(
+            { length: data.n },
+            (_, index) => `${getBaseUrl()}/mock-provider/outputs/${encodeURIComponent(id)}/${index}`
+          )
+        : null,
+  };
+};
+
+const buildTraining = (id) => {
+  const data = decodeId(id, 'training');
+  const { status, fraction } = canceledIds.has(id)
+    ? { status: 'canceled', fraction: 0 }
+    : resolveTimeline(data.t, TRAINING_DURATION_MS);
+  const percent = Math.round(fraction * 100);
+
+  return {
+    id,
+    status,
+    created_at: new Date(data.t).toISOString(),
+    completed_at: FINAL_STATUSES.has(status)
+      ? new Date(data.t + TRAINING_DURATION_MS).toISOString()
+      : null,
+    logs: `flux_train_replicate: ${percent}% mock training step`,
+    metrics: { progress: fraction },
+    error: null,
+    output:
+      status === 'succeeded'
+        ? { version: `${data.d || 'mock/model'}:${hash(id)}`, weights: null }
+        : null,
+  };
+};
+
+const createPrediction = async ({ version, input = {} }) => {
+  const id = encodeId('prediction', {
+    t: Date.now(),
+    v: version || null,
+    s: hash(JSON.stringify({ version, input })).slice(0, 8),
+    n: Math.min(Math.max(Number(input.num_outputs) || 1, 1), 4),
+    f: input.output_format === 'jpg' ? 'jpg' : 'png',
+    a: input.aspect_ratio || '1:1',
+  });
+  return buildPrediction(id);
+};
+
+const createTraining = async (owner, project, version, options = {}) => {
+  const id = encodeId('training', {
+    t: Date.now(),
+    s: hash(JSON.stringify({ owner, project, version, input: options.input })).slice(0, 8),
+    d: options.destination || null,
+  });
+  return buildTraining(id);
+};
+
+const cancel = (build) => async (id) => {
+  const current = build(id);
+  if (!FINAL_STATUSES.has(current.status)) {
+    canceledIds.add(id);
+  }
+  return build(id);
+};
+
+/**
+ * Render one placeholder output of a mock prediction. The image depends only
+ * on the prediction's prompt/config hash and the output index.
+ */
+const renderOutput = ({ predictionId, index }) => {
+  const data = decodeId(predictionId, 'prediction');
+  const outputIndex = Number(index);
+  if (!Number.isInteger(outputIndex) || outputIndex < 0 || outputIndex >= data.n) {
+    throw new Error(`Mock output ${index} not found`);
+  }
+
+  const { width, height } = resolveDimensions(data.a);
+  const canvas = createCanvas(width, height);
+  const ctx = canvas.getContext('2d');
+  const hue = (parseInt(data.s.slice(0, 4), 16) + outputIndex * 47) % 360;
+
+  const gradient = ctx.createLinearGradient(0, 0, width, height);
+  gradient.addColorStop(0, `hsl(${hue}, 65%, 72%)`);
+  gradient.addColorStop(1, `hsl(${(hue + 40) % 360}, 60%, 45%)`);
+  ctx.fillStyle = gradient;
+  ctx.fillRect(0, 0, width, height);
+
+  // A simple figure so overlays and background removal have something to frame
+  const unit = Math.min(width, height);
+  ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+  ctx.beginPath();
+  ctx.arc(width / 2, height * 0.38, unit * 0.12, 0, Math.PI * 2);
+  ctx.fill();
+  ctx.beginPath();
+  ctx.ellipse(width / 2, height * 0.72, unit * 0.2, unit * 0.22, 0, 0, Math.PI * 2);
+  ctx.fill();
+
+  ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+  ctx.textAlign = 'center';
+  ctx.font = `bold ${Math.round(unit * 0.08)}px sans-serif`;
+  ctx.fillText('MOCK', width / 2, height * 0.12);
+  ctx.font = `${Math.round(unit * 0.04)}px sans-serif`;
+  ctx.fillText(`#${outputIndex + 1} · ${data.s}`, width / 2, height * 0.95);
+
+  const isJpeg = data.f === 'jpg';
+  return {
+    buffer: isJpeg ? canvas.toBuffer('image/jpeg') : canvas.toBuffer('image/png'),
+    contentType: isJpeg ? 'image/jpeg' : 'image/png',
+  };
+};
+
+const parseWebhook = (req) => {
+  const payload = req.body;
+  const eventType =
+    payload?.event || (FINAL_STATUSES.has(payload?.status) ? 'completed' : 'update');
+  return { eventType, payload };
+};
+
+const validateConfig = () => {
+  console.log('🧪 Mock image provider enabled - no Replicate calls will be made');
+};
+
+module.exports = {
+  name: 'mock',
+  // Status is picked up by the poll jobs, so no public webhook URL is needed
+  supportsWebhooks: false,
+  createPrediction,
+  getPrediction: async (predictionId) => buildPrediction(predictionId),
+  cancelPrediction: cancel(buildPrediction),
+  createModel: async (owner, name) => ({ owner, name, visibility: 'private' }),
+  createTraining,
+  getTraining: async (trainingId) => buildTraining(trainingId),
+  cancelTraining: cancel(buildTraining),
+  // Placeholder renders have no real background, so the source image is returned as-is
+  backgroundRemovalModel: 'mock/remove-background',
+  removeBackground: async (image) => image,
+  parseWebhook,
+  validateConfig,
+  renderOutput,
+};
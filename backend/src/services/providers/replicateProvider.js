@@ -0,0 +1,46 @@
+const { replicate } = require('../../config/replicate');
+
+const BACKGROUND_REMOVAL_MODEL = 'bria/remove-background';
+const FINAL_STATUSES = new Set(['succeeded', 'failed', 'canceled']);
+
+const parseWebhook = (req) => {
+  const payload = req.body;
+  const headerEvent = req.get('x-replicate-event');
+  let eventType = 'update';
+  if (headerEvent) {
+    eventType = headerEvent;
+  } else if (payload?.event) {
+    eventType = payload.event;
+  } else if (FINAL_STATUSES.has(payload?.status)) {
+    eventType = 'completed';
+  }
+  return { eventType, payload };
+};
+
+const validateConfig = () => {
+  if (!process.env.REPLICATE_API_TOKEN) {
+    console.error('❌ REPLICATE_API_TOKEN is not set in environment variables');
+    process.exit(1);
+  }
+  console.log('✅ Replicate API token configured');
+};
+
+module.exports = {
+  name: 'replicate',
+  supportsWebhooks: true,
+  createPrediction: (options) => replicate.predictions.create(options),
+  getPrediction: (predictionId) => replicate.predictions.get(predictionId),
+  cancelPrediction: (predictionId) => replicate.predictions.cancel(predictionId),
+  createModel: (owner, name, options) => replicate.models.create(owner, name, options),
+  createTraining: (owner, project, version, options) =>
+    replicate.trainings.create(owner, project, version, options),
+  getTraining: (trainingId) => replicate.trainings.get(trainingId),
+  cancelTraining: (trainingId) => replicate.trainings.cancel(trainingId),
+  backgroundRemovalModel: BACKGROUND_REMOVAL_MODEL,
+  removeBackground: (image) =>
+    replicate.run(BACKGROUND_REMOVAL_MODEL, {
+      input: { image },
+    }),
+  parseWebhook,
+  validateConfig,
+};
@@ -1,41 +1,8 @@
 const fetch = require('node-fetch');
+const { getActiveTemplate, toTemplateRef } = require('./promptTemplates');
+const { recordOpenRouterUsage } = require('./usageTracking');
 
 const OPENROUTER_API_URL = 'https://openrouter.ai/api/v1/chat/completions';
-const RANKING_SYSTEM_PROMPT = `You are an art director for a children's storytelling studio. Given a user prompt, the child's reference details (name, gender, age), and four candidate images of the same child, rank the images best to worst.
-
-Evaluate each image on these equally weighted criteria:
-1. Facial likeness — the child's face must be clear, realistic, and consistent with the profile.
-2. Body anatomy & proportions — limbs, posture, and scale should be natural and child-appropriate.
-3. Wardrobe suitability — clothing should fit the prompt context, be neat, and appropriate for a child.
-4. Composition & framing — the child should be centered or artfully framed, with minimal clipping.
-5. Identity fidelity — the child must align with the provided gender and approximate age. Penalize any mismatched gender presentation or age-inappropriate depiction (e.g., toddler vs teenager).
-6. Technical quality — lighting, background coherence, and absence of AI artifacts or hallucinated elements.
-
-Return strict JSON with this schema:
-{
-  "summary": "short paragraph",
-  "promptReflection": "one sentence about prompt alignment",
-  "ranked": [
-    {
-      "imageIndex": <1-4>,
-      "rank": <1-4>,
-      "score": <0-100 integer>,
-      "verdict": "excellent" | "good" | "fair" | "poor",
-      "notes": "<=160 characters describing strengths/weaknesses"
-    }
-  ],
-  "winners": [<imageIndex of best image>]
-}
-
-Rules:
-- Ranks must be unique integers: 1 is best.
-- Scores must correlate with rank (higher rank => higher score, no ties).
-- Always provide notes for each image referencing at least one criterion.
-- Call out any mismatches with the child's profile (gender, age) explicitly in the notes and lower the score accordingly.
-- If you detect fatal issues (severe distortions, wrong subject, multiple people) lower the score drastically and explain why.
-- You must base every judgment strictly on the actual visual evidence. Avoid assumptions or invented details not present in the image.
-- Use the provided image indices (1..4) exactly.
-`;
 
 const clampScore = (value, fallback = 0) => {
   const num = Number(value);
@@ -96,7 +63,25 @@ const inferChildDescriptor = (profile) => {
     : 'Child profile not provided; prefer images that present a child consistent with the prompt.';
 };
 
-async function rankGeneratedImages({ prompt, assets, childProfile }) {
+const resolveRankingModel = (model) =>
+  model ||
+  process.env.OPENROUTER_RANK_MODEL ||
+  process.env.OPENROUTER_MODEL ||
+  'openai/gpt-4o-mini-2024-07-18';
+
+/**
+ * Send the candidate images to the ranking model and return the raw message
+ * content. Split from parsing so the golden-set harness can record and replay
+ * responses.
+ */
+async function requestRankingCompletion({
+  prompt,
+  assets,
+  childProfile,
+  template = null,
+  model = null,
+  usageContext = {},
+}) {
   if (!process.env.OPENROUTER_API_KEY) {
     throw new Error('OPENROUTER_API_KEY is not configured for ranking');
   }
@@ -109,19 +94,20 @@ async function rankGeneratedImages({ prompt, assets, childProfile }) {
   const childDescriptor = inferChildDescriptor(profile);
 
   const userContent = buildUserContent({ prompt, assets, childDescriptor });
+  const systemTemplate = template || (await getActiveTemplate('ranker'));
+  const resolvedModel = resolveRankingModel(model);
 
   const payload = {
-    model:
-      process.env.OPENROUTER_RANK_MODEL ||
-      process.env.OPENROUTER_MODEL ||
-      'openai/gpt-4o-mini-2024-07-18',
+    model: resolvedModel,
     response_format: { type: 'json_object' },
+    usage: { include: true },
     messages: [
-      { role: 'system', content: RANKING_SYSTEM_PROMPT },
+      { role: 'system', content: systemTemplate.content },
       { role: 'user', content: userContent },
     ],
   };
 
+  const startedAt = Date.now();
   const response = await fetch(OPENROUTER_API_URL, {
     method: 'POST',
     headers: {
@@ -145,11 +131,31 @@ async function rankGeneratedImages({ prompt, assets, childProfile }) {
     throw new Error(`Ranking model error: ${errMessage}`);
   }
 
+  await recordOpenRouterUsage({
+    operation: 'ranking',
+    model: resolvedModel,
+    completion: data,
+    durationMs: Date.now() - startedAt,
+    context: usageContext,
+  });
+
   const messageContent = data?.choices?.[0]?.message?.content;
   if (!messageContent) {
     throw new Error('Ranking model returned empty content');
   }
 
+  return {
+    content: messageContent,
+    model: resolvedModel,
+    promptTemplate: toTemplateRef(systemTemplate),
+    childProfile: profile,
+  };
+}
+
+/**
+ * Parse and normalise a ranking response for `assetCount` candidate images.
+ */
+function parseRankingCompletion(messageContent, { assetCount }) {
   let parsed;
   try {
     parsed = JSON.parse(messageContent);
@@ -193,7 +199,7 @@ async function rankGeneratedImages({ prompt, assets, childProfile }) {
   const sorted = cleanedRanked.slice().sort((a, b) => a.rank - b.rank);
   sorted.forEach((entry, idx) => {
     entry.rank = idx + 1;
-    if (!Number.isInteger(entry.imageIndex) || entry.imageIndex < 1 || entry.imageIndex > assets.length) {
+    if (!Number.isInteger(entry.imageIndex) || entry.imageIndex < 1 || entry.imageIndex > assetCount) {
       entry.imageIndex = idx + 1;
     }
   });
@@ -201,7 +207,7 @@ async function rankGeneratedImages({ prompt, assets, childProfile }) {
   const winners = Array.isArray(parsed?.winners) && parsed.winners.length
     ? parsed.winners
         .map((item) => clampScore(item, 1))
-        .filter((item) => item >= 1 && item <= assets.length)
+        .filter((item) => item >= 1 && item <= assetCount)
     : [sorted[0].imageIndex];
 
   return {
@@ -210,10 +216,21 @@ async function rankGeneratedImages({ prompt, assets, childProfile }) {
     ranked: sorted,
     winners,
     raw: parsed,
-    childProfile: profile,
+  };
+}
+
+async function rankGeneratedImages(options) {
+  const { content, promptTemplate, childProfile } = await requestRankingCompletion(options);
+  return {
+    ...parseRankingCompletion(content, { assetCount: options.assets.length }),
+    childProfile,
+    promptTemplate,
   };
 }
 
 module.exports = {
   rankGeneratedImages,
+  resolveRankingModel,
+  requestRankingCompletion,
+  parseRankingCompletion,
 };
@@ -0,0 +1,300 @@
+const StorybookJob = require('../models/StorybookJob');
+const AutomationRun = require('../models/AutomationRun');
+const SpendCounter = require('../models/SpendCounter');
+
+const toLimit = (value, fallback) => {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) && parsed >= 0 ? Math.floor(parsed) : fallback;
+};
+
+// Paid prediction caps; 0 disables a guard. The page cap spans page attempts and
+// provider retries, which would otherwise multiply
+// (STORYBOOK_PAGE_GENERATION_ATTEMPTS × GENERATION_MAX_ATTEMPTS).
+const SPEND_LIMITS = {
+  run: toLimit(process.env.STORYBOOK_RUN_MAX_PREDICTIONS, 150),
+  page: toLimit(process.env.STORYBOOK_PAGE_MAX_PREDICTIONS, 5),
+  daily: toLimit(process.env.DAILY_MAX_PREDICTIONS, 1000),
+};
+
+const DEFAULT_APPROVAL_PREDICTIONS = Math.max(
+  1,
+  toLimit(process.env.SPEND_GUARD_APPROVAL_PREDICTIONS, 10)
+);
+
+const BUDGET_EXCEEDED = 'BUDGET_EXCEEDED';
+
+const createHttpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const createBudgetError = ({ guard, limit, pageOrder = null }) => {
+  const messages = {
+    daily: `Daily limit of ${limit} paid predictions reached`,
+    run: `Storybook run reached its limit of ${limit} paid predictions`,
+    page: `Page ${pageOrder} reached its limit of ${limit} paid predictions`,
+  };
+  const error = createHttpError(`Budget exceeded: ${messages[guard]}`, 429);
+  error.code = BUDGET_EXCEEDED;
+  error.guard = guard;
+  error.limit = limit;
+  error.pageOrder = pageOrder;
+  return error;
+};
+
+const isBudgetExceededError = (error) => error?.code === BUDGET_EXCEEDED;
+
+const dailyCounterKey = (date = new Date()) => `predictions:${date.toISOString().slice(0, 10)}`;
+
+// Approved allowances raise the configured limit for the run, page or day they were granted for
+const allowedPredictions = (limit, extraPredictions) => limit + (extraPredictions || 0);
+
+const withinLimit = (countPath, extraPath, limit) => ({
+  $lt: [{ $ifNull: [countPath, 0] }, { $add: [limit, { $ifNull: [extraPath, 0] }] }],
+});
+
+const ensureDailyCounter = async (key) => {
+  try {
+    await SpendCounter.updateOne(
+      { key },
+      { $setOnInsert: { count: 0, allowance: 0 } },
+      { upsert: true }
+    );
+  } catch (error) {
+    // A concurrent dispatch created it first
+    if (error?.code !== 11000) throw error;
+  }
+};
+
+const matchesPage = (page, { pageId, pageOrder }) =>
+  pageId ? String(page.pageId) === String(pageId) : page.order === pageOrder;
+
+const pageArrayFilter = ({ pageId, pageOrder }) =>
+  pageId ? { 'page.pageId': pageId } : { 'page.order': pageOrder };
+
+const reserveDailyPrediction = async () => {
+  const limit = SPEND_LIMITS.daily;
+  if (!limit) return null;
+
+  const key = dailyCounterKey();
+  await ensureDailyCounter(key);
+  const counter = await SpendCounter.findOneAndUpdate(
+    { key, $expr: withinLimit('$count', '$allowance', limit) },
+    { $inc: { count: 1 } },
+    { new: true }
+  );
+  if (!counter) {
+    const current = await SpendCounter.findOne({ key }).select('allowance').lean();
+    throw createBudgetError({ guard: 'daily', limit: limit + (current?.allowance || 0) });
+  }
+  return () => SpendCounter.updateOne({ key }, { $inc: { count: -1 } });
+};
+
+const findRunId = async (filter) => (await AutomationRun.findOne(filter).select('_id').lean())?._id;
+
+/**
+ * Find the document that holds the run cap for a prediction: the AutomationRun
+ * it was made for (its training, page generations and background removals),
+ * or the StorybookJob itself for storybook runs started outside automation.
+ */
+const resolveRunBudget = async ({
+  automationRunId = null,
+  storybookJobId = null,
+  trainingId = null,
+  operation = null,
+} = {}) => {
+  let runId = automationRunId;
+  if (!runId && storybookJobId) {
+    const job = await StorybookJob.findById(storybookJobId).select('automationRunId').lean();
+    runId = job?.automationRunId || (await findRunId({ storybookJobId }));
+  }
+  // A model trained by an automation run is also used later for unrelated generations
+  if (!runId && operation === 'training' && trainingId) {
+    runId = await findRunId({ trainingId });
+  }
+
+  if (runId) return { Model: AutomationRun, id: runId };
+  if (storybookJobId) return { Model: StorybookJob, id: storybookJobId };
+  return null;
+};
+
+const reserveRunPrediction = async (budget) => {
+  const limit = SPEND_LIMITS.run;
+  if (!limit || !budget) return null;
+
+  const { Model, id } = budget;
+  const reserved = await Model.findOneAndUpdate(
+    { _id: id, $expr: withinLimit('$budget.predictions', '$budget.extraPredictions', limit) },
+    { $inc: { 'budget.predictions': 1 } },
+    { new: true, projection: { _id: 1 } }
+  );
+  if (!reserved) {
+    const current = await Model.findById(id).select('budget').lean();
+    if (!current) return null;
+    throw createBudgetError({
+      guard: 'run',
+      limit: limit + (current.budget?.extraPredictions || 0),
+    });
+  }
+  return () => Model.updateOne({ _id: id }, { $inc: { 'budget.predictions': -1 } });
+};
+
+// Attempts for one page run one after another, so a read-then-increment is enough here
+const reservePagePrediction = async ({ jobId, pageId, pageOrder }) => {
+  const limit = SPEND_LIMITS.page;
+  if (!limit) return null;
+
+  const job = await StorybookJob.findById(jobId)
+    .select('pages.pageId pages.order pages.predictions pages.extraPredictions')
+    .lean();
+  const page = job?.pages?.find((entry) => matchesPage(entry, { pageId, pageOrder }));
+  if (!page) return null;
+
+  const allowed = limit + (page.extraPredictions || 0);
+  if ((page.predictions || 0) >= allowed) {
+    throw createBudgetError({ guard: 'page', limit: allowed, pageOrder: page.order });
+  }
+
+  const arrayFilters = [pageArrayFilter({ pageId, pageOrder })];
+  await StorybookJob.updateOne(
+    { _id: jobId },
+    { $inc: { 'pages.$[page].predictions': 1 } },
+    { arrayFilters }
+  );
+  return () =>
+    StorybookJob.updateOne(
+      { _id: jobId },
+      { $inc: { 'pages.$[page].predictions': -1 } },
+      { arrayFilters }
+    );
+};
+
+const releasePrediction = async (releases = []) => {
+  for (const release of releases) {
+    try {
+      await release();
+    } catch (error) {
+      console.error('⚠️  Failed to release spend guard reservation:', error.message);
+    }
+  }
+};
+
+/**
+ * Count one paid provider call (prediction, training or background removal)
+ * against the daily cap, the run cap of the automation run or storybook job in
+ * `context`, and, when a page is given, the page cap. `context` takes the same
+ * ids as usage records. Throws a 429 `BUDGET_EXCEEDED` error when a cap is
+ * reached; otherwise returns the reservation to hand to `releasePrediction` if
+ * the provider call never happens.
+ */
+const reservePrediction = async (context = {}) => {
+  const releases = [];
+  try {
+    releases.push(await reserveDailyPrediction());
+    releases.push(await reserveRunPrediction(await resolveRunBudget(context)));
+    const hasPage = Boolean(context.pageId) || Number.isFinite(context.pageOrder);
+    if (context.storybookJobId && hasPage) {
+      releases.push(
+        await reservePagePrediction({
+          jobId: context.storybookJobId,
+          pageId: context.pageId,
+          pageOrder: context.pageOrder,
+        })
+      );
+    }
+  } catch (error) {
+    await releasePrediction(releases.filter(Boolean));
+    throw error;
+  }
+  return releases.filter(Boolean);
+};
+
+/**
+ * Check the caps without reserving anything. Returns the budget error for the
+ * first guard that is already exhausted, or null.
+ */
+const findSpendGuardTrip = async ({ jobId, pageId = null, pageOrder = null }) => {
+  if (SPEND_LIMITS.daily) {
+    const counter = await SpendCounter.findOne({ key: dailyCounterKey() }).lean();
+    const allowed = allowedPredictions(SPEND_LIMITS.daily, counter?.allowance);
+    if (counter && counter.count >= allowed) {
+      return createBudgetError({ guard: 'daily', limit: allowed });
+    }
+  }
+
+  const job = await StorybookJob.findById(jobId)
+    .select('pages.pageId pages.order pages.predictions pages.extraPredictions')
+    .lean();
+  if (!job) return null;
+
+  if (SPEND_LIMITS.run) {
+    const runBudget = await resolveRunBudget({ storybookJobId: jobId });
+    const { budget } = (await runBudget.Model.findById(runBudget.id).select('budget').lean()) || {};
+    const allowed = allowedPredictions(SPEND_LIMITS.run, budget?.extraPredictions);
+    if ((budget?.predictions || 0) >= allowed) {
+      return createBudgetError({ guard: 'run', limit: allowed });
+    }
+  }
+
+  if (SPEND_LIMITS.page) {
+    const page = job.pages.find((entry) => matchesPage(entry, { pageId, pageOrder }));
+    const allowed = allowedPredictions(SPEND_LIMITS.page, page?.extraPredictions);
+    if (page && (page.predictions || 0) >= allowed) {
+      return createBudgetError({ guard: 'page', limit: allowed, pageOrder: page.order });
+    }
+  }
+
+  return null;
+};
+
+// Predictions an approval adds; the configured default when none is given
+const resolveApprovalAmount = (extraPredictions) => {
+  const amount = Number(extraPredictions ?? DEFAULT_APPROVAL_PREDICTIONS);
+  if (!Number.isInteger(amount) || amount < 1) {
+    throw createHttpError('extraPredictions must be a positive integer', 400);
+  }
+  return amount;
+};
+
+/**
+ * Raise the cap that paused a storybook run. Page allowances stay with the job,
+ * run allowances with its automation run (or the job when it has none); daily
+ * allowances only apply to the current UTC day.
+ */
+const grantSpendAllowance = async ({ guard, jobId, pageOrder = null, extraPredictions }) => {
+  const amount = resolveApprovalAmount(extraPredictions);
+
+  if (guard === 'daily') {
+    const key = dailyCounterKey();
+    await ensureDailyCounter(key);
+    await SpendCounter.updateOne({ key }, { $inc: { allowance: amount } });
+  } else if (guard === 'run') {
+    const { Model, id } = await resolveRunBudget({ storybookJobId: jobId });
+    await Model.updateOne({ _id: id }, { $inc: { 'budget.extraPredictions': amount } });
+  } else if (guard === 'page') {
+    await StorybookJob.updateOne(
+      { _id: jobId },
+      { $inc: { 'pages.$[page].extraPredictions': amount } },
+      { arrayFilters: [{ 'page.order': pageOrder }] }
+    );
+  } else {
+    throw createHttpError(`Unknown spend guard "${guard}"`, 400);
+  }
+
+  return amount;
+};
+
+module.exports = {
+  SPEND_LIMITS,
+  DEFAULT_APPROVAL_PREDICTIONS,
+  toLimit,
+  allowedPredictions,
+  createBudgetError,
+  isBudgetExceededError,
+  reservePrediction,
+  releasePrediction,
+  findSpendGuardTrip,
+  grantSpendAllowance,
+  resolveApprovalAmount,
+};
@@ -0,0 +1,563 @@
+const User = require('../models/User');
+
+/**
+ * Story template engine shared by page text, quotes, cover/dedication copy and
+ * character prompts.
+ *
+ *   {name} {age} {hometown} {siblings} {siblingCount}   variables
+ *   {they} {them} {their} {theirs} {themselves}         pronouns for the child
+ *   {#if girl}…{else if age >= 6}…{else}…{/if}          conditionals
+ *   {siblingCount|plural:# brother:# brothers}          filters
+ *   {{ and }}                                           literal braces
+ *
+ * The casing of a variable follows the token: `{NAME}` upper-cases the value
+ * and `{Name}` capitalises it. Unknown variables are left in the text as
+ * written; `validateStoryTemplate` reports them before a book is saved.
+ */
+
+const createHttpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const PRONOUNS = {
+  male: {
+    subject: 'he',
+    object: 'him',
+    possessiveAdjective: 'his',
+    possessivePronoun: 'his',
+    reflexive: 'himself',
+  },
+  female: {
+    subject: 'she',
+    object: 'her',
+    possessiveAdjective: 'her',
+    possessivePronoun: 'hers',
+    reflexive: 'herself',
+  },
+  other: {
+    subject: 'they',
+    object: 'them',
+    possessiveAdjective: 'their',
+    possessivePronoun: 'theirs',
+    reflexive: 'themselves',
+  },
+};
+
+// Pronoun tokens and the form each one resolves to. The `gender*` tokens are
+// the original placeholders and keep working in existing books.
+const PRONOUN_TOKENS = {
+  they: 'subject',
+  them: 'object',
+  their: 'possessiveAdjective',
+  theirs: 'possessivePronoun',
+  themselves: 'reflexive',
+  gender: 'subject',
+  genderx: 'possessivePronoun',
+  gendery: 'object',
+  genderz: 'possessiveAdjective',
+  genderpos: 'possessiveAdjective',
+  genderper: 'object',
+};
+
+const STORY_TEMPLATE_VARIABLES = [
+  'name',
+  'age',
+  'hometown',
+  'siblings',
+  'siblingCount',
+  ...Object.keys(PRONOUN_TOKENS),
+];
+
+// Flags only usable inside `{#if …}`
+const STORY_TEMPLATE_CONDITIONS = ['boy', 'girl'];
+
+const STORY_TEMPLATE_FILTERS = ['upper', 'lower', 'capitalize', 'default', 'plural'];
+
+const VARIABLE_LOOKUP = new Map(
+  [...STORY_TEMPLATE_VARIABLES, ...STORY_TEMPLATE_CONDITIONS].map((key) => [
+    key.toLowerCase(),
+    key,
+  ])
+);
+
+const COMPARISON_OPERATORS = ['>=', '<=', '==', '!=', '>', '<'];
+
+const READER_FIELDS = 'name gender age hometown siblings';
+
+const normalizeGender = (value) => {
+  const gender = typeof value === 'string' ? value.trim().toLowerCase() : '';
+  if (gender === 'male' || gender === 'boy') return 'male';
+  if (gender === 'female' || gender === 'girl') return 'female';
+  return gender ? 'other' : '';
+};
+
+const getGenderPronouns = (gender) => PRONOUNS[normalizeGender(gender) || 'other'];
+
+const joinNames = (names) => {
+  if (names.length <= 1) return names[0] || '';
+  return `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}`;
+};
+
+/**
+ * Build the values a template can reference from a reader (or the pieces of
+ * one a caller already resolved).
+ */
+const buildStoryVariables = ({ name, gender, age, hometown, siblings } = {}) => {
+  const siblingNames = (Array.isArray(siblings) ? siblings : [])
+    .map((sibling) => (typeof sibling === 'string' ? sibling.trim() : ''))
+    .filter(Boolean);
+  const numericAge = Number(age);
+
+  return {
+    name: typeof name === 'string' ? name.trim() : '',
+    gender: normalizeGender(gender),
+    age: Number.isFinite(numericAge) && numericAge > 0 ? numericAge : null,
+    hometown: typeof hometown === 'string' ? hometown.trim() : '',
+    siblings: siblingNames,
+  };
+};
+
+/**
+ * Load the reader's profile and merge it with any name/gender the caller
+ * already settled on (job snapshots and request overrides win).
+ */
+const resolveReaderStoryVariables = async ({ readerId, readerName, readerGender } = {}) => {
+  const reader = readerId ? await User.findById(readerId).select(READER_FIELDS).lean() : null;
+  return buildStoryVariables({
+    name: readerName || reader?.name || '',
+    gender: readerGender || reader?.gender || '',
+    age: reader?.age,
+    hometown: reader?.hometown,
+    siblings: reader?.siblings,
+  });
+};
+
+const findClosingBrace = (source, start) => {
+  for (let index = start; index < source.length; index += 1) {
+    if (source[index] === '}') return index;
+    if (source[index] === '{') return -1;
+  }
+  return -1;
+};
+
+const splitArgs = (value) => value.split(':').map((part) => part.trim());
+
+const parseExpression = (body) => {
+  const [head, ...filterParts] = body.split('|');
+  const name = head.trim();
+  if (!/^[A-Za-z][A-Za-z0-9_]*$/.test(name)) {
+    return { error: 'is not a valid placeholder' };
+  }
+  const filters = filterParts.map((part) => {
+    const [filterName, ...args] = splitArgs(part);
+    return { name: filterName.toLowerCase(), args };
+  });
+  return { name, filters };
+};
+
+const parseCondition = (source) => {
+  let expression = source.trim();
+  let negate = false;
+  if (expression.startsWith('!') || /^not\s/i.test(expression)) {
+    negate = true;
+    expression = expression.replace(/^(!|not\s)\s*/i, '');
+  }
+
+  const operator = COMPARISON_OPERATORS.find((candidate) => expression.includes(candidate));
+  const [left, right] = operator
+    ? expression.split(operator).map((part) => part.trim())
+    : [expression.trim(), null];
+
+  if (!/^[A-Za-z][A-Za-z0-9_]*$/.test(left || '') || (operator && !right)) {
+    return { error: 'is not a valid condition' };
+  }
+
+  return {
+    negate,
+    name: left,
+    operator: operator || null,
+    value: right ? right.replace(/^["']|["']$/g, '') : null,
+  };
+};
+
+/**
+ * Parse a template into a node tree. Never throws: problems are collected in
+ * `errors` and the offending text is kept as a literal.
+ */
+const parseStoryTemplate = (source) => {
+  const errors = [];
+  const root = { nodes: [] };
+  const stack = [];
+  let current = root.nodes;
+  let text = '';
+  let index = 0;
+
+  const flushText = () => {
+    if (text) current.push({ type: 'text', value: text });
+    text = '';
+  };
+
+  while (index < source.length) {
+    const char = source[index];
+    if (char === '{' && source[index + 1] === '{') {
+      text += '{';
+      index += 2;
+      continue;
+    }
+    if (char === '}' && source[index + 1] === '}') {
+      text += '}';
+      index += 2;
+      continue;
+    }
+    if (char !== '{') {
+      text += char;
+      index += 1;
+      continue;
+    }
+
+    const end = findClosingBrace(source, index + 1);
+    if (end === -1) {
+      errors.push({ token: source.slice(index, index + 20), message: 'has no closing brace' });
+      text += char;
+      index += 1;
+      continue;
+    }
+
+    const raw = source.slice(index, end + 1);
+    const body = raw.slice(1, -1).trim();
+    index = end + 1;
+
+    if (/^#if\s/i.test(body)) {
+      const condition = parseCondition(body.slice(3));
+      if (condition.error) {
+        errors.push({ token: raw, message: condition.error });
+        text += raw;
+        continue;
+      }
+      flushText();
+      const block = { type: 'if', raw, branches: [{ condition, nodes: [] }], otherwise: null };
+      current.push(block);
+      stack.push(block);
+      current = block.branches[0].nodes;
+    } else if (/^else(\s+if\s|$)/i.test(body)) {
+      const block = stack[stack.length - 1];
+      if (!block || block.otherwise) {
+        errors.push({ token: raw, message: block ? 'follows {else}' : 'has no matching {#if}' });
+        text += raw;
+        continue;
+      }
+      flushText();
+      if (/^else$/i.test(body)) {
+        block.otherwise = [];
+        current = block.otherwise;
+      } else {
+        const condition = parseCondition(body.replace(/^else\s+if\s/i, ''));
+        if (condition.error) {
+          errors.push({ token: raw, message: condition.error });
+        }
+        const branch = { condition: condition.error ? null : condition, nodes: [] };
+        block.branches.push(branch);
+        current = branch.nodes;
+      }
+    } else if (/^\/if$/i.test(body)) {
+      if (!stack.length) {
+        errors.push({ token: raw, message: 'has no matching {#if}' });
+        text += raw;
+        continue;
+      }
+      flushText();
+      stack.pop();
+      const parent = stack[stack.length - 1];
+      if (!parent) {
+        current = root.nodes;
+      } else {
+        current = parent.otherwise || parent.branches[parent.branches.length - 1].nodes;
+      }
+    } else {
+      const expression = parseExpression(body);
+      if (expression.error) {
+        errors.push({ token: raw, message: expression.error });
+        text += raw;
+        continue;
+      }
+      flushText();
+      current.push({ type: 'variable', raw, ...expression });
+    }
+  }
+
+  flushText();
+  stack.forEach((block) =>
+    errors.push({ token: block.raw, message: 'is never closed with {/if}' })
+  );
+  return { nodes: root.nodes, errors };
+};
+
+const applyCasing = (token, value) => {
+  if (!value) return value;
+  if (token.length > 1 && token === token.toUpperCase()) return value.toUpperCase();
+  if (token[0] === token[0].toUpperCase()) {
+    return `${value.charAt(0).toUpperCase()}${value.slice(1)}`;
+  }
+  return value;
+};
+
+const resolveValue = (name, variables, options) => {
+  const key = VARIABLE_LOOKUP.get(name.toLowerCase());
+  if (!key) return undefined;
+
+  if (PRONOUN_TOKENS[key]) {
+    return getGenderPronouns(variables.gender)[PRONOUN_TOKENS[key]];
+  }
+
+  switch (key) {
+    case 'name':
+      return options.uppercaseName ? variables.name.toUpperCase() : variables.name;
+    case 'age':
+      return variables.age;
+    case 'hometown':
+      return variables.hometown;
+    case 'siblings':
+      return variables.siblings;
+    case 'siblingCount':
+      return variables.siblings.length;
+    case 'boy':
+      return variables.gender === 'male';
+    case 'girl':
+      return variables.gender === 'female';
+    default:
+      return undefined;
+  }
+};
+
+const toText = (value) => {
+  if (Array.isArray(value)) return joinNames(value);
+  if (value === null || value === undefined || value === false) return '';
+  return String(value);
+};
+
+const toCount = (value) => (Array.isArray(value) ? value.length : Number(value) || 0);
+
+const applyFilters = (value, filters, text) =>
+  filters.reduce((result, filter) => {
+    switch (filter.name) {
+      case 'upper':
+        return result.toUpperCase();
+      case 'lower':
+        return result.toLowerCase();
+      case 'capitalize':
+        return `${result.charAt(0).toUpperCase()}${result.slice(1)}`;
+      case 'default':
+        return result || filter.args.join(':');
+      case 'plural': {
+        const count = toCount(value);
+        const [singular = '', plural = singular] = filter.args;
+        return (count === 1 ? singular : plural).replace(/#/g, String(count));
+      }
+      default:
+        return result;
+    }
+  }, text);
+
+const evaluateCondition = (condition, variables, options) => {
+  // `{gender}` prints a pronoun, but `{#if gender == girl}` tests the gender
+  if (condition.name.toLowerCase() === 'gender' && condition.operator) {
+    const matches = variables.gender === normalizeGender(condition.value);
+    const result = condition.operator === '!=' ? !matches : matches;
+    return condition.negate ? !result : result;
+  }
+
+  const value = resolveValue(condition.name, variables, options);
+  let result;
+  if (!condition.operator) {
+    result = Array.isArray(value) ? value.length > 0 : Boolean(value);
+  } else {
+    const numeric = Number(condition.value);
+    const left = Number.isFinite(numeric) ? toCount(value) : toText(value).toLowerCase();
+    const right = Number.isFinite(numeric) ? numeric : condition.value.toLowerCase();
+    switch (condition.operator) {
+      case '>=':
+        result = left >= right;
+        break;
+      case '<=':
+        result = left <= right;
+        break;
+      case '>':
+        result = left > right;
+        break;
+      case '<':
+        result = left < right;
+        break;
+      case '!=':
+        result = left !== right;
+        break;
+      default:
+        result = left === right;
+    }
+  }
+  return condition.negate ? !result : result;
+};
+
+const renderNodes = (nodes, variables, options) =>
+  nodes
+    .map((node) => {
+      if (node.type === 'text') return node.value;
+      if (node.type === 'if') {
+        const branch = node.branches.find(
+          ({ condition }) => condition && evaluateCondition(condition, variables, options)
+        );
+        const selected = branch ? branch.nodes : node.otherwise || [];
+        return renderNodes(selected, variables, options);
+      }
+      const value = resolveValue(node.name, variables, options);
+      if (value === undefined) return node.raw;
+      const rendered = applyFilters(value, node.filters, toText(value));
+      return node.filters.length ? rendered : applyCasing(node.name, rendered);
+    })
+    .join('');
+
+/**
+ * Render a template for one reader. `variables` comes from
+ * `buildStoryVariables`; pass `{ uppercaseName: true }` for cover copy.
+ */
+const renderStoryTemplate = (template, variables = {}, options = {}) => {
+  if (!template || typeof template !== 'string') {
+    return template || '';
+  }
+  const { nodes } = parseStoryTemplate(template);
+  return renderNodes(nodes, buildStoryVariables(variables), options);
+};
+
+const collectUnknownNames = (nodes, issues) => {
+  nodes.forEach((node) => {
+    if (node.type === 'variable') {
+      const key = VARIABLE_LOOKUP.get(node.name.toLowerCase());
+      if (!key || STORY_TEMPLATE_CONDITIONS.includes(key)) {
+        issues.push({ token: node.raw, variable: node.name, message: 'is not a known variable' });
+      }
+      node.filters
+        .filter((filter) => !STORY_TEMPLATE_FILTERS.includes(filter.name))
+        .forEach((filter) =>
+          issues.push({ token: node.raw, message: `uses unknown filter "${filter.name}"` })
+        );
+    } else if (node.type === 'if') {
+      node.branches.forEach(({ condition, nodes: branchNodes }) => {
+        if (condition && !VARIABLE_LOOKUP.has(condition.name.toLowerCase())) {
+          issues.push({
+            token: node.raw,
+            variable: condition.name,
+            message: `tests unknown variable "${condition.name}"`,
+          });
+        }
+        collectUnknownNames(branchNodes, issues);
+      });
+      collectUnknownNames(node.otherwise || [], issues);
+    }
+  });
+};
+
+/**
+ * List syntax errors and unknown variables in a single template.
+ */
+const validateStoryTemplate = (template) => {
+  if (!template || typeof template !== 'string') return [];
+  const { nodes, errors } = parseStoryTemplate(template);
+  const issues = [...errors];
+  collectUnknownNames(nodes, issues);
+  return issues;
+};
+
+const TEMPLATE_FIELDS = [
+  ['text', 'text'],
+  ['quote', 'quote'],
+  ['prompt', 'prompt'],
+  ['promptMale', 'male prompt'],
+  ['promptFemale', 'female prompt'],
+  ['characterPrompt', 'prompt'],
+  ['characterPromptMale', 'male prompt'],
+  ['characterPromptFemale', 'female prompt'],
+  ['headline', 'headline'],
+  ['footer', 'footer'],
+  ['bodyOverride', 'body'],
+  ['title', 'title'],
+  ['secondTitle', 'second title'],
+  ['mainTitle', 'main title'],
+  ['subtitle', 'subtitle'],
+  ['content', 'content'],
+  ['bottomText', 'bottom text'],
+];
+
+const collectFieldIssues = (source, label, issues) => {
+  if (!source || typeof source !== 'object') return;
+  // `prompt` and `characterPrompt` are aliases; report a shared value once
+  const seen = new Set();
+  TEMPLATE_FIELDS.forEach(([field, fieldLabel]) => {
+    const value = source[field];
+    const key = `${fieldLabel}:${value}`;
+    if (typeof value !== 'string' || seen.has(key)) return;
+    seen.add(key);
+    validateStoryTemplate(value).forEach((issue) =>
+      issues.push({
+        ...issue,
+        field: `${label} ${fieldLabel}`,
+        message: `${label} ${fieldLabel}: ${issue.token} ${issue.message}`,
+      })
+    );
+  });
+};
+
+/**
+ * Validate every templated field of a book (or a book payload): page text and
+ * its translations, prompts, the page cover overrides and the cover/dedication
+ * pages.
+ */
+const validateBookTemplates = ({ pages = [], coverPage = null, dedicationPage = null } = {}) => {
+  const issues = [];
+  (Array.isArray(pages) ? pages : []).forEach((page, index) => {
+    const label = `Page ${Number(page?.order) || index + 1}`;
+    collectFieldIssues(page, label, issues);
+    collectFieldIssues(page?.cover, `${label} cover`, issues);
+    (Array.isArray(page?.translations) ? page.translations : []).forEach((translation) =>
+      collectFieldIssues(translation, `${label} (${translation?.language})`, issues)
+    );
+  });
+  if (coverPage) {
+    collectFieldIssues(coverPage, 'Cover page', issues);
+    collectFieldIssues(coverPage.leftSide, 'Cover page', issues);
+    collectFieldIssues(coverPage.rightSide, 'Cover page', issues);
+  }
+  collectFieldIssues(dedicationPage, 'Dedication page', issues);
+  return issues;
+};
+
+/**
+ * Throw a 400 listing the problems when a book's templates would not render.
+ */
+const assertValidBookTemplates = (book) => {
+  const issues = validateBookTemplates(book);
+  if (issues.length) {
+    const error = createHttpError(
+      `Fix the story placeholders before continuing: ${issues
+        .slice(0, 5)
+        .map((issue) => issue.message)
+        .join('; ')}${issues.length > 5 ? ` (and ${issues.length - 5} more)` : ''}`,
+      400
+    );
+    error.issues = issues;
+    throw error;
+  }
+};
+
+module.exports = {
+  STORY_TEMPLATE_VARIABLES,
+  STORY_TEMPLATE_CONDITIONS,
+  STORY_TEMPLATE_FILTERS,
+  getGenderPronouns,
+  buildStoryVariables,
+  resolveReaderStoryVariables,
+  renderStoryTemplate,
+  validateStoryTemplate,
+  validateBookTemplates,
+  assertValidBookTemplates,
+};
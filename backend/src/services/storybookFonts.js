@@ -0,0 +1,373 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+const { registerFont } = require('canvas');
+const Book = require('../models/Book');
+const StorybookFont = require('../models/StorybookFont');
+const { FONT_ROLE_KEYS } = require('../config/fontRoles');
+const {
+  uploadBufferToS3,
+  deleteFromS3,
+  downloadFromS3,
+  generateFontKey,
+} = require('../config/s3');
+const {
+  FONT_FORMATS,
+  inspectFontBuffer,
+  openFont,
+  findFontCoverageIssues,
+  assertFontCoverage,
+} = require('../utils/fontCoverage');
+const { resolveCoverCopy } = require('../utils/coverGenerator');
+const { renderStoryTemplate } = require('./storyTemplates');
+const { getBookLanguage, resolvePageText } = require('./bookLanguages');
+
+const FONT_STYLES = ['normal', 'italic'];
+// Parsed font files kept in memory; a font's file never changes after upload
+const FONT_FILE_CACHE_LIMIT = 20;
+// Pango only loads fonts from disk, so uploaded files are written here first
+const CANVAS_FONT_DIR = path.join(os.tmpdir(), 'storybook-fonts');
+
+const fontFileCache = new Map();
+const registeredCanvasFonts = new Set();
+
+const createHttpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const toHttpError = (error) => {
+  if (error instanceof mongoose.Error.ValidationError) {
+    const first = Object.values(error.errors)[0];
+    return createHttpError(first?.message || error.message, 400);
+  }
+  if (error?.code === 11000) {
+    return createHttpError('A font with this family, weight and style already exists', 409);
+  }
+  return error;
+};
+
+const pickFontFields = (input = {}) => {
+  const fields = {};
+  ['name', 'family'].forEach((field) => {
+    if (input[field] === undefined) return;
+    fields[field] = typeof input[field] === 'string' ? input[field].trim() : '';
+  });
+  if (input.weight !== undefined && input.weight !== '') {
+    const weight = Number(input.weight);
+    if (!Number.isInteger(weight) || weight < 100 || weight > 900 || weight % 100 !== 0) {
+      throw createHttpError('weight must be one of 100, 200, ... 900', 400);
+    }
+    fields.weight = weight;
+  }
+  if (input.style !== undefined && input.style !== '') {
+    if (!FONT_STYLES.includes(input.style)) {
+      throw createHttpError(`style must be one of: ${FONT_STYLES.join(', ')}`, 400);
+    }
+    fields.style = input.style;
+  }
+  return fields;
+};
+
+const findFontOrThrow = async (fontId) => {
+  if (!mongoose.Types.ObjectId.isValid(fontId)) {
+    throw createHttpError('Invalid font id', 400);
+  }
+  const font = await StorybookFont.findById(fontId);
+  if (!font) {
+    throw createHttpError('Font not found', 404);
+  }
+  return font;
+};
+
+const listStorybookFonts = () =>
+  StorybookFont.find().sort({ family: 1, weight: 1, style: 1 }).lean();
+
+/**
+ * Store an uploaded font file in S3 with the metadata read from it. `name`,
+ * `family`, `weight` and `style` in `input` override what the file declares.
+ */
+const createStorybookFont = async ({ buffer, originalName, input = {} }, { actor } = {}) => {
+  if (!buffer || !buffer.length) {
+    throw createHttpError('Font file is required', 400);
+  }
+  let metadata;
+  try {
+    metadata = inspectFontBuffer(buffer);
+  } catch (error) {
+    throw createHttpError(`Could not read the font file: ${error.message}`, 400);
+  }
+
+  const fields = pickFontFields(input);
+  const family = fields.family || metadata.family;
+  if (!family) {
+    throw createHttpError('The font file has no family name; set one with the upload', 400);
+  }
+
+  const key = generateFontKey(originalName, metadata.format);
+  const { url } = await uploadBufferToS3(buffer, key, FONT_FORMATS[metadata.format]);
+  try {
+    const font = await StorybookFont.create({
+      name: fields.name || metadata.fullName || family,
+      family,
+      weight: fields.weight || metadata.weight,
+      style: fields.style || metadata.style,
+      format: metadata.format,
+      file: { key, url, size: buffer.length, originalName: originalName || null },
+      glyphCount: metadata.glyphCount,
+      characterCount: metadata.characterCount,
+      scripts: metadata.scripts,
+      coverage: metadata.coverage,
+      uploadedBy: { accountId: actor?.accountId || null, name: actor?.name || '' },
+    });
+    return font.toObject();
+  } catch (error) {
+    await deleteFromS3(key).catch((cleanupError) =>
+      console.warn(`⚠️  Failed to remove unused font file ${key}:`, cleanupError.message)
+    );
+    throw toHttpError(error);
+  }
+};
+
+// Metadata only; the file and its measured coverage stay as uploaded
+const updateStorybookFont = async (fontId, input) => {
+  const font = await findFontOrThrow(fontId);
+  const before = font.toObject();
+  const fields = pickFontFields(input);
+  if (fields.name === '' || fields.family === '') {
+    throw createHttpError('Font name and family cannot be empty', 400);
+  }
+  font.set(fields);
+  try {
+    await font.save();
+  } catch (error) {
+    throw toHttpError(error);
+  }
+  return { before, font: font.toObject() };
+};
+
+/**
+ * Books whose font selection points at `fontId`, as `{ _id, name }`.
+ */
+const findBooksUsingFont = (fontId) =>
+  Book.find({
+    $or: FONT_ROLE_KEYS.map((role) => ({ [`fonts.${role}`]: fontId })),
+  })
+    .select('name')
+    .lean();
+
+const deleteStorybookFont = async (fontId) => {
+  const font = await findFontOrThrow(fontId);
+  const books = await findBooksUsingFont(font._id);
+  if (books.length) {
+    const error = createHttpError(
+      `Font is still used by ${books.map((book) => book.name).join(', ')}`,
+      409
+    );
+    error.books = books;
+    throw error;
+  }
+  await font.deleteOne();
+  fontFileCache.delete(font._id.toString());
+  try {
+    await deleteFromS3(font.file.key);
+  } catch (error) {
+    console.warn(`⚠️  Failed to delete font file ${font.file.key}:`, error.message);
+  }
+  return font.toObject();
+};
+
+const loadFontFile = async (font) => {
+  const id = font._id.toString();
+  const cached = fontFileCache.get(id);
+  if (cached) {
+    fontFileCache.delete(id);
+    fontFileCache.set(id, cached);
+    return cached;
+  }
+  const buffer = await downloadFromS3(font.file.key);
+  if (!buffer || !buffer.length) {
+    throw new Error(`Font file ${font.file.key} is empty`);
+  }
+  const entry = { buffer, fontkit: openFont(buffer) };
+  fontFileCache.set(id, entry);
+  if (fontFileCache.size > FONT_FILE_CACHE_LIMIT) {
+    fontFileCache.delete(fontFileCache.keys().next().value);
+  }
+  return entry;
+};
+
+// Canvas family of an uploaded font; ids keep it clear of installed fonts
+const toCanvasFamily = (font) => `StorybookFont-${font._id}`;
+
+const registerCanvasFont = (font, buffer) => {
+  const id = font._id.toString();
+  if (registeredCanvasFonts.has(id)) return;
+  fs.mkdirSync(CANVAS_FONT_DIR, { recursive: true });
+  const filePath = path.join(CANVAS_FONT_DIR, `${id}.${font.format}`);
+  fs.writeFileSync(filePath, buffer);
+  registerFont(filePath, {
+    family: toCanvasFamily(font),
+    weight: String(font.weight || 400),
+    style: font.style || 'normal',
+  });
+  registeredCanvasFonts.add(id);
+};
+
+/**
+ * Check a font selection (`{ role: fontId | null }`) and return it with every
+ * role present, or null when no role has a font. Unknown roles are 400s.
+ */
+const normalizeFontSelection = async (selection) => {
+  if (selection === null) return null;
+  if (typeof selection !== 'object' || Array.isArray(selection)) {
+    throw createHttpError('fonts must be an object of font ids by role', 400);
+  }
+  const unknownRole = Object.keys(selection).find((role) => !FONT_ROLE_KEYS.includes(role));
+  if (unknownRole) {
+    throw createHttpError(`Unknown font role "${unknownRole}"`, 400);
+  }
+
+  const normalized = {};
+  for (const role of FONT_ROLE_KEYS) {
+    const fontId = selection[role] || null;
+    if (fontId) {
+      await findFontOrThrow(fontId);
+    }
+    normalized[role] = fontId;
+  }
+  return Object.values(normalized).some(Boolean) ? normalized : null;
+};
+
+/**
+ * Load the fonts a book chose, keyed by role, ready for both renderers:
+ * `buffer` for pdf-lib, `fontkit` for coverage checks and `canvasFamily`
+ * registered with canvas. A deleted font falls back to the bundled fonts.
+ * `selection` overrides the book's own (`{ role: fontId }`).
+ */
+const loadBookFonts = async (book, selection = book?.fonts) => {
+  const plain =
+    selection && typeof selection.toObject === 'function' ? selection.toObject() : selection;
+  const entries = Object.entries(plain || {}).filter(
+    ([role, fontId]) => FONT_ROLE_KEYS.includes(role) && fontId
+  );
+  if (!entries.length) return null;
+
+  const fonts = await StorybookFont.find({ _id: { $in: entries.map(([, id]) => id) } }).lean();
+  const fontsById = new Map(fonts.map((font) => [font._id.toString(), font]));
+  const loaded = {};
+  for (const [role, fontId] of entries) {
+    const font = fontsById.get(fontId.toString());
+    if (!font) {
+      console.warn(`⚠️  Font ${fontId} chosen for ${role} no longer exists; using the default`);
+      continue;
+    }
+    const { buffer, fontkit } = await loadFontFile(font);
+    let canvasFamily = null;
+    try {
+      registerCanvasFont(font, buffer);
+      canvasFamily = toCanvasFamily(font);
+    } catch (error) {
+      console.warn(`⚠️  Could not register font "${font.name}" with canvas:`, error.message);
+    }
+    loaded[role] = {
+      id: font._id.toString(),
+      name: font.name,
+      family: font.family,
+      weight: font.weight,
+      style: font.style,
+      buffer,
+      fontkit,
+      canvasFamily,
+    };
+  }
+  return Object.keys(loaded).length ? loaded : null;
+};
+
+/**
+ * Copy a book stores for each font role, in the shape assertFontCoverage
+ * takes. Placeholders are rendered from `variables`, or left empty before the
+ * reader is known; the PDF renderer checks the final copy again. Story text is
+ * taken in `language`, or in every language the book has when none is given.
+ */
+const collectBookCopy = (book, { variables = null, language = null } = {}) => {
+  const render = (value) => renderStoryTemplate(value || '', variables || {});
+  const copy = { cover: [], dedication: [], storyText: [], storyQuote: [] };
+
+  if (book.coverPage) {
+    const { leftSide = {}, rightSide = {} } = book.coverPage;
+    const coverCopy = resolveCoverCopy({
+      leftSide: {
+        title: render(leftSide.title),
+        content: render(leftSide.content),
+        bottomText: render(leftSide.bottomText),
+      },
+      rightSide: {
+        mainTitle: render(rightSide.mainTitle).toUpperCase(),
+        subtitle: render(rightSide.subtitle),
+      },
+      childName: variables?.name || '',
+    });
+    copy.cover.push({ location: 'cover', text: Object.values(coverCopy).join('\n') });
+  }
+  if (book.dedicationPage) {
+    const { title, secondTitle } = book.dedicationPage;
+    copy.dedication.push({
+      location: 'dedication page',
+      text: [render(title), render(secondTitle)].join('\n'),
+    });
+  }
+
+  const bookLanguage = getBookLanguage(book);
+  (book.pages || [])
+    .filter((page) => (page.pageType || 'story') === 'story')
+    .forEach((page) => {
+      const location = `page ${page.order}`;
+      if (language) {
+        copy.storyText.push({
+          location,
+          text: render(resolvePageText(page, language, bookLanguage)),
+        });
+        return;
+      }
+      copy.storyText.push({ location, text: render(page.text) });
+      (page.translations || []).forEach((translation) =>
+        copy.storyText.push({
+          location: `${location} (${translation.language})`,
+          text: render(translation.text),
+        })
+      );
+    });
+  return copy;
+};
+
+/**
+ * Glyph gaps between a book's stored copy and its fonts (or `selection`).
+ * Options are those of collectBookCopy.
+ */
+const checkBookFontCoverage = async (book, { selection, ...options } = {}) => {
+  const fonts = await loadBookFonts(book, selection === undefined ? book.fonts : selection);
+  return findFontCoverageIssues(fonts, collectBookCopy(book, options));
+};
+
+// Throws a 400 listing the gaps, before any generation is paid for
+const assertBookFontCoverage = async (book, options = {}) => {
+  const fonts = await loadBookFonts(book);
+  assertFontCoverage(fonts, collectBookCopy(book, options));
+};
+
+module.exports = {
+  FONT_STYLES,
+  listStorybookFonts,
+  createStorybookFont,
+  updateStorybookFont,
+  deleteStorybookFont,
+  findBooksUsingFont,
+  normalizeFontSelection,
+  loadBookFonts,
+  collectBookCopy,
+  checkBookFontCoverage,
+  assertBookFontCoverage,
+};
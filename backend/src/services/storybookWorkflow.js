@@ -5,6 +5,7 @@ const User = require('../models/User');
 const Training = require('../models/Training');
 const Generation = require('../models/Generation');
 const StorybookJob = require('../models/StorybookJob');
+const AutomationRun = require('../models/AutomationRun');
 const {
   uploadBufferToS3,
   generateBookCharacterOverlayKey,
@@ -16,6 +17,24 @@ const { generateStorybookPdf, removeBackground } = require('../utils/pdfGenerato
 const { emitStorybookUpdate } = require('./storybookEvents');
 const { dispatchGenerationAttempt, populateForClient, broadcastGeneration } = require('./generationWorkflow');
 const { subscribeToGenerationUpdates } = require('./generationEvents');
+const { ensureBaselineRevision, recordRevisionAfterSave } = require('./bookRevisions');
+const { loadBookFonts, assertBookFontCoverage } = require('./storybookFonts');
+const { registerJobHandler, enqueueJob } = require('./jobQueue');
+const { resolveGenerationTraining } = require('./trainingLifecycle');
+const { emitWebhookEvent } = require('./outboundWebhooks');
+const { getBookLanguage, resolvePageText, resolveRunLanguage } = require('./bookLanguages');
+const {
+  assertValidBookTemplates,
+  buildStoryVariables,
+  renderStoryTemplate,
+  resolveReaderStoryVariables,
+} = require('./storyTemplates');
+const {
+  findSpendGuardTrip,
+  grantSpendAllowance,
+  resolveApprovalAmount,
+  isBudgetExceededError,
+} = require('./spendGuards');
 
 const MAX_GENERATION_WAIT_TIME_MS = Number(process.env.STORYBOOK_PAGE_TIMEOUT_MS || 15 * 60 * 1000);
 const PAGE_CONCURRENCY = Math.max(
@@ -43,8 +62,21 @@ const STORYBOOK_PAGE_RETRY_BACKOFF_FACTOR = Math.max(
   toFiniteNumber(process.env.STORYBOOK_PAGE_RETRY_BACKOFF_FACTOR, 2)
 );
 
+// Share of the winner score taken from face similarity to the child's photos;
+// the rest comes from the LLM ranking score.
+const FACE_SIMILARITY_WEIGHT = Math.min(
+  1,
+  Math.max(0, toFiniteNumber(process.env.FACE_SIMILARITY_WEIGHT, 0.4))
+);
+
 const generationWaiters = new Map();
 
+const createHttpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
 const buildPreviewBatchId = () => {
   const timePart = Date.now().toString(36);
   const randomPart =
@@ -90,98 +122,6 @@ const slugify = (value) =>
     .replace(/[^a-z0-9]+/g, '-')
     .replace(/^-+|-+$/g, '');
 
-const getGenderPronouns = (gender) => {
-  if (!gender) {
-    return {
-      subject: '',
-      object: '',
-      possessiveAdjective: '',
-      possessivePronoun: '',
-    };
-  }
-
-  const lowerGender = gender.toLowerCase();
-  if (lowerGender === 'male') {
-    return {
-      subject: 'he',
-      object: 'him',
-      possessiveAdjective: 'his',
-      possessivePronoun: 'his',
-    };
-  }
-
-  if (lowerGender === 'female') {
-    return {
-      subject: 'she',
-      object: 'her',
-      possessiveAdjective: 'her',
-      possessivePronoun: 'hers',
-    };
-  }
-
-  return {
-    subject: 'they',
-    object: 'them',
-    possessiveAdjective: 'their',
-    possessivePronoun: 'theirs',
-  };
-};
-
-const applyPlaceholderCasing = (placeholder, value) => {
-  if (!value) return value;
-  const stringValue = String(value);
-  const core = placeholder.replace(/[{}]/g, '');
-  if (!core) return value;
-
-  if (core === core.toUpperCase()) {
-    return stringValue.toUpperCase();
-  }
-
-  if (core === core.toLowerCase()) {
-    return stringValue.toLowerCase();
-  }
-
-  if (core[0] === core[0].toUpperCase()) {
-    const normalised = stringValue.toLowerCase();
-    return `${normalised.charAt(0).toUpperCase()}${normalised.slice(1)}`;
-  }
-
-  return stringValue;
-};
-
-const replaceReaderPlaceholders = (value, readerName, readerGender) => {
-  if (!value || typeof value !== 'string') return value || '';
-  let result = value;
-
-  if (readerName) {
-    const upperName = readerName.toUpperCase();
-    result = result.replace(/\{name\}/gi, (matched) => {
-      const inner = matched.slice(1, -1);
-      if (inner === inner.toUpperCase()) {
-        return upperName;
-      }
-      return readerName;
-    });
-  }
-
-  if (readerGender) {
-    const pronouns = getGenderPronouns(readerGender);
-    const replacePronoun = (pattern, pronounValue) => {
-      if (!pronounValue) return;
-      result = result.replace(pattern, (match) => applyPlaceholderCasing(match, pronounValue));
-    };
-
-    replacePronoun(/\{gender\}/gi, pronouns.subject);
-    replacePronoun(/\{genderx\}/gi, pronouns.possessivePronoun);
-    replacePronoun(/\{gendery\}/gi, pronouns.object);
-    replacePronoun(/\{genderz\}/gi, pronouns.possessiveAdjective);
-    replacePronoun(/\{genderpos\}/gi, pronouns.possessiveAdjective);
-    replacePronoun(/\{genderper\}/gi, pronouns.object);
-  }
-
-  return result;
-};
-
 const normalizeCharacterPosition = (value, fallback = 'auto') => {
   if (typeof value === 'string') {
     const normalized = value.trim().toLowerCase();
@@ -335,7 +275,7 @@ const computeJobProgress = (job) => {
 };
 
 const computeEtaSeconds = (job, progress) => {
-  if (!job?.startedAt) return null;
+  if (!job?.startedAt || job.status === 'paused') return null;
   if (!Number.isFinite(progress) || progress <= 0 || progress >= 100) return null;
   const elapsedSeconds = (Date.now() - new Date(job.startedAt).getTime()) / 1000;
   if (elapsedSeconds <= 0) return null;
@@ -553,7 +493,7 @@ const resolveArrayFilterForPage = (page) => {
   return { 'page.order': page.order };
 };
 
-const copyAssetToBookCharacterSlot = async ({ book, page, asset }) => {
+const copyAssetToBookCharacterSlot = async ({ book, page, asset, usageContext = {} }) => {
   if (!asset?.key) {
     throw new Error('Generation asset is missing S3 key');
   }
@@ -613,12 +553,15 @@ const copyAssetToBookCharacterSlot = async ({ book, page, asset }) => {
   } else {
     console.log('[copyAssetToBookCharacterSlot] Calling Brio for page', page.order);
     try {
-      const removalBuffer = await removeBackground({
-        url: uploadedUrl,
-        signedUrl: signedUrl,
-        downloadUrl: uploadedUrl,
-        key: key,
-      });
+      const removalBuffer = await removeBackground(
+        {
+          url: uploadedUrl,
+          signedUrl: signedUrl,
+          downloadUrl: uploadedUrl,
+          key: key,
+        },
+        { bookId: book._id, ...usageContext }
+      );
       console.log('[copyAssetToBookCharacterSlot] Brio returned buffer length:', removalBuffer ? removalBuffer.length : null);
 
       if (removalBuffer && removalBuffer.length) {
@@ -631,6 +574,7 @@ const copyAssetToBookCharacterSlot = async ({ book, page, asset }) => {
         backgroundRemoved = false;
       }
     } catch (error) {
+      if (isBudgetExceededError(error)) throw error;
       console.warn(
         `[copyAssetToBookCharacterSlot] Background removal failed for page ${page.order}:`,
         error.message
@@ -728,6 +672,7 @@ const buildCoverPageContent = ({
   book,
   readerName,
   readerGender,
+  storyVariables = null,
   storyPages = [],
   jobPage = null,
 }) => {
@@ -755,6 +700,9 @@ const buildCoverPageContent = ({
   coverPage.characterImageOriginal = coverPage.characterImageOriginal || coverPage.characterImage || null;
   const coverPrompt = resolvePromptByGender(coverPage, readerGender);
   coverPage.characterPrompt = coverPrompt;
+  // Cover copy is rendered by the PDF generator, which reads these variables
+  const resolvedVariables =
+    storyVariables || buildStoryVariables({ name: readerName, gender: readerGender });
   const resolvedOrder = Number.isFinite(jobPage?.order) ? jobPage.order : 1;
 
   return {
@@ -779,6 +727,7 @@ const buildCoverPageContent = ({
     dedicationPage: null,
     prompt: coverPrompt || '',
     childName: readerName || '',
+    storyVariables: resolvedVariables,
   };
 };
 
@@ -786,6 +735,7 @@ const buildDedicationPageContent = ({
   book,
   readerName,
   readerGender,
+  storyVariables = null,
   storyPages = [],
   jobPage = null,
 }) => {
@@ -818,6 +768,8 @@ const buildDedicationPageContent = ({
     dedicationPage.generatedImageOriginal || dedicationPage.generatedImage || null;
   const dedicationPrompt = resolvePromptByGender(dedicationPage, readerGender);
   dedicationPage.characterPrompt = dedicationPrompt;
+  const resolvedVariables =
+    storyVariables || buildStoryVariables({ name: readerName, gender: readerGender });
   const resolvedOrder = Number.isFinite(jobPage?.order) ? jobPage.order : 1;
 
   return {
@@ -842,35 +794,21 @@ const buildDedicationPageContent = ({
     dedicationPage,
     prompt: dedicationPrompt || '',
     childName: readerName || '',
+    storyVariables: resolvedVariables,
   };
 };
 
-const preparePageStoryContent = ({ bookPage, jobPage, readerName, readerGender }) => {
+const preparePageStoryContent = ({
+  bookPage,
+  jobPage,
+  storyVariables,
+  language,
+  bookLanguage,
+}) => {
   const pageType = bookPage.pageType === 'cover' ? 'cover' : 'story';
   let cover = null;
 
-  const resolveCoverPlaceholder = (input, uppercaseName) => {
-    if (!input || typeof input !== 'string') return input || '';
-    if (!readerName) return input;
-    const replacement = uppercaseName ? (readerName || '').toUpperCase() : readerName;
-    let result = input.replace(/\{name\}/gi, replacement);
-    if (readerGender) {
-      const pronouns = getGenderPronouns(readerGender);
-      const replacePronoun = (pattern, pronounValue) => {
-        if (!pronounValue) return;
-        result = result.replace(pattern, (match) => applyPlaceholderCasing(match, pronounValue));
-      };
-      replacePronoun(/\{gender\}/gi, pronouns.subject);
-      replacePronoun(/\{genderx\}/gi, pronouns.possessivePronoun);
-      replacePronoun(/\{gendery\}/gi, pronouns.object);
-      replacePronoun(/\{genderz\}/gi, pronouns.possessiveAdjective);
-      replacePronoun(/\{genderpos\}/gi, pronouns.possessiveAdjective);
-      replacePronoun(/\{genderper\}/gi, pronouns.object);
-    }
-    return result;
-  };
-
-  let resolvedText = bookPage.text || '';
+  let resolvedText = resolvePageText(bookPage, language, bookLanguage);
 
   if (pageType === 'cover' && bookPage.cover) {
     const coverSource = clonePlainObject(bookPage.cover) || {};
@@ -878,9 +816,10 @@ const preparePageStoryContent = ({ bookPage, jobPage, readerName, readerGender }
       typeof coverSource.uppercaseName === 'boolean' ? coverSource.uppercaseName : true;
 
     const bodySource = coverSource.bodyOverride || resolvedText;
-    const headline = resolveCoverPlaceholder(coverSource.headline || '', uppercaseName);
-    const footer = resolveCoverPlaceholder(coverSource.footer || '', uppercaseName);
-    const body = resolveCoverPlaceholder(bodySource, uppercaseName);
+    const renderCover = (input) => renderStoryTemplate(input, storyVariables, { uppercaseName });
+    const headline = renderCover(coverSource.headline || '');
+    const footer = renderCover(coverSource.footer || '');
+    const body = renderCover(bodySource);
 
     cover = {
       headline,
@@ -890,15 +829,15 @@ const preparePageStoryContent = ({ bookPage, jobPage, readerName, readerGender }
       qrCodeImage: coverSource.qrCodeImage
         ? sanitizeAssetForSnapshot(coverSource.qrCodeImage)
         : null,
-      childName: readerName || '',
+      childName: storyVariables.name,
     };
 
     resolvedText = body;
   } else {
-    resolvedText = replaceReaderPlaceholders(resolvedText, readerName, readerGender);
+    resolvedText = renderStoryTemplate(resolvedText, storyVariables);
   }
 
-  const resolvedPrompt = resolvePromptByGender(bookPage, readerGender);
+  const resolvedPrompt = resolvePromptByGender(bookPage, storyVariables.gender);
   const jobCharacterPosition = normalizeCharacterPosition(jobPage?.characterPosition, null);
   const resolvedCharacterPosition =
     jobCharacterPosition !== null
@@ -956,10 +895,20 @@ const sanitizeAssetListForSnapshot = (assets) =>
         .filter((asset) => Boolean(asset?.key || asset?.url))
     : [];
 
-const buildPdfAsset = async ({ book, job, pages }) => {
-  const { buffer, pageCount, renderedPages } = await generateStorybookPdf({
+const buildPdfAsset = async ({ book, job, pages, bookRevision = null }) => {
+  const language = job.language || getBookLanguage(book);
+  const { buffer, pageCount, renderedPages, textIssues } = await generateStorybookPdf({
     title: job.title || `${book.name} Storybook`,
     pages,
+    language,
+    pageLayout: book.pageLayout,
+    bookFonts: await loadBookFonts(book),
+    usageContext: {
+      userId: job.userId,
+      bookId: book._id,
+      storybookJobId: job._id,
+      automationRunId: job.automationRunId || null,
+    },
   });
 
   const bookSlug = book.slug || `${slugify(book.name)}-${book._id.toString().slice(-6)}`;
@@ -1014,12 +963,15 @@ const buildPdfAsset = async ({ book, job, pages }) => {
     readerId: job.readerId || null,
     readerName: job.readerName || '',
     readerGender: job.readerGender || '',
+    language,
     userId: job.userId || null,
     variant: 'standard',
     derivedFromAssetId: null,
     derivedFromAssetKey: null,
     confirmedAt: null,
-    metadata: null,
+    bookRevision,
+    // Nikud dropped because no storybook font has the marks
+    metadata: textIssues?.length ? { textIssues } : null,
     pages: pages.map((page, pageIndex) => ({
       pageId: page.pageId || null,
       order: pageIndex + 1,
@@ -1050,13 +1002,27 @@ const buildPdfAsset = async ({ book, job, pages }) => {
 };
 
 const waitForGeneration = async ({ generationId, job, page }) => {
-  const payload = await registerGenerationWaiter({
+  const pending = registerGenerationWaiter({
     generationId,
     jobId: job._id,
     pageId: page.pageId,
     pageOrder: page.order,
   });
-  return payload;
+
+  // A resumed page can be waiting on a generation that finished while the
+  // server was down, in which case no further update will ever arrive.
+  const generationKey = String(generationId);
+  const current = await Generation.findById(generationId).select('status error').lean();
+  const entry = generationWaiters.get(generationKey);
+  if (entry && current?.status === 'succeeded') {
+    generationWaiters.delete(generationKey);
+    entry.resolve(current);
+  } else if (entry && current?.status === 'failed') {
+    generationWaiters.delete(generationKey);
+    entry.reject(new Error(current.error || 'Generation failed'));
+  }
+
+  return pending;
 };
 
 const normaliseWinnerIndex = (value, total) => {
@@ -1092,6 +1058,28 @@ const deriveWinnerAsset = (generation) => {
 
   let winnerIndex = preferredIndexes.length ? preferredIndexes[0] : null;
 
+  const hasFaceSimilarity = rankedEntries.some((entry) => Number.isFinite(entry.faceSimilarity));
+  if (hasFaceSimilarity && FACE_SIMILARITY_WEIGHT > 0) {
+    // Candidates without a detectable face count as no likeness at all.
+    const blendedScore = (entry) =>
+      (1 - FACE_SIMILARITY_WEIGHT) * (Number.isFinite(entry.score) ? entry.score : 0) +
+      FACE_SIMILARITY_WEIGHT *
+        (Number.isFinite(entry.faceSimilarity) ? entry.faceSimilarity * 100 : 0);
+    const bestBlended = rankedEntries.slice().sort((a, b) => {
+      const difference = blendedScore(b) - blendedScore(a);
+      if (difference !== 0) {
+        return difference;
+      }
+      const rankA = Number.isFinite(a.rank) ? a.rank : Number.POSITIVE_INFINITY;
+      const rankB = Number.isFinite(b.rank) ? b.rank : Number.POSITIVE_INFINITY;
+      return rankA - rankB;
+    })[0];
+    const blendedIndex = normaliseWinnerIndex(bestBlended.imageIndex, assets.length);
+    if (blendedIndex !== null) {
+      winnerIndex = blendedIndex;
+    }
+  }
+
   if (winnerIndex === null && rankedEntries.length) {
     const sortedRanked = rankedEntries
       .slice()
@@ -1128,6 +1116,7 @@ const deriveWinnerAsset = (generation) => {
       score: entry.score,
       verdict: entry.verdict,
       notes: entry.notes,
+      faceSimilarity: Number.isFinite(entry.faceSimilarity) ? entry.faceSimilarity : null,
     })),
   };
 };
@@ -1194,7 +1183,68 @@ const recordGenerationAttemptFailure = async ({
   });
 };
 
-const processJobPage = async ({ job, page, book, training, readerName, readerGender }) => {
+// Only a generation that actually reached Replicate can be waited on again;
+// anything else is retried from scratch.
+const findResumableGeneration = async (page) => {
+  if (!page.generationId || !['generating', 'ranking'].includes(page.status)) {
+    return null;
+  }
+  const generation = await Generation.findById(page.generationId)
+    .select('status replicatePredictionId storybookContext')
+    .lean();
+  if (!generation || generation.status === 'failed' || !generation.replicatePredictionId) {
+    return null;
+  }
+  return {
+    generationId: generation._id,
+    attempt: Math.max(1, Number(generation.storybookContext?.attempt) || 1),
+  };
+};
+
+// The page goes back to the queue so it restarts cleanly once an admin approves more spend.
+const holdPageForBudget = async ({ job, page, pageFilter, error }) => {
+  await updateJobAndEmit({
+    jobId: job._id,
+    update: {
+      $set: {
+        'pages.$[page].status': 'queued',
+        'pages.$[page].error': error.message,
+      },
+      $push: {
+        'pages.$[page].events': createEvent('budget-exceeded', error.message, {
+          guard: error.guard,
+          limit: error.limit,
+        }),
+      },
+    },
+    arrayFilters: [pageFilter],
+  });
+};
+
+const pauseJobForBudget = async (job, error) => {
+  await updateJobAndEmit({
+    jobId: job._id,
+    update: {
+      $set: {
+        status: 'paused',
+        'budget.pausedGuard': error.guard,
+        'budget.pausedReason': error.message,
+        'budget.pausedPageOrder': error.pageOrder ?? null,
+        'budget.pausedAt': new Date(),
+      },
+      $push: {
+        events: createEvent(
+          'budget-exceeded',
+          `${error.message}. Paused until an admin approves more predictions.`,
+          { guard: error.guard, limit: error.limit, pageOrder: error.pageOrder ?? null }
+        ),
+      },
+    },
+  });
+  console.warn(`⚠️  Storybook job ${job._id} paused: ${error.message}`);
+};
+
+const processJobPage = async ({ job, page, book, training, storyVariables }) => {
   const pageFilter = resolveArrayFilterForPage(page);
   const rawPrompt = page.prompt || page.text || '';
 
@@ -1226,30 +1276,43 @@ const processJobPage = async ({ job, page, book, training, readerName, readerGen
     return null;
   }
 
-  const generationPrompt = replaceReaderPlaceholders(rawPrompt, readerName, readerGender);
+  const generationPrompt = renderStoryTemplate(rawPrompt, storyVariables);
 
   if (!generationPrompt || !generationPrompt.trim()) {
     throw new Error(`Page ${page.order} has an empty prompt after placeholder replacement. Raw prompt: "${rawPrompt}"`);
   }
 
-  await updateJobAndEmit({
-    jobId: job._id,
-    update: {
-      $set: {
-        'pages.$[page].status': 'generating',
-        'pages.$[page].startedAt': new Date(),
-        'pages.$[page].progress': 5,
-      },
-      $push: {
-        'pages.$[page].events': createEvent(
-          'page-started',
-          `Started generation for page ${page.order}`,
-          { prompt: generationPrompt }
-        ),
+  const resumable = await findResumableGeneration(page);
+
+  if (resumable) {
+    await attachPageEvent(
+      job._id,
+      pageFilter,
+      createEvent('page-resumed', `Resumed waiting on generation for page ${page.order}`, {
+        generationId: resumable.generationId,
+        attempt: resumable.attempt,
+      })
+    );
+  } else {
+    await updateJobAndEmit({
+      jobId: job._id,
+      update: {
+        $set: {
+          'pages.$[page].status': 'generating',
+          'pages.$[page].startedAt': new Date(),
+          'pages.$[page].progress': 5,
+        },
+        $push: {
+          'pages.$[page].events': createEvent(
+            'page-started',
+            `Started generation for page ${page.order}`,
+            { prompt: generationPrompt }
+          ),
+        },
       },
-    },
-    arrayFilters: [pageFilter],
-  });
+      arrayFilters: [pageFilter],
+    });
+  }
 
   const generationInput = {
     prompt: generationPrompt,
@@ -1269,7 +1332,8 @@ const processJobPage = async ({ job, page, book, training, readerName, readerGen
   const baseDelayMs = STORYBOOK_PAGE_RETRY_BASE_DELAY_MS;
   const backoffFactor = STORYBOOK_PAGE_RETRY_BACKOFF_FACTOR;
 
-  let attempt = 0;
+  let attempt = resumable ? Math.min(resumable.attempt, maxAttempts) - 1 : 0;
+  let resumeGenerationId = resumable ? resumable.generationId : null;
   let lastError = null;
   let finalWinner = null;
   let finalCandidateAssets = [];
@@ -1281,6 +1345,23 @@ const processJobPage = async ({ job, page, book, training, readerName, readerGen
     const createdAt = new Date();
 
     try {
+      if (resumeGenerationId) {
+        const generationId = resumeGenerationId;
+        resumeGenerationId = null;
+        await waitForGeneration({ generationId, job, page });
+        const populatedGeneration = await populateForClient(generationId);
+        const winner = deriveWinnerAsset(populatedGeneration);
+        if (!winner || !winner.asset) {
+          throw new Error(`No winning asset found for page ${page.order}`);
+        }
+        finalGenerationId = generationId;
+        finalWinner = winner;
+        finalCandidateAssets = sanitizeAssetListForSnapshot(
+          populatedGeneration?.imageAssets || []
+        );
+        break;
+      }
+
       const generation = await Generation.create({
         userId: job.userId,
         trainingId: training._id,
@@ -1395,12 +1476,26 @@ const processJobPage = async ({ job, page, book, training, readerName, readerGen
       finalCandidateAssets = candidateAssets;
       break;
     } catch (error) {
+      const isFinalAttempt = attempt >= maxAttempts;
+      // A retry that would go over a spend cap pauses the run rather than failing the page
+      const budgetError = isBudgetExceededError(error)
+        ? error
+        : !isFinalAttempt &&
+          (await findSpendGuardTrip({
+            jobId: job._id,
+            pageId: page.pageId,
+            pageOrder: page.order,
+          }));
+      if (budgetError) {
+        await holdPageForBudget({ job, page, pageFilter, error: budgetError });
+        throw budgetError;
+      }
+
       lastError = error;
       console.warn(
         `[processJobPage] attempt ${attempt} failed for page ${page.order}:`,
         error.message
       );
-      const isFinalAttempt = attempt >= maxAttempts;
       await recordGenerationAttemptFailure({
         job,
         page,
@@ -1426,11 +1521,24 @@ const processJobPage = async ({ job, page, book, training, readerName, readerGen
   const candidateAssets = finalCandidateAssets;
   const generationIdForPage = finalGenerationId;
 
-  const bookCharacterAsset = await copyAssetToBookCharacterSlot({
-    book,
-    page,
-    asset: winner.asset,
-  });
+  let bookCharacterAsset;
+  try {
+    bookCharacterAsset = await copyAssetToBookCharacterSlot({
+      book,
+      page,
+      asset: winner.asset,
+      usageContext: {
+        userId: job.userId,
+        storybookJobId: job._id,
+        automationRunId: job.automationRunId || null,
+      },
+    });
+  } catch (error) {
+    if (isBudgetExceededError(error)) {
+      await holdPageForBudget({ job, page, pageFilter, error });
+    }
+    throw error;
+  }
 
   if (!bookCharacterAsset) {
     console.warn(`[processJobPage] Skipping page ${page.order} - asset not available`);
@@ -1496,7 +1604,6 @@ const processStorybookJob = async (jobId) => {
   if (!job) {
     throw new Error(`Storybook job ${jobId} not found`);
   }
-
   if (!job.startedAt) {
     job.startedAt = new Date();
     await job.save();
@@ -1512,9 +1619,25 @@ const processStorybookJob = async (jobId) => {
     throw new Error('Training must be successful with a model version');
   }
 
-  const reader = job.readerId ? await User.findById(job.readerId).select('name gender') : null;
-  const readerName = job.readerName || reader?.name || '';
-  const readerGender = job.readerGender || reader?.gender || '';
+  const storyVariables = await resolveReaderStoryVariables({
+    readerId: job.readerId,
+    readerName: job.readerName,
+    readerGender: job.readerGender,
+  });
+  const readerName = storyVariables.name;
+  const readerGender = job.readerGender || storyVariables.gender;
+
+  const isResume = job.status !== 'queued';
+  // approveStorybookBudget's event is the last one when a paused run comes back
+  const resumesApproval = job.events?.[job.events.length - 1]?.type === 'budget-approved';
+  let startEvent = createEvent('job-started', 'Storybook automation started');
+  if (resumesApproval) {
+    startEvent = createEvent('job-resumed', 'Storybook automation resumed after budget approval', {
+      reason: 'budget-approved',
+    });
+  } else if (isResume) {
+    startEvent = createEvent('job-resumed', 'Storybook automation resumed after an interruption');
+  }
 
   await updateJobAndEmit({
     jobId: job._id,
@@ -1523,30 +1646,37 @@ const processStorybookJob = async (jobId) => {
         status: 'generating',
       },
       $push: {
-        events: createEvent('job-started', 'Storybook automation started'),
+        events: startEvent,
       },
     },
   });
 
   const errors = [];
+  let budgetStop = null;
   let cursor = 0;
 
   const runWorker = async () => {
-    while (cursor < job.pages.length) {
+    while (cursor < job.pages.length && !budgetStop) {
       const index = cursor;
       cursor += 1;
       const page = job.pages[index];
+      if (page.status === 'completed' || page.status === 'skipped') {
+        continue;
+      }
       try {
         await processJobPage({
           job,
           page,
           book,
           training,
-          readerName,
-          readerGender,
+          storyVariables,
         });
       } catch (error) {
-        errors.push({ page, error });
+        if (isBudgetExceededError(error)) {
+          budgetStop = budgetStop || { page, error };
+        } else {
+          errors.push({ page, error });
+        }
         return;
       }
     }
@@ -1576,6 +1706,11 @@ const processStorybookJob = async (jobId) => {
     throw failure.error;
   }
 
+  if (budgetStop) {
+    await pauseJobForBudget(job, budgetStop.error);
+    return;
+  }
+
   await updateJobAndEmit({
     jobId: job._id,
     update: {
@@ -1616,8 +1751,9 @@ const processStorybookJob = async (jobId) => {
       preparePageStoryContent({
         bookPage,
         jobPage,
-        readerName,
-        readerGender,
+        storyVariables,
+        language: refreshedJob.language,
+        bookLanguage: getBookLanguage(refreshedBook),
       })
     );
 
@@ -1629,6 +1765,7 @@ const processStorybookJob = async (jobId) => {
     book: refreshedBook,
     readerName,
     readerGender,
+    storyVariables,
     storyPages,
     jobPage: coverJobPage,
   });
@@ -1642,6 +1779,7 @@ const processStorybookJob = async (jobId) => {
     book: refreshedBook,
     readerName,
     readerGender,
+    storyVariables,
     storyPages,
     jobPage: dedicationJobPage,
   });
@@ -1680,11 +1818,24 @@ const processStorybookJob = async (jobId) => {
       dedicationContent.dedicationPage.backgroundImage;
   }
 
-  const pdfAsset = await buildPdfAsset({
-    book: refreshedBook,
-    job: refreshedJob,
-    pages: pdfPages,
-  });
+  let pdfAsset;
+  try {
+    pdfAsset = await buildPdfAsset({
+      book: refreshedBook,
+      job: refreshedJob,
+      pages: pdfPages,
+      // The revision the run was snapshotted from, not whatever is current now;
+      // jobs queued before it was stored fall back to the current one
+      bookRevision: refreshedJob.bookRevision ?? (await ensureBaselineRevision(refreshedBook)),
+    });
+  } catch (error) {
+    // Background removals during assembly are paid too; approval re-runs assembly
+    if (isBudgetExceededError(error)) {
+      await pauseJobForBudget(job, error);
+      return;
+    }
+    throw error;
+  }
 
   const bookUpdatePayload = {
     $push: {
@@ -1695,7 +1846,14 @@ const processStorybookJob = async (jobId) => {
     bookUpdatePayload.$set = storybookImageUpdates;
   }
 
-  await Book.findByIdAndUpdate(book._id, bookUpdatePayload);
+  const updatedBook = await Book.findByIdAndUpdate(book._id, bookUpdatePayload, { new: true });
+  if (updatedBook && bookUpdatePayload.$set) {
+    // Cover and dedication images are part of the template revision
+    await recordRevisionAfterSave(updatedBook, {
+      reason: 'storybook',
+      actor: { name: 'Storybook automation' },
+    });
+  }
 
   await updateJobAndEmit({
     jobId: job._id,
@@ -1713,8 +1871,108 @@ const processStorybookJob = async (jobId) => {
       },
     },
   });
+
+  const automationRun = await AutomationRun.findOne({ storybookJobId: job._id })
+    .select('_id')
+    .lean();
+  await emitWebhookEvent(
+    'storybook.completed',
+    {
+      storybookJobId: String(job._id),
+      automationRunId: automationRun ? String(automationRun._id) : null,
+      bookId: String(book._id),
+      bookName: refreshedBook.name,
+      userId: String(job.userId),
+      readerName,
+      title: pdfAsset.title,
+      pdf: { key: pdfAsset.key, url: pdfAsset.url, pageCount: pdfAsset.pageCount },
+      completedAt: new Date(),
+    },
+    { dedupeKey: `storybook:${job._id}` }
+  );
+};
+
+const STORYBOOK_QUEUE_JOB = 'storybook.process';
+const TERMINAL_JOB_STATUSES = new Set(['succeeded', 'failed']);
+
+const enqueueStorybookJob = (jobId, { rerunIfRunning = false } = {}) =>
+  enqueueJob({
+    type: STORYBOOK_QUEUE_JOB,
+    key: `storybook:${jobId}`,
+    unique: true,
+    rerunIfRunning,
+    payload: { storybookJobId: String(jobId) },
+  });
+
+const runQueuedStorybookJob = async (queueJob) => {
+  const { storybookJobId } = queueJob.payload || {};
+  const existing = await StorybookJob.findById(storybookJobId).select('status').lean();
+  if (!existing) {
+    console.warn(`[storybook] job ${storybookJobId} no longer exists, dropping queue entry`);
+    return null;
+  }
+  // Paused jobs are re-queued by approveStorybookBudget
+  if (TERMINAL_JOB_STATUSES.has(existing.status) || existing.status === 'paused') {
+    return null;
+  }
+
+  try {
+    await processStorybookJob(storybookJobId);
+  } catch (error) {
+    // Page failures already marked the job failed; only retry unexpected errors
+    const latest = await StorybookJob.findById(storybookJobId).select('status').lean();
+    if (latest?.status === 'failed') {
+      console.error(`[storybook] job ${storybookJobId} failed:`, error);
+      return null;
+    }
+    throw error;
+  }
+  return null;
+};
+
+const markQueuedStorybookJobFailed = async (queueJob, error) => {
+  const { storybookJobId } = queueJob.payload || {};
+  const existing = await StorybookJob.findById(storybookJobId).select('status').lean();
+  if (!existing || TERMINAL_JOB_STATUSES.has(existing.status)) return;
+
+  const message = error?.message || 'Storybook automation failed';
+  await updateJobAndEmit({
+    jobId: storybookJobId,
+    update: {
+      $set: {
+        status: 'failed',
+        error: message,
+        completedAt: new Date(),
+      },
+      $push: {
+        events: createEvent('job-failed', message),
+      },
+    },
+  });
+};
+
+// Re-queue jobs left in flight by a restart; jobs that still have a live queue
+// entry are skipped by the unique key.
+const recoverStorybookJobs = async () => {
+  const pending = await StorybookJob.find({
+    status: { $in: ['queued', 'generating', 'assembling'] },
+  })
+    .select('_id')
+    .lean();
+
+  for (const job of pending) {
+    await enqueueStorybookJob(job._id);
+  }
+  return pending.length;
 };
 
+registerJobHandler(STORYBOOK_QUEUE_JOB, runQueuedStorybookJob, {
+  concurrency: Math.max(1, Number(process.env.STORYBOOK_JOB_CONCURRENCY || 3)),
+  maxAttempts: Math.max(1, Number(process.env.STORYBOOK_JOB_MAX_ATTEMPTS || 3)),
+  onFailure: markQueuedStorybookJobFailed,
+  recover: recoverStorybookJobs,
+});
+
 const formatBookPagesForJob = (book, { readerGender = '' } = {}) => {
   const jobPages = [];
   const cover = book.coverPage || {};
@@ -1810,6 +2068,8 @@ const startStorybookAutomation = async ({
   readerName,
   readerGender,
   title,
+  language,
+  automationRunId = null,
 }) => {
   const book = await Book.findById(bookId);
   if (!book) {
@@ -1820,14 +2080,12 @@ const startStorybookAutomation = async ({
     throw new Error('Book has no pages to generate');
   }
 
-  const training = await Training.findById(trainingId);
-  if (!training) {
-    throw new Error('Training not found');
-  }
+  // Unknown variables would otherwise reach prompts and print verbatim
+  assertValidBookTemplates(book);
+  const runLanguage = resolveRunLanguage(book, language);
 
-  if (training.status !== 'succeeded' || !training.modelVersion) {
-    throw new Error('Training must be completed successfully before generating images');
-  }
+  // Falls back to the user's pinned training when the run names none
+  const training = await resolveGenerationTraining({ userId, trainingId });
 
   const user = await User.findById(userId);
   if (!user) {
@@ -1850,6 +2108,12 @@ const startStorybookAutomation = async ({
     }
   }
 
+  // A font that can't draw the copy would otherwise only fail once the PDF is built
+  await assertBookFontCoverage(book, {
+    variables: buildStoryVariables({ name: resolvedReaderName, gender: resolvedReaderGender }),
+    language: runLanguage,
+  });
+
   const jobPages = formatBookPagesForJob(book, {
     readerGender: resolvedReaderGender,
   });
@@ -1857,13 +2121,18 @@ const startStorybookAutomation = async ({
     throw new Error('No valid pages to generate. All pages are missing content. Please add character prompts, page text, or background images to at least one page.');
   }
 
+  const bookRevision = await ensureBaselineRevision(book);
+
   const job = await StorybookJob.create({
     bookId,
-    trainingId,
+    automationRunId,
+    bookRevision,
+    trainingId: training._id,
     userId,
     readerId: resolvedReaderId,
     readerName: resolvedReaderName,
     readerGender: resolvedReaderGender,
+    language: runLanguage,
     title: title || `${book.name} Storybook`,
     status: 'queued',
     progress: 0,
@@ -1871,11 +2140,7 @@ const startStorybookAutomation = async ({
     events: [createEvent('job-queued', 'Storybook automation queued')],
   });
 
-  process.nextTick(() => {
-    processStorybookJob(job._id).catch((error) => {
-      console.error(`[storybook] job ${job._id} failed:`, error);
-    });
-  });
+  await enqueueStorybookJob(job._id);
 
   const jobDoc = await StorybookJob.findById(job._id);
   const snapshot = await syncComputedFields(jobDoc);
@@ -1901,6 +2166,84 @@ const listStorybookJobsForBook = async (bookId, limit = 10) => {
   });
 };
 
+/**
+ * Let a run paused by a spend guard continue: raise the cap that tripped and
+ * put the job back on the queue.
+ */
+const approveStorybookBudget = async ({ bookId, jobId, extraPredictions, actor = {} }) => {
+  const amount = resolveApprovalAmount(extraPredictions);
+
+  // Claim the paused run first so concurrent approvals cannot both grant
+  const pausedFields = {
+    'budget.pausedGuard': null,
+    'budget.pausedReason': null,
+    'budget.pausedPageOrder': null,
+    'budget.pausedAt': null,
+  };
+  const job = await StorybookJob.findOneAndUpdate(
+    { _id: jobId, bookId, status: 'paused', 'budget.pausedGuard': { $ne: null } },
+    { $set: { status: 'generating', ...pausedFields } }
+  );
+  if (!job) {
+    const exists = await StorybookJob.exists({ _id: jobId, bookId });
+    throw exists
+      ? createHttpError('Only runs paused by a spend guard can be approved', 409)
+      : createHttpError('Storybook job not found', 404);
+  }
+
+  const { pausedGuard: guard, pausedPageOrder: pageOrder, pausedReason, pausedAt } = job.budget;
+  let granted;
+  try {
+    granted = await grantSpendAllowance({
+      guard,
+      jobId: job._id,
+      pageOrder,
+      extraPredictions: amount,
+    });
+  } catch (error) {
+    // Put the pause back so the approval can be retried
+    await StorybookJob.updateOne(
+      { _id: job._id, status: 'generating' },
+      {
+        $set: {
+          status: 'paused',
+          'budget.pausedGuard': guard,
+          'budget.pausedReason': pausedReason,
+          'budget.pausedPageOrder': pageOrder,
+          'budget.pausedAt': pausedAt,
+        },
+      }
+    );
+    throw error;
+  }
+  const approval = {
+    guard,
+    extraPredictions: granted,
+    pageOrder: guard === 'page' ? pageOrder : null,
+    approvedBy: { accountId: actor.accountId || null, name: actor.name || '' },
+    approvedAt: new Date(),
+  };
+
+  const snapshot = await updateJobAndEmit({
+    jobId: job._id,
+    update: {
+      $push: {
+        'budget.approvals': approval,
+        events: createEvent(
+          'budget-approved',
+          `${actor.name || 'An admin'} approved ${granted} more paid predictions (${guard} limit)`,
+          { guard, extraPredictions: granted, pageOrder: approval.pageOrder }
+        ),
+      },
+    },
+  });
+  // The queue entry that paused the run may still be finishing; it is run
+  // again rather than skipped by the unique key
+  await enqueueStorybookJob(job._id, { rerunIfRunning: true });
+
+  return { job: snapshot, approval, pausedReason };
+};
+
 const regenerateStorybookPage = async ({
   bookId,
   assetId = null,
@@ -1910,6 +2253,7 @@ const regenerateStorybookPage = async ({
   readerId,
   readerName,
   readerGender,
+  promptAddendum = '',
 }) => {
   if (!bookId) {
     throw new Error('Book ID is required for regeneration');
@@ -1991,17 +2335,12 @@ const regenerateStorybookPage = async ({
   }
 
   const resolvedReaderId = readerId || null;
-  let resolvedReaderName = readerName || '';
-  let resolvedReaderGender = readerGender || '';
-  if ((!resolvedReaderName || !resolvedReaderGender) && resolvedReaderId) {
-    const readerDoc = await User.findById(resolvedReaderId).select('name gender').lean();
-    if (readerDoc?.name && !resolvedReaderName) {
-      resolvedReaderName = readerDoc.name;
-    }
-    if (readerDoc?.gender && !resolvedReaderGender) {
-      resolvedReaderGender = readerDoc.gender;
-    }
-  }
+  const storyVariables = await resolveReaderStoryVariables({
+    readerId: resolvedReaderId,
+    readerName,
+    readerGender,
+  });
+  const resolvedReaderGender = readerGender || storyVariables.gender;
 
   let promptSource = '';
 
@@ -2020,7 +2359,11 @@ const regenerateStorybookPage = async ({
     throw new Error('Unable to determine a character prompt for this page');
   }
 
-  const generationPrompt = replaceReaderPlaceholders(rawPrompt, resolvedReaderName, resolvedReaderGender);
+  const basePrompt = renderStoryTemplate(rawPrompt, storyVariables);
+  // Reviewer feedback (e.g. from a page comment) is appended so the fix is
+  // applied on top of the page's own prompt rather than replacing it
+  const reviewerNote = typeof promptAddendum === 'string' ? promptAddendum.trim() : '';
+  const generationPrompt = reviewerNote ? `${basePrompt}\n\nReviewer notes: ${reviewerNote}` : basePrompt;
 
   const generationInput = {
     prompt: generationPrompt,
@@ -2077,6 +2420,7 @@ const regenerateStorybookPage = async ({
         metadata: {
           bookId,
           pageOrder: resolvedTargetOrder,
+          ...(reviewerNote ? { reviewerNote } : {}),
         },
         timestamp: createdAt,
       },
@@ -2478,6 +2822,7 @@ module.exports = {
   startStorybookAutomation,
   getStorybookJobById,
   listStorybookJobsForBook,
+  approveStorybookBudget,
   regenerateStorybookPage,
   applyStorybookCandidateSelection,
   buildCoverPageContent,
@@ -0,0 +1,646 @@
+const path = require('path');
+const fetch = require('node-fetch');
+const mongoose = require('mongoose');
+const { createCanvas } = require('canvas');
+const TrainingDataset = require('../models/TrainingDataset');
+const User = require('../models/User');
+const {
+  downloadFromS3,
+  uploadBufferToS3,
+  deleteFromS3,
+  generateTrainingDatasetImageKey,
+} = require('../config/s3');
+const { getFaceApi, loadOrientedImage, detectPrimaryFace } = require('./faceDetection');
+const { registerJobHandler, enqueueJob } = require('./jobQueue');
+
+const TRAINING_DATASET_JOB = 'training.dataset';
+const MAX_TRAINING_IMAGES = 25;
+const MIN_RECOMMENDED_IMAGES = 10;
+// Max Hamming distance between 64-bit difference hashes to call two photos near-duplicates
+const DUPLICATE_HASH_DISTANCE = Math.max(
+  0,
+  Number(process.env.TRAINING_DATASET_DUPLICATE_DISTANCE || 6)
+);
+const OUTPUT_MAX_SIDE = 1024;
+const OUTPUT_JPEG_QUALITY = 0.92;
+// Above this share one expression or lighting bucket is flagged as low diversity
+const DOMINANT_SHARE = 0.7;
+const FULL_FRAME = { x: 0, y: 0, width: 1, height: 1 };
+const FACE_DETECTION_UNAVAILABLE = 'Face detection is unavailable; images were not cropped.';
+
+const createHttpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const toActor = (actor) => ({
+  accountId: actor?.accountId || null,
+  name: actor?.name || '',
+});
+
+const assertObjectId = (value, label) => {
+  if (!mongoose.isValidObjectId(value)) {
+    throw createHttpError(`Invalid ${label}`, 400);
+  }
+};
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+const roundTo = (value, digits = 3) => {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+};
+
+const normaliseUrl = (url) => {
+  if (!url) return null;
+  try {
+    const parsed = new URL(url);
+    return parsed.toString();
+  } catch (error) {
+    return encodeURI(url);
+  }
+};
+
+const downloadSourceBuffer = async ({ key, url }) => {
+  if (key) {
+    try {
+      const buffer = await downloadFromS3(key);
+      if (buffer && buffer.length > 0) {
+        return buffer;
+      }
+    } catch (error) {
+      console.warn(`⚠️  Failed to download asset ${key} from S3: ${error.message}`);
+    }
+  }
+
+  const targetUrl = normaliseUrl(url);
+  if (!targetUrl) {
+    throw new Error('Asset has neither a readable key nor URL');
+  }
+  const response = await fetch(targetUrl);
+  if (!response.ok) {
+    throw new Error(`Failed to download image from ${targetUrl} (status ${response.status})`);
+  }
+  return Buffer.from(await response.arrayBuffer());
+};
+
+/**
+ * 64-bit difference hash: shrink to 9x8 greyscale and record whether each
+ * pixel is brighter than its right-hand neighbour. Resizes, re-encodes and
+ * small edits of the same photo land within a few bits of each other.
+ */
+const hashImage = (canvas) => {
+  const small = createCanvas(9, 8);
+  const ctx = small.getContext('2d');
+  ctx.drawImage(canvas, 0, 0, 9, 8);
+  const { data } = ctx.getImageData(0, 0, 9, 8);
+  const luminance = (pixel) =>
+    0.299 * data[pixel * 4] + 0.587 * data[pixel * 4 + 1] + 0.114 * data[pixel * 4 + 2];
+
+  let bits = '';
+  for (let row = 0; row < 8; row += 1) {
+    for (let col = 0; col < 8; col += 1) {
+      bits += luminance(row * 9 + col) > luminance(row * 9 + col + 1) ? '1' : '0';
+    }
+  }
+  return BigInt(`0b${bits}`).toString(16).padStart(16, '0');
+};
+
+const hammingDistance = (a, b) => {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let count = 0;
+  while (diff) {
+    count += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return count;
+};
+
+const measureLighting = (canvas, box) => {
+  const region = box || { x: 0, y: 0, width: canvas.width, height: canvas.height };
+  const sample = createCanvas(64, 64);
+  const ctx = sample.getContext('2d');
+  ctx.drawImage(canvas, region.x, region.y, region.width, region.height, 0, 0, 64, 64);
+  const { data } = ctx.getImageData(0, 0, 64, 64);
+
+  const values = [];
+  for (let index = 0; index < data.length; index += 4) {
+    values.push((0.299 * data[index] + 0.587 * data[index + 1] + 0.114 * data[index + 2]) / 255);
+  }
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length;
+
+  let label = 'balanced';
+  if (mean < 0.35) label = 'dim';
+  else if (mean > 0.68) label = 'bright';
+
+  return { brightness: roundTo(mean), contrast: roundTo(Math.sqrt(variance)), label };
+};
+
+const dominantExpression = (expressions) => {
+  const entries = Object.entries(expressions || {}).filter(([, value]) =>
+    Number.isFinite(value)
+  );
+  if (!entries.length) return null;
+  return entries.sort((a, b) => b[1] - a[1])[0][0];
+};
+
+// Square crop with the head in the upper part of the frame and room for the
+// shoulders/torso below it.
+const cropAroundFace = (box, width, height) => {
+  const side = Math.min(Math.max(box.width, box.height) * 3, width, height);
+  const x = clamp(box.x + box.width / 2 - side / 2, 0, width - side);
+  const y = clamp(box.y - box.height * 0.6, 0, height - side);
+  return {
+    x: roundTo(x / width, 4),
+    y: roundTo(y / height, 4),
+    width: roundTo(side / width, 4),
+    height: roundTo(side / height, 4),
+  };
+};
+
+const renderCrop = (canvas, crop) => {
+  const sx = crop.x * canvas.width;
+  const sy = crop.y * canvas.height;
+  const sw = Math.max(1, crop.width * canvas.width);
+  const sh = Math.max(1, crop.height * canvas.height);
+  const scale = Math.min(1, OUTPUT_MAX_SIDE / Math.max(sw, sh));
+
+  const output = createCanvas(Math.round(sw * scale), Math.round(sh * scale));
+  output.getContext('2d').drawImage(canvas, sx, sy, sw, sh, 0, 0, output.width, output.height);
+
+  return {
+    buffer: output.toBuffer('image/jpeg', { quality: OUTPUT_JPEG_QUALITY }),
+    width: output.width,
+    height: output.height,
+  };
+};
+
+const uploadProcessedImage = async (dataset, item, canvas) => {
+  const rendered = renderCrop(canvas, item.crop || FULL_FRAME);
+  const key = generateTrainingDatasetImageKey(dataset.userId, dataset._id, item.originalName);
+  const { url } = await uploadBufferToS3(rendered.buffer, key, 'image/jpeg');
+  return {
+    key,
+    url,
+    contentType: 'image/jpeg',
+    size: rendered.buffer.length,
+    width: rendered.width,
+    height: rendered.height,
+  };
+};
+
+const analyseAsset = async (faceapi, dataset, asset) => {
+  const item = {
+    assetId: asset._id,
+    sourceKey: asset.key,
+    sourceUrl: asset.url || null,
+    originalName: asset.originalName || path.basename(asset.key),
+    included: true,
+    exclusionReason: null,
+    evaluationScore: Number.isFinite(asset.evaluation?.scorePercent)
+      ? asset.evaluation.scorePercent
+      : null,
+  };
+
+  if (asset.evaluation?.acceptable === false) {
+    item.included = false;
+    item.exclusionReason = 'rejected';
+  }
+
+  try {
+    const buffer = await downloadSourceBuffer(asset);
+    const { canvas, width, height, orientation } = await loadOrientedImage(buffer);
+    const face = faceapi ? await detectPrimaryFace(faceapi, canvas, { expressions: true }) : null;
+
+    item.orientation = orientation;
+    item.width = width;
+    item.height = height;
+    item.hash = hashImage(canvas);
+    item.face = {
+      detected: Boolean(face),
+      confidence: face ? roundTo(face.confidence) : null,
+      expression: face ? dominantExpression(face.expressions) : null,
+    };
+    item.lighting = measureLighting(canvas, face?.box || null);
+    item.autoCrop = face ? cropAroundFace(face.box, width, height) : FULL_FRAME;
+    item.crop = item.autoCrop;
+    item.cropSource = face ? 'face' : 'full';
+
+    if (item.included) {
+      item.processed = await uploadProcessedImage(dataset, item, canvas);
+    }
+  } catch (error) {
+    console.warn(`⚠️  Failed to prepare training image ${asset.key}:`, error.message);
+    item.included = false;
+    item.exclusionReason = 'unreadable';
+    item.error = error.message;
+  }
+
+  return item;
+};
+
+const qualityOf = (item) =>
+  (Number.isFinite(item.evaluationScore) ? item.evaluationScore : 50) +
+  (item.face?.detected ? 20 : 0) +
+  Math.min(((item.width || 0) * (item.height || 0)) / 1e6, 4);
+
+/**
+ * Drop near-duplicates (keeping the better-scoring photo of each group) and
+ * cap the included images at MAX_TRAINING_IMAGES, best first.
+ */
+const applySelection = (items) => {
+  const ordered = items
+    .filter((item) => item.included)
+    .sort((a, b) => qualityOf(b) - qualityOf(a));
+
+  const kept = [];
+  ordered.forEach((item) => {
+    const original = item.hash
+      ? kept.find(
+          (candidate) =>
+            candidate.hash && hammingDistance(candidate.hash, item.hash) <= DUPLICATE_HASH_DISTANCE
+        )
+      : null;
+
+    if (original) {
+      item.included = false;
+      item.exclusionReason = 'duplicate';
+      item.duplicateOf = original.assetId;
+    } else if (kept.length >= MAX_TRAINING_IMAGES) {
+      item.included = false;
+      item.exclusionReason = 'limit';
+    } else {
+      kept.push(item);
+    }
+  });
+
+  return items;
+};
+
+const countBy = (values) =>
+  values.reduce((counts, value) => {
+    if (value) {
+      counts[value] = (counts[value] || 0) + 1;
+    }
+    return counts;
+  }, {});
+
+const dominantShareWarning = (counts, total, describe) => {
+  const [top] = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+  if (!top || total < 4 || top[1] / total <= DOMINANT_SHARE) return null;
+  return describe(top[0], Math.round((top[1] / total) * 100));
+};
+
+const buildReport = (items) => {
+  const included = items.filter((item) => item.included);
+  const withFace = included.filter((item) => item.face?.detected);
+  const expressions = countBy(withFace.map((item) => item.face.expression));
+  const lighting = countBy(included.map((item) => item.lighting?.label));
+
+  const warnings = [];
+  if (included.length < MIN_RECOMMENDED_IMAGES) {
+    warnings.push(
+      `Only ${included.length} images are included; ${MIN_RECOMMENDED_IMAGES} or more give better likeness.`
+    );
+  }
+  if (withFace.length < included.length) {
+    warnings.push(
+      `${included.length - withFace.length} included images have no detectable face and are used uncropped.`
+    );
+  }
+  const expressionWarning = dominantShareWarning(
+    expressions,
+    withFace.length,
+    (expression, percent) =>
+      `${percent}% of faces look ${expression}; add photos with other expressions.`
+  );
+  if (expressionWarning) warnings.push(expressionWarning);
+  const lightingWarning = dominantShareWarning(
+    lighting,
+    included.length,
+    (label, percent) => `${percent}% of photos have ${label} lighting; add photos in different light.`
+  );
+  if (lightingWarning) warnings.push(lightingWarning);
+
+  return {
+    total: items.length,
+    included: included.length,
+    excluded: countBy(items.filter((item) => !item.included).map((item) => item.exclusionReason)),
+    facesDetected: withFace.length,
+    expressions,
+    lighting,
+    warnings,
+  };
+};
+
+/**
+ * Analyse every reference photo of the dataset's user and store the curated
+ * selection. Items are saved one by one so a restarted job resumes where it
+ * stopped instead of re-uploading crops.
+ */
+const prepareTrainingDataset = async (datasetId) => {
+  const dataset = await TrainingDataset.findById(datasetId).lean();
+  if (!dataset || dataset.status !== 'processing') {
+    return dataset;
+  }
+
+  const user = await User.findById(dataset.userId).select('imageAssets').lean();
+  const assets = (user?.imageAssets || []).filter((asset) => asset?.key);
+  if (!assets.length) {
+    throw createHttpError('User has no reference photos to prepare', 400);
+  }
+
+  const faceapi = await getFaceApi();
+  const done = new Set((dataset.items || []).map((item) => item.assetId.toString()));
+
+  for (const asset of assets) {
+    if (done.has(asset._id.toString())) continue;
+    const item = await analyseAsset(faceapi, dataset, asset);
+    await TrainingDataset.updateOne({ _id: dataset._id }, { $push: { items: item } });
+  }
+
+  const latest = await TrainingDataset.findById(dataset._id).select('items').lean();
+  const items = applySelection(latest.items || []);
+  const report = buildReport(items);
+  if (!faceapi) {
+    report.warnings.push(FACE_DETECTION_UNAVAILABLE);
+  }
+
+  const updated = await TrainingDataset.findByIdAndUpdate(
+    dataset._id,
+    { $set: { items, report, status: 'ready', completedAt: new Date() } },
+    { new: true }
+  ).lean();
+
+  console.log(
+    `🧹 Training dataset ${dataset._id} ready (${report.included}/${report.total} images included)`
+  );
+  return updated;
+};
+
+const runQueuedDatasetPreparation = async (queueJob) => {
+  await prepareTrainingDataset(queueJob.payload?.datasetId);
+  return null;
+};
+
+const markDatasetFailed = async (queueJob, error) => {
+  await TrainingDataset.updateOne(
+    { _id: queueJob.payload?.datasetId, status: 'processing' },
+    {
+      $set: {
+        status: 'failed',
+        error: error?.message || 'Dataset preparation failed',
+        completedAt: new Date(),
+      },
+    }
+  );
+};
+
+const enqueueDatasetPreparation = (datasetId) =>
+  enqueueJob({
+    type: TRAINING_DATASET_JOB,
+    key: `training-dataset:${datasetId}`,
+    unique: true,
+    payload: { datasetId: String(datasetId) },
+  });
+
+const recoverDatasetPreparations = async () => {
+  const pending = await TrainingDataset.find({ status: 'processing' }).select('_id').lean();
+  for (const dataset of pending) {
+    await enqueueDatasetPreparation(dataset._id);
+  }
+  return pending.length;
+};
+
+registerJobHandler(TRAINING_DATASET_JOB, runQueuedDatasetPreparation, {
+  concurrency: 1,
+  maxAttempts: 2,
+  onFailure: markDatasetFailed,
+  recover: recoverDatasetPreparations,
+});
+
+const createDatasetForUser = async (userId, actor) => {
+  assertObjectId(userId, 'user ID');
+  const user = await User.findById(userId).select('imageAssets').lean();
+  if (!user) {
+    throw createHttpError('User not found', 404);
+  }
+  if (!(user.imageAssets || []).length) {
+    throw createHttpError(
+      'Selected user has no uploaded images. Add reference photos before preparing a dataset.',
+      400
+    );
+  }
+  return TrainingDataset.create({ userId, createdBy: toActor(actor) });
+};
+
+/**
+ * Queue dataset preparation for a user's reference photos. Poll the returned
+ * dataset until its status leaves `processing`.
+ */
+const startTrainingDataset = async (userId, { actor } = {}) => {
+  const dataset = await createDatasetForUser(userId, actor);
+  await enqueueDatasetPreparation(dataset._id);
+  return dataset.toObject();
+};
+
+/**
+ * Prepare a dataset inline, for trainings started without a reviewed one.
+ */
+const prepareTrainingDatasetNow = async (userId, { actor } = {}) => {
+  const dataset = await createDatasetForUser(userId, actor);
+  try {
+    return await prepareTrainingDataset(dataset._id);
+  } catch (error) {
+    await markDatasetFailed({ payload: { datasetId: dataset._id } }, error);
+    throw error;
+  }
+};
+
+const listTrainingDatasets = async ({ userId, limit = 10 } = {}) => {
+  const filter = {};
+  if (userId) {
+    assertObjectId(userId, 'user ID');
+    filter.userId = userId;
+  }
+  const pageSize = clamp(Number.parseInt(limit, 10) || 10, 1, 50);
+  return TrainingDataset.find(filter)
+    .select('-items')
+    .sort({ createdAt: -1 })
+    .limit(pageSize)
+    .lean();
+};
+
+const getTrainingDataset = async (datasetId) => {
+  assertObjectId(datasetId, 'dataset ID');
+  const dataset = await TrainingDataset.findById(datasetId).lean();
+  if (!dataset) {
+    throw createHttpError('Training dataset not found', 404);
+  }
+  return dataset;
+};
+
+const parseCrop = (crop) => {
+  const values = ['x', 'y', 'width', 'height'].map((field) => Number(crop?.[field]));
+  const [x, y, width, height] = values;
+  const valid =
+    values.every(Number.isFinite) &&
+    x >= 0 &&
+    y >= 0 &&
+    width >= 0.05 &&
+    height >= 0.05 &&
+    x + width <= 1.0001 &&
+    y + height <= 1.0001;
+  if (!valid) {
+    throw createHttpError('Crop must be a region inside the image (fractions between 0 and 1)', 400);
+  }
+  return {
+    x: roundTo(x, 4),
+    y: roundTo(y, 4),
+    width: roundTo(Math.min(width, 1 - x), 4),
+    height: roundTo(Math.min(height, 1 - y), 4),
+  };
+};
+
+/**
+ * Admin review: include/exclude an image or change its crop. `crop: null`
+ * restores the automatic face crop. Re-renders the training image when needed.
+ */
+const updateTrainingDatasetItem = async (datasetId, itemId, { included, crop } = {}) => {
+  assertObjectId(datasetId, 'dataset ID');
+  assertObjectId(itemId, 'item ID');
+
+  const dataset = await TrainingDataset.findById(datasetId);
+  if (!dataset) {
+    throw createHttpError('Training dataset not found', 404);
+  }
+  if (dataset.status !== 'ready') {
+    throw createHttpError('Only datasets that are ready for review can be changed', 409);
+  }
+  const item = dataset.items.id(itemId);
+  if (!item) {
+    throw createHttpError('Dataset image not found', 404);
+  }
+  const before = item.toObject();
+
+  let cropChanged = false;
+  if (crop !== undefined) {
+    if (crop === null) {
+      item.crop = item.autoCrop || FULL_FRAME;
+      item.cropSource = item.face?.detected ? 'face' : 'full';
+    } else {
+      item.crop = parseCrop(crop);
+      item.cropSource = 'manual';
+    }
+    cropChanged = true;
+  }
+
+  if (included !== undefined) {
+    if (typeof included !== 'boolean') {
+      throw createHttpError('included must be true or false', 400);
+    }
+    if (included && !item.included) {
+      if (item.exclusionReason === 'unreadable') {
+        throw createHttpError('This image could not be read and cannot be included', 400);
+      }
+      const includedCount = dataset.items.filter((entry) => entry.included).length;
+      if (includedCount >= MAX_TRAINING_IMAGES) {
+        throw createHttpError(
+          `A training set can hold at most ${MAX_TRAINING_IMAGES} images; exclude one first`,
+          409
+        );
+      }
+    }
+    item.included = included;
+    item.exclusionReason = included ? null : 'manual';
+    item.duplicateOf = included ? null : item.duplicateOf;
+  }
+
+  if (item.included && (cropChanged || !item.processed)) {
+    const buffer = await downloadSourceBuffer({ key: item.sourceKey, url: item.sourceUrl });
+    const { canvas } = await loadOrientedImage(buffer);
+    const previousKey = item.processed?.key;
+    item.processed = await uploadProcessedImage(dataset, item, canvas);
+    if (previousKey) {
+      deleteFromS3(previousKey).catch((error) =>
+        console.warn(`⚠️  Failed to delete replaced dataset image ${previousKey}:`, error.message)
+      );
+    }
+  }
+
+  const report = buildReport(dataset.items);
+  if (dataset.report?.warnings?.includes(FACE_DETECTION_UNAVAILABLE)) {
+    report.warnings.push(FACE_DETECTION_UNAVAILABLE);
+  }
+  dataset.report = report;
+  await dataset.save();
+
+  return { before, item: item.toObject(), dataset: dataset.toObject() };
+};
+
+/**
+ * Download the curated images of a ready dataset for zipping.
+ */
+const loadTrainingDatasetImages = async (dataset) => {
+  const included = (dataset.items || []).filter((item) => item.included && item.processed?.key);
+  if (!included.length) {
+    throw createHttpError('The training dataset has no included images', 400);
+  }
+
+  const images = [];
+  for (let index = 0; index < included.length; index += 1) {
+    const item = included[index];
+    const buffer = await downloadFromS3(item.processed.key);
+    const baseName = path.parse(item.originalName || `image-${index + 1}`).name;
+    images.push({
+      buffer,
+      // Prefixed so photos that share an original file name stay distinct in the ZIP
+      originalName: `${String(index + 1).padStart(2, '0')}-${baseName}.jpg`,
+      contentType: 'image/jpeg',
+      size: buffer.length,
+      assetId: item.assetId,
+    });
+  }
+  return images;
+};
+
+/**
+ * Resolve the dataset a training should use: the reviewed one when given,
+ * otherwise one prepared on the spot from the user's photos.
+ */
+const resolveDatasetForTraining = async (userId, datasetId, { actor } = {}) => {
+  if (!datasetId) {
+    return prepareTrainingDatasetNow(userId, { actor });
+  }
+
+  const dataset = await getTrainingDataset(datasetId);
+  if (dataset.userId.toString() !== String(userId)) {
+    throw createHttpError('The training dataset belongs to a different user', 400);
+  }
+  if (dataset.status === 'used') {
+    throw createHttpError('This dataset was already used for a training; prepare a new one', 409);
+  }
+  if (dataset.status !== 'ready') {
+    throw createHttpError('The training dataset is not ready yet', 409);
+  }
+  return dataset;
+};
+
+const markTrainingDatasetUsed = (datasetId, trainingId) =>
+  TrainingDataset.updateOne(
+    { _id: datasetId, status: 'ready' },
+    { $set: { status: 'used', trainingId } }
+  );
+
+module.exports = {
+  MAX_TRAINING_IMAGES,
+  startTrainingDataset,
+  listTrainingDatasets,
+  getTrainingDataset,
+  updateTrainingDatasetItem,
+  resolveDatasetForTraining,
+  loadTrainingDatasetImages,
+  markTrainingDatasetUsed,
+};
@@ -0,0 +1,524 @@
+const mongoose = require('mongoose');
+const TrainingExperiment = require('../models/TrainingExperiment');
+const Training = require('../models/Training');
+const Generation = require('../models/Generation');
+const User = require('../models/User');
+const { registerJobHandler, enqueueJob } = require('./jobQueue');
+const { subscribeToTrainingUpdates } = require('./trainingEvents');
+const { subscribeToGenerationUpdates } = require('./generationEvents');
+const { dispatchGenerationAttempt, broadcastGeneration } = require('./generationWorkflow');
+const { setUserDefaultTraining } = require('./trainingLifecycle');
+const { launchTraining, resolveTrainingConfig } = require('./trainingLauncher');
+const { resolveTrainingPreset } = require('./trainingPresets');
+const {
+  resolveDatasetForTraining,
+  loadTrainingDatasetImages,
+  markTrainingDatasetUsed,
+} = require('./trainingDataset');
+
+const TRAINING_EXPERIMENT_JOB = 'training.experiment';
+const MAX_EXPERIMENT_PROMPTS = 8;
+// Same seed per prompt on both arms so differences come from the LoRA, not the noise
+const EXPERIMENT_SEED_BASE = 4200;
+
+// `{trigger}` is replaced with each arm's trigger word, `{name}` with the child's name
+const DEFAULT_EXPERIMENT_PROMPTS = [
+  'A close-up portrait photo of {trigger}, smiling, soft window light, plain background',
+  'A full-body photo of {trigger} playing in a sunny park, candid, natural colours',
+  'A storybook illustration of {trigger} reading a book by candlelight, warm tones',
+  'A photo of {trigger} in a winter coat in the snow, looking at the camera',
+];
+
+const TERMINAL_TRAINING_STATUSES = new Set(['succeeded', 'failed', 'canceled']);
+const TERMINAL_GENERATION_STATUSES = new Set(['succeeded', 'failed']);
+
+const createHttpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const assertObjectId = (value, label) => {
+  if (!mongoose.isValidObjectId(value)) {
+    throw createHttpError(`Invalid ${label}`, 400);
+  }
+};
+
+const average = (values) => {
+  if (!values.length) return null;
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+};
+
+const roundTo = (value, digits) =>
+  value === null ? null : Math.round(value * 10 ** digits) / 10 ** digits;
+
+const normalisePrompts = (prompts) => {
+  if (prompts === undefined || prompts === null) return DEFAULT_EXPERIMENT_PROMPTS;
+  if (!Array.isArray(prompts)) {
+    throw createHttpError('Prompts must be a list', 400);
+  }
+  const cleaned = prompts
+    .map((prompt) => (typeof prompt === 'string' ? prompt.trim() : ''))
+    .filter(Boolean);
+  if (!cleaned.length) return DEFAULT_EXPERIMENT_PROMPTS;
+  if (cleaned.length > MAX_EXPERIMENT_PROMPTS) {
+    throw createHttpError(`Use at most ${MAX_EXPERIMENT_PROMPTS} prompts`, 400);
+  }
+  if (cleaned.some((prompt) => prompt.length < 3 || prompt.length > 1000)) {
+    throw createHttpError('Each prompt must be between 3 and 1000 characters', 400);
+  }
+  return cleaned;
+};
+
+const renderPrompt = (template, { trigger, name }) => {
+  const rendered = template
+    .replace(/\{trigger\}/g, trigger)
+    .replace(/\{name\}/g, name || trigger);
+  // The LoRA only activates on its trigger word
+  return rendered.includes(trigger) ? rendered : `${trigger}, ${rendered}`;
+};
+
+const enqueueExperimentAdvance = (experimentId) =>
+  enqueueJob({
+    type: TRAINING_EXPERIMENT_JOB,
+    key: `training-experiment:${experimentId}`,
+    payload: { experimentId: String(experimentId) },
+  });
+
+/**
+ * Train two LoRAs for one user from the same curated dataset, each with its
+ * own preset. Progress continues in the background as trainings finish.
+ */
+const startTrainingExperiment = async (input = {}, { actor } = {}) => {
+  const { userId, datasetId, label } = input;
+  assertObjectId(userId, 'user ID');
+  const presetIds = Array.isArray(input.presetIds) ? input.presetIds : [];
+  if (presetIds.length !== 2) {
+    throw createHttpError('Choose exactly two presets to compare', 400);
+  }
+  if (String(presetIds[0]) === String(presetIds[1])) {
+    throw createHttpError('Choose two different presets to compare', 400);
+  }
+  const prompts = normalisePrompts(input.prompts);
+
+  const user = await User.findById(userId);
+  if (!user) {
+    throw createHttpError('User not found', 404);
+  }
+  const presets = await Promise.all(presetIds.map((presetId) => resolveTrainingPreset(presetId)));
+
+  const dataset = await resolveDatasetForTraining(userId, datasetId, { actor });
+  const sourceAssets = await loadTrainingDatasetImages(dataset);
+  if (!sourceAssets.length) {
+    throw createHttpError('The training dataset has no included images', 400);
+  }
+
+  const experiment = await TrainingExperiment.create({
+    userId,
+    label: typeof label === 'string' ? label.trim() : '',
+    datasetId: dataset._id,
+    prompts,
+    arms: presets.map((preset, index) => {
+      const config = resolveTrainingConfig({}, preset);
+      return {
+        key: index === 0 ? 'A' : 'B',
+        presetId: preset._id,
+        presetName: preset.name,
+        config: {
+          steps: config.steps,
+          learningRate: config.learningRate,
+          loraRank: config.loraRank,
+          batchSize: config.batchSize,
+        },
+      };
+    }),
+    createdBy: { accountId: actor?.accountId || null, name: actor?.name || '' },
+  });
+
+  const baseModelName = user.name.toLowerCase().replace(/[^a-z0-9-]/g, '-');
+  const launched = [];
+  for (const [index, arm] of experiment.arms.entries()) {
+    let armUpdate;
+    try {
+      const training = await launchTraining({
+        user,
+        sourceAssets,
+        source: 'user-library',
+        modelName: `${baseModelName}-${arm.key.toLowerCase()}`,
+        trainingConfig: {},
+        userAssetIds: sourceAssets.map((asset) => asset.assetId),
+        datasetId: dataset._id,
+        preset: presets[index],
+        experimentId: experiment._id,
+      });
+      launched.push(training._id);
+      armUpdate = { 'arms.$.trainingId': training._id };
+    } catch (error) {
+      console.error(`❌ Experiment ${experiment._id} arm ${arm.key} failed to launch:`, error.message);
+      armUpdate = { 'arms.$.status': 'failed', 'arms.$.error': error.message };
+    }
+    // Written per arm so the background job sees each training as soon as it exists
+    await TrainingExperiment.updateOne(
+      { _id: experiment._id, 'arms.key': arm.key },
+      { $set: armUpdate }
+    );
+  }
+
+  if (launched.length) {
+    await markTrainingDatasetUsed(dataset._id, launched[0]);
+  }
+  await enqueueExperimentAdvance(experiment._id);
+
+  console.log(`🧪 Started training experiment ${experiment._id} for user ${userId}`);
+  return TrainingExperiment.findById(experiment._id).lean();
+};
+
+const createArmGenerations = async (experiment, arm, training, userName) => {
+  const trigger = training.trainingConfig?.triggerWord || training.modelName;
+  const existing = new Set(arm.generations.map((entry) => entry.promptIndex));
+
+  for (const [promptIndex, template] of experiment.prompts.entries()) {
+    if (existing.has(promptIndex)) continue;
+
+    const generationInput = {
+      prompt: renderPrompt(template, { trigger, name: userName }),
+      guidance_scale: 2,
+      output_quality: 100,
+      output_format: 'png',
+      num_outputs: 4,
+      go_fast: false,
+      num_inference_steps: 28,
+      megapixels: '1',
+      lora_scale: 1,
+      extra_lora_scale: 1,
+      seed: EXPERIMENT_SEED_BASE + promptIndex,
+    };
+
+    const generation = await Generation.create({
+      userId: experiment.userId,
+      trainingId: training._id,
+      modelVersion: training.modelVersion,
+      prompt: generationInput.prompt,
+      generationConfig: {
+        model: 'ranked',
+        mode: 'ranked',
+        goFast: generationInput.go_fast,
+        loraScale: generationInput.lora_scale,
+        megapixels: generationInput.megapixels,
+        numOutputs: generationInput.num_outputs,
+        aspectRatio: '1:1',
+        outputFormat: generationInput.output_format,
+        guidanceScale: generationInput.guidance_scale,
+        outputQuality: generationInput.output_quality,
+        promptStrength: 0.8,
+        extraLoraScale: generationInput.extra_lora_scale,
+        numInferenceSteps: generationInput.num_inference_steps,
+      },
+      status: 'queued',
+      progress: 0,
+      attempts: 0,
+      replicateInput: generationInput,
+      experimentContext: {
+        experimentId: experiment._id,
+        arm: arm.key,
+        promptIndex,
+      },
+      events: [
+        {
+          type: 'created',
+          message: `Experiment ranked generation queued (arm ${arm.key}, prompt ${promptIndex + 1})`,
+          metadata: { experimentId: experiment._id, arm: arm.key, promptIndex },
+          timestamp: new Date(),
+        },
+      ],
+    });
+
+    // Record the generation before dispatching so a crash cannot create it twice
+    await TrainingExperiment.updateOne(
+      { _id: experiment._id, 'arms.key': arm.key },
+      { $push: { 'arms.$.generations': { promptIndex, generationId: generation._id } } }
+    );
+    arm.generations.push({ promptIndex, generationId: generation._id });
+
+    await broadcastGeneration(generation._id);
+    try {
+      await dispatchGenerationAttempt({
+        generationId: generation._id,
+        modelVersion: training.modelVersion,
+        input: generationInput,
+        reason: 'training-experiment',
+      });
+    } catch (error) {
+      console.warn(`⚠️  Experiment generation ${generation._id} failed to dispatch:`, error.message);
+      await Generation.findByIdAndUpdate(generation._id, {
+        $set: { status: 'failed', error: error.message, completedAt: new Date() },
+      });
+      await broadcastGeneration(generation._id);
+    }
+  }
+};
+
+const summariseArm = (generations) => {
+  const topScores = [];
+  const allScores = [];
+  const topSimilarities = [];
+  let failedPrompts = 0;
+
+  for (const generation of generations) {
+    const ranked = generation.ranking?.ranked || [];
+    if (generation.status !== 'succeeded' || !ranked.length) {
+      failedPrompts += 1;
+      continue;
+    }
+    const best = ranked.reduce((top, entry) => (entry.rank < top.rank ? entry : top), ranked[0]);
+    topScores.push(best.score);
+    allScores.push(...ranked.map((entry) => entry.score));
+    if (Number.isFinite(best.faceSimilarity)) {
+      topSimilarities.push(best.faceSimilarity);
+    }
+  }
+
+  return {
+    completedPrompts: topScores.length,
+    failedPrompts,
+    meanTopScore: roundTo(average(topScores), 1),
+    meanScore: roundTo(average(allScores), 1),
+    meanFaceSimilarity: roundTo(average(topSimilarities), 3),
+  };
+};
+
+// Higher mean top score wins; likeness breaks ties
+const pickRecommendedArm = (arms) => {
+  const candidates = arms.filter(
+    (arm) => arm.status === 'completed' && Number.isFinite(arm.summary?.meanTopScore)
+  );
+  if (!candidates.length) return null;
+  const [best] = candidates.sort(
+    (a, b) =>
+      b.summary.meanTopScore - a.summary.meanTopScore ||
+      (b.summary.meanFaceSimilarity ?? 0) - (a.summary.meanFaceSimilarity ?? 0)
+  );
+  return best.key;
+};
+
+/**
+ * Move an experiment forward: start the prompt set on arms whose training
+ * succeeded, score arms whose generations all finished and close the
+ * experiment once both arms are done. Safe to run repeatedly.
+ */
+const advanceTrainingExperiment = async (experimentId) => {
+  const experiment = await TrainingExperiment.findById(experimentId);
+  if (!experiment || ['completed', 'failed'].includes(experiment.status)) {
+    return null;
+  }
+  const user = await User.findById(experiment.userId).select('name').lean();
+  const initialStatuses = experiment.arms.map((arm) => arm.status);
+
+  for (const arm of experiment.arms) {
+    if (arm.status === 'training' && arm.trainingId) {
+      const training = await Training.findById(arm.trainingId).lean();
+      if (!training) {
+        arm.status = 'failed';
+        arm.error = 'Training not found';
+      } else if (training.status === 'succeeded' && training.modelVersion) {
+        arm.status = 'generating';
+        await createArmGenerations(experiment, arm, training, user?.name);
+      } else if (TERMINAL_TRAINING_STATUSES.has(training.status)) {
+        arm.status = 'failed';
+        arm.error = training.error || `Training ${training.status}`;
+      }
+    }
+
+    if (arm.status === 'generating') {
+      const training = await Training.findById(arm.trainingId).lean();
+      // Resume prompts that were not created before a restart
+      if (arm.generations.length < experiment.prompts.length && training) {
+        await createArmGenerations(experiment, arm, training, user?.name);
+      }
+      const generations = await Generation.find({
+        _id: { $in: arm.generations.map((entry) => entry.generationId) },
+      })
+        .select('status ranking.ranked')
+        .lean();
+      const finished = generations.every((generation) =>
+        TERMINAL_GENERATION_STATUSES.has(generation.status)
+      );
+      if (finished && generations.length === experiment.prompts.length) {
+        arm.summary = summariseArm(generations);
+        arm.status = 'completed';
+      }
+    }
+  }
+
+  const statuses = experiment.arms.map((arm) => arm.status);
+  if (statuses.every((status) => status === 'completed' || status === 'failed')) {
+    const completed = statuses.includes('completed');
+    experiment.status = completed ? 'completed' : 'failed';
+    experiment.error = completed ? null : 'Both trainings failed';
+    experiment.recommended = pickRecommendedArm(experiment.arms);
+    experiment.completedAt = new Date();
+    console.log(`🧪 Training experiment ${experiment._id} ${experiment.status}`);
+  } else if (statuses.includes('generating')) {
+    experiment.status = 'generating';
+  }
+
+  // Generation ids are pushed atomically as they are created, so only the
+  // arms that changed state are written back here
+  const set = {
+    status: experiment.status,
+    error: experiment.error,
+    recommended: experiment.recommended,
+    completedAt: experiment.completedAt,
+  };
+  experiment.arms.forEach((arm, index) => {
+    if (arm.status === initialStatuses[index]) return;
+    set[`arms.${index}.status`] = arm.status;
+    set[`arms.${index}.error`] = arm.error;
+    set[`arms.${index}.summary`] = arm.summary;
+  });
+  await TrainingExperiment.updateOne({ _id: experiment._id }, { $set: set });
+  return null;
+};
+
+const runQueuedExperimentAdvance = async (queueJob) => {
+  await advanceTrainingExperiment(queueJob.payload?.experimentId);
+  return null;
+};
+
+const markExperimentFailed = async (queueJob, error) => {
+  await TrainingExperiment.updateOne(
+    { _id: queueJob.payload?.experimentId, status: { $in: ['training', 'generating'] } },
+    {
+      $set: {
+        status: 'failed',
+        error: error?.message || 'Training experiment failed',
+        completedAt: new Date(),
+      },
+    }
+  );
+};
+
+const recoverTrainingExperiments = async () => {
+  const pending = await TrainingExperiment.find({ status: { $in: ['training', 'generating'] } })
+    .select('_id')
+    .lean();
+  for (const experiment of pending) {
+    await enqueueExperimentAdvance(experiment._id);
+  }
+  return pending.length;
+};
+
+registerJobHandler(TRAINING_EXPERIMENT_JOB, runQueuedExperimentAdvance, {
+  concurrency: 1,
+  maxAttempts: 3,
+  onFailure: markExperimentFailed,
+  recover: recoverTrainingExperiments,
+});
+
+const listTrainingExperiments = async ({ userId, limit } = {}) => {
+  const filter = {};
+  if (userId) {
+    assertObjectId(userId, 'user ID');
+    filter.userId = userId;
+  }
+  const max = Math.min(Math.max(Number(limit) || 20, 1), 100);
+  return TrainingExperiment.find(filter)
+    .sort({ createdAt: -1 })
+    .limit(max)
+    .populate('userId', 'name')
+    .lean();
+};
+
+/**
+ * Experiment with each arm's generations (images and ranking) for the
+ * side-by-side comparison grid.
+ */
+const getTrainingExperiment = async (experimentId) => {
+  assertObjectId(experimentId, 'experiment ID');
+  const experiment = await TrainingExperiment.findById(experimentId)
+    .populate('userId', 'name defaultTrainingId')
+    .populate('arms.trainingId', 'modelName modelVersion status progress error trainingConfig.triggerWord')
+    .lean();
+  if (!experiment) {
+    throw createHttpError('Training experiment not found', 404);
+  }
+
+  const generationIds = experiment.arms.flatMap((arm) =>
+    arm.generations.map((entry) => entry.generationId)
+  );
+  const generations = await Generation.find({ _id: { $in: generationIds } })
+    .select('prompt status progress error imageAssets ranking.ranked ranking.winners')
+    .lean();
+  const byId = new Map(generations.map((generation) => [String(generation._id), generation]));
+
+  return {
+    ...experiment,
+    arms: experiment.arms.map((arm) => ({
+      ...arm,
+      generations: arm.generations
+        .map((entry) => ({ ...entry, generation: byId.get(String(entry.generationId)) || null }))
+        .sort((a, b) => a.promptIndex - b.promptIndex),
+    })),
+  };
+};
+
+/**
+ * Pick the better arm and make its LoRA the user's default model.
+ */
+const selectExperimentWinner = async (experimentId, armKey) => {
+  assertObjectId(experimentId, 'experiment ID');
+  const experiment = await TrainingExperiment.findById(experimentId);
+  if (!experiment) {
+    throw createHttpError('Training experiment not found', 404);
+  }
+  const arm = experiment.arms.find((entry) => entry.key === armKey);
+  if (!arm) {
+    throw createHttpError(`Unknown experiment arm "${armKey}"`, 400);
+  }
+  if (arm.status !== 'completed' || !arm.trainingId) {
+    throw createHttpError('Only an arm that finished its comparison run can be selected', 409);
+  }
+
+  const before = { winner: experiment.winner };
+  const { previousTrainingId } = await setUserDefaultTraining(arm.trainingId, {
+    reason: 'experiment',
+  });
+  experiment.winner = arm.key;
+  experiment.winnerSelectedAt = new Date();
+  await experiment.save();
+
+  return { before, experiment: experiment.toObject(), previousTrainingId };
+};
+
+let watchersInitialised = false;
+
+const initialiseTrainingExperimentWatchers = () => {
+  if (watchersInitialised) return;
+  watchersInitialised = true;
+
+  subscribeToTrainingUpdates((training) => {
+    const experimentId = training?.trainingConfig?.experimentId;
+    if (!experimentId || !TERMINAL_TRAINING_STATUSES.has(training.status)) return;
+    enqueueExperimentAdvance(experimentId).catch((error) => {
+      console.error('❌ Failed to queue training experiment update:', error.message);
+    });
+  });
+
+  subscribeToGenerationUpdates((generation) => {
+    const experimentId = generation?.experimentContext?.experimentId;
+    if (!experimentId || !generation.completedAt) return;
+    if (!TERMINAL_GENERATION_STATUSES.has(generation.status)) return;
+    enqueueExperimentAdvance(experimentId).catch((error) => {
+      console.error('❌ Failed to queue training experiment update:', error.message);
+    });
+  });
+};
+
+module.exports = {
+  DEFAULT_EXPERIMENT_PROMPTS,
+  startTrainingExperiment,
+  listTrainingExperiments,
+  getTrainingExperiment,
+  selectExperimentWinner,
+  initialiseTrainingExperimentWatchers,
+};
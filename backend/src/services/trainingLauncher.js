@@ -0,0 +1,278 @@
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+const archiver = require('archiver');
+const Training = require('../models/Training');
+const { getImageProvider } = require('./providers');
+const {
+  uploadBufferToS3,
+  deleteFromS3,
+  generateTrainingImageKey,
+  generateTrainingZipKey,
+} = require('../config/s3');
+const {
+  dispatchTraining,
+  broadcastTraining,
+  populateTrainingForClient,
+} = require('./trainingWorkflow');
+
+const DEFAULT_TRAINING_CONFIG = {
+  steps: 1000,
+  learningRate: 0.0004,
+  loraRank: 16,
+  batchSize: 1,
+};
+
+const TRAINER_VERSION = {
+  owner: 'ostris',
+  project: 'flux-dev-lora-trainer',
+  version: 'e440909d3512c31646ee2e0c7d6f6f4923224863a6a10c494606e79fb5844497',
+};
+
+const pickNumber = (...values) => {
+  for (const value of values) {
+    if (value !== undefined && value !== null && value !== '' && Number.isFinite(Number(value))) {
+      return Number(value);
+    }
+  }
+  return undefined;
+};
+
+/**
+ * Merge hyperparameters: explicit request values win over the preset, the
+ * preset over the defaults.
+ */
+const resolveTrainingConfig = (input = {}, preset = null) => ({
+  steps: pickNumber(input.steps, preset?.steps, DEFAULT_TRAINING_CONFIG.steps),
+  learningRate: pickNumber(
+    input.learningRate,
+    preset?.learningRate,
+    DEFAULT_TRAINING_CONFIG.learningRate
+  ),
+  loraRank: pickNumber(input.loraRank, preset?.loraRank, DEFAULT_TRAINING_CONFIG.loraRank),
+  batchSize: pickNumber(input.batchSize, preset?.batchSize, DEFAULT_TRAINING_CONFIG.batchSize),
+  triggerWord: (input.triggerWord || preset?.triggerWord || '').trim() || null,
+});
+
+/**
+ * Zip the training images, upload them to S3 and start the LoRA training on
+ * the image provider. Uploaded files are removed again if anything fails.
+ */
+const launchTraining = async ({
+  user,
+  sourceAssets,
+  source,
+  modelName,
+  trainingConfig,
+  userAssetIds = [],
+  datasetId = null,
+  preset = null,
+  experimentId = null,
+}) => {
+  let uploadedAssets = [];
+  let generatedZipKey = null;
+  let localZipPath;
+
+  try {
+    const timestamp = Date.now();
+    const baseModelName = (modelName || user.name.toLowerCase()).replace(/[^a-z0-9-]/g, '-');
+    const uniqueModelName = `${baseModelName}-${timestamp}`;
+
+    if (sourceAssets.length < 10) {
+      console.log(
+        `⚠️  Only ${sourceAssets.length} training images provided for ${uniqueModelName}. More images improve fine-tuning quality.`
+      );
+    }
+
+    console.log(
+      `📸 Preparing ${sourceAssets.length} training images for ${uniqueModelName} (source: ${
+        source === 'user-library' ? 'user-library' : 'direct-upload'
+      })`
+    );
+
+    const tempDir = path.join(os.tmpdir(), 'training-zips');
+    await fs.ensureDir(tempDir);
+    localZipPath = path.join(tempDir, `${uniqueModelName}.zip`);
+
+    const zipOutput = fs.createWriteStream(localZipPath);
+    const archive = archiver('zip', { zlib: { level: 9 } });
+    const archivePromise = new Promise((resolve, reject) => {
+      zipOutput.on('close', resolve);
+      archive.on('error', reject);
+    });
+    archive.pipe(zipOutput);
+
+    const uploadPromises = sourceAssets.map((asset, index) => {
+      const fileName = asset.originalName || `training-image-${index + 1}.jpg`;
+      archive.append(asset.buffer, { name: fileName });
+      const key = generateTrainingImageKey(uniqueModelName, fileName, index);
+      return uploadBufferToS3(asset.buffer, key, asset.contentType, { acl: 'public-read' }).then(({ url }) => ({
+        key,
+        url,
+        size: asset.size ?? asset.buffer.length,
+        contentType: asset.contentType,
+        uploadedAt: new Date(),
+        originalName: fileName,
+      }));
+    });
+
+    await archive.finalize();
+    await archivePromise;
+
+    uploadedAssets = await Promise.all(uploadPromises);
+
+    const zipBuffer = await fs.readFile(localZipPath);
+    generatedZipKey = generateTrainingZipKey(uniqueModelName);
+    const { url: zipUrl } = await uploadBufferToS3(zipBuffer, generatedZipKey, 'application/zip', { acl: 'public-read' });
+    await fs.remove(localZipPath);
+
+    console.log('🌐 Uploaded dataset ZIP to S3:', zipUrl);
+
+    const config = resolveTrainingConfig(trainingConfig, preset);
+    const triggerWord = config.triggerWord || baseModelName;
+    const trainingInput = {
+      input_images: zipUrl,
+      steps: config.steps,
+      lora_rank: config.loraRank,
+      batch_size: config.batchSize,
+      learning_rate: config.learningRate,
+      trigger_word: triggerWord,
+    };
+
+    const trainingConfigRecord = {
+      steps: trainingInput.steps,
+      learningRate: trainingInput.learning_rate,
+      batchSize: trainingInput.batch_size,
+      loraRank: trainingInput.lora_rank,
+      triggerWord,
+      source,
+      zipPath: generatedZipKey,
+      zipUrl,
+    };
+
+    if (userAssetIds.length) {
+      trainingConfigRecord.userAssetIds = userAssetIds;
+    }
+    if (datasetId) {
+      trainingConfigRecord.datasetId = datasetId;
+    }
+    if (preset) {
+      trainingConfigRecord.presetId = preset._id;
+      trainingConfigRecord.presetName = preset.name;
+    }
+    if (experimentId) {
+      trainingConfigRecord.experimentId = experimentId;
+    }
+    console.log('🚀 Preparing training request for Replicate...');
+    console.log('Training Config:', trainingInput);
+
+    const replicateOptions = {
+      input: trainingInput,
+    };
+
+    if (process.env.REPLICATE_USERNAME) {
+      const destinationPath = `${process.env.REPLICATE_USERNAME}/${uniqueModelName}`;
+      replicateOptions.destination = destinationPath;
+      try {
+        await getImageProvider().createModel(process.env.REPLICATE_USERNAME, uniqueModelName, {
+          visibility: 'private',
+          hardware: 'gpu-t4',
+          description: `Fine-tuned Flux model for ${user.name} (trigger: ${triggerWord})`,
+        });
+        console.log('✅ Model created on Replicate');
+      } catch (modelError) {
+        console.error('❌ Model creation failed:', modelError.message);
+        throw new Error(`Failed to create model: ${modelError.message}`);
+      }
+    } else {
+      console.log('⚠️  No REPLICATE_USERNAME set - training will not be saved to account');
+    }
+
+    const pendingReplicateId = `pending:${uniqueModelName}:${Date.now()}`;
+
+    const newTraining = await Training.create({
+      userId: user._id,
+      modelName: uniqueModelName,
+      imageUrls: uploadedAssets.map((asset) => asset.url),
+      imageAssets: uploadedAssets,
+      status: 'queued',
+      progress: 0,
+      logsUrl: null,
+      replicateTrainingId: pendingReplicateId,
+      trainingConfig: trainingConfigRecord,
+      attempts: 0,
+      events: [
+        {
+          type: 'created',
+          message: 'Training dataset prepared and queued',
+          metadata: {
+            userId: user._id,
+            modelName: uniqueModelName,
+            images: uploadedAssets.length,
+            source: trainingConfigRecord.source,
+            preset: preset?.name || null,
+          },
+          timestamp: new Date(),
+        },
+      ],
+    });
+
+    await broadcastTraining(newTraining._id);
+
+    try {
+      await dispatchTraining({
+        trainingId: newTraining._id,
+        replicateArgs: { ...TRAINER_VERSION, ...replicateOptions },
+        reason: 'initial',
+      });
+    } catch (dispatchError) {
+      const failureTime = new Date();
+      await Training.findByIdAndUpdate(newTraining._id, {
+        $set: {
+          status: 'failed',
+          error: dispatchError.message,
+          completedAt: failureTime,
+        },
+        $push: {
+          events: {
+            type: 'error',
+            message: `Failed to dispatch training: ${dispatchError.message}`,
+            metadata: { attempt: 1 },
+            timestamp: failureTime,
+          },
+        },
+      });
+      await broadcastTraining(newTraining._id);
+      throw dispatchError;
+    }
+
+    return populateTrainingForClient(newTraining._id);
+  } catch (error) {
+    if (generatedZipKey) {
+      try {
+        await deleteFromS3(generatedZipKey);
+      } catch (cleanupError) {
+        console.warn('⚠️  Failed to delete zip from S3 after error:', cleanupError.message);
+      }
+    }
+    if (uploadedAssets.length) {
+      await Promise.all(
+        uploadedAssets.map((asset) =>
+          deleteFromS3(asset.key).catch((cleanupError) =>
+            console.warn('⚠️  Failed to delete image from S3 after error:', cleanupError.message)
+          )
+        )
+      );
+    }
+    if (localZipPath) {
+      await fs.remove(localZipPath).catch(() => {});
+    }
+    throw error;
+  }
+};
+
+module.exports = {
+  DEFAULT_TRAINING_CONFIG,
+  resolveTrainingConfig,
+  launchTraining,
+};
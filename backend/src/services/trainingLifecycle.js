@@ -0,0 +1,174 @@
+const mongoose = require('mongoose');
+const Training = require('../models/Training');
+const User = require('../models/User');
+const { TRAINING_LIFECYCLE_STATES } = require('../models/Training');
+const { broadcastTraining } = require('./trainingWorkflow');
+
+const createHttpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const assertObjectId = (value, label) => {
+  if (!mongoose.isValidObjectId(value)) {
+    throw createHttpError(`Invalid ${label}`, 400);
+  }
+};
+
+const lifecycleStateOf = (training) => training?.lifecycle?.state || 'active';
+
+const pushTrainingEvent = (trainingId, type, message, metadata = {}) =>
+  Training.findByIdAndUpdate(trainingId, {
+    $push: { events: { type, message, metadata, timestamp: new Date() } },
+  });
+
+/**
+ * Pin a succeeded, active training as the model its user's generations and
+ * storybooks fall back to. Returns the previous pin so callers can audit it.
+ */
+const setUserDefaultTraining = async (trainingId, { reason = 'manual' } = {}) => {
+  assertObjectId(trainingId, 'training ID');
+  const training = await Training.findById(trainingId).select(
+    'userId status modelVersion modelName lifecycle'
+  );
+  if (!training) {
+    throw createHttpError('Training not found', 404);
+  }
+  if (training.status !== 'succeeded' || !training.modelVersion) {
+    throw createHttpError('Only succeeded trainings with a model version can be the default', 400);
+  }
+  if (lifecycleStateOf(training) !== 'active') {
+    throw createHttpError(`A ${lifecycleStateOf(training)} training cannot be pinned`, 409);
+  }
+
+  const user = await User.findById(training.userId).select('defaultTrainingId');
+  if (!user) {
+    throw createHttpError('User not found', 404);
+  }
+  const previousTrainingId = user.defaultTrainingId || null;
+
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { defaultTrainingId: training._id, defaultTrainingPinnedAt: new Date() } }
+  );
+  await pushTrainingEvent(
+    training._id,
+    'default-selected',
+    `Pinned as the default model for this user (${reason})`,
+    { previousTrainingId, reason }
+  );
+  await broadcastTraining(training._id);
+
+  return { training, userId: user._id, previousTrainingId };
+};
+
+/**
+ * Clear a user's pinned training.
+ */
+const clearUserDefaultTraining = async (userId) => {
+  assertObjectId(userId, 'user ID');
+  const user = await User.findById(userId).select('defaultTrainingId');
+  if (!user) {
+    throw createHttpError('User not found', 404);
+  }
+  const previousTrainingId = user.defaultTrainingId || null;
+  if (previousTrainingId) {
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { defaultTrainingId: null, defaultTrainingPinnedAt: null } }
+    );
+    await pushTrainingEvent(previousTrainingId, 'default-cleared', 'Unpinned as the default model');
+    await broadcastTraining(previousTrainingId);
+  }
+  return { userId: user._id, previousTrainingId };
+};
+
+/**
+ * Move a training between active, deprecated and archived. Retiring the
+ * pinned model unpins it so nothing falls back to a retired version.
+ */
+const updateTrainingLifecycle = async (trainingId, { state, reason, actor } = {}) => {
+  assertObjectId(trainingId, 'training ID');
+  if (!TRAINING_LIFECYCLE_STATES.includes(state)) {
+    throw createHttpError(`State must be one of: ${TRAINING_LIFECYCLE_STATES.join(', ')}`, 400);
+  }
+  const trimmedReason = typeof reason === 'string' ? reason.trim() : '';
+  if (state !== 'active' && !trimmedReason) {
+    throw createHttpError('A reason is required to deprecate or archive a training', 400);
+  }
+
+  const training = await Training.findById(trainingId).select('userId modelName lifecycle');
+  if (!training) {
+    throw createHttpError('Training not found', 404);
+  }
+  const before = {
+    state: lifecycleStateOf(training),
+    reason: training.lifecycle?.reason || '',
+  };
+
+  await Training.findByIdAndUpdate(training._id, {
+    $set: {
+      lifecycle: {
+        state,
+        reason: trimmedReason,
+        changedAt: new Date(),
+        changedBy: { accountId: actor?.accountId || null, name: actor?.name || '' },
+      },
+    },
+    $push: {
+      events: {
+        type: 'lifecycle',
+        message: trimmedReason ? `Marked ${state}: ${trimmedReason}` : `Marked ${state}`,
+        metadata: { from: before.state, to: state },
+        timestamp: new Date(),
+      },
+    },
+  });
+
+  let unpinned = false;
+  if (state !== 'active') {
+    const result = await User.updateOne(
+      { _id: training.userId, defaultTrainingId: training._id },
+      { $set: { defaultTrainingId: null, defaultTrainingPinnedAt: null } }
+    );
+    unpinned = result.modifiedCount > 0;
+  }
+
+  const updated = await broadcastTraining(training._id);
+  return { before, training: updated, unpinned };
+};
+
+/**
+ * Training to generate with: the one named in the request, or the user's
+ * pinned training when none is given. Archived trainings are refused.
+ */
+const resolveGenerationTraining = async ({ userId, trainingId }) => {
+  let resolvedId = trainingId;
+  if (!resolvedId) {
+    const user = await User.findById(userId).select('defaultTrainingId').lean();
+    resolvedId = user?.defaultTrainingId;
+    if (!resolvedId) {
+      throw createHttpError('No training specified and the user has no pinned model', 400);
+    }
+  }
+
+  const training = await Training.findById(resolvedId);
+  if (!training) {
+    throw createHttpError('Training not found', 404);
+  }
+  if (training.status !== 'succeeded' || !training.modelVersion) {
+    throw createHttpError('Training must be completed successfully before generating images', 400);
+  }
+  if (lifecycleStateOf(training) === 'archived') {
+    throw createHttpError('This training is archived; pick another model', 409);
+  }
+  return training;
+};
+
+module.exports = {
+  setUserDefaultTraining,
+  clearUserDefaultTraining,
+  updateTrainingLifecycle,
+  resolveGenerationTraining,
+};
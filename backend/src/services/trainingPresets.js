@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+const TrainingPreset = require('../models/TrainingPreset');
+
+const PRESET_FIELDS = ['name', 'description', 'steps', 'learningRate', 'loraRank', 'batchSize', 'triggerWord'];
+const NUMERIC_FIELDS = ['steps', 'learningRate', 'loraRank', 'batchSize'];
+
+const createHttpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const pickPresetFields = (input = {}) =>
+  PRESET_FIELDS.reduce((fields, field) => {
+    if (input[field] === undefined) return fields;
+    if (NUMERIC_FIELDS.includes(field)) {
+      const value = Number(input[field]);
+      if (!Number.isFinite(value)) {
+        throw createHttpError(`${field} must be a number`, 400);
+      }
+      fields[field] = value;
+    } else {
+      fields[field] = typeof input[field] === 'string' ? input[field].trim() : '';
+    }
+    return fields;
+  }, {});
+
+// Mongoose validation and duplicate-name errors are caller mistakes, not 500s
+const toHttpError = (error) => {
+  if (error instanceof mongoose.Error.ValidationError) {
+    const first = Object.values(error.errors)[0];
+    return createHttpError(first?.message || error.message, 400);
+  }
+  if (error?.code === 11000) {
+    return createHttpError('A training preset with this name already exists', 409);
+  }
+  return error;
+};
+
+const findPresetOrThrow = async (presetId) => {
+  if (!mongoose.Types.ObjectId.isValid(presetId)) {
+    throw createHttpError('Invalid training preset id', 400);
+  }
+  const preset = await TrainingPreset.findById(presetId);
+  if (!preset) {
+    throw createHttpError('Training preset not found', 404);
+  }
+  return preset;
+};
+
+const listTrainingPresets = () => TrainingPreset.find().sort({ name: 1 }).lean();
+
+const createTrainingPreset = async (input, { actor } = {}) => {
+  const fields = pickPresetFields(input);
+  if (!fields.name) {
+    throw createHttpError('Preset name is required', 400);
+  }
+  try {
+    const preset = await TrainingPreset.create({
+      ...fields,
+      createdBy: { accountId: actor?.accountId || null, name: actor?.name || '' },
+    });
+    return preset.toObject();
+  } catch (error) {
+    throw toHttpError(error);
+  }
+};
+
+const updateTrainingPreset = async (presetId, input) => {
+  const preset = await findPresetOrThrow(presetId);
+  const before = preset.toObject();
+  const fields = pickPresetFields(input);
+  if (fields.name === '') {
+    throw createHttpError('Preset name is required', 400);
+  }
+  preset.set(fields);
+  try {
+    await preset.save();
+  } catch (error) {
+    throw toHttpError(error);
+  }
+  return { before, preset: preset.toObject() };
+};
+
+const deleteTrainingPreset = async (presetId) => {
+  const preset = await findPresetOrThrow(presetId);
+  await preset.deleteOne();
+  return preset.toObject();
+};
+
+/**
+ * Preset for a training request, or null when none was chosen.
+ */
+const resolveTrainingPreset = async (presetId) => {
+  if (!presetId) return null;
+  const preset = await findPresetOrThrow(presetId);
+  return preset.toObject();
+};
+
+module.exports = {
+  listTrainingPresets,
+  createTrainingPreset,
+  updateTrainingPreset,
+  deleteTrainingPreset,
+  resolveTrainingPreset,
+};
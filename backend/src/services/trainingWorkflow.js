@@ -1,15 +1,20 @@
 const Training = require('../models/Training');
-const { replicate } = require('../config/replicate');
+const { getImageProvider } = require('./providers');
 const { extractProgressFromReplicate } = require('../utils/replicate');
 const { buildWebhookUrl } = require('../utils/webhook');
 const { emitTrainingUpdate } = require('./trainingEvents');
+const { registerJobHandler, enqueueJob, cancelJobs } = require('./jobQueue');
+const { recordTrainingUsage } = require('./usageTracking');
+const { reservePrediction } = require('./spendGuards');
+const { emitWebhookEvent } = require('./outboundWebhooks');
 
 const MAX_TRAINING_ATTEMPTS = Number(process.env.TRAINING_MAX_ATTEMPTS || 1);
 const TRAINING_WEBHOOK_EVENTS = ['start', 'logs', 'output', 'completed'];
 const TRAINING_POLL_INTERVAL_MS = Number(process.env.TRAINING_POLL_INTERVAL_MS || 10000);
 const TRAINING_MAX_POLL_INTERVAL_MS = Number(process.env.TRAINING_MAX_POLL_INTERVAL_MS || 60000);
 
-const pollers = new Map();
+const TRAINING_POLL_JOB = 'training.poll';
+const TERMINAL_TRAINING_STATUSES = new Set(['succeeded', 'failed', 'canceled']);
 
 const clampProgress = (value) => {
   const num = Number(value);
@@ -46,7 +51,7 @@ const parseProgressFromLogs = (logsText) => {
 
 const populateTrainingForClient = async (trainingId) =>
   Training.findById(trainingId)
-    .populate('userId', 'name email age gender');
+    .populate('userId', 'name email age gender defaultTrainingId');
 
 const broadcastTraining = async (trainingId) => {
   const populated = await populateTrainingForClient(trainingId);
@@ -56,42 +61,83 @@ const broadcastTraining = async (trainingId) => {
   return populated;
 };
 
-const clearTrainingPolling = (trainingId) => {
-  const timer = pollers.get(trainingId);
-  if (timer) {
-    clearTimeout(timer);
-    pollers.delete(trainingId);
+const trainingPollKey = (trainingId) => `training-poll:${trainingId}`;
+
+const clearTrainingPolling = (trainingId) =>
+  cancelJobs(trainingPollKey(trainingId)).catch((error) => {
+    console.warn(`⚠️  Failed to cancel polling for training ${trainingId}:`, error.message);
+  });
+
+const scheduleTrainingPolling = async (trainingId, replicateTrainingId, delay = TRAINING_POLL_INTERVAL_MS) => {
+  await clearTrainingPolling(trainingId);
+  await enqueueJob({
+    type: TRAINING_POLL_JOB,
+    key: trainingPollKey(trainingId),
+    payload: { trainingId: String(trainingId), replicateTrainingId, delay },
+    delayMs: delay,
+  });
+};
+
+const pollTraining = async (job) => {
+  const { trainingId, replicateTrainingId } = job.payload || {};
+  const delay = Number(job.payload?.delay) || TRAINING_POLL_INTERVAL_MS;
+
+  // Stop once the training is gone or a newer attempt replaced this Replicate training
+  const current = await Training.exists({ _id: trainingId, replicateTrainingId });
+  if (!current) return null;
+
+  try {
+    const replicateTraining = await getImageProvider().getTraining(replicateTrainingId);
+    const terminal = TERMINAL_TRAINING_STATUSES.has(replicateTraining.status);
+    const eventType = terminal ? 'completed' : 'update';
+    await processTrainingEvent({
+      trainingId,
+      replicateTraining,
+      eventType,
+    });
+    if (terminal) return null;
+    const nextDelay = Math.min(delay, TRAINING_MAX_POLL_INTERVAL_MS);
+    return { rescheduleInMs: nextDelay, payload: { ...job.payload, delay: nextDelay } };
+  } catch (error) {
+    console.warn(
+      `⚠️  Failed to poll training ${replicateTrainingId} for training ${trainingId}:`,
+      error.message
+    );
+    const retryDelay = Math.min(delay * 2, TRAINING_MAX_POLL_INTERVAL_MS);
+    return { rescheduleInMs: retryDelay, payload: { ...job.payload, delay: retryDelay } };
   }
 };
 
-const scheduleTrainingPolling = (trainingId, replicateTrainingId, delay = TRAINING_POLL_INTERVAL_MS) => {
-  clearTrainingPolling(trainingId);
-  const timer = setTimeout(async () => {
-    try {
-      const replicateTraining = await replicate.trainings.get(replicateTrainingId);
-      const terminal = ['succeeded', 'failed', 'canceled'].includes(replicateTraining.status);
-      const eventType = terminal ? 'completed' : 'update';
-      await processTrainingEvent({
-        trainingId,
-        replicateTraining,
-        eventType,
-      });
-      if (!terminal) {
-        const nextDelay = Math.min(delay, TRAINING_MAX_POLL_INTERVAL_MS);
-        scheduleTrainingPolling(trainingId, replicateTrainingId, nextDelay);
-      }
-    } catch (error) {
-      console.warn(
-        `⚠️  Failed to poll training ${replicateTrainingId} for training ${trainingId}:`,
-        error.message
-      );
-      const retryDelay = Math.min(delay * 2, TRAINING_MAX_POLL_INTERVAL_MS);
-      scheduleTrainingPolling(trainingId, replicateTrainingId, retryDelay);
-    }
-  }, delay);
-  pollers.set(trainingId, timer);
+// Trainings still running on Replicate when the server stopped pick up polling again
+const recoverTrainingPolling = async () => {
+  const pending = await Training.find({
+    status: { $in: ['queued', 'starting', 'processing'] },
+    // Controllers store a `pending:` placeholder until Replicate returns a real id
+    replicateTrainingId: { $ne: null, $not: /^pending:/ },
+  })
+    .select('_id replicateTrainingId')
+    .lean();
+
+  for (const training of pending) {
+    await enqueueJob({
+      type: TRAINING_POLL_JOB,
+      key: trainingPollKey(training._id),
+      unique: true,
+      payload: {
+        trainingId: String(training._id),
+        replicateTrainingId: training.replicateTrainingId,
+        delay: TRAINING_POLL_INTERVAL_MS,
+      },
+    });
+  }
+  return pending.length;
 };
 
+registerJobHandler(TRAINING_POLL_JOB, pollTraining, {
+  concurrency: Number(process.env.TRAINING_POLL_CONCURRENCY || 10),
+  recover: recoverTrainingPolling,
+});
+
 const appendTrainingUpdates = ({ set, pushLogs = [], pushEvents = [] }) => {
   const update = {};
   if (set && Object.keys(set).length) {
@@ -112,7 +158,12 @@ const appendTrainingUpdates = ({ set, pushLogs = [], pushEvents = [] }) => {
   return update;
 };
 
-const dispatchTraining = async ({ trainingId, replicateArgs, reason = 'initial' }) => {
+const dispatchTraining = async ({
+  trainingId,
+  replicateArgs,
+  reason = 'initial',
+  automationRunId = null,
+}) => {
   const training = await Training.findById(trainingId);
   if (!training) {
     throw new Error(`Training ${trainingId} not found`);
@@ -122,8 +173,11 @@ const dispatchTraining = async ({ trainingId, replicateArgs, reason = 'initial'
     throw new Error(`Maximum attempts reached for training ${trainingId}`);
   }
 
-  const webhook = buildWebhookUrl('training', trainingId);
-  if (!webhook) {
+  const provider = getImageProvider();
+  const webhook = provider.supportsWebhooks
+    ? buildWebhookUrl('training', trainingId, provider.name)
+    : null;
+  if (provider.supportsWebhooks && !webhook) {
     throw new Error('REPLICATE_WEBHOOK_BASE_URL must be configured to use training webhooks.');
   }
 
@@ -131,13 +185,13 @@ const dispatchTraining = async ({ trainingId, replicateArgs, reason = 'initial'
 
   const { owner, project, version, ...options } = replicateArgs;
 
-  const args = {
-    ...options,
-    webhook,
-    webhook_events_filter: TRAINING_WEBHOOK_EVENTS,
-  };
+  const args = webhook
+    ? { ...options, webhook, webhook_events_filter: TRAINING_WEBHOOK_EVENTS }
+    : options;
 
-  const replicateTraining = await replicate.trainings.create(owner, project, version, args);
+  // Trainings are paid too; retries find their automation run by trainingId
+  await reservePrediction({ trainingId, automationRunId, operation: 'training' });
+  const replicateTraining = await provider.createTraining(owner, project, version, args);
 
   const now = new Date();
   await Training.findByIdAndUpdate(trainingId, {
@@ -165,12 +219,14 @@ const dispatchTraining = async ({ trainingId, replicateArgs, reason = 'initial'
   });
 
   console.log(
-    `🎯 Dispatched Replicate training ${replicateTraining.id} for training ${trainingId} (attempt ${attemptNumber})`
+    `🎯 Dispatched ${provider.name} training ${replicateTraining.id} for training ${trainingId} (attempt ${attemptNumber})`
   );
-  console.log(`   ↪ Webhook: ${webhook}`);
+  if (webhook) {
+    console.log(`   ↪ Webhook: ${webhook}`);
+  }
 
   await broadcastTraining(trainingId);
-  scheduleTrainingPolling(trainingId, replicateTraining.id);
+  await scheduleTrainingPolling(trainingId, replicateTraining.id);
   return replicateTraining;
 };
 
@@ -271,6 +327,33 @@ const processTrainingEvent = async ({ trainingId, replicateTraining, eventType }
     await Training.findByIdAndUpdate(trainingId, update);
   }
 
+  if (TERMINAL_TRAINING_STATUSES.has(replicateTraining.status)) {
+    await recordTrainingUsage({
+      provider: getImageProvider().name,
+      replicateTraining,
+      training,
+    });
+  }
+
+  if (
+    ['succeeded', 'failed'].includes(replicateTraining.status) &&
+    training.status !== replicateTraining.status
+  ) {
+    await emitWebhookEvent(
+      `training.${replicateTraining.status}`,
+      {
+        trainingId: String(training._id),
+        userId: training.userId ? String(training.userId) : null,
+        modelName: training.modelName,
+        modelVersion: set.modelVersion || training.modelVersion || null,
+        status: replicateTraining.status,
+        error: set.error || null,
+        completedAt: now,
+      },
+      { dedupeKey: `training:${training._id}:${replicateTraining.id}` }
+    );
+  }
+
   clearTrainingPolling(trainingId);
   return broadcastTraining(trainingId);
 };
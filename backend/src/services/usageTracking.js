@@ -0,0 +1,379 @@
+const mongoose = require('mongoose');
+const UsageRecord = require('../models/UsageRecord');
+const AutomationRun = require('../models/AutomationRun');
+const User = require('../models/User');
+const Book = require('../models/Book');
+const StorybookJob = require('../models/StorybookJob');
+
+// Replicate bills custom LoRA predictions and trainings per GPU second (H100 by default);
+// background removal runs on an official model that is billed per image
+const REPLICATE_PREDICTION_COST_PER_SECOND = Number(
+  process.env.REPLICATE_PREDICTION_COST_PER_SECOND || 0.001525
+);
+const REPLICATE_TRAINING_COST_PER_SECOND = Number(
+  process.env.REPLICATE_TRAINING_COST_PER_SECOND || 0.001525
+);
+const REPLICATE_BACKGROUND_REMOVAL_COST = Number(
+  process.env.REPLICATE_BACKGROUND_REMOVAL_COST || 0.018
+);
+// Fallback token rates (USD per million) when OpenRouter does not report the charge
+const OPENROUTER_INPUT_COST_PER_MILLION = Number(
+  process.env.OPENROUTER_INPUT_COST_PER_MILLION || 0.4
+);
+const OPENROUTER_OUTPUT_COST_PER_MILLION = Number(
+  process.env.OPENROUTER_OUTPUT_COST_PER_MILLION || 1.6
+);
+
+const CONTEXT_FIELDS = [
+  'userId',
+  'bookId',
+  'storybookJobId',
+  'automationRunId',
+  'generationId',
+  'trainingId',
+];
+
+const REPORT_GROUPS = {
+  user: 'userId',
+  book: 'bookId',
+  storybookJob: 'storybookJobId',
+  automationRun: 'automationRunId',
+  provider: 'provider',
+  operation: 'operation',
+  model: 'model',
+};
+
+const createHttpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const toObjectIdOrNull = (value) => {
+  const raw = value?._id || value;
+  return raw && mongoose.isValidObjectId(raw) ? new mongoose.Types.ObjectId(String(raw)) : null;
+};
+
+const roundCost = (value) => Math.round((Number(value) || 0) * 1e6) / 1e6;
+
+const resolveAutomationRunId = async (context, operation) => {
+  if (context.automationRunId) return context.automationRunId;
+  let filter = null;
+  if (context.storybookJobId) {
+    filter = { storybookJobId: context.storybookJobId };
+  } else if (operation === 'training' && context.trainingId) {
+    filter = { trainingId: context.trainingId };
+  }
+  if (!filter) return null;
+  const run = await AutomationRun.findOne(filter).select('_id').lean();
+  return run?._id || null;
+};
+
+/**
+ * Store one provider call. Usage tracking must never break the call it
+ * measures, so failures are logged and swallowed.
+ */
+const recordUsage = async ({
+  provider,
+  operation,
+  model = '',
+  externalId = null,
+  status = 'succeeded',
+  durationMs = null,
+  tokens = null,
+  costUsd = 0,
+  costSource = 'estimated',
+  context = {},
+}) => {
+  try {
+    const attribution = {};
+    CONTEXT_FIELDS.forEach((field) => {
+      attribution[field] = toObjectIdOrNull(context?.[field]);
+    });
+    attribution.automationRunId = await resolveAutomationRunId(attribution, operation);
+
+    const key = { provider, operation, externalId: externalId ? String(externalId) : null };
+    const fields = {
+      model: model || '',
+      status,
+      durationMs: Number.isFinite(durationMs) ? Math.max(0, Math.round(durationMs)) : null,
+      tokens,
+      costUsd: roundCost(Math.max(0, costUsd)),
+      costSource,
+      ...attribution,
+      metadata: context?.metadata || null,
+    };
+
+    if (!key.externalId) {
+      return await UsageRecord.create({ ...key, ...fields });
+    }
+    // Webhooks and polling can both report the same completion
+    await UsageRecord.updateOne(key, { $setOnInsert: fields }, { upsert: true });
+    return { ...key, ...fields };
+  } catch (error) {
+    if (error?.code !== 11000) {
+      console.warn(`⚠️  Failed to record ${provider} ${operation} usage:`, error.message);
+    }
+    return null;
+  }
+};
+
+const resolveRunSeconds = (payload) => {
+  const predictTime = Number(payload?.metrics?.predict_time);
+  if (Number.isFinite(predictTime) && predictTime >= 0) {
+    return predictTime;
+  }
+  const startedAt = Date.parse(payload?.started_at);
+  const completedAt = Date.parse(payload?.completed_at);
+  if (Number.isFinite(startedAt) && Number.isFinite(completedAt) && completedAt >= startedAt) {
+    return (completedAt - startedAt) / 1000;
+  }
+  return null;
+};
+
+/**
+ * Record a finished image prediction against the generation that dispatched it.
+ */
+const recordPredictionUsage = ({ provider, prediction, generation }) => {
+  const seconds = resolveRunSeconds(prediction);
+  const rate = provider === 'replicate' ? REPLICATE_PREDICTION_COST_PER_SECOND : 0;
+  return recordUsage({
+    provider,
+    operation: 'prediction',
+    model: generation?.modelVersion || prediction?.version || '',
+    externalId: prediction?.id,
+    status: prediction?.status,
+    durationMs: seconds === null ? null : seconds * 1000,
+    costUsd: seconds === null ? 0 : seconds * rate,
+    context: {
+      userId: generation?.userId,
+      trainingId: generation?.trainingId,
+      generationId: generation?._id,
+      bookId: generation?.storybookContext?.bookId,
+      storybookJobId: generation?.storybookContext?.jobId,
+    },
+  });
+};
+
+/**
+ * Record a finished (or failed / canceled) LoRA training run.
+ */
+const recordTrainingUsage = ({ provider, replicateTraining, training }) => {
+  const seconds = resolveRunSeconds(replicateTraining);
+  const rate = provider === 'replicate' ? REPLICATE_TRAINING_COST_PER_SECOND : 0;
+  return recordUsage({
+    provider,
+    operation: 'training',
+    model: replicateTraining?.model || replicateTraining?.version || '',
+    externalId: replicateTraining?.id,
+    status: replicateTraining?.status,
+    durationMs: seconds === null ? null : seconds * 1000,
+    costUsd: seconds === null ? 0 : seconds * rate,
+    context: { userId: training?.userId, trainingId: training?._id },
+  });
+};
+
+const recordBackgroundRemovalUsage = ({ provider, model, durationMs, status, context }) =>
+  recordUsage({
+    provider,
+    operation: 'background_removal',
+    model,
+    status,
+    durationMs,
+    costUsd: provider === 'replicate' ? REPLICATE_BACKGROUND_REMOVAL_COST : 0,
+    context,
+  });
+
+/**
+ * Record an OpenRouter chat completion. Requests ask for `usage: { include: true }`
+ * so the response carries the actual charge; token rates are only a fallback.
+ */
+const recordOpenRouterUsage = ({ operation, model, completion, durationMs, context }) => {
+  const usage = completion?.usage || {};
+  const promptTokens = Number(usage.prompt_tokens) || 0;
+  const completionTokens = Number(usage.completion_tokens) || 0;
+  const reportedCost = Number(usage.cost);
+  const hasReportedCost = usage.cost !== undefined && Number.isFinite(reportedCost);
+
+  return recordUsage({
+    provider: 'openrouter',
+    operation,
+    model: completion?.model || model || '',
+    externalId: completion?.id || null,
+    durationMs,
+    tokens: {
+      prompt: promptTokens,
+      completion: completionTokens,
+      total: Number(usage.total_tokens) || promptTokens + completionTokens,
+    },
+    costUsd: hasReportedCost
+      ? reportedCost
+      : (promptTokens * OPENROUTER_INPUT_COST_PER_MILLION +
+          completionTokens * OPENROUTER_OUTPUT_COST_PER_MILLION) /
+        1e6,
+    costSource: hasReportedCost ? 'reported' : 'estimated',
+    context,
+  });
+};
+
+const TOTALS_GROUP = {
+  costUsd: { $sum: '$costUsd' },
+  calls: { $sum: 1 },
+  durationMs: { $sum: { $ifNull: ['$durationMs', 0] } },
+  tokens: { $sum: { $ifNull: ['$tokens.total', 0] } },
+};
+
+const formatTotals = (entry) => ({
+  costUsd: roundCost(entry?.costUsd),
+  calls: entry?.calls || 0,
+  durationMs: entry?.durationMs || 0,
+  tokens: entry?.tokens || 0,
+});
+
+const parseDate = (value, label) => {
+  if (!value) return null;
+  const parsed = new Date(value);
+  if (Number.isNaN(parsed.getTime())) {
+    throw createHttpError(`Invalid ${label} date`, 400);
+  }
+  return parsed;
+};
+
+const GROUP_LABELS = {
+  user: { model: User, field: 'name' },
+  book: { model: Book, field: 'name' },
+  storybookJob: { model: StorybookJob, field: 'title' },
+};
+
+const attachGroupLabels = async (groupBy, groups) => {
+  const labels = GROUP_LABELS[groupBy];
+  if (!labels) {
+    return groups.map((group) => ({ ...group, label: group.key ? String(group.key) : null }));
+  }
+  const ids = groups.map((group) => group.key).filter(Boolean);
+  const docs = ids.length
+    ? await labels.model.find({ _id: { $in: ids } }).select(labels.field).lean()
+    : [];
+  const labelById = new Map(docs.map((doc) => [String(doc._id), doc[labels.field] || '']));
+  return groups.map((group) => ({
+    ...group,
+    label: group.key ? labelById.get(String(group.key)) || String(group.key) : null,
+  }));
+};
+
+/**
+ * Cost report grouped by user, book, storybook job, automation run, provider,
+ * operation or model. Calls with no owner for the chosen grouping land in a
+ * `key: null` group.
+ */
+const buildCostReport = async ({
+  groupBy = 'user',
+  from,
+  to,
+  userId,
+  bookId,
+  storybookJobId,
+  automationRunId,
+  provider,
+  operation,
+  limit = 50,
+} = {}) => {
+  const groupField = REPORT_GROUPS[groupBy];
+  if (!groupField) {
+    throw createHttpError(`groupBy must be one of: ${Object.keys(REPORT_GROUPS).join(', ')}`, 400);
+  }
+
+  const match = {};
+  const fromDate = parseDate(from, 'from');
+  const toDate = parseDate(to, 'to');
+  if (fromDate || toDate) {
+    match.createdAt = {};
+    if (fromDate) match.createdAt.$gte = fromDate;
+    if (toDate) match.createdAt.$lte = toDate;
+  }
+  const idFilters = { userId, bookId, storybookJobId, automationRunId };
+  Object.entries(idFilters).forEach(([field, value]) => {
+    if (!value) return;
+    if (!mongoose.isValidObjectId(value)) {
+      throw createHttpError(`Invalid ${field}`, 400);
+    }
+    match[field] = new mongoose.Types.ObjectId(String(value));
+  });
+  if (provider) match.provider = provider;
+  if (operation) match.operation = operation;
+
+  const numericLimit = Math.min(Math.max(Number(limit) || 50, 1), 500);
+
+  const [totals, groups, operations] = await Promise.all([
+    UsageRecord.aggregate([{ $match: match }, { $group: { _id: null, ...TOTALS_GROUP } }]),
+    UsageRecord.aggregate([
+      { $match: match },
+      { $group: { _id: `$${groupField}`, ...TOTALS_GROUP } },
+      { $sort: { costUsd: -1 } },
+      { $limit: numericLimit },
+    ]),
+    UsageRecord.aggregate([
+      { $match: match },
+      { $group: { _id: '$operation', ...TOTALS_GROUP } },
+      { $sort: { costUsd: -1 } },
+    ]),
+  ]);
+
+  const labelled = await attachGroupLabels(
+    groupBy,
+    groups.map((group) => ({ key: group._id ?? null, ...formatTotals(group) }))
+  );
+
+  return {
+    groupBy,
+    totals: formatTotals(totals[0]),
+    byOperation: operations.map((entry) => ({ operation: entry._id, ...formatTotals(entry) })),
+    groups: labelled,
+  };
+};
+
+/**
+ * Spend summary for the dashboard overview.
+ */
+const getUsageOverview = async () => {
+  const since = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+  const [totals, recent, providers, storybooks] = await Promise.all([
+    UsageRecord.aggregate([{ $group: { _id: null, ...TOTALS_GROUP } }]),
+    UsageRecord.aggregate([
+      { $match: { createdAt: { $gte: since } } },
+      { $group: { _id: null, ...TOTALS_GROUP } },
+    ]),
+    UsageRecord.aggregate([{ $group: { _id: '$provider', ...TOTALS_GROUP } }]),
+    UsageRecord.aggregate([
+      { $match: { storybookJobId: { $ne: null } } },
+      { $group: { _id: '$storybookJobId', costUsd: { $sum: '$costUsd' } } },
+      { $group: { _id: null, count: { $sum: 1 }, averageCostUsd: { $avg: '$costUsd' } } },
+    ]),
+  ]);
+
+  return {
+    total: formatTotals(totals[0]),
+    last30Days: formatTotals(recent[0]),
+    byProvider: providers.reduce((acc, entry) => {
+      if (entry?._id) {
+        acc[entry._id] = formatTotals(entry);
+      }
+      return acc;
+    }, {}),
+    storybooks: {
+      count: storybooks[0]?.count || 0,
+      averageCostUsd: roundCost(storybooks[0]?.averageCostUsd),
+    },
+  };
+};
+
+module.exports = {
+  recordUsage,
+  recordPredictionUsage,
+  recordTrainingUsage,
+  recordBackgroundRemovalUsage,
+  recordOpenRouterUsage,
+  buildCostReport,
+  getUsageOverview,
+  REPORT_GROUPS,
+};
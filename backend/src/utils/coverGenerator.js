@@ -1,11 +1,8 @@
 const path = require('path');
 const { createCanvas, loadImage, registerFont } = require('canvas');
 const fetch = require('node-fetch');
-const Replicate = require('replicate');
-
-const replicate = new Replicate({
-  auth: process.env.REPLICATE_API_TOKEN,
-});
+const { getImageProvider } = require('../services/providers');
+const { reservePrediction, isBudgetExceededError } = require('../services/spendGuards');
 
 const registerCoverFonts = (() => {
   let registered = false;
@@ -211,17 +208,8 @@ function layoutTextLines(ctx, lines, startX, startY) {
   return { lines: positioned, top, bottom, cursor: cursorY };
 }
 
-function drawHeroTitle(ctx, childName, width, height, overrides = {}) {
-  const safeName =
-    childName && childName.trim() ? childName.trim().toUpperCase() : 'YOUR CHILD';
-  const topLine =
-    typeof overrides.mainTitle === 'string' && overrides.mainTitle.trim()
-      ? overrides.mainTitle.trim()
-      : `${safeName}'S TRIP`;
-  const bottomLine =
-    typeof overrides.subtitle === 'string' && overrides.subtitle.trim()
-      ? overrides.subtitle.trim()
-      : 'TO ISRAEL';
+function drawHeroTitle(ctx, heroTitle, width, height, fontStack) {
+  const { mainTitle: topLine, subtitle: bottomLine } = heroTitle;
 
   const textX = width * 0.75;
   const bottomMargin = 250;
@@ -239,7 +227,7 @@ function drawHeroTitle(ctx, childName, width, height, overrides = {}) {
   topGradient.addColorStop(0.7, '#FFB300');
   topGradient.addColorStop(1, '#FF9800');
 
-  ctx.font = '700 280px "CanvaSans"';
+  ctx.font = `700 280px ${fontStack}`;
   ctx.strokeStyle = '#1565C0';
   ctx.lineWidth = 35;
   ctx.strokeText(topLine, textX, topY);
@@ -252,7 +240,7 @@ function drawHeroTitle(ctx, childName, width, height, overrides = {}) {
   bottomGradient.addColorStop(0.7, '#FFB300');
   bottomGradient.addColorStop(1, '#FF9800');
 
-  ctx.font = '700 200px "CanvaSans"';
+  ctx.font = `700 200px ${fontStack}`;
   ctx.strokeStyle = '#1565C0';
   ctx.lineWidth = 28;
   ctx.strokeText(bottomLine, textX, bottomY);
@@ -276,7 +264,50 @@ async function loadImageFromSource(source) {
 }
 
 /**
- * Generate cover page
+ * Copy drawn on the cover, with the default text for empty fields: the
+ * left-hand `title`, `content` and `footer` and the hero `mainTitle` and
+ * `subtitle`.
+ */
+function resolveCoverCopy({ leftSide = {}, rightSide = {}, childName = '' }) {
+  const safeChildName =
+    typeof childName === 'string' && childName.trim()
+      ? childName.trim()
+      : 'Your child';
+
+  const defaultTitle = `Join ${safeChildName} on an Unforgettable Adventure Across Israel!`;
+  const defaultContent = `From the sparkling shores of the Kinneret to the ancient stones of the Kotel, ${safeChildName} is on a journey like no other! With his trusty backpack and endless curiosity, he explores Israel's most treasured landmarks - floating in the Dead Sea, climbing Masada at sunrise, and dancing through the colorful streets of Jerusalem.
+Packed with wonder, learning, and heart, ${safeChildName}'s Trip to Israel is the perfect introduction to the Land of Israel for young explorers everywhere.`;
+  const defaultFooter = 'Shop more books at Mytorahtales.com';
+  const heroName =
+    childName && childName.trim() ? childName.trim().toUpperCase() : 'YOUR CHILD';
+
+  return {
+    title:
+      typeof leftSide.title === 'string' && leftSide.title.trim() ? leftSide.title : defaultTitle,
+    content:
+      typeof leftSide.content === 'string' && leftSide.content.trim()
+        ? leftSide.content
+        : defaultContent,
+    footer:
+      typeof leftSide.bottomText === 'string' && leftSide.bottomText.trim()
+        ? leftSide.bottomText
+        : defaultFooter,
+    mainTitle:
+      typeof rightSide.mainTitle === 'string' && rightSide.mainTitle.trim()
+        ? rightSide.mainTitle.trim()
+        : `${heroName}'S TRIP`,
+    subtitle:
+      typeof rightSide.subtitle === 'string' && rightSide.subtitle.trim()
+        ? rightSide.subtitle.trim()
+        : 'TO ISRAEL',
+  };
+}
+
+/**
+ * Generate cover page. `fontFamily` is the canvas family of the book's cover
+ * font (see services/storybookFonts); CanvaSans is used without one. The
+ * character's background removal counts against the spend caps of
+ * `usageContext`.
  */
 async function generateCoverPage(options) {
   const {
@@ -286,9 +317,12 @@ async function generateCoverPage(options) {
     rightSide = {},
     qrCode = null,
     childName = '',
+    fontFamily = null,
+    usageContext = {},
   } = options;
 
   registerCoverFonts();
+  const fontStack = fontFamily ? `"${fontFamily}", "CanvaSans"` : '"CanvaSans"';
 
   // Load background image
   const bgImage = await loadImageFromSource(backgroundImage);
@@ -317,11 +351,9 @@ async function generateCoverPage(options) {
         imageUrl = characterImage;
       }
 
-      // Remove background using Replicate API
-      const removeBgInput = { image: imageUrl };
-      const bgRemovedOutput = await replicate.run('bria/remove-background', {
-        input: removeBgInput,
-      });
+      // Remove background using the configured image provider
+      await reservePrediction(usageContext);
+      const bgRemovedOutput = await getImageProvider().removeBackground(imageUrl);
 
       // Load the background-removed image
       const bgRemovedImageResponse = await fetch(bgRemovedOutput);
@@ -330,6 +362,7 @@ async function generateCoverPage(options) {
 
       console.log('Background removed successfully from character image');
     } catch (error) {
+      if (isBudgetExceededError(error)) throw error;
       console.warn('Failed to load or process character image:', error.message);
     }
   }
@@ -374,26 +407,12 @@ async function generateCoverPage(options) {
     }
   }
 
-  const safeChildName =
-    typeof childName === 'string' && childName.trim()
-      ? childName.trim()
-      : 'Your child';
-
-  const defaultTitle = `Join ${safeChildName} on an Unforgettable Adventure Across Israel!`;
-  const defaultContent = `From the sparkling shores of the Kinneret to the ancient stones of the Kotel, ${safeChildName} is on a journey like no other! With his trusty backpack and endless curiosity, he explores Israel's most treasured landmarks - floating in the Dead Sea, climbing Masada at sunrise, and dancing through the colorful streets of Jerusalem.
-Packed with wonder, learning, and heart, ${safeChildName}'s Trip to Israel is the perfect introduction to the Land of Israel for young explorers everywhere.`;
-  const defaultFooter = 'Shop more books at Mytorahtales.com';
-
-  const resolvedTitle =
-    typeof leftSide.title === 'string' && leftSide.title.trim() ? leftSide.title : defaultTitle;
-  const resolvedContent =
-    typeof leftSide.content === 'string' && leftSide.content.trim()
-      ? leftSide.content
-      : defaultContent;
-  const resolvedFooter =
-    typeof leftSide.bottomText === 'string' && leftSide.bottomText.trim()
-      ? leftSide.bottomText
-      : defaultFooter;
+  const {
+    title: resolvedTitle,
+    content: resolvedContent,
+    footer: resolvedFooter,
+    ...heroTitle
+  } = resolveCoverCopy({ leftSide, rightSide, childName });
 
   const textSegments = [];
 
@@ -401,7 +420,7 @@ Packed with wonder, learning, and heart, ${safeChildName}'s Trip to Israel is th
     textSegments.push({
       type: 'text',
       text: resolvedTitle,
-      font: '600 100px "CanvaSans"',
+      font: `600 100px ${fontStack}`,
       lineHeight: 1.08,
       color: 'rgba(255,255,255,0.96)',
     });
@@ -412,7 +431,7 @@ Packed with wonder, learning, and heart, ${safeChildName}'s Trip to Israel is th
     textSegments.push({
       type: 'text',
       text: resolvedContent,
-      font: '400 70px "CanvaSans"',
+      font: `400 70px ${fontStack}`,
       lineHeight: 1.45,
       color: 'rgba(255,255,255,0.92)',
     });
@@ -425,7 +444,7 @@ Packed with wonder, learning, and heart, ${safeChildName}'s Trip to Israel is th
     textSegments.push({
       type: 'text',
       text: resolvedFooter,
-      font: '700 60px "CanvaSans"',
+      font: `700 60px ${fontStack}`,
       lineHeight: 1.1,
       color: 'rgba(255,255,255,0.94)',
     });
@@ -594,11 +613,12 @@ Packed with wonder, learning, and heart, ${safeChildName}'s Trip to Israel is th
     ctx.drawImage(qrImage, qrX, qrY, qrSize, qrSize);
   }
 
-  drawHeroTitle(ctx, childName, width, height, rightSide);
+  drawHeroTitle(ctx, heroTitle, width, height, fontStack);
 
   return canvas.toBuffer('image/png');
 }
 
 module.exports = {
   generateCoverPage,
+  resolveCoverCopy,
 };
@@ -114,7 +114,7 @@ function fitImageCover(ctx, image, width, height) {
   ctx.drawImage(image, offsetX, offsetY, drawWidth, drawHeight);
 }
 
-function createTextSegments({ childName, headline, bodyText, footer }) {
+function createTextSegments({ childName, headline, bodyText, footer, fontStack }) {
   const safeChildName =
     typeof childName === 'string' && childName.trim() ? childName.trim() : 'Your child';
 
@@ -132,7 +132,7 @@ Packed with wonder, learning, and heart, ${safeChildName}'s Trip to Israel is th
     segments.push({
       type: 'text',
       text: resolvedHeadline,
-      font: '600 100px "CanvaSans"',
+      font: `600 100px ${fontStack}`,
       lineHeight: 1.08,
       color: 'rgba(255,255,255,0.96)',
     });
@@ -142,7 +142,7 @@ Packed with wonder, learning, and heart, ${safeChildName}'s Trip to Israel is th
     segments.push({
       type: 'text',
       text: resolvedBody,
-      font: '400 70px "CanvaSans"',
+      font: `400 70px ${fontStack}`,
       lineHeight: 1.45,
       color: 'rgba(255,255,255,0.92)',
     });
@@ -153,7 +153,7 @@ Packed with wonder, learning, and heart, ${safeChildName}'s Trip to Israel is th
     segments.push({
       type: 'text',
       text: resolvedFooter,
-      font: '700 60px "CanvaSans"',
+      font: `700 60px ${fontStack}`,
       lineHeight: 1.1,
       color: 'rgba(255,255,255,0.94)',
     });
@@ -226,7 +226,7 @@ function layoutLines(ctx, lines, startX, startY) {
   return { lines: positioned, top, bottom, cursor: cursorY };
 }
 
-function drawHeroTitle(ctx, childName, width, height) {
+function drawHeroTitle(ctx, childName, width, height, fontStack) {
   const safeName = childName && childName.trim() ? childName.trim().toUpperCase() : 'YOUR CHILD';
   const topLine = `${safeName}'S TRIP`;
   const bottomLine = 'TO ISRAEL';
@@ -247,7 +247,7 @@ function drawHeroTitle(ctx, childName, width, height) {
   topGradient.addColorStop(0.7, '#FFB300');
   topGradient.addColorStop(1, '#FF9800');
 
-  ctx.font = '700 280px "CanvaSans"';
+  ctx.font = `700 280px ${fontStack}`;
   ctx.strokeStyle = '#1565C0';
   ctx.lineWidth = 35;
   ctx.strokeText(topLine, textX, topY);
@@ -260,7 +260,7 @@ function drawHeroTitle(ctx, childName, width, height) {
   bottomGradient.addColorStop(0.7, '#FFB300');
   bottomGradient.addColorStop(1, '#FF9800');
 
-  ctx.font = '700 200px "CanvaSans"';
+  ctx.font = `700 200px ${fontStack}`;
   ctx.strokeStyle = '#1565C0';
   ctx.lineWidth = 28;
   ctx.strokeText(bottomLine, textX, bottomY);
@@ -277,8 +277,10 @@ async function renderCoverToCanvas({
   cover,
   bodyText,
   childName,
+  fontFamily = null,
 }) {
   registerCoverFonts();
+  const fontStack = fontFamily ? `"${fontFamily}", "CanvaSans"` : '"CanvaSans"';
   const canvas = createCanvas(pageWidth, pageHeight);
   const ctx = canvas.getContext('2d');
 
@@ -347,6 +349,7 @@ async function renderCoverToCanvas({
     headline: cover?.headline || '',
     bodyText,
     footer: cover?.footer || '',
+    fontStack,
   });
 
   const textX = pageWidth * 0.06;
@@ -525,7 +528,7 @@ async function renderCoverToCanvas({
     ctx.drawImage(qrImage, qrX, qrY, qrSize, qrSize);
   }
 
-  drawHeroTitle(ctx, childName, pageWidth, pageHeight);
+  drawHeroTitle(ctx, childName, pageWidth, pageHeight, fontStack);
 
   return canvas;
 }
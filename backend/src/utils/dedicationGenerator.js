@@ -1,6 +1,7 @@
 const { createCanvas, loadImage } = require('canvas');
 const fetch = require('node-fetch');
-const Replicate = require('replicate');
+const { getImageProvider } = require('../services/providers');
+const { reservePrediction, isBudgetExceededError } = require('../services/spendGuards');
 
 const {
   CANVAS_WIDTH,
@@ -14,10 +15,6 @@ const {
   drawTextBlock,
 } = require('./dedicationLayout');
 
-const replicateClient = process.env.REPLICATE_API_TOKEN
-  ? new Replicate({ auth: process.env.REPLICATE_API_TOKEN })
-  : null;
-
 const fetchImage = async (source) => {
   if (!source) return null;
   if (Buffer.isBuffer(source)) {
@@ -65,24 +62,27 @@ const resolveReplicateOutput = async (output) => {
   return null;
 };
 
-const loadKidImage = async (source) => {
+const loadKidImage = async (source, usageContext = {}) => {
   if (!source) return null;
 
   if (Buffer.isBuffer(source)) {
     return loadImage(source);
   }
 
-  if (typeof source === 'string' && replicateClient) {
+  const provider = getImageProvider();
+  const canRemoveBackground = provider.name !== 'replicate' || Boolean(process.env.REPLICATE_API_TOKEN);
+
+  if (typeof source === 'string' && canRemoveBackground) {
     try {
-      const replicateOutput = await replicateClient.run('bria/remove-background', {
-        input: { image: source },
-      });
-      const processedBuffer = await resolveReplicateOutput(replicateOutput);
+      await reservePrediction(usageContext);
+      const providerOutput = await provider.removeBackground(source);
+      const processedBuffer = await resolveReplicateOutput(providerOutput);
       if (processedBuffer) {
         return loadImage(processedBuffer);
       }
-      console.warn('[dedicationGenerator] Replicate returned no usable output, using original image');
+      console.warn('[dedicationGenerator] Background removal returned no usable output, using original image');
     } catch (error) {
+      if (isBudgetExceededError(error)) throw error;
       console.warn('[dedicationGenerator] Background removal failed, falling back:', error.message);
     }
   }
@@ -95,6 +95,8 @@ const generateDedicationPage = async ({
   kidImage,
   title = '',
   secondTitle = '',
+  fontFamily = null,
+  usageContext = {},
 }) => {
   ensureFontsRegistered();
 
@@ -110,9 +112,10 @@ const generateDedicationPage = async ({
 
   if (kidImage) {
     try {
-      const hero = await loadKidImage(kidImage);
+      const hero = await loadKidImage(kidImage, usageContext);
       drawKidImage(ctx, hero);
     } catch (error) {
+      if (isBudgetExceededError(error)) throw error;
       console.warn('[dedicationGenerator] Failed to draw kid image:', error.message);
     }
   }
@@ -128,6 +131,7 @@ const generateDedicationPage = async ({
     area: textArea,
     title,
     subtitle: secondTitle,
+    fontFamily,
   });
 
   return canvas.toBuffer('image/png');
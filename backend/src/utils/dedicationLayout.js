@@ -46,25 +46,29 @@ const splitLines = (value) =>
     .map((line) => line.trim())
     .filter(Boolean);
 
-const fitFontSize = (ctx, lines, { target, min, maxWidth, weight }) => {
+const fitFontSize = (
+  ctx,
+  lines,
+  { target, min, maxWidth, weight, fontStack = '"CanvaSans"' }
+) => {
   if (!lines.length) return 0;
 
   const safeMaxWidth = Math.max(1, maxWidth);
   let size = Math.max(Math.round(target), Math.round(min));
 
   while (size > min) {
-    ctx.font = `${weight} ${size}px "CanvaSans"`;
+    ctx.font = `${weight} ${size}px ${fontStack}`;
     const tooWide = lines.some((line) => ctx.measureText(line).width > safeMaxWidth);
     if (!tooWide) return size;
     size -= Math.max(2, Math.round(size * 0.06));
   }
 
   size = Math.max(Math.round(min), 20);
-  ctx.font = `${weight} ${size}px "CanvaSans"`;
+  ctx.font = `${weight} ${size}px ${fontStack}`;
   let stillTooWide = lines.some((line) => ctx.measureText(line).width > safeMaxWidth);
   while (stillTooWide && size > 20) {
     size -= Math.max(1, Math.round(size * 0.05));
-    ctx.font = `${weight} ${size}px "CanvaSans"`;
+    ctx.font = `${weight} ${size}px ${fontStack}`;
     stillTooWide = lines.some((line) => ctx.measureText(line).width > safeMaxWidth);
   }
 
@@ -93,7 +97,9 @@ const drawKidImage = (ctx, image) => {
   ctx.restore();
 };
 
-const drawTextBlock = (ctx, { area, title, subtitle }) => {
+// `fontFamily` is the canvas family of the book's dedication font, if it has one
+const drawTextBlock = (ctx, { area, title, subtitle, fontFamily = null }) => {
+  const fontStack = fontFamily ? `"${fontFamily}", "CanvaSans"` : '"CanvaSans"';
   const primary = splitLines(title);
   const secondary = splitLines(subtitle);
   if (!primary.length && !secondary.length) return;
@@ -109,6 +115,7 @@ const drawTextBlock = (ctx, { area, title, subtitle }) => {
         min: titleMin,
         maxWidth,
         weight: 'bold',
+        fontStack,
       })
     : 0;
 
@@ -124,6 +131,7 @@ const drawTextBlock = (ctx, { area, title, subtitle }) => {
       min: subtitleMin,
       maxWidth: maxWidth * 1.2,
       weight: 'normal',
+      fontStack,
     });
 
     subtitleSize = Math.round(subtitleSize * 1);
@@ -164,7 +172,7 @@ const drawTextBlock = (ctx, { area, title, subtitle }) => {
   if (primary.length && titleSize) {
     ctx.textAlign = 'center';
     ctx.textBaseline = 'alphabetic';
-    ctx.font = `bold ${Math.round(titleSize)}px "CanvaSans"`;
+    ctx.font = `bold ${Math.round(titleSize)}px ${fontStack}`;
     primary.forEach((line, index) => {
       cursorY += titleLineHeight;
       ctx.fillText(line, centerX, cursorY);
@@ -180,7 +188,7 @@ const drawTextBlock = (ctx, { area, title, subtitle }) => {
     }
     ctx.textAlign = 'left';
     ctx.textBaseline = 'alphabetic';
-    ctx.font = `normal ${Math.round(subtitleSize)}px "CanvaSans"`;
+    ctx.font = `normal ${Math.round(subtitleSize)}px ${fontStack}`;
     secondary.forEach((line, index) => {
       cursorY += subtitleLineHeight;
       ctx.fillText(line, leftX, cursorY);
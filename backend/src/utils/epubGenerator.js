@@ -0,0 +1,413 @@
+const crypto = require('crypto');
+const { PassThrough } = require('stream');
+const archiver = require('archiver');
+const fetch = require('node-fetch');
+const { downloadFromS3 } = require('../config/s3');
+const { isRtlLanguage } = require('../config/languages');
+
+// Twice the PDF page size (842 x 421 pt) so images stay sharp on tablets.
+const VIEWPORT_WIDTH = 1684;
+const VIEWPORT_HEIGHT = 842;
+
+const IMAGE_EXTENSIONS = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/webp': 'webp',
+  'image/gif': 'gif',
+};
+
+const STYLESHEET = `@page { margin: 0; }
+html, body { margin: 0; padding: 0; }
+body {
+  position: relative;
+  width: ${VIEWPORT_WIDTH}px;
+  height: ${VIEWPORT_HEIGHT}px;
+  overflow: hidden;
+  font-family: Georgia, "Times New Roman", serif;
+}
+.background { position: absolute; top: 0; left: 0; width: 100%; height: 100%; object-fit: cover; }
+.character { position: absolute; bottom: 0; max-width: 40%; max-height: 80%; }
+.character.right { right: 0; }
+.character.left { left: 0; }
+.story-text {
+  position: absolute;
+  top: 10%;
+  width: 38%;
+  padding: 28px 32px;
+  background: rgba(0, 0, 0, 0.45);
+  border-radius: 18px;
+  color: #ffffff;
+  font-size: 34px;
+  line-height: 1.45;
+}
+.story-text.left { left: 4%; }
+.story-text.right { right: 4%; }
+.story-text p { margin: 0 0 0.6em 0; }
+.story-text p:last-child { margin-bottom: 0; }
+.quote {
+  position: absolute;
+  top: 6%;
+  width: 36%;
+  margin: 0;
+  color: #ffffff;
+  font-size: 40px;
+  line-height: 1.3;
+  text-align: right;
+  text-shadow: 0 0 3px #000000, 0 0 6px rgba(0, 0, 0, 0.7);
+}
+.quote.right { right: 2%; }
+.quote.left { left: 2%; }
+.visually-hidden {
+  position: absolute;
+  width: 1px;
+  height: 1px;
+  overflow: hidden;
+  clip: rect(0 0 0 0);
+}
+`;
+
+const escapeXml = (value) =>
+  String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+const toParagraphs = (text) =>
+  String(text || '')
+    .split(/\r?\n\s*\r?\n|\r?\n/)
+    .map((line) => line.trim())
+    .filter(Boolean);
+
+const detectContentType = (buffer, fallback) => {
+  if (buffer.length >= 4 && buffer[0] === 0x89 && buffer[1] === 0x50) return 'image/png';
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8) return 'image/jpeg';
+  if (buffer.length >= 12 && buffer.toString('ascii', 8, 12) === 'WEBP') return 'image/webp';
+  if (buffer.length >= 3 && buffer.toString('ascii', 0, 3) === 'GIF') return 'image/gif';
+  return IMAGE_EXTENSIONS[fallback] ? fallback : null;
+};
+
+const loadAssetBuffer = async (asset) => {
+  if (asset.key) {
+    try {
+      const buffer = await downloadFromS3(asset.key);
+      if (buffer && buffer.length) return buffer;
+    } catch (error) {
+      console.warn(`[epub] Failed to download ${asset.key} from S3:`, error.message);
+    }
+  }
+
+  const url = asset.url || asset.downloadUrl || asset.signedUrl;
+  if (!url) return null;
+  const response = await fetch(url, { timeout: 30000 });
+  if (!response.ok) {
+    throw new Error(`Failed to fetch image: ${response.status} ${response.statusText}`);
+  }
+  return response.buffer();
+};
+
+/**
+ * Collects each distinct image once and hands back its path inside the EPUB.
+ */
+const createImageRegistry = () => {
+  const entries = new Map();
+
+  const register = async (asset) => {
+    if (!asset || (!asset.key && !asset.url)) return null;
+    const cacheKey = asset.key || asset.url;
+    if (entries.has(cacheKey)) return entries.get(cacheKey);
+
+    let entry = null;
+    try {
+      const buffer = await loadAssetBuffer(asset);
+      const contentType = buffer ? detectContentType(buffer, asset.contentType) : null;
+      if (contentType) {
+        const id = `img-${entries.size + 1}`;
+        entry = {
+          id,
+          href: `images/${id}.${IMAGE_EXTENSIONS[contentType]}`,
+          contentType,
+          buffer,
+        };
+      }
+    } catch (error) {
+      console.warn(`[epub] Skipping image ${cacheKey}:`, error.message);
+    }
+
+    entries.set(cacheKey, entry);
+    return entry;
+  };
+
+  return {
+    register,
+    list: () => Array.from(entries.values()).filter(Boolean),
+  };
+};
+
+const resolveCharacterSide = (page, index, isRtl = false) => {
+  const preference =
+    typeof page.characterPosition === 'string' ? page.characterPosition.trim().toLowerCase() : 'auto';
+  if (preference === 'right' || preference === 'left') return preference;
+  // Same alternation as the PDF renderer
+  return (index % 2 === 0) !== isRtl ? 'right' : 'left';
+};
+
+const describeFrontMatter = (page) => {
+  if (page.pageType === 'cover') {
+    const coverPage = page.coverPage || {};
+    return [
+      coverPage.rightSide?.mainTitle,
+      coverPage.rightSide?.subtitle,
+      coverPage.leftSide?.title,
+      coverPage.leftSide?.content,
+      page.cover?.headline,
+      page.text,
+    ].filter((value) => typeof value === 'string' && value.trim());
+  }
+  const dedication = page.dedicationPage || {};
+  return [dedication.title, dedication.secondTitle, page.text].filter(
+    (value) => typeof value === 'string' && value.trim()
+  );
+};
+
+const renderPageDocument = ({ title, language, direction, body }) => `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${escapeXml(language)}" lang="${escapeXml(language)}" dir="${direction}">
+<head>
+  <meta charset="UTF-8"/>
+  <meta name="viewport" content="width=${VIEWPORT_WIDTH}, height=${VIEWPORT_HEIGHT}"/>
+  <title>${escapeXml(title)}</title>
+  <link rel="stylesheet" type="text/css" href="../styles/book.css"/>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+
+const buildPageBody = async ({ page, index, images, isRtl }) => {
+  const parts = [];
+  const isFrontMatter = page.pageType === 'cover' || page.pageType === 'dedication';
+
+  if (isFrontMatter) {
+    // Cover and dedication are composed by the canvas renderers; reuse that
+    // image and keep their wording as (hidden) real text for search and
+    // screen readers.
+    const rendered = await images.register(page.renderedImage || page.background);
+    if (rendered) {
+      parts.push(`  <img class="background" src="../${rendered.href}" alt=""/>`);
+    }
+    const lines = describeFrontMatter(page);
+    if (lines.length) {
+      const tag = page.pageType === 'cover' ? 'h1' : 'p';
+      parts.push(
+        `  <div class="${rendered ? 'visually-hidden' : 'story-text left'}">${lines
+          .map((line) => `<${tag}>${escapeXml(line)}</${tag}>`)
+          .join('')}</div>`
+      );
+    }
+    return { body: parts.join('\n'), isFrontMatter, coverImage: rendered };
+  }
+
+  const side = resolveCharacterSide(page, index, isRtl);
+  const textSide = side === 'right' ? 'left' : 'right';
+
+  const background = await images.register(page.background);
+  if (background) {
+    parts.push(`  <img class="background" src="../${background.href}" alt=""/>`);
+  }
+
+  const character = await images.register(page.character || page.characterOriginal);
+  if (character) {
+    const altText = page.childName ? `Illustration of ${page.childName}` : 'Story illustration';
+    parts.push(
+      `  <img class="character ${side}" src="../${character.href}" alt="${escapeXml(altText)}"/>`
+    );
+  }
+
+  const quote = typeof page.quote === 'string' ? page.quote.trim() : '';
+  if (quote) {
+    parts.push(`  <p class="quote ${side}" dir="rtl" lang="he" xml:lang="he">${escapeXml(quote)}</p>`);
+  }
+
+  const paragraphs = toParagraphs(page.text);
+  if (paragraphs.length) {
+    parts.push(
+      `  <div class="story-text ${textSide}">\n${paragraphs
+        .map((paragraph) => `    <p>${escapeXml(paragraph)}</p>`)
+        .join('\n')}\n  </div>`
+    );
+  }
+
+  return { body: parts.join('\n'), isFrontMatter, coverImage: null };
+};
+
+const buildUuid = (seed) => {
+  const hex = crypto.createHash('sha1').update(String(seed)).digest('hex');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-5${hex.slice(13, 16)}-a${hex.slice(17, 20)}-${hex.slice(20, 32)}`;
+};
+
+const archiveToBuffer = async (files) => {
+  const archive = archiver('zip', { zlib: { level: 9 } });
+  const output = new PassThrough();
+  const chunks = [];
+  output.on('data', (chunk) => chunks.push(chunk));
+
+  const finished = new Promise((resolve, reject) => {
+    output.on('end', resolve);
+    output.on('error', reject);
+    archive.on('error', reject);
+  });
+
+  archive.pipe(output);
+  // The OCF spec requires an uncompressed `mimetype` entry first
+  archive.append('application/epub+zip', { name: 'mimetype', store: true });
+  files.forEach(({ name, content }) => archive.append(content, { name }));
+  archive.finalize();
+
+  await finished;
+  return Buffer.concat(chunks);
+};
+
+/**
+ * Build a fixed-layout EPUB 3 from storybook page snapshots
+ * (`book.pdfAssets[].pages`). Story text and the Hebrew quote are real,
+ * selectable text laid over the page artwork. Right-to-left languages turn
+ * pages right to left.
+ */
+async function generateStorybookEpub({ title, author = '', language = 'en', identifier, pages = [] }) {
+  const sortedPages = pages
+    .slice()
+    .sort((a, b) => (Number(a.order) || 0) - (Number(b.order) || 0));
+
+  if (!sortedPages.length) {
+    throw new Error('Storybook has no pages to export');
+  }
+
+  const safeTitle = title || 'Storybook';
+  const isRtl = isRtlLanguage(language);
+  const direction = isRtl ? 'rtl' : 'ltr';
+  const images = createImageRegistry();
+  const documents = [];
+  let coverImage = null;
+
+  for (let index = 0; index < sortedPages.length; index += 1) {
+    const page = sortedPages[index] || {};
+    const { body, coverImage: pageCoverImage } = await buildPageBody({
+      page,
+      index,
+      images,
+      isRtl,
+    });
+    if (!coverImage && pageCoverImage && page.pageType === 'cover') {
+      coverImage = pageCoverImage;
+    }
+
+    const id = `page-${String(index + 1).padStart(3, '0')}`;
+    const label =
+      page.pageType === 'cover'
+        ? 'Cover'
+        : page.pageType === 'dedication'
+        ? 'Dedication'
+        : `Page ${index + 1}`;
+    documents.push({
+      id,
+      href: `pages/${id}.xhtml`,
+      label,
+      content: renderPageDocument({
+        title: `${safeTitle} - ${label}`,
+        language,
+        direction,
+        body,
+      }),
+    });
+  }
+
+  const imageEntries = images.list();
+  if (!coverImage && imageEntries.length) {
+    [coverImage] = imageEntries;
+  }
+
+  const modified = new Date().toISOString().replace(/\.\d{3}Z$/, 'Z');
+  const bookId = `urn:uuid:${buildUuid(identifier || safeTitle)}`;
+
+  const manifestItems = [
+    '    <item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>',
+    '    <item id="css" href="styles/book.css" media-type="text/css"/>',
+    ...documents.map(
+      (doc) =>
+        `    <item id="${doc.id}" href="${doc.href}" media-type="application/xhtml+xml"/>`
+    ),
+    ...imageEntries.map(
+      (image) =>
+        `    <item id="${image.id}" href="${image.href}" media-type="${image.contentType}"${
+          coverImage && image.id === coverImage.id ? ' properties="cover-image"' : ''
+        }/>`
+    ),
+  ];
+
+  const packageDocument = `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="${escapeXml(language)}">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+    <dc:identifier id="book-id">${escapeXml(bookId)}</dc:identifier>
+    <dc:title>${escapeXml(safeTitle)}</dc:title>
+    <dc:language>${escapeXml(language)}</dc:language>
+${author ? `    <dc:creator>${escapeXml(author)}</dc:creator>\n` : ''}    <meta property="dcterms:modified">${modified}</meta>
+    <meta property="rendition:layout">pre-paginated</meta>
+    <meta property="rendition:orientation">landscape</meta>
+    <meta property="rendition:spread">none</meta>
+  </metadata>
+  <manifest>
+${manifestItems.join('\n')}
+  </manifest>
+  <spine page-progression-direction="${direction}">
+${documents.map((doc) => `    <itemref idref="${doc.id}"/>`).join('\n')}
+  </spine>
+</package>
+`;
+
+  const navDocument = `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${escapeXml(language)}" lang="${escapeXml(language)}" dir="${direction}">
+<head>
+  <meta charset="UTF-8"/>
+  <title>${escapeXml(safeTitle)}</title>
+</head>
+<body>
+  <nav epub:type="toc" id="toc">
+    <h1>${escapeXml(safeTitle)}</h1>
+    <ol>
+${documents.map((doc) => `      <li><a href="${doc.href}">${escapeXml(doc.label)}</a></li>`).join('\n')}
+    </ol>
+  </nav>
+</body>
+</html>
+`;
+
+  const containerDocument = `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+  <rootfiles>
+    <rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>
+  </rootfiles>
+</container>
+`;
+
+  const buffer = await archiveToBuffer([
+    { name: 'META-INF/container.xml', content: containerDocument },
+    { name: 'OEBPS/content.opf', content: packageDocument },
+    { name: 'OEBPS/nav.xhtml', content: navDocument },
+    { name: 'OEBPS/styles/book.css', content: STYLESHEET },
+    ...documents.map((doc) => ({ name: `OEBPS/${doc.href}`, content: doc.content })),
+    ...imageEntries.map((image) => ({ name: `OEBPS/${image.href}`, content: image.buffer })),
+  ]);
+
+  return {
+    buffer,
+    pageCount: documents.length,
+  };
+}
+
+module.exports = {
+  generateStorybookEpub,
+};
@@ -0,0 +1,84 @@
+const ORIENTATION_TAG = 0x0112;
+
+/**
+ * Read the EXIF orientation (1-8) from a JPEG buffer.
+ * Returns 1 (upright) for other formats or when the tag is missing/corrupt.
+ */
+const readExifOrientation = (buffer) => {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 4 || buffer.readUInt16BE(0) !== 0xffd8) {
+    return 1;
+  }
+
+  try {
+    let offset = 2;
+    while (offset + 4 <= buffer.length) {
+      const marker = buffer.readUInt16BE(offset);
+      const segmentLength = buffer.readUInt16BE(offset + 2);
+      // Start of scan: no metadata segments after this point
+      if (marker === 0xffda || (marker & 0xff00) !== 0xff00) {
+        return 1;
+      }
+
+      const isExif =
+        marker === 0xffe1 &&
+        buffer.toString('ascii', offset + 4, offset + 8) === 'Exif' &&
+        buffer.readUInt16BE(offset + 8) === 0;
+
+      if (isExif) {
+        const tiffStart = offset + 10;
+        const littleEndian = buffer.toString('ascii', tiffStart, tiffStart + 2) === 'II';
+        const readUInt16 = (position) =>
+          littleEndian ? buffer.readUInt16LE(position) : buffer.readUInt16BE(position);
+        const readUInt32 = (position) =>
+          littleEndian ? buffer.readUInt32LE(position) : buffer.readUInt32BE(position);
+
+        const ifdStart = tiffStart + readUInt32(tiffStart + 4);
+        const entryCount = readUInt16(ifdStart);
+        for (let index = 0; index < entryCount; index += 1) {
+          const entry = ifdStart + 2 + index * 12;
+          if (readUInt16(entry) === ORIENTATION_TAG) {
+            const orientation = readUInt16(entry + 8);
+            return orientation >= 1 && orientation <= 8 ? orientation : 1;
+          }
+        }
+        return 1;
+      }
+
+      offset += 2 + segmentLength;
+    }
+  } catch (error) {
+    return 1;
+  }
+
+  return 1;
+};
+
+/**
+ * Canvas transform that draws a raw image of `width` x `height` upright for
+ * the given EXIF orientation. Orientations 5-8 swap the output dimensions.
+ */
+const getOrientationTransform = (orientation, width, height) => {
+  switch (orientation) {
+    case 2:
+      return { swap: false, matrix: [-1, 0, 0, 1, width, 0] };
+    case 3:
+      return { swap: false, matrix: [-1, 0, 0, -1, width, height] };
+    case 4:
+      return { swap: false, matrix: [1, 0, 0, -1, 0, height] };
+    case 5:
+      return { swap: true, matrix: [0, 1, 1, 0, 0, 0] };
+    case 6:
+      return { swap: true, matrix: [0, 1, -1, 0, height, 0] };
+    case 7:
+      return { swap: true, matrix: [0, -1, -1, 0, height, width] };
+    case 8:
+      return { swap: true, matrix: [0, -1, 1, 0, 0, width] };
+    default:
+      return { swap: false, matrix: [1, 0, 0, 1, 0, 0] };
+  }
+};
+
+module.exports = {
+  readExifOrientation,
+  getOrientationTransform,
+};
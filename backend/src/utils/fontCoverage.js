@@ -0,0 +1,161 @@
+const fontkit = require('@pdf-lib/fontkit');
+const { FONT_ROLES } = require('../config/fontRoles');
+
+/**
+ * Font file inspection and glyph coverage. Uploaded storybook fonts are
+ * inspected once for their metadata, then checked against the final page
+ * copy before anything is rendered with them: canvas and pdf-lib both draw a
+ * missing glyph as a box (or nothing), so a gap is only visible in the output.
+ */
+
+// Only sfnt fonts: pdf-lib embeds them and Pango loads them from a file
+const FONT_FORMATS = {
+  ttf: 'font/ttf',
+  otf: 'font/otf',
+};
+
+// Letters a font has to draw for it to count as covering a script
+const FONT_SCRIPTS = {
+  latin: { label: 'Latin', ranges: [[0x41, 0x5a], [0x61, 0x7a]] },
+  hebrew: { label: 'Hebrew', ranges: [[0x5d0, 0x5ea]] },
+  nikud: { label: 'Hebrew vowel points', ranges: [[0x5b0, 0x5bc], [0x5c1, 0x5c2]] },
+};
+
+// Whitespace, bidi controls and joiners are never looked up in the font
+const IGNORED_CHARACTER_PATTERN = /[\s\u200b-\u200f\u202a-\u202e\u2066-\u2069\ufeff]/u;
+
+const detectFontFormat = (buffer) => {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 4) return null;
+  const signature = buffer.readUInt32BE(0);
+  if (signature === 0x00010000 || signature === 0x74727565) return 'ttf';
+  if (signature === 0x4f54544f) return 'otf';
+  return null;
+};
+
+const openFont = (buffer) => {
+  if (!detectFontFormat(buffer)) {
+    throw new Error('Only TrueType (.ttf) and OpenType (.otf) font files are supported');
+  }
+  return fontkit.create(buffer);
+};
+
+const countCovered = (font, ranges) => {
+  let total = 0;
+  let covered = 0;
+  ranges.forEach(([start, end]) => {
+    for (let codePoint = start; codePoint <= end; codePoint += 1) {
+      total += 1;
+      if (font.hasGlyphForCodePoint(codePoint)) covered += 1;
+    }
+  });
+  return { total, covered };
+};
+
+/**
+ * Read the metadata of a font file: names, weight, style, glyph count and
+ * the share of each FONT_SCRIPTS alphabet it draws. `scripts` lists the
+ * fully covered ones.
+ */
+const inspectFontBuffer = (buffer) => {
+  const font = openFont(buffer);
+  const os2 = font['OS/2'] || {};
+  const coverage = {};
+  const scripts = [];
+  Object.entries(FONT_SCRIPTS).forEach(([script, { ranges }]) => {
+    const { total, covered } = countCovered(font, ranges);
+    coverage[script] = total ? Math.round((covered / total) * 100) / 100 : 0;
+    if (covered === total) scripts.push(script);
+  });
+
+  return {
+    format: detectFontFormat(buffer),
+    family: font.familyName || '',
+    subfamily: font.subfamilyName || '',
+    fullName: font.fullName || '',
+    postscriptName: font.postscriptName || '',
+    weight: Number(os2.usWeightClass) || 400,
+    style: os2.fsSelection?.italic || font.italicAngle ? 'italic' : 'normal',
+    glyphCount: font.numGlyphs || 0,
+    characterCount: (font.characterSet || []).length,
+    coverage,
+    scripts,
+  };
+};
+
+/**
+ * Characters of `text` the font has no glyph for, each listed once in the
+ * order they first appear. `font` is a fontkit font.
+ */
+const findMissingCharacters = (font, text) => {
+  if (!text) return [];
+  const missing = new Set();
+  Array.from(String(text)).forEach((character) => {
+    if (missing.has(character) || IGNORED_CHARACTER_PATTERN.test(character)) return;
+    if (!font.hasGlyphForCodePoint(character.codePointAt(0))) missing.add(character);
+  });
+  return [...missing];
+};
+
+// U+05D0 style labels, so marks that don't display alone are still readable
+const describeCharacter = (character) =>
+  `U+${character.codePointAt(0).toString(16).toUpperCase().padStart(4, '0')}`;
+
+const MISSING_LISTED = 8;
+
+/**
+ * Glyph gaps of the fonts chosen per role. `fonts` maps a role to a loaded
+ * font (`{ id, name, fontkit }`) and `copyByRole` maps a role to the text it
+ * will draw, as `{ location, text }` entries ("page 3", "spine"). Roles
+ * without a chosen font are skipped; the bundled fonts fall back per glyph.
+ */
+const findFontCoverageIssues = (fonts, copyByRole) => {
+  const issues = [];
+  Object.entries(copyByRole || {}).forEach(([role, entries]) => {
+    const font = fonts?.[role];
+    if (!font?.fontkit) return;
+    const label = FONT_ROLES.find((entry) => entry.key === role)?.label || role;
+    (entries || []).forEach(({ location, text }) => {
+      const missing = findMissingCharacters(font.fontkit, text);
+      if (!missing.length) return;
+      const listed = missing
+        .slice(0, MISSING_LISTED)
+        .map((character) => `"${character}" (${describeCharacter(character)})`)
+        .join(', ');
+      const more =
+        missing.length > MISSING_LISTED ? ` and ${missing.length - MISSING_LISTED} more` : '';
+      issues.push({
+        role,
+        fontId: font.id,
+        font: font.name,
+        location,
+        missing,
+        message: `${label} font "${font.name}" has no glyph for ${listed}${more} (${location})`,
+      });
+    });
+  });
+  return issues;
+};
+
+// Throws a 400 listing every gap, so nothing is rendered with missing glyphs
+const assertFontCoverage = (fonts, copyByRole) => {
+  const issues = findFontCoverageIssues(fonts, copyByRole);
+  if (!issues.length) return;
+  const error = new Error(
+    `${issues[0].message}${issues.length > 1 ? ` (and ${issues.length - 1} more)` : ''}`
+  );
+  error.statusCode = 400;
+  error.errors = issues;
+  throw error;
+};
+
+module.exports = {
+  FONT_FORMATS,
+  FONT_SCRIPTS,
+  detectFontFormat,
+  openFont,
+  inspectFontBuffer,
+  findMissingCharacters,
+  describeCharacter,
+  findFontCoverageIssues,
+  assertFontCoverage,
+};
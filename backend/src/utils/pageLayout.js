@@ -0,0 +1,256 @@
+/**
+ * Story page layout: where the character, the Hebrew quote and the story text
+ * sit on a spread, their fonts and sizes, and the blurred overlay behind the
+ * text. A book stores its own layout JSON (`book.pageLayout`); anything it
+ * leaves out comes from PAGE_LAYOUT_DEFAULTS, which reproduce the original
+ * hard-coded renderer. Measurements are PDF points on the 842 x 421 spread;
+ * offsets are positive to the right and up. The Settings preview mirrors the
+ * geometry helpers below, so both draw from the same JSON.
+ */
+
+// `auto` uses the renderer's script-based font chain
+const PAGE_LAYOUT_FONTS = ['auto', 'body', 'accent', 'hebrew'];
+const CHARACTER_ANCHORS = ['auto', 'left', 'right'];
+const HEX_COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+const PAGE_LAYOUT_DEFAULTS = Object.freeze({
+  character: Object.freeze({
+    anchor: 'auto',
+    widthRatio: 0.4,
+    heightRatio: 0.8,
+    offsetX: 0,
+    offsetY: 0,
+  }),
+  text: Object.freeze({
+    font: 'auto',
+    fontSize: 16,
+    lineHeight: 1.4,
+    color: '#ffffff',
+    margin: 40,
+    widthRatio: 0.35,
+    minWidth: 300,
+    offsetX: 0,
+    offsetY: 0,
+    baselineRatio: 0.7,
+    baselineOffset: 18,
+  }),
+  overlay: Object.freeze({
+    paddingLeft: 90,
+    paddingRight: 60,
+    paddingVertical: 40,
+    blur: 15,
+    opacity: 1,
+    maskWidthFactor: 2.2,
+    maskHeightFactor: 2,
+    maskHardness: 0.82,
+    maskOffsetX: -20,
+    fallbackColor: '#000000',
+    fallbackOpacity: 0.45,
+  }),
+  quote: Object.freeze({
+    font: 'auto',
+    fontSize: 16,
+    lineHeight: 1.4,
+    color: '#ffffff',
+    widthRatio: 0.3,
+    gap: 20,
+    waveAmplitude: 8,
+  }),
+});
+
+const PAGE_LAYOUT_FIELDS = {
+  character: {
+    anchor: { values: CHARACTER_ANCHORS },
+    widthRatio: { min: 0.1, max: 0.9 },
+    heightRatio: { min: 0.3, max: 1.4 },
+    offsetX: { min: -200, max: 200 },
+    offsetY: { min: -200, max: 200 },
+  },
+  text: {
+    font: { values: PAGE_LAYOUT_FONTS },
+    fontSize: { min: 8, max: 40 },
+    lineHeight: { min: 1, max: 2.5 },
+    color: { color: true },
+    margin: { min: 0, max: 160 },
+    widthRatio: { min: 0.15, max: 0.8 },
+    minWidth: { min: 100, max: 600 },
+    offsetX: { min: -200, max: 200 },
+    offsetY: { min: -200, max: 200 },
+    baselineRatio: { min: 0.3, max: 0.95 },
+    baselineOffset: { min: -60, max: 100 },
+  },
+  overlay: {
+    paddingLeft: { min: 0, max: 200 },
+    paddingRight: { min: 0, max: 200 },
+    paddingVertical: { min: 0, max: 200 },
+    blur: { min: 0, max: 40 },
+    opacity: { min: 0, max: 1 },
+    maskWidthFactor: { min: 1, max: 4 },
+    maskHeightFactor: { min: 1, max: 4 },
+    maskHardness: { min: 0.05, max: 0.99 },
+    maskOffsetX: { min: -100, max: 100 },
+    fallbackColor: { color: true },
+    fallbackOpacity: { min: 0, max: 1 },
+  },
+  quote: {
+    font: { values: PAGE_LAYOUT_FONTS },
+    fontSize: { min: 8, max: 40 },
+    lineHeight: { min: 1, max: 2.5 },
+    color: { color: true },
+    widthRatio: { min: 0.1, max: 0.8 },
+    gap: { min: -100, max: 200 },
+    waveAmplitude: { min: 0, max: 30 },
+  },
+};
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+const checkFieldValue = (spec, value) => {
+  if (spec.values) {
+    return spec.values.includes(value) ? null : `must be one of: ${spec.values.join(', ')}`;
+  }
+  if (spec.color) {
+    return typeof value === 'string' && HEX_COLOR_PATTERN.test(value)
+      ? null
+      : 'must be a hex colour such as #ffffff';
+  }
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    return 'must be a number';
+  }
+  return value < spec.min || value > spec.max
+    ? `must be between ${spec.min} and ${spec.max}`
+    : null;
+};
+
+/**
+ * Problems with a layout payload as `{ field, message }`, e.g.
+ * `{ field: 'text.fontSize', message: 'text.fontSize must be between 8 and 40' }`.
+ * Sections and fields may be left out; unknown ones are reported.
+ */
+const validatePageLayout = (layout) => {
+  if (layout === null || typeof layout === 'undefined') return [];
+  if (typeof layout !== 'object' || Array.isArray(layout)) {
+    return [{ field: 'layout', message: 'Layout must be an object' }];
+  }
+
+  const issues = [];
+  Object.entries(layout).forEach(([section, values]) => {
+    const sectionFields = PAGE_LAYOUT_FIELDS[section];
+    if (!sectionFields) {
+      issues.push({ field: section, message: `Unknown layout section "${section}"` });
+      return;
+    }
+    if (!values || typeof values !== 'object' || Array.isArray(values)) {
+      issues.push({ field: section, message: `${section} must be an object` });
+      return;
+    }
+    Object.entries(values).forEach(([key, value]) => {
+      const field = `${section}.${key}`;
+      const spec = sectionFields[key];
+      if (!spec) {
+        issues.push({ field, message: `Unknown layout field "${field}"` });
+        return;
+      }
+      const problem = checkFieldValue(spec, value);
+      if (problem) {
+        issues.push({ field, message: `${field} ${problem}` });
+      }
+    });
+  });
+  return issues;
+};
+
+/**
+ * Complete layout for rendering: the book's values over the defaults. Invalid
+ * or unknown values are ignored so an old or hand-edited layout still renders.
+ */
+const resolvePageLayout = (layout) =>
+  Object.fromEntries(
+    Object.entries(PAGE_LAYOUT_DEFAULTS).map(([section, defaults]) => {
+      const source = layout && typeof layout[section] === 'object' ? layout[section] : {};
+      const resolved = Object.fromEntries(
+        Object.entries(defaults).map(([key, fallback]) => {
+          const value = source?.[key];
+          const usable =
+            typeof value !== 'undefined' &&
+            !checkFieldValue(PAGE_LAYOUT_FIELDS[section][key], value);
+          return [key, usable ? value : fallback];
+        })
+      );
+      return [section, resolved];
+    })
+  );
+
+/**
+ * Character box fitted inside the layout's width/height ratios and anchored
+ * to the bottom-right or bottom-left corner.
+ */
+const resolveCharacterBox = (layout, { pageWidth, pageHeight, aspectRatio, isOnRight }) => {
+  const { widthRatio, heightRatio, offsetX, offsetY } = layout.character;
+  const maxWidth = pageWidth * widthRatio;
+  const maxHeight = pageHeight * heightRatio;
+  const width = aspectRatio > maxWidth / maxHeight ? maxWidth : maxHeight * aspectRatio;
+  const height = aspectRatio > maxWidth / maxHeight ? maxWidth / aspectRatio : maxHeight;
+  return {
+    x: (isOnRight ? pageWidth - width : 0) + offsetX,
+    y: offsetY,
+    width,
+    height,
+  };
+};
+
+/**
+ * Story text block on the side opposite the character: its left edge `x`,
+ * `width`, the `baseline` lines hang from, and the line advance.
+ */
+const resolveTextRegion = (layout, { pageWidth, pageHeight, isCharacterOnRight }) => {
+  const { margin, widthRatio, minWidth, offsetX, offsetY } = layout.text;
+  const { baselineRatio, baselineOffset, fontSize, lineHeight } = layout.text;
+  const width = Math.min(Math.max(pageWidth * widthRatio, minWidth), pageWidth - margin * 2);
+  const baseX = isCharacterOnRight ? margin : pageWidth - width - margin;
+  const lineAdvance = fontSize * lineHeight;
+  return {
+    x: clamp(baseX + offsetX, margin * 0.5, pageWidth - width - margin * 0.5),
+    width,
+    baseline: clamp(pageHeight * baselineRatio + offsetY, lineAdvance, pageHeight - baselineOffset),
+    lineAdvance,
+  };
+};
+
+/**
+ * Overlay rectangle behind `lineCount` lines of the text region, clipped to
+ * the page. The wider padding sits where lines start, so it is mirrored for
+ * right-to-left text, as is the mask offset.
+ */
+const resolveOverlayRegion = (
+  layout,
+  { pageWidth, pageHeight, textRegion, lineCount, isRtl = false }
+) => {
+  const { paddingLeft, paddingRight, paddingVertical, maskOffsetX } = layout.overlay;
+  const textHeight = lineCount * textRegion.lineAdvance;
+  const rawX = textRegion.x - (isRtl ? paddingRight : paddingLeft);
+  const rawY = textRegion.baseline - textHeight - paddingVertical;
+  const rawWidth = textRegion.width + paddingLeft + paddingRight;
+  const rawHeight = textHeight + paddingVertical * 2;
+
+  const x = clamp(rawX, 0, pageWidth - 1);
+  const y = clamp(rawY, 0, pageHeight - 1);
+  return {
+    x,
+    y,
+    width: Math.min(Math.max(1, Math.round(rawWidth - (x - rawX))), Math.round(pageWidth - x)),
+    height: Math.min(Math.max(1, Math.round(rawHeight - (y - rawY))), Math.round(pageHeight - y)),
+    maskOffsetX: isRtl ? -maskOffsetX : maskOffsetX,
+  };
+};
+
+module.exports = {
+  PAGE_LAYOUT_DEFAULTS,
+  PAGE_LAYOUT_FIELDS,
+  PAGE_LAYOUT_FONTS,
+  validatePageLayout,
+  resolvePageLayout,
+  resolveCharacterBox,
+  resolveTextRegion,
+  resolveOverlayRegion,
+};
@@ -1,34 +1,51 @@
 const fs = require('fs');
 const path = require('path');
 const https = require('https');
-const { PDFDocument, StandardFonts, rgb } = require('pdf-lib');
+const { PDFDocument, ReadingDirection, StandardFonts, rgb, cmyk } = require('pdf-lib');
 const fontkit = require('@pdf-lib/fontkit');
 const fetch = require('node-fetch');
-const Replicate = require('replicate');
 const { downloadFromS3 } = require('../config/s3');
+const { getImageProvider } = require('../services/providers');
+const { recordBackgroundRemovalUsage } = require('../services/usageTracking');
+const { reservePrediction, isBudgetExceededError } = require('../services/spendGuards');
+const { buildStoryVariables, renderStoryTemplate } = require('../services/storyTemplates');
+const { DEFAULT_STORY_LANGUAGE, getStoryLanguage } = require('../config/languages');
+const {
+  shapeLine,
+  measureCluster,
+  measureClusters,
+  drawCluster,
+  drawClusters,
+} = require('./textShaping');
+const {
+  PAGE_LAYOUT_DEFAULTS,
+  resolvePageLayout,
+  resolveCharacterBox,
+  resolveTextRegion,
+  resolveOverlayRegion,
+} = require('./pageLayout');
 const { createCanvas, loadImage } = require('canvas');
 const { generateCoverImage } = require('./coverRenderer');
-const { generateCoverPage } = require('./coverGenerator');
+const { generateCoverPage, resolveCoverCopy } = require('./coverGenerator');
 const { generateDedicationPage } = require('./dedicationGenerator');
-
-const replicate = new Replicate();
+const { assertFontCoverage } = require('./fontCoverage');
 
 const PAGE_WIDTH = 842; // A4 landscape width in points
 const PAGE_HEIGHT = 421; // A4 landscape height in points
-const CHARACTER_MAX_WIDTH_RATIO = 0.4;
-const CHARACTER_MAX_HEIGHT_RATIO = 0.8;
-const TEXT_BLOCK_WIDTH = 300;
-const TEXT_BLOCK_WIDTH_RATIO = 0.35;
-const TEXT_MARGIN = 40;
-const FONT_SIZE = 16;
-const LINE_HEIGHT = FONT_SIZE * 1.4;
-const TEXT_BASELINE_OFFSET = 18;
-const TEXT_BG_LEFT_PADDING = 90;
-const TEXT_BG_RIGHT_PADDING = 60;
-const TEXT_BG_VERTICAL_PADDING = 40;
-const HEBREW_BASE_FONT_SIZE = 16;
-const HEBREW_WAVE_AMPLITUDE = 8;
-const HEBREW_LINE_SPACING = HEBREW_BASE_FONT_SIZE * 1.4;
+// Print output draws text, fills and marks in DeviceCMYK. Raster images are
+// embedded as they are (RGB); converting them is left to the printer's RIP.
+const SCREEN_PALETTE = { white: rgb(1, 1, 1), black: rgb(0, 0, 0) };
+const PRINT_PALETTE = { white: cmyk(0, 0, 0, 0), black: cmyk(0, 0, 0, 1) };
+
+// Layout colours are hex; print gets a plain RGB-to-CMYK conversion, which is
+// exact for pure white and black
+const toPdfColor = (hex, isPrint) => {
+  const [r, g, b] = [1, 3, 5].map((start) => parseInt(hex.slice(start, start + 2), 16) / 255);
+  if (!isPrint) return rgb(r, g, b);
+  const k = 1 - Math.max(r, g, b);
+  if (k >= 1) return cmyk(0, 0, 0, 1);
+  return cmyk((1 - r - k) / (1 - k), (1 - g - k) / (1 - k), (1 - b - k) / (1 - k), k);
+};
 const STORYBOOK_PDF_PREFETCH_CONCURRENCY = Math.max(
   1,
   Number(process.env.STORYBOOK_PDF_PREFETCH_CONCURRENCY || 5)
@@ -61,6 +78,69 @@ const tryEmbedCustomFont = async (pdfDoc, fontPath) => {
   }
 };
 
+// Font files for the storybook roles
+const getStorybookFontPaths = () => {
+  const fontsDir = path.join(__dirname, '..', '..', 'fonts');
+  return {
+    body: optionalFontPath('STORYBOOK_BODY_FONT', path.join(fontsDir, 'CanvaSans-Regular.otf')),
+    accent: optionalFontPath('STORYBOOK_ACCENT_FONT', path.join(fontsDir, 'CanvaSans-Bold.otf')),
+    hebrew: optionalFontPath('STORYBOOK_HEBREW_FONT', path.join(fontsDir, 'nehama.ttf')),
+    hebrewBody: optionalFontPath('STORYBOOK_HEBREW_BODY_FONT', null),
+    nikud: optionalFontPath(
+      'STORYBOOK_NIKUD_FONT',
+      path.join(fontsDir, 'NotoSerifHebrew-Regular.ttf')
+    ),
+  };
+};
+
+/**
+ * Embed the storybook body, accent and Hebrew fonts. Screen PDFs fall back to
+ * Helvetica when a font file is missing; with `requireEmbedded` (print) a
+ * missing font is an error because printers reject non-embedded fonts. The
+ * Hebrew body and nikud fonts are optional: Hebrew page text falls back to the
+ * quote font, and nikud it lacks comes from the nikud font (the bundled Noto
+ * Serif Hebrew unless STORYBOOK_NIKUD_FONT points elsewhere).
+ */
+const loadStorybookFonts = async (pdfDoc, { requireEmbedded = false } = {}) => {
+  const fontPaths = getStorybookFontPaths();
+
+  const customBodyFont = await tryEmbedCustomFont(pdfDoc, fontPaths.body);
+  const customAccentFont = await tryEmbedCustomFont(pdfDoc, fontPaths.accent);
+  const customHebrewFont = await tryEmbedCustomFont(pdfDoc, fontPaths.hebrew);
+  const customHebrewBodyFont = await tryEmbedCustomFont(pdfDoc, fontPaths.hebrewBody);
+  const nikudFont = await tryEmbedCustomFont(pdfDoc, fontPaths.nikud);
+
+  if (requireEmbedded) {
+    const missing = [
+      ['body', customBodyFont],
+      ['accent', customAccentFont],
+      ['hebrew', customHebrewFont],
+    ]
+      .filter(([, font]) => !font)
+      .map(([name]) => `${name} (${fontPaths[name] || 'not configured'})`);
+    if (missing.length) {
+      throw new Error(`Print PDFs require embedded fonts; could not load: ${missing.join(', ')}`);
+    }
+  }
+
+  const bodyFont = customBodyFont || (await pdfDoc.embedFont(StandardFonts.Helvetica));
+  const accentFont = customAccentFont || (await pdfDoc.embedFont(StandardFonts.HelveticaBold));
+  const hebrewFont = customHebrewFont || bodyFont;
+  return {
+    bodyFont,
+    accentFont,
+    hebrewFont,
+    hebrewBodyFont: customHebrewBodyFont || hebrewFont,
+    nikudFont,
+  };
+};
+
+// Fonts tried in order for each cluster of text; the script's own font first
+const buildFontChain = (fonts, script) =>
+  script === 'hebrew'
+    ? [fonts.hebrewBodyFont, fonts.nikudFont, fonts.bodyFont]
+    : [fonts.bodyFont, fonts.hebrewBodyFont, fonts.nikudFont];
+
 const fetchBufferFromUrl = async (url) => {
   if (!url) return null;
   if (typeof url !== 'string') {
@@ -289,26 +369,65 @@ const buildGeneratorCandidates = async (asset, resolvedSource, label) => {
   return candidates;
 };
 
-const replaceChildPlaceholders = (value, childName) => {
+// Storybook runs attach the reader's full template variables; previews only
+// know the child's name and leave the copy untouched without one
+const replaceChildPlaceholders = (value, childName, storyVariables = null) => {
   if (!value || typeof value !== 'string') return value || '';
-  if (!childName) return value;
-  const upperName = childName.toUpperCase();
-  return value.replace(/\{name\}/gi, (matched) => {
-    const inner = matched.slice(1, -1);
-    if (inner === inner.toUpperCase()) {
-      return upperName;
+  if (!storyVariables && !childName) return value;
+  return renderStoryTemplate(value, storyVariables || buildStoryVariables({ name: childName }));
+};
+
+// Final copy each font role draws, per PDF page, in the shape assertFontCoverage takes
+const collectFontRoleCopy = (pages) => {
+  const copy = { cover: [], dedication: [], storyText: [], storyQuote: [] };
+  pages.forEach((pageData, index) => {
+    const location = `page ${index + 1}`;
+    const pageType = pageData.pageType || 'story';
+    const renderCopy = (value) =>
+      replaceChildPlaceholders(value, pageData.childName || '', pageData.storyVariables || null);
+
+    if (pageType === 'cover') {
+      const coverPage = pageData.coverPage || {};
+      const coverCopy = resolveCoverCopy({
+        leftSide: {
+          title: renderCopy(coverPage.leftSide?.title),
+          content: renderCopy(coverPage.leftSide?.content),
+          bottomText: renderCopy(coverPage.leftSide?.bottomText),
+        },
+        rightSide: {
+          mainTitle: (renderCopy(coverPage.rightSide?.mainTitle) || '').toUpperCase(),
+          subtitle: renderCopy(coverPage.rightSide?.subtitle),
+        },
+        childName: pageData.childName || '',
+      });
+      copy.cover.push({ location, text: Object.values(coverCopy).join('\n') });
+    } else if (pageType === 'dedication') {
+      const dedication = pageData.dedicationPage || {};
+      copy.dedication.push({
+        location,
+        text: [renderCopy(dedication.title), renderCopy(dedication.secondTitle)].join('\n'),
+      });
+    } else {
+      copy.storyText.push({ location, text: pageData.text || '' });
+      copy.storyQuote.push({ location, text: pageData.hebrewQuote || pageData.quote || '' });
     }
-    return childName;
   });
+  return copy;
 };
 
-const performBackgroundRemoval = async (imageUrl) => {
+const performBackgroundRemoval = async (imageUrl, usageContext = {}) => {
   try {
     console.log('[bria] requesting background removal for:', imageUrl);
-    const result = await replicate.run('bria/remove-background', {
-      input: {
-        image: imageUrl,
-      },
+    const provider = getImageProvider();
+    // Paid call: counts against the daily and run caps of `usageContext`
+    await reservePrediction(usageContext);
+    const startedAt = Date.now();
+    const result = await provider.removeBackground(imageUrl);
+    await recordBackgroundRemovalUsage({
+      provider: provider.name,
+      model: provider.backgroundRemovalModel,
+      durationMs: Date.now() - startedAt,
+      context: usageContext,
     });
     console.log('[bria] remove-background response type:', typeof result);
     console.log('[bria] remove-background response keys:', result && typeof result === 'object' ? Object.keys(result) : 'N/A');
@@ -392,7 +511,7 @@ const performBackgroundRemoval = async (imageUrl) => {
   }
 };
 
-const removeBackground = async (character) => {
+const removeBackground = async (character, usageContext = {}) => {
   if (!character) return null;
 
   const candidates = [];
@@ -417,13 +536,15 @@ const removeBackground = async (character) => {
 
   for (const candidate of candidates) {
     try {
-      const buffer = await performBackgroundRemoval(candidate);
+      const buffer = await performBackgroundRemoval(candidate, usageContext);
       if (buffer && buffer.length) {
         return buffer;
       }
       lastError = new Error('Background removal returned empty buffer');
       console.warn('[bria] empty buffer after background removal attempt for', candidate);
     } catch (error) {
+      // Another candidate URL would hit the same cap
+      if (isBudgetExceededError(error)) throw error;
       lastError = error;
       console.warn('[bria] background removal attempt failed for', candidate, ':', error.message);
     }
@@ -513,12 +634,15 @@ const createBlurredBackground = async (
   y,
   width,
   height,
-  blurRadius = 15
+  blurRadius = PAGE_LAYOUT_DEFAULTS.overlay.blur,
+  pageWidth = PAGE_WIDTH,
+  pageHeight = PAGE_HEIGHT,
+  mask = PAGE_LAYOUT_DEFAULTS.overlay
 ) => {
   const safeWidth = Math.max(1, Math.round(width));
   const safeHeight = Math.max(1, Math.round(height));
-  const safeX = clamp(Math.floor(x), 0, PAGE_WIDTH);
-  const safeY = clamp(Math.floor(y), 0, PAGE_HEIGHT);
+  const safeX = clamp(Math.floor(x), 0, pageWidth);
+  const safeY = clamp(Math.floor(y), 0, pageHeight);
 
   if (!backgroundBuffer || safeWidth <= 0 || safeHeight <= 0) {
     return null;
@@ -527,12 +651,15 @@ const createBlurredBackground = async (
   try {
     const backgroundImage = await loadImage(backgroundBuffer);
 
-    const scaleX = backgroundImage.width / PAGE_WIDTH;
-    const scaleY = backgroundImage.height / PAGE_HEIGHT;
+    // Sample the background where it was drawn on the page (print scales it
+    // over the bleed); by default it fills the page
+    const imageBox = mask.imageBox || { x: 0, y: 0, width: pageWidth, height: pageHeight };
+    const scaleX = backgroundImage.width / imageBox.width;
+    const scaleY = backgroundImage.height / imageBox.height;
 
-    const sourceX = clamp(Math.floor(safeX * scaleX), 0, backgroundImage.width);
+    const sourceX = clamp(Math.floor((safeX - imageBox.x) * scaleX), 0, backgroundImage.width);
     const sourceY = clamp(
-      Math.floor((PAGE_HEIGHT - safeY - safeHeight) * scaleY),
+      Math.floor((imageBox.y + imageBox.height - safeY - safeHeight) * scaleY),
       0,
       backgroundImage.height
     );
@@ -573,14 +700,15 @@ const createBlurredBackground = async (
     const maskData = maskedCtx.getImageData(0, 0, safeWidth, safeHeight);
     const pixels = maskData.data;
 
-    const centerX = safeWidth / 2 - 20;
+    const centerX = safeWidth / 2 + mask.maskOffsetX;
     const centerY = safeHeight / 2;
-    const radiusX = safeWidth / 2.2 * 1.12;
-    const radiusY = safeHeight / 2 * 1.12;
+    const radiusX = safeWidth / mask.maskWidthFactor * 1.12;
+    const radiusY = safeHeight / mask.maskHeightFactor * 1.12;
 
-    // Match frontend radial gradient: solid from 0% to 82%, fade from 82% to 100%
-    const solidThreshold = 0.82; // Start fading at 82% of radius
-    const fadeRegion = 1.0 - solidThreshold; // Fade from 82% to 100% (18% region)
+    // Match the Settings preview's radial gradient: solid up to the mask
+    // hardness, then fading out to the edge of the ellipse
+    const solidThreshold = mask.maskHardness;
+    const fadeRegion = 1.0 - solidThreshold;
 
     for (let py = 0; py < safeHeight; py += 1) {
       for (let px = 0; px < safeWidth; px += 1) {
@@ -593,11 +721,11 @@ const createBlurredBackground = async (
           // Outside ellipse - fully transparent
           alpha = 0;
         } else if (distance > solidThreshold) {
-          // Fade region (82% to 100%)
+          // Fade region
           const fadeProgress = (1 - distance) / fadeRegion;
           alpha = Math.max(0, Math.min(1, fadeProgress));
         }
-        // else: inside solid region (0% to 82%) - alpha stays 1
+        // else: inside solid region - alpha stays 1
 
         const idx = (py * safeWidth + px) * 4 + 3;
         pixels[idx] = Math.min(255, pixels[idx] * alpha);
@@ -607,12 +735,9 @@ const createBlurredBackground = async (
     maskedCtx.putImageData(maskData, 0, 0);
     return maskedCanvas.toBuffer('image/png');
   } catch (error) {
+    // The caller draws the layout's fallback fill instead
     console.error('[pdf] createBlurredBackground failed:', error.message);
-    const fallbackCanvas = createCanvas(safeWidth, safeHeight);
-    const fallbackCtx = fallbackCanvas.getContext('2d');
-    fallbackCtx.fillStyle = 'rgba(0, 0, 0, 0.45)';
-    fallbackCtx.fillRect(0, 0, safeWidth, safeHeight);
-    return fallbackCanvas.toBuffer('image/png');
+    return null;
   }
 };
 
@@ -677,7 +802,7 @@ const mapWithConcurrency = async (items, limit, mapper) => {
   return results;
 };
 
-const prepareStoryPageAssets = async ({ page, index }) => {
+const prepareStoryPageAssets = async ({ page, index, usageContext }) => {
   const pageData = page || {};
   const result = {
     index,
@@ -707,12 +832,13 @@ const prepareStoryPageAssets = async ({ page, index }) => {
       } else {
         characterResult.attemptedRemoval = true;
         try {
-          const removedBuffer = await removeBackground(pageData.character);
+          const removedBuffer = await removeBackground(pageData.character, usageContext);
           if (removedBuffer && removedBuffer.length) {
             characterResult.buffer = removedBuffer;
             characterResult.source = 'removed';
           }
         } catch (error) {
+          if (isBudgetExceededError(error)) throw error;
           characterResult.removalError = error;
         }
 
@@ -732,6 +858,63 @@ const prepareStoryPageAssets = async ({ page, index }) => {
   return result;
 };
 
+// Where a full-page image is drawn, in page points from the trim corner.
+// Without bleed it fills the trim size; with bleed it is scaled to cover the
+// whole bleed box (keeping its aspect ratio) and centred, and the page edge
+// crops the overflow, so the artwork runs continuously past the trim line.
+const resolveFullPageImageBox = (image, { pageWidth, pageHeight, bleed }) => {
+  if (!(bleed > 0)) {
+    return { x: 0, y: 0, width: pageWidth, height: pageHeight };
+  }
+  const scale = Math.max(
+    (pageWidth + bleed * 2) / image.width,
+    (pageHeight + bleed * 2) / image.height
+  );
+  const width = image.width * scale;
+  const height = image.height * scale;
+  return { x: (pageWidth - width) / 2, y: (pageHeight - height) / 2, width, height };
+};
+
+const drawFullPageImage = (page, image, geometry) => {
+  const box = resolveFullPageImageBox(image, geometry);
+  page.drawImage(image, box);
+  return box;
+};
+
+const createSafeZoneChecker = ({ pageWidth, pageHeight, safeMargin }) => {
+  const issues = [];
+  const reported = new Set();
+  const spineX = pageWidth / 2;
+
+  // Each spread is cut into two book pages, so text also has to stay clear of
+  // the fold in the middle
+  const check = ({ pageNumber, element, left, right, bottom, top }) => {
+    // One entry per page and element is enough for the preflight report
+    const reportKey = `${pageNumber}:${element}`;
+    if (reported.has(reportKey)) return;
+
+    const onLeftPage = (left + right) / 2 < spineX;
+    const zone = onLeftPage
+      ? { left: safeMargin, right: spineX - safeMargin }
+      : { left: spineX + safeMargin, right: pageWidth - safeMargin };
+    const outside =
+      left < zone.left ||
+      right > zone.right ||
+      bottom < safeMargin ||
+      top > pageHeight - safeMargin;
+    if (outside) {
+      reported.add(reportKey);
+      issues.push({
+        page: pageNumber,
+        element,
+        message: `${element === 'quote' ? 'Hebrew quote' : 'Story text'} on page ${pageNumber} extends outside the safe zone`,
+      });
+    }
+  };
+
+  return { check, issues };
+};
+
 const wrapText = (text, maxWidth, fontSize) => {
   if (!text) return [];
 
@@ -744,7 +927,326 @@ const wrapText = (text, maxWidth, fontSize) => {
   return lines;
 };
 
-async function generateStorybookPdf({ title, pages }) {
+/**
+ * Font chains for story page copy: the book's uploaded font for the role, then
+ * the layout's font choice, then the storybook fonts for the script.
+ */
+const buildStoryFontChains = async (
+  pdfDoc,
+  fonts,
+  { storyLayout, storyLanguage, bookFonts = null }
+) => {
+  const withLayoutFont = (fontKey, chain) =>
+    fontKey === 'auto' ? chain : [fonts[`${fontKey}Font`], ...chain];
+  const withBookFont = async (role, chain) =>
+    bookFonts?.[role] ? [await pdfDoc.embedFont(bookFonts[role].buffer), ...chain] : chain;
+  return {
+    textFonts: await withBookFont(
+      'storyText',
+      withLayoutFont(storyLayout.text.font, buildFontChain(fonts, storyLanguage.script))
+    ),
+    quoteFonts: await withBookFont(
+      'storyQuote',
+      withLayoutFont(storyLayout.quote.font, [fonts.hebrewFont, fonts.nikudFont, fonts.bodyFont])
+    ),
+  };
+};
+
+/**
+ * Draw one story page: background, character, Hebrew quote and the story text
+ * over its blurred overlay. `page` is a pdf-lib page, or anything with the same
+ * `drawImage` / `drawRectangle` / `drawText` methods (the page preview renderer
+ * passes a canvas), and `embed(buffer)` turns an image buffer into something
+ * its `drawImage` accepts. The character is drawn as given; background removal
+ * happens before. `safeZone` and `onStrippedMarks(count)` are optional.
+ */
+const drawStoryPage = async (
+  page,
+  {
+    embed,
+    geometry,
+    isPrint = false,
+    storyLayout,
+    storyLanguage,
+    fontChains,
+    backgroundBuffer = null,
+    characterBuffer = null,
+    text = '',
+    quote = '',
+    isCharacterOnRight = true,
+    pageNumber = 1,
+    safeZone = null,
+    onStrippedMarks = null,
+  }
+) => {
+  const { pageWidth, pageHeight, bleed } = geometry;
+  const palette = isPrint ? PRINT_PALETTE : SCREEN_PALETTE;
+  const isRtl = storyLanguage.direction === 'rtl';
+  const { textFonts, quoteFonts } = fontChains;
+  const textColor = toPdfColor(storyLayout.text.color, isPrint);
+  const quoteColor = toPdfColor(storyLayout.quote.color, isPrint);
+  const noteStrippedMarks = (count) => {
+    if (count && onStrippedMarks) onStrippedMarks(count);
+  };
+  let charWidth = 0;
+  let charHeight = 0;
+  let charX = 0;
+  let charY = 0;
+
+  let hasBackground = false;
+  let backgroundBox = null;
+  if (backgroundBuffer) {
+    console.log(`[pdf] background buffer length for page ${pageNumber}:`, backgroundBuffer.length);
+    const backgroundImage = await embed(backgroundBuffer);
+    if (backgroundImage) {
+      backgroundBox = drawFullPageImage(page, backgroundImage, geometry);
+      hasBackground = true;
+    }
+  }
+
+  if (!hasBackground) {
+    console.warn(`[pdf] No background available for page ${pageNumber}, using white background`);
+    page.drawRectangle({
+      x: -bleed,
+      y: -bleed,
+      width: pageWidth + bleed * 2,
+      height: pageHeight + bleed * 2,
+      color: palette.white,
+    });
+  }
+
+  if (characterBuffer) {
+    const characterImage = await embed(characterBuffer);
+    console.log(
+      '[pdf] embedded character image',
+      characterImage ? { width: characterImage.width, height: characterImage.height } : null
+    );
+
+    if (!characterImage) {
+      console.warn(
+        `[pdf] Failed to embed character image for page ${pageNumber}, skipping character`
+      );
+    } else {
+      ({ x: charX, y: charY, width: charWidth, height: charHeight } =
+        resolveCharacterBox(storyLayout, {
+          pageWidth,
+          pageHeight,
+          aspectRatio: characterImage.width / characterImage.height,
+          isOnRight: isCharacterOnRight,
+        }));
+
+      page.drawImage(characterImage, {
+        x: charX,
+        y: charY,
+        width: charWidth,
+        height: charHeight,
+      });
+    }
+  }
+
+  const { margin } = storyLayout.text;
+  const quoteLayout = storyLayout.quote;
+  if (quote) {
+    const availableHebrewWidth = clamp(
+      Math.max(charWidth * 0.8, pageWidth * quoteLayout.widthRatio),
+      80,
+      pageWidth - margin * 2
+    );
+    const quoteXBase = charWidth
+      ? charX + charWidth * 0.1
+      : isCharacterOnRight
+      ? margin
+      : pageWidth - availableHebrewWidth - margin;
+    const quoteMinX = margin;
+    const quoteMaxX = Math.max(margin, pageWidth - availableHebrewWidth - margin);
+    const quoteX = clamp(quoteXBase, quoteMinX, quoteMaxX);
+    const quoteYBase = charY + charHeight + quoteLayout.gap;
+    const quoteMinY = margin;
+    const quoteMaxY = Math.max(margin, pageHeight - quoteLayout.fontSize);
+    const quoteY = clamp(quoteYBase, quoteMinY, quoteMaxY);
+    const quoteLineSpacing = quoteLayout.fontSize * quoteLayout.lineHeight;
+    const hebrewLines = wrapText(quote, availableHebrewWidth, quoteLayout.fontSize);
+
+    hebrewLines.forEach((line, lineIndex) => {
+      const { clusters, strippedMarks } = shapeLine(line, {
+        fonts: quoteFonts,
+        direction: 'rtl',
+      });
+      noteStrippedMarks(strippedMarks);
+      const baselineY = quoteY - lineIndex * quoteLineSpacing;
+      const totalClusters = Math.max(clusters.length - 1, 1);
+      const sizes = clusters.map((cluster, clusterIndex) => {
+        const progress = totalClusters > 0 ? clusterIndex / totalClusters : 0.5;
+        return quoteLayout.fontSize * (1 + Math.cos(progress * Math.PI) * 0.3);
+      });
+      const lineWidth = clusters.reduce(
+        (width, cluster, clusterIndex) => width + measureCluster(cluster, sizes[clusterIndex]),
+        0
+      );
+      // Right-aligned within the quote's area, as Hebrew is read
+      const lineX = quoteX + Math.max(0, availableHebrewWidth - lineWidth);
+      let cursorX = lineX;
+
+      clusters.forEach((cluster, clusterIndex) => {
+        const progress = totalClusters > 0 ? clusterIndex / totalClusters : 0.5;
+        const waveOffset = Math.sin(progress * Math.PI) * quoteLayout.waveAmplitude;
+        const fontSize = sizes[clusterIndex];
+        const y = baselineY + waveOffset;
+
+        const outlineOffsets = [
+          [-0.4, 0],
+          [0.4, 0],
+          [0, -0.4],
+          [0, 0.4],
+        ];
+
+        outlineOffsets.forEach(([dx, dy]) => {
+          drawCluster(page, cluster, {
+            x: cursorX + dx,
+            y: y + dy,
+            size: fontSize,
+            color: palette.black,
+            opacity: 0.7,
+          });
+        });
+
+        cursorX += drawCluster(page, cluster, {
+          x: cursorX,
+          y,
+          size: fontSize,
+          color: quoteColor,
+        });
+      });
+
+      if (safeZone && clusters.length) {
+        safeZone.check({
+          pageNumber,
+          element: 'quote',
+          left: lineX,
+          right: cursorX,
+          bottom: baselineY - quoteLayout.fontSize * 0.3,
+          top: baselineY + quoteLayout.waveAmplitude + quoteLayout.fontSize * 1.3,
+        });
+      }
+    });
+  }
+
+  const textRegion = resolveTextRegion(storyLayout, {
+    pageWidth,
+    pageHeight,
+    isCharacterOnRight,
+  });
+  const { fontSize: textFontSize, baselineOffset } = storyLayout.text;
+
+  const textLines = wrapText(text, textRegion.width, textFontSize);
+
+  if (textLines.length) {
+    const overlayLayout = storyLayout.overlay;
+    const overlay = resolveOverlayRegion(storyLayout, {
+      pageWidth,
+      pageHeight,
+      textRegion,
+      lineCount: textLines.length,
+      isRtl,
+    });
+
+    let blurredBgBuffer = null;
+    if (backgroundBuffer) {
+      blurredBgBuffer = await createBlurredBackground(
+        backgroundBuffer,
+        overlay.x,
+        overlay.y,
+        overlay.width,
+        overlay.height,
+        overlayLayout.blur,
+        pageWidth,
+        pageHeight,
+        { ...overlayLayout, maskOffsetX: overlay.maskOffsetX, imageBox: backgroundBox }
+      );
+    }
+
+    if (blurredBgBuffer) {
+      const blurredBgImage = await embed(blurredBgBuffer);
+      page.drawImage(blurredBgImage, {
+        x: overlay.x,
+        y: overlay.y,
+        width: overlay.width,
+        height: overlay.height,
+        opacity: overlayLayout.opacity,
+      });
+    } else {
+      page.drawRectangle({
+        x: overlay.x,
+        y: overlay.y,
+        width: overlay.width,
+        height: overlay.height,
+        color: toPdfColor(overlayLayout.fallbackColor, isPrint),
+        opacity: overlayLayout.fallbackOpacity,
+      });
+    }
+
+    textLines.forEach((line, lineIndex) => {
+      const y = textRegion.baseline - lineIndex * textRegion.lineAdvance - baselineOffset;
+      const { clusters, strippedMarks } = shapeLine(line, {
+        fonts: textFonts,
+        direction: storyLanguage.direction,
+      });
+      noteStrippedMarks(strippedMarks);
+      const lineWidth = measureClusters(clusters, textFontSize);
+      const lineX = isRtl ? textRegion.x + textRegion.width - lineWidth : textRegion.x;
+      drawClusters(page, clusters, {
+        x: lineX,
+        y,
+        size: textFontSize,
+        color: textColor,
+      });
+
+      if (safeZone && line) {
+        safeZone.check({
+          pageNumber,
+          element: 'text',
+          left: lineX,
+          right: lineX + lineWidth,
+          bottom: y - textFontSize * 0.25,
+          top: y + textFontSize,
+        });
+      }
+    });
+  }
+};
+
+/**
+ * Render storybook spreads. `layout` is only set for print output: it changes
+ * the spread size, adds `bleed` around every page (the drawing origin stays at
+ * the trim corner), draws vector colours in CMYK (images stay RGB), requires
+ * embedded fonts and reports text that falls outside `safeMargin`. Background
+ * removals are billed to `usageContext` (`userId`, `bookId`, `storybookJobId`).
+ * `language` sets the text direction: right-to-left editions get bidi
+ * layout, right-aligned text, mirrored page alternation and an R2L reading
+ * order in the viewer. `pageLayout` is the book's layout JSON (see
+ * utils/pageLayout.js) for story pages; missing values use the defaults.
+ * `bookFonts` are the book's uploaded fonts by role (see
+ * services/storybookFonts); a role's copy must be fully covered by its font,
+ * which is checked before anything is rendered.
+ */
+async function generateStorybookPdf({
+  title,
+  pages,
+  layout = {},
+  pageLayout = null,
+  bookFonts = null,
+  usageContext = {},
+  language = DEFAULT_STORY_LANGUAGE,
+}) {
+  const pageWidth = Number(layout.pageWidth) || PAGE_WIDTH;
+  const pageHeight = Number(layout.pageHeight) || PAGE_HEIGHT;
+  const bleed = Math.max(0, Number(layout.bleed) || 0);
+  const isPrint = Boolean(layout.print);
+  const geometry = { pageWidth, pageHeight, bleed };
+  const safeZone = isPrint
+    ? createSafeZoneChecker({ pageWidth, pageHeight, safeMargin: Math.max(0, Number(layout.safeMargin) || 0) })
+    : null;
+
   const inputPages = Array.isArray(pages) ? pages : [];
   if (inputPages.length === 0) {
     throw new Error('At least one page is required to build the PDF');
@@ -752,6 +1254,9 @@ async function generateStorybookPdf({ title, pages }) {
 
   // Clone page data up front to avoid mutations from parallel jobs bleeding across runs
   const pagesToRender = inputPages.map((page) => cloneDeepPlain(page));
+  if (bookFonts) {
+    assertFontCoverage(bookFonts, collectFontRoleCopy(pagesToRender));
+  }
 
   const pdfDoc = await PDFDocument.create();
   pdfDoc.registerFontkit(fontkit);
@@ -759,37 +1264,27 @@ async function generateStorybookPdf({ title, pages }) {
   pdfDoc.setCreator('AI Book Story');
   pdfDoc.setProducer('AI Book Story');
 
-  let bodyFont = await pdfDoc.embedFont(StandardFonts.Helvetica);
-  let accentFont = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
-  let hebrewFont = bodyFont;
-
-  const fontsDir = path.join(__dirname, '..', '..', 'fonts');
-  const bodyFontPath = optionalFontPath(
-    'STORYBOOK_BODY_FONT',
-    path.join(fontsDir, 'CanvaSans-Regular.otf')
-  );
-  const accentFontPath = optionalFontPath(
-    'STORYBOOK_ACCENT_FONT',
-    path.join(fontsDir, 'CanvaSans-Bold.otf')
-  );
-  const hebrewFontPath = optionalFontPath(
-    'STORYBOOK_HEBREW_FONT',
-    path.join(fontsDir, 'nehama.ttf')
-  );
-
-  const customBodyFont = await tryEmbedCustomFont(pdfDoc, bodyFontPath);
-  if (customBodyFont) {
-    bodyFont = customBodyFont;
-  }
-  const customAccentFont = await tryEmbedCustomFont(pdfDoc, accentFontPath);
-  if (customAccentFont) {
-    accentFont = customAccentFont;
-  }
-  const customHebrewFont = await tryEmbedCustomFont(pdfDoc, hebrewFontPath);
-  if (customHebrewFont) {
-    hebrewFont = customHebrewFont;
+  const fonts = await loadStorybookFonts(pdfDoc, {
+    requireEmbedded: isPrint,
+  });
+  const storyLanguage = getStoryLanguage(language) || getStoryLanguage(DEFAULT_STORY_LANGUAGE);
+  const isRtl = storyLanguage.direction === 'rtl';
+  const storyLayout = resolvePageLayout(pageLayout);
+  const fontChains = await buildStoryFontChains(pdfDoc, fonts, {
+    storyLayout,
+    storyLanguage,
+    bookFonts,
+  });
+  if (isRtl) {
+    pdfDoc.catalog.getOrCreateViewerPreferences().setReadingDirection(ReadingDirection.R2L);
   }
 
+  const strippedMarksByPage = new Map();
+  const noteStrippedMarks = (pageNumber, count) => {
+    if (!count) return;
+    strippedMarksByPage.set(pageNumber, (strippedMarksByPage.get(pageNumber) || 0) + count);
+  };
+
   let prefetchedStoryAssets = new Map();
   const storyPagesForPrefetch = pagesToRender
     .map((page, index) => ({ page, index }))
@@ -803,7 +1298,7 @@ async function generateStorybookPdf({ title, pages }) {
       const prefetchedResults = await mapWithConcurrency(
         storyPagesForPrefetch,
         STORYBOOK_PDF_PREFETCH_CONCURRENCY,
-        (entry) => prepareStoryPageAssets(entry)
+        (entry) => prepareStoryPageAssets({ ...entry, usageContext })
       );
       prefetchedStoryAssets = new Map(
         prefetchedResults
@@ -811,6 +1306,8 @@ async function generateStorybookPdf({ title, pages }) {
           .map((value) => [value.index, value])
       );
     } catch (error) {
+      // A spend cap stops the whole PDF rather than dropping background removal
+      if (isBudgetExceededError(error)) throw error;
       console.warn(
         '[pdf] prefetching story page assets failed, continuing sequential processing:',
         error.message
@@ -823,7 +1320,10 @@ async function generateStorybookPdf({ title, pages }) {
 
   for (let index = 0; index < pagesToRender.length; index += 1) {
     const pageData = pagesToRender[index] || {};
-    const page = pdfDoc.addPage([PAGE_WIDTH, PAGE_HEIGHT]);
+    const page = pdfDoc.addPage([pageWidth + bleed * 2, pageHeight + bleed * 2]);
+    if (bleed) {
+      page.translateContent(bleed, bleed);
+    }
     const pageType = pageData.pageType || 'story';
     pageData.characterPositionResolved = 'auto';
     const isCoverPage = pageType === 'cover';
@@ -832,18 +1332,16 @@ async function generateStorybookPdf({ title, pages }) {
       typeof pageData.characterPosition === 'string'
         ? pageData.characterPosition.trim().toLowerCase()
         : 'auto';
+    // The page's own position wins over the layout's anchor
+    const anchor = ['left', 'right'].includes(positionPreferenceRaw)
+      ? positionPreferenceRaw
+      : storyLayout.character.anchor;
     const isCharacterOnRight =
-      positionPreferenceRaw === 'right'
-        ? true
-        : positionPreferenceRaw === 'left'
-        ? false
-        : index % 2 === 0;
+      anchor === 'right' ? true : anchor === 'left' ? false : (index % 2 === 0) !== isRtl;
     pageData.characterPositionResolved = isCharacterOnRight ? 'right' : 'left';
-    let charWidth = 0;
-    let charHeight = 0;
-    let charX = isCharacterOnRight ? PAGE_WIDTH - PAGE_WIDTH * CHARACTER_MAX_WIDTH_RATIO : 0;
-    const charY = 0;
     const childName = pageData.childName || '';
+    const renderCopy = (value) =>
+      replaceChildPlaceholders(value, childName, pageData.storyVariables || null);
 
     if (isCoverPage) {
       const coverPage = pageData.coverPage || null;
@@ -858,30 +1356,28 @@ async function generateStorybookPdf({ title, pages }) {
               (await resolveGeneratorSource(coverPage.characterImage)) ||
               (await resolveGeneratorSource(pageData.character)),
             leftSide: {
-              title: replaceChildPlaceholders(coverPage.leftSide?.title, childName),
-              content: replaceChildPlaceholders(coverPage.leftSide?.content, childName),
-              bottomText: replaceChildPlaceholders(coverPage.leftSide?.bottomText, childName),
+              title: renderCopy(coverPage.leftSide?.title),
+              content: renderCopy(coverPage.leftSide?.content),
+              bottomText: renderCopy(coverPage.leftSide?.bottomText),
             },
             rightSide: {
-              mainTitle: (replaceChildPlaceholders(coverPage.rightSide?.mainTitle, childName) || '').toUpperCase(),
-              subtitle: replaceChildPlaceholders(coverPage.rightSide?.subtitle, childName),
+              mainTitle: (renderCopy(coverPage.rightSide?.mainTitle) || '').toUpperCase(),
+              subtitle: renderCopy(coverPage.rightSide?.subtitle),
             },
             qrCode: await resolveGeneratorSource(coverPage.qrCode),
             childName,
+            fontFamily: bookFonts?.cover?.canvasFamily || null,
+            usageContext,
           });
 
           if (coverBuffer) {
             const coverImage = await pdfDoc.embedPng(coverBuffer);
-            page.drawImage(coverImage, {
-              x: 0,
-              y: 0,
-              width: PAGE_WIDTH,
-              height: PAGE_HEIGHT,
-            });
+            drawFullPageImage(page, coverImage, geometry);
             renderedPageBuffers.push({ index, type: 'cover', buffer: coverBuffer });
             continue;
           }
         } catch (error) {
+          if (isBudgetExceededError(error)) throw error;
           console.warn(
             '[pdf] generateCoverPage failed, falling back to legacy renderer:',
             error.message
@@ -899,8 +1395,9 @@ async function generateStorybookPdf({ title, pages }) {
           characterBuffer = await getImageBuffer(coverCharacterAsset);
         } else {
           try {
-            characterBuffer = await removeBackground(coverCharacterAsset);
+            characterBuffer = await removeBackground(coverCharacterAsset, usageContext);
           } catch (error) {
+            if (isBudgetExceededError(error)) throw error;
             console.warn('[pdf] background removal failed for cover page:', error.message);
             characterBuffer = await getImageBuffer(coverCharacterAsset);
           }
@@ -911,9 +1408,9 @@ async function generateStorybookPdf({ title, pages }) {
         pageData.cover ||
         (coverPage
           ? {
-              headline: replaceChildPlaceholders(coverPage.leftSide?.title, childName),
-              footer: replaceChildPlaceholders(coverPage.leftSide?.bottomText, childName),
-              bodyOverride: replaceChildPlaceholders(coverPage.leftSide?.content, childName),
+              headline: renderCopy(coverPage.leftSide?.title),
+              footer: renderCopy(coverPage.leftSide?.bottomText),
+              bodyOverride: renderCopy(coverPage.leftSide?.content),
               qrCodeImage: coverPage.qrCode || null,
               uppercaseName: true,
               childName,
@@ -929,23 +1426,19 @@ async function generateStorybookPdf({ title, pages }) {
         : pageData.text || '';
 
       const coverBuffer = await generateCoverImage({
-        pageWidth: PAGE_WIDTH,
-        pageHeight: PAGE_HEIGHT,
+        pageWidth: pageWidth,
+        pageHeight: pageHeight,
         backgroundBuffer,
         characterBuffer,
         qrBuffer,
         cover: fallbackCover || {},
         bodyText,
         childName: fallbackCover?.childName || childName || '',
+        fontFamily: bookFonts?.cover?.canvasFamily || null,
       });
 
       const coverImage = await pdfDoc.embedPng(coverBuffer);
-      page.drawImage(coverImage, {
-        x: 0,
-        y: 0,
-        width: PAGE_WIDTH,
-        height: PAGE_HEIGHT,
-      });
+      drawFullPageImage(page, coverImage, geometry);
       renderedPageBuffers.push({ index, type: 'cover', buffer: coverBuffer });
       continue;
     }
@@ -977,8 +1470,8 @@ async function generateStorybookPdf({ title, pages }) {
         heroCandidates.push(null);
       }
 
-      const primaryTitle = replaceChildPlaceholders(dedication.title, childName);
-      const secondaryTitle = replaceChildPlaceholders(dedication.secondTitle, childName);
+      const primaryTitle = renderCopy(dedication.title);
+      const secondaryTitle = renderCopy(dedication.secondTitle);
 
       let dedicationBuffer = null;
       let lastError = null;
@@ -993,6 +1486,8 @@ async function generateStorybookPdf({ title, pages }) {
               kidImage: heroCandidate,
               title: primaryTitle,
               secondTitle: secondaryTitle,
+              fontFamily: bookFonts?.dedication?.canvasFamily || null,
+              usageContext,
             });
 
             if (!dedicationBuffer || !dedicationBuffer.length) {
@@ -1000,16 +1495,12 @@ async function generateStorybookPdf({ title, pages }) {
             }
 
             const dedicationImage = await pdfDoc.embedPng(dedicationBuffer);
-            page.drawImage(dedicationImage, {
-              x: 0,
-              y: 0,
-              width: PAGE_WIDTH,
-              height: PAGE_HEIGHT,
-            });
+            drawFullPageImage(page, dedicationImage, geometry);
             renderedPageBuffers.push({ index, type: 'dedication', buffer: dedicationBuffer });
             dedicationHandled = true;
             break backgroundLoop;
           } catch (error) {
+            if (isBudgetExceededError(error)) throw error;
             lastError = error;
             const bgType = Buffer.isBuffer(backgroundCandidate) ? 'buffer' : 'url';
             const heroType = heroCandidate
@@ -1046,38 +1537,10 @@ async function generateStorybookPdf({ title, pages }) {
     if (!backgroundBuffer) {
       backgroundBuffer = await getImageBuffer(pageData.background);
     }
-    let hasBackground = false;
-    if (backgroundBuffer) {
-      console.log(
-        `[pdf] background buffer length for page ${index + 1}:`,
-        backgroundBuffer.length
-      );
-      const backgroundImage = await embedImage(pdfDoc, backgroundBuffer);
-      if (backgroundImage) {
-        page.drawImage(backgroundImage, {
-          x: 0,
-          y: 0,
-          width: PAGE_WIDTH,
-          height: PAGE_HEIGHT,
-        });
-        hasBackground = true;
-      }
-    }
-
-    if (!hasBackground) {
-      console.warn(`[pdf] No background available for page ${index + 1}, using white background`);
-      page.drawRectangle({
-        x: 0,
-        y: 0,
-        width: PAGE_WIDTH,
-        height: PAGE_HEIGHT,
-        color: rgb(1, 1, 1),
-      });
-    }
-
+    let characterBuffer = null;
     if (pageData.character) {
       const prefetchedCharacter = prefetchedAssets?.character || null;
-      let characterBuffer = (prefetchedCharacter && prefetchedCharacter.buffer) || null;
+      characterBuffer = (prefetchedCharacter && prefetchedCharacter.buffer) || null;
       let characterSource = (prefetchedCharacter && prefetchedCharacter.source) || 'none';
 
       if (prefetchedCharacter?.removalError) {
@@ -1118,7 +1581,7 @@ async function generateStorybookPdf({ title, pages }) {
           }
         } else if (!prefetchedCharacter || !prefetchedCharacter.attemptedRemoval) {
           try {
-            const removedBuffer = await removeBackground(pageData.character);
+            const removedBuffer = await removeBackground(pageData.character, usageContext);
             if (removedBuffer && removedBuffer.length) {
               characterBuffer = removedBuffer;
               characterSource = 'removed';
@@ -1128,6 +1591,7 @@ async function generateStorybookPdf({ title, pages }) {
               );
             }
           } catch (error) {
+            if (isBudgetExceededError(error)) throw error;
             console.warn(
               `[pdf] background removal failed for page ${index + 1}:`,
               error.message
@@ -1163,183 +1627,37 @@ async function generateStorybookPdf({ title, pages }) {
           `[pdf] Failed to obtain character image buffer for page ${index + 1}, skipping character`
         );
         // Continue without character instead of throwing
-      } else {
-
-        const characterImage = await embedImage(pdfDoc, characterBuffer);
-        console.log(
-          '[pdf] embedded character image',
-          characterImage ? { width: characterImage.width, height: characterImage.height } : null
-        );
-
-        if (!characterImage) {
-          console.warn(`[pdf] Failed to embed character image for page ${index + 1}, skipping character`);
-        } else {
-          const aspectRatio = characterImage.width / characterImage.height;
-          const maxCharWidth = PAGE_WIDTH * CHARACTER_MAX_WIDTH_RATIO;
-          const maxCharHeight = PAGE_HEIGHT * CHARACTER_MAX_HEIGHT_RATIO;
-
-          if (aspectRatio > maxCharWidth / maxCharHeight) {
-            charWidth = maxCharWidth;
-            charHeight = charWidth / aspectRatio;
-          } else {
-            charHeight = maxCharHeight;
-            charWidth = charHeight * aspectRatio;
-          }
-
-          charX = isCharacterOnRight ? PAGE_WIDTH - charWidth : 0;
-
-          page.drawImage(characterImage, {
-            x: charX,
-            y: charY,
-            width: charWidth,
-            height: charHeight,
-          });
-        }
+        characterBuffer = null;
       }
     }
 
-    const hebrewQuote = (pageData.hebrewQuote || pageData.quote || '').trim();
-    if (hebrewQuote) {
-      const availableHebrewWidth = clamp(
-        Math.max(charWidth * 0.8, PAGE_WIDTH * 0.3),
-        80,
-        PAGE_WIDTH - TEXT_MARGIN * 2
-      );
-      const quoteXBase = charWidth
-        ? charX + charWidth * 0.1
-        : isCharacterOnRight
-        ? TEXT_MARGIN
-        : PAGE_WIDTH - availableHebrewWidth - TEXT_MARGIN;
-      const quoteMinX = TEXT_MARGIN;
-      const quoteMaxX = Math.max(TEXT_MARGIN, PAGE_WIDTH - availableHebrewWidth - TEXT_MARGIN);
-      const quoteX = clamp(quoteXBase, quoteMinX, quoteMaxX);
-      const quoteYBase = charY + charHeight + 20;
-      const quoteMinY = TEXT_MARGIN;
-      const quoteMaxY = Math.max(TEXT_MARGIN, PAGE_HEIGHT - HEBREW_BASE_FONT_SIZE);
-      const quoteY = clamp(quoteYBase, quoteMinY, quoteMaxY);
-      const hebrewLines = wrapText(hebrewQuote, availableHebrewWidth, HEBREW_BASE_FONT_SIZE);
-
-      hebrewLines.forEach((line, lineIndex) => {
-        const chars = line.split('');
-        const baselineY = quoteY - lineIndex * HEBREW_LINE_SPACING;
-        let cursorX = quoteX;
-
-        chars.forEach((char, charIndex) => {
-          const totalChars = Math.max(chars.length - 1, 1);
-          const progress = totalChars > 0 ? charIndex / totalChars : 0.5;
-          const waveOffset = Math.sin(progress * Math.PI) * HEBREW_WAVE_AMPLITUDE;
-          const sizeFactor = 1 + Math.cos(progress * Math.PI) * 0.3;
-          const fontSize = HEBREW_BASE_FONT_SIZE * sizeFactor;
-          const charWidthEstimate = fontSize * 0.6;
-          const x = cursorX;
-          const y = baselineY + waveOffset;
-
-          const outlineOffsets = [
-            [-0.4, 0],
-            [0.4, 0],
-            [0, -0.4],
-            [0, 0.4],
-          ];
-
-          outlineOffsets.forEach(([dx, dy]) => {
-            page.drawText(char, {
-              x: x + dx,
-              y: y + dy,
-              size: fontSize,
-              font: hebrewFont,
-              color: rgb(0, 0, 0),
-              opacity: 0.7,
-            });
-          });
-
-          page.drawText(char, {
-            x,
-            y,
-            size: fontSize,
-            font: hebrewFont,
-            color: rgb(1, 1, 1),
-          });
-
-          cursorX += charWidthEstimate;
-        });
-      });
-    }
-
-    const textBlockWidth = Math.min(
-      Math.max(PAGE_WIDTH * TEXT_BLOCK_WIDTH_RATIO, TEXT_BLOCK_WIDTH),
-      PAGE_WIDTH - TEXT_MARGIN * 2
-    );
-
-    const textX = isCharacterOnRight ? TEXT_MARGIN : PAGE_WIDTH - textBlockWidth - TEXT_MARGIN;
-    const textY = PAGE_HEIGHT * 0.7;
-
-    const storyText = pageData.text || '';
-    const textLines = wrapText(storyText, textBlockWidth, FONT_SIZE);
-    const textHeight = textLines.length * LINE_HEIGHT;
-
-    if (textLines.length) {
-      const rawBgX = textX - TEXT_BG_LEFT_PADDING;
-      const rawBgY = textY - textHeight - TEXT_BG_VERTICAL_PADDING;
-      const rawBgWidth = textBlockWidth + TEXT_BG_LEFT_PADDING + TEXT_BG_RIGHT_PADDING;
-      const rawBgHeight = textHeight + TEXT_BG_VERTICAL_PADDING * 2;
-
-      const bgX = clamp(rawBgX, 0, PAGE_WIDTH - 1);
-      const bgY = clamp(rawBgY, 0, PAGE_HEIGHT - 1);
-      const xOffset = bgX - rawBgX;
-      const yOffset = bgY - rawBgY;
-      const availableWidth = Math.max(1, Math.round(PAGE_WIDTH - bgX));
-      const availableHeight = Math.max(1, Math.round(PAGE_HEIGHT - bgY));
-      const bgWidth = Math.min(
-        Math.max(1, Math.round(rawBgWidth - xOffset)),
-        availableWidth
-      );
-      const bgHeight = Math.min(
-        Math.max(1, Math.round(rawBgHeight - yOffset)),
-        availableHeight
-      );
-
-      let blurredBgBuffer = null;
-      if (backgroundBuffer) {
-        blurredBgBuffer = await createBlurredBackground(
-          backgroundBuffer,
-          bgX,
-          bgY,
-          bgWidth,
-          bgHeight,
-          15
-        );
-      }
-
-      if (blurredBgBuffer) {
-        const blurredBgImage = await embedImage(pdfDoc, blurredBgBuffer);
-        page.drawImage(blurredBgImage, {
-          x: bgX,
-          y: bgY,
-          width: bgWidth,
-          height: bgHeight,
-        });
-      } else {
-        page.drawRectangle({
-          x: bgX,
-          y: bgY,
-          width: bgWidth,
-          height: bgHeight,
-          color: rgb(0, 0, 0),
-          opacity: 0.45,
-        });
-      }
+    await drawStoryPage(page, {
+      embed: (buffer) => embedImage(pdfDoc, buffer),
+      geometry,
+      isPrint,
+      storyLayout,
+      storyLanguage,
+      fontChains,
+      backgroundBuffer,
+      characterBuffer,
+      text: pageData.text || '',
+      quote: (pageData.hebrewQuote || pageData.quote || '').trim(),
+      isCharacterOnRight,
+      pageNumber: index + 1,
+      safeZone,
+      onStrippedMarks: (count) => noteStrippedMarks(index + 1, count),
+    });
+  }
 
-      textLines.forEach((line, lineIndex) => {
-        const y = textY - lineIndex * LINE_HEIGHT - TEXT_BASELINE_OFFSET;
-        page.drawText(line, {
-          x: textX,
-          y,
-          size: FONT_SIZE,
-          font: bodyFont,
-          color: rgb(1, 1, 1),
-        });
-      });
-    }
+  const textIssues = Array.from(strippedMarksByPage, ([pageNumber, count]) => ({
+    page: pageNumber,
+    element: 'text',
+    message:
+      `${count} nikud mark(s) on page ${pageNumber} are not in the storybook fonts and ` +
+      'were left out; set STORYBOOK_NIKUD_FONT',
+  }));
+  if (textIssues.length) {
+    console.warn(`⚠️  ${textIssues.map((issue) => issue.message).join('\n⚠️  ')}`);
   }
 
   const pdfBytes = await pdfDoc.save();
@@ -1347,10 +1665,19 @@ async function generateStorybookPdf({ title, pages }) {
     buffer: pdfBytes,
     pageCount: pagesToRender.length,
     renderedPages: renderedPageBuffers,
+    safeZoneIssues: safeZone ? safeZone.issues : [],
+    textIssues,
   };
 }
 
 module.exports = {
   generateStorybookPdf,
+  drawStoryPage,
+  buildStoryFontChains,
+  loadStorybookFonts,
+  getImageBuffer,
+  createBlurredBackground,
+  PAGE_WIDTH,
+  PAGE_HEIGHT,
   removeBackground,
 };
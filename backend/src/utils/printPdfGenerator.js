@@ -0,0 +1,305 @@
+const { PDFDocument, ReadingDirection, cmyk, degrees } = require('pdf-lib');
+const fontkit = require('@pdf-lib/fontkit');
+const { generateStorybookPdf, loadStorybookFonts, PAGE_HEIGHT } = require('./pdfGenerator');
+const { DEFAULT_STORY_LANGUAGE, isRtlLanguage } = require('../config/languages');
+const { assertFontCoverage } = require('./fontCoverage');
+
+const MM_TO_PT = 72 / 25.4;
+const CROP_MARK_OFFSET_MM = 2;
+const CROP_MARK_LENGTH_MM = 5;
+const CROP_MARK_THICKNESS = 0.25;
+const SPINE_TEXT_MIN_MM = 6;
+// Registration colour: crop marks must print on every plate
+const REGISTRATION = cmyk(1, 1, 1, 1);
+const WHITE = cmyk(0, 0, 0, 0);
+
+const PRINT_SPEC_LIMITS = {
+  trimWidthMm: [50, 600],
+  trimHeightMm: [50, 600],
+  bleedMm: [0, 10],
+  safeMarginMm: [0, 30],
+  spineWidthMm: [0, 100],
+};
+
+const mmToPt = (value) => value * MM_TO_PT;
+
+/**
+ * Merge request overrides onto the env defaults. Sizes are in millimetres and
+ * describe a single book page; each storybook spread becomes two of them.
+ */
+const resolvePrintSpec = (overrides = {}) => {
+  const spec = {
+    trimWidthMm: Number(process.env.PRINT_TRIM_WIDTH_MM || 210),
+    trimHeightMm: Number(process.env.PRINT_TRIM_HEIGHT_MM || 210),
+    bleedMm: Number(process.env.PRINT_BLEED_MM || 3),
+    safeMarginMm: Number(process.env.PRINT_SAFE_MARGIN_MM || 6),
+    paperCaliperMm: Number(process.env.PRINT_PAPER_CALIPER_MM || 0.1),
+    spineWidthMm: null,
+  };
+
+  Object.entries(PRINT_SPEC_LIMITS).forEach(([field, [min, max]]) => {
+    const raw = overrides[field];
+    if (raw === undefined || raw === null || raw === '') return;
+    const value = Number(raw);
+    if (!Number.isFinite(value) || value < min || value > max) {
+      const error = new Error(`${field} must be a number between ${min} and ${max}`);
+      error.statusCode = 400;
+      throw error;
+    }
+    spec[field] = value;
+  });
+
+  return spec;
+};
+
+const applyPrintBoxes = (page, { x, y, width, height, bleed }) => {
+  page.setBleedBox(x - bleed, y - bleed, width + bleed * 2, height + bleed * 2);
+  page.setTrimBox(x, y, width, height);
+};
+
+// Crop marks sit in the slug outside the bleed; `folds` adds short marks at the
+// top and bottom of each spine edge on the cover.
+const drawCropMarks = (page, { x, y, width, height, bleed, folds = [] }) => {
+  const start = bleed + mmToPt(CROP_MARK_OFFSET_MM);
+  const end = start + mmToPt(CROP_MARK_LENGTH_MM);
+  const line = (from, to) =>
+    page.drawLine({ start: from, end: to, thickness: CROP_MARK_THICKNESS, color: REGISTRATION });
+
+  [
+    [x, y, -1, -1],
+    [x + width, y, 1, -1],
+    [x, y + height, -1, 1],
+    [x + width, y + height, 1, 1],
+  ].forEach(([cornerX, cornerY, dirX, dirY]) => {
+    line({ x: cornerX + dirX * start, y: cornerY }, { x: cornerX + dirX * end, y: cornerY });
+    line({ x: cornerX, y: cornerY + dirY * start }, { x: cornerX, y: cornerY + dirY * end });
+  });
+
+  folds.forEach((foldX) => {
+    line({ x: foldX, y: y - start }, { x: foldX, y: y - end });
+    line({ x: foldX, y: y + height + start }, { x: foldX, y: y + height + end });
+  });
+};
+
+// `coverFont` is the book's uploaded cover font, if any; the accent font otherwise
+const drawSpineTitle = async (
+  pdfDoc,
+  page,
+  { title, x, y, width, height, safeMargin, coverFont = null }
+) => {
+  if (coverFont) pdfDoc.registerFontkit(fontkit);
+  const font = coverFont
+    ? await pdfDoc.embedFont(coverFont.buffer)
+    : (await loadStorybookFonts(pdfDoc, { requireEmbedded: true })).accentFont;
+  const maxLength = height - safeMargin * 2;
+  let size = Math.min(width * 0.55, 14);
+  let textWidth = font.widthOfTextAtSize(title, size);
+  if (textWidth > maxLength) {
+    size *= maxLength / textWidth;
+    textWidth = font.widthOfTextAtSize(title, size);
+  }
+
+  // Rotated -90deg the title reads top to bottom, with ascenders pointing right
+  page.drawText(title, {
+    x: x + width / 2 - font.heightAtSize(size, { descender: false }) / 2,
+    y: y + height / 2 + textWidth / 2,
+    size,
+    font,
+    color: WHITE,
+    rotate: degrees(-90),
+  });
+};
+
+/**
+ * Build the print files for a storybook: an interior PDF with one trimmed book
+ * page per PDF page (cover excluded) and a separate wrap-around cover
+ * (back + spine + front). Both carry bleed, TrimBox/BleedBox and crop marks.
+ * Right-to-left `language` editions put the right-hand page of each spread
+ * first. `pageLayout` is the book's story page layout (see utils/pageLayout)
+ * and `bookFonts` its uploaded fonts by role; the cover font also sets the
+ * spine title.
+ */
+async function generatePrintStorybook({
+  title,
+  pages,
+  spec: specOverrides = {},
+  language,
+  pageLayout = null,
+  bookFonts = null,
+}) {
+  if (bookFonts && title) {
+    assertFontCoverage(bookFonts, { cover: [{ location: 'spine', text: title }] });
+  }
+  const isRtl = isRtlLanguage(language || DEFAULT_STORY_LANGUAGE);
+  const spec = resolvePrintSpec(specOverrides);
+  const trimWidth = mmToPt(spec.trimWidthMm);
+  const trimHeight = mmToPt(spec.trimHeightMm);
+  const bleed = mmToPt(spec.bleedMm);
+  const safeMargin = mmToPt(spec.safeMarginMm);
+  const slug = bleed + mmToPt(CROP_MARK_OFFSET_MM + CROP_MARK_LENGTH_MM);
+
+  // Spreads keep the screen layout's height in design units and are scaled
+  // onto the trim size, so fonts and margins grow with the book
+  const scale = trimHeight / PAGE_HEIGHT;
+  const layout = {
+    pageWidth: (trimWidth * 2) / scale,
+    pageHeight: PAGE_HEIGHT,
+    bleed: bleed / scale,
+    safeMargin: safeMargin / scale,
+    print: true,
+  };
+  const halfWidth = layout.pageWidth / 2;
+  const spreadHeight = layout.pageHeight + layout.bleed * 2;
+
+  const spreads = await generateStorybookPdf({
+    title,
+    pages,
+    layout,
+    language,
+    pageLayout,
+    bookFonts,
+  });
+  const spreadDoc = await PDFDocument.load(spreads.buffer);
+  const issues = [...spreads.safeZoneIssues, ...spreads.textIssues];
+
+  const interiorDoc = await PDFDocument.create();
+  interiorDoc.setTitle(title || 'Storybook');
+  interiorDoc.setCreator('AI Book Story');
+  interiorDoc.setProducer('AI Book Story');
+  if (isRtl) {
+    interiorDoc.catalog.getOrCreateViewerPreferences().setReadingDirection(ReadingDirection.R2L);
+  }
+
+  let coverIndex = -1;
+  for (let index = 0; index < pages.length; index += 1) {
+    if ((pages[index] && pages[index].pageType) === 'cover') {
+      if (coverIndex === -1) coverIndex = index;
+      continue;
+    }
+
+    const sourcePage = spreadDoc.getPage(index);
+    // Right-to-left books are read from the right-hand page of each spread
+    for (const left of isRtl ? [halfWidth, 0] : [0, halfWidth]) {
+      // The gutter side bleeds into the facing page's artwork
+      const embedded = await interiorDoc.embedPage(sourcePage, {
+        left,
+        bottom: 0,
+        right: left + halfWidth + layout.bleed * 2,
+        top: spreadHeight,
+      });
+      const page = interiorDoc.addPage([trimWidth + slug * 2, trimHeight + slug * 2]);
+      page.drawPage(embedded, { x: slug - bleed, y: slug - bleed, xScale: scale, yScale: scale });
+      const box = { x: slug, y: slug, width: trimWidth, height: trimHeight, bleed };
+      applyPrintBoxes(page, box);
+      drawCropMarks(page, box);
+    }
+  }
+
+  const interiorPageCount = interiorDoc.getPageCount();
+  if (interiorPageCount % 4 !== 0) {
+    issues.push({
+      page: null,
+      element: 'pages',
+      message: `Interior has ${interiorPageCount} pages; most printers need a multiple of 4`,
+    });
+  }
+
+  const spineWidthMm =
+    spec.spineWidthMm !== null
+      ? spec.spineWidthMm
+      : Math.round(Math.ceil(interiorPageCount / 2) * spec.paperCaliperMm * 100) / 100;
+
+  let cover = null;
+  if (coverIndex === -1) {
+    issues.push({
+      page: null,
+      element: 'cover',
+      message: 'Storybook has no cover page, so no wrap-around cover was generated',
+    });
+  } else {
+    const spineWidth = mmToPt(spineWidthMm);
+    const coverDoc = await PDFDocument.create();
+    coverDoc.setTitle(`${title || 'Storybook'} - Cover`);
+    coverDoc.setCreator('AI Book Story');
+    coverDoc.setProducer('AI Book Story');
+
+    const coverTrimWidth = trimWidth * 2 + spineWidth;
+    const page = coverDoc.addPage([coverTrimWidth + slug * 2, trimHeight + slug * 2]);
+    const sourcePage = spreadDoc.getPage(coverIndex);
+    const foldX = layout.bleed + halfWidth;
+
+    // The cover spread is already laid out as back (left) and front (right)
+    const back = await coverDoc.embedPage(sourcePage, {
+      left: 0,
+      bottom: 0,
+      right: foldX,
+      top: spreadHeight,
+    });
+    const front = await coverDoc.embedPage(sourcePage, {
+      left: foldX,
+      bottom: 0,
+      right: layout.pageWidth + layout.bleed * 2,
+      top: spreadHeight,
+    });
+    page.drawPage(back, { x: slug - bleed, y: slug - bleed, xScale: scale, yScale: scale });
+    page.drawPage(front, {
+      x: slug + trimWidth + spineWidth,
+      y: slug - bleed,
+      xScale: scale,
+      yScale: scale,
+    });
+
+    if (spineWidth > 0) {
+      // Stretch the sliver of artwork at the fold across the spine so the
+      // colours run continuously around the book
+      const strip = await coverDoc.embedPage(sourcePage, {
+        left: foldX - 0.5,
+        bottom: 0,
+        right: foldX + 0.5,
+        top: spreadHeight,
+      });
+      page.drawPage(strip, {
+        x: slug + trimWidth,
+        y: slug - bleed,
+        xScale: spineWidth,
+        yScale: scale,
+      });
+
+      if (spineWidthMm >= SPINE_TEXT_MIN_MM && title) {
+        await drawSpineTitle(coverDoc, page, {
+          title,
+          x: slug + trimWidth,
+          y: slug,
+          width: spineWidth,
+          height: trimHeight,
+          safeMargin,
+          coverFont: bookFonts?.cover || null,
+        });
+      }
+    }
+
+    const box = { x: slug, y: slug, width: coverTrimWidth, height: trimHeight, bleed };
+    applyPrintBoxes(page, box);
+    drawCropMarks(page, {
+      ...box,
+      folds: spineWidth > 0 ? [slug + trimWidth, slug + trimWidth + spineWidth] : [slug + trimWidth],
+    });
+
+    cover = { buffer: Buffer.from(await coverDoc.save()) };
+  }
+
+  return {
+    interior: {
+      buffer: Buffer.from(await interiorDoc.save()),
+      pageCount: interiorPageCount,
+    },
+    cover,
+    spec: { ...spec, spineWidthMm },
+    issues,
+  };
+}
+
+module.exports = {
+  generatePrintStorybook,
+  resolvePrintSpec,
+};
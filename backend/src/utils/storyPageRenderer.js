@@ -0,0 +1,152 @@
+const { PDFDocument } = require('pdf-lib');
+const fontkit = require('@pdf-lib/fontkit');
+const { createCanvas, loadImage } = require('canvas');
+const { DEFAULT_STORY_LANGUAGE, getStoryLanguage } = require('../config/languages');
+const { resolvePageLayout } = require('./pageLayout');
+const {
+  PAGE_WIDTH,
+  PAGE_HEIGHT,
+  loadStorybookFonts,
+  buildStoryFontChains,
+  drawStoryPage,
+} = require('./pdfGenerator');
+
+/**
+ * Raster rendering of a single story page for previews. The page is drawn by
+ * drawStoryPage, the same code that lays out story pages in
+ * generateStorybookPdf, onto a canvas that stands in for the pdf-lib page.
+ * Text is drawn from the glyph outlines of the embedded fonts, so shaping,
+ * font fallback and nikud handling match the PDF.
+ */
+
+// Canvas pixels per PDF point; 2 keeps text sharp on high-density screens
+const PREVIEW_SCALE = 2;
+
+const toCssColor = (color) => {
+  const channel = (value) => Math.round((Number(value) || 0) * 255);
+  if (color?.type === 'RGB') {
+    return `rgb(${channel(color.red)}, ${channel(color.green)}, ${channel(color.blue)})`;
+  }
+  if (color?.type === 'Grayscale') {
+    const gray = channel(color.gray);
+    return `rgb(${gray}, ${gray}, ${gray})`;
+  }
+  return '#000000';
+};
+
+const loadOptionalImage = async (buffer) => {
+  if (!buffer) return null;
+  try {
+    return await loadImage(buffer);
+  } catch (error) {
+    console.warn('⚠️  Could not load an image for a page preview:', error.message);
+    return null;
+  }
+};
+
+/**
+ * The subset of the pdf-lib page API drawStoryPage uses, drawn on a canvas
+ * context. The context is flipped so PDF coordinates (points, origin
+ * bottom-left) can be used as given; images and fallback text flip back.
+ */
+const createCanvasPage = (ctx) => ({
+  drawImage(image, { x, y, width, height, opacity = 1 }) {
+    ctx.save();
+    ctx.globalAlpha = opacity;
+    ctx.translate(x, y + height);
+    ctx.scale(1, -1);
+    ctx.drawImage(image, 0, 0, width, height);
+    ctx.restore();
+  },
+
+  drawRectangle({ x, y, width, height, color, opacity = 1 }) {
+    ctx.save();
+    ctx.globalAlpha = opacity;
+    ctx.fillStyle = toCssColor(color);
+    ctx.fillRect(x, y, width, height);
+    ctx.restore();
+  },
+
+  // Glyphs are advanced by their advance width, as pdf-lib places them
+  drawText(text, { x, y, size, font, color, opacity = 1 }) {
+    ctx.save();
+    ctx.globalAlpha = opacity;
+    ctx.fillStyle = toCssColor(color);
+    const fontkitFont = font?.embedder?.font;
+    if (fontkitFont && typeof fontkitFont.layout === 'function') {
+      const scale = size / fontkitFont.unitsPerEm;
+      let penX = x;
+      fontkitFont.layout(text).glyphs.forEach((glyph) => {
+        ctx.save();
+        ctx.translate(penX, y);
+        ctx.beginPath();
+        glyph.render(ctx, size);
+        ctx.restore();
+        penX += glyph.advanceWidth * scale;
+      });
+    } else {
+      // Standard fonts carry no outlines; draw with a system font instead
+      ctx.font = `${size}px sans-serif`;
+      ctx.translate(x, y);
+      ctx.scale(1, -1);
+      ctx.fillText(text, 0, 0);
+    }
+    ctx.restore();
+  },
+});
+
+/**
+ * Render a story page to PNG. `background` and `character` are image buffers
+ * (either may be missing); `text` and `quote` are final copy with placeholders
+ * already filled in. The character is drawn as given, without background
+ * removal. `bookFonts` are the book's uploaded fonts by role, as for
+ * generateStorybookPdf.
+ */
+const renderStoryPagePng = async ({
+  background = null,
+  character = null,
+  text = '',
+  quote = '',
+  pageLayout = null,
+  language = DEFAULT_STORY_LANGUAGE,
+  isCharacterOnRight = true,
+  bookFonts = null,
+}) => {
+  const storyLayout = resolvePageLayout(pageLayout);
+  const storyLanguage = getStoryLanguage(language) || getStoryLanguage(DEFAULT_STORY_LANGUAGE);
+
+  // Fonts are embedded in a scratch document only to get pdf-lib's font objects
+  const pdfDoc = await PDFDocument.create();
+  pdfDoc.registerFontkit(fontkit);
+  const fonts = await loadStorybookFonts(pdfDoc);
+  const fontChains = await buildStoryFontChains(pdfDoc, fonts, {
+    storyLayout,
+    storyLanguage,
+    bookFonts,
+  });
+
+  const canvas = createCanvas(PAGE_WIDTH * PREVIEW_SCALE, PAGE_HEIGHT * PREVIEW_SCALE);
+  const ctx = canvas.getContext('2d');
+  ctx.translate(0, PAGE_HEIGHT * PREVIEW_SCALE);
+  ctx.scale(PREVIEW_SCALE, -PREVIEW_SCALE);
+
+  await drawStoryPage(createCanvasPage(ctx), {
+    embed: loadOptionalImage,
+    geometry: { pageWidth: PAGE_WIDTH, pageHeight: PAGE_HEIGHT, bleed: 0 },
+    storyLayout,
+    storyLanguage,
+    fontChains,
+    backgroundBuffer: background,
+    characterBuffer: character,
+    text,
+    quote,
+    isCharacterOnRight,
+  });
+
+  return canvas.toBuffer('image/png');
+};
+
+module.exports = {
+  PREVIEW_SCALE,
+  renderStoryPagePng,
+};
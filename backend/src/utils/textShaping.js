@@ -0,0 +1,166 @@
+const bidiFactory = require('bidi-js');
+
+/**
+ * Bidirectional text layout for pdf-lib, which only draws glyphs left to
+ * right. A line is reordered into visual order with the Unicode bidi
+ * algorithm, split into grapheme clusters so nikud and other combining marks
+ * stay on their letter, and each cluster is given the first font in a chain
+ * that can draw all of it. Marks no font in the chain has are dropped rather
+ * than drawn as empty boxes.
+ */
+
+const bidi = bidiFactory();
+const segmenter = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+const MARK_PATTERN = /\p{M}/u;
+const MARKS_PATTERN = /\p{M}/gu;
+const WHITESPACE_PATTERN = /^\s+$/u;
+
+const characterSets = new WeakMap();
+
+const getCharacterSet = (font) => {
+  if (!characterSets.has(font)) {
+    let codePoints = [];
+    try {
+      codePoints = font.getCharacterSet();
+    } catch (error) {
+      console.warn('⚠️  Could not read the character set of a PDF font:', error.message);
+    }
+    characterSets.set(font, new Set(codePoints));
+  }
+  return characterSets.get(font);
+};
+
+const canDraw = (font, text) => {
+  const characterSet = getCharacterSet(font);
+  return Array.from(text).every((char) => characterSet.has(char.codePointAt(0)));
+};
+
+/**
+ * Reorder one line into visual order, returning grapheme clusters. Mirrored
+ * characters (brackets, guillemets) are swapped inside right-to-left runs.
+ */
+const toVisualClusters = (line, direction = 'ltr') => {
+  if (!line) return [];
+  const embeddingLevels = bidi.getEmbeddingLevels(line, direction);
+  const mirrored = bidi.getMirroredCharactersMap(line, embeddingLevels.levels);
+
+  // bidi-js indexes by UTF-16 code unit, so clusters are mapped the same way
+  const clusterAt = new Array(line.length);
+  const clusters = Array.from(segmenter.segment(line), ({ segment, index }, clusterIndex) => {
+    let offset = 0;
+    return Array.from(segment, (char) => {
+      const unit = index + offset;
+      offset += char.length;
+      for (let covered = unit; covered < index + offset; covered += 1) {
+        clusterAt[covered] = clusterIndex;
+      }
+      return mirrored.get(unit) || char;
+    }).join('');
+  });
+
+  // Both halves of a surrogate pair belong to one cluster, which is emitted
+  // once at its first position, so reversing code units keeps pairs whole
+  const order = Array.from({ length: line.length }, (_, index) => index);
+  bidi.getReorderSegments(line, embeddingLevels).forEach(([start, end]) => {
+    const reversed = order.slice(start, end + 1).reverse();
+    order.splice(start, reversed.length, ...reversed);
+  });
+
+  const seen = new Set();
+  return order.reduce((visual, index) => {
+    const clusterIndex = clusterAt[index];
+    if (clusterIndex !== undefined && !seen.has(clusterIndex)) {
+      seen.add(clusterIndex);
+      visual.push(clusters[clusterIndex]);
+    }
+    return visual;
+  }, []);
+};
+
+/**
+ * Lay a line out for drawing: visual-order clusters, each with its font.
+ * `strippedMarks` counts marks removed because no font in `fonts` has them.
+ */
+const shapeLine = (line, { fonts, direction = 'ltr' }) => {
+  const chain = fonts.filter(Boolean);
+  let strippedMarks = 0;
+
+  const clusters = toVisualClusters(line, direction)
+    .map((cluster) => {
+      if (WHITESPACE_PATTERN.test(cluster)) {
+        return { text: ' ', font: chain[0] };
+      }
+      let text = cluster;
+      let font = chain.find((candidate) => canDraw(candidate, text));
+      if (!font && MARK_PATTERN.test(text)) {
+        const base = text.replace(MARKS_PATTERN, '');
+        font = chain.find((candidate) => canDraw(candidate, base));
+        if (font || !base) {
+          strippedMarks += Array.from(text).length - Array.from(base).length;
+          text = base;
+        }
+      }
+      return font && text ? { text, font } : null;
+    })
+    .filter(Boolean);
+
+  return { clusters, strippedMarks };
+};
+
+// pdf-lib keeps the fontkit font of an embedded custom font on its embedder;
+// standard fonts have none and are drawn without mark positioning
+const getFontkitFont = (font) => {
+  const fontkitFont = font?.embedder?.font;
+  return fontkitFont && typeof fontkitFont.layout === 'function' ? fontkitFont : null;
+};
+
+const measureCluster = (cluster, size) => cluster.font.widthOfTextAtSize(cluster.text, size);
+
+const measureClusters = (clusters, size) =>
+  clusters.reduce((width, cluster) => width + measureCluster(cluster, size), 0);
+
+/**
+ * Draw one cluster at `x` and return its advance. Clusters with marks are
+ * drawn glyph by glyph at the offsets the font's mark positioning gives them.
+ */
+const drawCluster = (page, cluster, { x, y, size, ...options }) => {
+  const width = measureCluster(cluster, size);
+  const fontkitFont = MARK_PATTERN.test(cluster.text) ? getFontkitFont(cluster.font) : null;
+  const run = fontkitFont ? fontkitFont.layout(cluster.text) : null;
+  const mappable = run && run.glyphs.every((glyph) => glyph.codePoints?.length);
+
+  if (!mappable) {
+    page.drawText(cluster.text, { x, y, size, font: cluster.font, ...options });
+    return width;
+  }
+
+  const scale = size / fontkitFont.unitsPerEm;
+  let penX = x;
+  run.glyphs.forEach((glyph, index) => {
+    const position = run.positions[index];
+    page.drawText(String.fromCodePoint(...glyph.codePoints), {
+      x: penX + position.xOffset * scale,
+      y: y + position.yOffset * scale,
+      size,
+      font: cluster.font,
+      ...options,
+    });
+    penX += position.xAdvance * scale;
+  });
+  return width;
+};
+
+const drawClusters = (page, clusters, { x, ...options }) =>
+  clusters.reduce(
+    (cursorX, cluster) => cursorX + drawCluster(page, cluster, { x: cursorX, ...options }),
+    x
+  );
+
+module.exports = {
+  toVisualClusters,
+  shapeLine,
+  measureCluster,
+  measureClusters,
+  drawCluster,
+  drawClusters,
+};
@@ -20,11 +20,11 @@ const generateWebhookToken = (resourceType, resourceId) => {
   return hmac.digest('hex');
 };
 
-const buildWebhookUrl = (resourceType, resourceId) => {
+const buildWebhookUrl = (resourceType, resourceId, provider = 'replicate') => {
   const baseUrl = getWebhookBaseUrl();
   if (!baseUrl) return null;
 
-  const url = new URL(`/api/webhooks/replicate/${resourceType}/${resourceId}`, baseUrl);
+  const url = new URL(`/api/webhooks/${provider}/${resourceType}/${resourceId}`, baseUrl);
   if (/\.ngrok/.test(url.hostname)) {
     url.searchParams.set('ngrok-skip-browser-warning', 'true');
   }
@@ -61,10 +61,21 @@ const verifyWebhookToken = (resourceType, resourceId, token) => {
   return crypto.timingSafeEqual(safeExpected, safeToken);
 };
 
+const generateWebhookSecret = () => crypto.randomBytes(32).toString('hex');
+
+/**
+ * Signature for outbound webhooks: HMAC-SHA256 of `<timestamp>.<body>` with the
+ * endpoint's secret, so receivers can reject replayed or tampered requests.
+ */
+const signWebhookPayload = (secret, timestamp, body) =>
+  crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
 module.exports = {
   getWebhookBaseUrl,
   getWebhookSecret,
   generateWebhookToken,
   buildWebhookUrl,
   verifyWebhookToken,
+  generateWebhookSecret,
+  signWebhookPayload,
 };
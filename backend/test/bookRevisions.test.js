@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  buildRevisionSnapshot,
+  diffRevisionSnapshots,
+  summarizeSections,
+} = require('../src/services/bookRevisions');
+
+const book = {
+  name: 'Space trip',
+  status: 'active',
+  pages: [
+    { _id: 'a1', order: 1, text: 'Lift off' },
+    { _id: 'a2', order: 2, text: 'The moon' },
+  ],
+  pageLayout: { text: { fontSize: 16 } },
+};
+
+test('snapshots only the template fields', () => {
+  const snapshot = buildRevisionSnapshot(book);
+  assert.equal(snapshot.name, 'Space trip');
+  assert.equal(snapshot.coverPage, null);
+  assert.equal('status' in snapshot, false);
+});
+
+test('finds no changes between identical snapshots', () => {
+  assert.deepEqual(
+    diffRevisionSnapshots(buildRevisionSnapshot(book), buildRevisionSnapshot(book)),
+    []
+  );
+});
+
+test('diffs pages by order and ignores regenerated ids', () => {
+  const edited = {
+    ...book,
+    pages: [
+      { _id: 'b0', order: 0, text: 'Countdown' },
+      { _id: 'b1', order: 1, text: 'Lift off' },
+      { _id: 'b2', order: 2, text: 'The stars' },
+    ],
+    pageLayout: { text: { fontSize: 18 } },
+  };
+  const changes = diffRevisionSnapshots(buildRevisionSnapshot(book), buildRevisionSnapshot(edited));
+
+  assert.deepEqual(changes.map((change) => change.path), [
+    'pageLayout.text.fontSize',
+    'pages.0.order',
+    'pages.0.text',
+    'pages.2.text',
+  ]);
+  assert.deepEqual(changes[3], { path: 'pages.2.text', before: 'The moon', after: 'The stars' });
+  assert.deepEqual(summarizeSections(changes), ['pageLayout', 'pages.0', 'pages.2']);
+});
+
+test('treats a missing earlier revision as an empty template', () => {
+  const changes = diffRevisionSnapshots(null, buildRevisionSnapshot(book));
+  assert.ok(changes.some((change) => change.path === 'name' && change.before === null));
+});
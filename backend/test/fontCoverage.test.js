@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const {
+  openFont,
+  findMissingCharacters,
+  assertFontCoverage,
+} = require('../src/utils/fontCoverage');
+
+const loadFont = (file) =>
+  openFont(fs.readFileSync(path.join(__dirname, '..', 'fonts', file)));
+
+const latinFont = { id: 'latin', name: 'Canva Sans', fontkit: loadFont('CanvaSans-Regular.otf') };
+const hebrewFont = {
+  id: 'hebrew',
+  name: 'Noto Serif Hebrew',
+  fontkit: loadFont('NotoSerifHebrew-Regular.ttf'),
+};
+
+test('ignores whitespace and bidi controls and lists each gap once', () => {
+  assert.deepEqual(findMissingCharacters(latinFont.fontkit, 'Hi\u200f שש ש'), ['ש']);
+});
+
+test('passes when every role is covered by its font', () => {
+  assert.doesNotThrow(() =>
+    assertFontCoverage(
+      { storyText: latinFont, storyQuote: hebrewFont },
+      {
+        storyText: [{ location: 'page 1', text: 'Hello Avi' }],
+        storyQuote: [{ location: 'page 1', text: 'שָׁלוֹם' }],
+      }
+    )
+  );
+});
+
+test('skips roles without an uploaded font', () => {
+  assert.doesNotThrow(() =>
+    assertFontCoverage({}, { storyText: [{ location: 'page 1', text: 'שלום' }] })
+  );
+});
+
+test('throws a 400 listing every gap', () => {
+  assert.throws(
+    () =>
+      assertFontCoverage(
+        { storyText: latinFont },
+        {
+          storyText: [
+            { location: 'page 1', text: 'שלום' },
+            { location: 'page 2', text: 'Fine' },
+            { location: 'page 3', text: 'א' },
+          ],
+        }
+      ),
+    (error) => {
+      assert.equal(error.statusCode, 400);
+      assert.deepEqual(
+        error.errors.map((issue) => issue.location),
+        ['page 1', 'page 3']
+      );
+      assert.match(error.message, /^Story text font "Canva Sans" has no glyph for "ש"/u);
+      assert.match(error.message, /\(U\+05E9\)/);
+      assert.match(error.message, /\(and 1 more\)$/);
+      return true;
+    }
+  );
+});
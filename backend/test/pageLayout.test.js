@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  PAGE_LAYOUT_DEFAULTS,
+  validatePageLayout,
+  resolvePageLayout,
+} = require('../src/utils/pageLayout');
+
+test('accepts a missing or partial layout', () => {
+  assert.deepEqual(validatePageLayout(null), []);
+  assert.deepEqual(validatePageLayout({ text: { fontSize: 20, color: '#112233' } }), []);
+});
+
+test('reports out-of-range values, bad colours and unknown fields', () => {
+  const issues = validatePageLayout({
+    text: { fontSize: 99, color: 'white' },
+    quote: { spin: 1 },
+    footer: {},
+  });
+  assert.deepEqual(
+    issues.map((issue) => issue.field),
+    ['text.fontSize', 'text.color', 'quote.spin', 'footer']
+  );
+  assert.equal(issues[0].message, 'text.fontSize must be between 8 and 40');
+});
+
+test('rejects a layout that is not an object', () => {
+  assert.deepEqual(validatePageLayout([]), [
+    { field: 'layout', message: 'Layout must be an object' },
+  ]);
+});
+
+test('resolves to the defaults when nothing is set', () => {
+  assert.deepEqual(resolvePageLayout(null), PAGE_LAYOUT_DEFAULTS);
+});
+
+test('keeps valid values and falls back for invalid ones', () => {
+  const layout = resolvePageLayout({
+    character: { anchor: 'left', widthRatio: 5 },
+    text: { font: 'accent', fontSize: '20' },
+  });
+  assert.equal(layout.character.anchor, 'left');
+  assert.equal(layout.character.widthRatio, PAGE_LAYOUT_DEFAULTS.character.widthRatio);
+  assert.equal(layout.text.font, 'accent');
+  assert.equal(layout.text.fontSize, PAGE_LAYOUT_DEFAULTS.text.fontSize);
+  assert.deepEqual(layout.overlay, PAGE_LAYOUT_DEFAULTS.overlay);
+});
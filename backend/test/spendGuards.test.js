@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  DEFAULT_APPROVAL_PREDICTIONS,
+  toLimit,
+  allowedPredictions,
+  createBudgetError,
+  isBudgetExceededError,
+  resolveApprovalAmount,
+} = require('../src/services/spendGuards');
+
+test('parses configured limits as whole numbers', () => {
+  assert.equal(toLimit('150', 5), 150);
+  assert.equal(toLimit('7.9', 5), 7);
+  assert.equal(toLimit('0', 5), 0);
+  assert.equal(toLimit('-1', 5), 5);
+  assert.equal(toLimit(undefined, 5), 5);
+  assert.equal(toLimit('lots', 5), 5);
+});
+
+test('adds approved allowances to the cap', () => {
+  assert.equal(allowedPredictions(150, 0), 150);
+  assert.equal(allowedPredictions(150, undefined), 150);
+  assert.equal(allowedPredictions(5, 10), 15);
+});
+
+test('approves the default amount unless a positive integer is given', () => {
+  assert.equal(resolveApprovalAmount(undefined), DEFAULT_APPROVAL_PREDICTIONS);
+  assert.equal(resolveApprovalAmount('25'), 25);
+  [0, -3, 2.5, 'more'].forEach((value) => {
+    assert.throws(() => resolveApprovalAmount(value), { statusCode: 400 });
+  });
+});
+
+test('builds a 429 budget error for the guard that tripped', () => {
+  const error = createBudgetError({ guard: 'page', limit: 15, pageOrder: 4 });
+  assert.equal(error.statusCode, 429);
+  assert.equal(error.message, 'Budget exceeded: Page 4 reached its limit of 15 paid predictions');
+  assert.equal(isBudgetExceededError(error), true);
+  assert.equal(isBudgetExceededError(new Error('Budget exceeded')), false);
+});
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  renderStoryTemplate,
+  validateStoryTemplate,
+  validateBookTemplates,
+} = require('../src/services/storyTemplates');
+
+const reader = { name: 'avi', gender: 'male', age: 7, siblings: ['Dan', 'Tamar'] };
+const render = (template, options) => renderStoryTemplate(template, reader, options);
+
+test('applies the casing of the token to the value', () => {
+  assert.equal(render('{Name}, {NAME}, {name}'), 'Avi, AVI, avi');
+  assert.equal(render('{They} lost {their} hat'), 'He lost his hat');
+  assert.equal(render('{name}', { uppercaseName: true }), 'AVI');
+});
+
+test('keeps the original gender placeholders working', () => {
+  assert.equal(render('{genderx} {gendery}'), 'his him');
+});
+
+test('picks the first matching conditional branch', () => {
+  const template = '{#if girl}princess{else if age >= 6}big kid{else}little one{/if}';
+  assert.equal(render(template), 'big kid');
+  assert.equal(renderStoryTemplate(template, { gender: 'female' }), 'princess');
+  assert.equal(renderStoryTemplate(template, { age: 3 }), 'little one');
+});
+
+test('runs filters', () => {
+  assert.equal(render('{siblingCount|plural:# sibling:# siblings}'), '2 siblings');
+  assert.equal(render('{siblings}'), 'Dan and Tamar');
+  assert.equal(render('{hometown|default:far away}'), 'far away');
+});
+
+test('unescapes doubled braces and leaves unknown variables as written', () => {
+  assert.equal(render('{{name}} {colour}'), '{name} {colour}');
+});
+
+test('reports unclosed and unmatched blocks', () => {
+  assert.deepEqual(validateStoryTemplate('{#if girl}x'), [
+    { token: '{#if girl}', message: 'is never closed with {/if}' },
+  ]);
+  assert.deepEqual(validateStoryTemplate('{name} {/if}'), [
+    { token: '{/if}', message: 'has no matching {#if}' },
+  ]);
+});
+
+test('reports unknown variables, filters and conditions', () => {
+  assert.deepEqual(
+    validateStoryTemplate('{nmae} {name|shout} {#if colour}x{/if}').map((issue) => issue.token),
+    ['{nmae}', '{name|shout}', '{#if colour}']
+  );
+});
+
+test('labels book template issues with their page and field', () => {
+  const issues = validateBookTemplates({
+    pages: [{ order: 3, text: 'Hi {nmae}', translations: [{ language: 'he', text: '{name}' }] }],
+  });
+  assert.deepEqual(
+    issues.map((issue) => issue.message),
+    ['Page 3 text: {nmae} is not a known variable']
+  );
+});
@@ -0,0 +1,17 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { toVisualClusters } = require('../src/utils/textShaping');
+
+const visual = (line, direction) => toVisualClusters(line, direction).join('');
+
+test('mirrors brackets inside right-to-left runs', () => {
+  assert.equal(visual('(א) שלום', 'rtl'), 'םולש (א)');
+});
+
+test('keeps characters after an astral code point', () => {
+  assert.equal(visual('Hi 👋 שלום', 'ltr'), 'Hi 👋 םולש');
+});
+
+test('keeps nikud on its letter when reordering', () => {
+  assert.deepEqual(toVisualClusters('שָׁלוֹם', 'rtl'), ['ם', 'וֹ', 'ל', 'שָׁ']);
+});
@@ -1,6 +1,8 @@
-import { BrowserRouter as Router, Routes, Route } from 'react-router-dom';
+import { BrowserRouter as Router, Routes, Route, Navigate, Outlet, useLocation } from 'react-router-dom';
 import { Toaster } from 'react-hot-toast';
+import { Loader2 } from 'lucide-react';
 import { ThemeProvider } from './contexts/ThemeContext';
+import { AuthProvider, useAuth } from './contexts/AuthContext';
 import Sidebar from './components/Sidebar';
 import Books from './pages/Books';
 import Prompts from './pages/Prompts';
@@ -11,7 +13,53 @@ import Evaluate from './pages/Evaluate';
 import Storybooks from './pages/Storybooks';
 import Automate from './pages/Automate';
 import Settings from './pages/Settings';
+import Fonts from './pages/Fonts';
 import Dashboard from './pages/Dashboard';
+import Login from './pages/Login';
+import Team from './pages/Team';
+import Audit from './pages/Audit';
+import Webhooks from './pages/Webhooks';
+import Notifications from './pages/Notifications';
+import Unsubscribe from './pages/Unsubscribe';
+import Orders from './pages/Orders';
+import Proof from './pages/Proof';
+import PromptTemplates from './pages/PromptTemplates';
+import GoldenSet from './pages/GoldenSet';
+import TrainingExperiments from './pages/TrainingExperiments';
+
+function ProtectedLayout() {
+  const { account, loading } = useAuth();
+  const location = useLocation();
+
+  if (loading) {
+    return (
+      <div className="flex min-h-screen items-center justify-center bg-background">
+        <Loader2 className="h-6 w-6 animate-spin text-muted-foreground" />
+      </div>
+    );
+  }
+
+  if (!account) {
+    const next = encodeURIComponent(`${location.pathname}${location.search}`);
+    return <Navigate to={`/login?next=${next}`} replace />;
+  }
+
+  return (
+    <div className="min-h-screen bg-background">
+      <Sidebar />
+      <main className="min-h-screen lg:pl-72">
+        <div className="page-wrapper pt-[70px] lg:pt-6">
+          <Outlet />
+        </div>
+      </main>
+    </div>
+  );
+}
+
+function AdminOnly({ children }) {
+  const { isAdmin } = useAuth();
+  return isAdmin ? children : <Navigate to="/dashboard" replace />;
+}
 
 function App() {
   return (
@@ -63,26 +111,49 @@ function App() {
             },
           }}
         />
-        <div className="min-h-screen bg-background">
-          <Sidebar />
-          <main className="min-h-screen lg:pl-72">
-            <div className="page-wrapper pt-[70px] lg:pt-6">
-              <Routes>
-                <Route path="/" element={<Dashboard />} />
-                <Route path="/dashboard" element={<Dashboard />} />
-                <Route path="/books" element={<Books />} />
-                <Route path="/prompts" element={<Prompts />} />
-                <Route path="/users" element={<Users />} />
-                <Route path="/training" element={<Training />} />
-                <Route path="/generate" element={<Generate />} />
-                <Route path="/evaluate" element={<Evaluate />} />
-                <Route path="/storybooks" element={<Storybooks />} />
-                <Route path="/automate" element={<Automate />} />
-                <Route path="/settings" element={<Settings />} />
-              </Routes>
-            </div>
-          </main>
-        </div>
+        <AuthProvider>
+          <Routes>
+            <Route path="/login" element={<Login />} />
+            <Route path="/proof/:token" element={<Proof />} />
+            <Route path="/unsubscribe/:token" element={<Unsubscribe />} />
+            <Route element={<ProtectedLayout />}>
+              <Route path="/" element={<Dashboard />} />
+              <Route path="/dashboard" element={<Dashboard />} />
+              <Route path="/books" element={<Books />} />
+              <Route path="/prompts" element={<Prompts />} />
+              <Route path="/users" element={<Users />} />
+              <Route path="/training" element={<Training />} />
+              <Route path="/experiments" element={<TrainingExperiments />} />
+              <Route path="/generate" element={<Generate />} />
+              <Route path="/evaluate" element={<Evaluate />} />
+              <Route path="/prompt-templates" element={<PromptTemplates />} />
+              <Route path="/golden-set" element={<GoldenSet />} />
+              <Route path="/storybooks" element={<Storybooks />} />
+              <Route path="/automate" element={<Automate />} />
+              <Route path="/orders" element={<Orders />} />
+              <Route path="/settings" element={<Settings />} />
+              <Route path="/fonts" element={<Fonts />} />
+              <Route path="/audit" element={<Audit />} />
+              <Route path="/notifications" element={<Notifications />} />
+              <Route
+                path="/team"
+                element={
+                  <AdminOnly>
+                    <Team />
+                  </AdminOnly>
+                }
+              />
+              <Route
+                path="/webhooks"
+                element={
+                  <AdminOnly>
+                    <Webhooks />
+                  </AdminOnly>
+                }
+              />
+            </Route>
+          </Routes>
+        </AuthProvider>
       </Router>
     </ThemeProvider>
   );
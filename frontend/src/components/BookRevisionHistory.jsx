@@ -0,0 +1,272 @@
+import { useCallback, useEffect, useState } from 'react';
+import { createPortal } from 'react-dom';
+import toast from 'react-hot-toast';
+import { History, Loader2, RotateCcw, X } from 'lucide-react';
+import { bookAPI } from '@/services/api';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+
+const REASON_LABELS = {
+  baseline: 'Baseline',
+  create: 'Created',
+  update: 'Edited',
+  restore: 'Restored',
+  storybook: 'Storybook images',
+};
+
+const formatDate = (value) => {
+  if (!value) return '';
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? '' : date.toLocaleString();
+};
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+// `pages.12.characterPromptFemale` -> `Page 12 · characterPromptFemale`
+const formatPath = (path) => {
+  const [section, child, ...rest] = path.split('.');
+  if (section === 'pages' && child) {
+    return rest.length ? `Page ${child} · ${rest.join('.')}` : `Page ${child}`;
+  }
+  return path;
+};
+
+export function BookRevisionHistory({ open, book, onClose, onRestored }) {
+  const [revisions, setRevisions] = useState([]);
+  const [currentRevision, setCurrentRevision] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const [selected, setSelected] = useState(null);
+  const [compareWithCurrent, setCompareWithCurrent] = useState(false);
+  const [diff, setDiff] = useState(null);
+  const [loadingDiff, setLoadingDiff] = useState(false);
+  const [restoring, setRestoring] = useState(false);
+
+  const bookId = book?._id;
+
+  const loadRevisions = useCallback(async () => {
+    if (!bookId) return;
+    setLoading(true);
+    try {
+      const response = await bookAPI.getRevisions(bookId, { limit: 100 });
+      const list = Array.isArray(response?.data) ? response.data : [];
+      setRevisions(list);
+      setCurrentRevision(response?.currentRevision || 0);
+      setSelected((prev) => prev ?? list[0]?.revision ?? null);
+    } catch (error) {
+      toast.error(`Failed to load revisions: ${error.message}`);
+    } finally {
+      setLoading(false);
+    }
+  }, [bookId]);
+
+  useEffect(() => {
+    if (!open) return;
+    setSelected(null);
+    setDiff(null);
+    setCompareWithCurrent(false);
+    loadRevisions();
+  }, [open, loadRevisions]);
+
+  useEffect(() => {
+    if (!open || !bookId || !selected) return;
+    let cancelled = false;
+    setLoadingDiff(true);
+    const params = compareWithCurrent ? { from: selected, to: 'current' } : { to: selected };
+    bookAPI
+      .diffRevisions(bookId, params)
+      .then((response) => {
+        if (!cancelled) setDiff(response?.data || null);
+      })
+      .catch((error) => {
+        if (!cancelled) toast.error(`Failed to load diff: ${error.message}`);
+      })
+      .finally(() => {
+        if (!cancelled) setLoadingDiff(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [open, bookId, selected, compareWithCurrent]);
+
+  useEffect(() => {
+    if (!open) return undefined;
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape') onClose?.();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [open, onClose]);
+
+  const handleRestore = async () => {
+    if (!selected) return;
+    if (!window.confirm(`Restore "${book.name}" to revision ${selected}?`)) return;
+    setRestoring(true);
+    try {
+      const response = await bookAPI.restoreRevision(bookId, selected);
+      toast.success(response?.message || 'Revision restored');
+      setSelected(null);
+      await loadRevisions();
+      onRestored?.(response?.data);
+    } catch (error) {
+      toast.error(`Failed to restore revision: ${error.message}`);
+    } finally {
+      setRestoring(false);
+    }
+  };
+
+  if (!open || !book) return null;
+
+  const changes = Array.isArray(diff?.changes) ? diff.changes : [];
+
+  return createPortal(
+    <div
+      className="fixed inset-0 z-[9999] flex items-center justify-center bg-black/70 p-4 backdrop-blur-sm"
+      onClick={onClose}
+    >
+      <div
+        className="flex max-h-[90vh] w-full max-w-5xl flex-col overflow-hidden rounded-xl border border-border/60 bg-background shadow-2xl"
+        onClick={(event) => event.stopPropagation()}
+      >
+        <div className="flex items-center justify-between gap-3 border-b border-border/60 px-5 py-4">
+          <div>
+            <h2 className="flex items-center gap-2 text-lg font-semibold text-foreground">
+              <History className="h-5 w-5" />
+              Revision history
+            </h2>
+            <p className="text-xs text-foreground/55">
+              {book.name} · current revision {currentRevision || '—'}
+            </p>
+          </div>
+          <Button type="button" variant="ghost" size="icon" onClick={onClose}>
+            <X className="h-5 w-5" />
+          </Button>
+        </div>
+
+        <div className="flex min-h-0 flex-1 flex-col md:flex-row">
+          <div className="max-h-60 overflow-y-auto border-b border-border/60 md:max-h-none md:w-64 md:border-b-0 md:border-r">
+            {loading && !revisions.length ? (
+              <p className="p-4 text-xs text-foreground/50">Loading revisions…</p>
+            ) : null}
+            {!loading && !revisions.length ? (
+              <p className="p-4 text-xs text-foreground/50">
+                No revisions yet. One is recorded on the next save.
+              </p>
+            ) : null}
+            {revisions.map((revision) => (
+              <button
+                key={revision._id}
+                type="button"
+                onClick={() => setSelected(revision.revision)}
+                className={`w-full border-b border-border/40 px-4 py-3 text-left text-xs transition-colors ${
+                  selected === revision.revision ? 'bg-accent/15' : 'hover:bg-muted/40'
+                }`}
+              >
+                <div className="flex items-center justify-between gap-2">
+                  <span className="font-semibold text-foreground">#{revision.revision}</span>
+                  <Badge variant={revision.revision === currentRevision ? 'success' : 'outline'}>
+                    {REASON_LABELS[revision.reason] || revision.reason}
+                  </Badge>
+                </div>
+                <p className="mt-1 text-foreground/55">
+                  {revision.author?.name || 'System'} · {formatDate(revision.createdAt)}
+                </p>
+                {revision.restoredFromRevision ? (
+                  <p className="text-foreground/55">From #{revision.restoredFromRevision}</p>
+                ) : null}
+                {revision.changeCount ? (
+                  <p className="text-foreground/45">
+                    {revision.changeCount} field{revision.changeCount === 1 ? '' : 's'} changed
+                  </p>
+                ) : null}
+              </button>
+            ))}
+          </div>
+
+          <div className="flex min-h-0 flex-1 flex-col">
+            <div className="flex flex-wrap items-center justify-between gap-2 border-b border-border/60 px-5 py-3 text-xs">
+              <div className="flex items-center gap-2">
+                <Button
+                  type="button"
+                  size="sm"
+                  variant={compareWithCurrent ? 'outline' : 'secondary'}
+                  onClick={() => setCompareWithCurrent(false)}
+                  disabled={!selected}
+                >
+                  Changes in this revision
+                </Button>
+                <Button
+                  type="button"
+                  size="sm"
+                  variant={compareWithCurrent ? 'secondary' : 'outline'}
+                  onClick={() => setCompareWithCurrent(true)}
+                  disabled={!selected}
+                >
+                  Compare with current
+                </Button>
+              </div>
+              <Button
+                type="button"
+                size="sm"
+                className="gap-1"
+                onClick={handleRestore}
+                disabled={!selected || restoring || selected === currentRevision}
+              >
+                {restoring ? (
+                  <Loader2 className="h-4 w-4 animate-spin" />
+                ) : (
+                  <RotateCcw className="h-4 w-4" />
+                )}
+                Restore #{selected || '—'}
+              </Button>
+            </div>
+
+            <div className="flex-1 overflow-y-auto px-5 py-4 text-sm">
+              {loadingDiff ? (
+                <p className="flex items-center gap-2 text-xs text-foreground/50">
+                  <Loader2 className="h-4 w-4 animate-spin" />
+                  Loading diff…
+                </p>
+              ) : null}
+              {!loadingDiff && diff ? (
+                <p className="mb-3 text-xs text-foreground/55">
+                  {diff.from ? `Revision #${diff.from}` : 'Empty book'} →{' '}
+                  {diff.to === 'current' ? 'current book' : `revision #${diff.to}`} ·{' '}
+                  {diff.changeCount} change{diff.changeCount === 1 ? '' : 's'}
+                </p>
+              ) : null}
+              {!loadingDiff && diff && !changes.length ? (
+                <p className="text-xs text-foreground/50">No differences.</p>
+              ) : null}
+              {!loadingDiff && changes.length ? (
+                <div className="space-y-2">
+                  {changes.map((change) => (
+                    <div key={change.path} className="rounded-md border border-border/50 p-3">
+                      <p className="text-xs font-medium text-foreground/70">
+                        {formatPath(change.path)}
+                      </p>
+                      <div className="mt-2 grid gap-2 text-xs sm:grid-cols-2">
+                        <p className="whitespace-pre-line break-words rounded bg-red-500/10 p-2 text-foreground/75">
+                          {formatValue(change.before)}
+                        </p>
+                        <p className="whitespace-pre-line break-words rounded bg-emerald-500/10 p-2 text-foreground/75">
+                          {formatValue(change.after)}
+                        </p>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              ) : null}
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>,
+    document.body
+  );
+}
+
+export default BookRevisionHistory;
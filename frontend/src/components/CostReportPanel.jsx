@@ -0,0 +1,178 @@
+import { useCallback, useEffect, useState } from 'react';
+import { Loader2, RefreshCw } from 'lucide-react';
+import { dashboardAPI } from '@/services/api';
+import { Button } from '@/components/ui/button';
+import { formatUsd } from '@/utils/currency';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+
+const GROUP_OPTIONS = [
+  { value: 'user', label: 'User' },
+  { value: 'book', label: 'Book' },
+  { value: 'storybookJob', label: 'Storybook run' },
+  { value: 'automationRun', label: 'Automation run' },
+  { value: 'operation', label: 'Operation' },
+  { value: 'provider', label: 'Provider' },
+  { value: 'model', label: 'Model' },
+];
+
+const RANGE_OPTIONS = [
+  { value: '7', label: 'Last 7 days' },
+  { value: '30', label: 'Last 30 days' },
+  { value: '90', label: 'Last 90 days' },
+  { value: 'all', label: 'All time' },
+];
+
+const OPERATION_LABELS = {
+  prediction: 'Image predictions',
+  training: 'LoRA trainings',
+  background_removal: 'Background removal',
+  evaluation: 'Photo evaluation',
+  ranking: 'Ranking',
+  prompt_generation: 'Prompt generation',
+};
+
+const formatGroupLabel = (groupBy, group) => {
+  if (!group.key) return 'Unattributed';
+  if (groupBy === 'operation') return OPERATION_LABELS[group.key] || group.key;
+  return group.label || group.key;
+};
+
+/**
+ * Estimated Replicate and OpenRouter spend, grouped by the selected owner.
+ */
+export function CostReportPanel() {
+  const [groupBy, setGroupBy] = useState('storybookJob');
+  const [range, setRange] = useState('30');
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const fetchReport = useCallback(async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const params = { groupBy, limit: 20 };
+      if (range !== 'all') {
+        params.from = new Date(Date.now() - Number(range) * 24 * 60 * 60 * 1000).toISOString();
+      }
+      const response = await dashboardAPI.getCosts(params);
+      setReport(response?.data || null);
+    } catch (fetchError) {
+      setError(fetchError.message || 'Failed to load cost report');
+    } finally {
+      setLoading(false);
+    }
+  }, [groupBy, range]);
+
+  useEffect(() => {
+    fetchReport();
+  }, [fetchReport]);
+
+  const totals = report?.totals;
+  const groups = report?.groups || [];
+
+  return (
+    <article className="panel space-y-4">
+      <header className="panel-header">
+        <div>
+          <h3 className="panel-title">Cost report</h3>
+          <p className="text-xs text-muted-foreground">
+            Estimated provider spend for predictions, trainings, background removal and LLM calls.
+          </p>
+        </div>
+        <div className="flex flex-wrap items-center gap-2">
+          <Select value={groupBy} onValueChange={setGroupBy}>
+            <SelectTrigger className="w-40">
+              <SelectValue placeholder="Group by" />
+            </SelectTrigger>
+            <SelectContent>
+              {GROUP_OPTIONS.map((option) => (
+                <SelectItem key={option.value} value={option.value}>
+                  {option.label}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          <Select value={range} onValueChange={setRange}>
+            <SelectTrigger className="w-36">
+              <SelectValue placeholder="Range" />
+            </SelectTrigger>
+            <SelectContent>
+              {RANGE_OPTIONS.map((option) => (
+                <SelectItem key={option.value} value={option.value}>
+                  {option.label}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          <Button variant="outline" size="icon" onClick={fetchReport} disabled={loading}>
+            {loading ? <Loader2 className="h-4 w-4 animate-spin" /> : <RefreshCw className="h-4 w-4" />}
+          </Button>
+        </div>
+      </header>
+
+      {error && <p className="text-sm text-red-500">{error}</p>}
+
+      {totals && (
+        <div className="flex flex-wrap gap-2 text-xs">
+          <span className="badge-ghost">{formatUsd(totals.costUsd)} total</span>
+          <span className="badge-ghost">{totals.calls} calls</span>
+          {(report.byOperation || []).map((entry) => (
+            <span key={entry.operation} className="badge-ghost">
+              {OPERATION_LABELS[entry.operation] || entry.operation} · {formatUsd(entry.costUsd)}
+            </span>
+          ))}
+        </div>
+      )}
+
+      <div className="overflow-x-auto rounded-lg border border-border">
+        <table className="w-full text-sm">
+          <thead className="bg-secondary/50 text-xs uppercase tracking-wider text-muted-foreground">
+            <tr>
+              <th className="px-4 py-2 text-left font-medium">
+                {GROUP_OPTIONS.find((option) => option.value === groupBy)?.label}
+              </th>
+              <th className="px-4 py-2 text-right font-medium">Calls</th>
+              <th className="px-4 py-2 text-right font-medium">Tokens</th>
+              <th className="px-4 py-2 text-right font-medium">GPU / call time</th>
+              <th className="px-4 py-2 text-right font-medium">Cost</th>
+            </tr>
+          </thead>
+          <tbody>
+            {groups.length === 0 ? (
+              <tr>
+                <td colSpan={5} className="px-4 py-6 text-center text-muted-foreground">
+                  {loading ? 'Loading…' : 'No usage recorded for this range.'}
+                </td>
+              </tr>
+            ) : (
+              groups.map((group) => (
+                <tr key={group.key || 'unattributed'} className="border-t border-border">
+                  <td className="max-w-xs truncate px-4 py-2 text-foreground">
+                    {formatGroupLabel(groupBy, group)}
+                  </td>
+                  <td className="px-4 py-2 text-right">{group.calls}</td>
+                  <td className="px-4 py-2 text-right">{group.tokens || '—'}</td>
+                  <td className="px-4 py-2 text-right">
+                    {group.durationMs ? `${Math.round(group.durationMs / 1000)}s` : '—'}
+                  </td>
+                  <td className="px-4 py-2 text-right font-medium text-foreground">
+                    {formatUsd(group.costUsd)}
+                  </td>
+                </tr>
+              ))
+            )}
+          </tbody>
+        </table>
+      </div>
+    </article>
+  );
+}
+
+export default CostReportPanel;
@@ -1,5 +1,5 @@
 import { useState, useEffect } from 'react';
-import { Link, useLocation } from 'react-router-dom';
+import { Link, useLocation, useNavigate } from 'react-router-dom';
 import {
   LayoutDashboard,
   Zap,
@@ -13,10 +13,18 @@ import {
   Menu,
   ChevronDown,
   ChevronRight,
+  ShieldCheck,
+  ScrollText,
+  ShoppingBag,
+  LogOut,
+  Mail,
+  Webhook,
+  Type,
   X
 } from 'lucide-react';
 import { cn } from '@/lib/utils';
 import { useTheme } from '@/contexts/ThemeContext';
+import { useAuth } from '@/contexts/AuthContext';
 import { Sun, Moon } from 'lucide-react';
 
 const NAVIGATION = [
@@ -33,6 +41,11 @@ const NAVIGATION = [
         label: 'Automate',
         icon: Zap
       },
+      {
+        path: '/orders',
+        label: 'Orders',
+        icon: ShoppingBag
+      },
       {
         path: '/books',
         label: 'Book',
@@ -48,6 +61,11 @@ const NAVIGATION = [
         label: 'Settings',
         icon: SettingsIcon
       },
+      {
+        path: '/fonts',
+        label: 'Fonts',
+        icon: Type
+      },
     ]
   },
   {
@@ -60,6 +78,7 @@ const NAVIGATION = [
           { path: '/users', label: 'Users' },
           { path: '/generate', label: 'Generate' },
           { path: '/training', label: 'Training' },
+          { path: '/experiments', label: 'A/B Compare' },
         ]
       },
       {
@@ -68,15 +87,41 @@ const NAVIGATION = [
         children: [
           { path: '/prompts', label: 'Prompt Studio' },
           { path: '/evaluate', label: 'Evaluate' },
+          { path: '/prompt-templates', label: 'Templates' },
+          { path: '/golden-set', label: 'Golden Set' },
         ]
       },
+      {
+        path: '/audit',
+        label: 'Audit Log',
+        icon: ScrollText
+      },
+      {
+        path: '/notifications',
+        label: 'Emails',
+        icon: Mail
+      },
+      {
+        path: '/team',
+        label: 'Team',
+        icon: ShieldCheck,
+        adminOnly: true
+      },
+      {
+        path: '/webhooks',
+        label: 'Webhooks',
+        icon: Webhook,
+        adminOnly: true
+      },
     ]
   },
 ];
 
 function Sidebar() {
   const location = useLocation();
+  const navigate = useNavigate();
   const { theme, toggleTheme } = useTheme();
+  const { account, isAdmin, logout } = useAuth();
   const [isOpen, setIsOpen] = useState(false);
   const [expandedItems, setExpandedItems] = useState(['Users', 'Studio']);
   const [showButton, setShowButton] = useState(true);
@@ -113,6 +158,12 @@ function Sidebar() {
     return location.pathname.startsWith(path);
   };
 
+  const handleLogout = async () => {
+    setIsOpen(false);
+    await logout();
+    navigate('/login', { replace: true });
+  };
+
   const toggleExpanded = (label) => {
     setExpandedItems(prev =>
       prev.includes(label)
@@ -192,7 +243,7 @@ function Sidebar() {
                     {section.section}
                   </h3>
                   <div className="space-y-1">
-                    {section.items.map((item) => {
+                    {section.items.filter((item) => !item.adminOnly || isAdmin).map((item) => {
                       if (item.children) {
                         const isExpanded = expandedItems.includes(item.label);
                         const hasActiveChild = item.children.some(child => isActive(child.path));
@@ -264,8 +315,16 @@ function Sidebar() {
             </div>
           </nav>
 
-          {/* Theme Toggle */}
-          <div className="border-t border-border p-4">
+          {/* Account + Theme Toggle */}
+          <div className="space-y-1 border-t border-border p-4">
+            {account && (
+              <div className="px-3 pb-2">
+                <p className="truncate text-sm font-medium text-foreground">{account.name}</p>
+                <p className="truncate text-xs capitalize text-muted-foreground">
+                  {account.role} · {account.email}
+                </p>
+              </div>
+            )}
             <button
               onClick={toggleTheme}
               className="flex w-full items-center gap-3 rounded-lg px-3 py-2 text-sm font-medium text-muted-foreground transition-colors hover:bg-secondary hover:text-foreground"
@@ -282,6 +341,13 @@ function Sidebar() {
                 </>
               )}
             </button>
+            <button
+              onClick={handleLogout}
+              className="flex w-full items-center gap-3 rounded-lg px-3 py-2 text-sm font-medium text-muted-foreground transition-colors hover:bg-secondary hover:text-foreground"
+            >
+              <LogOut className="h-5 w-5" />
+              <span>Sign out</span>
+            </button>
           </div>
         </div>
       </aside>
@@ -0,0 +1,107 @@
+import { useEffect, useRef, useState } from 'react';
+import { Loader2 } from 'lucide-react';
+import { bookAPI } from '@/services/api';
+
+// Wait for typing to settle before asking the server for a new render
+const PREVIEW_DEBOUNCE_MS = 800;
+
+/**
+ * Server-rendered thumbnail of one story page, refreshed as its inputs
+ * change. Unchanged inputs hit the server's preview cache.
+ */
+export function StoryPagePreview({
+  bookId,
+  order,
+  text,
+  backgroundFile,
+  removeBackground,
+  characterPosition,
+  childName,
+  language,
+  alt,
+  onOpen,
+}) {
+  const [previewUrl, setPreviewUrl] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const requestIdRef = useRef(0);
+
+  useEffect(() => {
+    if (!bookId || !order) return undefined;
+
+    const timer = setTimeout(async () => {
+      requestIdRef.current += 1;
+      const requestId = requestIdRef.current;
+      setLoading(true);
+      try {
+        const formData = new FormData();
+        formData.append('text', text || '');
+        formData.append('characterPosition', characterPosition || 'auto');
+        if (childName) formData.append('childName', childName);
+        if (language) formData.append('language', language);
+        if (backgroundFile) {
+          formData.append('backgroundImage', backgroundFile);
+        } else if (removeBackground) {
+          formData.append('removeBackground', 'true');
+        }
+
+        const response = await bookAPI.generatePagePreview(bookId, order, formData);
+        // A slower, older request must not replace a newer render
+        if (requestId !== requestIdRef.current) return;
+        setPreviewUrl(response?.data?.previewUrl || null);
+        setError(null);
+      } catch (requestError) {
+        if (requestId !== requestIdRef.current) return;
+        setError(requestError.message);
+      } finally {
+        if (requestId === requestIdRef.current) {
+          setLoading(false);
+        }
+      }
+    }, PREVIEW_DEBOUNCE_MS);
+
+    return () => clearTimeout(timer);
+  }, [
+    bookId,
+    order,
+    text,
+    backgroundFile,
+    removeBackground,
+    characterPosition,
+    childName,
+    language,
+  ]);
+
+  if (!bookId || !order) {
+    return (
+      <p className="text-xs text-foreground/50">
+        Save the book to see a rendered preview of this page.
+      </p>
+    );
+  }
+
+  return (
+    <div className="space-y-1">
+      <div className="relative aspect-[2/1] overflow-hidden rounded-lg border border-border/60 bg-muted/40">
+        {previewUrl ? (
+          <img
+            src={previewUrl}
+            alt={alt}
+            className="h-full w-full cursor-zoom-in object-contain"
+            onClick={() => onOpen?.(previewUrl)}
+          />
+        ) : null}
+        {loading ? (
+          <div className="absolute inset-0 flex items-center justify-center bg-background/40">
+            <Loader2 className="h-5 w-5 animate-spin text-foreground/60" />
+          </div>
+        ) : null}
+      </div>
+      {error ? (
+        <p className="text-xs text-red-300">Preview failed: {error}</p>
+      ) : null}
+    </div>
+  );
+}
+
+export default StoryPagePreview;
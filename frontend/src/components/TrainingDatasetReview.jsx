@@ -0,0 +1,400 @@
+import { useCallback, useEffect, useState } from 'react';
+import toast from 'react-hot-toast';
+import { Crop, Loader2, RefreshCw, Sparkles } from 'lucide-react';
+import { trainingAPI } from '@/services/api';
+import { useAuth } from '@/contexts/AuthContext';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Label } from '@/components/ui/label';
+import { Slider } from '@/components/ui/slider';
+
+const POLL_INTERVAL_MS = 3000;
+
+const EXCLUSION_LABELS = {
+  rejected: 'Rejected by evaluation',
+  duplicate: 'Near-duplicate',
+  unreadable: 'Unreadable',
+  limit: 'Over 25 image limit',
+  manual: 'Excluded by admin',
+};
+
+const CROP_SOURCE_LABELS = {
+  face: 'Face crop',
+  full: 'Full frame',
+  manual: 'Manual crop',
+};
+
+const formatCounts = (counts = {}) =>
+  Object.entries(counts)
+    .sort((a, b) => b[1] - a[1])
+    .map(([label, count]) => `${label} ${count}`)
+    .join(' · ');
+
+// Square crops are edited as size + centre, then stored as fractions of the image
+const cropToControls = (crop, item) => {
+  const width = item.width || 1;
+  const height = item.height || 1;
+  const minSide = Math.min(width, height);
+  const current = crop || { x: 0, y: 0, width: 1, height: 1 };
+  const side = Math.min(current.width * width, current.height * height);
+  return {
+    size: Math.round((side / minSide) * 100),
+    centerX: Math.round((current.x + current.width / 2) * 100),
+    centerY: Math.round((current.y + current.height / 2) * 100),
+  };
+};
+
+const controlsToCrop = ({ size, centerX, centerY }, item) => {
+  const width = item.width || 1;
+  const height = item.height || 1;
+  const side = (Math.min(width, height) * size) / 100;
+  const cropWidth = side / width;
+  const cropHeight = side / height;
+  const clamp = (value, max) => Math.min(Math.max(value, 0), max);
+  return {
+    x: clamp(centerX / 100 - cropWidth / 2, 1 - cropWidth),
+    y: clamp(centerY / 100 - cropHeight / 2, 1 - cropHeight),
+    width: cropWidth,
+    height: cropHeight,
+  };
+};
+
+function CropEditor({ item, saving, onApply, onCancel }) {
+  const [controls, setControls] = useState(() => cropToControls(item.crop, item));
+
+  const updateControl = (field) => (values) =>
+    setControls((prev) => ({ ...prev, [field]: values[0] }));
+
+  return (
+    <div className="space-y-3 border-t border-border/60 pt-3">
+      <div className="space-y-1">
+        <Label className="text-[11px]">Size {controls.size}%</Label>
+        <Slider min={20} max={100} step={1} value={[controls.size]} onValueChange={updateControl('size')} />
+      </div>
+      <div className="space-y-1">
+        <Label className="text-[11px]">Horizontal {controls.centerX}%</Label>
+        <Slider min={0} max={100} step={1} value={[controls.centerX]} onValueChange={updateControl('centerX')} />
+      </div>
+      <div className="space-y-1">
+        <Label className="text-[11px]">Vertical {controls.centerY}%</Label>
+        <Slider min={0} max={100} step={1} value={[controls.centerY]} onValueChange={updateControl('centerY')} />
+      </div>
+      <div className="flex flex-wrap gap-2">
+        <Button
+          type="button"
+          size="sm"
+          className="h-7 text-xs"
+          disabled={saving}
+          onClick={() => onApply(controlsToCrop(controls, item))}
+        >
+          Apply crop
+        </Button>
+        <Button
+          type="button"
+          size="sm"
+          variant="outline"
+          className="h-7 text-xs"
+          disabled={saving}
+          onClick={() => onApply({ x: 0, y: 0, width: 1, height: 1 })}
+        >
+          Full frame
+        </Button>
+        <Button
+          type="button"
+          size="sm"
+          variant="outline"
+          className="h-7 text-xs"
+          disabled={saving}
+          onClick={() => onApply(null)}
+        >
+          Auto crop
+        </Button>
+        <Button type="button" size="sm" variant="ghost" className="h-7 text-xs" onClick={onCancel}>
+          Cancel
+        </Button>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Curated training set for the selected user: prepare it, review the
+ * automatic selection and crops (admins can adjust), and report the dataset
+ * the training should use through `onDatasetChange`.
+ */
+export function TrainingDatasetReview({ userId, onDatasetChange }) {
+  const { isAdmin, canEdit } = useAuth();
+  const [dataset, setDataset] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [preparing, setPreparing] = useState(false);
+  const [savingItemId, setSavingItemId] = useState(null);
+  const [croppingItemId, setCroppingItemId] = useState(null);
+
+  const applyDataset = useCallback(
+    (next) => {
+      setDataset(next);
+      onDatasetChange?.(next?.status === 'ready' ? next : null);
+    },
+    [onDatasetChange]
+  );
+
+  const loadDataset = useCallback(
+    async (datasetId) => {
+      const response = await trainingAPI.getDataset(datasetId);
+      applyDataset(response?.data || null);
+    },
+    [applyDataset]
+  );
+
+  useEffect(() => {
+    applyDataset(null);
+    setCroppingItemId(null);
+    if (!userId) return undefined;
+
+    let cancelled = false;
+    setLoading(true);
+    trainingAPI
+      .getDatasets({ userId, limit: 1 })
+      .then(async (response) => {
+        const latest = Array.isArray(response?.data) ? response.data[0] : null;
+        // Used and failed datasets can't be trained on again; start fresh
+        if (!cancelled && latest && ['ready', 'processing'].includes(latest.status)) {
+          await loadDataset(latest._id);
+        }
+      })
+      .catch((error) => {
+        if (!cancelled) toast.error(`Failed to load training dataset: ${error.message}`);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [userId, applyDataset, loadDataset]);
+
+  useEffect(() => {
+    if (dataset?.status !== 'processing') return undefined;
+    const timer = setTimeout(() => {
+      loadDataset(dataset._id).catch((error) =>
+        console.warn('Failed to refresh training dataset', error)
+      );
+    }, POLL_INTERVAL_MS);
+    return () => clearTimeout(timer);
+  }, [dataset, loadDataset]);
+
+  const handlePrepare = async () => {
+    if (!userId) return;
+    setPreparing(true);
+    try {
+      const response = await trainingAPI.prepareDataset(userId);
+      applyDataset(response?.data || null);
+      toast.success(response?.message || 'Dataset preparation started');
+    } catch (error) {
+      toast.error(`Failed to prepare dataset: ${error.message}`);
+    } finally {
+      setPreparing(false);
+    }
+  };
+
+  const handleUpdateItem = async (item, changes) => {
+    setSavingItemId(item._id);
+    try {
+      const response = await trainingAPI.updateDatasetItem(dataset._id, item._id, changes);
+      applyDataset(response?.data || dataset);
+      if (changes.crop !== undefined) setCroppingItemId(null);
+    } catch (error) {
+      toast.error(`Failed to update image: ${error.message}`);
+    } finally {
+      setSavingItemId(null);
+    }
+  };
+
+  if (!userId) return null;
+
+  const report = dataset?.report || {};
+  const items = Array.isArray(dataset?.items) ? dataset.items : [];
+  const isReady = dataset?.status === 'ready';
+
+  return (
+    <div className="space-y-4 rounded-xl border border-border/60 bg-muted p-4">
+      <div className="flex flex-col gap-3 sm:flex-row sm:items-center sm:justify-between">
+        <div className="space-y-1">
+          <Label>Curated dataset</Label>
+          <p className="text-xs text-foreground/45">
+            Photos are straightened from EXIF, cropped to face and shoulders, de-duplicated and
+            filtered by their evaluation. Without a prepared dataset one is built automatically at
+            launch.
+          </p>
+        </div>
+        <div className="flex items-center gap-2">
+          {dataset ? (
+            <Badge variant={isReady ? 'success' : dataset.status === 'processing' ? 'warning' : 'outline'}>
+              {isReady ? `${report.included ?? 0}/${report.total ?? 0} included` : dataset.status}
+            </Badge>
+          ) : null}
+          {canEdit ? (
+            <Button
+              type="button"
+              variant="outline"
+              size="sm"
+              className="gap-2"
+              onClick={handlePrepare}
+              disabled={preparing || loading || dataset?.status === 'processing'}
+            >
+              {preparing || dataset?.status === 'processing' ? (
+                <Loader2 className="h-4 w-4 animate-spin" />
+              ) : dataset ? (
+                <RefreshCw className="h-4 w-4" />
+              ) : (
+                <Sparkles className="h-4 w-4" />
+              )}
+              {dataset ? 'Rebuild' : 'Prepare dataset'}
+            </Button>
+          ) : null}
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="flex items-center gap-2 text-xs text-foreground/50">
+          <Loader2 className="h-4 w-4 animate-spin" />
+          Loading dataset…
+        </div>
+      ) : dataset?.status === 'processing' ? (
+        <div className="flex items-center gap-2 text-xs text-foreground/50">
+          <Loader2 className="h-4 w-4 animate-spin" />
+          Analysing {items.length} photo{items.length === 1 ? '' : 's'} so far…
+        </div>
+      ) : isReady ? (
+        <>
+          <div className="grid gap-2 text-xs text-foreground/60 sm:grid-cols-3">
+            <div>
+              <span className="font-semibold text-foreground/75">Faces:</span>{' '}
+              {report.facesDetected ?? 0} of {report.included ?? 0}
+            </div>
+            <div>
+              <span className="font-semibold text-foreground/75">Expressions:</span>{' '}
+              {formatCounts(report.expressions) || '—'}
+            </div>
+            <div>
+              <span className="font-semibold text-foreground/75">Lighting:</span>{' '}
+              {formatCounts(report.lighting) || '—'}
+            </div>
+          </div>
+          {Object.keys(report.excluded || {}).length ? (
+            <p className="text-xs text-foreground/50">
+              Excluded:{' '}
+              {Object.entries(report.excluded)
+                .map(([reason, count]) => `${EXCLUSION_LABELS[reason] || reason} ${count}`)
+                .join(' · ')}
+            </p>
+          ) : null}
+          {(report.warnings || []).map((warning) => (
+            <p key={warning} className="text-xs text-amber-300">
+              {warning}
+            </p>
+          ))}
+
+          <div className="grid gap-3 grid-cols-2 sm:grid-cols-3 lg:grid-cols-4">
+            {items.map((item) => {
+              const previewUrl = item.included ? item.processed?.url : item.sourceUrl;
+              const isSaving = savingItemId === item._id;
+              return (
+                <div
+                  key={item._id}
+                  className={`flex flex-col gap-2 rounded-lg border p-2 ${
+                    item.included ? 'border-border/60 bg-card' : 'border-border/30 bg-card/40 opacity-70'
+                  }`}
+                >
+                  <div className="relative aspect-square overflow-hidden rounded-md bg-muted/40">
+                    {previewUrl ? (
+                      <img
+                        src={previewUrl}
+                        alt={item.originalName || 'Training image'}
+                        className="h-full w-full object-cover"
+                        loading="lazy"
+                      />
+                    ) : (
+                      <div className="flex h-full items-center justify-center text-xs text-foreground/40">
+                        No preview
+                      </div>
+                    )}
+                    {isSaving ? (
+                      <div className="absolute inset-0 flex items-center justify-center bg-black/40">
+                        <Loader2 className="h-5 w-5 animate-spin text-white" />
+                      </div>
+                    ) : null}
+                  </div>
+                  <p className="truncate text-xs font-medium text-foreground" title={item.originalName}>
+                    {item.originalName}
+                  </p>
+                  <div className="flex flex-wrap gap-1">
+                    {item.included ? (
+                      <Badge variant="success">Included</Badge>
+                    ) : (
+                      <Badge variant="destructive">
+                        {EXCLUSION_LABELS[item.exclusionReason] || 'Excluded'}
+                      </Badge>
+                    )}
+                    <Badge variant="outline">{CROP_SOURCE_LABELS[item.cropSource] || 'Full frame'}</Badge>
+                    {item.face?.expression ? <Badge variant="secondary">{item.face.expression}</Badge> : null}
+                    {item.lighting?.label ? <Badge variant="secondary">{item.lighting.label}</Badge> : null}
+                    {Number.isFinite(item.evaluationScore) ? (
+                      <Badge variant="outline">{item.evaluationScore}%</Badge>
+                    ) : null}
+                  </div>
+                  {isAdmin && item.exclusionReason !== 'unreadable' ? (
+                    <div className="flex flex-wrap gap-2">
+                      <Button
+                        type="button"
+                        size="sm"
+                        variant={item.included ? 'outline' : 'default'}
+                        className="h-7 text-xs"
+                        disabled={isSaving}
+                        onClick={() => handleUpdateItem(item, { included: !item.included })}
+                      >
+                        {item.included ? 'Exclude' : 'Include'}
+                      </Button>
+                      {item.included ? (
+                        <Button
+                          type="button"
+                          size="sm"
+                          variant="ghost"
+                          className="h-7 gap-1 text-xs"
+                          disabled={isSaving}
+                          onClick={() =>
+                            setCroppingItemId((prev) => (prev === item._id ? null : item._id))
+                          }
+                        >
+                          <Crop className="h-3 w-3" />
+                          Crop
+                        </Button>
+                      ) : null}
+                    </div>
+                  ) : null}
+                  {croppingItemId === item._id ? (
+                    <CropEditor
+                      item={item}
+                      saving={isSaving}
+                      onApply={(crop) => handleUpdateItem(item, { crop })}
+                      onCancel={() => setCroppingItemId(null)}
+                    />
+                  ) : null}
+                </div>
+              );
+            })}
+          </div>
+        </>
+      ) : dataset?.status === 'failed' ? (
+        <p className="text-xs text-red-300">Preparation failed: {dataset.error || 'unknown error'}</p>
+      ) : (
+        <p className="text-xs text-foreground/50">
+          Prepare a dataset to review which photos will be used before launching.
+        </p>
+      )}
+    </div>
+  );
+}
+
+export default TrainingDatasetReview;
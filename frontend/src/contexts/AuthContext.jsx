@@ -0,0 +1,62 @@
+import { createContext, useCallback, useContext, useEffect, useMemo, useState } from 'react';
+import { authAPI } from '@/services/api';
+
+const AuthContext = createContext();
+
+export const useAuth = () => {
+  const context = useContext(AuthContext);
+  if (!context) {
+    throw new Error('useAuth must be used within AuthProvider');
+  }
+  return context;
+};
+
+export const AuthProvider = ({ children }) => {
+  const [account, setAccount] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  const refresh = useCallback(async () => {
+    try {
+      const response = await authAPI.me();
+      setAccount(response?.data || null);
+    } catch (error) {
+      setAccount(null);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  const login = useCallback(async (credentials) => {
+    const response = await authAPI.login(credentials);
+    const nextAccount = response?.data?.account || null;
+    setAccount(nextAccount);
+    return nextAccount;
+  }, []);
+
+  const logout = useCallback(async () => {
+    try {
+      await authAPI.logout();
+    } finally {
+      setAccount(null);
+    }
+  }, []);
+
+  const value = useMemo(
+    () => ({
+      account,
+      loading,
+      isAdmin: account?.role === 'admin',
+      canEdit: account?.role === 'admin' || account?.role === 'editor',
+      login,
+      logout,
+      refresh,
+    }),
+    [account, loading, login, logout, refresh]
+  );
+
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
+};
@@ -0,0 +1,323 @@
+import { useCallback, useEffect, useState } from 'react';
+import toast from 'react-hot-toast';
+import {
+  ArrowLeft,
+  ArrowRight,
+  ChevronDown,
+  ChevronRight,
+  Loader2,
+  RefreshCw,
+  ScrollText,
+  Search,
+} from 'lucide-react';
+import { auditAPI } from '@/services/api';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Input } from '@/components/ui/input';
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardFooter,
+  CardHeader,
+  CardTitle,
+} from '@/components/ui/card';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import { cn } from '@/lib/utils';
+
+const PAGE_SIZE = 25;
+
+const ACTION_OPTIONS = [
+  { value: 'all', label: 'All actions' },
+  { value: 'create', label: 'Created' },
+  { value: 'update', label: 'Updated' },
+  { value: 'delete', label: 'Deleted' },
+];
+
+const ACTION_STYLES = {
+  create: 'text-emerald-600 dark:text-emerald-400',
+  update: 'text-sky-600 dark:text-sky-400',
+  delete: 'text-red-600 dark:text-red-400',
+};
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+const formatTimestamp = (value) => {
+  if (!value) return '';
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? '' : date.toLocaleString();
+};
+
+function Audit() {
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [resourceTypes, setResourceTypes] = useState([]);
+  const [resourceType, setResourceType] = useState('all');
+  const [action, setAction] = useState('all');
+  const [actorTerm, setActorTerm] = useState('');
+  const [searchTerm, setSearchTerm] = useState('');
+  const [debouncedActor, setDebouncedActor] = useState('');
+  const [debouncedSearch, setDebouncedSearch] = useState('');
+  const [page, setPage] = useState(1);
+  const [pagination, setPagination] = useState({
+    page: 1,
+    total: 0,
+    totalPages: 0,
+    hasNextPage: false,
+    hasPrevPage: false,
+  });
+  const [expandedId, setExpandedId] = useState(null);
+
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setDebouncedActor(actorTerm.trim());
+      setDebouncedSearch(searchTerm.trim());
+    }, 400);
+    return () => clearTimeout(timer);
+  }, [actorTerm, searchTerm]);
+
+  useEffect(() => {
+    setPage(1);
+  }, [resourceType, action, debouncedActor, debouncedSearch]);
+
+  const fetchEntries = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await auditAPI.list({
+        page,
+        limit: PAGE_SIZE,
+        resourceType,
+        action,
+        actor: debouncedActor || undefined,
+        search: debouncedSearch || undefined,
+      });
+      setEntries(Array.isArray(response?.data) ? response.data : []);
+      setPagination((prev) => ({ ...prev, ...(response?.pagination || {}) }));
+      setResourceTypes(
+        Array.isArray(response?.stats?.resourceTypes) ? response.stats.resourceTypes : []
+      );
+    } catch (error) {
+      toast.error(error.message || 'Failed to load audit log');
+    } finally {
+      setLoading(false);
+    }
+  }, [page, resourceType, action, debouncedActor, debouncedSearch]);
+
+  useEffect(() => {
+    fetchEntries();
+  }, [fetchEntries]);
+
+  return (
+    <div className="space-y-8">
+      <section className="space-y-3">
+        <div className="inline-flex items-center gap-2 rounded-full border border-border/60 bg-muted/40 px-3 py-1 text-xs font-semibold uppercase tracking-[0.2em] text-muted-foreground">
+          <ScrollText className="h-3.5 w-3.5" />
+          Audit log
+        </div>
+        <h1 className="text-3xl font-semibold tracking-tight text-foreground">
+          Who changed what, and when
+        </h1>
+        <p className="max-w-2xl text-sm text-muted-foreground sm:text-base">
+          Every create, update and delete made from the dashboard is recorded with the account that
+          made it and a field-level diff.
+        </p>
+      </section>
+
+      <Card className="shadow-sm">
+        <CardHeader className="space-y-4">
+          <div className="flex items-center justify-between gap-3">
+            <div className="space-y-1">
+              <CardTitle className="text-lg font-semibold">Activity</CardTitle>
+              <CardDescription>{pagination.total} recorded actions</CardDescription>
+            </div>
+            <Button
+              type="button"
+              variant="outline"
+              size="sm"
+              className="gap-1.5"
+              onClick={fetchEntries}
+              disabled={loading}
+            >
+              <RefreshCw className={cn('h-4 w-4', loading && 'animate-spin')} />
+              Refresh
+            </Button>
+          </div>
+          <div className="grid gap-3 md:grid-cols-4">
+            <Select value={resourceType} onValueChange={setResourceType}>
+              <SelectTrigger>
+                <SelectValue placeholder="Resource" />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value="all">All resources</SelectItem>
+                {resourceTypes.map((type) => (
+                  <SelectItem key={type} value={type}>
+                    {type}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+            <Select value={action} onValueChange={setAction}>
+              <SelectTrigger>
+                <SelectValue placeholder="Action" />
+              </SelectTrigger>
+              <SelectContent>
+                {ACTION_OPTIONS.map((option) => (
+                  <SelectItem key={option.value} value={option.value}>
+                    {option.label}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+            <Input
+              placeholder="Actor name or email"
+              value={actorTerm}
+              onChange={(event) => setActorTerm(event.target.value)}
+            />
+            <div className="relative">
+              <Search className="pointer-events-none absolute left-3 top-1/2 h-4 w-4 -translate-y-1/2 text-muted-foreground" />
+              <Input
+                className="pl-9"
+                placeholder="Summary, route or id"
+                value={searchTerm}
+                onChange={(event) => setSearchTerm(event.target.value)}
+              />
+            </div>
+          </div>
+        </CardHeader>
+        <CardContent className="space-y-2">
+          {loading && entries.length === 0 ? (
+            <div className="flex items-center gap-2 text-muted-foreground">
+              <Loader2 className="h-4 w-4 animate-spin" />
+              Loading audit log…
+            </div>
+          ) : entries.length === 0 ? (
+            <p className="text-muted-foreground">No matching actions.</p>
+          ) : (
+            entries.map((entry) => {
+              const isExpanded = expandedId === entry._id;
+              const changes = Array.isArray(entry.changes) ? entry.changes : [];
+              return (
+                <div key={entry._id} className="rounded-lg border border-border/70 bg-background">
+                  <button
+                    type="button"
+                    onClick={() => setExpandedId(isExpanded ? null : entry._id)}
+                    className="flex w-full items-start gap-3 p-4 text-left"
+                  >
+                    {isExpanded ? (
+                      <ChevronDown className="mt-0.5 h-4 w-4 shrink-0 text-muted-foreground" />
+                    ) : (
+                      <ChevronRight className="mt-0.5 h-4 w-4 shrink-0 text-muted-foreground" />
+                    )}
+                    <div className="min-w-0 flex-1 space-y-1">
+                      <div className="flex flex-wrap items-center gap-2">
+                        <span
+                          className={cn(
+                            'text-xs font-semibold uppercase tracking-wide',
+                            ACTION_STYLES[entry.action]
+                          )}
+                        >
+                          {entry.action}
+                        </span>
+                        <Badge variant="outline">{entry.resourceType}</Badge>
+                        <span className="truncate font-medium text-foreground">
+                          {entry.summary || entry.route}
+                        </span>
+                      </div>
+                      <p className="text-xs text-muted-foreground">
+                        {entry.actor?.name || entry.actor?.email || 'Unknown'}
+                        {entry.actor?.role ? ` (${entry.actor.role})` : ''} ·{' '}
+                        {formatTimestamp(entry.createdAt)} · {entry.method} {entry.route}
+                      </p>
+                    </div>
+                    <span className="shrink-0 text-xs text-muted-foreground">
+                      {changes.length} field{changes.length === 1 ? '' : 's'}
+                    </span>
+                  </button>
+                  {isExpanded && (
+                    <div className="space-y-2 border-t border-border/60 p-4 text-xs">
+                      {entry.targetId && (
+                        <p className="text-muted-foreground">
+                          Target <span className="font-mono">{entry.targetId}</span>
+                        </p>
+                      )}
+                      {changes.length === 0 ? (
+                        <p className="text-muted-foreground">No field changes recorded.</p>
+                      ) : (
+                        <div className="overflow-x-auto">
+                          <div className="grid min-w-[560px] grid-cols-[minmax(160px,1fr)_2fr_2fr] gap-x-4 gap-y-1">
+                            <span className="font-semibold text-muted-foreground">Field</span>
+                            <span className="font-semibold text-muted-foreground">Before</span>
+                            <span className="font-semibold text-muted-foreground">After</span>
+                            {changes.map((change) => (
+                              <div key={change.path} className="contents">
+                                <span className="break-all font-mono text-foreground">{change.path}</span>
+                                <span className="break-all text-red-600/90 dark:text-red-400/90">
+                                  {formatValue(change.before)}
+                                </span>
+                                <span className="break-all text-emerald-600/90 dark:text-emerald-400/90">
+                                  {formatValue(change.after)}
+                                </span>
+                              </div>
+                            ))}
+                          </div>
+                        </div>
+                      )}
+                      {entry.metadata?.truncatedChanges ? (
+                        <p className="text-muted-foreground">
+                          {entry.metadata.truncatedChanges} more changed fields were not stored.
+                        </p>
+                      ) : null}
+                    </div>
+                  )}
+                </div>
+              );
+            })
+          )}
+        </CardContent>
+        <CardFooter className="justify-between">
+          <div className="text-sm text-muted-foreground">{pagination.total} entries</div>
+          <div className="flex items-center gap-2">
+            <Button
+              type="button"
+              variant="outline"
+              size="sm"
+              className="gap-1.5"
+              onClick={() => setPage((prev) => Math.max(prev - 1, 1))}
+              disabled={!pagination.hasPrevPage || loading}
+            >
+              <ArrowLeft className="h-4 w-4" />
+              Prev
+            </Button>
+            <div className="text-sm font-medium text-foreground">
+              Page {pagination.totalPages === 0 ? 1 : pagination.page} of{' '}
+              {pagination.totalPages === 0 ? 1 : pagination.totalPages}
+            </div>
+            <Button
+              type="button"
+              variant="outline"
+              size="sm"
+              className="gap-1.5"
+              onClick={() => setPage((prev) => prev + 1)}
+              disabled={!pagination.hasNextPage || loading}
+            >
+              Next
+              <ArrowRight className="h-4 w-4" />
+            </Button>
+          </div>
+        </CardFooter>
+      </Card>
+    </div>
+  );
+}
+
+export default Audit;
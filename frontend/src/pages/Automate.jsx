@@ -113,6 +113,7 @@ const TRAINING_STATUS_META = {
 const STORYBOOK_STATUS_META = {
   queued: { label: 'Queued', badge: 'outline' },
   generating: { label: 'Generating', badge: 'default' },
+  paused: { label: 'Paused · budget', badge: 'warning' },
   assembling: { label: 'Assembling', badge: 'warning' },
   succeeded: { label: 'Completed', badge: 'success' },
   failed: { label: 'Failed', badge: 'destructive' },
@@ -334,7 +335,9 @@ function Automate() {
       reconnectTimeoutRef.current = null;
     }
 
-    const source = new EventSource(`${API_BASE_URL}/automation/stream/live`);
+    const source = new EventSource(`${API_BASE_URL}/automation/stream/live`, {
+      withCredentials: true,
+    });
     eventSourceRef.current = source;
 
     source.onmessage = (event) => {
@@ -1180,6 +1183,14 @@ function Automate() {
                               </p>
                             </div>
                           ) : null}
+                          {storybookSnapshot?.status === 'paused' ? (
+                            <div className="mt-2 rounded-lg border border-amber-500/40 bg-amber-500/10 p-2.5">
+                              <p className="text-xs font-medium text-amber-300">
+                                {storybookSnapshot.budget?.pausedReason || 'Paused by a spend guard'}
+                                {' '}• Approve from the Storybooks page.
+                              </p>
+                            </div>
+                          ) : null}
                           {storybookSnapshot?.pdfAsset?.url ? (
                             <a
                               href={storybookSnapshot.pdfAsset.url}
@@ -15,6 +15,7 @@ import {
   RefreshCw,
   ChevronLeft,
   ChevronRight,
+  History,
 } from 'lucide-react';
 import { bookAPI } from '@/services/api';
 import { Button } from '@/components/ui/button';
@@ -40,7 +41,15 @@ import { Tabs, TabsList, TabsTrigger, TabsContent } from '@/components/ui/tabs';
 import { Badge } from '@/components/ui/badge';
 import { Skeleton } from '@/components/ui/skeleton';
 import ImageViewer from '@/components/ImageViewer';
+import BookRevisionHistory from '@/components/BookRevisionHistory';
+import StoryPagePreview from '@/components/StoryPagePreview';
 import { formatFileSize } from '@/utils/file';
+import {
+  DEFAULT_STORY_LANGUAGE,
+  STORY_LANGUAGES,
+  getLanguageName,
+  getTextDirection,
+} from '@/utils/languages';
 
 const GENDER_OPTIONS = [
   { value: 'male', label: 'Male' },
@@ -72,6 +81,7 @@ const createEmptyPage = () => ({
   id: null,
   pageType: 'story',
   text: '',
+  translations: {},
   prompt: '',
   promptMale: '',
   promptFemale: '',
@@ -95,6 +105,8 @@ const createEmptyBookForm = () => ({
   name: '',
   description: '',
   gender: 'both',
+  language: DEFAULT_STORY_LANGUAGE,
+  translationLanguages: [],
   status: 'active',
   cover: {
     existing: null,
@@ -170,11 +182,13 @@ function Books() {
   const [editingBook, setEditingBook] = useState(null);
   const [isSaving, setIsSaving] = useState(false);
   const [viewerImage, setViewerImage] = useState(null);
+  const [historyBook, setHistoryBook] = useState(null);
   const [activeTab, setActiveTab] = useState('story-pages');
   const [coverPreview, setCoverPreview] = useState(null);
   const [isGeneratingPreview, setIsGeneratingPreview] = useState(false);
   const [dedicationPreview, setDedicationPreview] = useState(null);
   const [isGeneratingDedicationPreview, setIsGeneratingDedicationPreview] = useState(false);
+  const [previewChildName, setPreviewChildName] = useState('');
   const [page, setPage] = useState(1);
   const [limit, setLimit] = useState(BOOK_PAGE_SIZES[0]);
   const [searchTerm, setSearchTerm] = useState('');
@@ -472,10 +486,21 @@ function Books() {
       (a, b) => (a.order || 0) - (b.order || 0)
     );
 
+    const bookLanguage = book.language || DEFAULT_STORY_LANGUAGE;
+    const translationLanguages = Array.from(
+      new Set(
+        sortedPages.flatMap((page) =>
+          (page.translations || []).map((translation) => translation.language)
+        )
+      )
+    ).filter((code) => code !== bookLanguage);
+
     setFormState({
       name: book.name || '',
       description: book.description || '',
       gender: book.gender || 'both',
+      language: bookLanguage,
+      translationLanguages,
       status: book.status || 'active',
       cover: {
         existing: book.coverImage || null,
@@ -496,6 +521,12 @@ function Books() {
                 id: page._id || null,
                 pageType,
                 text: page.text || '',
+                translations: Object.fromEntries(
+                  (page.translations || []).map((translation) => [
+                    translation.language,
+                    translation.text || '',
+                  ])
+                ),
                 prompt:
                   page.characterPrompt ||
                   page.prompt ||
@@ -688,6 +719,30 @@ function Books() {
     });
   };
 
+  const handlePageTranslationChange = (index, language, value) => {
+    setFormState((prev) => {
+      const nextPages = [...prev.pages];
+      const current = nextPages[index];
+      nextPages[index] = {
+        ...current,
+        translations: { ...(current.translations || {}), [language]: value },
+      };
+      return { ...prev, pages: nextPages };
+    });
+  };
+
+  const toggleTranslationLanguage = (language) => {
+    setFormState((prev) => {
+      const active = prev.translationLanguages || [];
+      return {
+        ...prev,
+        translationLanguages: active.includes(language)
+          ? active.filter((code) => code !== language)
+          : [...active, language],
+      };
+    });
+  };
+
 const handlePagePromptChange = (index, gender, value) => {
   setFormState((prev) => {
     const nextPages = [...prev.pages];
@@ -1148,6 +1203,11 @@ const handleRemovePageImage = (index) => {
         formData.append('qrCodeUrl', formState.coverPage.qrCode.existing.url);
       }
 
+      // Draw with the book's chosen cover font
+      if (formMode === 'edit' && editingBook?._id) {
+        formData.append('bookId', editingBook._id);
+      }
+
       // Call API to generate preview
       const response = await bookAPI.generateCoverPreview(formData);
 
@@ -1201,6 +1261,11 @@ const handleRemovePageImage = (index) => {
         formData.append('kidImageUrl', formState.dedicationPage.kidImage.existing.url);
       }
 
+      // Draw with the book's chosen dedication font
+      if (formMode === 'edit' && editingBook?._id) {
+        formData.append('bookId', editingBook._id);
+      }
+
       // Call API to generate preview
       const response = await bookAPI.generateDedicationPreview(formData);
 
@@ -1281,6 +1346,13 @@ const handleRemovePageImage = (index) => {
         id: page.id,
         order: pagesPayload.length + 1,
         text: page.text,
+        // Languages switched off are sent blank, which removes them
+        translations: Object.fromEntries(
+          STORY_LANGUAGES.map(({ code }) => [
+            code,
+            formState.translationLanguages.includes(code) ? page.translations?.[code] || '' : '',
+          ])
+        ),
         prompt: promptCombined,
         promptMale,
         promptFemale,
@@ -1315,6 +1387,7 @@ const handleRemovePageImage = (index) => {
       formData.append('description', '');
     }
     formData.append('gender', formState.gender);
+    formData.append('language', formState.language);
     formData.append('status', formState.status);
 
     const coverAction =
@@ -1430,6 +1503,15 @@ const handleRemovePageImage = (index) => {
     }
   };
 
+  // Rendered page previews address the saved page, so only pages that exist on the server get one
+  const savedPageOrders = useMemo(
+    () =>
+      new Map(
+        (formMode === 'edit' ? editingBook?.pages || [] : []).map((page) => [page._id, page.order])
+      ),
+    [editingBook, formMode]
+  );
+
   const openImageViewer = (image, fallbackTitle) => {
     if (!image?.url && !image?.preview) return;
     setViewerImage({
@@ -1445,6 +1527,10 @@ const handleRemovePageImage = (index) => {
     setViewerImage(null);
   }, []);
 
+  const handleHistoryClose = useCallback(() => {
+    setHistoryBook(null);
+  }, []);
+
   if (loading) {
     return (
       <div className="space-y-6">
@@ -1679,6 +1765,61 @@ const handleRemovePageImage = (index) => {
                     </SelectContent>
                   </Select>
                 </div>
+                <div className="grid gap-2">
+                  <Label>Story language</Label>
+                  <Select
+                    value={formState.language}
+                    onValueChange={(value) =>
+                      setFormState((prev) => ({
+                        ...prev,
+                        language: value,
+                        translationLanguages: prev.translationLanguages.filter(
+                          (code) => code !== value
+                        ),
+                      }))
+                    }
+                  >
+                    <SelectTrigger>
+                      <SelectValue placeholder="Select language" />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {STORY_LANGUAGES.map((language) => (
+                        <SelectItem key={language.code} value={language.code}>
+                          {language.name}
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                  <p className="text-xs text-foreground/50">
+                    Language the narration is written in.
+                  </p>
+                </div>
+                <div className="grid gap-2 sm:col-span-2">
+                  <Label>Translations</Label>
+                  <div className="flex flex-wrap gap-2">
+                    {STORY_LANGUAGES.filter((language) => language.code !== formState.language).map(
+                      (language) => {
+                        const active = formState.translationLanguages.includes(language.code);
+                        return (
+                          <Button
+                            key={language.code}
+                            type="button"
+                            size="sm"
+                            variant={active ? 'default' : 'outline'}
+                            onClick={() => toggleTranslationLanguage(language.code)}
+                          >
+                            {language.name}
+                          </Button>
+                        );
+                      }
+                    )}
+                  </div>
+                  <p className="text-xs text-foreground/50">
+                    Each selected language gets its own narration field on every page. A storybook
+                    run can only use a language once every page with text is translated; Hebrew and
+                    Yiddish editions read right to left.
+                  </p>
+                </div>
               </div>
 
               <div className="space-y-3 rounded-xl border border-border/60 bg-muted p-4">
@@ -1758,6 +1899,17 @@ const handleRemovePageImage = (index) => {
                           Add story beats with accompanying background visuals for each page.
                         </p>
                       </div>
+                      <div className="w-full space-y-1 sm:w-48">
+                        <Label htmlFor="preview-child-name" className="text-xs">
+                          Preview name
+                        </Label>
+                        <Input
+                          id="preview-child-name"
+                          placeholder="e.g. Avi"
+                          value={previewChildName}
+                          onChange={(event) => setPreviewChildName(event.target.value)}
+                        />
+                      </div>
                       <Button type="button" variant="outline" className="gap-2" onClick={handleAddPage}>
                         <Plus className="h-4 w-4" />
                         Add page
@@ -1834,13 +1986,39 @@ const handleRemovePageImage = (index) => {
                           id={`page-text-${index}`}
                           minRows={3}
                           placeholder="Describe the scene and action for this page."
+                          dir={getTextDirection(formState.language)}
                           value={page.text}
                           onChange={(event) =>
                             handlePageTextChange(index, event.target.value)
                           }
                         />
+                        <p className="text-xs text-foreground/50">
+                          Placeholders: {'{name}'}, {'{age}'}, {'{hometown}'}, {'{siblings}'},{' '}
+                          {'{they}'}/{'{them}'}/{'{their}'}, {'{#if age >= 6}'}…{'{else}'}…{'{/if}'}{' '}
+                          and {'{siblingCount|plural:# sister:# sisters}'}. Write {'{{'} for a literal
+                          brace.
+                        </p>
                       </div>
 
+                      {formState.translationLanguages.map((language) => (
+                        <div key={language} className="space-y-2">
+                          <Label htmlFor={`page-text-${index}-${language}`}>
+                            Narration ({getLanguageName(language)})
+                          </Label>
+                          <Textarea
+                            id={`page-text-${index}-${language}`}
+                            minRows={3}
+                            dir={getTextDirection(language)}
+                            lang={language}
+                            placeholder={`${getLanguageName(language)} text for this page.`}
+                            value={page.translations?.[language] || ''}
+                            onChange={(event) =>
+                              handlePageTranslationChange(index, language, event.target.value)
+                            }
+                          />
+                        </div>
+                      ))}
+
                       <div className="space-y-2">
                         <Label>Background image</Label>
                         <div className="flex items-center gap-2">
@@ -1903,6 +2081,26 @@ const handleRemovePageImage = (index) => {
                         )}
                       </div>
 
+                      {page.pageType !== 'cover' ? (
+                        <div className="space-y-2">
+                          <Label>Rendered page</Label>
+                          <StoryPagePreview
+                            bookId={savedPageOrders.has(page.id) ? editingBook?._id : null}
+                            order={savedPageOrders.get(page.id)}
+                            text={page.text}
+                            backgroundFile={page.file}
+                            removeBackground={Boolean(page.removeImage) && !page.file}
+                            characterPosition={page.characterPosition}
+                            childName={previewChildName.trim()}
+                            language={formState.language}
+                            alt={`Page ${index + 1} preview`}
+                            onOpen={(url) =>
+                              openImageViewer({ url }, `Page ${index + 1} preview`)
+                            }
+                          />
+                        </div>
+                      ) : null}
+
                       <div className="space-y-3">
                         <div className="grid gap-3 sm:grid-cols-2">
                           <div className="space-y-2">
@@ -1948,7 +2146,7 @@ const handleRemovePageImage = (index) => {
                       <div>
                         <Label className="text-base">Cover Page Editor</Label>
                         <p className="text-xs text-foreground/50 mt-1">
-                          Design the backcover of your book with customizable text and images. Use {'{name}'} and pronoun tags like {'{gender}'}, {'{genderx}'}, {'{gendery}'}, {'{genderz}'} for dynamic personalisation.
+                          Design the backcover of your book with customizable text and images. Use {'{name}'}, {'{age}'}, {'{hometown}'}, {'{siblings}'}, pronouns like {'{they}'} and {'{their}'}, and {'{#if girl}'}…{'{else}'}…{'{/if}'} blocks for dynamic personalisation.
                         </p>
                       </div>
 
@@ -2037,7 +2235,7 @@ const handleRemovePageImage = (index) => {
                           </div>
                         </div>
                         <p className="text-xs text-foreground/50">
-                          Leave a field empty to reuse the other prompt. Prompts guide automatic cover character generation and support {'{name}'} and gender placeholders ({'{gender}'}, {'{genderx}'}, {'{gendery}'}, {'{genderz}'}).
+                          Leave a field empty to reuse the other prompt. Prompts guide automatic cover character generation and support the same story placeholders as page text ({'{name}'}, {'{they}'}, {'{#if boy}'}…{'{/if}'}).
                         </p>
                       </div>
 
@@ -2057,7 +2255,7 @@ const handleRemovePageImage = (index) => {
                             }
                           />
                           <p className="text-xs text-foreground/50">
-                            Use {'{name}'} or pronoun placeholders ({'{gender}'}, {'{genderx}'}, {'{gendery}'}, {'{genderz}'}) for the child's details.
+                            Use {'{name}'}, {'{hometown}'} or pronoun placeholders ({'{they}'}, {'{them}'}, {'{their}'}) for the child's details.
                           </p>
                         </div>
 
@@ -2436,6 +2634,11 @@ const handleRemovePageImage = (index) => {
                 <span className="rounded-full bg-foreground/10 px-2 py-0.5 text-[11px] uppercase tracking-wide text-foreground/55">
                   {book.gender}
                 </span>
+                {(book.language || DEFAULT_STORY_LANGUAGE) !== DEFAULT_STORY_LANGUAGE && (
+                  <span className="rounded-full bg-foreground/10 px-2 py-0.5 text-[11px] uppercase tracking-wide text-foreground/55">
+                    {getLanguageName(book.language)}
+                  </span>
+                )}
               </div>
             </CardHeader>
 
@@ -2502,6 +2705,16 @@ const handleRemovePageImage = (index) => {
                   </>
                 )}
               </Button>
+              <Button
+                type="button"
+                variant="outline"
+                size="sm"
+                className="gap-1"
+                onClick={() => setHistoryBook(book)}
+              >
+                <History className="h-4 w-4" />
+                History
+              </Button>
               <Button
                 type="button"
                 variant="outline"
@@ -2600,6 +2813,12 @@ const handleRemovePageImage = (index) => {
       )}
 
       <ImageViewer open={Boolean(viewerImage)} image={viewerImage} onClose={handleViewerClose} />
+      <BookRevisionHistory
+        open={Boolean(historyBook)}
+        book={historyBook}
+        onClose={handleHistoryClose}
+        onRestored={() => fetchBooks({ withSpinner: false })}
+      />
     </div>
   );
 }
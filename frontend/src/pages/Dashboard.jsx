@@ -16,11 +16,14 @@ import {
   Users,
   UserCog,
   UserX,
+  Wallet,
 } from 'lucide-react';
 import { dashboardAPI } from '@/services/api';
 import { Button } from '@/components/ui/button';
 import { Badge } from '@/components/ui/badge';
+import { CostReportPanel } from '@/components/CostReportPanel';
 import { cn } from '@/lib/utils';
+import { formatUsd } from '@/utils/currency';
 
 const toValidDate = (value) => {
   if (!value) return null;
@@ -105,6 +108,11 @@ const STAT_CARDS = [
     label: 'Active trainings',
     icon: Activity,
   },
+  {
+    key: 'recentSpend',
+    label: 'Spend (30 days)',
+    icon: Wallet,
+  },
 ];
 
 function Dashboard() {
@@ -193,6 +201,16 @@ function Dashboard() {
     };
   }, [overview]);
 
+  const costStats = useMemo(() => {
+    const stats = overview?.stats?.costs || {};
+    return {
+      totalUsd: stats.total?.costUsd || 0,
+      recentUsd: stats.last30Days?.costUsd || 0,
+      storybookCount: stats.storybooks?.count || 0,
+      averageStorybookUsd: stats.storybooks?.averageCostUsd || 0,
+    };
+  }, [overview]);
+
   const statCardValues = useMemo(() => {
     return {
       totalBooks: {
@@ -238,8 +256,15 @@ function Dashboard() {
           ? `${formatPercent((trainingStats.active / Math.max(trainingStats.total, 1)) * 100)} in-flight`
           : null,
       },
+      recentSpend: {
+        value: costStats.recentUsd,
+        display: formatUsd(costStats.recentUsd),
+        delta: costStats.storybookCount
+          ? `${formatUsd(costStats.averageStorybookUsd)} / storybook`
+          : null,
+      },
     };
-  }, [bookStats, generationStats, trainingStats, userStats]);
+  }, [bookStats, costStats, generationStats, trainingStats, userStats]);
 
   const activityIconMap = useMemo(
     () => ({
@@ -390,7 +415,7 @@ function Dashboard() {
                         <Icon className="h-5 w-5 text-foreground/70" />
                       </span>
                     </div>
-                    <p className="stat-card__value">{formatNumber(stat.value)}</p>
+                    <p className="stat-card__value">{stat.display ?? formatNumber(stat.value)}</p>
                     {stat.delta && (
                       <p
                         className={cn(
@@ -526,6 +551,8 @@ function Dashboard() {
         </article>
       </section>
 
+      <CostReportPanel />
+
       <section className="grid gap-6 lg:grid-cols-2">
         <article className="panel space-y-5">
           <header className="panel-header">
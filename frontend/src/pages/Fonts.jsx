@@ -0,0 +1,472 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import toast from 'react-hot-toast';
+import { Loader2, RotateCcw, Save, Trash2, Type, Upload } from 'lucide-react';
+import { bookAPI, fontAPI } from '@/services/api';
+import { useAuth } from '@/contexts/AuthContext';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from '@/components/ui/card';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import { SearchableSelect } from '@/components/ui/searchable-select';
+
+// Select value for a role drawn with the bundled font chain
+const BUNDLED_FONT = 'bundled';
+
+// Weight and style are read from the file unless set here
+const FROM_FILE = 'file';
+
+const EMPTY_UPLOAD = { file: null, name: '', weight: '', style: FROM_FILE };
+
+const WEIGHT_OPTIONS = [100, 200, 300, 400, 500, 600, 700, 800, 900];
+
+const formatBytes = (bytes) => {
+  if (!bytes) return '—';
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+const toRoleSelection = (roles, fonts) =>
+  Object.fromEntries(roles.map(({ key }) => [key, fonts?.[key] || BUNDLED_FONT]));
+
+// Nothing chosen is stored as null so the book follows the bundled fonts
+const toFontsPayload = (selection) => {
+  const entries = Object.entries(selection).map(([role, value]) => [
+    role,
+    value === BUNDLED_FONT ? null : value,
+  ]);
+  return entries.some(([, value]) => value) ? Object.fromEntries(entries) : null;
+};
+
+function CoverageIssues({ issues }) {
+  if (!issues.length) return null;
+  return (
+    <div className="space-y-1 rounded-lg border border-red-500/40 bg-red-500/5 p-3">
+      <p className="text-sm font-medium text-red-300">
+        {issues.length === 1 ? '1 coverage problem' : `${issues.length} coverage problems`}
+      </p>
+      <ul className="space-y-1 text-xs text-red-300">
+        {issues.map((issue) => (
+          <li key={`${issue.role}-${issue.location}`}>{issue.message}</li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+function Fonts() {
+  const { isAdmin, canEdit } = useAuth();
+  const [fonts, setFonts] = useState([]);
+  const [roles, setRoles] = useState([]);
+  const [scriptLabels, setScriptLabels] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [upload, setUpload] = useState(EMPTY_UPLOAD);
+  const [uploading, setUploading] = useState(false);
+  const [deletingId, setDeletingId] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const [books, setBooks] = useState([]);
+  const [selectedBookId, setSelectedBookId] = useState('');
+  const [selection, setSelection] = useState({});
+  const [savedSelection, setSavedSelection] = useState({});
+  const [issues, setIssues] = useState([]);
+  const [loadingBook, setLoadingBook] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  const fetchFonts = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await fontAPI.list();
+      setFonts(Array.isArray(response?.data) ? response.data : []);
+      setRoles(Array.isArray(response?.meta?.roles) ? response.meta.roles : []);
+      setScriptLabels(response?.meta?.scripts || {});
+    } catch (error) {
+      toast.error(error.message || 'Failed to load fonts');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchFonts();
+  }, [fetchFonts]);
+
+  useEffect(() => {
+    const fetchBooks = async () => {
+      try {
+        const response = await bookAPI.getAll({ limit: 0, minimal: true });
+        setBooks(Array.isArray(response?.data) ? response.data : []);
+      } catch (error) {
+        toast.error(error.message || 'Failed to load books');
+      }
+    };
+
+    fetchBooks();
+  }, []);
+
+  const loadBookFonts = useCallback(
+    async (bookId) => {
+      const empty = toRoleSelection(roles, null);
+      setIssues([]);
+      if (!bookId) {
+        setSelection(empty);
+        setSavedSelection(empty);
+        return;
+      }
+      setLoadingBook(true);
+      try {
+        const response = await bookAPI.getFonts(bookId);
+        const current = toRoleSelection(roles, response?.data?.fonts);
+        setSelection(current);
+        setSavedSelection(current);
+        setIssues(Array.isArray(response?.data?.issues) ? response.data.issues : []);
+      } catch (error) {
+        toast.error(error.message || "Failed to load the book's fonts");
+      } finally {
+        setLoadingBook(false);
+      }
+    },
+    [roles]
+  );
+
+  useEffect(() => {
+    loadBookFonts(selectedBookId);
+  }, [loadBookFonts, selectedBookId]);
+
+  const handleUpload = async (event) => {
+    event.preventDefault();
+    if (!upload.file) {
+      toast.error('Choose a .ttf or .otf file to upload');
+      return;
+    }
+    const formData = new FormData();
+    formData.append('file', upload.file);
+    if (upload.name.trim()) formData.append('name', upload.name.trim());
+    if (upload.weight) formData.append('weight', upload.weight);
+    if (upload.style !== FROM_FILE) formData.append('style', upload.style);
+
+    setUploading(true);
+    try {
+      const response = await fontAPI.upload(formData);
+      toast.success(`Uploaded ${response?.data?.name || 'font'}`);
+      setUpload(EMPTY_UPLOAD);
+      if (fileInputRef.current) fileInputRef.current.value = '';
+      fetchFonts();
+    } catch (error) {
+      toast.error(error.message || 'Failed to upload font');
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const handleDelete = async (font) => {
+    if (!window.confirm(`Delete the font ${font.name}?`)) return;
+    setDeletingId(font._id);
+    try {
+      await fontAPI.remove(font._id);
+      toast.success('Font deleted');
+      fetchFonts();
+    } catch (error) {
+      toast.error(error.message || 'Failed to delete font');
+    } finally {
+      setDeletingId(null);
+    }
+  };
+
+  const saveBookFonts = async (nextSelection) => {
+    if (!selectedBookId) return;
+    setSaving(true);
+    try {
+      const response = await bookAPI.updateFonts(selectedBookId, toFontsPayload(nextSelection));
+      const saved = toRoleSelection(roles, response?.data?.fonts);
+      setSelection(saved);
+      setSavedSelection(saved);
+      setIssues([]);
+      toast.success(response?.message || 'Book fonts saved');
+    } catch (error) {
+      setIssues(Array.isArray(error.errors) ? error.errors : []);
+      toast.error(error.message || 'Failed to save book fonts');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const bookOptions = useMemo(
+    () => books.map((book) => ({ value: book._id, label: book.name })),
+    [books]
+  );
+
+  const isDirty = useMemo(
+    () => JSON.stringify(selection) !== JSON.stringify(savedSelection),
+    [selection, savedSelection]
+  );
+
+  const hasCustomFonts = Object.values(savedSelection).some((value) => value !== BUNDLED_FONT);
+
+  return (
+    <div className="space-y-8">
+      <section className="space-y-3">
+        <div className="inline-flex items-center gap-2 rounded-full border border-border/60 bg-muted/40 px-3 py-1 text-xs font-semibold uppercase tracking-[0.2em] text-muted-foreground">
+          <Type className="h-3.5 w-3.5" />
+          Fonts
+        </div>
+        <h1 className="text-3xl font-semibold tracking-tight text-foreground">
+          Typefaces for covers, dedications and story pages
+        </h1>
+        <p className="max-w-2xl text-sm text-muted-foreground sm:text-base">
+          Upload fonts once and choose one per text role for each book. A font is only accepted
+          for a book when it has a glyph for every character the book&apos;s copy uses; roles
+          without a font keep the bundled fonts.
+        </p>
+      </section>
+
+      {isAdmin ? (
+        <Card className="shadow-sm">
+          <CardHeader className="space-y-1">
+            <CardTitle className="text-lg font-semibold">Upload a font</CardTitle>
+            <CardDescription>
+              TrueType (.ttf) or OpenType (.otf) files. Family, weight and style are read from the
+              file unless you set them here.
+            </CardDescription>
+          </CardHeader>
+          <CardContent>
+            <form onSubmit={handleUpload} className="space-y-4">
+              <div className="grid gap-4 md:grid-cols-2">
+                <div className="space-y-2">
+                  <Label htmlFor="font-file">Font file</Label>
+                  <Input
+                    id="font-file"
+                    ref={fileInputRef}
+                    type="file"
+                    accept=".ttf,.otf,font/ttf,font/otf"
+                    onChange={(event) =>
+                      setUpload((prev) => ({ ...prev, file: event.target.files?.[0] || null }))
+                    }
+                  />
+                </div>
+                <div className="space-y-2">
+                  <Label htmlFor="font-name">Display name</Label>
+                  <Input
+                    id="font-name"
+                    value={upload.name}
+                    placeholder="From the file"
+                    onChange={(event) =>
+                      setUpload((prev) => ({ ...prev, name: event.target.value }))
+                    }
+                  />
+                </div>
+                <div className="space-y-2">
+                  <Label>Weight</Label>
+                  <Select
+                    value={upload.weight || FROM_FILE}
+                    onValueChange={(value) =>
+                      setUpload((prev) => ({ ...prev, weight: value === FROM_FILE ? '' : value }))
+                    }
+                  >
+                    <SelectTrigger>
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value={FROM_FILE}>From the file</SelectItem>
+                      {WEIGHT_OPTIONS.map((weight) => (
+                        <SelectItem key={weight} value={String(weight)}>
+                          {weight}
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+                <div className="space-y-2">
+                  <Label>Style</Label>
+                  <Select
+                    value={upload.style}
+                    onValueChange={(value) => setUpload((prev) => ({ ...prev, style: value }))}
+                  >
+                    <SelectTrigger>
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value={FROM_FILE}>From the file</SelectItem>
+                      <SelectItem value="normal">Normal</SelectItem>
+                      <SelectItem value="italic">Italic</SelectItem>
+                    </SelectContent>
+                  </Select>
+                </div>
+              </div>
+              <Button type="submit" disabled={uploading || !upload.file}>
+                {uploading ? (
+                  <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                ) : (
+                  <Upload className="mr-2 h-4 w-4" />
+                )}
+                Upload font
+              </Button>
+            </form>
+          </CardContent>
+        </Card>
+      ) : null}
+
+      <Card className="shadow-sm">
+        <CardHeader className="space-y-1">
+          <CardTitle className="text-lg font-semibold">Library</CardTitle>
+          <CardDescription>
+            Scripts are listed when the font draws the whole alphabet; partial coverage is shown as
+            a percentage. A font can only be deleted once no book uses it.
+          </CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-3">
+          {loading ? (
+            <div className="flex items-center gap-2 text-muted-foreground">
+              <Loader2 className="h-4 w-4 animate-spin" />
+              Loading fonts…
+            </div>
+          ) : fonts.length === 0 ? (
+            <p className="text-muted-foreground">No fonts uploaded yet.</p>
+          ) : (
+            fonts.map((font) => {
+              const partial = Object.entries(font.coverage || {}).filter(
+                ([script, share]) => share > 0 && !(font.scripts || []).includes(script)
+              );
+              return (
+                <div
+                  key={font._id}
+                  className="flex flex-col gap-3 rounded-lg border border-border/70 bg-background p-4 md:flex-row md:items-start md:justify-between"
+                >
+                  <div className="min-w-0 space-y-1">
+                    <div className="flex flex-wrap items-center gap-2">
+                      <span className="font-medium text-foreground">{font.name}</span>
+                      <Badge variant="outline">{font.format?.toUpperCase()}</Badge>
+                      {(font.scripts || []).map((script) => (
+                        <Badge key={script} variant="success">
+                          {scriptLabels[script] || script}
+                        </Badge>
+                      ))}
+                      {partial.map(([script, share]) => (
+                        <Badge key={script} variant="warning">
+                          {scriptLabels[script] || script} {Math.round(share * 100)}%
+                        </Badge>
+                      ))}
+                    </div>
+                    <p className="truncate text-xs text-muted-foreground">
+                      {font.family} · {font.weight} {font.style} · {font.glyphCount}{' '}
+                      glyphs · {formatBytes(font.file?.size)}
+                      {font.file?.originalName ? ` · ${font.file.originalName}` : ''}
+                    </p>
+                  </div>
+                  {isAdmin ? (
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      disabled={deletingId === font._id}
+                      onClick={() => handleDelete(font)}
+                    >
+                      {deletingId === font._id ? (
+                        <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                      ) : (
+                        <Trash2 className="mr-2 h-4 w-4" />
+                      )}
+                      Delete
+                    </Button>
+                  ) : null}
+                </div>
+              );
+            })
+          )}
+        </CardContent>
+      </Card>
+
+      <Card className="shadow-sm">
+        <CardHeader className="space-y-1">
+          <CardTitle className="text-lg font-semibold">Book fonts</CardTitle>
+          <CardDescription>
+            Pick a book and the font for each of its text roles. Coverage is checked against the
+            book&apos;s stored copy on save and again before every render.
+          </CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          <SearchableSelect
+            value={selectedBookId}
+            onValueChange={setSelectedBookId}
+            options={bookOptions}
+            placeholder="Select a book..."
+            searchPlaceholder="Search books..."
+          />
+          {selectedBookId ? (
+            <>
+              <div className="grid gap-4 md:grid-cols-2">
+                {roles.map((role) => (
+                  <div key={role.key} className="space-y-2">
+                    <Label>{role.label}</Label>
+                    <Select
+                      value={selection[role.key] || BUNDLED_FONT}
+                      onValueChange={(value) =>
+                        setSelection((prev) => ({ ...prev, [role.key]: value }))
+                      }
+                      disabled={!canEdit || loadingBook || saving}
+                    >
+                      <SelectTrigger>
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        <SelectItem value={BUNDLED_FONT}>Bundled fonts</SelectItem>
+                        {fonts.map((font) => (
+                          <SelectItem key={font._id} value={font._id}>
+                            {font.name}
+                          </SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                    <p className="text-xs text-foreground/50">{role.description}</p>
+                  </div>
+                ))}
+              </div>
+              <CoverageIssues issues={issues} />
+              {canEdit ? (
+                <div className="flex flex-wrap gap-2">
+                  <Button
+                    onClick={() => saveBookFonts(selection)}
+                    disabled={!isDirty || saving || loadingBook}
+                  >
+                    {saving ? (
+                      <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                    ) : (
+                      <Save className="mr-2 h-4 w-4" />
+                    )}
+                    Save fonts
+                  </Button>
+                  <Button
+                    variant="outline"
+                    onClick={() => saveBookFonts(toRoleSelection(roles, null))}
+                    disabled={!hasCustomFonts || saving || loadingBook}
+                  >
+                    <RotateCcw className="mr-2 h-4 w-4" />
+                    Use bundled fonts
+                  </Button>
+                </div>
+              ) : null}
+            </>
+          ) : (
+            <p className="text-xs text-foreground/50">
+              Select a book to see and change its fonts.
+            </p>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
+
+export default Fonts;
@@ -279,7 +279,7 @@ function Generate() {
     }
 
     const streamUrl = `${API_BASE_URL}/generations/stream/live`;
-    const source = new EventSource(streamUrl);
+    const source = new EventSource(streamUrl, { withCredentials: true });
     eventSourceRef.current = source;
 
     source.onopen = () => {
@@ -392,6 +392,7 @@ function Generate() {
     try {
       const response = await trainingAPI.getUserSuccessful(userId);
       setter(response.data);
+      return response.data;
     } catch (error) {
       setter([]);
       throw error;
@@ -411,7 +412,13 @@ function Generate() {
     }
 
     try {
-      await fetchTrainingsForUser(userId, setTrainings);
+      const items = await fetchTrainingsForUser(userId, setTrainings);
+      const defaultTraining = items?.find((training) => training.isDefault);
+      if (defaultTraining) {
+        setFormData((prev) =>
+          prev.userId === userId ? { ...prev, trainingId: defaultTraining._id } : prev
+        );
+      }
     } catch (error) {
       toast.error(`Failed to fetch trainings: ${error.message}`);
     }
@@ -430,7 +437,13 @@ function Generate() {
     }
 
     try {
-      await fetchTrainingsForUser(userId, setRankTrainings);
+      const items = await fetchTrainingsForUser(userId, setRankTrainings);
+      const defaultTraining = items?.find((training) => training.isDefault);
+      if (defaultTraining) {
+        setRankForm((prev) =>
+          prev.userId === userId ? { ...prev, trainingId: defaultTraining._id } : prev
+        );
+      }
     } catch (error) {
       toast.error(`Failed to fetch trainings: ${error.message}`);
     }
@@ -656,7 +669,9 @@ function Generate() {
                     onValueChange={(value) => setFormData((prev) => ({ ...prev, trainingId: value }))}
                     options={trainings.map((training) => ({
                       value: training._id,
-                      label: `${training.modelName} · ${new Date(training.completedAt).toLocaleDateString()}`,
+                      label: `${training.modelName} · ${new Date(training.completedAt).toLocaleDateString()}${
+                        training.isDefault ? ' · default' : ''
+                      }${training.lifecycle?.state === 'deprecated' ? ' · deprecated' : ''}`,
                       searchText: `${training.modelName} ${new Date(training.completedAt).toLocaleDateString()}`,
                     }))}
                     placeholder={formData.userId ? 'Select model' : 'Pick a user first'}
@@ -829,7 +844,9 @@ function Generate() {
                     onValueChange={(value) => setRankForm((prev) => ({ ...prev, trainingId: value }))}
                     options={rankTrainings.map((training) => ({
                       value: training._id,
-                      label: `${training.modelName} · ${training.completedAt ? new Date(training.completedAt).toLocaleDateString() : 'recent'}`,
+                      label: `${training.modelName} · ${training.completedAt ? new Date(training.completedAt).toLocaleDateString() : 'recent'}${
+                        training.isDefault ? ' · default' : ''
+                      }${training.lifecycle?.state === 'deprecated' ? ' · deprecated' : ''}`,
                       searchText: `${training.modelName}`,
                     }))}
                     placeholder={rankForm.userId ? 'Select model' : 'Pick a user first'}
@@ -1199,6 +1216,14 @@ function Generate() {
                                 {image.rankingMeta.score}%
                               </Badge>
                             ) : null}
+                            {Number.isFinite(image.rankingMeta?.faceSimilarity) ? (
+                              <Badge
+                                variant="outline"
+                                title="Face similarity to the child's reference photos"
+                              >
+                                Likeness {Math.round(image.rankingMeta.faceSimilarity * 100)}%
+                              </Badge>
+                            ) : null}
                             <a
                               href={image.downloadUrl || image.url}
                               target="_blank"
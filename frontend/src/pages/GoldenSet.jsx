@@ -0,0 +1,712 @@
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import toast from 'react-hot-toast';
+import { Check, GitCompare, Loader2, Play, RefreshCw, Target, Trash2, X } from 'lucide-react';
+import { goldenSetAPI, promptTemplateAPI } from '@/services/api';
+import { useAuth } from '@/contexts/AuthContext';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from '@/components/ui/card';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import { cn } from '@/lib/utils';
+
+const KINDS = [
+  { value: 'ranking', label: 'Ranking', templateKey: 'ranker' },
+  { value: 'evaluation', label: 'Evaluation', templateKey: 'evaluator' },
+];
+
+const RUN_STATUS_VARIANTS = {
+  queued: 'outline',
+  running: 'warning',
+  completed: 'success',
+  failed: 'destructive',
+};
+
+const RUN_POLL_INTERVAL_MS = 5000;
+const MAX_COMPARED_RUNS = 4;
+
+const formatDate = (value) => {
+  if (!value) return '';
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? '' : date.toLocaleString();
+};
+
+const formatRate = (value) => (value === null || value === undefined ? '—' : `${value}%`);
+
+const formatDrift = (value) => {
+  if (value === null || value === undefined) return '—';
+  return value > 0 ? `+${value}` : String(value);
+};
+
+const formatExpected = (sample) => {
+  if (sample.kind === 'ranking') return `image ${sample.expected?.winnerIndex ?? '—'}`;
+  if (sample.expected?.acceptable === null || sample.expected?.acceptable === undefined) return '—';
+  return sample.expected.acceptable ? 'accept' : 'reject';
+};
+
+const formatBaseline = (sample) => {
+  if (sample.kind === 'ranking') return `image ${sample.baseline?.winnerIndex ?? '—'}`;
+  return sample.baseline?.acceptable ? 'accept' : 'reject';
+};
+
+const runTitle = (run) =>
+  run.label || `${run.model} · ${run.promptTemplate?.version ? `v${run.promptTemplate.version}` : 'default'}`;
+
+function ConfusionMatrix({ confusion }) {
+  const labels = Array.isArray(confusion?.labels) ? confusion.labels : [];
+  if (!labels.length) return <p className="text-xs text-muted-foreground">No scored samples.</p>;
+  return (
+    <table className="text-[11px]">
+      <thead>
+        <tr>
+          <th className="px-2 py-1 text-left font-medium text-muted-foreground">expected ↓ / got →</th>
+          {labels.map((label) => (
+            <th key={label} className="px-2 py-1 font-medium text-muted-foreground">
+              {label}
+            </th>
+          ))}
+        </tr>
+      </thead>
+      <tbody>
+        {labels.map((rowLabel, rowIndex) => (
+          <tr key={rowLabel}>
+            <td className="px-2 py-1 font-medium text-muted-foreground">{rowLabel}</td>
+            {labels.map((columnLabel, columnIndex) => {
+              const count = confusion.matrix?.[rowIndex]?.[columnIndex] ?? 0;
+              return (
+                <td
+                  key={columnLabel}
+                  className={cn(
+                    'px-2 py-1 text-center',
+                    count > 0 && rowIndex === columnIndex && 'bg-emerald-500/15',
+                    count > 0 && rowIndex !== columnIndex && 'bg-red-500/15'
+                  )}
+                >
+                  {count}
+                </td>
+              );
+            })}
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+function GoldenSet() {
+  const { isAdmin, canEdit } = useAuth();
+  const [kind, setKind] = useState('ranking');
+  const [samples, setSamples] = useState([]);
+  const [candidates, setCandidates] = useState([]);
+  const [loadingSamples, setLoadingSamples] = useState(false);
+  const [savingCandidate, setSavingCandidate] = useState(null);
+  const [runs, setRuns] = useState([]);
+  const [loadingRuns, setLoadingRuns] = useState(false);
+  const [templateVersions, setTemplateVersions] = useState([]);
+  const [runForm, setRunForm] = useState({
+    model: '',
+    templateVersion: 'active',
+    mode: 'live',
+    label: '',
+  });
+  const [startingRun, setStartingRun] = useState(false);
+  const [selectedRuns, setSelectedRuns] = useState([]);
+  const [comparison, setComparison] = useState(null);
+  const [comparing, setComparing] = useState(false);
+
+  const kindConfig = KINDS.find((entry) => entry.value === kind) || KINDS[0];
+
+  const loadSamples = useCallback(async () => {
+    setLoadingSamples(true);
+    try {
+      const [sampleResponse, candidateResponse] = await Promise.all([
+        goldenSetAPI.getSamples({ kind }),
+        goldenSetAPI.getCandidates({ kind }),
+      ]);
+      setSamples(Array.isArray(sampleResponse?.data) ? sampleResponse.data : []);
+      setCandidates(Array.isArray(candidateResponse?.data) ? candidateResponse.data : []);
+    } catch (error) {
+      toast.error(`Failed to load golden set: ${error.message}`);
+    } finally {
+      setLoadingSamples(false);
+    }
+  }, [kind]);
+
+  const loadRuns = useCallback(
+    async ({ silent = false } = {}) => {
+      if (!silent) setLoadingRuns(true);
+      try {
+        const response = await goldenSetAPI.getRuns({ kind, limit: 50 });
+        setRuns(Array.isArray(response?.data) ? response.data : []);
+      } catch (error) {
+        if (!silent) toast.error(`Failed to load runs: ${error.message}`);
+      } finally {
+        if (!silent) setLoadingRuns(false);
+      }
+    },
+    [kind]
+  );
+
+  useEffect(() => {
+    setSelectedRuns([]);
+    setComparison(null);
+    setRunForm((prev) => ({ ...prev, templateVersion: 'active' }));
+    loadSamples();
+    loadRuns();
+    promptTemplateAPI
+      .getVersions(kindConfig.templateKey)
+      .then((response) => setTemplateVersions(Array.isArray(response?.data) ? response.data : []))
+      .catch(() => setTemplateVersions([]));
+  }, [kindConfig.templateKey, loadSamples, loadRuns]);
+
+  const hasActiveRun = runs.some((run) => ['queued', 'running'].includes(run.status));
+
+  useEffect(() => {
+    if (!hasActiveRun) return undefined;
+    const timer = setInterval(() => loadRuns({ silent: true }), RUN_POLL_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [hasActiveRun, loadRuns]);
+
+  const handleAddCandidate = async (candidate, expected) => {
+    setSavingCandidate(candidate.sourceId);
+    try {
+      await goldenSetAPI.createSample({ kind, sourceId: candidate.sourceId, expected });
+      toast.success('Added to the golden set');
+      await loadSamples();
+    } catch (error) {
+      toast.error(`Failed to add sample: ${error.message}`);
+    } finally {
+      setSavingCandidate(null);
+    }
+  };
+
+  const handleDeleteSample = async (sample) => {
+    if (!window.confirm(`Remove "${sample.label}" from the golden set?`)) return;
+    try {
+      await goldenSetAPI.deleteSample(sample._id);
+      toast.success('Sample removed');
+      await loadSamples();
+    } catch (error) {
+      toast.error(`Failed to remove sample: ${error.message}`);
+    }
+  };
+
+  const handleStartRun = async () => {
+    setStartingRun(true);
+    try {
+      const response = await goldenSetAPI.startRun({
+        kind,
+        model: runForm.model.trim() || undefined,
+        templateVersion:
+          runForm.templateVersion === 'active' ? undefined : Number(runForm.templateVersion),
+        mode: runForm.mode,
+        label: runForm.label.trim() || undefined,
+      });
+      toast.success(response?.message || 'Golden run queued');
+      setRunForm((prev) => ({ ...prev, label: '' }));
+      await loadRuns();
+    } catch (error) {
+      toast.error(`Failed to start run: ${error.message}`);
+    } finally {
+      setStartingRun(false);
+    }
+  };
+
+  const toggleRun = (runId) => {
+    setSelectedRuns((prev) => {
+      if (prev.includes(runId)) return prev.filter((id) => id !== runId);
+      if (prev.length >= MAX_COMPARED_RUNS) {
+        toast.error(`Compare up to ${MAX_COMPARED_RUNS} runs at a time`);
+        return prev;
+      }
+      return [...prev, runId];
+    });
+  };
+
+  const handleCompare = async () => {
+    setComparing(true);
+    try {
+      const response = await goldenSetAPI.compareRuns(selectedRuns);
+      setComparison(response?.data || null);
+    } catch (error) {
+      toast.error(`Failed to compare runs: ${error.message}`);
+    } finally {
+      setComparing(false);
+    }
+  };
+
+  const pendingCandidates = useMemo(
+    () => candidates.filter((candidate) => !candidate.inGoldenSet),
+    [candidates]
+  );
+
+  return (
+    <div className="space-y-8">
+      <section className="space-y-3">
+        <div className="inline-flex items-center gap-2 rounded-full border border-border/60 bg-muted/40 px-3 py-1 text-xs font-semibold uppercase tracking-[0.2em] text-muted-foreground">
+          <Target className="h-3.5 w-3.5" />
+          Golden set
+        </div>
+        <div className="space-y-3">
+          <h1 className="text-3xl font-semibold tracking-tight text-foreground">
+            Catch regressions before they ship
+          </h1>
+          <p className="max-w-2xl text-sm text-muted-foreground sm:text-base">
+            Mark past rankings and evaluations with the answer a human would give, then replay
+            them against a candidate model or template version. Recorded runs reuse earlier
+            responses and never call the model.
+          </p>
+        </div>
+      </section>
+
+      <div className="flex flex-wrap gap-2">
+        {KINDS.map((entry) => (
+          <Button
+            key={entry.value}
+            type="button"
+            variant={entry.value === kind ? 'secondary' : 'outline'}
+            onClick={() => setKind(entry.value)}
+          >
+            {entry.label}
+          </Button>
+        ))}
+      </div>
+
+      <Card>
+        <CardHeader>
+          <div className="flex items-center justify-between gap-3">
+            <div>
+              <CardTitle className="text-base">Ground truth ({samples.length})</CardTitle>
+              <CardDescription>
+                {kind === 'ranking'
+                  ? 'Generations with the image a human picked as best.'
+                  : 'Evaluations with the accept/reject call a human made.'}
+              </CardDescription>
+            </div>
+            <Button
+              type="button"
+              variant="ghost"
+              size="icon"
+              onClick={loadSamples}
+              disabled={loadingSamples}
+            >
+              <RefreshCw className={cn('h-4 w-4', loadingSamples && 'animate-spin')} />
+            </Button>
+          </div>
+        </CardHeader>
+        <CardContent className="space-y-6 pt-4">
+          {!samples.length && !loadingSamples ? (
+            <p className="text-xs text-muted-foreground">No golden samples yet.</p>
+          ) : null}
+          <div className="divide-y divide-border/50">
+            {samples.map((sample) => (
+              <div key={sample._id} className="flex items-center gap-3 py-2">
+                <div className="flex gap-1">
+                  {(sample.input?.images || []).slice(0, 4).map((image, index) => (
+                    <img
+                      key={image.key}
+                      src={image.url}
+                      alt=""
+                      className={cn(
+                        'h-12 w-12 rounded object-cover',
+                        sample.kind === 'ranking' &&
+                          sample.expected?.winnerIndex === index + 1 &&
+                          'ring-2 ring-emerald-500'
+                      )}
+                    />
+                  ))}
+                </div>
+                <div className="min-w-0 flex-1">
+                  <p className="truncate text-sm text-foreground">{sample.label}</p>
+                  <p className="text-xs text-muted-foreground">
+                    Expected {formatExpected(sample)} · production said {formatBaseline(sample)}
+                  </p>
+                </div>
+                {isAdmin ? (
+                  <Button
+                    type="button"
+                    variant="ghost"
+                    size="icon"
+                    onClick={() => handleDeleteSample(sample)}
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </Button>
+                ) : null}
+              </div>
+            ))}
+          </div>
+
+          {isAdmin && pendingCandidates.length ? (
+            <div className="space-y-3">
+              <p className="text-xs font-semibold uppercase tracking-wide text-muted-foreground">
+                Add from recent {kind === 'ranking' ? 'generations' : 'evaluations'}
+              </p>
+              <div className="grid gap-3 md:grid-cols-2">
+                {pendingCandidates.map((candidate) => (
+                  <div
+                    key={candidate.sourceId}
+                    className="space-y-2 rounded-lg border border-border/60 p-3"
+                  >
+                    <p className="truncate text-xs text-foreground/80">{candidate.label}</p>
+                    {kind === 'ranking' ? (
+                      <>
+                        <div className="flex gap-2">
+                          {candidate.images.map((url, index) => (
+                            <button
+                              key={url}
+                              type="button"
+                              title={`Image ${index + 1} is the best`}
+                              disabled={savingCandidate === candidate.sourceId}
+                              onClick={() =>
+                                handleAddCandidate(candidate, { winnerIndex: index + 1 })
+                              }
+                              className={cn(
+                                'overflow-hidden rounded border-2 transition-colors hover:border-accent',
+                                candidate.winnerIndex === index + 1
+                                  ? 'border-border'
+                                  : 'border-transparent'
+                              )}
+                            >
+                              <img src={url} alt="" className="h-16 w-16 object-cover" />
+                            </button>
+                          ))}
+                        </div>
+                        <p className="text-[11px] text-muted-foreground">
+                          Click the best image. Production picked image {candidate.winnerIndex}.
+                        </p>
+                      </>
+                    ) : (
+                      <div className="flex items-center gap-3">
+                        <img
+                          src={candidate.images[0]}
+                          alt=""
+                          className="h-16 w-16 rounded object-cover"
+                        />
+                        <div className="flex-1 text-[11px] text-muted-foreground">
+                          Production: {candidate.acceptable ? 'accept' : 'reject'} (
+                          {candidate.score}) · decision {candidate.decision}
+                        </div>
+                        <Button
+                          type="button"
+                          size="sm"
+                          variant="outline"
+                          className="gap-1"
+                          disabled={savingCandidate === candidate.sourceId}
+                          onClick={() => handleAddCandidate(candidate, { acceptable: true })}
+                        >
+                          <Check className="h-3.5 w-3.5" />
+                          Accept
+                        </Button>
+                        <Button
+                          type="button"
+                          size="sm"
+                          variant="outline"
+                          className="gap-1"
+                          disabled={savingCandidate === candidate.sourceId}
+                          onClick={() => handleAddCandidate(candidate, { acceptable: false })}
+                        >
+                          <X className="h-3.5 w-3.5" />
+                          Reject
+                        </Button>
+                      </div>
+                    )}
+                  </div>
+                ))}
+              </div>
+            </div>
+          ) : null}
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader>
+          <div className="flex flex-wrap items-center justify-between gap-3">
+            <div>
+              <CardTitle className="text-base">Runs</CardTitle>
+              <CardDescription>
+                Agreement with the ground truth for the candidate and for what production stored.
+              </CardDescription>
+            </div>
+            <div className="flex items-center gap-2">
+              <Button
+                type="button"
+                variant="outline"
+                className="gap-1.5"
+                onClick={handleCompare}
+                disabled={selectedRuns.length < 2 || comparing}
+              >
+                {comparing ? (
+                  <Loader2 className="h-4 w-4 animate-spin" />
+                ) : (
+                  <GitCompare className="h-4 w-4" />
+                )}
+                Compare {selectedRuns.length || ''}
+              </Button>
+              <Button
+                type="button"
+                variant="ghost"
+                size="icon"
+                onClick={() => loadRuns()}
+                disabled={loadingRuns}
+              >
+                <RefreshCw className={cn('h-4 w-4', loadingRuns && 'animate-spin')} />
+              </Button>
+            </div>
+          </div>
+        </CardHeader>
+        <CardContent className="space-y-6 pt-4">
+          {canEdit ? (
+            <div className="grid gap-3 md:grid-cols-[1fr_10rem_10rem_1fr_auto] md:items-end">
+              <div className="space-y-1.5">
+                <Label htmlFor="golden-model">Model</Label>
+                <Input
+                  id="golden-model"
+                  value={runForm.model}
+                  onChange={(event) =>
+                    setRunForm((prev) => ({ ...prev, model: event.target.value }))
+                  }
+                  placeholder="Production model"
+                />
+              </div>
+              <div className="space-y-1.5">
+                <Label>Template</Label>
+                <Select
+                  value={runForm.templateVersion}
+                  onValueChange={(templateVersion) =>
+                    setRunForm((prev) => ({ ...prev, templateVersion }))
+                  }
+                >
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="active">Active version</SelectItem>
+                    {templateVersions.map((version) => (
+                      <SelectItem key={version._id} value={String(version.version)}>
+                        v{version.version}
+                        {version.isActive ? ' (active)' : ''}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              <div className="space-y-1.5">
+                <Label>Mode</Label>
+                <Select
+                  value={runForm.mode}
+                  onValueChange={(mode) => setRunForm((prev) => ({ ...prev, mode }))}
+                >
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="live">Live</SelectItem>
+                    <SelectItem value="recorded">Recorded (offline)</SelectItem>
+                  </SelectContent>
+                </Select>
+              </div>
+              <div className="space-y-1.5">
+                <Label htmlFor="golden-label">Label</Label>
+                <Input
+                  id="golden-label"
+                  value={runForm.label}
+                  onChange={(event) =>
+                    setRunForm((prev) => ({ ...prev, label: event.target.value }))
+                  }
+                  placeholder="Optional"
+                  maxLength={120}
+                />
+              </div>
+              <Button
+                type="button"
+                className="gap-1.5"
+                onClick={handleStartRun}
+                disabled={startingRun || !samples.length}
+              >
+                {startingRun ? (
+                  <Loader2 className="h-4 w-4 animate-spin" />
+                ) : (
+                  <Play className="h-4 w-4" />
+                )}
+                Run
+              </Button>
+            </div>
+          ) : null}
+
+          {!runs.length && !loadingRuns ? (
+            <p className="text-xs text-muted-foreground">No runs yet.</p>
+          ) : null}
+          {runs.length ? (
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="border-b border-border/60 text-left text-xs text-muted-foreground">
+                    <th className="py-2 pr-2" />
+                    <th className="py-2 pr-4 font-medium">Run</th>
+                    <th className="py-2 pr-4 font-medium">Status</th>
+                    <th className="py-2 pr-4 font-medium">Candidate</th>
+                    <th className="py-2 pr-4 font-medium">Production</th>
+                    <th className="py-2 pr-4 font-medium">Score drift</th>
+                    <th className="py-2 font-medium">Started</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {runs.map((run) => (
+                    <tr key={run._id} className="border-b border-border/40">
+                      <td className="py-2 pr-2">
+                        <input
+                          type="checkbox"
+                          checked={selectedRuns.includes(run._id)}
+                          disabled={run.status !== 'completed'}
+                          onChange={() => toggleRun(run._id)}
+                        />
+                      </td>
+                      <td className="py-2 pr-4">
+                        <p className="text-foreground">{runTitle(run)}</p>
+                        <p className="text-xs text-muted-foreground">
+                          {run.model} · {run.mode}
+                        </p>
+                      </td>
+                      <td className="py-2 pr-4">
+                        <Badge variant={RUN_STATUS_VARIANTS[run.status] || 'outline'}>
+                          {run.status}
+                        </Badge>
+                      </td>
+                      <td className="py-2 pr-4">
+                        {formatRate(run.metrics?.agreementRate)}
+                        {run.metrics?.missing ? (
+                          <span className="ml-1 text-xs text-muted-foreground">
+                            ({run.metrics.missing} missing)
+                          </span>
+                        ) : null}
+                        {run.metrics?.failed ? (
+                          <span className="ml-1 text-xs text-destructive">
+                            ({run.metrics.failed} failed)
+                          </span>
+                        ) : null}
+                      </td>
+                      <td className="py-2 pr-4">{formatRate(run.baselineMetrics?.agreementRate)}</td>
+                      <td className="py-2 pr-4">
+                        {formatDrift(run.metrics?.meanScoreDrift)}
+                        <span className="ml-1 text-xs text-muted-foreground">
+                          (|{run.metrics?.meanAbsScoreDrift ?? '—'}|)
+                        </span>
+                      </td>
+                      <td className="py-2 text-xs text-muted-foreground">
+                        {formatDate(run.startedAt || run.createdAt)}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ) : null}
+        </CardContent>
+      </Card>
+
+      {comparison ? (
+        <Card>
+          <CardHeader>
+            <div className="flex items-center justify-between gap-3">
+              <CardTitle className="text-base">Comparison</CardTitle>
+              <Button type="button" variant="ghost" size="icon" onClick={() => setComparison(null)}>
+                <X className="h-4 w-4" />
+              </Button>
+            </div>
+          </CardHeader>
+          <CardContent className="space-y-6 pt-4">
+            <div className="grid gap-4 md:grid-cols-2 xl:grid-cols-4">
+              {comparison.runs.map((run) => (
+                <div key={run._id} className="space-y-2 rounded-lg border border-border/60 p-3">
+                  <p className="text-sm font-medium text-foreground">{runTitle(run)}</p>
+                  <p className="text-xs text-muted-foreground">
+                    Agreement {formatRate(run.metrics?.agreementRate)} (production{' '}
+                    {formatRate(run.baselineMetrics?.agreementRate)}) · drift{' '}
+                    {formatDrift(run.metrics?.meanScoreDrift)}
+                  </p>
+                  <ConfusionMatrix confusion={run.metrics?.confusion} />
+                </div>
+              ))}
+            </div>
+            <div className="overflow-x-auto">
+              <table className="w-full text-xs">
+                <thead>
+                  <tr className="border-b border-border/60 text-left text-muted-foreground">
+                    <th className="py-2 pr-4 font-medium">Sample</th>
+                    <th className="py-2 pr-4 font-medium">Expected</th>
+                    <th className="py-2 pr-4 font-medium">Production</th>
+                    {comparison.runs.map((run) => (
+                      <th key={run._id} className="py-2 pr-4 font-medium">
+                        {runTitle(run)}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {comparison.samples.map((row) => (
+                    <tr key={row.sampleId} className="border-b border-border/40">
+                      <td className="max-w-xs truncate py-2 pr-4 text-foreground">{row.label}</td>
+                      <td className="py-2 pr-4">{row.expected || '—'}</td>
+                      <td
+                        className={cn(
+                          'py-2 pr-4',
+                          row.baselinePredicted && row.baselinePredicted !== row.expected
+                            ? 'text-destructive'
+                            : ''
+                        )}
+                      >
+                        {row.baselinePredicted || '—'}
+                      </td>
+                      {comparison.runs.map((run) => {
+                        const result = row.results[run._id];
+                        if (!result) {
+                          return (
+                            <td key={run._id} className="py-2 pr-4 text-muted-foreground">
+                              —
+                            </td>
+                          );
+                        }
+                        return (
+                          <td
+                            key={run._id}
+                            className={cn(
+                              'py-2 pr-4',
+                              result.status !== 'succeeded' && 'text-muted-foreground',
+                              result.status === 'succeeded' && !result.agree && 'text-destructive'
+                            )}
+                          >
+                            {result.status === 'succeeded' ? result.predicted : result.status}
+                            {Number.isFinite(result.scoreDrift) ? (
+                              <span className="ml-1 text-muted-foreground">
+                                ({formatDrift(result.scoreDrift)})
+                              </span>
+                            ) : null}
+                          </td>
+                        );
+                      })}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </CardContent>
+        </Card>
+      ) : null}
+    </div>
+  );
+}
+
+export default GoldenSet;
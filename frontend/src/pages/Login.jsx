@@ -0,0 +1,107 @@
+import { useState } from 'react';
+import { Navigate, useLocation, useNavigate } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import { Loader2, LogIn } from 'lucide-react';
+import { useAuth } from '@/contexts/AuthContext';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from '@/components/ui/card';
+
+const resolveNextPath = (search) => {
+  const next = new URLSearchParams(search).get('next');
+  // Only follow in-app paths so the login page cannot be used as an open redirect
+  if (!next || !next.startsWith('/') || next.startsWith('//') || next.startsWith('/login')) {
+    return '/dashboard';
+  }
+  return next;
+};
+
+function Login() {
+  const { account, loading, login } = useAuth();
+  const location = useLocation();
+  const navigate = useNavigate();
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const nextPath = resolveNextPath(location.search);
+
+  if (!loading && account) {
+    return <Navigate to={nextPath} replace />;
+  }
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    if (!email.trim() || !password) {
+      toast.error('Enter your email and password');
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      await login({ email: email.trim(), password });
+      navigate(nextPath, { replace: true });
+    } catch (error) {
+      toast.error(error.message || 'Failed to sign in');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="flex min-h-screen items-center justify-center bg-background px-4">
+      <Card className="w-full max-w-sm">
+        <CardHeader>
+          <div className="flex h-10 w-10 items-center justify-center rounded-lg bg-foreground text-base font-bold text-background">
+            AI
+          </div>
+          <CardTitle>Sign in</CardTitle>
+          <CardDescription>Use your team account to access the admin hub.</CardDescription>
+        </CardHeader>
+        <CardContent>
+          <form className="space-y-4" onSubmit={handleSubmit}>
+            <div className="space-y-2">
+              <Label htmlFor="login-email">Email</Label>
+              <Input
+                id="login-email"
+                type="email"
+                autoComplete="username"
+                value={email}
+                onChange={(event) => setEmail(event.target.value)}
+                disabled={submitting}
+              />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="login-password">Password</Label>
+              <Input
+                id="login-password"
+                type="password"
+                autoComplete="current-password"
+                value={password}
+                onChange={(event) => setPassword(event.target.value)}
+                disabled={submitting}
+              />
+            </div>
+            <Button type="submit" className="w-full" disabled={submitting}>
+              {submitting ? (
+                <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+              ) : (
+                <LogIn className="mr-2 h-4 w-4" />
+              )}
+              Sign in
+            </Button>
+          </form>
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
+
+export default Login;
@@ -0,0 +1,334 @@
+import { useCallback, useEffect, useState } from 'react';
+import toast from 'react-hot-toast';
+import {
+  ChevronDown,
+  ChevronRight,
+  Loader2,
+  Mail,
+  RefreshCw,
+  RotateCcw,
+  Search,
+} from 'lucide-react';
+import { notificationAPI } from '@/services/api';
+import { useAuth } from '@/contexts/AuthContext';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Input } from '@/components/ui/input';
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from '@/components/ui/card';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import { cn } from '@/lib/utils';
+
+const TEMPLATE_LABELS = {
+  photos_rejected: 'Photos rejected',
+  proof_ready: 'Proof ready',
+  book_confirmed: 'Book confirmed',
+  book_confirmed_admin: 'Book confirmed (admin)',
+};
+
+const STATUS_OPTIONS = [
+  { value: 'all', label: 'All statuses' },
+  { value: 'queued', label: 'Queued' },
+  { value: 'sent', label: 'Sent' },
+  { value: 'failed', label: 'Failed' },
+  { value: 'skipped', label: 'Skipped' },
+];
+
+const RECIPIENT_OPTIONS = [
+  { value: 'all', label: 'All recipients' },
+  { value: 'user', label: 'Parents' },
+  { value: 'admin', label: 'Admins' },
+];
+
+const STATUS_VARIANTS = {
+  queued: 'warning',
+  sent: 'success',
+  failed: 'destructive',
+  skipped: 'outline',
+};
+
+const SKIP_REASONS = {
+  'opted-out': 'Parent unsubscribed',
+};
+
+const formatTimestamp = (value) => {
+  if (!value) return '';
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? '' : date.toLocaleString();
+};
+
+function Notifications() {
+  const { canEdit } = useAuth();
+  const [messages, setMessages] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [templates, setTemplates] = useState(Object.keys(TEMPLATE_LABELS));
+  const [status, setStatus] = useState('all');
+  const [template, setTemplate] = useState('all');
+  const [recipientType, setRecipientType] = useState('all');
+  const [searchTerm, setSearchTerm] = useState('');
+  const [debouncedSearch, setDebouncedSearch] = useState('');
+  const [expandedId, setExpandedId] = useState(null);
+  const [details, setDetails] = useState({});
+  const [resendingId, setResendingId] = useState(null);
+
+  useEffect(() => {
+    const timer = setTimeout(() => setDebouncedSearch(searchTerm.trim()), 400);
+    return () => clearTimeout(timer);
+  }, [searchTerm]);
+
+  const fetchMessages = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await notificationAPI.list({
+        status,
+        template,
+        recipientType,
+        search: debouncedSearch || undefined,
+        limit: 100,
+      });
+      setMessages(Array.isArray(response?.data) ? response.data : []);
+      if (Array.isArray(response?.templates) && response.templates.length) {
+        setTemplates(response.templates);
+      }
+    } catch (error) {
+      toast.error(error.message || 'Failed to load sent emails');
+    } finally {
+      setLoading(false);
+    }
+  }, [status, template, recipientType, debouncedSearch]);
+
+  useEffect(() => {
+    fetchMessages();
+  }, [fetchMessages]);
+
+  const handleToggle = async (message) => {
+    if (expandedId === message._id) {
+      setExpandedId(null);
+      return;
+    }
+    setExpandedId(message._id);
+    if (details[message._id]) return;
+    try {
+      const response = await notificationAPI.getById(message._id);
+      setDetails((prev) => ({ ...prev, [message._id]: response?.data || null }));
+    } catch (error) {
+      toast.error(error.message || 'Failed to load email');
+    }
+  };
+
+  const handleResend = async (message) => {
+    setResendingId(message._id);
+    try {
+      const response = await notificationAPI.resend(message._id);
+      toast.success(response?.message || 'Email queued');
+      fetchMessages();
+    } catch (error) {
+      toast.error(error.message || 'Failed to resend email');
+    } finally {
+      setResendingId(null);
+    }
+  };
+
+  return (
+    <div className="space-y-8">
+      <section className="space-y-3">
+        <div className="inline-flex items-center gap-2 rounded-full border border-border/60 bg-muted/40 px-3 py-1 text-xs font-semibold uppercase tracking-[0.2em] text-muted-foreground">
+          <Mail className="h-3.5 w-3.5" />
+          Emails
+        </div>
+        <h1 className="text-3xl font-semibold tracking-tight text-foreground">
+          Notifications sent to parents and admins
+        </h1>
+        <p className="max-w-2xl text-sm text-muted-foreground sm:text-base">
+          Photo requests, proof links and confirmations are emailed automatically. Parents who
+          unsubscribed are logged as skipped.
+        </p>
+      </section>
+
+      <Card className="shadow-sm">
+        <CardHeader className="space-y-4">
+          <div className="flex items-center justify-between gap-3">
+            <div className="space-y-1">
+              <CardTitle className="text-lg font-semibold">Sent messages</CardTitle>
+              <CardDescription>Latest {messages.length} matching emails</CardDescription>
+            </div>
+            <Button
+              type="button"
+              variant="outline"
+              size="sm"
+              className="gap-1.5"
+              onClick={fetchMessages}
+              disabled={loading}
+            >
+              <RefreshCw className={cn('h-4 w-4', loading && 'animate-spin')} />
+              Refresh
+            </Button>
+          </div>
+          <div className="grid gap-3 md:grid-cols-4">
+            <Select value={template} onValueChange={setTemplate}>
+              <SelectTrigger>
+                <SelectValue placeholder="Template" />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value="all">All templates</SelectItem>
+                {templates.map((value) => (
+                  <SelectItem key={value} value={value}>
+                    {TEMPLATE_LABELS[value] || value}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+            <Select value={status} onValueChange={setStatus}>
+              <SelectTrigger>
+                <SelectValue placeholder="Status" />
+              </SelectTrigger>
+              <SelectContent>
+                {STATUS_OPTIONS.map((option) => (
+                  <SelectItem key={option.value} value={option.value}>
+                    {option.label}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+            <Select value={recipientType} onValueChange={setRecipientType}>
+              <SelectTrigger>
+                <SelectValue placeholder="Recipient" />
+              </SelectTrigger>
+              <SelectContent>
+                {RECIPIENT_OPTIONS.map((option) => (
+                  <SelectItem key={option.value} value={option.value}>
+                    {option.label}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+            <div className="relative">
+              <Search className="pointer-events-none absolute left-3 top-1/2 h-4 w-4 -translate-y-1/2 text-muted-foreground" />
+              <Input
+                className="pl-9"
+                placeholder="Recipient or subject"
+                value={searchTerm}
+                onChange={(event) => setSearchTerm(event.target.value)}
+              />
+            </div>
+          </div>
+        </CardHeader>
+        <CardContent className="space-y-2">
+          {loading && messages.length === 0 ? (
+            <div className="flex items-center gap-2 text-muted-foreground">
+              <Loader2 className="h-4 w-4 animate-spin" />
+              Loading sent emails…
+            </div>
+          ) : messages.length === 0 ? (
+            <p className="text-muted-foreground">No matching emails.</p>
+          ) : (
+            messages.map((message) => {
+              const isExpanded = expandedId === message._id;
+              const detail = details[message._id];
+              return (
+                <div key={message._id} className="rounded-lg border border-border/70 bg-background">
+                  <button
+                    type="button"
+                    onClick={() => handleToggle(message)}
+                    className="flex w-full items-start gap-3 p-4 text-left"
+                  >
+                    {isExpanded ? (
+                      <ChevronDown className="mt-0.5 h-4 w-4 shrink-0 text-muted-foreground" />
+                    ) : (
+                      <ChevronRight className="mt-0.5 h-4 w-4 shrink-0 text-muted-foreground" />
+                    )}
+                    <div className="min-w-0 flex-1 space-y-1">
+                      <div className="flex flex-wrap items-center gap-2">
+                        <Badge variant={STATUS_VARIANTS[message.status]}>{message.status}</Badge>
+                        <Badge variant="outline">
+                          {TEMPLATE_LABELS[message.template] || message.template}
+                        </Badge>
+                        <span className="truncate font-medium text-foreground">
+                          {message.subject}
+                        </span>
+                      </div>
+                      <p className="text-xs text-muted-foreground">
+                        {message.recipientName ? `${message.recipientName} · ` : ''}
+                        {message.to} · {formatTimestamp(message.sentAt || message.createdAt)}
+                        {message.skipReason
+                          ? ` · ${SKIP_REASONS[message.skipReason] || message.skipReason}`
+                          : ''}
+                        {message.status !== 'skipped' && message.error ? ` · ${message.error}` : ''}
+                      </p>
+                    </div>
+                    <span className="shrink-0 text-xs text-muted-foreground">
+                      {message.attempts || 0} attempt{message.attempts === 1 ? '' : 's'}
+                    </span>
+                  </button>
+                  {isExpanded && (
+                    <div className="space-y-3 border-t border-border/60 p-4 text-xs">
+                      <div className="flex flex-wrap items-center justify-between gap-2">
+                        <p className="text-muted-foreground">
+                          {message.transport ? `Via ${message.transport}` : 'Not sent yet'}
+                          {message.providerMessageId && (
+                            <>
+                              {' '}
+                              · <span className="font-mono">{message.providerMessageId}</span>
+                            </>
+                          )}
+                          {message.resendOf ? ' · Resend' : ''}
+                        </p>
+                        {canEdit && message.status !== 'queued' && (
+                          <Button
+                            type="button"
+                            variant="outline"
+                            size="sm"
+                            className="gap-1.5"
+                            onClick={() => handleResend(message)}
+                            disabled={resendingId === message._id}
+                          >
+                            {resendingId === message._id ? (
+                              <Loader2 className="h-4 w-4 animate-spin" />
+                            ) : (
+                              <RotateCcw className="h-4 w-4" />
+                            )}
+                            Resend
+                          </Button>
+                        )}
+                      </div>
+                      {!detail ? (
+                        <div className="flex items-center gap-2 text-muted-foreground">
+                          <Loader2 className="h-4 w-4 animate-spin" />
+                          Loading email…
+                        </div>
+                      ) : detail.html ? (
+                        <iframe
+                          title={detail.subject}
+                          srcDoc={detail.html}
+                          sandbox=""
+                          className="h-80 w-full rounded-md border border-border/60 bg-white"
+                        />
+                      ) : (
+                        <pre className="max-h-80 overflow-auto whitespace-pre-wrap rounded bg-muted p-3 font-sans text-sm text-foreground">
+                          {detail.text}
+                        </pre>
+                      )}
+                    </div>
+                  )}
+                </div>
+              );
+            })
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
+
+export default Notifications;
@@ -0,0 +1,932 @@
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import toast from 'react-hot-toast';
+import {
+  ArrowLeft,
+  ArrowRight,
+  ChevronDown,
+  ChevronRight,
+  Loader2,
+  Plus,
+  RefreshCw,
+  Search,
+  ShoppingBag,
+  Trash2,
+  X,
+  Zap,
+} from 'lucide-react';
+import { bookAPI, orderAPI, userAPI } from '@/services/api';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Textarea } from '@/components/ui/textarea';
+import { SearchableSelect } from '@/components/ui/searchable-select';
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardFooter,
+  CardHeader,
+  CardTitle,
+} from '@/components/ui/card';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import { cn } from '@/lib/utils';
+
+const PAGE_SIZE = 20;
+
+const PIPELINE = [
+  { value: 'received', label: 'Received' },
+  { value: 'training', label: 'Training' },
+  { value: 'proofing', label: 'Proofing' },
+  { value: 'approved', label: 'Approved' },
+  { value: 'printing', label: 'Printing' },
+  { value: 'shipped', label: 'Shipped' },
+];
+
+// Mirrors ORDER_TRANSITIONS on the backend; cancelling is offered separately
+const NEXT_ACTIONS = {
+  received: [],
+  training: [{ status: 'proofing', label: 'Ready for proofing' }],
+  proofing: [
+    { status: 'approved', label: 'Approve proof' },
+    { status: 'training', label: 'Send back to training' },
+  ],
+  approved: [
+    { status: 'printing', label: 'Send to print' },
+    { status: 'proofing', label: 'Reopen proof' },
+  ],
+  printing: [{ status: 'shipped', label: 'Mark shipped' }],
+  shipped: [],
+  cancelled: [],
+};
+
+const CANCELLABLE = new Set(['received', 'training', 'proofing', 'approved', 'printing']);
+
+const EMPTY_CUSTOMER = { name: '', email: '', countryCode: '', phoneNumber: '' };
+const EMPTY_SHIPPING = {
+  recipientName: '',
+  addressLine1: '',
+  addressLine2: '',
+  city: '',
+  state: '',
+  postalCode: '',
+  country: '',
+  method: 'standard',
+};
+
+let childKeyCounter = 0;
+const createChildEntry = () => {
+  childKeyCounter += 1;
+  return {
+    clientKey: String(childKeyCounter),
+    mode: 'new',
+    userId: '',
+    name: '',
+    age: '',
+    gender: '',
+    files: [],
+  };
+};
+
+const formatTimestamp = (value) => {
+  if (!value) return '';
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? '' : date.toLocaleString();
+};
+
+const formatAddress = (shipping = {}) =>
+  [
+    shipping.addressLine1,
+    shipping.addressLine2,
+    [shipping.postalCode, shipping.city].filter(Boolean).join(' '),
+    shipping.state,
+    shipping.country,
+  ]
+    .filter(Boolean)
+    .join(', ');
+
+function Orders() {
+  const [orders, setOrders] = useState([]);
+  const [pipeline, setPipeline] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [statusFilter, setStatusFilter] = useState('all');
+  const [searchTerm, setSearchTerm] = useState('');
+  const [debouncedSearch, setDebouncedSearch] = useState('');
+  const [page, setPage] = useState(1);
+  const [pagination, setPagination] = useState({
+    page: 1,
+    total: 0,
+    totalPages: 0,
+    hasNextPage: false,
+    hasPrevPage: false,
+  });
+  const [expandedId, setExpandedId] = useState(null);
+  const [detailsById, setDetailsById] = useState({});
+  const [busyOrderId, setBusyOrderId] = useState(null);
+  const [trackingDrafts, setTrackingDrafts] = useState({});
+
+  const [showForm, setShowForm] = useState(false);
+  const [books, setBooks] = useState([]);
+  const [users, setUsers] = useState([]);
+  const [customer, setCustomer] = useState(EMPTY_CUSTOMER);
+  const [shipping, setShipping] = useState(EMPTY_SHIPPING);
+  const [bookId, setBookId] = useState('');
+  const [children, setChildren] = useState(() => [createChildEntry()]);
+  const [notes, setNotes] = useState('');
+  const [startAutomation, setStartAutomation] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setDebouncedSearch(searchTerm.trim());
+    }, 400);
+    return () => clearTimeout(timer);
+  }, [searchTerm]);
+
+  useEffect(() => {
+    setPage(1);
+  }, [statusFilter, debouncedSearch]);
+
+  const fetchOrders = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await orderAPI.getAll({
+        page,
+        limit: PAGE_SIZE,
+        status: statusFilter === 'all' ? undefined : statusFilter,
+        search: debouncedSearch || undefined,
+      });
+      setOrders(Array.isArray(response?.data) ? response.data : []);
+      setPagination((prev) => ({ ...prev, ...(response?.pagination || {}) }));
+      setPipeline(response?.pipeline || {});
+    } catch (error) {
+      toast.error(error.message || 'Failed to load orders');
+    } finally {
+      setLoading(false);
+    }
+  }, [page, statusFilter, debouncedSearch]);
+
+  useEffect(() => {
+    fetchOrders();
+  }, [fetchOrders]);
+
+  useEffect(() => {
+    if (!showForm || books.length) return;
+    Promise.all([
+      bookAPI.getAll({ limit: 0, minimal: true }),
+      userAPI.getAll({ limit: 0, minimal: true }),
+    ])
+      .then(([booksResponse, usersResponse]) => {
+        setBooks(Array.isArray(booksResponse?.data) ? booksResponse.data : []);
+        setUsers(Array.isArray(usersResponse?.data) ? usersResponse.data : []);
+      })
+      .catch((error) => toast.error(`Failed to load books and users: ${error.message}`));
+  }, [showForm, books.length]);
+
+  const userOptions = useMemo(
+    () =>
+      users.map((user) => ({
+        value: user._id,
+        label: user.name,
+        description: user.email,
+      })),
+    [users]
+  );
+
+  const fetchOrderDetails = useCallback(async (orderId) => {
+    try {
+      const response = await orderAPI.getById(orderId);
+      if (response?.data) {
+        setDetailsById((prev) => ({ ...prev, [orderId]: response.data }));
+      }
+    } catch (error) {
+      toast.error(error.message || 'Failed to load order');
+    }
+  }, []);
+
+  const toggleExpanded = (orderId) => {
+    const next = expandedId === orderId ? null : orderId;
+    setExpandedId(next);
+    if (next) {
+      fetchOrderDetails(next);
+    }
+  };
+
+  const refreshOrder = async (orderId) => {
+    await fetchOrders();
+    if (expandedId === orderId) {
+      await fetchOrderDetails(orderId);
+    }
+  };
+
+  const handleTransition = async (order, status) => {
+    setBusyOrderId(order._id);
+    try {
+      if (status === 'shipped') {
+        const trackingNumber = (trackingDrafts[order._id] || '').trim();
+        if (trackingNumber) {
+          await orderAPI.update(order._id, { shipping: { trackingNumber } });
+        }
+      }
+      const response = await orderAPI.updateStatus(order._id, status);
+      toast.success(response?.message || `Order moved to ${status}`);
+      await refreshOrder(order._id);
+    } catch (error) {
+      toast.error(error.message || 'Failed to update order');
+    } finally {
+      setBusyOrderId(null);
+    }
+  };
+
+  const handleStartAutomation = async (order) => {
+    setBusyOrderId(order._id);
+    try {
+      const response = await orderAPI.startAutomation(order._id);
+      const failures = Array.isArray(response?.meta?.failures) ? response.meta.failures : [];
+      if (failures.length) {
+        toast.error(failures.map((failure) => failure.message).join('\n'));
+      } else {
+        toast.success(response?.message || 'Automation started');
+      }
+      await refreshOrder(order._id);
+    } catch (error) {
+      toast.error(error.message || 'Failed to start automation');
+    } finally {
+      setBusyOrderId(null);
+    }
+  };
+
+  const handleDelete = async (order) => {
+    if (!window.confirm(`Delete order ${order.orderNumber}?`)) return;
+    setBusyOrderId(order._id);
+    try {
+      await orderAPI.delete(order._id);
+      toast.success('Order deleted');
+      await fetchOrders();
+    } catch (error) {
+      toast.error(error.message || 'Failed to delete order');
+    } finally {
+      setBusyOrderId(null);
+    }
+  };
+
+  const updateChild = (clientKey, patch) => {
+    setChildren((prev) =>
+      prev.map((child) => (child.clientKey === clientKey ? { ...child, ...patch } : child))
+    );
+  };
+
+  const resetForm = () => {
+    setCustomer(EMPTY_CUSTOMER);
+    setShipping(EMPTY_SHIPPING);
+    setBookId('');
+    setChildren([createChildEntry()]);
+    setNotes('');
+    setStartAutomation(true);
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    if (!bookId) {
+      toast.error('Choose a book for this order');
+      return;
+    }
+
+    const formData = new FormData();
+    formData.append('bookId', bookId);
+    formData.append('customer', JSON.stringify(customer));
+    formData.append(
+      'shipping',
+      JSON.stringify({ ...shipping, recipientName: shipping.recipientName || customer.name })
+    );
+    formData.append(
+      'children',
+      JSON.stringify(
+        children.map((child) =>
+          child.mode === 'existing'
+            ? { clientKey: child.clientKey, userId: child.userId }
+            : {
+                clientKey: child.clientKey,
+                name: child.name,
+                age: child.age,
+                gender: child.gender,
+              }
+        )
+      )
+    );
+    formData.append('notes', notes);
+    formData.append('startAutomation', startAutomation ? 'true' : 'false');
+    if (startAutomation) {
+      children.forEach((child) => {
+        child.files.forEach((file) => formData.append(`childImages_${child.clientKey}`, file));
+      });
+    }
+
+    setSubmitting(true);
+    try {
+      const response = await orderAPI.create(formData);
+      const failures = Array.isArray(response?.meta?.failures) ? response.meta.failures : [];
+      if (failures.length) {
+        toast.error(`${response.message}: ${failures.map((failure) => failure.message).join('; ')}`);
+      } else {
+        toast.success(response?.message || 'Order created');
+      }
+      resetForm();
+      setShowForm(false);
+      await fetchOrders();
+    } catch (error) {
+      toast.error(error.message || 'Failed to create order');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const totalActive = PIPELINE.reduce((sum, stage) => sum + (pipeline[stage.value] || 0), 0);
+
+  return (
+    <div className="space-y-8">
+      <section className="space-y-3">
+        <div className="inline-flex items-center gap-2 rounded-full border border-border/60 bg-muted/40 px-3 py-1 text-xs font-semibold uppercase tracking-[0.2em] text-muted-foreground">
+          <ShoppingBag className="h-3.5 w-3.5" />
+          Orders
+        </div>
+        <div className="flex flex-wrap items-end justify-between gap-4">
+          <div className="space-y-3">
+            <h1 className="text-3xl font-semibold tracking-tight text-foreground">
+              From purchase to doorstep
+            </h1>
+            <p className="max-w-2xl text-sm text-muted-foreground sm:text-base">
+              Each order links the parent who bought the book, the children it is personalised for
+              and where the printed copy ships, and moves through training, proofing and print.
+            </p>
+          </div>
+          <Button
+            type="button"
+            className="gap-1.5"
+            onClick={() => setShowForm((prev) => !prev)}
+          >
+            {showForm ? <X className="h-4 w-4" /> : <Plus className="h-4 w-4" />}
+            {showForm ? 'Close' : 'New order'}
+          </Button>
+        </div>
+      </section>
+
+      <div className="grid gap-3 sm:grid-cols-3 lg:grid-cols-6">
+        {PIPELINE.map((stage, index) => (
+          <button
+            key={stage.value}
+            type="button"
+            onClick={() => setStatusFilter(statusFilter === stage.value ? 'all' : stage.value)}
+            className={cn(
+              'rounded-lg border border-border/70 bg-background p-4 text-left transition-colors hover:bg-muted/40',
+              statusFilter === stage.value && 'border-foreground/40 bg-muted/60'
+            )}
+          >
+            <p className="text-xs font-semibold uppercase tracking-wide text-muted-foreground">
+              {index + 1}. {stage.label}
+            </p>
+            <p className="mt-2 text-2xl font-semibold text-foreground">
+              {pipeline[stage.value] || 0}
+            </p>
+          </button>
+        ))}
+      </div>
+
+      {showForm && (
+        <Card className="shadow-sm">
+          <form onSubmit={handleSubmit}>
+            <CardHeader>
+              <CardTitle className="text-lg font-semibold">New order</CardTitle>
+              <CardDescription>
+                New children are created with the parent&apos;s contact details.
+              </CardDescription>
+            </CardHeader>
+            <CardContent className="space-y-6">
+              <div className="grid gap-4 md:grid-cols-2">
+                <div className="space-y-2">
+                  <Label htmlFor="order-customer-name">Parent name *</Label>
+                  <Input
+                    id="order-customer-name"
+                    required
+                    value={customer.name}
+                    onChange={(event) => setCustomer({ ...customer, name: event.target.value })}
+                  />
+                </div>
+                <div className="space-y-2">
+                  <Label htmlFor="order-customer-email">Email *</Label>
+                  <Input
+                    id="order-customer-email"
+                    type="email"
+                    required
+                    value={customer.email}
+                    onChange={(event) => setCustomer({ ...customer, email: event.target.value })}
+                  />
+                </div>
+                <div className="space-y-2">
+                  <Label htmlFor="order-customer-country">Country code</Label>
+                  <Input
+                    id="order-customer-country"
+                    placeholder="+972"
+                    value={customer.countryCode}
+                    onChange={(event) =>
+                      setCustomer({ ...customer, countryCode: event.target.value })
+                    }
+                  />
+                </div>
+                <div className="space-y-2">
+                  <Label htmlFor="order-customer-phone">Phone number</Label>
+                  <Input
+                    id="order-customer-phone"
+                    value={customer.phoneNumber}
+                    onChange={(event) =>
+                      setCustomer({ ...customer, phoneNumber: event.target.value })
+                    }
+                  />
+                </div>
+                <div className="space-y-2 md:col-span-2">
+                  <Label>Book *</Label>
+                  <Select value={bookId} onValueChange={setBookId}>
+                    <SelectTrigger>
+                      <SelectValue placeholder="Choose a book" />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {books.map((book) => (
+                        <SelectItem key={book._id} value={book._id}>
+                          {book.name}
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+              </div>
+
+              <div className="space-y-3">
+                <div className="flex items-center justify-between">
+                  <h3 className="text-sm font-semibold text-foreground">Children</h3>
+                  <Button
+                    type="button"
+                    variant="outline"
+                    size="sm"
+                    className="gap-1.5"
+                    onClick={() => setChildren((prev) => [...prev, createChildEntry()])}
+                  >
+                    <Plus className="h-4 w-4" />
+                    Add child
+                  </Button>
+                </div>
+                {children.map((child) => (
+                  <div
+                    key={child.clientKey}
+                    className="space-y-3 rounded-lg border border-border/70 bg-background p-4"
+                  >
+                    <div className="flex items-center justify-between gap-3">
+                      <Select
+                        value={child.mode}
+                        onValueChange={(mode) => updateChild(child.clientKey, { mode })}
+                      >
+                        <SelectTrigger className="w-48">
+                          <SelectValue />
+                        </SelectTrigger>
+                        <SelectContent>
+                          <SelectItem value="new">New child</SelectItem>
+                          <SelectItem value="existing">Existing user</SelectItem>
+                        </SelectContent>
+                      </Select>
+                      {children.length > 1 && (
+                        <Button
+                          type="button"
+                          variant="ghost"
+                          size="sm"
+                          onClick={() =>
+                            setChildren((prev) =>
+                              prev.filter((entry) => entry.clientKey !== child.clientKey)
+                            )
+                          }
+                        >
+                          <Trash2 className="h-4 w-4" />
+                        </Button>
+                      )}
+                    </div>
+                    {child.mode === 'existing' ? (
+                      <SearchableSelect
+                        value={child.userId}
+                        onValueChange={(userId) => updateChild(child.clientKey, { userId })}
+                        options={userOptions}
+                        placeholder="Choose a user"
+                        searchPlaceholder="Search users..."
+                      />
+                    ) : (
+                      <div className="grid gap-3 md:grid-cols-3">
+                        <Input
+                          placeholder="Name"
+                          required
+                          value={child.name}
+                          onChange={(event) =>
+                            updateChild(child.clientKey, { name: event.target.value })
+                          }
+                        />
+                        <Input
+                          type="number"
+                          min="1"
+                          placeholder="Age"
+                          required
+                          value={child.age}
+                          onChange={(event) =>
+                            updateChild(child.clientKey, { age: event.target.value })
+                          }
+                        />
+                        <Select
+                          value={child.gender}
+                          onValueChange={(gender) => updateChild(child.clientKey, { gender })}
+                        >
+                          <SelectTrigger>
+                            <SelectValue placeholder="Gender" />
+                          </SelectTrigger>
+                          <SelectContent>
+                            <SelectItem value="male">Male</SelectItem>
+                            <SelectItem value="female">Female</SelectItem>
+                            <SelectItem value="other">Other</SelectItem>
+                          </SelectContent>
+                        </Select>
+                      </div>
+                    )}
+                    {startAutomation && (
+                      <div className="space-y-1">
+                        <Input
+                          type="file"
+                          accept="image/*"
+                          multiple
+                          onChange={(event) =>
+                            updateChild(child.clientKey, {
+                              files: Array.from(event.target.files || []),
+                            })
+                          }
+                        />
+                        <p className="text-xs text-muted-foreground">
+                          {child.mode === 'existing'
+                            ? 'Optional: without new photos the user’s stored photos are used.'
+                            : 'Reference photos for training.'}
+                        </p>
+                      </div>
+                    )}
+                  </div>
+                ))}
+              </div>
+
+              <div className="space-y-3">
+                <h3 className="text-sm font-semibold text-foreground">Shipping</h3>
+                <div className="grid gap-3 md:grid-cols-2">
+                  <Input
+                    placeholder="Recipient (defaults to parent)"
+                    value={shipping.recipientName}
+                    onChange={(event) =>
+                      setShipping({ ...shipping, recipientName: event.target.value })
+                    }
+                  />
+                  <Select
+                    value={shipping.method}
+                    onValueChange={(method) => setShipping({ ...shipping, method })}
+                  >
+                    <SelectTrigger>
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value="standard">Standard shipping</SelectItem>
+                      <SelectItem value="express">Express shipping</SelectItem>
+                    </SelectContent>
+                  </Select>
+                  <Input
+                    placeholder="Address line 1 *"
+                    required
+                    value={shipping.addressLine1}
+                    onChange={(event) =>
+                      setShipping({ ...shipping, addressLine1: event.target.value })
+                    }
+                  />
+                  <Input
+                    placeholder="Address line 2"
+                    value={shipping.addressLine2}
+                    onChange={(event) =>
+                      setShipping({ ...shipping, addressLine2: event.target.value })
+                    }
+                  />
+                  <Input
+                    placeholder="City *"
+                    required
+                    value={shipping.city}
+                    onChange={(event) => setShipping({ ...shipping, city: event.target.value })}
+                  />
+                  <Input
+                    placeholder="State / region"
+                    value={shipping.state}
+                    onChange={(event) => setShipping({ ...shipping, state: event.target.value })}
+                  />
+                  <Input
+                    placeholder="Postal code *"
+                    required
+                    value={shipping.postalCode}
+                    onChange={(event) =>
+                      setShipping({ ...shipping, postalCode: event.target.value })
+                    }
+                  />
+                  <Input
+                    placeholder="Country *"
+                    required
+                    value={shipping.country}
+                    onChange={(event) => setShipping({ ...shipping, country: event.target.value })}
+                  />
+                </div>
+              </div>
+
+              <div className="space-y-2">
+                <Label htmlFor="order-notes">Notes</Label>
+                <Textarea
+                  id="order-notes"
+                  rows={3}
+                  value={notes}
+                  onChange={(event) => setNotes(event.target.value)}
+                />
+              </div>
+
+              <label className="flex items-center gap-2 text-sm text-foreground">
+                <input
+                  type="checkbox"
+                  className="h-3.5 w-3.5 rounded border-border/60 accent-foreground"
+                  checked={startAutomation}
+                  onChange={(event) => setStartAutomation(event.target.checked)}
+                />
+                Start automation (training and storybook) for every child now
+              </label>
+            </CardContent>
+            <CardFooter className="justify-end">
+              <Button type="submit" className="gap-1.5" disabled={submitting}>
+                {submitting && <Loader2 className="h-4 w-4 animate-spin" />}
+                Create order
+              </Button>
+            </CardFooter>
+          </form>
+        </Card>
+      )}
+
+      <Card className="shadow-sm">
+        <CardHeader className="space-y-4">
+          <div className="flex items-center justify-between gap-3">
+            <div className="space-y-1">
+              <CardTitle className="text-lg font-semibold">Pipeline</CardTitle>
+              <CardDescription>
+                {totalActive} orders · {pipeline.cancelled || 0} cancelled
+              </CardDescription>
+            </div>
+            <Button
+              type="button"
+              variant="outline"
+              size="sm"
+              className="gap-1.5"
+              onClick={fetchOrders}
+              disabled={loading}
+            >
+              <RefreshCw className={cn('h-4 w-4', loading && 'animate-spin')} />
+              Refresh
+            </Button>
+          </div>
+          <div className="grid gap-3 md:grid-cols-3">
+            <Select value={statusFilter} onValueChange={setStatusFilter}>
+              <SelectTrigger>
+                <SelectValue placeholder="Status" />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value="all">All statuses</SelectItem>
+                {PIPELINE.map((stage) => (
+                  <SelectItem key={stage.value} value={stage.value}>
+                    {stage.label}
+                  </SelectItem>
+                ))}
+                <SelectItem value="cancelled">Cancelled</SelectItem>
+              </SelectContent>
+            </Select>
+            <div className="relative md:col-span-2">
+              <Search className="pointer-events-none absolute left-3 top-1/2 h-4 w-4 -translate-y-1/2 text-muted-foreground" />
+              <Input
+                className="pl-9"
+                placeholder="Order number, parent name or email"
+                value={searchTerm}
+                onChange={(event) => setSearchTerm(event.target.value)}
+              />
+            </div>
+          </div>
+        </CardHeader>
+        <CardContent className="space-y-2">
+          {loading && orders.length === 0 ? (
+            <div className="flex items-center gap-2 text-muted-foreground">
+              <Loader2 className="h-4 w-4 animate-spin" />
+              Loading orders…
+            </div>
+          ) : orders.length === 0 ? (
+            <p className="text-muted-foreground">No matching orders.</p>
+          ) : (
+            orders.map((order) => {
+              const isExpanded = expandedId === order._id;
+              const isBusy = busyOrderId === order._id;
+              const details = detailsById[order._id];
+              const orderChildren = Array.isArray(order.children) ? order.children : [];
+              const canStartAutomation =
+                ['received', 'training', 'proofing'].includes(order.status) &&
+                orderChildren.some(
+                  (child) => !child.automationRunId || child.automationRunId.status === 'failed'
+                );
+              return (
+                <div key={order._id} className="rounded-lg border border-border/70 bg-background">
+                  <div className="flex flex-wrap items-start gap-3 p-4">
+                    <button
+                      type="button"
+                      onClick={() => toggleExpanded(order._id)}
+                      className="flex min-w-0 flex-1 items-start gap-3 text-left"
+                    >
+                      {isExpanded ? (
+                        <ChevronDown className="mt-0.5 h-4 w-4 shrink-0 text-muted-foreground" />
+                      ) : (
+                        <ChevronRight className="mt-0.5 h-4 w-4 shrink-0 text-muted-foreground" />
+                      )}
+                      <div className="min-w-0 flex-1 space-y-1">
+                        <div className="flex flex-wrap items-center gap-2">
+                          <span className="font-mono text-sm font-semibold text-foreground">
+                            {order.orderNumber}
+                          </span>
+                          <Badge variant={order.status === 'cancelled' ? 'destructive' : 'outline'}>
+                            {order.status}
+                          </Badge>
+                          <span className="truncate text-sm text-foreground">
+                            {order.bookId?.name || 'Unknown book'}
+                          </span>
+                        </div>
+                        <p className="text-xs text-muted-foreground">
+                          {order.customer?.name} · {order.customer?.email} ·{' '}
+                          {formatTimestamp(order.createdAt)}
+                        </p>
+                        <div className="flex flex-wrap gap-2 pt-1">
+                          {orderChildren.map((child) => (
+                            <span
+                              key={child._id}
+                              className="rounded-full border border-border/60 px-2 py-0.5 text-xs text-muted-foreground"
+                            >
+                              {child.userId?.name || 'Child'}
+                              {child.automationRunId
+                                ? ` · ${child.automationRunId.status} ${child.automationRunId.progress ?? 0}%`
+                                : ''}
+                            </span>
+                          ))}
+                        </div>
+                      </div>
+                    </button>
+                    <div className="flex flex-wrap items-center gap-2">
+                      {canStartAutomation && (
+                        <Button
+                          type="button"
+                          size="sm"
+                          variant="outline"
+                          className="gap-1.5"
+                          disabled={isBusy}
+                          onClick={() => handleStartAutomation(order)}
+                        >
+                          <Zap className="h-4 w-4" />
+                          Start automation
+                        </Button>
+                      )}
+                      {order.status === 'printing' && (
+                        <Input
+                          className="h-8 w-40"
+                          placeholder="Tracking number"
+                          value={trackingDrafts[order._id] ?? order.shipping?.trackingNumber ?? ''}
+                          onChange={(event) =>
+                            setTrackingDrafts((prev) => ({
+                              ...prev,
+                              [order._id]: event.target.value,
+                            }))
+                          }
+                        />
+                      )}
+                      {(NEXT_ACTIONS[order.status] || []).map((action) => (
+                        <Button
+                          key={action.status}
+                          type="button"
+                          size="sm"
+                          variant={action.status === 'training' || action.status === 'proofing' ? 'outline' : 'default'}
+                          disabled={isBusy}
+                          onClick={() => handleTransition(order, action.status)}
+                        >
+                          {action.label}
+                        </Button>
+                      ))}
+                      {CANCELLABLE.has(order.status) && (
+                        <Button
+                          type="button"
+                          size="sm"
+                          variant="ghost"
+                          disabled={isBusy}
+                          onClick={() => handleTransition(order, 'cancelled')}
+                        >
+                          Cancel
+                        </Button>
+                      )}
+                      {['received', 'cancelled'].includes(order.status) && (
+                        <Button
+                          type="button"
+                          size="sm"
+                          variant="ghost"
+                          disabled={isBusy}
+                          onClick={() => handleDelete(order)}
+                        >
+                          <Trash2 className="h-4 w-4" />
+                        </Button>
+                      )}
+                      {isBusy && <Loader2 className="h-4 w-4 animate-spin text-muted-foreground" />}
+                    </div>
+                  </div>
+                  {isExpanded && (
+                    <div className="grid gap-4 border-t border-border/60 p-4 text-xs md:grid-cols-2">
+                      <div className="space-y-1">
+                        <p className="font-semibold text-muted-foreground">Ship to</p>
+                        <p className="text-foreground">
+                          {order.shipping?.recipientName || order.customer?.name}
+                        </p>
+                        <p className="text-foreground">{formatAddress(order.shipping) || '—'}</p>
+                        <p className="text-muted-foreground">
+                          {order.shipping?.method || 'standard'}
+                          {order.shipping?.trackingNumber
+                            ? ` · Tracking ${order.shipping.trackingNumber}`
+                            : ''}
+                        </p>
+                        {order.notes && (
+                          <p className="whitespace-pre-line pt-2 text-muted-foreground">
+                            {order.notes}
+                          </p>
+                        )}
+                      </div>
+                      <div className="space-y-1">
+                        <p className="font-semibold text-muted-foreground">History</p>
+                        {!details ? (
+                          <Loader2 className="h-4 w-4 animate-spin text-muted-foreground" />
+                        ) : (
+                          [...(details.events || [])].reverse().map((event) => (
+                            <p key={event._id} className="text-foreground">
+                              <span className="text-muted-foreground">
+                                {formatTimestamp(event.timestamp)}
+                              </span>{' '}
+                              {event.message}
+                              {event.actor?.name ? (
+                                <span className="text-muted-foreground"> · {event.actor.name}</span>
+                              ) : null}
+                            </p>
+                          ))
+                        )}
+                      </div>
+                    </div>
+                  )}
+                </div>
+              );
+            })
+          )}
+        </CardContent>
+        <CardFooter className="justify-between">
+          <div className="text-sm text-muted-foreground">{pagination.total} orders</div>
+          <div className="flex items-center gap-2">
+            <Button
+              type="button"
+              variant="outline"
+              size="sm"
+              className="gap-1.5"
+              onClick={() => setPage((prev) => Math.max(prev - 1, 1))}
+              disabled={!pagination.hasPrevPage || loading}
+            >
+              <ArrowLeft className="h-4 w-4" />
+              Prev
+            </Button>
+            <div className="text-sm font-medium text-foreground">
+              Page {pagination.totalPages === 0 ? 1 : pagination.page} of{' '}
+              {pagination.totalPages === 0 ? 1 : pagination.totalPages}
+            </div>
+            <Button
+              type="button"
+              variant="outline"
+              size="sm"
+              className="gap-1.5"
+              onClick={() => setPage((prev) => prev + 1)}
+              disabled={!pagination.hasNextPage || loading}
+            >
+              Next
+              <ArrowRight className="h-4 w-4" />
+            </Button>
+          </div>
+        </CardFooter>
+      </Card>
+    </div>
+  );
+}
+
+export default Orders;
@@ -0,0 +1,505 @@
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import toast from 'react-hot-toast';
+import { CheckCircle2, FileText, FlaskConical, Loader2, RefreshCw, Save } from 'lucide-react';
+import { promptTemplateAPI } from '@/services/api';
+import { useAuth } from '@/contexts/AuthContext';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Textarea } from '@/components/ui/textarea';
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from '@/components/ui/card';
+import { cn } from '@/lib/utils';
+
+// Matches MAX_DRY_RUN_SAMPLES on the backend
+const MAX_DRY_RUN_SAMPLES = 5;
+
+const formatDate = (value) => {
+  if (!value) return '';
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? '' : date.toLocaleString();
+};
+
+const formatTemplateRef = (ref) => (ref?.version ? `v${ref.version}` : 'unversioned');
+
+const VERDICT_VARIANTS = {
+  accept: 'success',
+  needs_more: 'warning',
+  reject: 'destructive',
+};
+
+function EvaluatorOutput({ output }) {
+  if (!output) return null;
+  return (
+    <div className="space-y-1">
+      <div className="flex items-center gap-2">
+        <Badge variant={VERDICT_VARIANTS[output.verdict] || 'outline'}>{output.verdict}</Badge>
+        <span className="text-xs text-muted-foreground">Score {output.score ?? '—'}</span>
+      </div>
+      {output.summary ? <p className="text-xs text-foreground/75">{output.summary}</p> : null}
+    </div>
+  );
+}
+
+function RankerOutput({ output }) {
+  if (!output) return null;
+  const ranked = Array.isArray(output.ranked) ? output.ranked : [];
+  return (
+    <div className="space-y-1 text-xs">
+      <p className="text-foreground/75">
+        Winner: image {Array.isArray(output.winners) ? output.winners.join(', ') : '—'}
+      </p>
+      {ranked.map((entry) => (
+        <p key={entry.imageIndex} className="text-muted-foreground">
+          #{entry.rank} · image {entry.imageIndex} · {entry.score} · {entry.notes}
+        </p>
+      ))}
+      {output.summary ? <p className="text-foreground/75">{output.summary}</p> : null}
+    </div>
+  );
+}
+
+function PromptOutput({ output }) {
+  if (!output) return null;
+  return <p className="whitespace-pre-line text-xs text-foreground/75">{output.prompt}</p>;
+}
+
+const OUTPUT_RENDERERS = {
+  evaluator: EvaluatorOutput,
+  ranker: RankerOutput,
+  prompt_generator: PromptOutput,
+};
+
+function PromptTemplates() {
+  const { isAdmin, canEdit } = useAuth();
+  const [templates, setTemplates] = useState([]);
+  const [activeKey, setActiveKey] = useState('evaluator');
+  const [versions, setVersions] = useState([]);
+  const [loadingVersions, setLoadingVersions] = useState(false);
+  const [selectedVersion, setSelectedVersion] = useState(null);
+  const [draft, setDraft] = useState('');
+  const [notes, setNotes] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [activating, setActivating] = useState(false);
+  const [samples, setSamples] = useState([]);
+  const [loadingSamples, setLoadingSamples] = useState(false);
+  const [selectedSamples, setSelectedSamples] = useState([]);
+  const [dryRun, setDryRun] = useState(null);
+  const [runningDryRun, setRunningDryRun] = useState(false);
+
+  const activeTemplate = templates.find((template) => template.key === activeKey) || null;
+  const selected = versions.find((version) => version.version === selectedVersion) || null;
+  const isDirty = Boolean(selected) && draft.trim() !== selected.content.trim();
+
+  const loadTemplates = useCallback(async () => {
+    try {
+      const response = await promptTemplateAPI.list();
+      setTemplates(Array.isArray(response?.data) ? response.data : []);
+    } catch (error) {
+      toast.error(`Failed to load templates: ${error.message}`);
+    }
+  }, []);
+
+  const loadVersions = useCallback(async (key, preferredVersion = null) => {
+    setLoadingVersions(true);
+    try {
+      const response = await promptTemplateAPI.getVersions(key);
+      const list = Array.isArray(response?.data) ? response.data : [];
+      setVersions(list);
+      const initial =
+        list.find((version) => version.version === preferredVersion) ||
+        list.find((version) => version.isActive) ||
+        list[0] ||
+        null;
+      setSelectedVersion(initial ? initial.version : null);
+      setDraft(initial ? initial.content : '');
+    } catch (error) {
+      toast.error(`Failed to load versions: ${error.message}`);
+    } finally {
+      setLoadingVersions(false);
+    }
+  }, []);
+
+  const loadSamples = useCallback(async (key) => {
+    setLoadingSamples(true);
+    try {
+      const response = await promptTemplateAPI.getSamples(key);
+      setSamples(Array.isArray(response?.data) ? response.data : []);
+    } catch (error) {
+      toast.error(`Failed to load samples: ${error.message}`);
+    } finally {
+      setLoadingSamples(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadTemplates();
+  }, [loadTemplates]);
+
+  useEffect(() => {
+    setNotes('');
+    setDryRun(null);
+    setSelectedSamples([]);
+    loadVersions(activeKey);
+    loadSamples(activeKey);
+  }, [activeKey, loadVersions, loadSamples]);
+
+  const handleSelectVersion = (version) => {
+    if (isDirty && !window.confirm('Discard unsaved changes to this template?')) return;
+    setSelectedVersion(version.version);
+    setDraft(version.content);
+    setDryRun(null);
+  };
+
+  const handleSave = async (activate) => {
+    setSaving(true);
+    try {
+      const response = await promptTemplateAPI.createVersion(activeKey, {
+        content: draft,
+        notes,
+        activate,
+      });
+      toast.success(response?.message || 'Template saved');
+      setNotes('');
+      await Promise.all([loadVersions(activeKey, response?.data?.version), loadTemplates()]);
+    } catch (error) {
+      toast.error(`Failed to save template: ${error.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleActivate = async () => {
+    if (!selected) return;
+    setActivating(true);
+    try {
+      const response = await promptTemplateAPI.activateVersion(activeKey, selected.version);
+      toast.success(response?.message || 'Version activated');
+      await Promise.all([loadVersions(activeKey, selected.version), loadTemplates()]);
+    } catch (error) {
+      toast.error(`Failed to activate version: ${error.message}`);
+    } finally {
+      setActivating(false);
+    }
+  };
+
+  const toggleSample = (id) => {
+    setSelectedSamples((prev) => {
+      if (prev.includes(id)) return prev.filter((item) => item !== id);
+      if (prev.length >= MAX_DRY_RUN_SAMPLES) {
+        toast.error(`Pick up to ${MAX_DRY_RUN_SAMPLES} samples per dry run`);
+        return prev;
+      }
+      return [...prev, id];
+    });
+  };
+
+  const handleDryRun = async () => {
+    if (!selectedSamples.length) {
+      toast.error('Select at least one saved sample');
+      return;
+    }
+    setRunningDryRun(true);
+    setDryRun(null);
+    try {
+      const payload = isDirty
+        ? { content: draft, sampleIds: selectedSamples }
+        : { version: selected?.version, sampleIds: selectedSamples };
+      const response = await promptTemplateAPI.dryRun(activeKey, payload);
+      setDryRun(response?.data || null);
+    } catch (error) {
+      toast.error(`Dry run failed: ${error.message}`);
+    } finally {
+      setRunningDryRun(false);
+    }
+  };
+
+  const OutputView = OUTPUT_RENDERERS[activeKey] || PromptOutput;
+  const dryRunResults = useMemo(
+    () => (Array.isArray(dryRun?.results) ? dryRun.results : []),
+    [dryRun]
+  );
+
+  return (
+    <div className="space-y-8">
+      <section className="space-y-3">
+        <div className="inline-flex items-center gap-2 rounded-full border border-border/60 bg-muted/40 px-3 py-1 text-xs font-semibold uppercase tracking-[0.2em] text-muted-foreground">
+          <FileText className="h-3.5 w-3.5" />
+          Prompt templates
+        </div>
+        <div className="space-y-3">
+          <h1 className="text-3xl font-semibold tracking-tight text-foreground">
+            The instructions behind every model call
+          </h1>
+          <p className="max-w-2xl text-sm text-muted-foreground sm:text-base">
+            Edit the system prompts used by the evaluator, the ranker and the prompt generator.
+            Every change is saved as a new version, and each evaluation, ranking and prompt records
+            the version that produced it.
+          </p>
+        </div>
+      </section>
+
+      <div className="flex flex-wrap gap-2">
+        {templates.map((template) => (
+          <Button
+            key={template.key}
+            type="button"
+            variant={template.key === activeKey ? 'secondary' : 'outline'}
+            onClick={() => {
+              if (template.key === activeKey) return;
+              if (isDirty && !window.confirm('Discard unsaved changes to this template?')) return;
+              setActiveKey(template.key);
+            }}
+            className="gap-2"
+          >
+            {template.label}
+            {template.activeVersion ? (
+              <Badge variant="outline">v{template.activeVersion}</Badge>
+            ) : null}
+          </Button>
+        ))}
+      </div>
+
+      <div className="grid gap-6 lg:grid-cols-[16rem_minmax(0,1fr)]">
+        <Card>
+          <CardHeader>
+            <CardTitle className="text-base">Versions</CardTitle>
+            <CardDescription>{activeTemplate?.description}</CardDescription>
+          </CardHeader>
+          <CardContent className="max-h-[32rem] space-y-2 overflow-y-auto p-3">
+            {loadingVersions && !versions.length ? (
+              <p className="text-xs text-muted-foreground">Loading versions…</p>
+            ) : null}
+            {versions.map((version) => (
+              <button
+                key={version._id}
+                type="button"
+                onClick={() => handleSelectVersion(version)}
+                className={cn(
+                  'w-full rounded-lg border border-border/50 px-3 py-2 text-left text-xs transition-colors',
+                  selectedVersion === version.version ? 'bg-accent/15' : 'hover:bg-muted/40'
+                )}
+              >
+                <div className="flex items-center justify-between gap-2">
+                  <span className="font-semibold text-foreground">v{version.version}</span>
+                  {version.isActive ? <Badge variant="success">Active</Badge> : null}
+                </div>
+                <p className="mt-1 text-muted-foreground">
+                  {version.author?.name || 'System'} · {formatDate(version.createdAt)}
+                </p>
+                {version.notes ? (
+                  <p className="mt-1 line-clamp-2 text-foreground/70">{version.notes}</p>
+                ) : null}
+              </button>
+            ))}
+          </CardContent>
+        </Card>
+
+        <div className="space-y-6">
+          <Card>
+            <CardHeader>
+              <div className="flex flex-wrap items-center justify-between gap-3">
+                <div>
+                  <CardTitle className="text-base">
+                    {activeTemplate?.label || 'Template'}{' '}
+                    {selected ? `· v${selected.version}` : ''}
+                  </CardTitle>
+                  <CardDescription>
+                    {isDirty
+                      ? 'Unsaved changes. Dry run them before saving a new version.'
+                      : 'Edit the text to draft a new version.'}
+                  </CardDescription>
+                </div>
+                {isAdmin && selected && !selected.isActive && !isDirty ? (
+                  <Button
+                    type="button"
+                    variant="outline"
+                    className="gap-1.5"
+                    onClick={handleActivate}
+                    disabled={activating}
+                  >
+                    {activating ? (
+                      <Loader2 className="h-4 w-4 animate-spin" />
+                    ) : (
+                      <CheckCircle2 className="h-4 w-4" />
+                    )}
+                    Activate v{selected.version}
+                  </Button>
+                ) : null}
+              </div>
+            </CardHeader>
+            <CardContent className="space-y-4 pt-4">
+              <Textarea
+                value={draft}
+                onChange={(event) => setDraft(event.target.value)}
+                rows={18}
+                readOnly={!isAdmin}
+                className="resize-y font-mono text-xs"
+              />
+              {isAdmin ? (
+                <div className="flex flex-wrap items-end gap-3">
+                  <div className="min-w-[16rem] flex-1 space-y-1.5">
+                    <Label htmlFor="template-notes">Change notes</Label>
+                    <Input
+                      id="template-notes"
+                      value={notes}
+                      onChange={(event) => setNotes(event.target.value)}
+                      placeholder="What changed and why"
+                      maxLength={500}
+                    />
+                  </div>
+                  <Button
+                    type="button"
+                    variant="outline"
+                    onClick={() => handleSave(false)}
+                    disabled={!isDirty || saving}
+                  >
+                    Save as draft
+                  </Button>
+                  <Button
+                    type="button"
+                    className="gap-1.5"
+                    onClick={() => handleSave(true)}
+                    disabled={!isDirty || saving}
+                  >
+                    {saving ? (
+                      <Loader2 className="h-4 w-4 animate-spin" />
+                    ) : (
+                      <Save className="h-4 w-4" />
+                    )}
+                    Save and activate
+                  </Button>
+                </div>
+              ) : null}
+            </CardContent>
+          </Card>
+
+          <Card>
+            <CardHeader>
+              <div className="flex flex-wrap items-center justify-between gap-3">
+                <div>
+                  <CardTitle className="flex items-center gap-2 text-base">
+                    <FlaskConical className="h-4 w-4" />
+                    Dry run
+                  </CardTitle>
+                  <CardDescription>
+                    Run {isDirty ? 'the unsaved draft' : `v${selected?.version ?? '—'}`} against
+                    up to {MAX_DRY_RUN_SAMPLES} saved samples. Results are not stored.
+                  </CardDescription>
+                </div>
+                <div className="flex items-center gap-2">
+                  <Button
+                    type="button"
+                    variant="ghost"
+                    size="icon"
+                    onClick={() => loadSamples(activeKey)}
+                    disabled={loadingSamples}
+                  >
+                    <RefreshCw className={cn('h-4 w-4', loadingSamples && 'animate-spin')} />
+                  </Button>
+                  {canEdit ? (
+                    <Button
+                      type="button"
+                      className="gap-1.5"
+                      onClick={handleDryRun}
+                      disabled={runningDryRun || !selectedSamples.length || !draft.trim()}
+                    >
+                      {runningDryRun ? (
+                        <Loader2 className="h-4 w-4 animate-spin" />
+                      ) : (
+                        <FlaskConical className="h-4 w-4" />
+                      )}
+                      Run on {selectedSamples.length || 0} sample
+                      {selectedSamples.length === 1 ? '' : 's'}
+                    </Button>
+                  ) : null}
+                </div>
+              </div>
+            </CardHeader>
+            <CardContent className="space-y-4 pt-4">
+              {!loadingSamples && !samples.length ? (
+                <p className="text-xs text-muted-foreground">
+                  No saved records to test against yet.
+                </p>
+              ) : null}
+              <div className="grid grid-cols-3 gap-3 sm:grid-cols-4 xl:grid-cols-6">
+                {samples.map((sample) => {
+                  const isSelected = selectedSamples.includes(sample.id);
+                  return (
+                    <button
+                      key={sample.id}
+                      type="button"
+                      onClick={() => toggleSample(sample.id)}
+                      className={cn(
+                        'overflow-hidden rounded-lg border text-left transition-colors',
+                        isSelected ? 'border-accent ring-2 ring-accent/40' : 'border-border/60'
+                      )}
+                    >
+                      {sample.imageUrl ? (
+                        <img
+                          src={sample.imageUrl}
+                          alt={sample.label}
+                          className="aspect-square w-full object-cover"
+                        />
+                      ) : (
+                        <div className="aspect-square w-full bg-muted" />
+                      )}
+                      <p className="truncate px-2 py-1 text-[11px] text-muted-foreground">
+                        {sample.label}
+                      </p>
+                    </button>
+                  );
+                })}
+              </div>
+
+              {dryRunResults.length ? (
+                <div className="space-y-3">
+                  {dryRunResults.map((result) => (
+                    <div
+                      key={result.sampleId}
+                      className="grid gap-3 rounded-lg border border-border/60 p-3 md:grid-cols-[6rem_minmax(0,1fr)_minmax(0,1fr)]"
+                    >
+                      {result.sample?.imageUrl ? (
+                        <img
+                          src={result.sample.imageUrl}
+                          alt={result.sample.label}
+                          className="aspect-square w-24 rounded-md object-cover"
+                        />
+                      ) : (
+                        <div className="aspect-square w-24 rounded-md bg-muted" />
+                      )}
+                      <div className="space-y-1">
+                        <p className="text-[11px] font-semibold uppercase tracking-wide text-muted-foreground">
+                          Stored ({formatTemplateRef(result.sample?.promptTemplate)})
+                        </p>
+                        <OutputView output={result.sample?.stored} />
+                      </div>
+                      <div className="space-y-1">
+                        <p className="text-[11px] font-semibold uppercase tracking-wide text-muted-foreground">
+                          Dry run ({dryRun?.template?.draft ? 'draft' : formatTemplateRef(dryRun?.template)})
+                        </p>
+                        {result.status === 'succeeded' ? (
+                          <OutputView output={result.output} />
+                        ) : (
+                          <p className="text-xs text-destructive">{result.error}</p>
+                        )}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              ) : null}
+            </CardContent>
+          </Card>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default PromptTemplates;
@@ -614,6 +614,7 @@ function Prompts() {
             ...item,
             status: 'complete',
             prompt: result.prompt,
+            promptTemplate: result.promptTemplate || null,
             error: null,
             copied: false,
             isSaving: false,
@@ -709,6 +710,12 @@ function Prompts() {
           if (typeof target.additionalContext === 'string' && target.additionalContext.trim()) {
             formData.append('additionalContext', target.additionalContext.trim());
           }
+          if (target.promptTemplate?.key) {
+            formData.append('promptTemplateKey', target.promptTemplate.key);
+            if (target.promptTemplate.version) {
+              formData.append('promptTemplateVersion', String(target.promptTemplate.version));
+            }
+          }
           const response = await promptAPI.create(formData);
           const saved = response?.data ?? response;
 
@@ -1299,6 +1306,9 @@ function Prompts() {
                             <p className="text-sm font-medium text-foreground">{item.fileName}</p>
                             <p className="text-xs text-muted-foreground">
                               {item.size ? formatFileSize(item.size) : 'Size unavailable'} • {formatTimestamp(item.createdAt)}
+                              {item.promptTemplate?.version
+                                ? ` • template v${item.promptTemplate.version}`
+                                : ''}
                             </p>
                           </div>
                           <Badge variant="outline" className="px-2 py-0.5 text-[11px] uppercase tracking-wide">
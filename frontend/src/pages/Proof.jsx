@@ -0,0 +1,409 @@
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import { useParams } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import {
+  BookOpen,
+  CheckCircle2,
+  ChevronLeft,
+  ChevronRight,
+  Loader2,
+  MessageSquare,
+  PencilLine,
+} from 'lucide-react';
+import { proofAPI } from '@/services/api';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Textarea } from '@/components/ui/textarea';
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardFooter,
+  CardHeader,
+  CardTitle,
+} from '@/components/ui/card';
+import { cn } from '@/lib/utils';
+
+const STATUS_LABELS = {
+  pending: 'Waiting for your review',
+  approved: 'Approved',
+  changes_requested: 'Changes requested',
+};
+
+const formatTimestamp = (value) => {
+  if (!value) return '';
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? '' : date.toLocaleString();
+};
+
+const getPageLabel = (page) => {
+  if (!page) return '';
+  if (page.pageType === 'cover') return 'Cover';
+  if (page.pageType === 'dedication') return 'Dedication';
+  return `Page ${page.order}`;
+};
+
+// Same alternation as the PDF renderer when the page has no explicit side
+const resolveCharacterSide = (page, index) => {
+  const preference = (page.characterPosition || 'auto').toLowerCase();
+  if (preference === 'left' || preference === 'right') return preference;
+  return index % 2 === 0 ? 'right' : 'left';
+};
+
+function ProofSpread({ page, index }) {
+  if (!page) return null;
+
+  const isFrontMatter = page.pageType === 'cover' || page.pageType === 'dedication';
+  const backgroundUrl = isFrontMatter ? page.renderedImage || page.background : page.background;
+  const side = resolveCharacterSide(page, index);
+
+  return (
+    <div className="relative aspect-[2/1] w-full overflow-hidden rounded-xl border border-border/70 bg-muted">
+      {backgroundUrl ? (
+        <img src={backgroundUrl} alt="" className="absolute inset-0 h-full w-full object-cover" />
+      ) : null}
+      {!isFrontMatter && page.character ? (
+        <img
+          src={page.character}
+          alt=""
+          className={cn(
+            'absolute bottom-0 max-h-[80%] max-w-[40%] object-contain',
+            side === 'right' ? 'right-[5%]' : 'left-[5%]'
+          )}
+        />
+      ) : null}
+      {!isFrontMatter && (page.text || page.quote) ? (
+        <div
+          className={cn(
+            'absolute top-1/2 w-[36%] -translate-y-1/2 space-y-2 rounded-lg bg-white/85 p-4 text-sm leading-relaxed text-neutral-900',
+            side === 'right' ? 'left-[5%]' : 'right-[5%]'
+          )}
+        >
+          {page.quote ? (
+            <p dir="rtl" lang="he" className="text-center font-semibold">
+              {page.quote}
+            </p>
+          ) : null}
+          {page.text ? <p className="whitespace-pre-line">{page.text}</p> : null}
+        </div>
+      ) : null}
+    </div>
+  );
+}
+
+function Proof() {
+  const { token } = useParams();
+  const [proof, setProof] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [loadError, setLoadError] = useState('');
+  const [pageIndex, setPageIndex] = useState(0);
+  const [name, setName] = useState('');
+  const [commentText, setCommentText] = useState('');
+  const [note, setNote] = useState('');
+  const [submittingComment, setSubmittingComment] = useState(false);
+  const [submittingDecision, setSubmittingDecision] = useState('');
+
+  const fetchProof = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await proofAPI.get(token);
+      setProof(response?.data || null);
+      setName((prev) => prev || response?.data?.proof?.recipientName || '');
+      setLoadError('');
+    } catch (error) {
+      setLoadError(error.message || 'This proof link could not be opened');
+    } finally {
+      setLoading(false);
+    }
+  }, [token]);
+
+  useEffect(() => {
+    fetchProof();
+  }, [fetchProof]);
+
+  const pages = useMemo(() => (Array.isArray(proof?.pages) ? proof.pages : []), [proof]);
+  const currentPage = pages[pageIndex] || null;
+  const status = proof?.proof?.status || 'pending';
+  const isPending = status === 'pending';
+  const comments = Array.isArray(proof?.proof?.comments) ? proof.proof.comments : [];
+  const pageComments = currentPage
+    ? comments.filter((comment) => Number(comment.pageOrder) === Number(currentPage.order))
+    : [];
+  const commentCountByOrder = useMemo(
+    () =>
+      comments.reduce((acc, comment) => {
+        acc[comment.pageOrder] = (acc[comment.pageOrder] || 0) + 1;
+        return acc;
+      }, {}),
+    [comments]
+  );
+
+  const handleAddComment = async (event) => {
+    event.preventDefault();
+    if (!currentPage || !commentText.trim()) return;
+    setSubmittingComment(true);
+    try {
+      const response = await proofAPI.addComment(token, {
+        pageOrder: currentPage.order,
+        text: commentText.trim(),
+        name,
+      });
+      setProof((prev) => ({
+        ...prev,
+        proof: { ...prev.proof, comments: [...comments, response.data] },
+      }));
+      setCommentText('');
+      toast.success('Comment added');
+    } catch (error) {
+      toast.error(error.message || 'Failed to add comment');
+    } finally {
+      setSubmittingComment(false);
+    }
+  };
+
+  const handleDecision = async (decision) => {
+    setSubmittingDecision(decision);
+    try {
+      const response = await proofAPI.submitDecision(token, { decision, note, name });
+      setProof((prev) => ({ ...prev, proof: response.data }));
+      toast.success(response?.message || 'Thank you!');
+    } catch (error) {
+      toast.error(error.message || 'Failed to submit your decision');
+    } finally {
+      setSubmittingDecision('');
+    }
+  };
+
+  if (loading && !proof) {
+    return (
+      <div className="flex min-h-screen items-center justify-center bg-background">
+        <Loader2 className="h-6 w-6 animate-spin text-muted-foreground" />
+      </div>
+    );
+  }
+
+  if (loadError || !proof) {
+    return (
+      <div className="flex min-h-screen items-center justify-center bg-background px-4">
+        <Card className="w-full max-w-md">
+          <CardHeader>
+            <CardTitle>Proof unavailable</CardTitle>
+            <CardDescription>
+              {loadError || 'This proof link could not be opened'}. Please ask us for a new link.
+            </CardDescription>
+          </CardHeader>
+        </Card>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-background px-4 py-8">
+      <div className="mx-auto max-w-5xl space-y-6">
+        <section className="space-y-3">
+          <div className="inline-flex items-center gap-2 rounded-full border border-border/60 bg-muted/40 px-3 py-1 text-xs font-semibold uppercase tracking-[0.2em] text-muted-foreground">
+            <BookOpen className="h-3.5 w-3.5" />
+            Storybook proof
+          </div>
+          <div className="flex flex-wrap items-center justify-between gap-3">
+            <h1 className="text-3xl font-semibold tracking-tight text-foreground">
+              {proof.title}
+            </h1>
+            <Badge variant={status === 'approved' ? 'success' : 'outline'}>
+              {STATUS_LABELS[status] || status}
+            </Badge>
+          </div>
+          <p className="max-w-2xl text-sm text-muted-foreground sm:text-base">
+            {proof.readerName ? `Made for ${proof.readerName}. ` : ''}
+            Flip through every page, leave a comment where something should change, then approve
+            the book for printing or send it back to us. This link expires{' '}
+            {formatTimestamp(proof.proof.expiresAt)}.
+          </p>
+        </section>
+
+        <Card className="shadow-sm">
+          <CardContent className="space-y-4 pt-6">
+            <ProofSpread page={currentPage} index={pageIndex} />
+            <div className="flex items-center justify-between gap-3">
+              <Button
+                type="button"
+                variant="outline"
+                size="sm"
+                className="gap-1"
+                onClick={() => setPageIndex((prev) => Math.max(prev - 1, 0))}
+                disabled={pageIndex === 0}
+              >
+                <ChevronLeft className="h-4 w-4" />
+                Previous
+              </Button>
+              <span className="text-sm font-medium text-foreground">
+                {getPageLabel(currentPage)} · {pageIndex + 1} of {pages.length}
+              </span>
+              <Button
+                type="button"
+                variant="outline"
+                size="sm"
+                className="gap-1"
+                onClick={() => setPageIndex((prev) => Math.min(prev + 1, pages.length - 1))}
+                disabled={pageIndex >= pages.length - 1}
+              >
+                Next
+                <ChevronRight className="h-4 w-4" />
+              </Button>
+            </div>
+            <div className="flex gap-2 overflow-x-auto pb-1">
+              {pages.map((page, index) => (
+                <button
+                  key={`${page.pageType}-${page.order}`}
+                  type="button"
+                  onClick={() => setPageIndex(index)}
+                  className={cn(
+                    'relative shrink-0 rounded-md border px-3 py-1.5 text-xs',
+                    index === pageIndex
+                      ? 'border-foreground/60 bg-muted text-foreground'
+                      : 'border-border/60 text-muted-foreground hover:bg-muted/50'
+                  )}
+                >
+                  {getPageLabel(page)}
+                  {commentCountByOrder[page.order] ? (
+                    <span className="ml-1.5 inline-flex items-center gap-0.5">
+                      <MessageSquare className="h-3 w-3" />
+                      {commentCountByOrder[page.order]}
+                    </span>
+                  ) : null}
+                </button>
+              ))}
+            </div>
+          </CardContent>
+        </Card>
+
+        <div className="grid gap-6 md:grid-cols-2">
+          <Card className="shadow-sm">
+            <CardHeader>
+              <CardTitle className="text-lg font-semibold">
+                Comments on {getPageLabel(currentPage).toLowerCase()}
+              </CardTitle>
+              <CardDescription>
+                Point out anything on this page we should fix, e.g. &quot;hair should be
+                curlier&quot;.
+              </CardDescription>
+            </CardHeader>
+            <CardContent className="space-y-3">
+              {pageComments.length === 0 ? (
+                <p className="text-sm text-muted-foreground">No comments on this page yet.</p>
+              ) : (
+                pageComments.map((comment) => (
+                  <div key={comment.id} className="rounded-lg border border-border/70 p-3 text-sm">
+                    <p className="whitespace-pre-line text-foreground">{comment.text}</p>
+                    <p className="mt-1 text-xs text-muted-foreground">
+                      {comment.authorName} · {formatTimestamp(comment.createdAt)}
+                    </p>
+                  </div>
+                ))
+              )}
+              {isPending && (
+                <form className="space-y-2" onSubmit={handleAddComment}>
+                  <Textarea
+                    rows={3}
+                    placeholder="Your comment"
+                    value={commentText}
+                    onChange={(event) => setCommentText(event.target.value)}
+                  />
+                  <Button
+                    type="submit"
+                    size="sm"
+                    variant="outline"
+                    className="gap-1.5"
+                    disabled={submittingComment || !commentText.trim()}
+                  >
+                    {submittingComment ? (
+                      <Loader2 className="h-4 w-4 animate-spin" />
+                    ) : (
+                      <MessageSquare className="h-4 w-4" />
+                    )}
+                    Add comment
+                  </Button>
+                </form>
+              )}
+            </CardContent>
+          </Card>
+
+          <Card className="shadow-sm">
+            <CardHeader>
+              <CardTitle className="text-lg font-semibold">Your decision</CardTitle>
+              <CardDescription>
+                {isPending
+                  ? 'Approve the book as it is, or ask for changes.'
+                  : `${STATUS_LABELS[status]} by ${proof.proof.decidedBy || 'you'} on ${formatTimestamp(
+                      proof.proof.decidedAt
+                    )}.`}
+              </CardDescription>
+            </CardHeader>
+            {isPending ? (
+              <>
+                <CardContent className="space-y-3">
+                  <div className="space-y-2">
+                    <Label htmlFor="proof-name">Your name</Label>
+                    <Input
+                      id="proof-name"
+                      value={name}
+                      onChange={(event) => setName(event.target.value)}
+                    />
+                  </div>
+                  <div className="space-y-2">
+                    <Label htmlFor="proof-note">Note (optional)</Label>
+                    <Textarea
+                      id="proof-note"
+                      rows={3}
+                      value={note}
+                      onChange={(event) => setNote(event.target.value)}
+                    />
+                  </div>
+                </CardContent>
+                <CardFooter className="flex flex-wrap justify-end gap-2">
+                  <Button
+                    type="button"
+                    variant="outline"
+                    className="gap-1.5"
+                    disabled={Boolean(submittingDecision)}
+                    onClick={() => handleDecision('request_changes')}
+                  >
+                    {submittingDecision === 'request_changes' ? (
+                      <Loader2 className="h-4 w-4 animate-spin" />
+                    ) : (
+                      <PencilLine className="h-4 w-4" />
+                    )}
+                    Request changes
+                  </Button>
+                  <Button
+                    type="button"
+                    className="gap-1.5"
+                    disabled={Boolean(submittingDecision)}
+                    onClick={() => handleDecision('approve')}
+                  >
+                    {submittingDecision === 'approve' ? (
+                      <Loader2 className="h-4 w-4 animate-spin" />
+                    ) : (
+                      <CheckCircle2 className="h-4 w-4" />
+                    )}
+                    Approve for printing
+                  </Button>
+                </CardFooter>
+              </>
+            ) : proof.proof.decisionNote ? (
+              <CardContent>
+                <p className="whitespace-pre-line text-sm text-foreground">
+                  {proof.proof.decisionNote}
+                </p>
+              </CardContent>
+            ) : null}
+          </Card>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default Proof;
@@ -1,4 +1,5 @@
-import React, { useEffect, useMemo, useRef, useState, useId } from 'react';
+import React, { useCallback, useEffect, useMemo, useRef, useState, useId } from 'react';
+import toast from 'react-hot-toast';
 import {
   Card,
   CardContent,
@@ -18,6 +19,9 @@ import {
   SelectTrigger,
   SelectValue,
 } from '@/components/ui/select';
+import { SearchableSelect } from '@/components/ui/searchable-select';
+import { bookAPI } from '@/services/api';
+import { useAuth } from '@/contexts/AuthContext';
 import planeBackground from '@/assets/background.jpg';
 import childCharacter from '@/assets/character.png';
 
@@ -29,41 +33,29 @@ to Israel, where stories flow.
 Where prophets walked and kings once prayed,
 and history's treasures never fade.`;
 
-const DEFAULT_CONFIG = Object.freeze({
-  storyText: DEFAULT_TEXT,
-  characterSide: 'right',
-  characterWidthRatio: 0.4,
-  characterHeightRatio: 0.8,
-  characterOffsetX: 0,
-  characterOffsetY: 0,
-  textFontSize: 18,
-  textLineHeight: 1.4,
-  textColor: '#ffffff',
-  textMargin: 40,
-  textBlockWidthRatio: 0.35,
-  textBlockWidthMin: 300,
-  textOffsetX: 0,
-  textOffsetY: 0,
-  textBaselineRatio: 0.7,
-  textBaselineOffset: 18,
-  overlayPaddingLeft: 90,
-  overlayPaddingRight: 60,
-  overlayPaddingVertical: 40,
-  overlayBlur: 15,
-  overlayMaskWidthFactor: 2.2,
-  overlayMaskHeightFactor: 2,
-  overlayMaskHardness: 0.82,
-  overlayMaskOffsetX: -20,
-  overlayFallbackColor: '#0c204e',
-  overlayFallbackOpacity: 0.85,
-});
+const DEFAULT_QUOTE = 'לְכוּ נְרַנְּנָה';
+
+// Browser stand-ins for the PDF fonts; `auto` follows the renderer's default chain
+const PREVIEW_FONTS = {
+  auto: { fontFamily: 'Helvetica, Arial, sans-serif', fontWeight: 400 },
+  body: { fontFamily: 'Helvetica, Arial, sans-serif', fontWeight: 400 },
+  accent: { fontFamily: 'Helvetica, Arial, sans-serif', fontWeight: 700 },
+  hebrew: { fontFamily: "'Noto Serif Hebrew', 'Times New Roman', serif", fontWeight: 400 },
+};
+
+const FONT_LABELS = {
+  auto: 'Automatic (by script)',
+  body: 'Body',
+  accent: 'Accent (bold)',
+  hebrew: 'Hebrew',
+};
 
 const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
 
 const hexToRgba = (hex, alpha = 1) => {
   const sanitized = hex.trim().replace(/^#/, '');
   if (![3, 6].includes(sanitized.length)) {
-    return `rgba(12, 32, 78, ${alpha})`;
+    return `rgba(0, 0, 0, ${alpha})`;
   }
 
   const expanded =
@@ -82,129 +74,174 @@ const hexToRgba = (hex, alpha = 1) => {
 
 const wrapTextToLines = (text) => {
   if (!text) return [];
-  const lines = text.split(/\r?\n/).map((line) => line.trim());
-  if (lines.length === 0) {
-    return [];
-  }
-  return lines;
+  return text
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line, index, lines) => line || index < lines.length - 1);
 };
 
-const buildPreviewData = (config, backgroundSrc, characterSrc) => {
-  const width = CANVAS_WIDTH;
-  const height = CANVAS_HEIGHT;
-  const merged = { ...DEFAULT_CONFIG, ...config };
-
-  const isCharacterOnRight = merged.characterSide !== 'left';
-  const fontSize = merged.textFontSize;
-  const lineHeight = fontSize * merged.textLineHeight;
+const cloneLayout = (layout) => JSON.parse(JSON.stringify(layout || {}));
 
-  let character = null;
-  let charWidth = 0;
-  let charHeight = 0;
+// Full layout from a book's stored overrides and the server defaults
+const mergeLayout = (defaults, custom) =>
+  Object.fromEntries(
+    Object.entries(defaults).map(([section, values]) => [
+      section,
+      { ...values, ...(custom?.[section] || {}) },
+    ])
+  );
 
-  if (characterSrc) {
-    const requestedWidth = Math.max(0, width * merged.characterWidthRatio);
-    const requestedHeight = Math.max(0, height * merged.characterHeightRatio);
+// Only the values that differ from the defaults are saved, so a book keeps
+// following default changes for everything it has not customised
+const buildLayoutOverrides = (layout, defaults) => {
+  const overrides = Object.fromEntries(
+    Object.entries(layout)
+      .map(([section, values]) => [
+        section,
+        Object.fromEntries(
+          Object.entries(values).filter(([key, value]) => defaults[section]?.[key] !== value)
+        ),
+      ])
+      .filter(([, values]) => Object.keys(values).length)
+  );
+  return Object.keys(overrides).length ? overrides : null;
+};
 
-    charWidth = clamp(requestedWidth, width * 0.05, width);
-    charHeight = clamp(requestedHeight, height * 0.05, height * 1.5);
+// Mirrors backend/src/utils/pageLayout.js and the story page in pdfGenerator.js.
+// Geometry is computed in PDF points (origin bottom-left) and flipped for the SVG.
+const buildPreviewData = ({
+  layout,
+  storyText,
+  quoteText,
+  previewSide,
+  backgroundSrc,
+  characterSrc,
+  characterAspect,
+}) => {
+  const width = CANVAS_WIDTH;
+  const height = CANVAS_HEIGHT;
+  const { character: characterLayout, text: textLayout, overlay: overlayLayout } = layout;
+  const quoteLayout = layout.quote;
 
-    const baseX = isCharacterOnRight ? width - charWidth : 0;
-    const x = clamp(baseX + merged.characterOffsetX, -width * 0.5, width * 1.5 - charWidth);
-    const baseY = height - charHeight;
-    const y = clamp(baseY + merged.characterOffsetY, -height * 0.5, height);
+  const isCharacterOnRight =
+    characterLayout.anchor === 'auto' ? previewSide !== 'left' : characterLayout.anchor === 'right';
 
+  let character = null;
+  if (characterSrc && characterAspect) {
+    const maxWidth = width * characterLayout.widthRatio;
+    const maxHeight = height * characterLayout.heightRatio;
+    const fitsWidth = characterAspect > maxWidth / maxHeight;
+    const charWidth = fitsWidth ? maxWidth : maxHeight * characterAspect;
+    const charHeight = fitsWidth ? maxWidth / characterAspect : maxHeight;
     character = {
       src: characterSrc,
-      frame: {
-        x,
-        y,
-        width: charWidth,
-        height: charHeight,
-        preserveAspectRatio: isCharacterOnRight ? 'xMaxYMax meet' : 'xMinYMax meet',
-      },
+      x: (isCharacterOnRight ? width - charWidth : 0) + characterLayout.offsetX,
+      y: characterLayout.offsetY,
+      width: charWidth,
+      height: charHeight,
     };
   }
 
-  const textBlockWidth = Math.min(
-    Math.max(width * merged.textBlockWidthRatio, merged.textBlockWidthMin),
-    width - merged.textMargin * 2
+  const lineAdvance = textLayout.fontSize * textLayout.lineHeight;
+  const textWidth = Math.min(
+    Math.max(width * textLayout.widthRatio, textLayout.minWidth),
+    width - textLayout.margin * 2
   );
-
-  const textLines = wrapTextToLines(merged.storyText);
-  const textHeight = textLines.length * lineHeight;
-
-  const baseTextX = isCharacterOnRight
-    ? merged.textMargin
-    : width - textBlockWidth - merged.textMargin;
+  const baseTextX = isCharacterOnRight ? textLayout.margin : width - textWidth - textLayout.margin;
   const textX = clamp(
-    baseTextX + merged.textOffsetX,
-    merged.textMargin * 0.5,
-    width - textBlockWidth - merged.textMargin * 0.5
+    baseTextX + textLayout.offsetX,
+    textLayout.margin * 0.5,
+    width - textWidth - textLayout.margin * 0.5
   );
-
   const baseline = clamp(
-    height * merged.textBaselineRatio + merged.textOffsetY,
-    lineHeight,
-    height - merged.textBaselineOffset
+    height * textLayout.baselineRatio + textLayout.offsetY,
+    lineAdvance,
+    height - textLayout.baselineOffset
   );
 
+  const textLines = wrapTextToLines(storyText);
   let overlay = null;
-
   if (textLines.length) {
-    const rawBgX = textX - merged.overlayPaddingLeft;
-    const rawBgY = baseline - textHeight - merged.overlayPaddingVertical;
-    const rawBgWidth = textBlockWidth + merged.overlayPaddingLeft + merged.overlayPaddingRight;
-    const rawBgHeight = textHeight + merged.overlayPaddingVertical * 2;
-
-    const bgX = clamp(rawBgX, 0, width - 1);
-    const bgY = clamp(rawBgY, 0, height - 1);
-    const xOffset = bgX - rawBgX;
-    const yOffset = bgY - rawBgY;
-    const bgWidth = Math.min(Math.max(1, rawBgWidth - xOffset), width - bgX);
-    const bgHeight = Math.min(Math.max(1, rawBgHeight - yOffset), height - bgY);
-
-    const maskCenterPdfX =
-      bgX + bgWidth / 2 + (merged.overlayMaskOffsetX ?? DEFAULT_CONFIG.overlayMaskOffsetX);
-    const maskCenterPdfY = bgY + bgHeight / 2;
-
-    const maskRadiusX =
-      (bgWidth / Math.max(merged.overlayMaskWidthFactor, 0.1)) * 1.12;
-    const maskRadiusY =
-      (bgHeight / Math.max(merged.overlayMaskHeightFactor, 0.1)) * 1.12;
+    const textHeight = textLines.length * lineAdvance;
+    const rawX = textX - overlayLayout.paddingLeft;
+    const rawY = baseline - textHeight - overlayLayout.paddingVertical;
+    const rawWidth = textWidth + overlayLayout.paddingLeft + overlayLayout.paddingRight;
+    const rawHeight = textHeight + overlayLayout.paddingVertical * 2;
+    const x = clamp(rawX, 0, width - 1);
+    const y = clamp(rawY, 0, height - 1);
+    const bgWidth = Math.min(Math.max(1, Math.round(rawWidth - (x - rawX))), Math.round(width - x));
+    const bgHeight = Math.min(
+      Math.max(1, Math.round(rawHeight - (y - rawY))),
+      Math.round(height - y)
+    );
 
     overlay = {
-      x: bgX,
-      y: height - (bgY + bgHeight),
+      x,
+      y,
       width: bgWidth,
       height: bgHeight,
-      blur: Math.max(0, merged.overlayBlur),
-      fallbackFill: hexToRgba(
-        merged.overlayFallbackColor,
-        merged.overlayFallbackOpacity
-      ),
+      blur: overlayLayout.blur,
+      opacity: overlayLayout.opacity,
+      fallbackFill: hexToRgba(overlayLayout.fallbackColor, overlayLayout.fallbackOpacity),
       mask: {
-        centerX: clamp(maskCenterPdfX, bgX, bgX + bgWidth),
-        centerY: height - maskCenterPdfY,
-        radiusX: Math.max(1, maskRadiusX),
-        radiusY: Math.max(1, maskRadiusY),
-        hardness: clamp(merged.overlayMaskHardness, 0.01, 0.99),
+        centerX: x + bgWidth / 2 + overlayLayout.maskOffsetX,
+        centerY: y + bgHeight / 2,
+        radiusX: (bgWidth / overlayLayout.maskWidthFactor) * 1.12,
+        radiusY: (bgHeight / overlayLayout.maskHeightFactor) * 1.12,
+        hardness: overlayLayout.maskHardness,
       },
     };
   }
 
+  let quote = null;
+  const quoteLines = wrapTextToLines(quoteText);
+  if (quoteLines.length) {
+    const { margin } = textLayout;
+    const charX = character?.x || 0;
+    const charWidth = character?.width || 0;
+    const charTop = character ? character.y + character.height : 0;
+    const quoteWidth = clamp(
+      Math.max(charWidth * 0.8, width * quoteLayout.widthRatio),
+      80,
+      width - margin * 2
+    );
+    const quoteXBase = charWidth
+      ? charX + charWidth * 0.1
+      : isCharacterOnRight
+      ? margin
+      : width - quoteWidth - margin;
+    const quoteX = clamp(quoteXBase, margin, Math.max(margin, width - quoteWidth - margin));
+    const quoteY = clamp(
+      charTop + quoteLayout.gap,
+      margin,
+      Math.max(margin, height - quoteLayout.fontSize)
+    );
+    quote = {
+      lines: quoteLines,
+      // Lines are right-aligned within the quote's area
+      x: quoteX + quoteWidth,
+      baseline: quoteY,
+      fontSize: quoteLayout.fontSize,
+      lineAdvance: quoteLayout.fontSize * quoteLayout.lineHeight,
+      color: quoteLayout.color,
+      font: PREVIEW_FONTS[quoteLayout.font === 'auto' ? 'hebrew' : quoteLayout.font],
+    };
+  }
+
   return {
     backgroundSrc,
     character,
+    quote,
     text: textLines.length
       ? {
           lines: textLines,
           x: textX,
           baseline,
-          fontSize,
-          lineHeight,
-          baselineOffset: merged.textBaselineOffset,
-          color: merged.textColor,
+          lineAdvance,
+          fontSize: textLayout.fontSize,
+          baselineOffset: textLayout.baselineOffset,
+          color: textLayout.color,
+          font: PREVIEW_FONTS[textLayout.font] || PREVIEW_FONTS.auto,
           overlay,
         }
       : null,
@@ -218,11 +255,8 @@ const ConfigurableStoryPageSvg = ({ data }) => {
 
   if (!data) return null;
 
-  const { backgroundSrc, character, text } = data;
-  const hasOverlay = Boolean(text?.overlay);
-  const overlayMask = text?.overlay?.mask;
-  const maskHardStop = overlayMask ? clamp(overlayMask.hardness, 0.01, 0.99) : 0.82;
-
+  const { backgroundSrc, character, text, quote } = data;
+  const overlay = text?.overlay;
   const toSvgY = (pdfY) => CANVAS_HEIGHT - pdfY;
 
   return (
@@ -235,15 +269,15 @@ const ConfigurableStoryPageSvg = ({ data }) => {
       preserveAspectRatio="xMidYMid meet"
     >
       <defs>
-        {hasOverlay && overlayMask ? (
+        {overlay ? (
           <>
             <filter id={blurId} x="-50%" y="-50%" width="200%" height="200%">
-              <feGaussianBlur stdDeviation={text.overlay.blur} edgeMode="duplicate" />
+              <feGaussianBlur stdDeviation={overlay.blur} edgeMode="duplicate" />
             </filter>
             <radialGradient id={`${maskId}-gradient`}>
               <stop offset="0%" stopColor="white" stopOpacity="1" />
               <stop
-                offset={`${(maskHardStop * 100).toFixed(2)}%`}
+                offset={`${(overlay.mask.hardness * 100).toFixed(2)}%`}
                 stopColor="white"
                 stopOpacity="1"
               />
@@ -251,10 +285,10 @@ const ConfigurableStoryPageSvg = ({ data }) => {
             </radialGradient>
             <mask id={maskId}>
               <ellipse
-                cx={overlayMask.centerX}
-                cy={overlayMask.centerY}
-                rx={overlayMask.radiusX}
-                ry={overlayMask.radiusY}
+                cx={overlay.mask.centerX}
+                cy={toSvgY(overlay.mask.centerY)}
+                rx={overlay.mask.radiusX}
+                ry={overlay.mask.radiusY}
                 fill={`url(#${maskId}-gradient)`}
               />
             </mask>
@@ -278,65 +312,140 @@ const ConfigurableStoryPageSvg = ({ data }) => {
       {character ? (
         <image
           href={character.src}
-          x={character.frame.x}
-          y={character.frame.y}
-          width={character.frame.width}
-          height={character.frame.height}
-          preserveAspectRatio={character.frame.preserveAspectRatio}
+          x={character.x}
+          y={toSvgY(character.y + character.height)}
+          width={character.width}
+          height={character.height}
+          preserveAspectRatio="none"
         />
       ) : null}
 
-      {hasOverlay ? (
+      {quote
+        ? quote.lines.map((line, index) => (
+            <text
+              key={`quote-${index}`}
+              x={quote.x}
+              y={toSvgY(quote.baseline - index * quote.lineAdvance)}
+              fontSize={quote.fontSize}
+              fontFamily={quote.font.fontFamily}
+              fontWeight={quote.font.fontWeight}
+              fill={quote.color}
+              stroke="rgba(0, 0, 0, 0.7)"
+              strokeWidth={0.8}
+              paintOrder="stroke"
+              textAnchor="end"
+              direction="rtl"
+            >
+              {line}
+            </text>
+          ))
+        : null}
+
+      {text ? (
         <>
-          <g mask={`url(#${maskId})`}>
-            {backgroundSrc ? (
-              <image
-                href={backgroundSrc}
-                x="0"
-                y="0"
-                width={CANVAS_WIDTH}
-                height={CANVAS_HEIGHT}
-                preserveAspectRatio="none"
-                filter={`url(#${blurId})`}
-              />
-            ) : (
-              <rect
-                x={text.overlay.x}
-                y={text.overlay.y}
-                width={text.overlay.width}
-                height={text.overlay.height}
-                fill={text.overlay.fallbackFill}
-              />
-            )}
-          </g>
-          {text.lines.map((line, index) => {
-            const baseline = text.baseline - index * text.lineHeight - text.baselineOffset;
-            const svgY = toSvgY(baseline);
-            return (
-              <text
-                key={`line-${index}`}
-                x={text.x}
-                y={svgY}
-                fontSize={text.fontSize}
-                fontFamily="Helvetica, Arial, sans-serif"
-                fill={text.color}
-                dominantBaseline="alphabetic"
-              >
-                {line}
-              </text>
-            );
-          })}
+          {overlay ? (
+            <g mask={`url(#${maskId})`} opacity={overlay.opacity}>
+              {backgroundSrc ? (
+                <image
+                  href={backgroundSrc}
+                  x="0"
+                  y="0"
+                  width={CANVAS_WIDTH}
+                  height={CANVAS_HEIGHT}
+                  preserveAspectRatio="none"
+                  filter={`url(#${blurId})`}
+                />
+              ) : (
+                <rect
+                  x={overlay.x}
+                  y={toSvgY(overlay.y + overlay.height)}
+                  width={overlay.width}
+                  height={overlay.height}
+                  fill={overlay.fallbackFill}
+                />
+              )}
+            </g>
+          ) : null}
+          {text.lines.map((line, index) => (
+            <text
+              key={`line-${index}`}
+              x={text.x}
+              y={toSvgY(text.baseline - index * text.lineAdvance - text.baselineOffset)}
+              fontSize={text.fontSize}
+              fontFamily={text.font.fontFamily}
+              fontWeight={text.font.fontWeight}
+              fill={text.color}
+              dominantBaseline="alphabetic"
+            >
+              {line}
+            </text>
+          ))}
         </>
       ) : null}
-
     </svg>
   );
 };
 
+const formatValue = (value, format) => {
+  if (format === 'percent') return `${(value * 100).toFixed(0)}%`;
+  if (format === 'points') return `${value}pt`;
+  return String(value);
+};
+
+const LayoutSlider = ({ label, section, field, layout, fields, onChange, format, step = 1 }) => {
+  const range = fields?.[section]?.[field];
+  if (!range) return null;
+  const value = layout[section][field];
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center justify-between text-sm">
+        <Label className="font-medium">{label}</Label>
+        <span className="text-muted-foreground">{formatValue(value, format)}</span>
+      </div>
+      <Slider
+        value={[value]}
+        min={range.min}
+        max={range.max}
+        step={step}
+        onValueChange={(next) => onChange(section, field, next[0])}
+      />
+    </div>
+  );
+};
+
+const FontSelect = ({ id, label, value, fonts, onValueChange }) => (
+  <div className="space-y-2">
+    <Label htmlFor={id}>{label}</Label>
+    <Select value={value} onValueChange={onValueChange}>
+      <SelectTrigger id={id}>
+        <SelectValue />
+      </SelectTrigger>
+      <SelectContent>
+        {fonts.map((font) => (
+          <SelectItem key={font} value={font}>
+            {FONT_LABELS[font] || font}
+          </SelectItem>
+        ))}
+      </SelectContent>
+    </Select>
+  </div>
+);
+
 const Settings = () => {
-  const [config, setConfig] = useState(DEFAULT_CONFIG);
+  const { canEdit } = useAuth();
+  const [layoutSchema, setLayoutSchema] = useState(null);
+  const [books, setBooks] = useState([]);
+  const [selectedBookId, setSelectedBookId] = useState('');
+  const [layout, setLayout] = useState(null);
+  const [savedLayout, setSavedLayout] = useState(null);
+  const [loadingLayout, setLoadingLayout] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [storyText, setStoryText] = useState(DEFAULT_TEXT);
+  const [quoteText, setQuoteText] = useState(DEFAULT_QUOTE);
+  const [previewSide, setPreviewSide] = useState('right');
   const [backgroundSrc, setBackgroundSrc] = useState(planeBackground);
   const [characterSrc, setCharacterSrc] = useState(childCharacter);
+  const [characterAspect, setCharacterAspect] = useState(null);
   const backgroundObjectUrl = useRef(null);
   const characterObjectUrl = useRef(null);
 
@@ -351,13 +460,92 @@ const Settings = () => {
     };
   }, []);
 
-  const updateConfig = (key, value) => {
-    setConfig((prev) => ({
+  useEffect(() => {
+    const fetchInitialData = async () => {
+      try {
+        const [schemaResponse, booksResponse] = await Promise.all([
+          bookAPI.getPageLayoutDefaults(),
+          bookAPI.getAll({ limit: 0, minimal: true }),
+        ]);
+        const schema = schemaResponse?.data;
+        if (!schema?.defaults) {
+          throw new Error(schemaResponse?.message || 'Failed to load the default layout');
+        }
+        setLayoutSchema(schema);
+        setLayout(cloneLayout(schema.defaults));
+        setSavedLayout(cloneLayout(schema.defaults));
+        setBooks(Array.isArray(booksResponse?.data) ? booksResponse.data : []);
+      } catch (error) {
+        toast.error(`Failed to load layout settings: ${error.message}`);
+      }
+    };
+
+    fetchInitialData();
+  }, []);
+
+  // The fitted character box depends on the image's proportions, as in the PDF
+  useEffect(() => {
+    if (!characterSrc) {
+      setCharacterAspect(null);
+      return undefined;
+    }
+    let cancelled = false;
+    const image = new Image();
+    image.onload = () => {
+      if (!cancelled && image.naturalHeight) {
+        setCharacterAspect(image.naturalWidth / image.naturalHeight);
+      }
+    };
+    image.src = characterSrc;
+    return () => {
+      cancelled = true;
+    };
+  }, [characterSrc]);
+
+  const loadBookLayout = useCallback(
+    async (bookId) => {
+      if (!layoutSchema) return;
+      if (!bookId) {
+        setLayout(cloneLayout(layoutSchema.defaults));
+        setSavedLayout(cloneLayout(layoutSchema.defaults));
+        return;
+      }
+      try {
+        setLoadingLayout(true);
+        const response = await bookAPI.getPageLayout(bookId);
+        const resolved = mergeLayout(layoutSchema.defaults, response?.data?.layout);
+        setLayout(cloneLayout(resolved));
+        setSavedLayout(cloneLayout(resolved));
+      } catch (error) {
+        toast.error(`Failed to load the book's layout: ${error.message}`);
+      } finally {
+        setLoadingLayout(false);
+      }
+    },
+    [layoutSchema]
+  );
+
+  useEffect(() => {
+    loadBookLayout(selectedBookId);
+  }, [loadBookLayout, selectedBookId]);
+
+  const updateLayout = (section, field, value) => {
+    setLayout((prev) => ({
       ...prev,
-      [key]: value,
+      [section]: {
+        ...prev[section],
+        [field]: value,
+      },
     }));
   };
 
+  const updateNumber = (section, field, raw) => {
+    const range = layoutSchema?.fields?.[section]?.[field];
+    const value = Number(raw);
+    if (!range || !Number.isFinite(value)) return;
+    updateLayout(section, field, clamp(value, range.min, range.max));
+  };
+
   const handleFileChange = (type, event) => {
     const file = event.target.files?.[0];
     if (!file) return;
@@ -392,32 +580,85 @@ const Settings = () => {
     setCharacterSrc(childCharacter);
   };
 
-  const resetConfig = () => {
-    setConfig(DEFAULT_CONFIG);
+  const resetToDefaults = () => {
+    if (layoutSchema) {
+      setLayout(cloneLayout(layoutSchema.defaults));
+    }
+  };
+
+  const saveLayout = async () => {
+    if (!selectedBookId || !layout || !layoutSchema) return;
+    try {
+      setSaving(true);
+      const response = await bookAPI.updatePageLayout(selectedBookId, {
+        layout: buildLayoutOverrides(layout, layoutSchema.defaults),
+      });
+      const resolved = mergeLayout(layoutSchema.defaults, response?.data?.layout);
+      setLayout(cloneLayout(resolved));
+      setSavedLayout(cloneLayout(resolved));
+      toast.success(response?.message || 'Page layout saved');
+    } catch (error) {
+      toast.error(`Failed to save the page layout: ${error.message}`);
+    } finally {
+      setSaving(false);
+    }
   };
 
+  const bookOptions = useMemo(
+    () => books.map((book) => ({ value: book._id, label: book.name })),
+    [books]
+  );
+
+  const isDirty = useMemo(
+    () => Boolean(layout && savedLayout) && JSON.stringify(layout) !== JSON.stringify(savedLayout),
+    [layout, savedLayout]
+  );
+
   const previewData = useMemo(
-    () => buildPreviewData(config, backgroundSrc, characterSrc),
-    [config, backgroundSrc, characterSrc]
+    () =>
+      layout
+        ? buildPreviewData({
+            layout,
+            storyText,
+            quoteText,
+            previewSide,
+            backgroundSrc,
+            characterSrc,
+            characterAspect,
+          })
+        : null,
+    [layout, storyText, quoteText, previewSide, backgroundSrc, characterSrc, characterAspect]
   );
 
+  const fields = layoutSchema?.fields;
+  const fonts = layoutSchema?.fonts || ['auto'];
+  const sliderProps = { layout, fields, onChange: updateLayout };
+
   return (
     <div className="space-y-8 px-4 pb-12 sm:px-6 lg:px-8">
       <div className="flex flex-col gap-3 sm:flex-row sm:items-center sm:justify-between">
         <div>
           <h1 className="text-2xl font-semibold text-foreground">Settings</h1>
           <p className="text-sm text-muted-foreground">
-            Fine-tune the story page layout and see changes instantly. Use this sandbox to explore
-            different combinations before applying them to storybooks.
+            Design a book&apos;s story page layout. The preview and the generated PDFs are
+            drawn from the same saved layout.
           </p>
         </div>
         <div className="flex gap-2">
           <Button variant="secondary" onClick={resetAssets}>
             Reset Images
           </Button>
-          <Button variant="outline" onClick={resetConfig}>
-            Reset Layout
+          <Button variant="outline" onClick={resetToDefaults} disabled={!layout}>
+            Reset to Defaults
           </Button>
+          {canEdit ? (
+            <Button
+              onClick={saveLayout}
+              disabled={!selectedBookId || !isDirty || saving || loadingLayout}
+            >
+              {saving ? 'Saving...' : 'Save Layout'}
+            </Button>
+          ) : null}
         </div>
       </div>
 
@@ -443,8 +684,32 @@ const Settings = () => {
         <div className="order-1 flex flex-col gap-6 xl:order-2">
           <Card>
             <CardHeader>
-              <CardTitle>Assets</CardTitle>
-              <CardDescription>Swap the background or character image to test different looks.</CardDescription>
+              <CardTitle>Book</CardTitle>
+              <CardDescription>
+                Pick the book whose layout you are editing. Without a book the defaults are shown.
+              </CardDescription>
+            </CardHeader>
+            <CardContent className="space-y-2">
+              <SearchableSelect
+                value={selectedBookId}
+                onValueChange={setSelectedBookId}
+                options={bookOptions}
+                placeholder="Select a book..."
+                searchPlaceholder="Search books..."
+                disabled={!layoutSchema}
+              />
+              {selectedBookId && isDirty ? (
+                <p className="text-xs text-foreground/50">Unsaved layout changes.</p>
+              ) : null}
+            </CardContent>
+          </Card>
+
+          <Card>
+            <CardHeader>
+              <CardTitle>Preview Content</CardTitle>
+              <CardDescription>
+                Sample images and text for the preview only; they are not saved with the layout.
+              </CardDescription>
             </CardHeader>
             <CardContent className="space-y-4">
               <div className="space-y-2">
@@ -465,375 +730,380 @@ const Settings = () => {
                   onChange={(event) => handleFileChange('character', event)}
                 />
               </div>
-            </CardContent>
-          </Card>
-
-          <Card>
-            <CardHeader>
-              <CardTitle>Layout</CardTitle>
-              <CardDescription>Adjust how the background, character, and text stack on the page.</CardDescription>
-            </CardHeader>
-            <CardContent className="space-y-5">
-              <div className="space-y-2">
-                <Label>Character side</Label>
-                <Select
-                  value={config.characterSide}
-                  onValueChange={(value) => updateConfig('characterSide', value)}
-                >
-                  <SelectTrigger>
-                    <SelectValue />
-                  </SelectTrigger>
-                  <SelectContent>
-                    <SelectItem value="left">Left</SelectItem>
-                    <SelectItem value="right">Right</SelectItem>
-                  </SelectContent>
-                </Select>
-              </div>
-
-              <div className="space-y-3">
-                <div className="flex items-center justify-between text-sm">
-                  <Label className="font-medium">Character width ratio</Label>
-                  <span className="text-muted-foreground">
-                    {(config.characterWidthRatio * 100).toFixed(0)}%
-                  </span>
-                </div>
-                <Slider
-                  value={[config.characterWidthRatio]}
-                  min={0.1}
-                  max={0.9}
-                  step={0.01}
-                  onValueChange={(value) => updateConfig('characterWidthRatio', value[0])}
-                />
-              </div>
-
-              <div className="space-y-3">
-                <div className="flex items-center justify-between text-sm">
-                  <Label className="font-medium">Character height ratio</Label>
-                  <span className="text-muted-foreground">
-                    {(config.characterHeightRatio * 100).toFixed(0)}%
-                  </span>
-                </div>
-                <Slider
-                  value={[config.characterHeightRatio]}
-                  min={0.3}
-                  max={1.4}
-                  step={0.01}
-                  onValueChange={(value) => updateConfig('characterHeightRatio', value[0])}
-                />
-              </div>
-
-              <div className="grid gap-4 sm:grid-cols-2">
-                <div className="space-y-3">
-                  <div className="flex items-center justify-between text-sm">
-                    <Label className="font-medium">Character offset X</Label>
-                    <span className="text-muted-foreground">{config.characterOffsetX}px</span>
-                  </div>
-                  <Slider
-                    value={[config.characterOffsetX]}
-                    min={-150}
-                    max={150}
-                    step={1}
-                    onValueChange={(value) => updateConfig('characterOffsetX', value[0])}
-                  />
-                </div>
-                <div className="space-y-3">
-                  <div className="flex items-center justify-between text-sm">
-                    <Label className="font-medium">Character offset Y</Label>
-                    <span className="text-muted-foreground">{config.characterOffsetY}px</span>
-                  </div>
-                  <Slider
-                    value={[config.characterOffsetY]}
-                    min={-150}
-                    max={150}
-                    step={1}
-                    onValueChange={(value) => updateConfig('characterOffsetY', value[0])}
-                  />
-                </div>
-              </div>
-
-              <div className="space-y-3">
-                <div className="flex items-center justify-between text-sm">
-                  <Label className="font-medium">Text margin</Label>
-                  <span className="text-muted-foreground">{config.textMargin}px</span>
-                </div>
-                <Slider
-                  value={[config.textMargin]}
-                  min={20}
-                  max={120}
-                  step={1}
-                  onValueChange={(value) => updateConfig('textMargin', value[0])}
-                />
-              </div>
-
-              <div className="space-y-3">
-                <div className="flex items-center justify-between text-sm">
-                  <Label className="font-medium">Text width ratio</Label>
-                  <span className="text-muted-foreground">
-                    {(config.textBlockWidthRatio * 100).toFixed(0)}%
-                  </span>
-                </div>
-                <Slider
-                  value={[config.textBlockWidthRatio]}
-                  min={0.25}
-                  max={0.55}
-                  step={0.01}
-                  onValueChange={(value) => updateConfig('textBlockWidthRatio', value[0])}
-                />
-              </div>
-
-              <div className="grid gap-4 sm:grid-cols-2">
-                <div className="space-y-3">
-                  <div className="flex items-center justify-between text-sm">
-                    <Label className="font-medium">Text offset X</Label>
-                    <span className="text-muted-foreground">{config.textOffsetX}px</span>
-                  </div>
-                  <Slider
-                    value={[config.textOffsetX]}
-                    min={-120}
-                    max={120}
-                    step={1}
-                    onValueChange={(value) => updateConfig('textOffsetX', value[0])}
-                  />
-                </div>
-                <div className="space-y-3">
-                  <div className="flex items-center justify-between text-sm">
-                    <Label className="font-medium">Text offset Y</Label>
-                    <span className="text-muted-foreground">{config.textOffsetY}px</span>
-                  </div>
-                  <Slider
-                    value={[config.textOffsetY]}
-                    min={-120}
-                    max={120}
-                    step={1}
-                    onValueChange={(value) => updateConfig('textOffsetY', value[0])}
-                  />
-                </div>
-              </div>
-
-              <div className="space-y-3">
-                <div className="flex items-center justify-between text-sm">
-                  <Label className="font-medium">Baseline ratio</Label>
-                  <span className="text-muted-foreground">
-                    {(config.textBaselineRatio * 100).toFixed(0)}%
-                  </span>
-                </div>
-                <Slider
-                  value={[config.textBaselineRatio]}
-                  min={0.5}
-                  max={0.85}
-                  step={0.01}
-                  onValueChange={(value) => updateConfig('textBaselineRatio', value[0])}
-                />
-              </div>
-
-              <div className="space-y-3">
-                <div className="flex items-center justify-between text-sm">
-                  <Label className="font-medium">Baseline offset</Label>
-                  <span className="text-muted-foreground">{config.textBaselineOffset}px</span>
-                </div>
-                <Slider
-                  value={[config.textBaselineOffset]}
-                  min={-40}
-                  max={60}
-                  step={1}
-                  onValueChange={(value) => updateConfig('textBaselineOffset', value[0])}
-                />
-              </div>
-            </CardContent>
-          </Card>
-
-          <Card>
-            <CardHeader>
-              <CardTitle>Text</CardTitle>
-              <CardDescription>Control the story paragraph, typeface size, and color palette.</CardDescription>
-            </CardHeader>
-            <CardContent className="space-y-4">
               <div className="space-y-2">
                 <Label htmlFor="story-text">Story text</Label>
                 <Textarea
                   id="story-text"
-                  rows={6}
-                  value={config.storyText}
-                  onChange={(event) => updateConfig('storyText', event.target.value)}
+                  rows={5}
+                  value={storyText}
+                  onChange={(event) => setStoryText(event.target.value)}
                 />
               </div>
-
-              <div className="grid gap-4 sm:grid-cols-2">
-                <div className="space-y-2">
-                  <Label htmlFor="font-size">Font size</Label>
-                  <Input
-                    id="font-size"
-                    type="number"
-                    min={10}
-                    max={32}
-                    value={config.textFontSize}
-                    onChange={(event) =>
-                      updateConfig('textFontSize', Number(event.target.value) || 16)
-                    }
-                  />
-                </div>
-                <div className="space-y-2">
-                  <Label htmlFor="line-height">Line height</Label>
-                  <Input
-                    id="line-height"
-                    type="number"
-                    min={1.1}
-                    max={2}
-                    step={0.05}
-                    value={config.textLineHeight}
-                    onChange={(event) =>
-                      updateConfig('textLineHeight', Number(event.target.value) || 1.4)
-                    }
-                  />
-                </div>
-              </div>
-
               <div className="space-y-2">
-                <Label htmlFor="text-color">Text color</Label>
+                <Label htmlFor="quote-text">Hebrew quote</Label>
                 <Input
-                  id="text-color"
-                  type="color"
-                  value={config.textColor}
-                  onChange={(event) => updateConfig('textColor', event.target.value)}
+                  id="quote-text"
+                  dir="rtl"
+                  value={quoteText}
+                  onChange={(event) => setQuoteText(event.target.value)}
                 />
               </div>
             </CardContent>
           </Card>
 
-          <Card>
-            <CardHeader>
-              <CardTitle>Overlay</CardTitle>
-              <CardDescription>Shape the blurred capsule that makes the paragraph readable.</CardDescription>
-            </CardHeader>
-            <CardContent className="space-y-4">
-              <div className="grid gap-4 sm:grid-cols-2">
-                <div className="space-y-2">
-                  <Label htmlFor="padding-left">Padding left</Label>
-                  <Input
-                    id="padding-left"
-                    type="number"
-                    min={0}
-                    max={180}
-                    value={config.overlayPaddingLeft}
-                    onChange={(event) =>
-                      updateConfig('overlayPaddingLeft', Number(event.target.value) || 0)
-                    }
-                  />
-                </div>
-                <div className="space-y-2">
-                  <Label htmlFor="padding-right">Padding right</Label>
-                  <Input
-                    id="padding-right"
-                    type="number"
-                    min={0}
-                    max={180}
-                    value={config.overlayPaddingRight}
-                    onChange={(event) =>
-                      updateConfig('overlayPaddingRight', Number(event.target.value) || 0)
-                    }
-                  />
-                </div>
-                <div className="space-y-2">
-                  <Label htmlFor="padding-vertical">Padding vertical</Label>
-                  <Input
-                    id="padding-vertical"
-                    type="number"
-                    min={0}
-                    max={180}
-                    value={config.overlayPaddingVertical}
-                    onChange={(event) =>
-                      updateConfig('overlayPaddingVertical', Number(event.target.value) || 0)
-                    }
-                  />
-                </div>
-                <div className="space-y-2">
-                  <Label htmlFor="overlay-blur">Blur strength</Label>
-                  <Input
-                    id="overlay-blur"
-                    type="number"
-                    min={0}
-                    max={40}
-                    value={config.overlayBlur}
-                    onChange={(event) =>
-                      updateConfig('overlayBlur', Number(event.target.value) || 0)
-                    }
-                  />
-                </div>
-              </div>
-
-              <div className="grid gap-4 sm:grid-cols-2">
-                <div className="space-y-2">
-                  <Label htmlFor="mask-width">Mask width factor</Label>
-                  <Input
-                    id="mask-width"
-                    type="number"
-                    min={1}
-                    max={4}
-                    step={0.1}
-                    value={config.overlayMaskWidthFactor}
-                    onChange={(event) =>
-                      updateConfig('overlayMaskWidthFactor', Number(event.target.value) || 1)
-                    }
+          {layout && fields ? (
+            <>
+              <Card>
+                <CardHeader>
+                  <CardTitle>Character</CardTitle>
+                  <CardDescription>
+                    Where the character sits. Offsets are in PDF points, positive to the right
+                    and up.
+                  </CardDescription>
+                </CardHeader>
+                <CardContent className="space-y-5">
+                  <div className="grid gap-4 sm:grid-cols-2">
+                    <div className="space-y-2">
+                      <Label htmlFor="character-anchor">Anchor</Label>
+                      <Select
+                        value={layout.character.anchor}
+                        onValueChange={(value) => updateLayout('character', 'anchor', value)}
+                      >
+                        <SelectTrigger id="character-anchor">
+                          <SelectValue />
+                        </SelectTrigger>
+                        <SelectContent>
+                          <SelectItem value="auto">Alternate per page</SelectItem>
+                          <SelectItem value="left">Always left</SelectItem>
+                          <SelectItem value="right">Always right</SelectItem>
+                        </SelectContent>
+                      </Select>
+                    </div>
+                    {layout.character.anchor === 'auto' ? (
+                      <div className="space-y-2">
+                        <Label htmlFor="preview-side">Preview page</Label>
+                        <Select value={previewSide} onValueChange={setPreviewSide}>
+                          <SelectTrigger id="preview-side">
+                            <SelectValue />
+                          </SelectTrigger>
+                          <SelectContent>
+                            <SelectItem value="right">Character on the right</SelectItem>
+                            <SelectItem value="left">Character on the left</SelectItem>
+                          </SelectContent>
+                        </Select>
+                      </div>
+                    ) : null}
+                  </div>
+                  <p className="text-xs text-foreground/50">
+                    A page&apos;s own character position still wins over the anchor.
+                  </p>
+                  <LayoutSlider
+                    {...sliderProps}
+                    label="Width ratio"
+                    section="character"
+                    field="widthRatio"
+                    format="percent"
+                    step={0.01}
                   />
-                </div>
-                <div className="space-y-2">
-                  <Label htmlFor="mask-height">Mask height factor</Label>
-                  <Input
-                    id="mask-height"
-                    type="number"
-                    min={1}
-                    max={4}
-                    step={0.1}
-                    value={config.overlayMaskHeightFactor}
-                    onChange={(event) =>
-                      updateConfig('overlayMaskHeightFactor', Number(event.target.value) || 1)
-                    }
+                  <LayoutSlider
+                    {...sliderProps}
+                    label="Height ratio"
+                    section="character"
+                    field="heightRatio"
+                    format="percent"
+                    step={0.01}
                   />
-                </div>
-              </div>
-
-              <div className="space-y-2">
-                <Label htmlFor="mask-hardness">Mask hardness</Label>
-                <Slider
-                  id="mask-hardness"
-                  value={[config.overlayMaskHardness]}
-                  min={0.3}
-                  max={0.95}
-                  step={0.01}
-                  onValueChange={(value) => updateConfig('overlayMaskHardness', value[0])}
-                />
-              </div>
-
-              <div className="grid gap-4 sm:grid-cols-2">
-                <div className="space-y-2">
-                  <Label htmlFor="overlay-color">Fallback color</Label>
-                  <Input
-                    id="overlay-color"
-                    type="color"
-                    value={config.overlayFallbackColor}
-                    onChange={(event) =>
-                      updateConfig('overlayFallbackColor', event.target.value)
-                    }
+                  <div className="grid gap-4 sm:grid-cols-2">
+                    <LayoutSlider
+                      {...sliderProps}
+                      label="Offset X"
+                      section="character"
+                      field="offsetX"
+                      format="points"
+                    />
+                    <LayoutSlider
+                      {...sliderProps}
+                      label="Offset Y"
+                      section="character"
+                      field="offsetY"
+                      format="points"
+                    />
+                  </div>
+                </CardContent>
+              </Card>
+
+              <Card>
+                <CardHeader>
+                  <CardTitle>Text</CardTitle>
+                  <CardDescription>
+                    The story paragraph on the side opposite the character.
+                  </CardDescription>
+                </CardHeader>
+                <CardContent className="space-y-5">
+                  <div className="grid gap-4 sm:grid-cols-2">
+                    <FontSelect
+                      id="text-font"
+                      label="Font"
+                      value={layout.text.font}
+                      fonts={fonts}
+                      onValueChange={(value) => updateLayout('text', 'font', value)}
+                    />
+                    <div className="space-y-2">
+                      <Label htmlFor="text-color">Color</Label>
+                      <Input
+                        id="text-color"
+                        type="color"
+                        value={layout.text.color}
+                        onChange={(event) => updateLayout('text', 'color', event.target.value)}
+                      />
+                    </div>
+                    <div className="space-y-2">
+                      <Label htmlFor="font-size">Font size</Label>
+                      <Input
+                        id="font-size"
+                        type="number"
+                        min={fields.text.fontSize.min}
+                        max={fields.text.fontSize.max}
+                        value={layout.text.fontSize}
+                        onChange={(event) => updateNumber('text', 'fontSize', event.target.value)}
+                      />
+                    </div>
+                    <div className="space-y-2">
+                      <Label htmlFor="line-height">Line height</Label>
+                      <Input
+                        id="line-height"
+                        type="number"
+                        min={fields.text.lineHeight.min}
+                        max={fields.text.lineHeight.max}
+                        step={0.05}
+                        value={layout.text.lineHeight}
+                        onChange={(event) =>
+                          updateNumber('text', 'lineHeight', event.target.value)
+                        }
+                      />
+                    </div>
+                  </div>
+                  <LayoutSlider
+                    {...sliderProps}
+                    label="Margin"
+                    section="text"
+                    field="margin"
+                    format="points"
                   />
-                </div>
-                <div className="space-y-2">
-                  <Label htmlFor="overlay-opacity">Fallback opacity</Label>
-                  <Input
-                    id="overlay-opacity"
-                    type="number"
-                    min={0}
-                    max={1}
-                    step={0.05}
-                    value={config.overlayFallbackOpacity}
-                    onChange={(event) =>
-                      updateConfig('overlayFallbackOpacity', Number(event.target.value) || 0)
-                    }
+                  <div className="grid gap-4 sm:grid-cols-2">
+                    <LayoutSlider
+                      {...sliderProps}
+                      label="Width ratio"
+                      section="text"
+                      field="widthRatio"
+                      format="percent"
+                      step={0.01}
+                    />
+                    <LayoutSlider
+                      {...sliderProps}
+                      label="Minimum width"
+                      section="text"
+                      field="minWidth"
+                      format="points"
+                    />
+                    <LayoutSlider
+                      {...sliderProps}
+                      label="Offset X"
+                      section="text"
+                      field="offsetX"
+                      format="points"
+                    />
+                    <LayoutSlider
+                      {...sliderProps}
+                      label="Offset Y"
+                      section="text"
+                      field="offsetY"
+                      format="points"
+                    />
+                    <LayoutSlider
+                      {...sliderProps}
+                      label="Baseline ratio"
+                      section="text"
+                      field="baselineRatio"
+                      format="percent"
+                      step={0.01}
+                    />
+                    <LayoutSlider
+                      {...sliderProps}
+                      label="Baseline offset"
+                      section="text"
+                      field="baselineOffset"
+                      format="points"
+                    />
+                  </div>
+                </CardContent>
+              </Card>
+
+              <Card>
+                <CardHeader>
+                  <CardTitle>Overlay</CardTitle>
+                  <CardDescription>
+                    The blurred capsule behind the paragraph. The fallback fill is used when the
+                    background cannot be blurred.
+                  </CardDescription>
+                </CardHeader>
+                <CardContent className="space-y-5">
+                  <LayoutSlider
+                    {...sliderProps}
+                    label="Opacity"
+                    section="overlay"
+                    field="opacity"
+                    format="percent"
+                    step={0.01}
                   />
-                </div>
-              </div>
-            </CardContent>
-          </Card>
-
+                  <div className="grid gap-4 sm:grid-cols-2">
+                    <LayoutSlider
+                      {...sliderProps}
+                      label="Padding left"
+                      section="overlay"
+                      field="paddingLeft"
+                      format="points"
+                    />
+                    <LayoutSlider
+                      {...sliderProps}
+                      label="Padding right"
+                      section="overlay"
+                      field="paddingRight"
+                      format="points"
+                    />
+                    <LayoutSlider
+                      {...sliderProps}
+                      label="Padding vertical"
+                      section="overlay"
+                      field="paddingVertical"
+                      format="points"
+                    />
+                    <LayoutSlider
+                      {...sliderProps}
+                      label="Blur strength"
+                      section="overlay"
+                      field="blur"
+                    />
+                    <LayoutSlider
+                      {...sliderProps}
+                      label="Mask width factor"
+                      section="overlay"
+                      field="maskWidthFactor"
+                      step={0.1}
+                    />
+                    <LayoutSlider
+                      {...sliderProps}
+                      label="Mask height factor"
+                      section="overlay"
+                      field="maskHeightFactor"
+                      step={0.1}
+                    />
+                    <LayoutSlider
+                      {...sliderProps}
+                      label="Mask hardness"
+                      section="overlay"
+                      field="maskHardness"
+                      format="percent"
+                      step={0.01}
+                    />
+                    <LayoutSlider
+                      {...sliderProps}
+                      label="Mask offset X"
+                      section="overlay"
+                      field="maskOffsetX"
+                      format="points"
+                    />
+                  </div>
+                  <div className="grid gap-4 sm:grid-cols-2">
+                    <div className="space-y-2">
+                      <Label htmlFor="overlay-color">Fallback color</Label>
+                      <Input
+                        id="overlay-color"
+                        type="color"
+                        value={layout.overlay.fallbackColor}
+                        onChange={(event) =>
+                          updateLayout('overlay', 'fallbackColor', event.target.value)
+                        }
+                      />
+                    </div>
+                    <LayoutSlider
+                      {...sliderProps}
+                      label="Fallback opacity"
+                      section="overlay"
+                      field="fallbackOpacity"
+                      format="percent"
+                      step={0.01}
+                    />
+                  </div>
+                </CardContent>
+              </Card>
+
+              <Card>
+                <CardHeader>
+                  <CardTitle>Quote</CardTitle>
+                  <CardDescription>
+                    The Hebrew quote above the character. The preview does not draw its wave.
+                  </CardDescription>
+                </CardHeader>
+                <CardContent className="space-y-5">
+                  <div className="grid gap-4 sm:grid-cols-2">
+                    <FontSelect
+                      id="quote-font"
+                      label="Font"
+                      value={layout.quote.font}
+                      fonts={fonts}
+                      onValueChange={(value) => updateLayout('quote', 'font', value)}
+                    />
+                    <div className="space-y-2">
+                      <Label htmlFor="quote-color">Color</Label>
+                      <Input
+                        id="quote-color"
+                        type="color"
+                        value={layout.quote.color}
+                        onChange={(event) => updateLayout('quote', 'color', event.target.value)}
+                      />
+                    </div>
+                    <LayoutSlider
+                      {...sliderProps}
+                      label="Font size"
+                      section="quote"
+                      field="fontSize"
+                      format="points"
+                    />
+                    <LayoutSlider
+                      {...sliderProps}
+                      label="Line height"
+                      section="quote"
+                      field="lineHeight"
+                      step={0.05}
+                    />
+                    <LayoutSlider
+                      {...sliderProps}
+                      label="Width ratio"
+                      section="quote"
+                      field="widthRatio"
+                      format="percent"
+                      step={0.01}
+                    />
+                    <LayoutSlider
+                      {...sliderProps}
+                      label="Gap above character"
+                      section="quote"
+                      field="gap"
+                      format="points"
+                    />
+                    <LayoutSlider
+                      {...sliderProps}
+                      label="Wave amplitude"
+                      section="quote"
+                      field="waveAmplitude"
+                      format="points"
+                    />
+                  </div>
+                </CardContent>
+              </Card>
+            </>
+          ) : null}
         </div>
       </div>
     </div>
@@ -16,8 +16,12 @@ import {
   ChevronRight,
   X,
   FileImage,
+  Printer,
+  Share2,
+  MessageSquare,
 } from 'lucide-react';
 import { bookAPI, trainingAPI, userAPI } from '@/services/api';
+import { useAuth } from '@/contexts/AuthContext';
 import { Button } from '@/components/ui/button';
 import jsPDF from 'jspdf';
 import html2canvas from 'html2canvas';
@@ -31,6 +35,7 @@ import {
 } from '@/components/ui/card';
 import { Label } from '@/components/ui/label';
 import { Input } from '@/components/ui/input';
+import { Textarea } from '@/components/ui/textarea';
 import { Badge } from '@/components/ui/badge';
 import { Skeleton } from '@/components/ui/skeleton';
 import { SearchableSelect } from '@/components/ui/searchable-select';
@@ -41,6 +46,7 @@ import {
   SelectTrigger,
   SelectValue,
 } from '@/components/ui/select';
+import { DEFAULT_STORY_LANGUAGE, getLanguageName, getTextDirection } from '@/utils/languages';
 
 const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:5001/api';
 const JOB_HISTORY_LIMIT = 10;
@@ -97,6 +103,7 @@ const ensureCoverFonts = (() => {
 const JOB_STATUS_META = {
   queued: { label: 'Queued', variant: 'outline' },
   generating: { label: 'Generating', variant: 'default' },
+  paused: { label: 'Paused · budget', variant: 'warning' },
   assembling: { label: 'Assembling', variant: 'warning' },
   succeeded: { label: 'Completed', variant: 'success' },
   failed: { label: 'Failed', variant: 'destructive' },
@@ -1999,7 +2006,8 @@ const resolveAssetId = (asset) => {
 
 const resolveAssetVariant = (asset) => {
   const value = typeof asset?.variant === 'string' ? asset.variant.toLowerCase() : '';
-  return value === 'split' ? 'split' : 'standard';
+  if (value === 'split' || value === 'print') return value;
+  return 'standard';
 };
 
 // Page Thumbnail Component - matches main preview exactly
@@ -2052,13 +2060,288 @@ const PageThumbnail = React.memo(
   }
 );
 
+const formatCommentDate = (value) => {
+  if (!value) return '';
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? '' : date.toLocaleString();
+};
+
+const PageCommentThreads = ({
+  bookId,
+  assetId,
+  pageOrder,
+  canRegenerate,
+  isRegenerating,
+  onRegenerateFromComment,
+}) => {
+  const [threads, setThreads] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [showResolved, setShowResolved] = useState(false);
+  const [draft, setDraft] = useState('');
+  const [replyDrafts, setReplyDrafts] = useState({});
+  const [busyKey, setBusyKey] = useState('');
+
+  const loadThreads = useCallback(async () => {
+    if (!bookId || !assetId || pageOrder === undefined || pageOrder === null) {
+      setThreads([]);
+      return;
+    }
+    setLoading(true);
+    try {
+      const response = await bookAPI.getStorybookComments(bookId, assetId, { pageOrder });
+      setThreads(Array.isArray(response?.data) ? response.data : []);
+    } catch (error) {
+      toast.error(`Failed to load comments: ${error.message}`);
+    } finally {
+      setLoading(false);
+    }
+  }, [assetId, bookId, pageOrder]);
+
+  useEffect(() => {
+    setDraft('');
+    setReplyDrafts({});
+    loadThreads();
+  }, [loadThreads]);
+
+  const replaceThread = (updated) => {
+    if (!updated?._id) return;
+    setThreads((prev) => prev.map((thread) => (thread._id === updated._id ? updated : thread)));
+  };
+
+  const handleCreate = async (event) => {
+    event.preventDefault();
+    const text = draft.trim();
+    if (!text) return;
+    setBusyKey('new');
+    try {
+      const response = await bookAPI.createStorybookComment(bookId, assetId, { pageOrder, text });
+      if (response?.data) {
+        setThreads((prev) => [...prev, response.data]);
+      }
+      setDraft('');
+    } catch (error) {
+      toast.error(`Failed to add comment: ${error.message}`);
+    } finally {
+      setBusyKey('');
+    }
+  };
+
+  const handleReply = async (thread) => {
+    const text = (replyDrafts[thread._id] || '').trim();
+    if (!text) return;
+    setBusyKey(`reply-${thread._id}`);
+    try {
+      const response = await bookAPI.replyToStorybookComment(bookId, assetId, thread._id, { text });
+      replaceThread(response?.data);
+      setReplyDrafts((prev) => ({ ...prev, [thread._id]: '' }));
+    } catch (error) {
+      toast.error(`Failed to reply: ${error.message}`);
+    } finally {
+      setBusyKey('');
+    }
+  };
+
+  const handleToggleResolved = async (thread) => {
+    setBusyKey(`resolve-${thread._id}`);
+    try {
+      const response = await bookAPI.updateStorybookComment(bookId, assetId, thread._id, {
+        resolved: !thread.resolved,
+      });
+      replaceThread(response?.data);
+    } catch (error) {
+      toast.error(`Failed to update comment: ${error.message}`);
+    } finally {
+      setBusyKey('');
+    }
+  };
+
+  const handleDelete = async (thread) => {
+    if (!window.confirm('Delete this comment thread?')) return;
+    setBusyKey(`delete-${thread._id}`);
+    try {
+      await bookAPI.deleteStorybookComment(bookId, assetId, thread._id);
+      setThreads((prev) => prev.filter((entry) => entry._id !== thread._id));
+    } catch (error) {
+      toast.error(`Failed to delete comment: ${error.message}`);
+    } finally {
+      setBusyKey('');
+    }
+  };
+
+  const handleRegenerate = async (thread) => {
+    const updated = await onRegenerateFromComment(thread);
+    if (updated) {
+      replaceThread(updated);
+    }
+  };
+
+  const openCount = threads.filter((thread) => !thread.resolved).length;
+  const visibleThreads = showResolved ? threads : threads.filter((thread) => !thread.resolved);
+
+  return (
+    <div className="rounded-lg border border-border/60 bg-background p-4 text-sm text-foreground/80">
+      <div className="flex flex-wrap items-center justify-between gap-2 text-xs uppercase tracking-wide text-foreground/60">
+        <span className="flex items-center gap-1 font-semibold">
+          <MessageSquare className="h-3.5 w-3.5" />
+          Review comments
+        </span>
+        <div className="flex items-center gap-2 normal-case tracking-normal">
+          <Badge variant={openCount ? 'warning' : 'outline'}>{openCount} open</Badge>
+          {threads.length > openCount ? (
+            <Button
+              type="button"
+              variant="ghost"
+              size="sm"
+              className="h-7 px-2 text-xs"
+              onClick={() => setShowResolved((prev) => !prev)}
+            >
+              {showResolved ? 'Hide resolved' : `Show resolved (${threads.length - openCount})`}
+            </Button>
+          ) : null}
+        </div>
+      </div>
+
+      <div className="mt-3 space-y-3">
+        {loading && !threads.length ? (
+          <p className="text-xs text-foreground/50">Loading comments…</p>
+        ) : null}
+        {!loading && !visibleThreads.length ? (
+          <p className="text-xs text-foreground/50">No open comments on this page.</p>
+        ) : null}
+        {visibleThreads.map((thread) => {
+          const regenerations = Array.isArray(thread.regenerations) ? thread.regenerations : [];
+          const lastRegeneration = regenerations[regenerations.length - 1];
+          return (
+            <div
+              key={thread._id}
+              className={`rounded-md border p-3 ${
+                thread.resolved ? 'border-border/40 bg-muted/20 opacity-75' : 'border-border/60'
+              }`}
+            >
+              <div className="flex flex-wrap items-center justify-between gap-2 text-xs text-foreground/55">
+                <span>
+                  {thread.author?.name || 'Reviewer'} · {formatCommentDate(thread.createdAt)}
+                </span>
+                {thread.resolved ? <Badge variant="success">Resolved</Badge> : null}
+              </div>
+              <p className="mt-1 whitespace-pre-line break-words">{thread.text}</p>
+
+              {thread.replies?.length ? (
+                <div className="mt-2 space-y-2 border-l border-border/60 pl-3">
+                  {thread.replies.map((reply) => (
+                    <div key={reply._id}>
+                      <p className="text-xs text-foreground/55">
+                        {reply.author?.name || 'Reviewer'} · {formatCommentDate(reply.createdAt)}
+                      </p>
+                      <p className="whitespace-pre-line break-words">{reply.text}</p>
+                    </div>
+                  ))}
+                </div>
+              ) : null}
+
+              {lastRegeneration ? (
+                <p className="mt-2 text-xs text-foreground/55">
+                  Regenerated from this comment {regenerations.length}×, last{' '}
+                  {formatCommentDate(lastRegeneration.requestedAt)}
+                </p>
+              ) : null}
+
+              {!thread.resolved ? (
+                <div className="mt-2 flex gap-2">
+                  <Input
+                    value={replyDrafts[thread._id] || ''}
+                    onChange={(event) =>
+                      setReplyDrafts((prev) => ({ ...prev, [thread._id]: event.target.value }))
+                    }
+                    placeholder="Reply…"
+                    className="h-8 text-xs"
+                  />
+                  <Button
+                    type="button"
+                    variant="outline"
+                    size="sm"
+                    className="h-8"
+                    onClick={() => handleReply(thread)}
+                    disabled={busyKey === `reply-${thread._id}` || !(replyDrafts[thread._id] || '').trim()}
+                  >
+                    Reply
+                  </Button>
+                </div>
+              ) : null}
+
+              <div className="mt-2 flex flex-wrap gap-2">
+                {canRegenerate && !thread.resolved ? (
+                  <Button
+                    type="button"
+                    variant="secondary"
+                    size="sm"
+                    className="h-7 gap-1 text-xs"
+                    onClick={() => handleRegenerate(thread)}
+                    disabled={isRegenerating}
+                  >
+                    {isRegenerating ? (
+                      <Loader2 className="h-3.5 w-3.5 animate-spin" />
+                    ) : (
+                      <RefreshCw className="h-3.5 w-3.5" />
+                    )}
+                    Regenerate with this note
+                  </Button>
+                ) : null}
+                <Button
+                  type="button"
+                  variant="ghost"
+                  size="sm"
+                  className="h-7 gap-1 text-xs"
+                  onClick={() => handleToggleResolved(thread)}
+                  disabled={busyKey === `resolve-${thread._id}`}
+                >
+                  <CheckCircle2 className="h-3.5 w-3.5" />
+                  {thread.resolved ? 'Reopen' : 'Resolve'}
+                </Button>
+                <Button
+                  type="button"
+                  variant="ghost"
+                  size="sm"
+                  className="h-7 text-xs text-destructive"
+                  onClick={() => handleDelete(thread)}
+                  disabled={busyKey === `delete-${thread._id}`}
+                >
+                  Delete
+                </Button>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+
+      <form onSubmit={handleCreate} className="mt-3 space-y-2">
+        <Textarea
+          value={draft}
+          onChange={(event) => setDraft(event.target.value)}
+          placeholder={`Leave a note on page ${pageOrder}, e.g. "wrong hair color"`}
+          rows={2}
+          maxLength={2000}
+        />
+        <div className="flex justify-end">
+          <Button type="submit" size="sm" disabled={busyKey === 'new' || !draft.trim()}>
+            {busyKey === 'new' ? <Loader2 className="h-4 w-4 animate-spin" /> : null}
+            Add comment
+          </Button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
 function Storybooks() {
+  const { isAdmin } = useAuth();
   const [books, setBooks] = useState([]);
   const [users, setUsers] = useState([]);
   const [selectedBookId, setSelectedBookId] = useState('');
   const [selectedBook, setSelectedBook] = useState(null);
   const [pages, setPages] = useState([]);
   const [storyTitle, setStoryTitle] = useState('');
+  const [storyLanguage, setStoryLanguage] = useState(DEFAULT_STORY_LANGUAGE);
   const [loading, setLoading] = useState(true);
   const [loadingBook, setLoadingBook] = useState(false);
   const [isGenerating, setIsGenerating] = useState(false);
@@ -2082,6 +2365,9 @@ function Storybooks() {
   const [isDownloadingPdf, setIsDownloadingPdf] = useState(false);
   const [applyingCandidateKey, setApplyingCandidateKey] = useState('');
   const [confirmingAssetId, setConfirmingAssetId] = useState('');
+  const [exportingAssetId, setExportingAssetId] = useState('');
+  const [printingAssetId, setPrintingAssetId] = useState('');
+  const [sharingProofAssetId, setSharingProofAssetId] = useState('');
   const preloadRefs = useRef([]);
   const [assetPagesById, setAssetPagesById] = useState({});
   const pendingPageOrderRef = useRef(null);
@@ -2162,6 +2448,28 @@ function Storybooks() {
     }
   }, [activeAsset, activeAssetPages]);
 
+  // The book language plus every language at least one page is translated into
+  const storyLanguageOptions = useMemo(() => {
+    const bookLanguage = selectedBook?.language || DEFAULT_STORY_LANGUAGE;
+    const translated = (selectedBook?.pages || []).flatMap((page) =>
+      (page.translations || []).map((translation) => translation.language)
+    );
+    return Array.from(new Set([bookLanguage, ...translated]));
+  }, [selectedBook]);
+
+  useEffect(() => {
+    const bookLanguage = selectedBook?.language || DEFAULT_STORY_LANGUAGE;
+    setPages((prev) =>
+      prev.map((page) => {
+        const text =
+          storyLanguage === bookLanguage
+            ? page.sourceText || ''
+            : page.translations?.[storyLanguage] || '';
+        return text === page.text ? page : { ...page, text };
+      })
+    );
+  }, [selectedBook, storyLanguage]);
+
   useEffect(() => {
     const readerGender = selectedReader?.gender || '';
     setPages((prev) =>
@@ -2255,6 +2563,9 @@ function Storybooks() {
           if (prev) return prev;
           return `${book.name} Storybook`;
         });
+        if (!preserveTitle) {
+          setStoryLanguage(book.language || DEFAULT_STORY_LANGUAGE);
+        }
         setPages(
           (book.pages || []).map((page) => {
             const promptNeutral = page.characterPrompt || page.prompt || '';
@@ -2265,6 +2576,13 @@ function Storybooks() {
               order: page.order,
               pageType: page.pageType === 'cover' ? 'cover' : 'story',
               text: page.text || '',
+              sourceText: page.text || '',
+              translations: Object.fromEntries(
+                (page.translations || []).map((translation) => [
+                  translation.language,
+                  translation.text || '',
+                ])
+              ),
               prompt: promptNeutral || promptMale || promptFemale || '',
               promptNeutral,
               promptMale,
@@ -2423,7 +2741,7 @@ function Storybooks() {
       if (!bookId) return;
 
       const streamUrl = `${API_BASE_URL}/books/storybooks/stream/live?bookId=${bookId}`;
-      const source = new EventSource(streamUrl);
+      const source = new EventSource(streamUrl, { withCredentials: true });
       eventSourceRef.current = source;
 
       source.onopen = () => {
@@ -2495,7 +2813,8 @@ function Storybooks() {
           if (previous && items.some((training) => training._id === previous)) {
             return previous;
           }
-          return items[0]._id;
+          const pinned = items.find((training) => training.isDefault);
+          return (pinned || items[0])._id;
         });
       } catch (error) {
         if (!cancelled) {
@@ -2593,6 +2912,23 @@ function Storybooks() {
     return map;
   }, [splitAssets]);
 
+  const printLookup = useMemo(() => {
+    const map = new Map();
+    if (!Array.isArray(selectedBook?.pdfAssets)) return map;
+    selectedBook.pdfAssets
+      .filter((asset) => resolveAssetVariant(asset) === 'print')
+      .forEach((asset) => {
+        const derivedId = asset?.derivedFromAssetId ? normaliseIdentifier(asset.derivedFromAssetId) : null;
+        if (derivedId) {
+          map.set(derivedId, asset);
+        }
+        if (asset?.derivedFromAssetKey) {
+          map.set(asset.derivedFromAssetKey, asset);
+        }
+      });
+    return map;
+  }, [selectedBook?.pdfAssets]);
+
   const readyLibrary = useMemo(() => {
     return standardAssets
       .map((asset) => {
@@ -2669,7 +3005,7 @@ function Storybooks() {
   const activeJob = useMemo(
     () =>
       storybookJobs.find((job) =>
-        ['queued', 'generating', 'assembling'].includes(job.status)
+        ['queued', 'generating', 'paused', 'assembling'].includes(job.status)
       ) || null,
     [storybookJobs]
   );
@@ -2702,6 +3038,7 @@ function Storybooks() {
         readerName: selectedReader?.name || '',
         readerGender: selectedReader?.gender || '',
         title: storyTitle || `${selectedBook?.name || 'Storybook'}`,
+        language: storyLanguage,
       });
       if (response?.success === false) {
         throw new Error(response?.message || 'Failed to start automation');
@@ -2718,6 +3055,32 @@ function Storybooks() {
     }
   };
 
+  const handleApproveBudget = async (job) => {
+    const input = window.prompt(
+      `${job.budget?.pausedReason || 'This run is paused by a spend guard'}.\n\n` +
+        'How many more paid predictions should it be allowed?',
+      '10'
+    );
+    if (input === null) return;
+    const extraPredictions = Number.parseInt(input, 10);
+    if (!Number.isInteger(extraPredictions) || extraPredictions < 1) {
+      toast.error('Enter a positive number of predictions');
+      return;
+    }
+
+    try {
+      const response = await bookAPI.approveStorybookBudget(job.bookId, job._id, {
+        extraPredictions,
+      });
+      if (response?.data?._id) {
+        setStorybookJobs((previous) => upsertJobList(previous, response.data));
+      }
+      toast.success(response?.message || 'Storybook run resumed');
+    } catch (error) {
+      toast.error(`Failed to approve budget: ${error.message}`);
+    }
+  };
+
   const handleGenerate = async () => {
     if (!selectedBookId) {
       toast.error('Select a book before generating a storybook');
@@ -2762,6 +3125,7 @@ function Storybooks() {
       if (selectedReader?.gender) {
         formData.append('readerGender', selectedReader.gender);
       }
+      formData.append('language', storyLanguage);
 
       const pagesPayload = pages.map((page) => ({
         bookPageId: page.id,
@@ -2852,6 +3216,120 @@ function Storybooks() {
     }
   };
 
+  const handleGeneratePrint = async (asset) => {
+    if (!asset || !selectedBookId) return;
+    const assetIdentifier = resolveAssetId(asset);
+    if (!assetIdentifier) {
+      toast.error('Missing storybook identifier for print files');
+      return;
+    }
+
+    setPrintingAssetId(assetIdentifier);
+    try {
+      const response = await bookAPI.generatePrintStorybook(selectedBookId, assetIdentifier);
+      if (response?.success === false) {
+        throw new Error(response?.message || 'Failed to generate print files');
+      }
+      await fetchBookDetails(selectedBookId, { preserveTitle: true });
+      const issues = Array.isArray(response?.meta?.issues) ? response.meta.issues : [];
+      if (issues.length) {
+        toast(`${response.message}: ${issues.map((issue) => issue.message).join('; ')}`, {
+          icon: '⚠️',
+          duration: 8000,
+        });
+      } else {
+        toast.success(response?.message || 'Print files generated');
+      }
+    } catch (error) {
+      toast.error(`Failed to generate print files: ${error.message}`);
+    } finally {
+      setPrintingAssetId('');
+    }
+  };
+
+  const handleShareProof = async (asset) => {
+    if (!asset || !selectedBookId) return;
+    const assetIdentifier = resolveAssetId(asset);
+    if (!assetIdentifier) {
+      toast.error('Missing storybook identifier for proof link');
+      return;
+    }
+
+    setSharingProofAssetId(assetIdentifier);
+    try {
+      const response = await bookAPI.createProofLink(selectedBookId, assetIdentifier, {
+        recipientName: asset.readerName ? `${asset.readerName}'s parent` : '',
+      });
+      const url = response?.data?.url;
+      if (url && navigator.clipboard) {
+        await navigator.clipboard.writeText(url).catch(() => null);
+      }
+      await fetchBookDetails(selectedBookId, { preserveTitle: true });
+      const notification = response?.data?.notification;
+      const emailNote =
+        notification?.status === 'queued' ? ` and emailed to ${notification.to}` : '';
+      toast.success(
+        url ? `Proof link copied${emailNote}: ${url}` : response?.message || 'Proof link created',
+        { duration: 8000 }
+      );
+    } catch (error) {
+      toast.error(`Failed to create proof link: ${error.message}`);
+    } finally {
+      setSharingProofAssetId('');
+    }
+  };
+
+  const handleRevokeProof = async (asset) => {
+    if (!asset || !selectedBookId) return;
+    const assetIdentifier = resolveAssetId(asset);
+    if (!assetIdentifier) return;
+
+    setSharingProofAssetId(assetIdentifier);
+    try {
+      await bookAPI.revokeProofLink(selectedBookId, assetIdentifier);
+      await fetchBookDetails(selectedBookId, { preserveTitle: true });
+      toast.success('Proof link revoked');
+    } catch (error) {
+      toast.error(`Failed to revoke proof link: ${error.message}`);
+    } finally {
+      setSharingProofAssetId('');
+    }
+  };
+
+  const handleExportEpub = async (asset) => {
+    if (!asset || !selectedBookId) return;
+    const assetIdentifier = resolveAssetId(asset);
+    if (!assetIdentifier) {
+      toast.error('Missing storybook identifier for export');
+      return;
+    }
+
+    setExportingAssetId(assetIdentifier);
+    try {
+      const blob = await bookAPI.exportStorybook(selectedBookId, assetIdentifier, 'epub');
+      const baseName =
+        (asset.title || 'storybook')
+          .toString()
+          .trim()
+          .toLowerCase()
+          .replace(/[^a-z0-9]+/g, '-')
+          .replace(/^-+|-+$/g, '') || 'storybook';
+      const objectUrl = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = objectUrl;
+      link.download = `${baseName}.epub`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      setTimeout(() => URL.revokeObjectURL(objectUrl), 1000);
+      toast.success('EPUB downloaded');
+    } catch (error) {
+      toast.error(`Failed to export EPUB: ${error.message}`);
+    } finally {
+      setExportingAssetId('');
+    }
+  };
+
   const handleCloseAssetViewer = () => {
     setActiveAssetId('');
     pendingPageOrderRef.current = null;
@@ -2917,19 +3395,19 @@ function Storybooks() {
     };
   }, [activeAsset, activeAssetId, activeAssetPages, activePageIndex]);
 
-  const handleRegeneratePage = async (order) => {
-    if (!activeAsset || !selectedBookId || order === undefined || order === null) return;
+  const handleRegeneratePage = async (order, { commentId } = {}) => {
+    if (!activeAsset || !selectedBookId || order === undefined || order === null) return null;
     const assetIdentifier = resolveAssetId(activeAsset);
     if (!assetIdentifier) {
       toast.error('Missing storybook identifier for regeneration');
-      return;
+      return null;
     }
 
     // Use trainingId from asset or fall back to currently selected training
     const trainingId = activeAsset.trainingId || selectedTrainingId;
     if (!trainingId) {
       toast.error('Please select a training model to regenerate this page.');
-      return;
+      return null;
     }
 
     setRegeneratingOrder(order);
@@ -2942,6 +3420,7 @@ function Storybooks() {
           trainingId,
           readerGender: selectedReader?.gender || '',
           readerName: selectedReader?.name || '',
+          ...(commentId ? { commentId } : {}),
         }
       );
       if (response?.success === false) {
@@ -2977,8 +3456,10 @@ function Storybooks() {
         refreshAssetPages(selectedBookId, assetIdentifier),
       ]);
       toast.success('Page regenerated. Regenerate the PDF to export the latest changes.');
+      return payload.comment || null;
     } catch (error) {
       toast.error(`Failed to regenerate page: ${error.message}`);
+      return null;
     } finally {
       setRegeneratingOrder(null);
     }
@@ -3512,6 +3993,16 @@ function Storybooks() {
                         <p className="leading-relaxed">{rankingSummary}</p>
                       </div>
                     ) : null}
+                    <PageCommentThreads
+                      bookId={selectedBookId}
+                      assetId={targetAssetId || resolveAssetId(activeAsset)}
+                      pageOrder={currentPage?.order}
+                      canRegenerate={isRegenerablePage}
+                      isRegenerating={isCurrentPageRegenerating}
+                      onRegenerateFromComment={(thread) =>
+                        handleRegeneratePage(thread.pageOrder, { commentId: thread._id })
+                      }
+                    />
                     <div className="rounded-lg border border-border/60 bg-background p-4 text-sm text-foreground/80">
                       <div className="flex flex-wrap items-center justify-between gap-2 text-xs uppercase tracking-wide text-foreground/60">
                         <span className="font-semibold">Prompts</span>
@@ -3587,6 +4078,11 @@ function Storybooks() {
                           const scoreLabel = Number.isFinite(normalisedScore)
                             ? `${Math.round(normalisedScore)}/100`
                             : null;
+                          const rawLikeness = rankingEntry?.faceSimilarity;
+                          const likenessLabel =
+                            rawLikeness === null || rawLikeness === undefined
+                              ? null
+                              : `Likeness ${Math.round(Number(rawLikeness) * 100)}%`;
                           const verdictLabel = rankingEntry?.verdict
                             ? rankingEntry.verdict.replace(/\b\w/g, (char) => char.toUpperCase())
                             : null;
@@ -3623,6 +4119,11 @@ function Storybooks() {
                               <div className="flex items-center justify-between text-[10px] text-foreground/70">
                                 <span className="font-medium">#{optionNumber}</span>
                                 {scoreLabel && <span>{scoreLabel}</span>}
+                                {likenessLabel && (
+                                  <span title="Face similarity to the child's reference photos">
+                                    {likenessLabel}
+                                  </span>
+                                )}
                               </div>
                               <Button
                                 type="button"
@@ -3689,6 +4190,7 @@ function Storybooks() {
     isRegeneratingPdf,
     applyingCandidateKey,
     selectedBook,
+    selectedBookId,
     users,
     handleRegeneratePage,
     handleRegeneratePdf,
@@ -3816,6 +4318,30 @@ function Storybooks() {
                 Replaces any {'{name}'} or gender placeholders in the story text.
               </p>
             </div>
+            <div className="space-y-2">
+              <Label>Language</Label>
+              <Select
+                value={storyLanguage}
+                onValueChange={setStoryLanguage}
+                disabled={!selectedBook}
+              >
+                <SelectTrigger>
+                  <SelectValue placeholder="Select language" />
+                </SelectTrigger>
+                <SelectContent>
+                  {storyLanguageOptions.map((code) => (
+                    <SelectItem key={code} value={code}>
+                      {getLanguageName(code)}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              <p className="text-xs text-foreground/50">
+                {getTextDirection(storyLanguage) === 'rtl'
+                  ? 'Text is set right to left and pages turn from the right.'
+                  : 'Languages appear once the book has a translation for them.'}
+              </p>
+            </div>
           </CardContent>
         </Card>
   
@@ -3841,7 +4367,9 @@ function Storybooks() {
                       { value: '__none', label: 'Select training', searchText: 'none' },
                       ...trainings.map((training) => ({
                         value: training._id,
-                        label: training.modelName,
+                        label: `${training.modelName}${training.isDefault ? ' · default' : ''}${
+                          training.lifecycle?.state === 'deprecated' ? ' · deprecated' : ''
+                        }`,
                         searchText: training.modelName,
                       }))
                     ]}
@@ -3979,6 +4507,8 @@ function Storybooks() {
                                 ? 'bg-red-400'
                                 : job.status === 'succeeded'
                                 ? 'bg-emerald-400'
+                                : job.status === 'paused'
+                                ? 'bg-amber-400'
                                 : 'bg-primary'
                             } transition-all`}
                             style={{ width: `${progressValue}%` }}
@@ -4065,6 +4595,26 @@ function Storybooks() {
                           <span>{job.error}</span>
                         </div>
                       )}
+                      {job.status === 'paused' && (
+                        <div className="flex flex-col gap-2 rounded-md border border-amber-500/40 bg-amber-500/10 px-3 py-2 text-sm text-amber-300 sm:flex-row sm:items-center sm:justify-between">
+                          <div className="flex items-start gap-2">
+                            <AlertTriangle className="mt-0.5 h-4 w-4 shrink-0" />
+                            <span>
+                              {job.budget?.pausedReason || 'Paused by a spend guard'}
+                              {isAdmin ? '' : ' • Ask an admin to approve more predictions.'}
+                            </span>
+                          </div>
+                          {isAdmin && (
+                            <Button
+                              size="sm"
+                              variant="outline"
+                              onClick={() => handleApproveBudget(job)}
+                            >
+                              Approve &amp; resume
+                            </Button>
+                          )}
+                        </div>
+                      )}
                       {job.status === 'succeeded' && job.pdfAsset && (
                         <div className="rounded-md border border-emerald-500/40 bg-emerald-500/10 px-3 py-2 text-sm text-emerald-300">
                           Completed • {job.pdfAsset.pageCount} pages • Added to storybook library
@@ -4250,6 +4800,28 @@ function Storybooks() {
                             Date.now()
                         ).toLocaleString();
                       const statusLabel = matchingSplit ? 'Split ready' : 'Awaiting confirmation';
+                      const proof = asset.metadata?.proof || null;
+                      const proofComments = Array.isArray(proof?.comments) ? proof.comments : [];
+                      const isProofExpired =
+                        proof && proof.expiresAt && new Date(proof.expiresAt) < new Date();
+                      const isProofActive =
+                        proof && proof.status === 'pending' && !proof.revokedAt && !isProofExpired;
+                      const isSharingProof = sharingProofAssetId === assetIdentifier;
+                      const formatProofDate = (value) =>
+                        value ? new Date(value).toLocaleString() : 'recently';
+                      const proofSummary = !proof
+                        ? ''
+                        : proof.status === 'approved'
+                        ? `Approved by ${proof.decidedBy || 'parent'} ${formatProofDate(proof.decidedAt)}`
+                        : proof.status === 'changes_requested'
+                        ? `Changes requested by ${proof.decidedBy || 'parent'} ${formatProofDate(
+                            proof.decidedAt
+                          )}`
+                        : proof.revokedAt
+                        ? 'Proof link revoked'
+                        : isProofExpired
+                        ? 'Proof link expired'
+                        : `Proof shared, expires ${formatProofDate(proof.expiresAt)}`;
                       const statusVariant = matchingSplit ? 'success' : 'outline';
                       const readerProfile = asset.readerId
                         ? users.find((user) => user._id === String(asset.readerId))
@@ -4278,7 +4850,21 @@ function Storybooks() {
                               </p>
                               <p className="text-xs text-foreground/45">
                                 Generated {generatedLabel}
+                                {asset.bookRevision ? ` · template rev ${asset.bookRevision}` : ''}
+                                {asset.language && asset.language !== DEFAULT_STORY_LANGUAGE
+                                  ? ` · ${getLanguageName(asset.language)}`
+                                  : ''}
                               </p>
+                              {asset.metadata?.textIssues?.length ? (
+                                <div className="flex items-start gap-1 text-xs text-amber-600">
+                                  <AlertTriangle className="mt-0.5 h-3.5 w-3.5 shrink-0" />
+                                  <span>
+                                    {asset.metadata.textIssues
+                                      .map((issue) => issue.message)
+                                      .join(' · ')}
+                                  </span>
+                                </div>
+                              ) : null}
                               {matchingSplit ? (
                                 <p className="text-xs text-emerald-500">
                                   Split confirmed {splitConfirmedLabel || 'recently'}
@@ -4342,7 +4928,55 @@ function Storybooks() {
                               <Download className="h-4 w-4" />
                               Download PDF
                             </Button>
+                            <Button
+                              type="button"
+                              size="sm"
+                              variant="outline"
+                              className="gap-1"
+                              disabled={isSharingProof}
+                              onClick={() => handleShareProof(asset)}
+                            >
+                              {isSharingProof ? (
+                                <Loader2 className="h-4 w-4 animate-spin" />
+                              ) : (
+                                <Share2 className="h-4 w-4" />
+                              )}
+                              {proof ? 'New proof link' : 'Share proof link'}
+                            </Button>
+                            {isProofActive ? (
+                              <Button
+                                type="button"
+                                size="sm"
+                                variant="ghost"
+                                disabled={isSharingProof}
+                                onClick={() => handleRevokeProof(asset)}
+                              >
+                                Revoke link
+                              </Button>
+                            ) : null}
                           </div>
+                          {proof ? (
+                            <div className="mt-3 space-y-1.5 rounded-lg border border-border/60 bg-muted/20 p-3 text-xs">
+                              <p className="font-medium text-foreground/75">{proofSummary}</p>
+                              {proof.decisionNote ? (
+                                <p className="whitespace-pre-line text-foreground/60">
+                                  “{proof.decisionNote}”
+                                </p>
+                              ) : null}
+                              {proofComments.map((comment) => (
+                                <p key={comment.id} className="flex gap-1.5 text-foreground/60">
+                                  <MessageSquare className="mt-0.5 h-3 w-3 shrink-0" />
+                                  <span>
+                                    <span className="font-medium">
+                                      Page {getDisplayPageNumber('story', comment.pageOrder)}:
+                                    </span>{' '}
+                                    {comment.text}
+                                    <span className="text-foreground/40"> · {comment.authorName}</span>
+                                  </span>
+                                </p>
+                              ))}
+                            </div>
+                          ) : null}
                         </div>
                       );
                     })}
@@ -4401,44 +5035,137 @@ function Storybooks() {
               </CardHeader>
               <CardContent className="space-y-3">
                 {splitAssets.length ? (
-                  splitAssets.map((asset) => (
-                    <div
-                      key={asset._id || asset.key}
-                      className="rounded-xl border border-emerald-500/40 bg-emerald-500/10 p-4"
-                    >
-                      <div className="flex flex-col gap-3 sm:flex-row sm:items-center sm:justify-between">
-                        <div className="space-y-1">
-                          <p className="font-semibold text-emerald-900">
-                            {asset.title || 'Confirmed storybook'}
-                          </p>
-                          <p className="text-xs text-emerald-800/80">
-                            {(asset.pageCount || pages.length)} pages ·{' '}
-                            {asset.size
-                              ? `${(asset.size / 1024 / 1024).toFixed(2)} MB`
-                              : 'Size unknown'}
-                          </p>
-                          <div className="mt-1 flex items-center gap-1 text-xs text-emerald-700">
-                            <CheckCircle2 className="h-3.5 w-3.5" />
-                            <span>
-                              Confirmed{' '}
-                              {asset.confirmedAt
-                                ? new Date(asset.confirmedAt).toLocaleString()
-                                : new Date(asset.updatedAt || asset.createdAt || Date.now()).toLocaleString()}
-                            </span>
+                  splitAssets.map((asset) => {
+                    const assetIdentifier = resolveAssetId(asset);
+                    const printAsset =
+                      printLookup.get(assetIdentifier) || printLookup.get(asset.key) || null;
+                    const printIssues = Array.isArray(printAsset?.metadata?.preflight?.issues)
+                      ? printAsset.metadata.preflight.issues
+                      : [];
+                    const isPrinting = printingAssetId === assetIdentifier;
+                    return (
+                      <div
+                        key={asset._id || asset.key}
+                        className="rounded-xl border border-emerald-500/40 bg-emerald-500/10 p-4"
+                      >
+                        <div className="flex flex-col gap-3 sm:flex-row sm:items-center sm:justify-between">
+                          <div className="space-y-1">
+                            <p className="font-semibold text-emerald-900">
+                              {asset.title || 'Confirmed storybook'}
+                            </p>
+                            <p className="text-xs text-emerald-800/80">
+                              {(asset.pageCount || pages.length)} pages ·{' '}
+                              {asset.size
+                                ? `${(asset.size / 1024 / 1024).toFixed(2)} MB`
+                                : 'Size unknown'}
+                            </p>
+                            <div className="mt-1 flex items-center gap-1 text-xs text-emerald-700">
+                              <CheckCircle2 className="h-3.5 w-3.5" />
+                              <span>
+                                Confirmed{' '}
+                                {asset.confirmedAt
+                                  ? new Date(asset.confirmedAt).toLocaleString()
+                                  : new Date(asset.updatedAt || asset.createdAt || Date.now()).toLocaleString()}
+                              </span>
+                            </div>
+                          </div>
+                          <div className="flex flex-wrap items-center gap-2">
+                            <Button
+                              type="button"
+                              size="sm"
+                              className="gap-1"
+                              onClick={() => window.open(asset.url, '_blank')}
+                            >
+                              <Download className="h-4 w-4" />
+                              Download PDF
+                            </Button>
+                            <Button
+                              type="button"
+                              size="sm"
+                              variant="outline"
+                              className="gap-1"
+                              disabled={exportingAssetId === assetIdentifier}
+                              onClick={() => handleExportEpub(asset)}
+                            >
+                              {exportingAssetId === assetIdentifier ? (
+                                <Loader2 className="h-4 w-4 animate-spin" />
+                              ) : (
+                                <BookOpen className="h-4 w-4" />
+                              )}
+                              Download EPUB
+                            </Button>
+                          </div>
+                        </div>
+                        <div className="mt-3 flex flex-col gap-2 border-t border-emerald-500/30 pt-3 sm:flex-row sm:items-center sm:justify-between">
+                          <div className="space-y-1 text-xs text-emerald-800/80">
+                            {printAsset ? (
+                              <>
+                                <p>
+                                  Print files · {printAsset.pageCount || 0} interior pages
+                                  {printAsset.metadata?.print
+                                    ? ` · ${printAsset.metadata.print.trimWidthMm}×${printAsset.metadata.print.trimHeightMm} mm, ${printAsset.metadata.print.bleedMm} mm bleed`
+                                    : ''}
+                                </p>
+                                {printIssues.length ? (
+                                  <div className="flex items-start gap-1 text-amber-700">
+                                    <AlertTriangle className="mt-0.5 h-3.5 w-3.5 shrink-0" />
+                                    <span>{printIssues.map((issue) => issue.message).join(' · ')}</span>
+                                  </div>
+                                ) : (
+                                  <p>Preflight passed</p>
+                                )}
+                              </>
+                            ) : (
+                              <p>No print files yet</p>
+                            )}
+                          </div>
+                          <div className="flex flex-wrap items-center gap-2">
+                            {printAsset ? (
+                              <>
+                                <Button
+                                  type="button"
+                                  size="sm"
+                                  variant="outline"
+                                  className="gap-1"
+                                  onClick={() => window.open(printAsset.url, '_blank')}
+                                >
+                                  <Download className="h-4 w-4" />
+                                  Print interior
+                                </Button>
+                                {printAsset.printCover?.url ? (
+                                  <Button
+                                    type="button"
+                                    size="sm"
+                                    variant="outline"
+                                    className="gap-1"
+                                    onClick={() => window.open(printAsset.printCover.url, '_blank')}
+                                  >
+                                    <Download className="h-4 w-4" />
+                                    Print cover
+                                  </Button>
+                                ) : null}
+                              </>
+                            ) : null}
+                            <Button
+                              type="button"
+                              size="sm"
+                              variant="secondary"
+                              className="gap-1"
+                              disabled={isPrinting}
+                              onClick={() => handleGeneratePrint(asset)}
+                            >
+                              {isPrinting ? (
+                                <Loader2 className="h-4 w-4 animate-spin" />
+                              ) : (
+                                <Printer className="h-4 w-4" />
+                              )}
+                              {printAsset ? 'Rebuild print files' : 'Generate print files'}
+                            </Button>
                           </div>
                         </div>
-                        <Button
-                          type="button"
-                          size="sm"
-                          className="gap-1"
-                          onClick={() => window.open(asset.url, '_blank')}
-                        >
-                          <Download className="h-4 w-4" />
-                          Download PDF
-                        </Button>
                       </div>
-                    </div>
-                  ))
+                    );
+                  })
                 ) : (
                   <div className="rounded-xl border border-dashed border-emerald-500/40 bg-emerald-500/10 p-6 text-center text-sm text-emerald-800/80">
                     Confirm a storybook to generate a split PDF and keep it ready here.
@@ -0,0 +1,274 @@
+import { useCallback, useEffect, useState } from 'react';
+import toast from 'react-hot-toast';
+import { Loader2, ShieldCheck, Trash2, UserPlus } from 'lucide-react';
+import { authAPI } from '@/services/api';
+import { useAuth } from '@/contexts/AuthContext';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from '@/components/ui/card';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+
+const ROLE_OPTIONS = [
+  { value: 'admin', label: 'Admin', description: 'Full access, manages team accounts' },
+  { value: 'editor', label: 'Editor', description: 'Create and change books, users and runs' },
+  { value: 'reviewer', label: 'Reviewer', description: 'Read-only access' },
+];
+
+const EMPTY_FORM = { name: '', email: '', password: '', role: 'reviewer' };
+
+const formatDate = (value) => {
+  if (!value) return 'Never';
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? 'Never' : date.toLocaleString();
+};
+
+function Team() {
+  const { account: currentAccount } = useAuth();
+  const [accounts, setAccounts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [creating, setCreating] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+
+  const fetchAccounts = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await authAPI.listAccounts();
+      setAccounts(Array.isArray(response?.data) ? response.data : []);
+    } catch (error) {
+      toast.error(error.message || 'Failed to load accounts');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchAccounts();
+  }, [fetchAccounts]);
+
+  const handleCreate = async (event) => {
+    event.preventDefault();
+    setCreating(true);
+    try {
+      await authAPI.createAccount(form);
+      toast.success('Account created');
+      setForm(EMPTY_FORM);
+      fetchAccounts();
+    } catch (error) {
+      toast.error(error.message || 'Failed to create account');
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const handleUpdate = async (id, data, successMessage) => {
+    setBusyId(id);
+    try {
+      await authAPI.updateAccount(id, data);
+      toast.success(successMessage);
+      fetchAccounts();
+    } catch (error) {
+      toast.error(error.message || 'Failed to update account');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleDelete = async (target) => {
+    if (!window.confirm(`Delete the account for ${target.email}?`)) return;
+    setBusyId(target._id);
+    try {
+      await authAPI.deleteAccount(target._id);
+      toast.success('Account deleted');
+      fetchAccounts();
+    } catch (error) {
+      toast.error(error.message || 'Failed to delete account');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <div className="space-y-8">
+      <section className="space-y-3">
+        <div className="inline-flex items-center gap-2 rounded-full border border-border/60 bg-muted/40 px-3 py-1 text-xs font-semibold uppercase tracking-[0.2em] text-muted-foreground">
+          <ShieldCheck className="h-3.5 w-3.5" />
+          Team
+        </div>
+        <h1 className="text-3xl font-semibold tracking-tight text-foreground">
+          Manage who can sign in
+        </h1>
+        <p className="max-w-2xl text-sm text-muted-foreground sm:text-base">
+          Admins manage accounts, editors can change content and start runs, and reviewers have
+          read-only access.
+        </p>
+      </section>
+
+      <Card className="shadow-sm">
+        <CardHeader className="space-y-1">
+          <CardTitle className="text-lg font-semibold">Invite a team member</CardTitle>
+          <CardDescription>Share the password with them directly; they can sign in right away.</CardDescription>
+        </CardHeader>
+        <CardContent>
+          <form onSubmit={handleCreate} className="grid gap-4 md:grid-cols-2 xl:grid-cols-5">
+            <div className="space-y-2">
+              <Label htmlFor="team-name">Name</Label>
+              <Input
+                id="team-name"
+                value={form.name}
+                onChange={(event) => setForm((prev) => ({ ...prev, name: event.target.value }))}
+              />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="team-email">Email</Label>
+              <Input
+                id="team-email"
+                type="email"
+                value={form.email}
+                onChange={(event) => setForm((prev) => ({ ...prev, email: event.target.value }))}
+              />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="team-password">Password</Label>
+              <Input
+                id="team-password"
+                type="password"
+                autoComplete="new-password"
+                value={form.password}
+                onChange={(event) => setForm((prev) => ({ ...prev, password: event.target.value }))}
+              />
+            </div>
+            <div className="space-y-2">
+              <Label>Role</Label>
+              <Select
+                value={form.role}
+                onValueChange={(value) => setForm((prev) => ({ ...prev, role: value }))}
+              >
+                <SelectTrigger>
+                  <SelectValue placeholder="Select role" />
+                </SelectTrigger>
+                <SelectContent>
+                  {ROLE_OPTIONS.map((option) => (
+                    <SelectItem key={option.value} value={option.value}>
+                      {option.label}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="flex items-end">
+              <Button type="submit" className="w-full" disabled={creating}>
+                {creating ? (
+                  <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                ) : (
+                  <UserPlus className="mr-2 h-4 w-4" />
+                )}
+                Add account
+              </Button>
+            </div>
+          </form>
+        </CardContent>
+      </Card>
+
+      <Card className="shadow-sm">
+        <CardHeader className="space-y-1">
+          <CardTitle className="text-lg font-semibold">Accounts</CardTitle>
+          <CardDescription>
+            {ROLE_OPTIONS.map((option) => `${option.label}: ${option.description}`).join(' · ')}
+          </CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-3">
+          {loading ? (
+            <div className="flex items-center gap-2 text-muted-foreground">
+              <Loader2 className="h-4 w-4 animate-spin" />
+              Loading accounts…
+            </div>
+          ) : accounts.length === 0 ? (
+            <p className="text-muted-foreground">No accounts yet.</p>
+          ) : (
+            accounts.map((item) => {
+              const isSelf = currentAccount && String(currentAccount._id) === String(item._id);
+              const isBusy = busyId === item._id;
+              return (
+                <div
+                  key={item._id}
+                  className="flex flex-col gap-3 rounded-lg border border-border/70 bg-background p-4 md:flex-row md:items-center md:justify-between"
+                >
+                  <div className="space-y-1">
+                    <div className="flex items-center gap-2">
+                      <span className="font-medium text-foreground">{item.name}</span>
+                      {isSelf && <Badge variant="outline">You</Badge>}
+                      {item.status === 'disabled' && <Badge variant="outline">Disabled</Badge>}
+                    </div>
+                    <p className="text-xs text-muted-foreground">
+                      {item.email} · Last sign-in {formatDate(item.lastLoginAt)}
+                    </p>
+                  </div>
+                  <div className="flex flex-wrap items-center gap-2">
+                    <Select
+                      value={item.role}
+                      disabled={isSelf || isBusy}
+                      onValueChange={(value) =>
+                        handleUpdate(item._id, { role: value }, 'Role updated')
+                      }
+                    >
+                      <SelectTrigger className="w-[140px]">
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        {ROLE_OPTIONS.map((option) => (
+                          <SelectItem key={option.value} value={option.value}>
+                            {option.label}
+                          </SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      disabled={isSelf || isBusy}
+                      onClick={() =>
+                        handleUpdate(
+                          item._id,
+                          { status: item.status === 'active' ? 'disabled' : 'active' },
+                          item.status === 'active' ? 'Account disabled' : 'Account enabled'
+                        )
+                      }
+                    >
+                      {item.status === 'active' ? 'Disable' : 'Enable'}
+                    </Button>
+                    <Button
+                      variant="ghost"
+                      size="icon"
+                      disabled={isSelf || isBusy}
+                      onClick={() => handleDelete(item)}
+                      aria-label={`Delete ${item.email}`}
+                    >
+                      <Trash2 className="h-4 w-4" />
+                    </Button>
+                  </div>
+                </div>
+              );
+            })
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
+
+export default Team;
@@ -14,8 +14,10 @@ import {
   ChevronRight,
   ChevronDown,
   ChevronUp,
+  Pin,
 } from 'lucide-react';
 import { userAPI, trainingAPI } from '@/services/api';
+import { useAuth } from '@/contexts/AuthContext';
 import { Button } from '@/components/ui/button';
 import {
   Card,
@@ -37,12 +39,14 @@ import {
 import { Badge } from '@/components/ui/badge';
 import { Skeleton } from '@/components/ui/skeleton';
 import ImageViewer from '@/components/ImageViewer';
+import TrainingDatasetReview from '@/components/TrainingDatasetReview';
 import { formatFileSize } from '@/utils/file';
 import { SearchableSelect } from '@/components/ui/searchable-select';
 
 const createInitialForm = () => ({
   userId: '',
   modelName: '',
+  presetId: 'none',
   trainingConfig: {},
 });
 
@@ -85,6 +89,7 @@ const formatDuration = (milliseconds) => {
 };
 
 function Training() {
+  const { isAdmin, canEdit } = useAuth();
   const [users, setUsers] = useState([]);
   const [trainings, setTrainings] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -106,6 +111,7 @@ function Training() {
   const [trainingSearch, setTrainingSearch] = useState('');
   const [debouncedTrainingSearch, setDebouncedTrainingSearch] = useState('');
   const [trainingStatus, setTrainingStatus] = useState('all');
+  const [trainingLifecycle, setTrainingLifecycle] = useState('all');
   const [trainingUserFilter, setTrainingUserFilter] = useState('');
   const [trainingPagination, setTrainingPagination] = useState({
     page: 1,
@@ -127,6 +133,15 @@ function Training() {
   const userHydrationPromisesRef = useRef(new Map());
   const [selectedUserHydrating, setSelectedUserHydrating] = useState(false);
   const [selectedUserHydrationError, setSelectedUserHydrationError] = useState('');
+  const [curatedDataset, setCuratedDataset] = useState(null);
+  const [trainingPresets, setTrainingPresets] = useState([]);
+
+  useEffect(() => {
+    trainingAPI
+      .getPresets()
+      .then((response) => setTrainingPresets(Array.isArray(response?.data) ? response.data : []))
+      .catch(() => setTrainingPresets([]));
+  }, []);
 
   useEffect(() => {
     const timer = setTimeout(() => {
@@ -137,7 +152,13 @@ function Training() {
 
   useEffect(() => {
     setTrainingPage(1);
-  }, [debouncedTrainingSearch, trainingStatus, trainingUserFilter, trainingLimit]);
+  }, [
+    debouncedTrainingSearch,
+    trainingStatus,
+    trainingLifecycle,
+    trainingUserFilter,
+    trainingLimit,
+  ]);
 
   useEffect(() => {
     users.forEach((user) => {
@@ -275,6 +296,9 @@ function Training() {
         if (trainingStatus !== 'all') {
           params.status = trainingStatus;
         }
+        if (trainingLifecycle !== 'all') {
+          params.lifecycle = trainingLifecycle;
+        }
         if (trainingUserFilter) {
           params.userId = trainingUserFilter;
         }
@@ -353,6 +377,7 @@ function Training() {
       trainingLimit,
       debouncedTrainingSearch,
       trainingStatus,
+      trainingLifecycle,
       trainingUserFilter,
     ]
   );
@@ -457,7 +482,7 @@ function Training() {
 
     hasProcessedInitialStreamRef.current = false;
     const streamUrl = `${API_BASE_URL}/trainings/stream/live`;
-    const source = new EventSource(streamUrl);
+    const source = new EventSource(streamUrl, { withCredentials: true });
     eventSourceRef.current = source;
 
     source.onopen = () => {
@@ -636,6 +661,7 @@ function Training() {
   const hasTrainingFilters =
     Boolean(trainingSearch) ||
     trainingStatus !== 'all' ||
+    trainingLifecycle !== 'all' ||
     Boolean(trainingUserFilter) ||
     trainingLimit !== TRAINING_PAGE_SIZES[0];
   const canGoPrevTraining = trainingPagination.hasPrevPage && !isFetchingTrainings;
@@ -671,6 +697,7 @@ function Training() {
   const handleTrainingResetFilters = useCallback(() => {
     setTrainingSearch('');
     setTrainingStatus('all');
+    setTrainingLifecycle('all');
     setTrainingUserFilter('');
     setTrainingLimit(TRAINING_PAGE_SIZES[0]);
     setTrainingPage(1);
@@ -753,6 +780,12 @@ function Training() {
       if (formData.modelName) {
         payload.modelName = formData.modelName;
       }
+      if (curatedDataset?._id) {
+        payload.datasetId = curatedDataset._id;
+      }
+      if (formData.presetId && formData.presetId !== 'none') {
+        payload.presetId = formData.presetId;
+      }
       if (Object.keys(formData.trainingConfig || {}).length > 0) {
         payload.trainingConfig = formData.trainingConfig;
       }
@@ -812,6 +845,55 @@ function Training() {
     }
   };
 
+  const handlePinTraining = async (training) => {
+    try {
+      await trainingAPI.setDefault(training._id);
+      toast.success(`${training.modelName} is now the default model`);
+      fetchTrainings({ silent: true }).catch((error) =>
+        console.warn('Failed to refresh trainings after pinning', error)
+      );
+    } catch (error) {
+      toast.error(`Failed to pin: ${error.message}`);
+    }
+  };
+
+  const handleUnpinTraining = async (training) => {
+    const userId = training.userId?._id || training.userId;
+    if (!userId) return;
+    try {
+      await trainingAPI.clearDefault(userId);
+      toast.success('Default model cleared');
+      fetchTrainings({ silent: true }).catch((error) =>
+        console.warn('Failed to refresh trainings after unpinning', error)
+      );
+    } catch (error) {
+      toast.error(`Failed to unpin: ${error.message}`);
+    }
+  };
+
+  const handleLifecycleChange = async (training, state) => {
+    let reason = '';
+    if (state !== 'active') {
+      const input = window.prompt(`Why is ${training.modelName} being ${state}?`);
+      if (input === null) return;
+      reason = input.trim();
+      if (!reason) {
+        toast.error('A reason is required');
+        return;
+      }
+    }
+
+    try {
+      const response = await trainingAPI.updateLifecycle(training._id, { state, reason });
+      toast.success(response?.message || `Marked ${state}`);
+      fetchTrainings({ silent: true }).catch((error) =>
+        console.warn('Failed to refresh trainings after lifecycle change', error)
+      );
+    } catch (error) {
+      toast.error(`Failed to update lifecycle: ${error.message}`);
+    }
+  };
+
   const resetForm = () => {
     if (viewerImage?.shouldRevoke && viewerImage?.src?.startsWith('blob:')) {
       URL.revokeObjectURL(viewerImage.src);
@@ -907,7 +989,7 @@ function Training() {
         </div>
       </div>
 
-      <div className="grid gap-4 rounded-xl border border-border/60 bg-muted/20 p-4 sm:grid-cols-2 lg:grid-cols-[2fr_1fr_1fr_1fr_auto]">
+      <div className="grid gap-4 rounded-xl border border-border/60 bg-muted/20 p-4 sm:grid-cols-2 lg:grid-cols-[2fr_1fr_1fr_1fr_1fr_auto]">
         <div className="space-y-2">
           <Label htmlFor="training-search">Search trainings</Label>
           <Input
@@ -935,6 +1017,20 @@ function Training() {
             </SelectContent>
           </Select>
         </div>
+        <div className="space-y-2">
+          <Label>Lifecycle</Label>
+          <Select value={trainingLifecycle} onValueChange={setTrainingLifecycle}>
+            <SelectTrigger>
+              <SelectValue placeholder="Filter by lifecycle" />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="all">All models</SelectItem>
+              <SelectItem value="active">Active</SelectItem>
+              <SelectItem value="deprecated">Deprecated</SelectItem>
+              <SelectItem value="archived">Archived</SelectItem>
+            </SelectContent>
+          </Select>
+        </div>
         <div className="space-y-2">
           <Label>User</Label>
           <SearchableSelect
@@ -1028,6 +1124,25 @@ function Training() {
                     onChange={handleInputChange}
                   />
                 </div>
+                <div className="grid gap-2">
+                  <Label htmlFor="presetId">Hyperparameter preset</Label>
+                  <Select
+                    value={formData.presetId}
+                    onValueChange={(value) => setFormData((prev) => ({ ...prev, presetId: value }))}
+                  >
+                    <SelectTrigger id="presetId">
+                      <SelectValue placeholder="Default settings" />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value="none">Default settings</SelectItem>
+                      {trainingPresets.map((preset) => (
+                        <SelectItem key={preset._id} value={preset._id}>
+                          {preset.name} · {preset.steps} steps · rank {preset.loraRank}
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
               </div>
 
               <div className="space-y-4 rounded-xl border border-border/60 bg-muted p-4">
@@ -1188,6 +1303,8 @@ function Training() {
                 )}
               </div>
 
+              <TrainingDatasetReview userId={formData.userId} onDatasetChange={setCuratedDataset} />
+
               <CardFooter className="flex flex-col-reverse gap-3 border-none p-0 sm:flex-row sm:justify-end">
                 <Button type="button" variant="secondary" onClick={resetForm} disabled={isSubmitting}>
                   Cancel
@@ -1263,6 +1380,11 @@ function Training() {
               training.imageUrlCount ??
               (training.imageAssets?.length || training.imageUrls?.length || 0);
             const showCancel = ['queued', 'starting', 'processing'].includes(training.status);
+            const lifecycleState = training.lifecycle?.state || 'active';
+            const isPinned =
+              Boolean(training.userId?.defaultTrainingId) &&
+              String(training.userId.defaultTrainingId) === String(training._id);
+            const canManageModel = training.status === 'succeeded' && (canEdit || isAdmin);
 
             return (
               <Card key={training._id} className="flex flex-col justify-between">
@@ -1286,7 +1408,31 @@ function Training() {
                         ZIP upload
                       </span>
                     )}
+                    {training.trainingConfig?.presetName && (
+                      <span className="rounded-full bg-foreground/10 px-2 py-1 text-[11px] uppercase tracking-wide text-foreground/55">
+                        {training.trainingConfig.presetName}
+                      </span>
+                    )}
+                    {isPinned && (
+                      <Badge variant="success" className="gap-1">
+                        <Pin className="h-3 w-3" />
+                        Default
+                      </Badge>
+                    )}
+                    {lifecycleState !== 'active' && (
+                      <Badge variant={lifecycleState === 'archived' ? 'destructive' : 'warning'}>
+                        {lifecycleState}
+                      </Badge>
+                    )}
                   </div>
+                  {lifecycleState !== 'active' && training.lifecycle?.reason && (
+                    <p className="text-xs text-foreground/55">
+                      {training.lifecycle.reason}
+                      {training.lifecycle.changedBy?.name
+                        ? ` · ${training.lifecycle.changedBy.name}`
+                        : ''}
+                    </p>
+                  )}
                 </CardHeader>
                 <CardContent className="space-y-4 text-sm text-foreground/70">
                   <p>
@@ -1483,6 +1629,49 @@ function Training() {
                       <Ban className="h-4 w-4" />
                       Cancel
                     </Button>
+                  ) : canManageModel ? (
+                    <div className="flex flex-wrap justify-end gap-2">
+                      {canEdit && lifecycleState === 'active' && (
+                        <Button
+                          variant="outline"
+                          size="sm"
+                          className="gap-1"
+                          onClick={() =>
+                            isPinned ? handleUnpinTraining(training) : handlePinTraining(training)
+                          }
+                        >
+                          <Pin className="h-4 w-4" />
+                          {isPinned ? 'Unpin' : 'Pin as default'}
+                        </Button>
+                      )}
+                      {isAdmin && lifecycleState === 'active' && (
+                        <Button
+                          variant="outline"
+                          size="sm"
+                          onClick={() => handleLifecycleChange(training, 'deprecated')}
+                        >
+                          Deprecate
+                        </Button>
+                      )}
+                      {isAdmin && lifecycleState !== 'archived' && (
+                        <Button
+                          variant="outline"
+                          size="sm"
+                          onClick={() => handleLifecycleChange(training, 'archived')}
+                        >
+                          Archive
+                        </Button>
+                      )}
+                      {isAdmin && lifecycleState !== 'active' && (
+                        <Button
+                          variant="outline"
+                          size="sm"
+                          onClick={() => handleLifecycleChange(training, 'active')}
+                        >
+                          Restore
+                        </Button>
+                      )}
+                    </div>
                   ) : (
                     <span className="text-[11px] uppercase tracking-[0.2em] text-foreground/45">
                       Listening for webhook events…
@@ -0,0 +1,651 @@
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import toast from 'react-hot-toast';
+import { Crown, FlaskConical, Loader2, Pencil, Play, RefreshCw, Trash2 } from 'lucide-react';
+import { trainingAPI, userAPI } from '@/services/api';
+import { useAuth } from '@/contexts/AuthContext';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Textarea } from '@/components/ui/textarea';
+import { SearchableSelect } from '@/components/ui/searchable-select';
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from '@/components/ui/card';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import TrainingDatasetReview from '@/components/TrainingDatasetReview';
+import { cn } from '@/lib/utils';
+
+const STATUS_VARIANTS = {
+  training: 'warning',
+  generating: 'warning',
+  completed: 'success',
+  failed: 'destructive',
+};
+
+const POLL_INTERVAL_MS = 5000;
+
+const createPresetForm = () => ({
+  _id: null,
+  name: '',
+  description: '',
+  steps: '1000',
+  learningRate: '0.0004',
+  loraRank: '16',
+  batchSize: '1',
+  triggerWord: '',
+});
+
+const createExperimentForm = () => ({
+  userId: '',
+  presetA: '',
+  presetB: '',
+  label: '',
+  prompts: '',
+});
+
+const formatDate = (value) => {
+  if (!value) return '';
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? '' : date.toLocaleString();
+};
+
+const formatScore = (value) => (value === null || value === undefined ? '—' : String(value));
+
+const formatLikeness = (value) =>
+  value === null || value === undefined ? '—' : `${Math.round(value * 100)}%`;
+
+const describePreset = (preset) =>
+  `${preset.steps} steps · lr ${preset.learningRate} · rank ${preset.loraRank} · batch ${preset.batchSize}`;
+
+function ArmOutputs({ arm, entry }) {
+  const generation = entry?.generation;
+  if (!generation) {
+    return (
+      <p className="text-xs text-muted-foreground">
+        {arm.status === 'failed' ? 'No outputs' : 'Waiting for the model…'}
+      </p>
+    );
+  }
+  if (generation.status === 'failed') {
+    return <p className="text-xs text-red-400">{generation.error || 'Generation failed'}</p>;
+  }
+  const ranked = generation.ranking?.ranked || [];
+  if (!ranked.length) {
+    return (
+      <div className="flex items-center gap-2 text-xs text-muted-foreground">
+        <Loader2 className="h-3 w-3 animate-spin" />
+        {generation.status === 'succeeded' ? 'Ranking…' : `Generating ${generation.progress || 0}%`}
+      </div>
+    );
+  }
+  const byIndex = new Map(ranked.map((item) => [item.imageIndex, item]));
+  return (
+    <div className="grid grid-cols-2 gap-2">
+      {(generation.imageAssets || []).map((asset, index) => {
+        const ranking = byIndex.get(index + 1);
+        return (
+          <a
+            key={asset.key || asset.url}
+            href={asset.url}
+            target="_blank"
+            rel="noreferrer"
+            className={cn(
+              'relative overflow-hidden rounded border-2',
+              ranking?.rank === 1 ? 'border-emerald-500' : 'border-transparent'
+            )}
+          >
+            <img src={asset.url} alt="" className="aspect-square w-full object-cover" />
+            {ranking ? (
+              <span className="absolute bottom-1 left-1 rounded bg-black/70 px-1.5 py-0.5 text-[10px] text-white">
+                #{ranking.rank} · {ranking.score}
+                {ranking.faceSimilarity !== null && ranking.faceSimilarity !== undefined
+                  ? ` · ${formatLikeness(ranking.faceSimilarity)}`
+                  : ''}
+              </span>
+            ) : null}
+          </a>
+        );
+      })}
+    </div>
+  );
+}
+
+function TrainingExperiments() {
+  const { isAdmin, canEdit } = useAuth();
+  const [presets, setPresets] = useState([]);
+  const [presetForm, setPresetForm] = useState(createPresetForm);
+  const [savingPreset, setSavingPreset] = useState(false);
+  const [users, setUsers] = useState([]);
+  const [experiments, setExperiments] = useState([]);
+  const [defaultPrompts, setDefaultPrompts] = useState([]);
+  const [loadingExperiments, setLoadingExperiments] = useState(false);
+  const [form, setForm] = useState(createExperimentForm);
+  const [dataset, setDataset] = useState(null);
+  const [starting, setStarting] = useState(false);
+  const [selectedId, setSelectedId] = useState(null);
+  const [selected, setSelected] = useState(null);
+  const [pickingArm, setPickingArm] = useState(null);
+
+  const loadPresets = useCallback(async () => {
+    try {
+      const response = await trainingAPI.getPresets();
+      setPresets(Array.isArray(response?.data) ? response.data : []);
+    } catch (error) {
+      toast.error(`Failed to load presets: ${error.message}`);
+    }
+  }, []);
+
+  const loadExperiments = useCallback(async ({ silent = false } = {}) => {
+    if (!silent) setLoadingExperiments(true);
+    try {
+      const response = await trainingAPI.getExperiments({ limit: 50 });
+      setExperiments(Array.isArray(response?.data) ? response.data : []);
+      setDefaultPrompts(Array.isArray(response?.defaultPrompts) ? response.defaultPrompts : []);
+    } catch (error) {
+      if (!silent) toast.error(`Failed to load experiments: ${error.message}`);
+    } finally {
+      if (!silent) setLoadingExperiments(false);
+    }
+  }, []);
+
+  const loadSelected = useCallback(async (experimentId, { silent = false } = {}) => {
+    if (!experimentId) {
+      setSelected(null);
+      return;
+    }
+    try {
+      const response = await trainingAPI.getExperiment(experimentId);
+      setSelected(response?.data || null);
+    } catch (error) {
+      if (!silent) toast.error(`Failed to load experiment: ${error.message}`);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadPresets();
+    loadExperiments();
+    userAPI
+      .getAll({ limit: 0, minimal: true })
+      .then((response) => setUsers(Array.isArray(response?.data) ? response.data : []))
+      .catch(() => setUsers([]));
+  }, [loadPresets, loadExperiments]);
+
+  useEffect(() => {
+    loadSelected(selectedId);
+  }, [selectedId, loadSelected]);
+
+  const selectedActive = ['training', 'generating'].includes(selected?.status);
+  const hasActiveExperiment = experiments.some((experiment) =>
+    ['training', 'generating'].includes(experiment.status)
+  );
+
+  useEffect(() => {
+    if (!hasActiveExperiment && !selectedActive) return undefined;
+    const timer = setInterval(() => {
+      loadExperiments({ silent: true });
+      if (selectedActive) loadSelected(selectedId, { silent: true });
+    }, POLL_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [hasActiveExperiment, selectedActive, selectedId, loadExperiments, loadSelected]);
+
+  const handleSavePreset = async (event) => {
+    event.preventDefault();
+    setSavingPreset(true);
+    const { _id: presetId, ...fields } = presetForm;
+    try {
+      if (presetId) {
+        await trainingAPI.updatePreset(presetId, fields);
+        toast.success('Preset updated');
+      } else {
+        await trainingAPI.createPreset(fields);
+        toast.success('Preset created');
+      }
+      setPresetForm(createPresetForm());
+      await loadPresets();
+    } catch (error) {
+      toast.error(`Failed to save preset: ${error.message}`);
+    } finally {
+      setSavingPreset(false);
+    }
+  };
+
+  const handleEditPreset = (preset) => {
+    setPresetForm({
+      _id: preset._id,
+      name: preset.name,
+      description: preset.description || '',
+      steps: String(preset.steps),
+      learningRate: String(preset.learningRate),
+      loraRank: String(preset.loraRank),
+      batchSize: String(preset.batchSize),
+      triggerWord: preset.triggerWord || '',
+    });
+  };
+
+  const handleDeletePreset = async (preset) => {
+    if (!window.confirm(`Delete the "${preset.name}" preset?`)) return;
+    try {
+      await trainingAPI.deletePreset(preset._id);
+      toast.success('Preset deleted');
+      await loadPresets();
+    } catch (error) {
+      toast.error(`Failed to delete preset: ${error.message}`);
+    }
+  };
+
+  const handleUserChange = (userId) => {
+    setForm((prev) => ({ ...prev, userId }));
+    setDataset(null);
+  };
+
+  const handleStart = async () => {
+    setStarting(true);
+    try {
+      const prompts = form.prompts
+        .split('\n')
+        .map((line) => line.trim())
+        .filter(Boolean);
+      const response = await trainingAPI.createExperiment({
+        userId: form.userId,
+        presetIds: [form.presetA, form.presetB],
+        datasetId: dataset?._id,
+        label: form.label.trim() || undefined,
+        prompts: prompts.length ? prompts : undefined,
+      });
+      toast.success(response?.message || 'Experiment started');
+      setForm(createExperimentForm());
+      setDataset(null);
+      await loadExperiments();
+      if (response?.data?._id) setSelectedId(response.data._id);
+    } catch (error) {
+      toast.error(`Failed to start experiment: ${error.message}`);
+    } finally {
+      setStarting(false);
+    }
+  };
+
+  const handlePickWinner = async (armKey) => {
+    setPickingArm(armKey);
+    try {
+      const response = await trainingAPI.selectExperimentWinner(selected._id, armKey);
+      setSelected(response?.data || null);
+      toast.success(response?.message || 'Default model updated');
+      await loadExperiments({ silent: true });
+    } catch (error) {
+      toast.error(`Failed to pick winner: ${error.message}`);
+    } finally {
+      setPickingArm(null);
+    }
+  };
+
+  const userOptions = useMemo(
+    () =>
+      users.map((user) => ({
+        value: user._id,
+        label: `${user.name} · ${user.email}`,
+        searchText: `${user.name} ${user.email}`,
+      })),
+    [users]
+  );
+
+  const canStart =
+    form.userId && form.presetA && form.presetB && form.presetA !== form.presetB && !starting;
+
+  const promptRows = selected
+    ? selected.prompts.map((prompt, promptIndex) => ({
+        prompt,
+        arms: selected.arms.map((arm) =>
+          arm.generations.find((entry) => entry.promptIndex === promptIndex)
+        ),
+      }))
+    : [];
+
+  return (
+    <div className="space-y-8">
+      <section className="space-y-3">
+        <div className="inline-flex items-center gap-2 rounded-full border border-border/60 bg-muted/40 px-3 py-1 text-xs font-semibold uppercase tracking-[0.2em] text-muted-foreground">
+          <FlaskConical className="h-3.5 w-3.5" />
+          A/B compare
+        </div>
+        <div className="space-y-3">
+          <h1 className="text-3xl font-semibold tracking-tight text-foreground">
+            Compare LoRA hyperparameters side by side
+          </h1>
+          <p className="max-w-2xl text-sm text-muted-foreground sm:text-base">
+            Train two models for the same child from one dataset with different presets, run a
+            fixed prompt set through both and keep the one that ranks better as the default.
+          </p>
+        </div>
+      </section>
+
+      <Card>
+        <CardHeader>
+          <CardTitle className="text-base">Presets ({presets.length})</CardTitle>
+          <CardDescription>
+            Named hyperparameter sets. They can also be picked when starting a single training.
+          </CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-6 pt-4">
+          {!presets.length ? (
+            <p className="text-xs text-muted-foreground">No presets yet.</p>
+          ) : null}
+          <div className="divide-y divide-border/50">
+            {presets.map((preset) => (
+              <div key={preset._id} className="flex items-center gap-3 py-2">
+                <div className="min-w-0 flex-1">
+                  <p className="truncate text-sm text-foreground">{preset.name}</p>
+                  <p className="text-xs text-muted-foreground">
+                    {describePreset(preset)}
+                    {preset.triggerWord ? ` · trigger "${preset.triggerWord}"` : ''}
+                    {preset.description ? ` — ${preset.description}` : ''}
+                  </p>
+                </div>
+                {isAdmin ? (
+                  <>
+                    <Button
+                      type="button"
+                      variant="ghost"
+                      size="icon"
+                      onClick={() => handleEditPreset(preset)}
+                    >
+                      <Pencil className="h-4 w-4" />
+                    </Button>
+                    <Button
+                      type="button"
+                      variant="ghost"
+                      size="icon"
+                      onClick={() => handleDeletePreset(preset)}
+                    >
+                      <Trash2 className="h-4 w-4" />
+                    </Button>
+                  </>
+                ) : null}
+              </div>
+            ))}
+          </div>
+
+          {isAdmin ? (
+            <form onSubmit={handleSavePreset} className="space-y-3">
+              <div className="grid gap-3 sm:grid-cols-2 lg:grid-cols-4">
+                <div className="grid gap-1.5">
+                  <Label htmlFor="preset-name">Name</Label>
+                  <Input
+                    id="preset-name"
+                    value={presetForm.name}
+                    onChange={(event) =>
+                      setPresetForm((prev) => ({ ...prev, name: event.target.value }))
+                    }
+                    placeholder="High rank, long run"
+                  />
+                </div>
+                {[
+                  { key: 'steps', label: 'Steps' },
+                  { key: 'learningRate', label: 'Learning rate' },
+                  { key: 'loraRank', label: 'LoRA rank' },
+                  { key: 'batchSize', label: 'Batch size' },
+                  { key: 'triggerWord', label: 'Trigger word (optional)' },
+                  { key: 'description', label: 'Description' },
+                ].map((field) => (
+                  <div key={field.key} className="grid gap-1.5">
+                    <Label htmlFor={`preset-${field.key}`}>{field.label}</Label>
+                    <Input
+                      id={`preset-${field.key}`}
+                      value={presetForm[field.key]}
+                      onChange={(event) =>
+                        setPresetForm((prev) => ({ ...prev, [field.key]: event.target.value }))
+                      }
+                    />
+                  </div>
+                ))}
+              </div>
+              <div className="flex gap-2">
+                <Button type="submit" disabled={savingPreset || !presetForm.name.trim()}>
+                  {savingPreset ? <Loader2 className="mr-2 h-4 w-4 animate-spin" /> : null}
+                  {presetForm._id ? 'Save preset' : 'Add preset'}
+                </Button>
+                {presetForm._id ? (
+                  <Button
+                    type="button"
+                    variant="ghost"
+                    onClick={() => setPresetForm(createPresetForm())}
+                  >
+                    Cancel
+                  </Button>
+                ) : null}
+              </div>
+            </form>
+          ) : null}
+        </CardContent>
+      </Card>
+
+      {canEdit ? (
+        <Card>
+          <CardHeader>
+            <CardTitle className="text-base">New comparison</CardTitle>
+            <CardDescription>
+              Both trainings use the same curated dataset. Leave the prompts empty to use the
+              built-in set; write <code>{'{trigger}'}</code> where the model&apos;s trigger word
+              belongs.
+            </CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-4 pt-4">
+            <div className="grid gap-3 md:grid-cols-2">
+              <div className="grid gap-1.5">
+                <Label>Child</Label>
+                <SearchableSelect
+                  value={form.userId}
+                  onValueChange={handleUserChange}
+                  options={userOptions}
+                  placeholder="Pick a user"
+                  searchPlaceholder="Search users..."
+                  emptyText="No users found."
+                />
+              </div>
+              <div className="grid gap-1.5">
+                <Label htmlFor="experiment-label">Label (optional)</Label>
+                <Input
+                  id="experiment-label"
+                  value={form.label}
+                  onChange={(event) => setForm((prev) => ({ ...prev, label: event.target.value }))}
+                />
+              </div>
+              {[
+                { key: 'presetA', label: 'Preset A' },
+                { key: 'presetB', label: 'Preset B' },
+              ].map((field) => (
+                <div key={field.key} className="grid gap-1.5">
+                  <Label>{field.label}</Label>
+                  <Select
+                    value={form[field.key]}
+                    onValueChange={(value) => setForm((prev) => ({ ...prev, [field.key]: value }))}
+                  >
+                    <SelectTrigger>
+                      <SelectValue placeholder="Pick a preset" />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {presets.map((preset) => (
+                        <SelectItem key={preset._id} value={preset._id}>
+                          {preset.name}
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+              ))}
+            </div>
+            <div className="grid gap-1.5">
+              <Label htmlFor="experiment-prompts">Prompts (one per line)</Label>
+              <Textarea
+                id="experiment-prompts"
+                value={form.prompts}
+                onChange={(event) => setForm((prev) => ({ ...prev, prompts: event.target.value }))}
+                placeholder={defaultPrompts.join('\n')}
+              />
+            </div>
+            {form.userId ? (
+              <TrainingDatasetReview userId={form.userId} onDatasetChange={setDataset} />
+            ) : null}
+            <Button type="button" className="gap-1.5" onClick={handleStart} disabled={!canStart}>
+              {starting ? <Loader2 className="h-4 w-4 animate-spin" /> : <Play className="h-4 w-4" />}
+              Train both
+            </Button>
+          </CardContent>
+        </Card>
+      ) : null}
+
+      <Card>
+        <CardHeader>
+          <div className="flex items-center justify-between gap-3">
+            <div>
+              <CardTitle className="text-base">Experiments</CardTitle>
+              <CardDescription>Select one to see its outputs side by side.</CardDescription>
+            </div>
+            <Button
+              type="button"
+              variant="ghost"
+              size="icon"
+              onClick={() => loadExperiments()}
+              disabled={loadingExperiments}
+            >
+              <RefreshCw className={cn('h-4 w-4', loadingExperiments && 'animate-spin')} />
+            </Button>
+          </div>
+        </CardHeader>
+        <CardContent className="pt-4">
+          {!experiments.length && !loadingExperiments ? (
+            <p className="text-xs text-muted-foreground">No experiments yet.</p>
+          ) : null}
+          <div className="divide-y divide-border/50">
+            {experiments.map((experiment) => (
+              <button
+                key={experiment._id}
+                type="button"
+                onClick={() => setSelectedId(experiment._id)}
+                className={cn(
+                  'flex w-full items-center gap-3 py-2 text-left',
+                  experiment._id === selectedId && 'bg-muted/40'
+                )}
+              >
+                <div className="min-w-0 flex-1">
+                  <p className="truncate text-sm text-foreground">
+                    {experiment.label || experiment.userId?.name || 'Experiment'}
+                  </p>
+                  <p className="text-xs text-muted-foreground">
+                    {experiment.arms.map((arm) => `${arm.key}: ${arm.presetName}`).join(' vs ')} ·{' '}
+                    {formatDate(experiment.createdAt)}
+                  </p>
+                </div>
+                {experiment.winner ? (
+                  <Badge variant="outline">Winner {experiment.winner}</Badge>
+                ) : null}
+                <Badge variant={STATUS_VARIANTS[experiment.status] || 'outline'}>
+                  {experiment.status}
+                </Badge>
+              </button>
+            ))}
+          </div>
+        </CardContent>
+      </Card>
+
+      {selected ? (
+        <Card>
+          <CardHeader>
+            <CardTitle className="text-base">
+              {selected.label || selected.userId?.name || 'Experiment'}
+            </CardTitle>
+            <CardDescription>
+              Scores are the ranker&apos;s 0-100 score; likeness is face similarity to the
+              child&apos;s photos. The best-ranked image per prompt is outlined.
+            </CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-6 pt-4">
+            <div className="grid gap-4 md:grid-cols-2">
+              {selected.arms.map((arm) => {
+                const training = arm.trainingId;
+                const isDefault =
+                  training?._id &&
+                  String(selected.userId?.defaultTrainingId) === String(training._id);
+                return (
+                  <div key={arm.key} className="space-y-2 rounded-lg border border-border/60 p-3">
+                    <div className="flex flex-wrap items-center gap-2">
+                      <span className="text-sm font-semibold text-foreground">
+                        {arm.key} · {arm.presetName}
+                      </span>
+                      <Badge variant={STATUS_VARIANTS[arm.status] || 'outline'}>{arm.status}</Badge>
+                      {selected.recommended === arm.key ? (
+                        <Badge variant="secondary">Recommended</Badge>
+                      ) : null}
+                      {isDefault ? <Badge variant="success">Default model</Badge> : null}
+                    </div>
+                    <p className="text-xs text-muted-foreground">{describePreset(arm.config)}</p>
+                    {training ? (
+                      <p className="text-xs text-muted-foreground">
+                        {training.modelName} · training {training.status}
+                        {training.status === 'processing' ? ` ${training.progress || 0}%` : ''}
+                      </p>
+                    ) : null}
+                    {arm.error ? <p className="text-xs text-red-400">{arm.error}</p> : null}
+                    <p className="text-xs text-foreground/80">
+                      Mean top score {formatScore(arm.summary?.meanTopScore)} · mean score{' '}
+                      {formatScore(arm.summary?.meanScore)} · likeness{' '}
+                      {formatLikeness(arm.summary?.meanFaceSimilarity)}
+                    </p>
+                    {canEdit && arm.status === 'completed' ? (
+                      <Button
+                        type="button"
+                        size="sm"
+                        variant={selected.winner === arm.key ? 'secondary' : 'outline'}
+                        className="gap-1.5"
+                        disabled={Boolean(pickingArm) || isDefault}
+                        onClick={() => handlePickWinner(arm.key)}
+                      >
+                        {pickingArm === arm.key ? (
+                          <Loader2 className="h-3.5 w-3.5 animate-spin" />
+                        ) : (
+                          <Crown className="h-3.5 w-3.5" />
+                        )}
+                        {isDefault ? 'Default model' : 'Use as default'}
+                      </Button>
+                    ) : null}
+                  </div>
+                );
+              })}
+            </div>
+
+            <div className="space-y-4">
+              {promptRows.map((row, promptIndex) => (
+                <div key={promptIndex} className="space-y-2">
+                  <p className="text-xs text-muted-foreground">
+                    {promptIndex + 1}. {row.prompt}
+                  </p>
+                  <div className="grid gap-4 md:grid-cols-2">
+                    {row.arms.map((entry, armIndex) => (
+                      <ArmOutputs
+                        key={selected.arms[armIndex].key}
+                        arm={selected.arms[armIndex]}
+                        entry={entry}
+                      />
+                    ))}
+                  </div>
+                </div>
+              ))}
+            </div>
+          </CardContent>
+        </Card>
+      ) : null}
+    </div>
+  );
+}
+
+export default TrainingExperiments;
@@ -0,0 +1,103 @@
+import { useEffect, useState } from 'react';
+import { useParams } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import { CheckCircle2, Loader2, MailX } from 'lucide-react';
+import { unsubscribeAPI } from '@/services/api';
+import { Button } from '@/components/ui/button';
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from '@/components/ui/card';
+
+function Unsubscribe() {
+  const { token } = useParams();
+  const [state, setState] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [loadError, setLoadError] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    const load = async () => {
+      setLoading(true);
+      try {
+        const response = await unsubscribeAPI.get(token);
+        if (!cancelled) setState(response?.data || null);
+      } catch (error) {
+        if (!cancelled) setLoadError(error.message || 'This unsubscribe link could not be opened');
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+    load();
+    return () => {
+      cancelled = true;
+    };
+  }, [token]);
+
+  const handleUnsubscribe = async () => {
+    setSubmitting(true);
+    try {
+      const response = await unsubscribeAPI.confirm(token);
+      setState(response?.data || null);
+    } catch (error) {
+      toast.error(error.message || 'Failed to unsubscribe');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex min-h-screen items-center justify-center bg-background">
+        <Loader2 className="h-6 w-6 animate-spin text-muted-foreground" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="flex min-h-screen items-center justify-center bg-background px-4">
+      <Card className="w-full max-w-md">
+        {loadError || !state ? (
+          <CardHeader>
+            <CardTitle>Link unavailable</CardTitle>
+            <CardDescription>
+              {loadError || 'This unsubscribe link could not be opened'}. Reply to any of our
+              emails and we will stop sending them.
+            </CardDescription>
+          </CardHeader>
+        ) : state.emailOptOut ? (
+          <CardHeader className="space-y-3">
+            <CheckCircle2 className="h-8 w-8 text-foreground/70" />
+            <CardTitle>You are unsubscribed</CardTitle>
+            <CardDescription>
+              We will no longer email you about {state.childName}&apos;s book.
+            </CardDescription>
+          </CardHeader>
+        ) : (
+          <>
+            <CardHeader className="space-y-3">
+              <MailX className="h-8 w-8 text-foreground/70" />
+              <CardTitle>Stop emails about {state.childName}&apos;s book?</CardTitle>
+              <CardDescription>
+                You will no longer hear from us when photos need replacing, a proof is ready or
+                the book is confirmed.
+              </CardDescription>
+            </CardHeader>
+            <CardContent>
+              <Button className="w-full" onClick={handleUnsubscribe} disabled={submitting}>
+                {submitting && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+                Unsubscribe
+              </Button>
+            </CardContent>
+          </>
+        )}
+      </Card>
+    </div>
+  );
+}
+
+export default Unsubscribe;
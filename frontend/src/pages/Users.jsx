@@ -46,9 +46,18 @@ const createEmptyForm = () => ({
   email: '',
   countryCode: '+1',
   phoneNumber: '',
+  hometown: '',
+  siblings: '',
   images: [],
 });
 
+// Siblings are edited as one comma-separated field
+const parseSiblingNames = (value) =>
+  String(value || '')
+    .split(',')
+    .map((name) => name.trim())
+    .filter(Boolean);
+
 const summariseEvaluationItems = (items) => {
   const evaluated = items.filter((item) => item.status === 'evaluated');
   if (!evaluated.length) {
@@ -607,15 +616,16 @@ function Users() {
 
     setIsSavingUser(true);
     try {
+      const payload = { ...formData, siblings: parseSiblingNames(formData.siblings) };
       if (editingId) {
-        await userAPI.update(editingId, formData);
+        await userAPI.update(editingId, payload);
         toast.success('User updated successfully');
         resetForm();
         fetchUsers();
         return;
       }
 
-      const response = await userAPI.create(formData);
+      const response = await userAPI.create(payload);
       const newUserId = response.data._id;
 
       const imagesToUpload = formImages.filter((item) => item.include && item.file);
@@ -673,6 +683,9 @@ function Users() {
       email: user.email,
       countryCode: user.countryCode,
       phoneNumber: user.phoneNumber,
+      hometown: user.hometown || '',
+      siblings: Array.isArray(user.siblings) ? user.siblings.join(', ') : '',
+      emailOptOut: Boolean(user.notifications?.emailOptOut),
     });
     setEditingId(user._id);
     setShowForm(true);
@@ -995,8 +1008,52 @@ function Users() {
                     placeholder="1234567890"
                   />
                 </div>
+                <div className="grid gap-2">
+                  <Label htmlFor="hometown">Hometown</Label>
+                  <Input
+                    id="hometown"
+                    name="hometown"
+                    value={formData.hometown}
+                    onChange={handleInputChange}
+                    placeholder="Used as {hometown} in stories"
+                  />
+                </div>
+                <div className="grid gap-2">
+                  <Label htmlFor="siblings">Siblings</Label>
+                  <Input
+                    id="siblings"
+                    name="siblings"
+                    value={formData.siblings}
+                    onChange={handleInputChange}
+                    placeholder="Comma-separated first names"
+                  />
+                </div>
               </div>
 
+              {editingId && (
+                <label
+                  htmlFor="emailNotifications"
+                  className="flex items-start gap-3 rounded-xl border border-border/60 bg-muted/30 p-4 text-sm"
+                >
+                  <input
+                    id="emailNotifications"
+                    type="checkbox"
+                    className="mt-0.5 h-4 w-4 rounded border-border"
+                    checked={!formData.emailOptOut}
+                    onChange={(event) =>
+                      setFormData((prev) => ({ ...prev, emailOptOut: !event.target.checked }))
+                    }
+                  />
+                  <span className="space-y-1">
+                    <span className="block font-medium text-foreground">Email notifications</span>
+                    <span className="block text-xs text-foreground/50">
+                      Photo requests, proof links and confirmations are emailed to this address.
+                      Parents can also unsubscribe from the link in any email.
+                    </span>
+                  </span>
+                </label>
+              )}
+
               {!editingId && (
                 <div className="space-y-4 rounded-xl border border-border/60 bg-muted p-4">
                   <div className="flex flex-col gap-3 sm:flex-row sm:items-center sm:justify-between">
@@ -1221,7 +1278,14 @@ function Users() {
                       {user.gender} · {user.age}
                     </span>
                   </p>
-                  <p className="truncate text-foreground/60">{user.email}</p>
+                  <p className="flex items-center gap-2 text-foreground/60">
+                    <span className="truncate">{user.email}</span>
+                    {user.notifications?.emailOptOut && (
+                      <Badge variant="outline" className="shrink-0 text-[10px]">
+                        Emails off
+                      </Badge>
+                    )}
+                  </p>
                   <p className="text-foreground/60">
                     {user.countryCode} {user.phoneNumber}
                   </p>
@@ -0,0 +1,591 @@
+import { Fragment, useCallback, useEffect, useState } from 'react';
+import toast from 'react-hot-toast';
+import {
+  Copy,
+  Eye,
+  EyeOff,
+  KeyRound,
+  Loader2,
+  Plus,
+  RefreshCw,
+  RotateCcw,
+  Trash2,
+  Webhook,
+} from 'lucide-react';
+import { webhookAPI } from '@/services/api';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from '@/components/ui/card';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+
+const EVENT_LABELS = {
+  'training.succeeded': 'Training succeeded',
+  'training.failed': 'Training failed',
+  'storybook.completed': 'Storybook run completed',
+  'storybook.confirmed': 'Storybook PDF confirmed',
+  'automation.failed': 'Automation run failed',
+};
+
+const STATUS_OPTIONS = [
+  { value: 'all', label: 'All statuses' },
+  { value: 'pending', label: 'Pending' },
+  { value: 'succeeded', label: 'Delivered' },
+  { value: 'failed', label: 'Failed' },
+];
+
+const STATUS_VARIANTS = {
+  pending: 'warning',
+  succeeded: 'success',
+  failed: 'destructive',
+};
+
+const EMPTY_FORM = { name: '', url: '', events: [] };
+
+const formatDate = (value) => {
+  if (!value) return '—';
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? '—' : date.toLocaleString();
+};
+
+const toggleEvent = (events, event) =>
+  events.includes(event) ? events.filter((entry) => entry !== event) : [...events, event];
+
+function EventCheckboxes({ idPrefix, events, selected, disabled, onToggle }) {
+  return (
+    <div className="flex flex-wrap gap-x-4 gap-y-2">
+      {events.map((event) => (
+        <label
+          key={event}
+          htmlFor={`${idPrefix}-${event}`}
+          className="flex items-center gap-2 text-sm text-foreground"
+        >
+          <input
+            id={`${idPrefix}-${event}`}
+            type="checkbox"
+            className="h-4 w-4 rounded border-border"
+            checked={selected.includes(event)}
+            disabled={disabled}
+            onChange={() => onToggle(event)}
+          />
+          {EVENT_LABELS[event] || event}
+        </label>
+      ))}
+    </div>
+  );
+}
+
+function Webhooks() {
+  const [endpoints, setEndpoints] = useState([]);
+  const [events, setEvents] = useState(Object.keys(EVENT_LABELS));
+  const [loading, setLoading] = useState(true);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [creating, setCreating] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+  const [revealedId, setRevealedId] = useState(null);
+
+  const [deliveries, setDeliveries] = useState([]);
+  const [deliveriesLoading, setDeliveriesLoading] = useState(false);
+  const [endpointFilter, setEndpointFilter] = useState('all');
+  const [statusFilter, setStatusFilter] = useState('all');
+  const [eventFilter, setEventFilter] = useState('all');
+  const [expandedId, setExpandedId] = useState(null);
+  const [replayingId, setReplayingId] = useState(null);
+
+  const fetchEndpoints = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await webhookAPI.list();
+      setEndpoints(Array.isArray(response?.data) ? response.data : []);
+      if (Array.isArray(response?.events) && response.events.length) {
+        setEvents(response.events);
+      }
+    } catch (error) {
+      toast.error(error.message || 'Failed to load webhook endpoints');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  const fetchDeliveries = useCallback(async () => {
+    setDeliveriesLoading(true);
+    try {
+      const params = { status: statusFilter, event: eventFilter, limit: 100 };
+      if (endpointFilter !== 'all') params.endpointId = endpointFilter;
+      const response = await webhookAPI.listDeliveries(params);
+      setDeliveries(Array.isArray(response?.data) ? response.data : []);
+    } catch (error) {
+      toast.error(error.message || 'Failed to load webhook deliveries');
+    } finally {
+      setDeliveriesLoading(false);
+    }
+  }, [endpointFilter, statusFilter, eventFilter]);
+
+  useEffect(() => {
+    fetchEndpoints();
+  }, [fetchEndpoints]);
+
+  useEffect(() => {
+    fetchDeliveries();
+  }, [fetchDeliveries]);
+
+  const handleCreate = async (event) => {
+    event.preventDefault();
+    setCreating(true);
+    try {
+      await webhookAPI.create(form);
+      toast.success('Webhook endpoint added');
+      setForm(EMPTY_FORM);
+      fetchEndpoints();
+    } catch (error) {
+      toast.error(error.message || 'Failed to add webhook endpoint');
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const handleUpdate = async (id, data, successMessage) => {
+    setBusyId(id);
+    try {
+      await webhookAPI.update(id, data);
+      toast.success(successMessage);
+      fetchEndpoints();
+    } catch (error) {
+      toast.error(error.message || 'Failed to update webhook endpoint');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleRotateSecret = (endpoint) => {
+    if (
+      !window.confirm(
+        `Rotate the signing secret for ${endpoint.name}? The receiver must switch to the new secret.`
+      )
+    ) {
+      return;
+    }
+    setRevealedId(endpoint._id);
+    handleUpdate(endpoint._id, { rotateSecret: true }, 'Signing secret rotated');
+  };
+
+  const handleDelete = async (endpoint) => {
+    if (!window.confirm(`Delete ${endpoint.name} and its delivery log?`)) return;
+    setBusyId(endpoint._id);
+    try {
+      await webhookAPI.remove(endpoint._id);
+      toast.success('Webhook endpoint deleted');
+      if (endpointFilter === endpoint._id) setEndpointFilter('all');
+      fetchEndpoints();
+      fetchDeliveries();
+    } catch (error) {
+      toast.error(error.message || 'Failed to delete webhook endpoint');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleCopySecret = async (secret) => {
+    try {
+      await navigator.clipboard.writeText(secret);
+      toast.success('Signing secret copied');
+    } catch (error) {
+      toast.error('Could not copy the secret');
+    }
+  };
+
+  const handleReplay = async (delivery) => {
+    setReplayingId(delivery._id);
+    try {
+      await webhookAPI.replay(delivery._id);
+      toast.success('Webhook replay queued');
+      fetchDeliveries();
+    } catch (error) {
+      toast.error(error.message || 'Failed to replay webhook');
+    } finally {
+      setReplayingId(null);
+    }
+  };
+
+  return (
+    <div className="space-y-8">
+      <section className="space-y-3">
+        <div className="inline-flex items-center gap-2 rounded-full border border-border/60 bg-muted/40 px-3 py-1 text-xs font-semibold uppercase tracking-[0.2em] text-muted-foreground">
+          <Webhook className="h-3.5 w-3.5" />
+          Webhooks
+        </div>
+        <h1 className="text-3xl font-semibold tracking-tight text-foreground">
+          Notify other systems about pipeline milestones
+        </h1>
+        <p className="max-w-2xl text-sm text-muted-foreground sm:text-base">
+          Each endpoint receives a signed JSON POST for the events it subscribes to. Failed
+          deliveries are retried with backoff and can be replayed from the log below.
+        </p>
+      </section>
+
+      <Card className="shadow-sm">
+        <CardHeader className="space-y-1">
+          <CardTitle className="text-lg font-semibold">Add an endpoint</CardTitle>
+          <CardDescription>
+            A signing secret is generated for the endpoint; verify the X-Webhook-Signature header
+            with it.
+          </CardDescription>
+        </CardHeader>
+        <CardContent>
+          <form onSubmit={handleCreate} className="space-y-4">
+            <div className="grid gap-4 md:grid-cols-2">
+              <div className="space-y-2">
+                <Label htmlFor="webhook-name">Name</Label>
+                <Input
+                  id="webhook-name"
+                  value={form.name}
+                  placeholder="Fulfilment service"
+                  onChange={(event) => setForm((prev) => ({ ...prev, name: event.target.value }))}
+                />
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="webhook-url">URL</Label>
+                <Input
+                  id="webhook-url"
+                  type="url"
+                  value={form.url}
+                  placeholder="https://example.com/hooks/torah-tale"
+                  onChange={(event) => setForm((prev) => ({ ...prev, url: event.target.value }))}
+                />
+              </div>
+            </div>
+            <div className="space-y-2">
+              <Label>Events</Label>
+              <EventCheckboxes
+                idPrefix="webhook-new"
+                events={events}
+                selected={form.events}
+                onToggle={(event) =>
+                  setForm((prev) => ({ ...prev, events: toggleEvent(prev.events, event) }))
+                }
+              />
+            </div>
+            <Button type="submit" disabled={creating}>
+              {creating ? (
+                <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+              ) : (
+                <Plus className="mr-2 h-4 w-4" />
+              )}
+              Add endpoint
+            </Button>
+          </form>
+        </CardContent>
+      </Card>
+
+      <Card className="shadow-sm">
+        <CardHeader className="space-y-1">
+          <CardTitle className="text-lg font-semibold">Endpoints</CardTitle>
+          <CardDescription>
+            Disabled endpoints receive nothing; deliveries still queued for them are dropped.
+          </CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-3">
+          {loading ? (
+            <div className="flex items-center gap-2 text-muted-foreground">
+              <Loader2 className="h-4 w-4 animate-spin" />
+              Loading endpoints…
+            </div>
+          ) : endpoints.length === 0 ? (
+            <p className="text-muted-foreground">No endpoints yet.</p>
+          ) : (
+            endpoints.map((endpoint) => {
+              const isBusy = busyId === endpoint._id;
+              const isRevealed = revealedId === endpoint._id;
+              return (
+                <div
+                  key={endpoint._id}
+                  className="space-y-3 rounded-lg border border-border/70 bg-background p-4"
+                >
+                  <div className="flex flex-col gap-3 md:flex-row md:items-start md:justify-between">
+                    <div className="min-w-0 space-y-1">
+                      <div className="flex flex-wrap items-center gap-2">
+                        <span className="font-medium text-foreground">{endpoint.name}</span>
+                        {!endpoint.enabled && <Badge variant="outline">Disabled</Badge>}
+                        {endpoint.lastDeliveryStatus && (
+                          <Badge variant={STATUS_VARIANTS[endpoint.lastDeliveryStatus]}>
+                            Last delivery {endpoint.lastDeliveryStatus}
+                          </Badge>
+                        )}
+                      </div>
+                      <p className="truncate text-xs text-muted-foreground">
+                        {endpoint.url} · Last delivery {formatDate(endpoint.lastDeliveryAt)}
+                      </p>
+                    </div>
+                    <div className="flex flex-wrap items-center gap-2">
+                      <Button
+                        variant="outline"
+                        size="sm"
+                        disabled={isBusy}
+                        onClick={() =>
+                          handleUpdate(
+                            endpoint._id,
+                            { enabled: !endpoint.enabled },
+                            endpoint.enabled ? 'Endpoint disabled' : 'Endpoint enabled'
+                          )
+                        }
+                      >
+                        {endpoint.enabled ? 'Disable' : 'Enable'}
+                      </Button>
+                      <Button
+                        variant="outline"
+                        size="sm"
+                        disabled={isBusy}
+                        onClick={() => handleRotateSecret(endpoint)}
+                      >
+                        <KeyRound className="mr-2 h-4 w-4" />
+                        Rotate secret
+                      </Button>
+                      <Button
+                        variant="ghost"
+                        size="icon"
+                        disabled={isBusy}
+                        onClick={() => handleDelete(endpoint)}
+                        aria-label={`Delete ${endpoint.name}`}
+                      >
+                        <Trash2 className="h-4 w-4" />
+                      </Button>
+                    </div>
+                  </div>
+
+                  <div className="flex flex-wrap items-center gap-2 text-xs">
+                    <span className="text-muted-foreground">Signing secret</span>
+                    <code className="rounded bg-muted px-2 py-1 font-mono text-foreground">
+                      {isRevealed ? endpoint.secret : '••••••••••••••••'}
+                    </code>
+                    <Button
+                      variant="ghost"
+                      size="icon"
+                      onClick={() => setRevealedId(isRevealed ? null : endpoint._id)}
+                      aria-label={isRevealed ? 'Hide secret' : 'Show secret'}
+                    >
+                      {isRevealed ? <EyeOff className="h-4 w-4" /> : <Eye className="h-4 w-4" />}
+                    </Button>
+                    <Button
+                      variant="ghost"
+                      size="icon"
+                      onClick={() => handleCopySecret(endpoint.secret)}
+                      aria-label="Copy secret"
+                    >
+                      <Copy className="h-4 w-4" />
+                    </Button>
+                  </div>
+
+                  <EventCheckboxes
+                    idPrefix={`webhook-${endpoint._id}`}
+                    events={events}
+                    selected={endpoint.events || []}
+                    disabled={isBusy}
+                    onToggle={(event) =>
+                      handleUpdate(
+                        endpoint._id,
+                        { events: toggleEvent(endpoint.events || [], event) },
+                        'Subscriptions updated'
+                      )
+                    }
+                  />
+                </div>
+              );
+            })
+          )}
+        </CardContent>
+      </Card>
+
+      <Card className="shadow-sm">
+        <CardHeader className="flex flex-col gap-3 space-y-0 md:flex-row md:items-start md:justify-between">
+          <div className="space-y-1">
+            <CardTitle className="text-lg font-semibold">Delivery log</CardTitle>
+            <CardDescription>
+              Every attempt is recorded; replaying sends the same event ID as a new delivery.
+            </CardDescription>
+          </div>
+          <div className="flex flex-wrap items-center gap-2">
+            <Select value={endpointFilter} onValueChange={setEndpointFilter}>
+              <SelectTrigger className="w-44">
+                <SelectValue placeholder="Endpoint" />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value="all">All endpoints</SelectItem>
+                {endpoints.map((endpoint) => (
+                  <SelectItem key={endpoint._id} value={endpoint._id}>
+                    {endpoint.name}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+            <Select value={eventFilter} onValueChange={setEventFilter}>
+              <SelectTrigger className="w-48">
+                <SelectValue placeholder="Event" />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value="all">All events</SelectItem>
+                {events.map((event) => (
+                  <SelectItem key={event} value={event}>
+                    {EVENT_LABELS[event] || event}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+            <Select value={statusFilter} onValueChange={setStatusFilter}>
+              <SelectTrigger className="w-36">
+                <SelectValue placeholder="Status" />
+              </SelectTrigger>
+              <SelectContent>
+                {STATUS_OPTIONS.map((option) => (
+                  <SelectItem key={option.value} value={option.value}>
+                    {option.label}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+            <Button
+              variant="outline"
+              size="icon"
+              onClick={fetchDeliveries}
+              disabled={deliveriesLoading}
+              aria-label="Refresh deliveries"
+            >
+              {deliveriesLoading ? (
+                <Loader2 className="h-4 w-4 animate-spin" />
+              ) : (
+                <RefreshCw className="h-4 w-4" />
+              )}
+            </Button>
+          </div>
+        </CardHeader>
+        <CardContent>
+          <div className="overflow-x-auto rounded-lg border border-border">
+            <table className="w-full text-sm">
+              <thead className="bg-secondary/50 text-xs uppercase tracking-wider text-muted-foreground">
+                <tr>
+                  <th className="px-4 py-2 text-left font-medium">Event</th>
+                  <th className="px-4 py-2 text-left font-medium">Endpoint</th>
+                  <th className="px-4 py-2 text-left font-medium">Status</th>
+                  <th className="px-4 py-2 text-right font-medium">Attempts</th>
+                  <th className="px-4 py-2 text-left font-medium">Response</th>
+                  <th className="px-4 py-2 text-left font-medium">Created</th>
+                  <th className="px-4 py-2 text-right font-medium" />
+                </tr>
+              </thead>
+              <tbody>
+                {deliveries.length === 0 ? (
+                  <tr>
+                    <td colSpan={7} className="px-4 py-6 text-center text-muted-foreground">
+                      {deliveriesLoading ? 'Loading…' : 'No deliveries match these filters.'}
+                    </td>
+                  </tr>
+                ) : (
+                  deliveries.map((delivery) => {
+                    const isExpanded = expandedId === delivery._id;
+                    return (
+                      <Fragment key={delivery._id}>
+                        <tr
+                          className="cursor-pointer border-t border-border hover:bg-muted/30"
+                          onClick={() => setExpandedId(isExpanded ? null : delivery._id)}
+                        >
+                          <td className="px-4 py-2 text-foreground">
+                            {EVENT_LABELS[delivery.event] || delivery.event}
+                            {delivery.replayOf && (
+                              <span className="ml-2 text-xs text-muted-foreground">replay</span>
+                            )}
+                          </td>
+                          <td className="max-w-[12rem] truncate px-4 py-2">
+                            {delivery.endpointId?.name || 'Deleted endpoint'}
+                          </td>
+                          <td className="px-4 py-2">
+                            <Badge variant={STATUS_VARIANTS[delivery.status]}>
+                              {delivery.status}
+                            </Badge>
+                          </td>
+                          <td className="px-4 py-2 text-right">{delivery.attempts || 0}</td>
+                          <td className="max-w-xs truncate px-4 py-2 text-xs text-muted-foreground">
+                            {delivery.responseStatus ? `HTTP ${delivery.responseStatus}` : ''}
+                            {delivery.responseStatus && delivery.error ? ' · ' : ''}
+                            {delivery.error || (delivery.responseStatus ? '' : '—')}
+                          </td>
+                          <td className="px-4 py-2 text-xs text-muted-foreground">
+                            {formatDate(delivery.createdAt)}
+                          </td>
+                          <td className="px-4 py-2 text-right">
+                            <Button
+                              variant="outline"
+                              size="sm"
+                              disabled={replayingId === delivery._id || !delivery.endpointId}
+                              onClick={(event) => {
+                                event.stopPropagation();
+                                handleReplay(delivery);
+                              }}
+                            >
+                              {replayingId === delivery._id ? (
+                                <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                              ) : (
+                                <RotateCcw className="mr-2 h-4 w-4" />
+                              )}
+                              Replay
+                            </Button>
+                          </td>
+                        </tr>
+                        {isExpanded && (
+                          <tr className="border-t border-border bg-muted/20">
+                            <td colSpan={7} className="space-y-3 px-4 py-3 text-xs">
+                              <p className="text-muted-foreground">
+                                Event ID <span className="font-mono">{delivery.eventId}</span>
+                              </p>
+                              {(delivery.attemptLog || []).length > 0 ? (
+                                <ul className="space-y-1">
+                                  {delivery.attemptLog.map((entry) => (
+                                    <li key={entry.attempt} className="text-foreground">
+                                      #{entry.attempt} · {formatDate(entry.at)} ·{' '}
+                                      {entry.statusCode ? `HTTP ${entry.statusCode}` : 'No response'}
+                                      {entry.durationMs != null && ` · ${entry.durationMs}ms`}
+                                      {entry.error && (
+                                        <span className="text-muted-foreground"> · {entry.error}</span>
+                                      )}
+                                    </li>
+                                  ))}
+                                </ul>
+                              ) : (
+                                <p className="text-muted-foreground">No attempts yet.</p>
+                              )}
+                              {delivery.responseBody && (
+                                <pre className="max-h-40 overflow-auto whitespace-pre-wrap rounded bg-muted p-2 font-mono">
+                                  {delivery.responseBody}
+                                </pre>
+                              )}
+                              <pre className="max-h-60 overflow-auto whitespace-pre-wrap rounded bg-muted p-2 font-mono">
+                                {JSON.stringify(delivery.payload, null, 2)}
+                              </pre>
+                            </td>
+                          </tr>
+                        )}
+                      </Fragment>
+                    );
+                  })
+                )}
+              </tbody>
+            </table>
+          </div>
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
+
+export default Webhooks;
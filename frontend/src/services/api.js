@@ -2,10 +2,22 @@ import axios from 'axios';
 
 const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:5001/api';
 
+const LOGIN_PATH = '/login';
+
 const api = axios.create({
   baseURL: API_BASE_URL,
+  // Send the session cookie with every request
+  withCredentials: true,
 });
 
+const redirectToLogin = () => {
+  if (typeof window === 'undefined') return;
+  const { pathname, search } = window.location;
+  if (pathname === LOGIN_PATH) return;
+  const next = encodeURIComponent(`${pathname}${search}`);
+  window.location.assign(`${LOGIN_PATH}?next=${next}`);
+};
+
 // Request interceptor
 api.interceptors.request.use(
   (config) => {
@@ -16,17 +28,50 @@ api.interceptors.request.use(
   }
 );
 
+// Downloads ask for `responseType: 'blob'`, so their JSON error bodies arrive
+// as a Blob and have to be read back before the message is available
+const readErrorBody = async (data) => {
+  if (typeof Blob === 'undefined' || !(data instanceof Blob)) return data;
+  try {
+    return JSON.parse(await data.text());
+  } catch (parseError) {
+    console.error('Failed to parse error response body', parseError);
+    return null;
+  }
+};
+
 // Response interceptor
 api.interceptors.response.use(
   (response) => {
     return response.data;
   },
-  (error) => {
-    const message = error.response?.data?.message || error.message || 'Something went wrong';
-    return Promise.reject(new Error(message));
+  async (error) => {
+    const status = error.response?.status;
+    const requestUrl = error.config?.url || '';
+    if (status === 401 && !requestUrl.startsWith('/auth/')) {
+      redirectToLogin();
+    }
+    const data = await readErrorBody(error.response?.data);
+    const message = data?.message || error.message || 'Something went wrong';
+    const normalized = new Error(message);
+    normalized.status = status;
+    // Per-item validation failures, e.g. the glyphs a font is missing
+    normalized.errors = data?.errors;
+    return Promise.reject(normalized);
   }
 );
 
+// Auth API
+export const authAPI = {
+  login: (credentials) => api.post('/auth/login', credentials),
+  logout: () => api.post('/auth/logout'),
+  me: () => api.get('/auth/me'),
+  listAccounts: () => api.get('/auth/accounts'),
+  createAccount: (data) => api.post('/auth/accounts', data),
+  updateAccount: (id, data) => api.patch(`/auth/accounts/${id}`, data),
+  deleteAccount: (id) => api.delete(`/auth/accounts/${id}`),
+};
+
 // Book API
 export const bookAPI = {
   getAll: (params) => api.get('/books', { params }),
@@ -48,6 +93,14 @@ export const bookAPI = {
     return api.put(`/books/${id}`, data);
   },
   delete: (id) => api.delete(`/books/${id}`),
+  getRevisions: (id, params) => api.get(`/books/${id}/revisions`, { params }),
+  diffRevisions: (id, params) => api.get(`/books/${id}/revisions/diff`, { params }),
+  restoreRevision: (id, revision) => api.post(`/books/${id}/revisions/${revision}/restore`),
+  getPageLayoutDefaults: () => api.get('/books/page-layout'),
+  getPageLayout: (id) => api.get(`/books/${id}/page-layout`),
+  updatePageLayout: (id, data) => api.put(`/books/${id}/page-layout`, data),
+  getFonts: (id) => api.get(`/books/${id}/fonts`),
+  updateFonts: (id, fonts) => api.put(`/books/${id}/fonts`, { fonts }),
   updateStatus: (id, status) => api.patch(`/books/${id}/status`, { status }),
   generateStorybook: (id, data) =>
     api.post(`/books/${id}/storybooks`, data, {
@@ -62,9 +115,31 @@ export const bookAPI = {
     api.post(`/books/${bookId}/storybooks/${assetId}/regenerate`, data),
   confirmStorybookPdf: (bookId, assetId, data = {}) =>
     api.post(`/books/${bookId}/storybooks/${assetId}/confirm`, data),
+  generatePrintStorybook: (bookId, assetId, data = {}) =>
+    api.post(`/books/${bookId}/storybooks/${assetId}/print`, data),
+  createProofLink: (bookId, assetId, data = {}) =>
+    api.post(`/books/${bookId}/storybooks/${assetId}/proof`, data),
+  revokeProofLink: (bookId, assetId) => api.delete(`/books/${bookId}/storybooks/${assetId}/proof`),
+  getStorybookComments: (bookId, assetId, params) =>
+    api.get(`/books/${bookId}/storybooks/${assetId}/comments`, { params }),
+  createStorybookComment: (bookId, assetId, data) =>
+    api.post(`/books/${bookId}/storybooks/${assetId}/comments`, data),
+  replyToStorybookComment: (bookId, assetId, commentId, data) =>
+    api.post(`/books/${bookId}/storybooks/${assetId}/comments/${commentId}/replies`, data),
+  updateStorybookComment: (bookId, assetId, commentId, data) =>
+    api.patch(`/books/${bookId}/storybooks/${assetId}/comments/${commentId}`, data),
+  deleteStorybookComment: (bookId, assetId, commentId) =>
+    api.delete(`/books/${bookId}/storybooks/${assetId}/comments/${commentId}`),
+  exportStorybook: (bookId, assetId, format = 'epub') =>
+    api.get(`/books/${bookId}/storybooks/${assetId}/export`, {
+      params: { format },
+      responseType: 'blob',
+    }),
   selectStorybookPageCandidate: (bookId, assetId, pageOrder, data = {}) =>
     api.post(`/books/${bookId}/storybooks/${assetId}/pages/${pageOrder}/select`, data),
   getStorybookJobs: (id, params) => api.get(`/books/${id}/storybooks/jobs`, { params }),
+  approveStorybookBudget: (id, jobId, data = {}) =>
+    api.post(`/books/${id}/storybooks/jobs/${jobId}/approve-budget`, data),
   generateCoverPreview: (formData) =>
     api.post('/books/cover-preview', formData, {
       headers: { 'Content-Type': 'multipart/form-data' },
@@ -73,6 +148,10 @@ export const bookAPI = {
     api.post('/books/dedication-preview', formData, {
       headers: { 'Content-Type': 'multipart/form-data' },
     }),
+  generatePagePreview: (id, order, formData) =>
+    api.post(`/books/${id}/pages/${order}/preview`, formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+    }),
 };
 
 // User API
@@ -115,6 +194,23 @@ export const trainingAPI = {
   checkStatus: (id) => api.get(`/trainings/${id}/status`),
   cancel: (id) => api.post(`/trainings/${id}/cancel`),
   getUserSuccessful: (userId) => api.get(`/trainings/user/${userId}/successful`),
+  getDatasets: (params) => api.get('/trainings/datasets', { params }),
+  getDataset: (datasetId) => api.get(`/trainings/datasets/${datasetId}`),
+  prepareDataset: (userId) => api.post('/trainings/datasets', { userId }),
+  updateDatasetItem: (datasetId, itemId, data) =>
+    api.patch(`/trainings/datasets/${datasetId}/items/${itemId}`, data),
+  setDefault: (id) => api.post(`/trainings/${id}/default`),
+  clearDefault: (userId) => api.delete(`/trainings/user/${userId}/default`),
+  updateLifecycle: (id, data) => api.patch(`/trainings/${id}/lifecycle`, data),
+  getPresets: () => api.get('/trainings/presets'),
+  createPreset: (data) => api.post('/trainings/presets', data),
+  updatePreset: (presetId, data) => api.put(`/trainings/presets/${presetId}`, data),
+  deletePreset: (presetId) => api.delete(`/trainings/presets/${presetId}`),
+  getExperiments: (params) => api.get('/trainings/experiments', { params }),
+  getExperiment: (experimentId) => api.get(`/trainings/experiments/${experimentId}`),
+  createExperiment: (data) => api.post('/trainings/experiments', data),
+  selectExperimentWinner: (experimentId, arm) =>
+    api.post(`/trainings/experiments/${experimentId}/winner`, { arm }),
 };
 
 // Generation API
@@ -156,6 +252,31 @@ export const promptAPI = {
     }),
 };
 
+// Prompt template API (evaluator, ranker and prompt generator system prompts)
+export const promptTemplateAPI = {
+  list: () => api.get('/prompt-templates'),
+  getVersions: (key) => api.get(`/prompt-templates/${key}/versions`),
+  getVersion: (key, version) => api.get(`/prompt-templates/${key}/versions/${version}`),
+  createVersion: (key, data) => api.post(`/prompt-templates/${key}/versions`, data),
+  activateVersion: (key, version) =>
+    api.post(`/prompt-templates/${key}/versions/${version}/activate`),
+  getSamples: (key, params = {}) => api.get(`/prompt-templates/${key}/samples`, { params }),
+  dryRun: (key, data) => api.post(`/prompt-templates/${key}/dry-run`, data),
+};
+
+// Golden set API (ground-truth regression runs for ranking and evaluation)
+export const goldenSetAPI = {
+  getCandidates: (params = {}) => api.get('/golden-set/candidates', { params }),
+  getSamples: (params = {}) => api.get('/golden-set/samples', { params }),
+  createSample: (data) => api.post('/golden-set/samples', data),
+  updateSample: (id, data) => api.patch(`/golden-set/samples/${id}`, data),
+  deleteSample: (id) => api.delete(`/golden-set/samples/${id}`),
+  getRuns: (params = {}) => api.get('/golden-set/runs', { params }),
+  getRun: (id) => api.get(`/golden-set/runs/${id}`),
+  compareRuns: (ids) => api.get('/golden-set/runs/compare', { params: { ids: ids.join(',') } }),
+  startRun: (data) => api.post('/golden-set/runs', data),
+};
+
 // Automation API
 export const automationAPI = {
   start: (formData) =>
@@ -166,9 +287,71 @@ export const automationAPI = {
   getById: (id) => api.get(`/automation/${id}`),
 };
 
+// Proof API (public, authorised by the signed token in the link)
+export const proofAPI = {
+  get: (token) => api.get(`/proofs/${token}`),
+  addComment: (token, data) => api.post(`/proofs/${token}/comments`, data),
+  submitDecision: (token, data) => api.post(`/proofs/${token}/decision`, data),
+};
+
+// Unsubscribe API (public, authorised by the signed token in the email link)
+export const unsubscribeAPI = {
+  get: (token) => api.get(`/unsubscribe/${token}`),
+  confirm: (token) => api.post(`/unsubscribe/${token}`),
+};
+
+// Order API
+export const orderAPI = {
+  getAll: (params = {}) => api.get('/orders', { params }),
+  getById: (id) => api.get(`/orders/${id}`),
+  create: (formData) =>
+    api.post('/orders', formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+    }),
+  update: (id, data) => api.put(`/orders/${id}`, data),
+  updateStatus: (id, status, note) => api.patch(`/orders/${id}/status`, { status, note }),
+  startAutomation: (id) => api.post(`/orders/${id}/automation`),
+  delete: (id) => api.delete(`/orders/${id}`),
+};
+
 // Dashboard API
 export const dashboardAPI = {
   getOverview: () => api.get('/dashboard/overview'),
+  getCosts: (params) => api.get('/dashboard/costs', { params }),
+};
+
+// Audit API
+export const auditAPI = {
+  list: (params = {}) => api.get('/audit', { params }),
+  getById: (id) => api.get(`/audit/${id}`),
+};
+
+// Outbound webhooks API
+export const webhookAPI = {
+  list: () => api.get('/outbound-webhooks'),
+  create: (data) => api.post('/outbound-webhooks', data),
+  update: (id, data) => api.patch(`/outbound-webhooks/${id}`, data),
+  remove: (id) => api.delete(`/outbound-webhooks/${id}`),
+  listDeliveries: (params = {}) => api.get('/outbound-webhooks/deliveries', { params }),
+  replay: (deliveryId) => api.post(`/outbound-webhooks/deliveries/${deliveryId}/replay`),
+};
+
+// Storybook fonts API
+export const fontAPI = {
+  list: () => api.get('/fonts'),
+  upload: (formData) =>
+    api.post('/fonts', formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+    }),
+  update: (id, data) => api.patch(`/fonts/${id}`, data),
+  remove: (id) => api.delete(`/fonts/${id}`),
+};
+
+// Notifications API
+export const notificationAPI = {
+  list: (params = {}) => api.get('/notifications', { params }),
+  getById: (id) => api.get(`/notifications/${id}`),
+  resend: (id) => api.post(`/notifications/${id}/resend`),
 };
 
 export default api;
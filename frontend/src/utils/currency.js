@@ -0,0 +1,8 @@
+export const formatUsd = (value) =>
+  new Intl.NumberFormat('en', {
+    style: 'currency',
+    currency: 'USD',
+    minimumFractionDigits: 2,
+    // Single calls cost fractions of a cent
+    maximumFractionDigits: Math.abs(value ?? 0) < 1 ? 4 : 2,
+  }).format(value ?? 0);
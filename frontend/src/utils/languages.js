@@ -0,0 +1,18 @@
+// Mirrors backend/src/config/languages.js
+export const STORY_LANGUAGES = [
+  { code: 'en', name: 'English', direction: 'ltr' },
+  { code: 'he', name: 'Hebrew', direction: 'rtl' },
+  { code: 'yi', name: 'Yiddish', direction: 'rtl' },
+  { code: 'fr', name: 'French', direction: 'ltr' },
+  { code: 'es', name: 'Spanish', direction: 'ltr' },
+  { code: 'de', name: 'German', direction: 'ltr' },
+];
+
+export const DEFAULT_STORY_LANGUAGE = 'en';
+
+export const getStoryLanguage = (code) =>
+  STORY_LANGUAGES.find((language) => language.code === code) || null;
+
+export const getLanguageName = (code) => getStoryLanguage(code)?.name || code || '';
+
+export const getTextDirection = (code) => getStoryLanguage(code)?.direction || 'ltr';